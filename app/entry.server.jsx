@@ -4,9 +4,27 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import prisma from "./db.server";
+import { createLogger } from "./utils/logger.server.js";
+import { startDiscountScheduler } from "./utils/discount-resolver/transitions.server.js";
+import { registerWebhookJobHandler } from "./utils/webhook-queue.server.js";
+import { registerMarketCurrencyJobHandler } from "./utils/market-currencies.server.js";
+import { registerDiscountUsageJobHandler } from "./utils/discount-resolver/usage-sync.server.js";
+import { registerTokenRotationJobHandler } from "./utils/storefront-token-rotation.server.js";
 
 export const streamTimeout = 5000;
 
+const logger = createLogger("Scheduler");
+
+// Background job handlers run in-process from the persistent job table
+registerWebhookJobHandler();
+registerMarketCurrencyJobHandler();
+registerDiscountUsageJobHandler();
+registerTokenRotationJobHandler();
+startDiscountScheduler(prisma).catch((error) => {
+  logger.error("Failed to start discount scheduler", { err: error });
+});
+
 export default async function handleRequest(
   request,
   responseStatusCode,
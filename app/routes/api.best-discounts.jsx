@@ -5,6 +5,12 @@ import { resolveBestDiscounts } from "../utils/discount-math.server.js";
 import { getCorsHeaders, createCorsPreflightResponse } from "../utils/cors.server.js";
 import { authenticateStorefrontRequest, isStorefrontAuthEnforced } from "../utils/storefront-auth.server.js";
 import { checkRateLimit, getRateLimitHeaders, createRateLimitResponse } from "../utils/rate-limiter.server.js";
+import {
+  convertAmountCents,
+  describePresentmentContext,
+  getPresentmentContext,
+  SHOP_CURRENCY_CONTEXT,
+} from "../utils/market-currencies.server.js";
 
 const logger = createLogger("ApiBestDiscounts");
 
@@ -43,7 +49,7 @@ export const action = async ({ request }) => {
     }
 
     // Destructure — token may come from Authorization header or body (backward compat)
-    const { shop, token: bodyToken, requests } = body;
+    const { shop, token: bodyToken, requests, currency = null, country = null, rate = null } = body;
     const token = request.headers.get('Authorization')?.replace('Bearer ', '')
       || bodyToken;
 
@@ -53,7 +59,7 @@ export const action = async ({ request }) => {
 
     // Rate limiting (if shop provided)
     if (shop) {
-      const rateResult = checkRateLimit(shop);
+      const rateResult = await checkRateLimit(shop, prisma);
       if (!rateResult.allowed) {
         return createRateLimitResponse(rateResult, headers);
       }
@@ -71,6 +77,14 @@ export const action = async ({ request }) => {
       }
     }
 
+    // Presentment currency: fixed amounts not already in it are converted from the shop currency
+    let presentment = SHOP_CURRENCY_CONTEXT;
+    try {
+      presentment = await getPresentmentContext(shop || null, { currency, country, rate }, prisma);
+    } catch (currencyErr) {
+      logger.error("Failed to resolve presentment currency, using shop currency", { err: currencyErr, shop });
+    }
+
     // Process each request entry
     const results = [];
     const errors = [];
@@ -83,7 +97,7 @@ export const action = async ({ request }) => {
           continue;
         }
 
-        const { productId, variantId = null, regularPriceCents, discounts, purchaseContext = null, isSubscription = null } = entry;
+        const { productId, variantId = null, regularPriceCents, discounts, purchaseContext = null, isSubscription = null, cart = null } = entry;
 
         if (!productId) {
           errors.push({ error: "productId is required" });
@@ -128,8 +142,14 @@ export const action = async ({ request }) => {
         // Normalize discounts
         const normalized = filtered.map(d => {
           const type = typeof d.type === "string" ? d.type.toLowerCase() : null;
-          const value = typeof d.value === "number" ? d.value : Number(d.value);
+          let value = typeof d.value === "number" ? d.value : Number(d.value);
           if (!Number.isFinite(value)) return null;
+          if (type === "fixed" && typeof d.currencyCode === "string") {
+            // Dropped when there is no rate: wrong savings are worse than none
+            value = convertAmountCents(value, d.currencyCode, presentment);
+            if (value === null) return null;
+            return { ...d, type, value, currencyCode: presentment.currencyCode || d.currencyCode, isAutomatic: !!d.isAutomatic };
+          }
           return { ...d, type, value, isAutomatic: !!d.isAutomatic };
         }).filter(d => d && (d.type === "percentage" || d.type === "fixed"));
 
@@ -138,11 +158,21 @@ export const action = async ({ request }) => {
           continue;
         }
 
+        // Optional cart snapshot for minimum-requirement discounts
+        const cartSnapshot = cart && typeof cart === "object"
+          ? {
+              subtotalCents: Number.isFinite(cart.subtotalCents) ? cart.subtotalCents : 0,
+              itemCount: Number.isFinite(cart.itemCount) ? cart.itemCount : 0,
+              currencyCode: typeof cart.currencyCode === "string" ? cart.currencyCode : null,
+            }
+          : null;
+
         // Resolve best discounts
         const resolved = resolveBestDiscounts({
           discounts: normalized,
           regularPriceCents,
           currentVariantId: variantId,
+          cart: cartSnapshot,
         });
 
         results.push({
@@ -162,7 +192,12 @@ export const action = async ({ request }) => {
     // Return response
     const status = results.length > 0 ? 200 : 400;
     logger.debug("Best discount batch processed", { shop: shop || null, requestCount: requests.length, successCount: results.length, errorCount: errors.length });
-    return json({ shop: shop || null, results, errors }, { status, headers });
+    return json({
+      shop: shop || null,
+      results,
+      errors,
+      currency: describePresentmentContext(presentment),
+    }, { status, headers });
 
   } catch (error) {
     logger.error("Failed to process best-discounts request", { err: error });
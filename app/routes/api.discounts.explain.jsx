@@ -0,0 +1,46 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { createLogger } from "../utils/logger.server.js";
+import { explainProductDiscounts, PURCHASE_TYPE } from "../utils/discount-preview.server.js";
+
+const logger = createLogger("ApiDiscountsExplain");
+
+/**
+ * GET /api/discounts/explain - Decision trace for one product (admin only).
+ * Query: productId (numeric or GID), optional variantId, optional purchase
+ * ("one_time" or "subscription"). The shop comes from the admin session.
+ */
+export const loader = async ({ request }) => {
+  const { authenticate } = await import("../shopify.server");
+  const { session } = await authenticate.admin(request);
+  const shop = session?.shop;
+
+  const url = new URL(request.url);
+  const productId = url.searchParams.get('productId');
+  if (!productId) {
+    return json({ error: 'Missing productId parameter' }, { status: 400 });
+  }
+
+  const purchase = url.searchParams.get('purchase');
+  if (purchase && !Object.values(PURCHASE_TYPE).includes(purchase)) {
+    return json({ error: 'purchase must be one_time or subscription' }, { status: 400 });
+  }
+
+  try {
+    const trace = await explainProductDiscounts(shop, {
+      productId,
+      variantId: url.searchParams.get('variantId'),
+      purchaseType: purchase || PURCHASE_TYPE.ONE_TIME,
+    }, prisma);
+
+    if (!trace) {
+      return json({ error: 'Product not found' }, { status: 404 });
+    }
+
+    logger.info("Decision trace built", { shop, productId: trace.product.id, candidates: trace.candidates.length });
+    return json({ trace });
+  } catch (error) {
+    logger.error("Failed to build decision trace", { err: error, shop, productId });
+    return json({ error: 'Failed to build decision trace' }, { status: 500 });
+  }
+};
@@ -1,32 +1,21 @@
+import { createHash } from "crypto";
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
 import { createLogger } from "../utils/logger.server.js";
-import { getShopTierInfo } from "../utils/tier-manager.server.js";
 import { getCorsHeaders, createCorsPreflightResponse } from "../utils/cors.server.js";
 import { authenticateStorefrontRequest, isStorefrontAuthEnforced } from "../utils/storefront-auth.server.js";
 import { checkRateLimit, getRateLimitHeaders, createRateLimitResponse } from "../utils/rate-limiter.server.js";
+import { buildStorefrontProducts, extractNumericId } from "../utils/storefront-discounts.server.js";
+import {
+  describePresentmentContext,
+  getPresentmentContext,
+  SHOP_CURRENCY_CONTEXT,
+} from "../utils/market-currencies.server.js";
 
 const logger = createLogger("ApiDiscounts");
 
-/**
- * Extracts numeric ID from Shopify GID.
- * @param {string} gid - Shopify GID (e.g., "gid://shopify/Product/12345")
- * @returns {string|null} Numeric ID or null
- */
-function extractNumericId(gid) {
-  if (!gid || typeof gid !== 'string') return null;
-  const match = gid.match(/\/(\d+)$/);
-  return match ? match[1] : null;
-}
-
-/**
- * Validates that a discount has required fields.
- * @param {object} discount - Discount object
- * @returns {boolean} True if valid
- */
-function validateDiscount(discount) {
-  return !!(discount && discount.gid && discount.shop && discount.status);
-}
+// Browsers may show a response for up to a minute while they revalidate it in the background
+const CACHE_CONTROL = 'private, max-age=0, stale-while-revalidate=60';
 
 /**
  * Parses list query parameters that can appear multiple times, each comma-separated.
@@ -47,6 +36,18 @@ function parseListParam(searchParams, key) {
   return results;
 }
 
+/**
+ * Checks an If-None-Match header against the response's ETag (weak comparison, per RFC 9110).
+ * @param {string|null} header - If-None-Match request header
+ * @param {string} etag - Quoted ETag of the response
+ * @returns {boolean} True when the client's copy is current
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
 /**
  * Handles OPTIONS and non-GET methods.
  */
@@ -60,6 +61,7 @@ export const action = async ({ request }) => {
 
 /**
  * GET /api/discounts - Returns active discounts for requested products.
+ * Sliced from the shop's display snapshot; a matching If-None-Match gets a 304.
  */
 export const loader = async ({ request }) => {
   const headers = getCorsHeaders(request, ['GET', 'OPTIONS']);
@@ -75,7 +77,7 @@ export const loader = async ({ request }) => {
     }
 
     // Rate limiting
-    const rateResult = checkRateLimit(shop);
+    const rateResult = await checkRateLimit(shop, prisma);
     if (!rateResult.allowed) {
       logger.warn("Rate limit exceeded", { shop, limit: rateResult.limit });
       return createRateLimitResponse(rateResult, headers);
@@ -113,8 +115,16 @@ export const loader = async ({ request }) => {
         .filter(Boolean)
     );
     const requestedHandles = new Set(rawHandles);
+    const requestedCollectionIds = new Set(
+      parseListParam(url.searchParams, 'collectionIds')
+        .map(id => extractNumericId(id) || (/^\d+$/.test(id) ? id : null))
+        .filter(Boolean)
+    );
+    const requestedCollectionHandles = new Set(parseListParam(url.searchParams, 'collectionHandles'));
+    const collectionsRequested = requestedCollectionIds.size > 0 || requestedCollectionHandles.size > 0;
 
-    const filterActive = requestedProductIds.size > 0 || requestedVariantIds.size > 0 || requestedHandles.size > 0;
+    const filterActive = requestedProductIds.size > 0 || requestedVariantIds.size > 0 || requestedHandles.size > 0
+      || collectionsRequested;
 
     // If no filters provided, return empty result (prevent dumping all discounts)
     if (!filterActive) {
@@ -122,226 +132,55 @@ export const loader = async ({ request }) => {
       return json({ products: {} }, { status: 200, headers });
     }
 
-    // Resolve handles to product IDs
-    if (requestedHandles.size > 0) {
-      try {
-        const handleMatches = await prisma.product.findMany({
-          where: { shop, handle: { in: Array.from(requestedHandles) } },
-          select: { gid: true }
-        });
-
-        for (const product of handleMatches) {
-          const numericId = extractNumericId(product.gid);
-          if (numericId) {
-            requestedProductIds.add(numericId);
-          }
-        }
-
-        logger.debug("Resolved handles to product IDs", {
-          shop, handles: requestedHandles.size, resolved: handleMatches.length,
-        });
-      } catch (handleErr) {
-        logger.error("Error resolving handles to product IDs", { err: handleErr, shop });
-      }
-    }
-
-    // Fetch live discounts
-    const now = new Date();
-    const liveDiscounts = await prisma.liveDiscount.findMany({
-      where: {
-        shop,
-        status: 'LIVE',
-        startsAt: { lte: now },
-        OR: [{ endsAt: null }, { endsAt: { gt: now } }]
-      }
-    });
-
-    logger.info("Fetched live discounts", { shop, count: liveDiscounts.length });
-
-    // Load tier info
-    let tierInfo;
+    // Presentment currency: fixed amounts are converted out of the shop currency
+    let presentment = SHOP_CURRENCY_CONTEXT;
     try {
-      tierInfo = await getShopTierInfo(shop, prisma);
-    } catch (err) {
-      logger.error("Failed to load tier info, defaulting to FREE", { err, shop });
-      tierInfo = { tier: 'FREE' };
+      presentment = await getPresentmentContext(shop, {
+        currency: url.searchParams.get('currency'),
+        country: url.searchParams.get('country'),
+        rate: url.searchParams.get('rate'),
+      }, prisma);
+    } catch (currencyErr) {
+      logger.error("Failed to resolve presentment currency, using shop currency", { err: currencyErr, shop });
     }
 
-    const tier = tierInfo.tier || 'FREE';
-    const isBasicOrHigher = ['BASIC', 'ADVANCED'].includes(tier);
-    const isAdvanced = tier === 'ADVANCED';
-
-    logger.debug("Loaded tier info", { shop, tier, isBasicOrHigher, isAdvanced });
-
-    // Preload detailed discounts with junction tables
-    const discountGids = liveDiscounts.map(d => d.gid).filter(Boolean);
-    const detailedDiscounts = discountGids.length > 0
-      ? await prisma.discount.findMany({
-          where: { shop, gid: { in: discountGids } },
-          include: {
-            targets: true,    // DiscountTarget records
-            products: true,   // DiscountProduct records
-            variants: true,   // DiscountVariant records
-            codes: true,      // DiscountCode records
-          }
-        })
-      : [];
-    const detailedMap = new Map(detailedDiscounts.map(d => [d.gid, d]));
-
-    logger.debug("Loaded detailed discounts with junction tables", { shop, loaded: detailedDiscounts.length });
-
-    // Process each live discount
-    const products = {};
-    const productIdSet = new Set();
-
-    for (const liveDisc of liveDiscounts) {
-      // Validate
-      if (!validateDiscount(liveDisc)) {
-        logger.debug("Skipping invalid discount", { gid: liveDisc.gid });
-        continue;
-      }
+    const { products, collections, tier, isBasicOrHigher, revision } = await buildStorefrontProducts(shop, {
+      productIds: requestedProductIds,
+      variantIds: requestedVariantIds,
+      handles: requestedHandles,
+      collectionIds: requestedCollectionIds,
+      collectionHandles: requestedCollectionHandles,
+      presentment,
+      customerParams: url.searchParams,
+    }, prisma);
 
-      const detail = detailedMap.get(liveDisc.gid);
-      if (!detail) {
-        logger.debug("No detailed record found", { gid: liveDisc.gid });
-        continue;
-      }
-
-      // Use junction tables instead of JSON parsing
-      const resolvedProductGids = detail.products.map(p => p.productGid);
-      const resolvedVariantGids = detail.variants.map(v => v.variantGid);
-      const targets = detail.targets;
-      const codes = detail.codes;
-
-      const numericProductIds = resolvedProductGids.map(extractNumericId).filter(Boolean);
-      const numericVariantIds = resolvedVariantGids.map(extractNumericId).filter(Boolean);
-
-      // Check if this discount matches any requested products/variants
-      const matchesProduct = numericProductIds.some(id => requestedProductIds.has(id));
-      const matchesVariant = numericVariantIds.some(id => requestedVariantIds.has(id));
-      if (!matchesProduct && !matchesVariant) {
-        continue;
-      }
-
-      // Determine target levels from DiscountTarget records
-      const productLevelTargets = new Set();
-      const variantLevelTargets = new Set();
-      let hasCollectionLevelTargets = false;
-
-      for (const target of targets) {
-        if (target.targetGid.includes('Collection/')) {
-          hasCollectionLevelTargets = true;
-        } else if (target.targetGid.includes('ProductVariant/')) {
-          const vid = extractNumericId(target.targetGid);
-          if (vid) variantLevelTargets.add(vid);
-        } else if (target.targetGid.includes('Product/')) {
-          const pid = extractNumericId(target.targetGid);
-          if (pid) productLevelTargets.add(pid);
-        }
-      }
-
-      // Exclusion: minimum requirement (needs cart context)
-      if (detail.minimumRequirement) {
-        logger.debug("Skipping discount with minimum requirement", { gid: detail.gid });
-        continue;
-      }
-
-      // Tier gating: fixed-amount excluded for FREE tier
-      const valueType = detail.valueType === 'PERCENTAGE' ? 'percentage' : 'fixed';
-      if (!isBasicOrHigher && valueType === 'fixed') {
-        logger.debug("Skipping fixed-amount discount for FREE tier", { gid: detail.gid, tier });
-        continue;
-      }
-
-      // Build discount object
-      const discountObj = {
-        isAutomatic: detail.discountType === 'AUTO',
-        type: valueType,
-        value: detail.valueType === 'PERCENTAGE'
-          ? Math.round(detail.percentage * 100)
-          : detail.amount,
-        endDate: detail.endsAt ? detail.endsAt.toISOString().split('T')[0] : null,
-        appliesOnOneTimePurchase: detail.appliesOnOneTimePurchase,
-        appliesOnSubscription: detail.appliesOnSubscription,
-      };
-
-      // Add coupon code from junction table
-      if (detail.discountType === 'CODE' && codes.length > 0) {
-        discountObj.code = codes[0].code;
-      }
-
-      // Add to each affected product
-      for (const productGid of resolvedProductGids) {
-        const productId = extractNumericId(productGid);
-        if (!productId) continue;
-
-        // Check if this product matches the request filters
-        if (filterActive) {
-          const variantMatchesRequest = requestedVariantIds.size > 0 && (
-            numericVariantIds.some(id => requestedVariantIds.has(id))
-          );
-          if (!requestedProductIds.has(productId) && !variantMatchesRequest) {
-            continue;
-          }
-        }
-
-        // Initialize product entry
-        if (!products[productId]) {
-          products[productId] = { handle: null, variants: {}, discounts: [], singlePrice: false };
-        }
-        productIdSet.add(productId);
-
-        // Clone discount with per-product variant scope
-        const productDiscount = { ...discountObj };
-
-        if (productLevelTargets.has(productId) || hasCollectionLevelTargets) {
-          productDiscount.variantScope = { type: 'ALL', ids: [] };
-        } else if (variantLevelTargets.size > 0) {
-          productDiscount.variantScope = { type: 'PARTIAL', ids: numericVariantIds };
-        } else {
-          productDiscount.variantScope = { type: 'ALL', ids: [] };
-        }
-
-        // Tier gating per product
-        if (!isAdvanced && detail.appliesOnSubscription) {
-          logger.debug("Skipping subscription discount for non-ADVANCED tier", { gid: detail.gid, tier });
-          continue;
-        }
-        if (!isAdvanced && productDiscount.variantScope.type === 'PARTIAL') {
-          logger.debug("Skipping partial variant scope for non-ADVANCED tier", { gid: detail.gid, tier });
-          continue;
-        }
-
-        products[productId].discounts.push(productDiscount);
-      }
-    }
-
-    // Enrich products with handle and singlePrice
-    const numericIds = Array.from(productIdSet);
-    if (numericIds.length > 0) {
-      const orFilters = numericIds.map(id => ({ gid: { endsWith: id } }));
-      const dbProducts = await prisma.product.findMany({
-        where: { shop, OR: orFilters },
-        select: { gid: true, handle: true, singlePrice: true }
-      });
+    logger.info("Successfully processed discounts", {
+      shop, productCount: Object.keys(products).length, tier,
+    });
 
-      for (const p of dbProducts) {
-        const num = extractNumericId(p.gid);
-        if (num && products[num]) {
-          products[num].handle = p.handle || null;
-          products[num].singlePrice = !!p.singlePrice;
-        }
-      }
+    // Strong validator over the exact body, so an unchanged slice costs a 304
+    const body = JSON.stringify({
+      products,
+      // Only sent when asked for: { handle, productIds } of each resolved collection
+      ...(collectionsRequested && { collections }),
+      autoApplyEnabled: isBasicOrHigher,
+      currency: describePresentmentContext(presentment),
+      // Storefront clients drop their stored discount data when this changes
+      revision,
+    });
+    const etag = `"${createHash('sha256').update(body).digest('base64url')}"`;
+    Object.assign(headers, { ETag: etag, 'Cache-Control': CACHE_CONTROL });
 
-      logger.debug("Enriched products with handle and singlePrice", { shop, enriched: dbProducts.length });
+    if (etagMatches(request.headers.get('If-None-Match'), etag)) {
+      logger.debug("Discount data not modified", { shop });
+      return new Response(null, { status: 304, headers });
     }
 
-    logger.info("Successfully processed discounts", {
-      shop, productCount: Object.keys(products).length, tier,
+    return new Response(body, {
+      status: 200,
+      headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' },
     });
 
-    return json({ products, autoApplyEnabled: isBasicOrHigher }, { status: 200, headers });
-
   } catch (error) {
     logger.error("Failed to load discount data", { err: error });
     return json({ error: 'Failed to load discount data' }, { status: 500, headers });
@@ -0,0 +1,73 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { createLogger } from "../utils/logger.server.js";
+import { getCorsHeaders, createCorsPreflightResponse } from "../utils/cors.server.js";
+import { authenticateStorefrontRequest, isStorefrontAuthEnforced } from "../utils/storefront-auth.server.js";
+import { checkRateLimit, getRateLimitHeaders, createRateLimitResponse } from "../utils/rate-limiter.server.js";
+import { recordStorefrontEvents } from "../utils/storefront-analytics.server.js";
+
+const logger = createLogger("ApiEvents");
+
+export const loader = async ({ request }) => {
+  if (request.method === "OPTIONS") {
+    return createCorsPreflightResponse(request, ['POST', 'OPTIONS']);
+  }
+  const headers = getCorsHeaders(request, ['POST', 'OPTIONS']);
+  return new Response("Method not allowed", { status: 405, headers });
+};
+
+/**
+ * POST /api/events - Records batched storefront analytics events.
+ */
+export const action = async ({ request }) => {
+  const headers = getCorsHeaders(request, ['POST', 'OPTIONS']);
+
+  try {
+    if (request.method === "OPTIONS") {
+      return createCorsPreflightResponse(request, ['POST', 'OPTIONS']);
+    }
+    if (request.method !== "POST") {
+      return new Response("Method not allowed", { status: 405, headers });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      logger.debug("Failed to parse events body", { err: parseError });
+      return json({ error: "Invalid request body" }, { status: 400, headers });
+    }
+
+    const { shop, token: bodyToken, events } = body || {};
+    if (!shop) {
+      return json({ error: "Missing shop parameter" }, { status: 400, headers });
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+      return json({ error: "events must be a non-empty array" }, { status: 400, headers });
+    }
+
+    // Separate bucket so event flushes never eat into the discounts API budget
+    const rateResult = await checkRateLimit(shop, prisma, { bucket: "events" });
+    if (!rateResult.allowed) {
+      return createRateLimitResponse(rateResult, headers);
+    }
+    Object.assign(headers, getRateLimitHeaders(rateResult));
+
+    // Token in the body is accepted for keepalive requests sent while the page unloads
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '')
+      || bodyToken;
+    const isAuthenticated = await authenticateStorefrontRequest(shop, token, prisma);
+    if (!isAuthenticated) {
+      if (isStorefrontAuthEnforced()) {
+        return json({ error: 'Unauthorized' }, { status: 403, headers });
+      }
+      logger.debug('Unauthenticated events request (soft mode)', { shop, hasToken: !!token });
+    }
+
+    const result = await recordStorefrontEvents(shop, events, prisma);
+    return json(result, { status: 202, headers });
+  } catch (error) {
+    logger.error("Error in events API", { err: error });
+    return json({ error: "Internal server error" }, { status: 500, headers });
+  }
+};
@@ -4,8 +4,9 @@ import {
   useActionData,
   useSubmit,
   useRevalidator,
+  useFetcher,
 } from "@remix-run/react";
-import { useEffect, useCallback } from "react";
+import { useEffect, useCallback, useState } from "react";
 import {
   Page,
   Layout,
@@ -18,6 +19,8 @@ import {
   ProgressBar,
   Badge,
   Icon,
+  TextField,
+  Box,
 } from "@shopify/polaris";
 import { CheckCircleIcon } from "@shopify/polaris-icons";
 import { getAvailableTiers } from "../utils/tier-manager.js";
@@ -96,6 +99,22 @@ export const action = async ({ request }) => {
   const shopDomain = session?.shop;
 
   const formData = await request.formData();
+
+  if (formData.get("intent") === "retryDeadLetter") {
+    const { retryDeadLetterJob } = await import("../utils/scheduler.server.js");
+    const deadLetterId = formData.get("deadLetterId");
+    try {
+      const retried = await retryDeadLetterJob(shopDomain, deadLetterId, prisma);
+      if (!retried) {
+        return json({ error: "Job not found" }, { status: 404 });
+      }
+      return json({ retriedJobId: deadLetterId });
+    } catch (error) {
+      logger.error("Failed to retry job", { err: error, shop: shopDomain, deadLetterId });
+      return json({ error: "Failed to retry job" }, { status: 500 });
+    }
+  }
+
   const taskTitle = formData.get("taskTitle");
   const completed = formData.get("completed") === "true";
 
@@ -180,6 +199,97 @@ function TaskItem({
   );
 }
 
+/**
+ * Dev tools form that loads /api/discounts/explain for a product and shows
+ * which rule decided each discount, plus the raw trace for support tickets.
+ */
+function DecisionTraceTool() {
+  const fetcher = useFetcher();
+  const [productId, setProductId] = useState("");
+  const [variantId, setVariantId] = useState("");
+
+  const handleExplain = useCallback(() => {
+    const params = new URLSearchParams({ productId: productId.trim() });
+    if (variantId.trim()) params.set("variantId", variantId.trim());
+    fetcher.load(`/api/discounts/explain?${params}`);
+  }, [fetcher, productId, variantId]);
+
+  const trace = fetcher.data?.trace;
+  const error = fetcher.data?.error;
+
+  return (
+    <BlockStack gap="300">
+      <Text as="h3" variant="headingSm">
+        Discount decision trace
+      </Text>
+      <InlineStack gap="300" blockAlign="end" wrap>
+        <TextField
+          label="Product ID"
+          value={productId}
+          onChange={setProductId}
+          placeholder="123456789 or gid://shopify/Product/123456789"
+          autoComplete="off"
+        />
+        <TextField
+          label="Variant ID (optional)"
+          value={variantId}
+          onChange={setVariantId}
+          autoComplete="off"
+        />
+        <Button
+          onClick={handleExplain}
+          loading={fetcher.state !== "idle"}
+          disabled={!productId.trim()}
+        >
+          Explain
+        </Button>
+      </InlineStack>
+      {error && (
+        <Text as="p" tone="critical">
+          {error}
+        </Text>
+      )}
+      {trace && (
+        <BlockStack gap="200">
+          {trace.candidates.length === 0 && (
+            <Text as="p" tone="subdued">
+              No discounts target this product.
+            </Text>
+          )}
+          {trace.candidates.map((candidate) => {
+            const failed = candidate.rules.find((r) => r.result === "fail");
+            return (
+              <InlineStack key={candidate.id} gap="200" blockAlign="center">
+                <Badge tone={candidate.included ? "success" : "critical"}>
+                  {candidate.outcome}
+                </Badge>
+                <Text as="span">
+                  {candidate.title || `Discount ${candidate.id}`}
+                </Text>
+                {failed && (
+                  <Text as="span" tone="subdued">
+                    {`${failed.rule}: ${failed.detail}`}
+                  </Text>
+                )}
+              </InlineStack>
+            );
+          })}
+          <Box
+            background="bg-surface-secondary"
+            padding="300"
+            borderRadius="200"
+            overflowX="scroll"
+          >
+            <pre style={{ margin: 0, fontSize: "12px" }}>
+              {JSON.stringify(trace, null, 2)}
+            </pre>
+          </Box>
+        </BlockStack>
+      )}
+    </BlockStack>
+  );
+}
+
 export default function Index() {
   const data = useLoaderData();
   const actionData = useActionData();
@@ -195,6 +305,7 @@ export default function Index() {
     showDevTools,
     installStatus,
     appVersion,
+    deadLetterJobs,
   } = data;
 
   const manualTaskStatuses =
@@ -221,6 +332,16 @@ export default function Index() {
     [submit],
   );
 
+  const handleRetryJob = useCallback(
+    (deadLetterId) => {
+      const formData = new FormData();
+      formData.set("intent", "retryDeadLetter");
+      formData.set("deadLetterId", deadLetterId);
+      submit(formData, { method: "post" });
+    },
+    [submit],
+  );
+
   const handleRefreshDevTunnel = useCallback(() => {
     submit(null, { method: "post", action: "/app/refresh-metafields" });
   }, [submit]);
@@ -442,6 +563,56 @@ export default function Index() {
             </Card>
           </Layout.Section>
 
+          {/* Failed Background Jobs Card */}
+          {deadLetterJobs?.length > 0 && (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between">
+                    <Text as="h2" variant="headingMd">
+                      Failed background jobs
+                    </Text>
+                    <Badge tone="critical">{deadLetterJobs.length}</Badge>
+                  </InlineStack>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    These updates failed after several retries, so some
+                    discounts may be out of date. Retry them once the cause is
+                    resolved.
+                  </Text>
+                  <BlockStack gap="300">
+                    {deadLetterJobs.map((job) => (
+                      <InlineStack
+                        key={job.id}
+                        align="space-between"
+                        blockAlign="center"
+                        wrap={false}
+                      >
+                        <BlockStack gap="100">
+                          <Text as="span" variant="bodyMd" fontWeight="semibold">
+                            {job.label}
+                            {job.target ? ` — ${job.target}` : ""}
+                          </Text>
+                          <Text as="span" variant="bodySm" tone="subdued">
+                            {new Date(job.failedAt).toLocaleString()} ·{" "}
+                            {job.attempts} attempts
+                            {job.lastError ? ` · ${job.lastError}` : ""}
+                          </Text>
+                        </BlockStack>
+                        <Button
+                          size="slim"
+                          onClick={() => handleRetryJob(job.id)}
+                          disabled={actionData?.retriedJobId === job.id}
+                        >
+                          Retry
+                        </Button>
+                      </InlineStack>
+                    ))}
+                  </BlockStack>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          )}
+
           {/* Developer Tools Card */}
           {showDevTools && (
             <Layout.Section>
@@ -459,6 +630,7 @@ export default function Index() {
                       Refresh Dev Tunnel
                     </Button>
                   </div>
+                  <DecisionTraceTool />
                 </BlockStack>
               </Card>
             </Layout.Section>
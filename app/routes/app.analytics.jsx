@@ -0,0 +1,210 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useSubmit, useNavigation } from "@remix-run/react";
+import { useCallback } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  DataTable,
+  Select,
+  BlockStack,
+  InlineGrid,
+  EmptyState,
+} from "@shopify/polaris";
+
+const RANGE_OPTIONS = [
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+  { label: "Last 90 days", value: "90" },
+];
+
+export const loader = async ({ request }) => {
+  const { authenticate } = await import("../shopify.server");
+  const prisma = (await import("../db.server.js")).default;
+  const { getDiscountAnalytics } = await import(
+    "../utils/storefront-analytics.server.js"
+  );
+
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop;
+
+  const requested = new URL(request.url).searchParams.get("days");
+  const days = RANGE_OPTIONS.some((o) => o.value === requested)
+    ? parseInt(requested, 10)
+    : 30;
+
+  const analytics = await getDiscountAnalytics(shopDomain, { days }, prisma);
+  return json({ analytics });
+};
+
+function formatMoney(cents, currencyCode) {
+  const amount = (cents || 0) / 100;
+  if (!currencyCode) return amount.toFixed(2);
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currencyCode,
+    }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currencyCode}`;
+  }
+}
+
+// Revenue per currency, e.g. "$45.50 + €30.00"
+function formatRevenue(revenue) {
+  const entries = Object.entries(revenue || {});
+  if (entries.length === 0) return formatMoney(0, null);
+  return entries
+    .sort(([, a], [, b]) => b - a)
+    .map(([currencyCode, cents]) => formatMoney(cents, currencyCode))
+    .join(" + ");
+}
+
+function SummaryCard({ label, value }) {
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <Text as="h3" variant="bodySm" tone="subdued">
+          {label}
+        </Text>
+        <Text as="p" variant="headingLg">
+          {value}
+        </Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function AnalyticsPage() {
+  const { analytics } = useLoaderData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const { totals, discounts, series } = analytics;
+
+  const handleRangeChange = useCallback(
+    (value) => submit({ days: value }, { method: "get" }),
+    [submit],
+  );
+
+  const discountRows = discounts.map((d) => [
+    d.title || `Discount ${d.discountId}`,
+    d.impressions,
+    d.couponApplies,
+    d.autoApplies,
+    d.termsOpens,
+    d.orders,
+    formatRevenue(d.revenue),
+  ]);
+
+  const dayRows = [...series].reverse().map((day) => [
+    day.day,
+    day.impressions,
+    day.couponApplies + day.autoApplies,
+    day.orders,
+    formatRevenue(day.revenue),
+  ]);
+
+  return (
+    <Page
+      title="Analytics"
+      subtitle="How shoppers interact with the discounts shown on your storefront"
+      secondaryActions={
+        <div style={{ minWidth: "160px" }}>
+          <Select
+            label="Date range"
+            labelHidden
+            options={RANGE_OPTIONS}
+            value={String(analytics.days)}
+            onChange={handleRangeChange}
+            disabled={navigation.state !== "idle"}
+          />
+        </div>
+      }
+    >
+      <BlockStack gap="500">
+        <InlineGrid columns={{ xs: 1, sm: 2, md: 4 }} gap="400">
+          <SummaryCard label="Badge impressions" value={totals.impressions} />
+          <SummaryCard
+            label="Coupon applies"
+            value={totals.couponApplies + totals.autoApplies}
+          />
+          <SummaryCard label="Attributed orders" value={totals.orders} />
+          <SummaryCard
+            label="Attributed revenue"
+            value={formatRevenue(totals.revenue)}
+          />
+        </InlineGrid>
+
+        <Layout>
+          <Layout.Section>
+            <Card padding="0">
+              {discountRows.length === 0 ? (
+                <EmptyState
+                  heading="No storefront activity yet"
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>
+                    Impressions and coupon applies appear here once shoppers
+                    see your discount badges.
+                  </p>
+                </EmptyState>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                  ]}
+                  headings={[
+                    "Discount",
+                    "Impressions",
+                    "Coupon ticked",
+                    "Applied to cart",
+                    "Terms viewed",
+                    "Orders",
+                    "Revenue",
+                  ]}
+                  rows={discountRows}
+                />
+              )}
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Daily activity
+                </Text>
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                  ]}
+                  headings={["Day (UTC)", "Impressions", "Applies", "Orders", "Revenue"]}
+                  rows={dayRows}
+                />
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Orders are attributed when they use a coupon code or
+                  automatic discount that was shown on your storefront in the
+                  30 days before the order. Shopify identifies automatic
+                  discounts on an order only by title, so automatic discounts
+                  that share a title are each credited with the order. Revenue
+                  is shown in the currency each order was placed in.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
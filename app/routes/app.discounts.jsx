@@ -5,7 +5,7 @@ import {
   useSubmit,
   useNavigation,
 } from "@remix-run/react";
-import { useState, useCallback, useMemo } from "react";
+import { useState, useCallback, useMemo, useEffect } from "react";
 import {
   Page,
   Layout,
@@ -21,13 +21,21 @@ import {
   EmptyState,
   Tabs,
   Box,
+  Modal,
+  FormLayout,
+  TextField,
+  Select,
+  Icon,
   useIndexResourceState,
 } from "@shopify/polaris";
+import { DragHandleIcon } from "@shopify/polaris-icons";
+import { CODE_VISIBILITY, DISPLAY_ICONS } from "../utils/constants.js";
 
 const STATUS_PRIORITY = [
   "LIVE",
   "HIDDEN",
   "SCHEDULED",
+  "USAGE_EXHAUSTED",
   "NOT_SUPPORTED",
   "UPGRADE_REQUIRED",
 ];
@@ -36,6 +44,7 @@ const STATUS_BADGE_MAP = {
   LIVE: { tone: "success", label: "Live" },
   HIDDEN: { tone: "attention", label: "Hidden" },
   SCHEDULED: { tone: "info", label: "Scheduled" },
+  USAGE_EXHAUSTED: { tone: "critical", label: "Used Up" },
   NOT_SUPPORTED: { tone: "new", label: "Not Supported" },
   UPGRADE_REQUIRED: { tone: "warning", label: "Upgrade Required" },
 };
@@ -49,6 +58,9 @@ export const loader = async ({ request }) => {
   const { ensureLiveDiscountsForShop } = await import(
     "../utils/discount-resolver/backfill.server.js"
   );
+  const { LIVE_LIMIT_REASON, sortByRank } = await import(
+    "../utils/tier-manager/live-discount-helpers.server.js"
+  );
 
   const { session } = await authenticate.admin(request);
   const shopDomain = session?.shop;
@@ -73,6 +85,7 @@ export const loader = async ({ request }) => {
       OR: [{ endsAt: null }, { endsAt: { gt: now } }],
     },
     orderBy: { createdAt: "desc" },
+    include: { displayConfig: true },
   });
 
   // Enrich with titles from Discount table
@@ -81,27 +94,47 @@ export const loader = async ({ request }) => {
     discountGids.length > 0
       ? await prisma.discount.findMany({
           where: { gid: { in: discountGids }, shop: shopDomain },
-          select: { gid: true, title: true },
+          select: {
+            gid: true,
+            title: true,
+            usageLimit: true,
+            appliesOncePerCustomer: true,
+            _count: { select: { codes: true } },
+          },
         })
       : [];
-  const titleMap = Object.fromEntries(
-    discounts.map((d) => [d.gid, d.title]),
-  );
+  const discountMap = Object.fromEntries(discounts.map((d) => [d.gid, d]));
 
   // Sort by status priority, then by createdAt desc
   const enriched = liveDiscounts
     .map((d) => ({
       id: d.id,
       gid: d.gid,
-      title: titleMap[d.gid] || d.summary || "Untitled Discount",
+      title: discountMap[d.gid]?.title || d.summary || "Untitled Discount",
       summary: d.summary,
       discountType: d.discountType,
       status: d.status,
       exclusionReason: d.exclusionReason,
       exclusionDetails: d.exclusionDetails,
+      rank: d.rank,
       startsAt: d.startsAt?.toISOString(),
       endsAt: d.endsAt?.toISOString(),
       createdAt: d.createdAt?.toISOString(),
+      codeCount: discountMap[d.gid]?._count?.codes ?? 0,
+      usageLimit: discountMap[d.gid]?.usageLimit ?? null,
+      appliesOncePerCustomer: !!discountMap[d.gid]?.appliesOncePerCustomer,
+      display: d.displayConfig
+        ? {
+            badgeText: d.displayConfig.badgeText,
+            badgeBgColor: d.displayConfig.badgeBgColor,
+            badgeTextColor: d.displayConfig.badgeTextColor,
+            icon: d.displayConfig.icon,
+            termsText: d.displayConfig.termsText,
+            priority: d.displayConfig.priority,
+            codeVisibility: d.displayConfig.codeVisibility,
+            displayCode: d.displayConfig.displayCode,
+          }
+        : null,
     }))
     .sort((a, b) => {
       const aPriority = STATUS_PRIORITY.indexOf(a.status);
@@ -110,21 +143,42 @@ export const loader = async ({ request }) => {
       return new Date(b.createdAt) - new Date(a.createdAt);
     });
 
-  return json({ discounts: enriched, tierInfo, shop: shopDomain });
+  // Discounts competing for live slots, in the merchant's ranking order
+  const priorityOrder = sortByRank(liveDiscounts)
+    .filter(
+      (d) =>
+        d.status === "LIVE" ||
+        d.status === "SCHEDULED" ||
+        (d.status === "HIDDEN" && d.exclusionReason === LIVE_LIMIT_REASON),
+    )
+    .map((d) => d.id);
+
+  return json({
+    discounts: enriched,
+    priorityOrder,
+    tierInfo,
+    shop: shopDomain,
+  });
 };
 
 export const action = async ({ request }) => {
   const { authenticate } = await import("../shopify.server");
   const { createLogger } = await import("../utils/logger.server.js");
   const prisma = (await import("../db.server.js")).default;
-  const { getShopTierInfo } = await import(
+  const { applyLiveDiscountRanking, saveLiveDiscountRanking } = await import(
     "../utils/tier-manager.server.js"
   );
   const { ensureLiveDiscountsForShop } = await import(
     "../utils/discount-resolver/backfill.server.js"
   );
-  const { reprocessAllDiscountsForShop } = await import(
-    "../utils/discount-resolver/reprocess.server.js"
+  const { BULK_IMPORT_REASON, importDiscountsForShop } = await import(
+    "../utils/discount-resolver/bulk-import.server.js"
+  );
+  const { saveDisplayConfig } = await import(
+    "../utils/discount-display-config.server.js"
+  );
+  const { invalidateDisplaySnapshot } = await import(
+    "../utils/display-snapshot.server.js"
   );
 
   const logger = createLogger("DiscountsPage");
@@ -137,47 +191,40 @@ export const action = async ({ request }) => {
 
   try {
     if (intent === "activate") {
-      // Validate tier limits before activation
-      const tierInfo = await getShopTierInfo(shopDomain, prisma);
-      if (!tierInfo.isUnlimited) {
-        const remaining =
-          tierInfo.liveDiscountLimit - tierInfo.currentLiveDiscounts;
-        if (selectedIds.length > remaining) {
-          return json(
-            {
-              error:
-                "Activating these discounts would exceed your plan limit.",
-              tierLimit: true,
-            },
-            { status: 400 },
-          );
-        }
-      }
-
       let scheduledActivated = false;
       const now = new Date();
+      const activatedGids = [];
 
       for (const id of selectedIds) {
         const ld = await prisma.liveDiscount.findUnique({ where: { id } });
         if (ld && (ld.status === "HIDDEN" || ld.status === "SCHEDULED")) {
           await prisma.liveDiscount.update({
             where: { id },
-            data: { status: "LIVE" },
+            data: { status: "LIVE", exclusionReason: null, exclusionDetails: null },
           });
           await prisma.discount.updateMany({
             where: { gid: ld.gid, shop: shopDomain },
             data: { status: "ACTIVE" },
           });
+          activatedGids.push(ld.gid);
           if (ld.startsAt && new Date(ld.startsAt) > now) {
             scheduledActivated = true;
           }
         }
       }
 
+      // Over the plan limit, the lowest-ranked discounts wait for a slot
+      const { demoted } = await applyLiveDiscountRanking(shopDomain, prisma);
+      await invalidateDisplaySnapshot(shopDomain);
+      const waitingForSlot = activatedGids.filter((gid) =>
+        demoted.includes(gid),
+      ).length;
+
       return json({
         success: true,
         activated: selectedIds.length,
         scheduledActivated,
+        waitingForSlot,
       });
     }
 
@@ -191,15 +238,62 @@ export const action = async ({ request }) => {
           });
         }
       }
+      // The freed slots go to the next-ranked limit-hidden discounts
+      await applyLiveDiscountRanking(shopDomain, prisma);
+      await invalidateDisplaySnapshot(shopDomain);
       return json({ success: true, deactivated: selectedIds.length });
     }
 
-    if (intent === "resync") {
-      const result = await reprocessAllDiscountsForShop(
-        admin,
+    if (intent === "reorder") {
+      const result = await saveLiveDiscountRanking(
         shopDomain,
+        formData.getAll("rankedIds"),
         prisma,
       );
+      return json({ success: true, reordered: true, ...result });
+    }
+
+    if (intent === "saveDisplay") {
+      const liveDiscountId = formData.get("liveDiscountId");
+      const result = await saveDisplayConfig(
+        shopDomain,
+        liveDiscountId,
+        {
+          badgeText: formData.get("badgeText"),
+          badgeBgColor: formData.get("badgeBgColor"),
+          badgeTextColor: formData.get("badgeTextColor"),
+          icon: formData.get("icon"),
+          termsText: formData.get("termsText"),
+          priority: formData.get("priority"),
+          codeVisibility: formData.get("codeVisibility"),
+          displayCode: formData.get("displayCode"),
+        },
+        prisma,
+      );
+      if (result.notFound) {
+        return json({ error: "Discount not found" }, { status: 404 });
+      }
+      if (result.errors) {
+        return json(
+          { displayErrors: result.errors, liveDiscountId },
+          { status: 400 },
+        );
+      }
+      return json({ success: true, displaySaved: true, liveDiscountId });
+    }
+
+    if (intent === "resync") {
+      const result = await importDiscountsForShop(admin, shopDomain, prisma, {
+        reason: BULK_IMPORT_REASON.RESYNC,
+      });
+      if (result.mode === "bulk") {
+        // Discounts are reprocessed when bulk_operations/finish arrives
+        return json({
+          success: true,
+          bulkImportStarted: true,
+          productCount: result.productCount,
+        });
+      }
       const backfillResult = await ensureLiveDiscountsForShop(
         shopDomain,
         prisma,
@@ -228,7 +322,10 @@ const TAB_FILTERS = [
   {
     id: "hidden",
     content: "Hidden",
-    filter: (d) => d.status === "HIDDEN" || d.status === "SCHEDULED",
+    filter: (d) =>
+      d.status === "HIDDEN" ||
+      d.status === "SCHEDULED" ||
+      d.status === "USAGE_EXHAUSTED",
   },
   {
     id: "unsupported",
@@ -238,6 +335,296 @@ const TAB_FILTERS = [
   },
 ];
 
+const EMPTY_DISPLAY = {
+  badgeText: "",
+  badgeBgColor: "",
+  badgeTextColor: "",
+  icon: "",
+  termsText: "",
+  priority: "0",
+  codeVisibility: "",
+  displayCode: "",
+};
+
+const ICON_OPTIONS = [{ label: "None", value: "" }, ...DISPLAY_ICONS];
+
+const CODE_VISIBILITY_OPTIONS = [
+  { label: "Automatic", value: "" },
+  { label: "Show a code", value: CODE_VISIBILITY.SHOW },
+  { label: "Show the offer without a code", value: CODE_VISIBILITY.HIDE_CODE },
+  { label: "Don't show this discount", value: CODE_VISIBILITY.HIDE },
+];
+
+function toDisplayFields(display) {
+  if (!display) return EMPTY_DISPLAY;
+  return {
+    badgeText: display.badgeText || "",
+    badgeBgColor: display.badgeBgColor || "",
+    badgeTextColor: display.badgeTextColor || "",
+    icon: display.icon || "",
+    termsText: display.termsText || "",
+    priority: String(display.priority ?? 0),
+    codeVisibility: display.codeVisibility || "",
+    displayCode: display.displayCode || "",
+  };
+}
+
+function codeVisibilityHelp(discount) {
+  if (discount.usageLimit === 1 || discount.appliesOncePerCustomer) {
+    return "Automatic hides the code because it is single-use or once per customer.";
+  }
+  if (discount.codeCount > 1) {
+    return `This discount has ${discount.codeCount} codes. Automatic shows the offer without a code unless you pick one below.`;
+  }
+  return "Automatic shows the discount's code.";
+}
+
+function ColorSwatch({ color }) {
+  return (
+    <div
+      style={{
+        width: "16px",
+        height: "16px",
+        borderRadius: "4px",
+        border: "1px solid #ccc",
+        background: color || "transparent",
+      }}
+    />
+  );
+}
+
+/**
+ * Edit panel for one discount's badge text, colors, icon, terms and priority,
+ * plus which code a code discount reveals. Empty fields fall back to the
+ * shop-wide settings.
+ */
+function DisplayConfigModal({ discount, errors, saving, onSave, onClose }) {
+  const [fields, setFields] = useState(() => toDisplayFields(discount.display));
+
+  useEffect(() => {
+    setFields(toDisplayFields(discount.display));
+  }, [discount]);
+
+  const setField = useCallback(
+    (key) => (value) => setFields((prev) => ({ ...prev, [key]: value })),
+    [],
+  );
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={`Customize display: ${discount.title}`}
+      primaryAction={{
+        content: "Save",
+        loading: saving,
+        onAction: () => onSave(fields),
+      }}
+      secondaryActions={[
+        {
+          content: "Reset to shop defaults",
+          disabled: saving,
+          onAction: () => onSave(EMPTY_DISPLAY),
+        },
+      ]}
+    >
+      <Modal.Section>
+        <FormLayout>
+          <TextField
+            label="Badge text"
+            value={fields.badgeText}
+            onChange={setField("badgeText")}
+            error={errors?.badgeText}
+            helpText="Use {amount} for the discount value. Leave empty to use the text from Settings."
+            autoComplete="off"
+          />
+          <FormLayout.Group>
+            <TextField
+              label="Badge background"
+              value={fields.badgeBgColor}
+              onChange={setField("badgeBgColor")}
+              error={errors?.badgeBgColor}
+              placeholder="#E9A417"
+              prefix={<ColorSwatch color={fields.badgeBgColor} />}
+              autoComplete="off"
+            />
+            <TextField
+              label="Badge text color"
+              value={fields.badgeTextColor}
+              onChange={setField("badgeTextColor")}
+              error={errors?.badgeTextColor}
+              placeholder="#FFFFFF"
+              prefix={<ColorSwatch color={fields.badgeTextColor} />}
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <FormLayout.Group>
+            <Select
+              label="Badge icon"
+              options={ICON_OPTIONS}
+              value={fields.icon}
+              onChange={setField("icon")}
+              error={errors?.icon}
+            />
+            <TextField
+              label="Display priority"
+              type="number"
+              min={0}
+              max={100}
+              value={fields.priority}
+              onChange={setField("priority")}
+              error={errors?.priority}
+              helpText="When several discounts apply to a product, the highest priority badge is shown."
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <TextField
+            label="Terms"
+            value={fields.termsText}
+            onChange={setField("termsText")}
+            error={errors?.termsText}
+            multiline={3}
+            helpText="Replaces the shop terms template for this discount. Each line becomes a bullet point."
+            autoComplete="off"
+          />
+          {discount.discountType === "CODE" && (
+            <FormLayout.Group>
+              <Select
+                label="Code on the storefront"
+                options={CODE_VISIBILITY_OPTIONS}
+                value={fields.codeVisibility}
+                onChange={setField("codeVisibility")}
+                error={errors?.codeVisibility}
+                helpText={codeVisibilityHelp(discount)}
+              />
+              <TextField
+                label="Code to show"
+                value={fields.displayCode}
+                onChange={setField("displayCode")}
+                error={errors?.displayCode}
+                disabled={
+                  fields.codeVisibility === CODE_VISIBILITY.HIDE_CODE ||
+                  fields.codeVisibility === CODE_VISIBILITY.HIDE
+                }
+                helpText="One of this discount's codes. Leave empty to show the only code."
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+          )}
+        </FormLayout>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+/**
+ * Drag-and-drop ranking of the discounts competing for live slots. When more
+ * qualify than the plan allows, the ones at the top stay live.
+ */
+function LivePriorityCard({ discounts, priorityOrder, tierInfo, saving, onSave }) {
+  const [order, setOrder] = useState(priorityOrder);
+  const [draggingId, setDraggingId] = useState(null);
+
+  useEffect(() => {
+    setOrder(priorityOrder);
+  }, [priorityOrder]);
+
+  const byId = useMemo(
+    () => Object.fromEntries(discounts.map((d) => [d.id, d])),
+    [discounts],
+  );
+  const isDirty = order.some((id, index) => id !== priorityOrder[index]);
+
+  const handleDragEnter = useCallback(
+    (targetId) => {
+      if (!draggingId || draggingId === targetId) return;
+      setOrder((prev) => {
+        const next = [...prev];
+        next.splice(prev.indexOf(draggingId), 1);
+        next.splice(prev.indexOf(targetId), 0, draggingId);
+        return next;
+      });
+    },
+    [draggingId],
+  );
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text as="h2" variant="headingMd">
+              Live priority
+            </Text>
+            <Text as="p" variant="bodySm" tone="subdued">
+              {tierInfo.isUnlimited
+                ? "Your plan has no live limit, so every discount here is shown. The order is kept if you change plans."
+                : `Drag to reorder. The top ${tierInfo.liveDiscountLimit} stay live when more discounts qualify than your plan allows.`}
+            </Text>
+          </BlockStack>
+          <Button
+            onClick={() => onSave(order)}
+            disabled={!isDirty}
+            loading={saving}
+          >
+            Save order
+          </Button>
+        </InlineStack>
+        <BlockStack gap="100">
+          {order.map((id, index) => {
+            const discount = byId[id];
+            if (!discount) return null;
+            const overLimit =
+              !tierInfo.isUnlimited && index >= tierInfo.liveDiscountLimit;
+            return (
+              <div
+                key={id}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = "move";
+                  e.dataTransfer.setData("text/plain", id);
+                  setDraggingId(id);
+                }}
+                onDragEnter={() => handleDragEnter(id)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => e.preventDefault()}
+                onDragEnd={() => setDraggingId(null)}
+                style={{
+                  cursor: "grab",
+                  opacity: draggingId === id ? 0.5 : 1,
+                }}
+              >
+                <Box
+                  padding="200"
+                  borderWidth="025"
+                  borderColor="border"
+                  borderRadius="200"
+                  background={overLimit ? "bg-surface-secondary" : "bg-surface"}
+                >
+                  <InlineStack gap="300" blockAlign="center" wrap={false}>
+                    <Icon source={DragHandleIcon} tone="subdued" />
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {index + 1}
+                    </Text>
+                    <Text as="span" variant="bodyMd" fontWeight="semibold">
+                      {discount.title}
+                    </Text>
+                    {discount.status === "SCHEDULED" ? (
+                      <Badge tone="info">Scheduled</Badge>
+                    ) : overLimit ? (
+                      <Badge tone="attention">Over plan limit</Badge>
+                    ) : null}
+                  </InlineStack>
+                </Box>
+              </div>
+            );
+          })}
+        </BlockStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
 function isSelectableDiscount(discount) {
   return (
     discount.status !== "NOT_SUPPORTED" &&
@@ -246,11 +633,12 @@ function isSelectableDiscount(discount) {
 }
 
 export default function DiscountsPage() {
-  const { discounts, tierInfo } = useLoaderData();
+  const { discounts, priorityOrder, tierInfo } = useLoaderData();
   const actionData = useActionData();
   const submit = useSubmit();
   const navigation = useNavigation();
   const [selectedTab, setSelectedTab] = useState(0);
+  const [editingId, setEditingId] = useState(null);
 
   const isLoading = navigation.state !== "idle";
 
@@ -290,6 +678,49 @@ export default function DiscountsPage() {
     handleSelectionChange("page", false);
   }, [selectedResources, submit, handleSelectionChange]);
 
+  const editingDiscount = editingId
+    ? discounts.find((d) => d.id === editingId)
+    : null;
+  const isSavingDisplay =
+    navigation.state !== "idle" &&
+    navigation.formData?.get("intent") === "saveDisplay";
+
+  // Close the panel once the save went through
+  useEffect(() => {
+    if (actionData?.displaySaved && actionData.liveDiscountId === editingId) {
+      setEditingId(null);
+    }
+  }, [actionData, editingId]);
+
+  const handleSaveDisplay = useCallback(
+    (fields) => {
+      const formData = new FormData();
+      formData.set("intent", "saveDisplay");
+      formData.set("liveDiscountId", editingId);
+      for (const [key, value] of Object.entries(fields)) {
+        formData.set(key, value);
+      }
+      submit(formData, { method: "post" });
+    },
+    [editingId, submit],
+  );
+
+  const isSavingOrder =
+    navigation.state !== "idle" &&
+    navigation.formData?.get("intent") === "reorder";
+
+  const handleSaveOrder = useCallback(
+    (order) => {
+      const formData = new FormData();
+      formData.set("intent", "reorder");
+      for (const id of order) {
+        formData.append("rankedIds", id);
+      }
+      submit(formData, { method: "post" });
+    },
+    [submit],
+  );
+
   const handleResync = useCallback(() => {
     const formData = new FormData();
     formData.set("intent", "resync");
@@ -363,6 +794,22 @@ export default function DiscountsPage() {
         <IndexTable.Cell>
           <Badge tone={badgeInfo.tone}>{badgeInfo.label}</Badge>
         </IndexTable.Cell>
+        <IndexTable.Cell>
+          {isSelectableDiscount(discount) && (
+            // Keep the click from toggling row selection
+            <div onClick={(e) => e.stopPropagation()}>
+              <InlineStack gap="200" blockAlign="center" wrap={false}>
+                <Button
+                  variant="plain"
+                  onClick={() => setEditingId(discount.id)}
+                >
+                  Customize
+                </Button>
+                {discount.display && <Badge>Custom</Badge>}
+              </InlineStack>
+            </div>
+          )}
+        </IndexTable.Cell>
       </IndexTable.Row>
     );
   });
@@ -378,19 +825,39 @@ export default function DiscountsPage() {
     >
       <BlockStack gap="500">
         {actionData?.error && (
-          <Banner
-            title={actionData.tierLimit ? "Plan limit reached" : "Error"}
-            tone={actionData.tierLimit ? "warning" : "critical"}
-          >
+          <Banner title="Error" tone="critical">
             <p>{actionData.error}</p>
-            {actionData.tierLimit && (
-              <Button url="/app/pricing" variant="plain">
-                View upgrade options
-              </Button>
-            )}
           </Banner>
         )}
 
+        {actionData?.waitingForSlot > 0 && (
+          <Banner title="Plan limit reached" tone="warning">
+            <p>
+              {actionData.waitingForSlot === 1
+                ? "1 discount is hidden because higher-ranked discounts use every live slot."
+                : `${actionData.waitingForSlot} discounts are hidden because higher-ranked discounts use every live slot.`}{" "}
+              Move them up in Live priority to show them instead.
+            </p>
+            <Button url="/app/pricing" variant="plain">
+              View upgrade options
+            </Button>
+          </Banner>
+        )}
+
+        {editingDiscount && (
+          <DisplayConfigModal
+            discount={editingDiscount}
+            errors={
+              actionData?.liveDiscountId === editingId
+                ? actionData.displayErrors
+                : null
+            }
+            saving={isSavingDisplay}
+            onSave={handleSaveDisplay}
+            onClose={() => setEditingId(null)}
+          />
+        )}
+
         {actionData?.resynced && (
           <Banner title="Resync complete" tone="success">
             <p>
@@ -402,6 +869,16 @@ export default function DiscountsPage() {
           </Banner>
         )}
 
+        {actionData?.bulkImportStarted && (
+          <Banner title="Catalog import started" tone="info">
+            <p>
+              Your catalog has {actionData.productCount} products, so it is
+              being imported in the background. Discounts will update when the
+              import finishes, usually within a few minutes.
+            </p>
+          </Banner>
+        )}
+
         <Layout>
           <Layout.Section>
             <Card padding="0">
@@ -482,6 +959,7 @@ export default function DiscountsPage() {
                       { title: "Description" },
                       { title: "" },
                       { title: "Status" },
+                      { title: "Display" },
                     ]}
                     promotedBulkActions={promotedBulkActions}
                     loading={isLoading}
@@ -492,6 +970,18 @@ export default function DiscountsPage() {
               </BlockStack>
             </Card>
           </Layout.Section>
+
+          {priorityOrder.length > 1 && (
+            <Layout.Section>
+              <LivePriorityCard
+                discounts={discounts}
+                priorityOrder={priorityOrder}
+                tierInfo={tierInfo}
+                saving={isSavingOrder}
+                onSave={handleSaveOrder}
+              />
+            </Layout.Section>
+          )}
         </Layout>
       </BlockStack>
     </Page>
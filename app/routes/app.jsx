@@ -19,6 +19,8 @@ export default function App() {
       <NavMenu>
         <Link to="/app" rel="home">Home</Link>
         <Link to="/app/discounts">Manage discounts</Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/preview">Preview</Link>
         <Link to="/app/pricing">Subscription</Link>
         <Link to="/app/settings">Settings</Link>
       </NavMenu>
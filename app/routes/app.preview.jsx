@@ -0,0 +1,310 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useSubmit, useNavigation } from "@remix-run/react";
+import { useCallback } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  DataTable,
+  Select,
+  Button,
+  Banner,
+  Badge,
+  BlockStack,
+  InlineStack,
+  EmptyState,
+} from "@shopify/polaris";
+
+const PURCHASE_OPTIONS = [
+  { label: "One-time purchase", value: "one_time" },
+  { label: "Subscription", value: "subscription" },
+];
+
+const ROLE_LABELS = {
+  AUTOMATIC: "Automatic price",
+  COUPON: "Coupon",
+  CONDITIONAL: "Conditional offer",
+  BXGY: "Buy X Get Y badge",
+  ELIGIBLE: "Eligible (price read from the page)",
+};
+
+export const loader = async ({ request }) => {
+  const { authenticate } = await import("../shopify.server");
+  const prisma = (await import("../db.server.js")).default;
+  const { previewProductDiscounts } = await import(
+    "../utils/discount-preview.server.js"
+  );
+
+  const { session } = await authenticate.admin(request);
+  const shopDomain = session?.shop;
+
+  const params = new URL(request.url).searchParams;
+  const productId = params.get("productId");
+  if (!productId) {
+    return json({ preview: null, productId: null });
+  }
+
+  const preview = await previewProductDiscounts(
+    shopDomain,
+    {
+      productId,
+      variantId: params.get("variantId"),
+      purchaseType: params.get("purchase") || "one_time",
+    },
+    prisma,
+  );
+  return json({ preview, productId });
+};
+
+function formatMoney(cents, currencyCode) {
+  if (cents === null || cents === undefined) return "—";
+  const amount = cents / 100;
+  if (!currencyCode) return amount.toFixed(2);
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: currencyCode,
+    }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currencyCode}`;
+  }
+}
+
+function formatValue(discount, currencyCode) {
+  if (discount.type === "percentage") return `${discount.value}%`;
+  if (discount.type === "fixed") {
+    return formatMoney(discount.value, discount.currencyCode || currencyCode);
+  }
+  return "—";
+}
+
+function discountLabel(discount) {
+  const name = discount.title || `Discount ${discount.id}`;
+  return discount.code ? `${name} (${discount.code})` : name;
+}
+
+export default function PreviewPage() {
+  const { preview, productId } = useLoaderData();
+  const shopify = useAppBridge();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const isLoading = navigation.state !== "idle";
+
+  const runPreview = useCallback(
+    (params) => submit(params, { method: "get" }),
+    [submit],
+  );
+
+  const handlePickProduct = useCallback(async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+      multiple: false,
+    });
+    if (selection?.[0]?.id) {
+      runPreview({ productId: selection[0].id });
+    }
+  }, [shopify, runPreview]);
+
+  const handleVariantChange = useCallback(
+    (value) =>
+      runPreview({
+        productId: preview.product.id,
+        variantId: value,
+        purchase: preview.purchaseType,
+      }),
+    [preview, runPreview],
+  );
+
+  const handlePurchaseChange = useCallback(
+    (value) =>
+      runPreview({
+        productId: preview.product.id,
+        variantId: preview.variantId || "",
+        purchase: value,
+      }),
+    [preview, runPreview],
+  );
+
+  const currencyCode = preview?.currencyCode || null;
+  const variantOptions = (preview?.variants || []).map((v) => ({
+    label: `Variant ${v.id} — ${formatMoney(v.priceCents, v.currencyCode)}`,
+    value: v.id,
+  }));
+
+  const renderedRows = (preview?.rendered || []).map((d) => [
+    discountLabel(d),
+    ROLE_LABELS[d.role] || d.role,
+    formatValue(d, currencyCode),
+    formatMoney(d.finalPriceCents, currencyCode),
+  ]);
+
+  const excludedRows = (preview?.excluded || []).map((d) => [
+    discountLabel(d),
+    d.message,
+  ]);
+
+  return (
+    <Page
+      title="Storefront preview"
+      subtitle="See which discounts a product page would show, and why others are left out"
+      primaryAction={{
+        content: preview ? "Choose another product" : "Choose product",
+        onAction: handlePickProduct,
+        loading: isLoading,
+      }}
+    >
+      <Layout>
+        {productId && !preview && (
+          <Layout.Section>
+            <Banner tone="warning" title="Product not found">
+              <p>
+                This product is not in the app's catalog yet. Resync on the
+                Discounts page and try again.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {!preview ? (
+          <Layout.Section>
+            <Card>
+              <EmptyState
+                heading="Preview a product page"
+                action={{ content: "Choose product", onAction: handlePickProduct }}
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>
+                  Runs the same discount lookup and best-price calculation as
+                  your storefront for one product.
+                </p>
+              </EmptyState>
+            </Card>
+          </Layout.Section>
+        ) : (
+          <>
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      {preview.product.title}
+                    </Text>
+                    <Badge>{`${preview.tier} plan`}</Badge>
+                  </InlineStack>
+                  <InlineStack gap="400" wrap>
+                    {variantOptions.length > 0 && (
+                      <div style={{ minWidth: "240px" }}>
+                        <Select
+                          label="Variant"
+                          options={variantOptions}
+                          value={preview.variantId || ""}
+                          onChange={handleVariantChange}
+                          disabled={isLoading}
+                        />
+                      </div>
+                    )}
+                    <div style={{ minWidth: "200px" }}>
+                      <Select
+                        label="Purchase type"
+                        options={PURCHASE_OPTIONS}
+                        value={preview.purchaseType}
+                        onChange={handlePurchaseChange}
+                        disabled={isLoading}
+                      />
+                    </div>
+                  </InlineStack>
+                  {preview.regularPriceCents === null ? (
+                    <Text as="p" tone="subdued">
+                      No stored price for this product. The storefront reads the
+                      price from the page, so final prices are not shown.
+                    </Text>
+                  ) : (
+                    <InlineStack gap="600">
+                      <BlockStack gap="100">
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          Regular price
+                        </Text>
+                        <Text as="span" variant="headingMd">
+                          {formatMoney(preview.regularPriceCents, currencyCode)}
+                        </Text>
+                      </BlockStack>
+                      <BlockStack gap="100">
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          Shown price
+                        </Text>
+                        <Text as="span" variant="headingMd">
+                          {formatMoney(preview.finalPriceCents, currencyCode)}
+                        </Text>
+                      </BlockStack>
+                      {preview.couponPriceCents !== null && (
+                        <BlockStack gap="100">
+                          <Text as="span" variant="bodySm" tone="subdued">
+                            {preview.stacked
+                              ? "With coupon (stacked)"
+                              : "With coupon"}
+                          </Text>
+                          <Text as="span" variant="headingMd">
+                            {formatMoney(preview.couponPriceCents, currencyCode)}
+                          </Text>
+                        </BlockStack>
+                      )}
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Shown on the product page
+                  </Text>
+                  {renderedRows.length === 0 ? (
+                    <Text as="p" tone="subdued">
+                      No discount would be shown for this product.
+                    </Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "text", "numeric", "numeric"]}
+                      headings={["Discount", "Shown as", "Value", "Final price"]}
+                      rows={renderedRows}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Not shown
+                  </Text>
+                  {excludedRows.length === 0 ? (
+                    <Text as="p" tone="subdued">
+                      Every discount for this product is shown.
+                    </Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "text"]}
+                      headings={["Discount", "Reason"]}
+                      rows={excludedRows}
+                    />
+                  )}
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    The preview uses an empty cart, the shop currency and no
+                    signed-in customer.
+                  </Text>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
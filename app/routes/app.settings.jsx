@@ -1,5 +1,10 @@
 import { json } from "@remix-run/node";
-import { useLoaderData, useActionData, useSubmit } from "@remix-run/react";
+import {
+  useLoaderData,
+  useActionData,
+  useSubmit,
+  useNavigation,
+} from "@remix-run/react";
 import { useState, useCallback, useMemo } from "react";
 import {
   Page,
@@ -16,7 +21,12 @@ import {
   FormLayout,
   Box,
   Divider,
+  Badge,
 } from "@shopify/polaris";
+import {
+  TOKEN_GRACE_OPTIONS,
+  TOKEN_ROTATION_INTERVAL_OPTIONS,
+} from "../utils/constants.js";
 
 const NAMESPACE = "discount_app";
 
@@ -27,6 +37,16 @@ const CUSTOMIZE_DEFAULTS = {
   pp_coupon_text: "Coupon:",
   pp_coupon_apply_label: "Apply {amount} discount",
   pp_coupon_applied_label: "{amount} off coupon applied",
+  pp_coupon_private_text: "Use your personal code at checkout to save {amount}",
+  conditional_offer_text: "Spend {threshold}, get {amount} off",
+  conditional_quantity_offer_text: "Buy {threshold}, get {amount} off",
+  conditional_progress_text: "You're {remaining} away from {amount} off",
+  bxgy_offer_text: "Buy {buys}, get {gets} {reward}",
+  bxgy_spend_offer_text: "Spend {buys}, get {gets} {reward}",
+  bxgy_free_text: "free",
+  bxgy_discounted_text: "at {amount} off",
+  countdown_text: "Ends in {time}",
+  scarcity_text: "Only {count} left",
   auto_apply_coupons: false,
   discount_terms_template:
     "This discount may not combine with other promotions. Please confirm final price at checkout\nValid on selected products only\nWe reserve the right to modify or cancel this offer at any time",
@@ -85,11 +105,17 @@ export const loader = async ({ request }) => {
   const { getShopTierInfo } = await import(
     "../utils/tier-manager.server.js"
   );
+  const { getStorefrontTokenStatus } = await import(
+    "../utils/storefront-token-rotation.server.js"
+  );
 
   const { admin, session } = await authenticate.admin(request);
   const shopDomain = session?.shop;
 
-  const tierInfo = await getShopTierInfo(shopDomain, prisma);
+  const [tierInfo, tokenStatus] = await Promise.all([
+    getShopTierInfo(shopDomain, prisma),
+    getStorefrontTokenStatus(shopDomain, prisma),
+  ]);
 
   // Fetch all settings in one query
   const response = await admin.graphql(buildFetchQuery());
@@ -115,6 +141,7 @@ export const loader = async ({ request }) => {
     customize,
     advanced,
     tierInfo,
+    tokenStatus,
   });
 };
 
@@ -131,6 +158,58 @@ export const action = async ({ request }) => {
   const shopDomain = session?.shop;
 
   const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "rotateToken" || intent === "saveTokenRotation") {
+    const {
+      parseGraceHours,
+      rotateStorefrontToken,
+      setTokenRotationPolicy,
+    } = await import("../utils/storefront-token-rotation.server.js");
+
+    try {
+      if (intent === "rotateToken") {
+        const graceHours = parseGraceHours(formData.get("graceHours"));
+        if (graceHours === null) {
+          return json({ tokenError: "Invalid grace period" }, { status: 400 });
+        }
+        const actor =
+          session?.email || (session?.userId ? String(session.userId) : null);
+        const result = await rotateStorefrontToken(shopDomain, admin, prisma, {
+          graceHours,
+          actor,
+        });
+        if (!result.rotated) {
+          return json(
+            {
+              tokenError: `The token replaced by the last rotation stays valid until ${new Date(result.previousValidUntil).toLocaleString()}. Rotate again after that, or choose "Revoke immediately".`,
+            },
+            { status: 409 },
+          );
+        }
+        return json({ tokenRotated: true, ...result });
+      }
+
+      const rawDays = formData.get("rotationDays");
+      const nextRotationAt = await setTokenRotationPolicy(
+        shopDomain,
+        rawDays ? Number(rawDays) : null,
+        prisma,
+      );
+      return json({ tokenPolicySaved: true, nextRotationAt });
+    } catch (error) {
+      logger.error("Storefront token action failed", {
+        err: error,
+        shop: shopDomain,
+        intent,
+      });
+      return json(
+        { tokenError: "Could not update the storefront token" },
+        { status: 500 },
+      );
+    }
+  }
+
   const settingsJson = formData.get("settings");
 
   if (!settingsJson) {
@@ -321,11 +400,46 @@ function SelectorField({
   );
 }
 
+const ROTATION_REASON_LABELS = {
+  MANUAL: "Rotated manually",
+  SCHEDULED: "Scheduled rotation",
+};
+
+function TokenRotationRow({ rotation }) {
+  const details = [
+    rotation.actor ? `by ${rotation.actor}` : null,
+    rotation.graceEndsAt
+      ? `old token valid until ${new Date(rotation.graceEndsAt).toLocaleString()}`
+      : "old token revoked immediately",
+  ].filter(Boolean);
+
+  return (
+    <InlineStack align="space-between" blockAlign="center" wrap={false}>
+      <BlockStack gap="100">
+        <Text as="span" variant="bodyMd" fontWeight="semibold">
+          {ROTATION_REASON_LABELS[rotation.reason] || rotation.reason}
+        </Text>
+        <Text as="span" variant="bodySm" tone="subdued">
+          {new Date(rotation.createdAt).toLocaleString()} · {details.join(" · ")}
+        </Text>
+      </BlockStack>
+      {!rotation.metafieldSynced && (
+        <Badge tone="warning">Theme not updated</Badge>
+      )}
+    </InlineStack>
+  );
+}
+
 export default function SettingsPage() {
-  const { customize: initialCustomize, advanced: initialAdvanced, tierInfo } =
-    useLoaderData();
+  const {
+    customize: initialCustomize,
+    advanced: initialAdvanced,
+    tierInfo,
+    tokenStatus,
+  } = useLoaderData();
   const actionData = useActionData();
   const submit = useSubmit();
+  const navigation = useNavigation();
 
   const [customize, setCustomize] = useState(initialCustomize);
   const [advanced, setAdvanced] = useState(initialAdvanced);
@@ -353,6 +467,27 @@ export default function SettingsPage() {
     submit(formData, { method: "post" });
   }, [customize, advanced, submit]);
 
+  const [graceHours, setGraceHours] = useState("24");
+  const pendingIntent =
+    navigation.state !== "idle" ? navigation.formData?.get("intent") : null;
+
+  const handleRotateToken = useCallback(() => {
+    const formData = new FormData();
+    formData.set("intent", "rotateToken");
+    formData.set("graceHours", graceHours);
+    submit(formData, { method: "post" });
+  }, [graceHours, submit]);
+
+  const handleRotationDaysChange = useCallback(
+    (value) => {
+      const formData = new FormData();
+      formData.set("intent", "saveTokenRotation");
+      formData.set("rotationDays", value);
+      submit(formData, { method: "post" });
+    },
+    [submit],
+  );
+
   const masterAutoDetect = advanced.use_auto_detect_selectors;
 
   return (
@@ -373,6 +508,24 @@ export default function SettingsPage() {
             <p>{actionData.error}</p>
           </Banner>
         )}
+        {actionData?.tokenRotated && actionData.metafieldSynced && (
+          <Banner title="Storefront token rotated" tone="success" />
+        )}
+        {actionData?.tokenRotated && !actionData.metafieldSynced && (
+          <Banner title="Token rotated, but the theme was not updated" tone="warning">
+            <p>
+              The new token is saved but could not be written to your theme.
+              {actionData.graceEndsAt
+                ? ` Storefronts keep working with the old token until ${new Date(actionData.graceEndsAt).toLocaleString()}.`
+                : " Storefront requests will fail until the theme is updated."}
+            </p>
+          </Banner>
+        )}
+        {actionData?.tokenError && (
+          <Banner title="Storefront token not updated" tone="critical">
+            <p>{actionData.tokenError}</p>
+          </Banner>
+        )}
 
         <Layout>
           {/* Product Cards Section */}
@@ -446,6 +599,15 @@ export default function SettingsPage() {
                   helpText="Use {amount} for the discount value"
                   autoComplete="off"
                 />
+                <TextField
+                  label="Private code label"
+                  value={customize.pp_coupon_private_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("pp_coupon_private_text", v)
+                  }
+                  helpText="Shown instead of the apply label when the code is not displayed, such as single-use codes. Use {amount} for the discount value"
+                  autoComplete="off"
+                />
 
                 <Divider />
 
@@ -486,6 +648,126 @@ export default function SettingsPage() {
             </Card>
           </Layout.AnnotatedSection>
 
+          {/* Conditional Offers Section */}
+          <Layout.AnnotatedSection
+            title="Conditional Offers"
+            description="Text for discounts that need a minimum cart subtotal or quantity."
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  label="Minimum subtotal offer"
+                  value={customize.conditional_offer_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("conditional_offer_text", v)
+                  }
+                  helpText="Use {threshold} for the minimum subtotal and {amount} for the discount value"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Minimum quantity offer"
+                  value={customize.conditional_quantity_offer_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("conditional_quantity_offer_text", v)
+                  }
+                  helpText="Use {threshold} for the minimum item count and {amount} for the discount value"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Cart progress message"
+                  value={customize.conditional_progress_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("conditional_progress_text", v)
+                  }
+                  helpText="Shown on product pages. Use {remaining} for what is left to add and {amount} for the discount value"
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          {/* Buy X Get Y Section */}
+          <Layout.AnnotatedSection
+            title="Buy X Get Y"
+            description="Badge text for Buy X Get Y discounts, shown on both the qualifying and the reward products."
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  label="Quantity offer"
+                  value={customize.bxgy_offer_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("bxgy_offer_text", v)
+                  }
+                  helpText="Use {buys} for the items to buy, {gets} for the items received and {reward} for the reward text"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Spend offer"
+                  value={customize.bxgy_spend_offer_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("bxgy_spend_offer_text", v)
+                  }
+                  helpText="Used when the customer must spend an amount. {buys} is the amount to spend"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Free reward"
+                  value={customize.bxgy_free_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("bxgy_free_text", v)
+                  }
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Discounted reward"
+                  value={customize.bxgy_discounted_text}
+                  onChange={(v) =>
+                    handleCustomizeChange("bxgy_discounted_text", v)
+                  }
+                  helpText="Use {amount} for the discount on the reward items"
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          {/* Countdown Section */}
+          <Layout.AnnotatedSection
+            title="Countdown"
+            description="Live timer for discounts with an end date. Turn it on for badges or the coupon box in the theme editor."
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  label="Countdown text"
+                  value={customize.countdown_text}
+                  onChange={(v) => handleCustomizeChange("countdown_text", v)}
+                  helpText="Use {time} for the time left, e.g. 3h 12m"
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          {/* Scarcity Section */}
+          <Layout.AnnotatedSection
+            title="Scarcity"
+            description="Remaining uses for coupons with a usage limit. Turn it on and set when it appears in the theme editor."
+          >
+            <Card>
+              <FormLayout>
+                <TextField
+                  label="Remaining uses text"
+                  value={customize.scarcity_text}
+                  onChange={(v) => handleCustomizeChange("scarcity_text", v)}
+                  helpText="Use {count} for the uses left"
+                  autoComplete="off"
+                />
+              </FormLayout>
+            </Card>
+          </Layout.AnnotatedSection>
+
           {/* Advanced Theme Selectors */}
           <Layout.AnnotatedSection
             title="Advanced Theme Selectors"
@@ -534,6 +816,78 @@ export default function SettingsPage() {
               </BlockStack>
             </Card>
           </Layout.AnnotatedSection>
+
+          {/* Storefront Token */}
+          <Layout.AnnotatedSection
+            title="Storefront Token"
+            description="Your theme sends this token with every request to the app. Rotate it if it may have leaked, or rotate it on a schedule."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text as="p" variant="bodyMd">
+                    {tokenStatus.rotatedAt
+                      ? `Last rotated ${new Date(tokenStatus.rotatedAt).toLocaleString()}`
+                      : "Not rotated since install"}
+                  </Text>
+                  {tokenStatus.previousValidUntil && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      The previous token works until{" "}
+                      {new Date(tokenStatus.previousValidUntil).toLocaleString()}.
+                    </Text>
+                  )}
+                </BlockStack>
+
+                <FormLayout>
+                  <Select
+                    label="Keep the old token working for"
+                    options={TOKEN_GRACE_OPTIONS}
+                    value={graceHours}
+                    onChange={setGraceHours}
+                    helpText="Pages cached before the rotation still send the old token. Revoke it immediately if it leaked."
+                  />
+                  <InlineStack>
+                    <Button
+                      onClick={handleRotateToken}
+                      loading={pendingIntent === "rotateToken"}
+                      tone={graceHours === "0" ? "critical" : undefined}
+                    >
+                      Rotate token
+                    </Button>
+                  </InlineStack>
+
+                  <Divider />
+
+                  <Select
+                    label="Rotate automatically"
+                    options={TOKEN_ROTATION_INTERVAL_OPTIONS}
+                    value={
+                      tokenStatus.rotationDays
+                        ? String(tokenStatus.rotationDays)
+                        : ""
+                    }
+                    onChange={handleRotationDaysChange}
+                    disabled={pendingIntent === "saveTokenRotation"}
+                    helpText={`Scheduled rotations keep the old token working for ${tokenStatus.scheduledGraceHours} hours.`}
+                  />
+                </FormLayout>
+
+                {tokenStatus.rotations.length > 0 && (
+                  <>
+                    <Divider />
+                    <Text as="h3" variant="headingSm">
+                      Rotation history
+                    </Text>
+                    <BlockStack gap="300">
+                      {tokenStatus.rotations.map((rotation) => (
+                        <TokenRotationRow key={rotation.id} rotation={rotation} />
+                      ))}
+                    </BlockStack>
+                  </>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
         </Layout>
       </BlockStack>
     </Page>
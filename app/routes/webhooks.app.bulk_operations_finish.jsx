@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { createLogger } from "../utils/logger.server.js";
+
+const logger = createLogger("WebhookBulkOperationsFinish");
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, admin } = await authenticate.webhook(request);
+  logger.info("Received bulk_operations/finish webhook", { shop, topic, status: payload?.status });
+
+  if (!payload?.admin_graphql_api_id) {
+    logger.warn("Missing admin_graphql_api_id in payload", { shop });
+    return new Response(JSON.stringify({ error: "Missing admin_graphql_api_id" }), { status: 422, headers: { "Content-Type": "application/json" } });
+  }
+
+  try {
+    // Downloading and importing the catalog takes minutes, so it runs in the job worker
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
+
+    logger.info("bulk_operations/finish accepted", { shop, status, webhookId });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error("Error processing bulk_operations/finish webhook", { err: error, shop });
+    return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
+  }
+};
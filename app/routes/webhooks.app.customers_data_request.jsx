@@ -1,10 +1,34 @@
 import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
 import { createLogger } from "../utils/logger.server.js";
+import { getCustomerMemberships } from "../utils/customer-segments.server.js";
 
 const logger = createLogger("WebhookCustomersDataRequest");
 
 export const action = async ({ request }) => {
-  const { shop, topic } = await authenticate.webhook(request);
-  logger.info("Received customers/data_request webhook — no customer data stored", { shop, topic });
-  return new Response(null, { status: 200 });
+  const { shop, topic, payload } = await authenticate.webhook(request);
+  logger.info("Received customers/data_request webhook", { shop, topic });
+
+  // The only customer data stored is cached segment membership, keyed by customer GID
+  const customerId = payload?.customer?.id;
+  if (!customerId) {
+    return new Response(null, { status: 200 });
+  }
+
+  try {
+    const customerGid = `gid://shopify/Customer/${customerId}`;
+    const memberships = await getCustomerMemberships(shop, customerGid, prisma);
+
+    // The report for the merchant: which segments the customer was checked against and the result
+    logger.info("Customer data request report", {
+      shop,
+      dataRequestId: payload.data_request?.id ?? null,
+      customerGid,
+      memberships,
+    });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error("Error processing customers/data_request webhook", { err: error, shop });
+    return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
+  }
 };
@@ -0,0 +1,26 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { createLogger } from "../utils/logger.server.js";
+
+const logger = createLogger("WebhookCustomersDelete");
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, admin } = await authenticate.webhook(request);
+  logger.info("Received customers/delete webhook", { shop, topic });
+
+  if (!payload?.admin_graphql_api_id) {
+    logger.warn("Missing admin_graphql_api_id in payload", { shop });
+    return new Response(JSON.stringify({ error: "Missing admin_graphql_api_id" }), { status: 422, headers: { "Content-Type": "application/json" } });
+  }
+
+  try {
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
+
+    logger.info("customers/delete accepted", { shop, status, webhookId });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error("Error processing customers/delete webhook", { err: error, shop });
+    return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
+  }
+};
@@ -1,10 +1,27 @@
 import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
 import { createLogger } from "../utils/logger.server.js";
 
 const logger = createLogger("WebhookCustomersRedact");
 
 export const action = async ({ request }) => {
-  const { shop, topic } = await authenticate.webhook(request);
-  logger.info("Received customers/redact webhook — no customer data stored", { shop, topic });
-  return new Response(null, { status: 200 });
+  const { shop, topic, payload } = await authenticate.webhook(request);
+  logger.info("Received customers/redact webhook", { shop, topic });
+
+  // The only customer data stored is cached segment membership, keyed by customer GID
+  const customerId = payload?.customer?.id;
+  if (!customerId) {
+    return new Response(null, { status: 200 });
+  }
+
+  try {
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload }, prisma);
+
+    logger.info("customers/redact accepted", { shop, status, webhookId });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error("Error processing customers/redact webhook", { err: error, shop });
+    return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
+  }
 };
@@ -13,37 +13,11 @@ export const action = async ({ request }) => {
     return new Response(JSON.stringify({ error: "Missing admin_graphql_api_id" }), { status: 422, headers: { "Content-Type": "application/json" } });
   }
 
-  if (!admin) {
-    logger.error("Admin client unavailable for discounts/create", { shop });
-    return new Response(JSON.stringify({ error: "Admin client unavailable" }), { status: 500, headers: { "Content-Type": "application/json" } });
-  }
-
   try {
-    const { graphqlQuery } = await import("../utils/discount-resolver/graphql-client.server.js");
-    const { GET_DISCOUNT_NODE_QUERY } = await import("../utils/discount-resolver/graphql-queries.server.js");
-    const { resolveDiscountTargets } = await import("../utils/discount-resolver/resolve-targets.server.js");
-    const { storeDiscountData } = await import("../utils/discount-resolver/discount-storage.server.js");
-    const { updateLiveDiscountData } = await import("../utils/discount-resolver/live-discount-updater.server.js");
-    const { checkAndCleanupExpiredDiscounts } = await import("../utils/discount-resolver/cleanup.server.js");
-
-    const discountGid = payload.admin_graphql_api_id;
-    const result = await graphqlQuery(admin, GET_DISCOUNT_NODE_QUERY, { id: discountGid });
-
-    if (!result.data?.discountNode?.discount) {
-      logger.warn("No discount data returned from Shopify", { shop, discountGid });
-      return new Response(JSON.stringify({ error: "Discount not found in Shopify" }), { status: 500, headers: { "Content-Type": "application/json" } });
-    }
-
-    const discountData = result.data.discountNode.discount;
-
-    const resolved = await resolveDiscountTargets(admin, discountData, shop, prisma);
-    const resolvedTargets = resolved || { productIds: [], variantIds: [] };
-
-    await storeDiscountData(discountGid, discountData, resolvedTargets, shop, prisma);
-    await updateLiveDiscountData(discountGid, discountData, shop, prisma, { preserveExistingStatus: true });
-    await checkAndCleanupExpiredDiscounts(shop, prisma);
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
 
-    logger.info("discounts/create processed successfully", { shop, discountGid });
+    logger.info("discounts/create accepted", { shop, status, webhookId });
     return new Response(null, { status: 200 });
   } catch (error) {
     logger.error("Error processing discounts/create webhook", { err: error, shop });
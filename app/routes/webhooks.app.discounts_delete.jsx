@@ -5,7 +5,7 @@ import { createLogger } from "../utils/logger.server.js";
 const logger = createLogger("WebhookDiscountsDelete");
 
 export const action = async ({ request }) => {
-  const { shop, topic, payload } = await authenticate.webhook(request);
+  const { shop, topic, payload, admin } = await authenticate.webhook(request);
   logger.debug("discounts/delete webhook received", { shop, topic });
 
   if (!payload?.admin_graphql_api_id) {
@@ -14,20 +14,10 @@ export const action = async ({ request }) => {
   }
 
   try {
-    const { checkAndCleanupExpiredDiscounts } = await import("../utils/discount-resolver/cleanup.server.js");
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
 
-    const discountGid = payload.admin_graphql_api_id;
-
-    const [deleted, deletedLive] = await prisma.$transaction([
-      prisma.discount.deleteMany({ where: { gid: discountGid, shop } }),
-      prisma.liveDiscount.deleteMany({ where: { gid: discountGid, shop } }),
-    ]);
-
-    logger.info("discounts/delete processed", {
-      shop, discountGid, deletedDiscount: deleted.count, deletedLive: deletedLive.count,
-    });
-
-    await checkAndCleanupExpiredDiscounts(shop, prisma);
+    logger.info("discounts/delete accepted", { shop, status, webhookId });
     return new Response(null, { status: 200 });
   } catch (error) {
     logger.error("Error processing discounts/delete webhook", { err: error, shop });
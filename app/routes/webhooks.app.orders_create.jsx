@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { createLogger } from "../utils/logger.server.js";
+import { orderHasDiscounts } from "../utils/storefront-analytics.server.js";
+
+const logger = createLogger("WebhookOrdersCreate");
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, admin } = await authenticate.webhook(request);
+  logger.debug("orders/create webhook received", { shop, topic });
+
+  // Orders without discounts can't be attributed, so they are not queued
+  if (!orderHasDiscounts(payload)) {
+    return new Response(null, { status: 200 });
+  }
+
+  try {
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
+
+    logger.info("orders/create accepted", { shop, status, webhookId });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error("Error processing orders/create webhook", { err: error, shop });
+    return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
+  }
+};
@@ -8,32 +8,19 @@ export const action = async ({ request }) => {
   const { shop, topic, payload, admin } = await authenticate.webhook(request);
   logger.info("Received products/delete webhook", { shop, topic });
 
-  const productGid = payload?.admin_graphql_api_id;
-  if (!productGid) {
+  if (!payload?.admin_graphql_api_id) {
     logger.warn("Missing admin_graphql_api_id in payload", { shop });
     return new Response(JSON.stringify({ error: "Missing admin_graphql_api_id" }), { status: 422, headers: { "Content-Type": "application/json" } });
   }
 
   try {
-    // Reprocess affected discounts BEFORE deleting the product
-    if (admin) {
-      const { reprocessDiscountsForProduct } = await import("../utils/discount-resolver/reprocess.server.js");
-      const result = await reprocessDiscountsForProduct(admin, productGid, shop, prisma);
-      logger.info("Reprocessed affected discounts", { shop, productGid, processed: result.processed });
-    }
-
-    // Delete product from local DB
-    const deleted = await prisma.product.deleteMany({
-      where: { gid: productGid, shop },
-    });
-
-    logger.info("Product delete processed", {
-      shop, productGid, deletedCount: deleted.count,
-    });
+    const { enqueueWebhook } = await import("../utils/webhook-queue.server.js");
+    const { status, webhookId } = await enqueueWebhook(request, { shop, topic, payload, admin }, prisma);
 
+    logger.info("products/delete accepted", { shop, status, webhookId });
     return new Response(null, { status: 200 });
   } catch (error) {
-    logger.error("Error processing products/delete webhook", { err: error, shop, productGid });
+    logger.error("Error processing products/delete webhook", { err: error, shop });
     return new Response(JSON.stringify({ error: "Internal server error" }), { status: 500, headers: { "Content-Type": "application/json" } });
   }
 };
@@ -12,11 +12,21 @@ export const action = async ({ request }) => {
     // Safety net — data should already be cleaned by app/uninstalled.
     // Delete any remaining shop-scoped data.
     const deleted = await prisma.$transaction([
+      prisma.discountDisplayConfig.deleteMany({ where: { shop } }),
       prisma.liveDiscount.deleteMany({ where: { shop } }),
       prisma.discount.deleteMany({ where: { shop } }),
+      prisma.productVariant.deleteMany({ where: { shop } }),
       prisma.product.deleteMany({ where: { shop } }),
       prisma.collection.deleteMany({ where: { shop } }),
       prisma.setupTask.deleteMany({ where: { shop } }),
+      prisma.customerSegmentMembership.deleteMany({ where: { shop } }),
+      prisma.scheduledJob.deleteMany({ where: { shop } }),
+      prisma.deadLetterJob.deleteMany({ where: { shop } }),
+      prisma.bulkImport.deleteMany({ where: { shop } }),
+      prisma.marketCurrency.deleteMany({ where: { shop } }),
+      prisma.discountEventCount.deleteMany({ where: { shop } }),
+      prisma.orderAttribution.deleteMany({ where: { shop } }),
+      prisma.storefrontTokenRotation.deleteMany({ where: { shop } }),
       prisma.session.deleteMany({ where: { shop } }),
     ]);
 
@@ -10,6 +10,7 @@ import { createLogger } from "./utils/logger.server.js";
 import { getOrCreateShopTier } from "./utils/tier-manager.server";
 import { initProcessMetafields } from "./utils/init-process-metafields.server";
 import { initProcessDiscounts } from "./utils/init-process-discounts.server";
+import { syncMarketCurrencies } from "./utils/market-currencies.server.js";
 import { TIER_CONFIG } from "./utils/tier-manager.js";
 
 const logger = createLogger("ShopifyConfig");
@@ -99,7 +100,16 @@ export const shopifyShopInstall = async (context, shopDomain, db, admin) => {
   try {
     await getOrCreateShopTier(shopDomain, db, true);
     await initProcessMetafields(shopDomain, admin, db);
-    await initProcessDiscounts(shopDomain, db, admin);
+    // Not fatal: storefront requests queue a retry while the cache is empty
+    await syncMarketCurrencies(admin, shopDomain, db).catch((error) => {
+      logger.warn("Market currency sync failed during install", { err: error, shop: shopDomain });
+    });
+    const importResult = await initProcessDiscounts(shopDomain, db, admin);
+
+    // Bulk imports stay "init" until bulk_operations/finish completes them
+    if (importResult?.mode === "bulk") {
+      return;
+    }
 
     await db.shop.updateMany({
       where: { domain: shopDomain },
@@ -120,11 +130,21 @@ export const shopifyShopUninstall = async (db, shop) => {
   try {
     return await db.$transaction([
       db.session.deleteMany({ where: { shop } }),
+      db.discountDisplayConfig.deleteMany({ where: { shop } }),
       db.liveDiscount.deleteMany({ where: { shop } }),
       db.discount.deleteMany({ where: { shop } }),
+      db.productVariant.deleteMany({ where: { shop } }),
       db.product.deleteMany({ where: { shop } }),
       db.collection.deleteMany({ where: { shop } }),
       db.setupTask.deleteMany({ where: { shop } }),
+      db.customerSegmentMembership.deleteMany({ where: { shop } }),
+      db.scheduledJob.deleteMany({ where: { shop } }),
+      db.deadLetterJob.deleteMany({ where: { shop } }),
+      db.bulkImport.deleteMany({ where: { shop } }),
+      db.marketCurrency.deleteMany({ where: { shop } }),
+      db.discountEventCount.deleteMany({ where: { shop } }),
+      db.orderAttribution.deleteMany({ where: { shop } }),
+      db.storefrontTokenRotation.deleteMany({ where: { shop } }),
       db.shop.updateMany({
         where: { domain: shop },
         data: {
@@ -131,13 +131,22 @@ export function createMockBxgyDiscount(overrides = {}) {
     summary: "Buy 2 get 1 free",
     discountClass: "PRODUCT",
     context: { __typename: "DiscountContextAll" },
+    customerBuys: {
+      items: {
+        products: { nodes: [{ id: "gid://shopify/Product/111" }] },
+      },
+      value: { quantity: "2" },
+    },
     customerGets: {
       appliesOnOneTimePurchase: true,
       appliesOnSubscription: false,
       items: {
-        products: { nodes: [{ id: "gid://shopify/Product/111" }] },
+        products: { nodes: [{ id: "gid://shopify/Product/222" }] },
+      },
+      value: {
+        quantity: { quantity: "1" },
+        effect: { percentage: 1.0 },
       },
-      value: { percentage: 1.0 },
     },
     ...overrides,
   };
@@ -302,6 +311,7 @@ export function createMockPrisma() {
       findUnique: vi.fn(),
       findFirst: vi.fn(),
       update: vi.fn(),
+      updateMany: vi.fn(),
       upsert: vi.fn(),
       create: vi.fn(),
     },
@@ -312,20 +322,29 @@ export function createMockPrisma() {
       create: vi.fn(),
       upsert: vi.fn(),
       update: vi.fn(),
+      updateMany: vi.fn(),
       deleteMany: vi.fn(),
     },
     liveDiscount: {
       findUnique: vi.fn(),
       findFirst: vi.fn(),
       findMany: vi.fn(),
+      count: vi.fn(),
       create: vi.fn(),
       upsert: vi.fn(),
       update: vi.fn(),
+      updateMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    discountDisplayConfig: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
       deleteMany: vi.fn(),
     },
     collection: {
       findFirst: vi.fn(),
       findMany: vi.fn(),
+      update: vi.fn(),
       upsert: vi.fn(),
       deleteMany: vi.fn(),
     },
@@ -336,6 +355,11 @@ export function createMockPrisma() {
       upsert: vi.fn(),
       deleteMany: vi.fn(),
     },
+    productVariant: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
     discountTarget: {
       findMany: vi.fn(),
       createMany: vi.fn(),
@@ -352,13 +376,78 @@ export function createMockPrisma() {
       deleteMany: vi.fn(),
     },
     discountCode: {
+      findFirst: vi.fn(),
       findMany: vi.fn(),
       createMany: vi.fn(),
       deleteMany: vi.fn(),
     },
+    discountBxgyTarget: {
+      findMany: vi.fn(),
+      createMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    discountBxgyProduct: {
+      findMany: vi.fn(),
+      createMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    customerSegmentMembership: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    scheduledJob: {
+      findMany: vi.fn(),
+      findFirst: vi.fn(),
+      findUnique: vi.fn(),
+      create: vi.fn(),
+      upsert: vi.fn(),
+      updateMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    deadLetterJob: {
+      findMany: vi.fn(),
+      findFirst: vi.fn(),
+      upsert: vi.fn(),
+      delete: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    bulkImport: {
+      findFirst: vi.fn(),
+      findUnique: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    marketCurrency: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    discountEventCount: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    orderAttribution: {
+      findMany: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
     planSubscriptionLog: {
       create: vi.fn(),
     },
+    storefrontTokenRotation: {
+      findMany: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    kvEntry: {
+      findUnique: vi.fn(),
+      upsert: vi.fn(),
+      deleteMany: vi.fn(),
+    },
     session: {
       deleteMany: vi.fn(),
     },
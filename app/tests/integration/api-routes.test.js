@@ -15,8 +15,13 @@ vi.mock("../../db.server", () => ({
   default: {
     liveDiscount: { findMany: vi.fn() },
     discount: { findMany: vi.fn() },
-    product: { findMany: vi.fn() },
+    product: { findMany: vi.fn(), findFirst: vi.fn() },
+    collection: { findMany: vi.fn() },
+    productVariant: { findMany: vi.fn() },
+    marketCurrency: { findMany: vi.fn() },
+    discountEventCount: { upsert: vi.fn() },
     shop: { findUnique: vi.fn() },
+    $transaction: vi.fn((operations) => Promise.all(operations)),
   },
 }));
 
@@ -33,7 +38,7 @@ vi.mock("../../utils/storefront-auth.server.js", () => ({
 
 // Mock rate limiter
 vi.mock("../../utils/rate-limiter.server.js", () => ({
-  checkRateLimit: vi.fn().mockReturnValue({
+  checkRateLimit: vi.fn().mockResolvedValue({
     allowed: true,
     remaining: 59,
     limit: 60,
@@ -43,6 +48,14 @@ vi.mock("../../utils/rate-limiter.server.js", () => ({
   createRateLimitResponse: vi.fn(),
 }));
 
+// Mock customer identity + segment membership
+vi.mock("../../utils/customer-identity.server.js", () => ({
+  getVerifiedCustomer: vi.fn().mockResolvedValue(null),
+}));
+vi.mock("../../utils/customer-segments.server.js", () => ({
+  getEligibleSegmentDiscountIds: vi.fn().mockResolvedValue(new Set()),
+}));
+
 // Mock CORS
 vi.mock("../../utils/cors.server.js", () => ({
   getCorsHeaders: vi.fn().mockReturnValue({
@@ -55,6 +68,11 @@ vi.mock("../../utils/cors.server.js", () => ({
     .mockReturnValue(new Response(null, { status: 200 })),
 }));
 
+// Mock admin auth
+vi.mock("../../shopify.server", () => ({
+  authenticate: { admin: vi.fn() },
+}));
+
 // Import route modules AFTER mocks
 import {
   loader as discountsLoader,
@@ -64,6 +82,9 @@ import {
   loader as bestDiscountsLoader,
   action as bestDiscountsAction,
 } from "../../routes/api.best-discounts.jsx";
+import { action as eventsAction } from "../../routes/api.events.jsx";
+import { loader as explainLoader } from "../../routes/api.discounts.explain.jsx";
+import { authenticate } from "../../shopify.server";
 import { getShopTierInfo } from "../../utils/tier-manager.server.js";
 import prisma from "../../db.server";
 import {
@@ -79,16 +100,20 @@ import {
   getCorsHeaders,
   createCorsPreflightResponse,
 } from "../../utils/cors.server.js";
+import { getVerifiedCustomer } from "../../utils/customer-identity.server.js";
+import { getEligibleSegmentDiscountIds } from "../../utils/customer-segments.server.js";
+import { clearDisplaySnapshots, invalidateDisplaySnapshot } from "../../utils/display-snapshot.server.js";
 
 describe("API Routes - Integration Tests", () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Reset all mocks before each test
     vi.clearAllMocks();
+    await clearDisplaySnapshots();
 
     // Reset default mock implementations
     authenticateStorefrontRequest.mockResolvedValue(true);
     isStorefrontAuthEnforced.mockReturnValue(false);
-    checkRateLimit.mockReturnValue({
+    checkRateLimit.mockResolvedValue({
       allowed: true,
       remaining: 59,
       limit: 60,
@@ -101,6 +126,13 @@ describe("API Routes - Integration Tests", () => {
     });
     getRateLimitHeaders.mockReturnValue({});
     getShopTierInfo.mockResolvedValue({ tier: "FREE" });
+    getVerifiedCustomer.mockResolvedValue(null);
+    getEligibleSegmentDiscountIds.mockResolvedValue(new Set());
+    prisma.productVariant.findMany.mockResolvedValue([]);
+    prisma.marketCurrency.findMany.mockResolvedValue([
+      { currencyCode: "USD", isShopCurrency: true, manualRate: null, countryCodes: "[]", syncedAt: new Date() },
+      { currencyCode: "EUR", isShopCurrency: false, manualRate: 0.9, countryCodes: '["DE","FR"]', syncedAt: new Date() },
+    ]);
   });
 
   describe("GET /api/discounts", () => {
@@ -186,12 +218,114 @@ describe("API Routes - Integration Tests", () => {
       expect(data.products["111"].discounts[0].type).toBe("percentage");
       expect(data.products["111"].discounts[0].value).toBe(20); // 0.2 * 100
       expect(data.products["111"].discounts[0].isAutomatic).toBe(true);
+      expect(data.products["111"].discounts[0].combinesWith).toEqual({
+        productDiscounts: false,
+        orderDiscounts: false,
+        shippingDiscounts: false,
+      });
       expect(data.products["111"].handle).toBe("test-product");
       expect(data.autoApplyEnabled).toBe(false); // FREE tier
     });
 
+    it("should return the full end timestamp alongside the end date", async () => {
+      const endsAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      prisma.liveDiscount.findMany.mockResolvedValue([{
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt,
+      }]);
+      prisma.discount.findMany.mockResolvedValue([{
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage: 0.1,
+        endsAt,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      }]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      expect(data.products["111"].discounts[0]).toMatchObject({
+        endDate: endsAt.toISOString().split("T")[0],
+        endsAt: endsAt.toISOString(),
+      });
+    });
+
+    it("should ship display overrides and list higher priority discounts first", async () => {
+      const liveDiscount = (id, displayConfig) => ({
+        gid: `gid://shopify/DiscountAutomaticNode/${id}`,
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+        displayConfig,
+      });
+      const detail = (id) => ({
+        gid: `gid://shopify/DiscountAutomaticNode/${id}`,
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage: 0.1,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      });
+      prisma.liveDiscount.findMany.mockResolvedValue([
+        liveDiscount("1", null),
+        liveDiscount("2", {
+          badgeText: "Black Friday {amount}",
+          badgeBgColor: "#000000",
+          badgeTextColor: null,
+          icon: "fire",
+          termsText: null,
+          priority: 10,
+        }),
+      ]);
+      prisma.discount.findMany.mockResolvedValue([detail("1"), detail("2")]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      expect(prisma.liveDiscount.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ include: { displayConfig: true } })
+      );
+      const [first, second] = data.products["111"].discounts;
+      expect(first.id).toBe("2");
+      expect(first.display).toEqual({
+        badgeText: "Black Friday {amount}",
+        badgeBgColor: "#000000",
+        icon: "fire",
+        priority: 10,
+      });
+      expect(second.id).toBe("1");
+      expect(second.display).toBeUndefined();
+    });
+
     it("should return 429 when rate limit is exceeded", async () => {
-      checkRateLimit.mockReturnValue({
+      checkRateLimit.mockResolvedValue({
         allowed: false,
         remaining: 0,
         limit: 60,
@@ -414,7 +548,7 @@ describe("API Routes - Integration Tests", () => {
       );
     });
 
-    it("should skip discounts with minimum requirements", async () => {
+    it("should expose minimum subtotal requirement as a conditional offer", async () => {
       const mockLiveDiscount = {
         id: "ld-1",
         gid: "gid://shopify/DiscountAutomaticNode/123",
@@ -441,7 +575,9 @@ describe("API Routes - Integration Tests", () => {
         endsAt: null,
         appliesOnOneTimePurchase: true,
         appliesOnSubscription: false,
-        minimumRequirement: "MINIMUM_PURCHASE_AMOUNT",
+        minimumRequirement: {
+          greaterThanOrEqualToSubtotal: { amount: "50.0", currencyCode: "USD" },
+        },
         targets: [
           {
             targetType: "PRODUCT",
@@ -470,8 +606,259 @@ describe("API Routes - Integration Tests", () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      // Discount with minimum requirement should be excluded, so no product entry is created
-      expect(data.products["111"]).toBeUndefined();
+      expect(data.products["111"]).toBeDefined();
+      expect(data.products["111"].discounts[0].minimumRequirement).toEqual({
+        type: "subtotal",
+        amountCents: 5000,
+        currencyCode: "USD",
+      });
+    });
+
+    it("should omit minimumRequirement for unconditional discounts", async () => {
+      const mockLiveDiscount = {
+        id: "ld-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        shopId: "shop-1",
+        status: "LIVE",
+        summary: "20% off",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+        exclusionReason: null,
+        exclusionDetails: null,
+      };
+
+      const mockDetailedDiscount = {
+        id: "d-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage: 0.2,
+        amount: null,
+        currencyCode: null,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [
+          {
+            targetType: "PRODUCT",
+            targetGid: "gid://shopify/Product/111",
+          },
+        ],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      };
+
+      prisma.liveDiscount.findMany.mockResolvedValue([mockLiveDiscount]);
+      prisma.discount.findMany.mockResolvedValue([mockDetailedDiscount]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      expect(data.products["111"].discounts[0].minimumRequirement).toBeUndefined();
+      expect(data.products["111"].discounts[0].kind).toBe("basic");
+    });
+
+    it("should emit bxgy kind with a role for qualifying and reward products", async () => {
+      const mockLiveDiscount = {
+        id: "ld-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        shopId: "shop-1",
+        status: "LIVE",
+        summary: "Buy 2 get 1 free",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+        exclusionReason: null,
+        exclusionDetails: null,
+      };
+
+      const mockDetailedDiscount = {
+        id: "d-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage: 1.0,
+        amount: null,
+        currencyCode: null,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        buysQuantity: 2,
+        buysAmount: null,
+        getsQuantity: 1,
+        targets: [
+          {
+            targetType: "PRODUCT",
+            targetGid: "gid://shopify/Product/222",
+          },
+        ],
+        products: [
+          { productGid: "gid://shopify/Product/111" },
+          { productGid: "gid://shopify/Product/222" },
+        ],
+        variants: [],
+        codes: [],
+        bxgyProducts: [
+          { side: "BUYS", productGid: "gid://shopify/Product/111" },
+          { side: "GETS", productGid: "gid://shopify/Product/222" },
+        ],
+      };
+
+      prisma.liveDiscount.findMany.mockResolvedValue([mockLiveDiscount]);
+      prisma.discount.findMany.mockResolvedValue([mockDetailedDiscount]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111,222"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      const buysDiscount = data.products["111"].discounts[0];
+      const getsDiscount = data.products["222"].discounts[0];
+
+      expect(buysDiscount.kind).toBe("bxgy");
+      expect(buysDiscount.bxgy).toEqual({
+        buys: { quantity: 2, amountCents: null },
+        gets: { quantity: 1, percentage: 100, amountCents: null, isFree: true },
+        role: "buys",
+      });
+      expect(getsDiscount.bxgy.role).toBe("gets");
+      expect(getsDiscount.variantScope).toEqual({ type: "ALL", ids: [] });
+    });
+
+    it("should emit an amount-off bxgy reward in the presentment currency", async () => {
+      getShopTierInfo.mockResolvedValue({ tier: "BASIC" });
+      prisma.liveDiscount.findMany.mockResolvedValue([{
+        id: "ld-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+      }]);
+      prisma.discount.findMany.mockResolvedValue([{
+        id: "d-1",
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        discountType: "AUTO",
+        valueType: "AMOUNT",
+        percentage: null,
+        amount: 5,
+        currencyCode: "USD",
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        buysQuantity: 2,
+        buysAmount: null,
+        getsQuantity: 1,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+        bxgyProducts: [
+          { side: "BUYS", productGid: "gid://shopify/Product/111" },
+          { side: "GETS", productGid: "gid://shopify/Product/111" },
+        ],
+      }]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const load = async (query) => {
+        const response = await discountsLoader({
+          request: new Request(`http://localhost/api/discounts?shop=test.myshopify.com&productIds=111${query}`),
+        });
+        return (await response.json()).products["111"].discounts[0];
+      };
+
+      const discount = await load("");
+      expect(discount).toMatchObject({ kind: "bxgy", type: "fixed", value: 500, currencyCode: "USD" });
+      expect(discount.bxgy).toEqual({
+        buys: { quantity: 2, amountCents: null },
+        gets: { quantity: 1, percentage: null, amountCents: 500, isFree: false },
+        role: "both",
+      });
+
+      const presented = await load("&country=DE");
+      expect(presented).toMatchObject({ value: 450, currencyCode: "EUR" });
+      expect(presented.bxgy.gets.amountCents).toBe(450);
+    });
+
+    it("should only return customer-segment discounts to eligible signed-in customers", async () => {
+      const segmentGid = "gid://shopify/DiscountAutomaticNode/900";
+      prisma.liveDiscount.findMany.mockResolvedValue([
+        {
+          id: "ld-900",
+          gid: segmentGid,
+          shop: "test.myshopify.com",
+          status: "LIVE",
+          startsAt: new Date("2024-01-01"),
+          endsAt: null,
+        },
+      ]);
+      prisma.discount.findMany.mockResolvedValue([
+        {
+          id: "d-900",
+          gid: segmentGid,
+          shop: "test.myshopify.com",
+          discountType: "AUTO",
+          valueType: "PERCENTAGE",
+          percentage: 0.15,
+          endsAt: null,
+          appliesOnOneTimePurchase: true,
+          appliesOnSubscription: false,
+          minimumRequirement: null,
+          customerSelectionAll: false,
+          customerSegments: JSON.stringify([{ type: "SEGMENT", gid: "gid://shopify/Segment/1", name: "VIP" }]),
+          targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+          products: [{ productGid: "gid://shopify/Product/111" }],
+          variants: [],
+          codes: [],
+        },
+      ]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      // Guest: hidden, membership never checked
+      const guestResponse = await discountsLoader({
+        request: new Request("http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"),
+      });
+      const guestData = await guestResponse.json();
+      expect(guestData.products["111"]).toBeUndefined();
+      expect(getEligibleSegmentDiscountIds).not.toHaveBeenCalled();
+
+      // Signed-in VIP: shown
+      const customer = { customerGid: "gid://shopify/Customer/7", tags: "vip" };
+      getVerifiedCustomer.mockResolvedValue(customer);
+      getEligibleSegmentDiscountIds.mockResolvedValue(new Set([segmentGid]));
+
+      const memberResponse = await discountsLoader({
+        request: new Request(
+          "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111&customerId=7&customerTags=vip&customerTs=1&customerSig=abc"
+        ),
+      });
+      const memberData = await memberResponse.json();
+      expect(memberData.products["111"].discounts).toHaveLength(1);
+      expect(memberData.products["111"].discounts[0].value).toBe(15);
+      expect(getEligibleSegmentDiscountIds).toHaveBeenCalledWith(
+        "test.myshopify.com",
+        customer,
+        [expect.objectContaining({ gid: segmentGid })],
+        prisma,
+        expect.objectContaining({ getAdmin: expect.any(Function) }),
+      );
     });
 
     it("should include coupon code for CODE-type discounts", async () => {
@@ -533,6 +920,390 @@ describe("API Routes - Integration Tests", () => {
       expect(data.products["111"].discounts[0].isAutomatic).toBe(false);
       expect(data.products["111"].discounts[0].code).toBe("SAVE20");
     });
+
+    it("should reveal only the chosen code and hide codes of once-per-customer discounts", async () => {
+      const codeDiscount = (id, overrides = {}) => ({
+        live: {
+          id: `ld-${id}`,
+          gid: `gid://shopify/DiscountCodeNode/${id}`,
+          shop: "test.myshopify.com",
+          status: "LIVE",
+          discountType: "CODE",
+          startsAt: new Date("2024-01-01"),
+          endsAt: null,
+          displayConfig: overrides.displayConfig || null,
+        },
+        detail: {
+          gid: `gid://shopify/DiscountCodeNode/${id}`,
+          shop: "test.myshopify.com",
+          discountType: "CODE",
+          valueType: "PERCENTAGE",
+          percentage: 0.1,
+          endsAt: null,
+          appliesOnOneTimePurchase: true,
+          appliesOnSubscription: false,
+          appliesOncePerCustomer: !!overrides.appliesOncePerCustomer,
+          usageLimit: null,
+          minimumRequirement: null,
+          targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+          products: [{ productGid: "gid://shopify/Product/111" }],
+          variants: [],
+          codes: overrides.codes,
+        },
+      });
+      const influencer = codeDiscount("1", {
+        codes: [{ code: "ANNA10" }, { code: "MAX10" }, { code: "SHOP10" }],
+        displayConfig: { priority: 0, displayCode: "SHOP10" },
+      });
+      const welcome = codeDiscount("2", { codes: [{ code: "WELCOME" }], appliesOncePerCustomer: true });
+      const hidden = codeDiscount("3", {
+        codes: [{ code: "VIP" }],
+        displayConfig: { priority: 0, codeVisibility: "HIDE" },
+      });
+      const all = [influencer, welcome, hidden];
+
+      prisma.liveDiscount.findMany.mockResolvedValue(all.map((d) => d.live));
+      prisma.discount.findMany.mockResolvedValue(all.map((d) => d.detail));
+      prisma.product.findMany.mockResolvedValue([
+        { gid: "gid://shopify/Product/111", handle: "test-product", singlePrice: false },
+      ]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      const byId = Object.fromEntries(data.products["111"].discounts.map((d) => [d.id, d]));
+      expect(Object.keys(byId).sort()).toEqual(["1", "2"]);
+      expect(byId["1"].code).toBe("SHOP10");
+      expect(byId["2"].code).toBeUndefined();
+      expect(byId["2"].codeHidden).toBe(true);
+    });
+
+    it("should report remaining uses for capped code discounts", async () => {
+      const live = (id) => ({
+        id: `ld-${id}`,
+        gid: `gid://shopify/DiscountCodeNode/${id}`,
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        discountType: "CODE",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+        displayConfig: null,
+      });
+      const detail = (id, usage) => ({
+        gid: `gid://shopify/DiscountCodeNode/${id}`,
+        shop: "test.myshopify.com",
+        discountType: "CODE",
+        valueType: "PERCENTAGE",
+        percentage: 0.1,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [{ code: `CODE${id}` }],
+        ...usage,
+      });
+
+      prisma.liveDiscount.findMany.mockResolvedValue([live("1"), live("2")]);
+      prisma.discount.findMany.mockResolvedValue([
+        detail("1", { usageLimit: 50, asyncUsageCount: 47 }),
+        detail("2", { usageLimit: null, asyncUsageCount: 900 }),
+      ]);
+      prisma.product.findMany.mockResolvedValue([
+        { gid: "gid://shopify/Product/111", handle: "test-product", singlePrice: false },
+      ]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      const byId = Object.fromEntries(data.products["111"].discounts.map((d) => [d.id, d]));
+      expect(byId["1"].usesLeft).toBe(3);
+      expect(byId["2"].usesLeft).toBeUndefined();
+    });
+
+    it("should return precomputed prices for variants with a stored price", async () => {
+      getShopTierInfo.mockResolvedValue({ tier: "BASIC" });
+      const liveDiscount = (gid, discountType) => ({
+        id: gid,
+        gid,
+        shop: "test.myshopify.com",
+        shopId: "shop-1",
+        status: "LIVE",
+        discountType,
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+      });
+      const detailedDiscount = (gid, discountType, value) => ({
+        id: gid,
+        gid,
+        shop: "test.myshopify.com",
+        discountType,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: discountType === "CODE" ? [{ code: "FIVEOFF" }] : [],
+        ...value,
+      });
+
+      prisma.liveDiscount.findMany.mockResolvedValue([
+        liveDiscount("gid://shopify/DiscountAutomaticNode/1", "AUTO"),
+        liveDiscount("gid://shopify/DiscountCodeNode/2", "CODE"),
+      ]);
+      prisma.discount.findMany.mockResolvedValue([
+        detailedDiscount("gid://shopify/DiscountAutomaticNode/1", "AUTO", { valueType: "PERCENTAGE", percentage: 0.1 }),
+        detailedDiscount("gid://shopify/DiscountCodeNode/2", "CODE", { valueType: "AMOUNT", amount: 5 }),
+      ]);
+      prisma.product.findMany.mockResolvedValue([
+        { gid: "gid://shopify/Product/111", handle: "test-product", singlePrice: false },
+      ]);
+      prisma.productVariant.findMany.mockResolvedValue([
+        {
+          gid: "gid://shopify/ProductVariant/501",
+          productGid: "gid://shopify/Product/111",
+          priceCents: 2000,
+          compareAtPriceCents: 2500,
+          currencyCode: "USD",
+        },
+      ]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      expect(prisma.productVariant.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop: "test.myshopify.com", productGid: { in: ["gid://shopify/Product/111"] } },
+      }));
+      const fixed = data.products["111"].discounts.find((d) => d.type === "fixed");
+      expect(fixed.value).toBe(500);
+      expect(data.products["111"].variants["501"]).toEqual({
+        regularPriceCents: 2000,
+        compareAtPriceCents: 2500,
+        currencyCode: "USD",
+        finalPriceCents: 1800,
+        couponPriceCents: 1500,
+      });
+    });
+
+    it("should convert fixed amounts into the presentment currency", async () => {
+      getShopTierInfo.mockResolvedValue({ tier: "BASIC" });
+      prisma.liveDiscount.findMany.mockResolvedValue([{
+        id: "ld-1",
+        gid: "gid://shopify/DiscountAutomaticNode/1",
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        discountType: "AUTO",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+      }]);
+      prisma.discount.findMany.mockResolvedValue([{
+        id: "d-1",
+        gid: "gid://shopify/DiscountAutomaticNode/1",
+        shop: "test.myshopify.com",
+        discountType: "AUTO",
+        valueType: "AMOUNT",
+        amount: 10,
+        currencyCode: "USD",
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: {
+          greaterThanOrEqualToSubtotal: { amount: "50.0", currencyCode: "USD" },
+        },
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      }]);
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const request = new Request(
+        "http://localhost/api/discounts?shop=test.myshopify.com&productIds=111&country=DE"
+      );
+      const response = await discountsLoader({ request });
+      const data = await response.json();
+
+      const discount = data.products["111"].discounts[0];
+      expect(discount).toMatchObject({ type: "fixed", value: 900, currencyCode: "EUR" });
+      expect(discount.minimumRequirement).toMatchObject({ amountCents: 4500, currencyCode: "EUR" });
+      expect(data.currency).toEqual({
+        code: "EUR", country: "DE", shopCurrency: "USD", rate: 0.9, rateSource: "MARKET",
+      });
+
+      // No rate for the currency: the fixed discount is left out rather than shown wrong
+      const unconverted = await discountsLoader({
+        request: new Request("http://localhost/api/discounts?shop=test.myshopify.com&productIds=111&currency=JPY"),
+      });
+      expect((await unconverted.json()).products["111"]).toBeUndefined();
+    });
+
+    describe("display snapshot", () => {
+      const percentageDiscount = (percentage) => ({
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        minimumRequirement: null,
+        targets: [{ targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      });
+
+      beforeEach(() => {
+        prisma.liveDiscount.findMany.mockResolvedValue([{
+          gid: "gid://shopify/DiscountAutomaticNode/123",
+          shop: "test.myshopify.com",
+          status: "LIVE",
+          discountType: "AUTO",
+          startsAt: new Date("2024-01-01"),
+          endsAt: null,
+        }]);
+        prisma.discount.findMany.mockResolvedValue([percentageDiscount(0.2)]);
+        prisma.product.findMany.mockResolvedValue([
+          { gid: "gid://shopify/Product/111", handle: "test-product", singlePrice: false },
+        ]);
+      });
+
+      const load = (query, headers = {}) => discountsLoader({
+        request: new Request(`http://localhost/api/discounts?shop=test.myshopify.com&${query}`, { headers }),
+      });
+
+      it("serves later requests from the snapshot until it is invalidated", async () => {
+        const first = await (await load("productIds=111")).json();
+        const data = await (await load("handles=test-product")).json();
+
+        expect(data.products["111"].discounts[0].value).toBe(20);
+        expect(data.revision).toMatch(/^[a-f0-9]{16}$/);
+        expect(data.revision).toBe(first.revision);
+        expect(prisma.liveDiscount.findMany).toHaveBeenCalledTimes(1);
+        expect(prisma.discount.findMany).toHaveBeenCalledTimes(1);
+        expect(prisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({
+          where: { shop: "test.myshopify.com", gid: { in: ["gid://shopify/Product/111"] } },
+        }));
+
+        prisma.discount.findMany.mockResolvedValue([percentageDiscount(0.3)]);
+        await invalidateDisplaySnapshot("test.myshopify.com");
+        const rebuilt = await (await load("productIds=111")).json();
+
+        expect(rebuilt.products["111"].discounts[0].value).toBe(30);
+        expect(rebuilt.revision).not.toBe(data.revision);
+        expect(prisma.liveDiscount.findMany).toHaveBeenCalledTimes(2);
+      });
+
+      it("rebuilds once the first live discount has ended", async () => {
+        vi.useFakeTimers({ toFake: ["Date"] });
+        try {
+          const endsAt = new Date(Date.now() + 60 * 1000);
+          prisma.liveDiscount.findMany.mockResolvedValue([{
+            gid: "gid://shopify/DiscountAutomaticNode/123",
+            shop: "test.myshopify.com",
+            status: "LIVE",
+            discountType: "AUTO",
+            startsAt: new Date("2024-01-01"),
+            endsAt,
+          }]);
+          await load("productIds=111");
+
+          vi.setSystemTime(endsAt.getTime() + 1);
+          prisma.liveDiscount.findMany.mockResolvedValue([]);
+          const data = await (await load("productIds=111")).json();
+
+          expect(data.products).toEqual({});
+          expect(prisma.liveDiscount.findMany).toHaveBeenCalledTimes(2);
+        } finally {
+          vi.useRealTimers();
+        }
+      });
+
+      it("adds a discount activated before its start date once it starts", async () => {
+        vi.useFakeTimers({ toFake: ["Date"] });
+        try {
+          const startsAt = new Date(Date.now() + 60 * 1000);
+          prisma.liveDiscount.findMany.mockResolvedValue([{
+            gid: "gid://shopify/DiscountAutomaticNode/123",
+            shop: "test.myshopify.com",
+            status: "LIVE",
+            discountType: "AUTO",
+            startsAt,
+            endsAt: null,
+          }]);
+          const before = await (await load("productIds=111")).json();
+
+          expect(before.products).toEqual({});
+
+          vi.setSystemTime(startsAt.getTime() + 1);
+          const after = await (await load("productIds=111")).json();
+
+          expect(after.products["111"].discounts[0].value).toBe(20);
+          expect(prisma.liveDiscount.findMany).toHaveBeenCalledTimes(2);
+        } finally {
+          vi.useRealTimers();
+        }
+      });
+
+      it("returns the products of a requested collection and the discounts among them", async () => {
+        prisma.collection.findMany.mockResolvedValue([{
+          gid: "gid://shopify/Collection/500",
+          handle: "summer",
+          productIds: JSON.stringify(["gid://shopify/Product/111", "gid://shopify/Product/999"]),
+        }]);
+
+        const data = await (await load("collectionHandles=summer&collectionIds=600")).json();
+
+        expect(prisma.collection.findMany).toHaveBeenCalledWith(expect.objectContaining({
+          where: {
+            shop: "test.myshopify.com",
+            OR: [
+              { gid: { in: ["gid://shopify/Collection/600"] } },
+              { handle: { in: ["summer"] } },
+            ],
+          },
+        }));
+        // Collection 600 is not stored, so the storefront falls back to per-product requests
+        expect(data.collections).toEqual({ "500": { handle: "summer", productIds: ["111", "999"] } });
+        expect(Object.keys(data.products)).toEqual(["111"]);
+
+        const withoutCollections = await (await load("productIds=111")).json();
+        expect(withoutCollections).not.toHaveProperty("collections");
+      });
+
+      it("sends a strong ETag and answers a matching If-None-Match with 304", async () => {
+        const first = await load("productIds=111");
+        const etag = first.headers.get("ETag");
+
+        expect(first.status).toBe(200);
+        expect(etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+        expect(first.headers.get("Cache-Control")).toBe("private, max-age=0, stale-while-revalidate=60");
+        expect(first.headers.get("Content-Type")).toContain("application/json");
+
+        const revalidated = await load("productIds=111", { "If-None-Match": `W/${etag}, "other"` });
+        expect(revalidated.status).toBe(304);
+        expect(revalidated.headers.get("ETag")).toBe(etag);
+        expect(await revalidated.text()).toBe("");
+
+        // A different slice has a different validator
+        const other = await load("productIds=111&country=DE", { "If-None-Match": etag });
+        expect(other.status).toBe(200);
+        expect(other.headers.get("ETag")).not.toBe(etag);
+      });
+    });
   });
 
   describe("POST /api/best-discounts", () => {
@@ -741,6 +1512,37 @@ describe("API Routes - Integration Tests", () => {
       expect(data.results[0].bestDiscounts.couponEntry).toBeNull();
     });
 
+    it("should convert shop-currency fixed amounts and report the currency used", async () => {
+      const requestBody = {
+        shop: "test.myshopify.com",
+        currency: "EUR",
+        requests: [
+          {
+            productId: "111",
+            regularPriceCents: 5000,
+            discounts: [
+              { type: "fixed", value: 1000, currencyCode: "USD", isAutomatic: true },
+              { type: "fixed", value: 500, currencyCode: "EUR", isAutomatic: false, code: "FIVE" },
+            ],
+          },
+        ],
+      };
+
+      const request = new Request("http://localhost/api/best-discounts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestBody),
+      });
+
+      const response = await bestDiscountsAction({ request });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.results[0].bestDiscounts.automaticDiscount).toMatchObject({ value: 900, currencyCode: "EUR" });
+      expect(data.results[0].bestDiscounts.automaticEntry.finalPriceCents).toBe(4100);
+      expect(data.currency).toMatchObject({ code: "EUR", shopCurrency: "USD", rate: 0.9, rateSource: "MARKET" });
+    });
+
     it("should return 405 for GET request", async () => {
       const request = new Request("http://localhost/api/best-discounts", {
         method: "GET",
@@ -1028,4 +1830,155 @@ describe("API Routes - Integration Tests", () => {
       expect(data.shop).toBeNull();
     });
   });
+
+  describe("POST /api/events", () => {
+    const eventsRequest = (body) => new Request("http://localhost/api/events", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    beforeEach(() => {
+      prisma.shop.findUnique.mockResolvedValue({ id: "shop-uuid-1" });
+      prisma.discount.findMany.mockResolvedValue([
+        { gid: "gid://shopify/DiscountAutomaticNode/123" },
+      ]);
+      prisma.discountEventCount.upsert.mockImplementation(async (args) => args);
+    });
+
+    it("should count events for the shop's discounts and drop the rest", async () => {
+      const response = await eventsAction({
+        request: eventsRequest({
+          shop: "test.myshopify.com",
+          events: [
+            { type: "impression", discountId: "123" },
+            { type: "impression", discountId: "123" },
+            { type: "coupon_toggle", discountId: "123", applied: false },
+            { type: "impression", discountId: "999" },
+            { type: "scroll", discountId: "123" },
+          ],
+        }),
+      });
+      const data = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(data).toEqual({ accepted: 3, rejected: 2 });
+      expect(checkRateLimit).toHaveBeenCalledWith("test.myshopify.com", prisma, { bucket: "events" });
+      expect(prisma.discountEventCount.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        update: { count: { increment: 2 } },
+        create: expect.objectContaining({ discountId: "123", eventType: "IMPRESSION", count: 2 }),
+      }));
+      expect(prisma.discountEventCount.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({ eventType: "COUPON_REMOVE", count: 1 }),
+      }));
+    });
+
+    it("should return 400 for an empty events array", async () => {
+      const response = await eventsAction({
+        request: eventsRequest({ shop: "test.myshopify.com", events: [] }),
+      });
+
+      expect(response.status).toBe(400);
+      expect(prisma.discountEventCount.upsert).not.toHaveBeenCalled();
+    });
+
+    it("should return 403 when auth is enforced and invalid", async () => {
+      authenticateStorefrontRequest.mockResolvedValue(false);
+      isStorefrontAuthEnforced.mockReturnValue(true);
+
+      const response = await eventsAction({
+        request: eventsRequest({
+          shop: "test.myshopify.com",
+          token: "invalid",
+          events: [{ type: "impression", discountId: "123" }],
+        }),
+      });
+
+      expect(response.status).toBe(403);
+      expect(prisma.discountEventCount.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/discounts/explain", () => {
+    const explainRequest = (query) => new Request(`http://localhost/api/discounts/explain?${query}`);
+
+    beforeEach(() => {
+      authenticate.admin.mockResolvedValue({ session: { shop: "test.myshopify.com" } });
+      prisma.product.findFirst.mockResolvedValue({
+        gid: "gid://shopify/Product/111", title: "Snowboard", handle: "snowboard",
+      });
+      prisma.product.findMany.mockResolvedValue([
+        { gid: "gid://shopify/Product/111", handle: "snowboard", singlePrice: true },
+      ]);
+      prisma.productVariant.findMany.mockResolvedValue([
+        { gid: "gid://shopify/ProductVariant/501", productGid: "gid://shopify/Product/111", priceCents: 10000, currencyCode: "USD" },
+      ]);
+      prisma.liveDiscount.findMany.mockResolvedValue([{
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        shop: "test.myshopify.com",
+        status: "LIVE",
+        startsAt: new Date("2024-01-01"),
+        endsAt: null,
+        displayConfig: null,
+      }]);
+      prisma.discount.findMany.mockResolvedValue([{
+        gid: "gid://shopify/DiscountAutomaticNode/123",
+        title: "Winter sale",
+        discountType: "AUTO",
+        valueType: "PERCENTAGE",
+        percentage: 0.2,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        customerSelectionAll: true,
+        minimumRequirement: null,
+        targets: [{ targetGid: "gid://shopify/Product/111" }],
+        products: [{ productGid: "gid://shopify/Product/111" }],
+        variants: [],
+        codes: [],
+      }]);
+    });
+
+    it("should trace the product's discounts for the session's shop", async () => {
+      const response = await explainLoader({ request: explainRequest("productId=111&variantId=501") });
+      const { trace } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(prisma.product.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop: "test.myshopify.com", gid: "gid://shopify/Product/111" },
+      }));
+      expect(trace).toMatchObject({ shop: "test.myshopify.com", variantId: "501", finalPriceCents: 8000 });
+      expect(trace.candidates).toEqual([
+        expect.objectContaining({ id: "123", title: "Winter sale", included: true, outcome: "AUTOMATIC" }),
+      ]);
+      expect(trace.candidates[0].rules.every((r) => r.result === "pass")).toBe(true);
+    });
+
+    it("should return 400 without a productId or with an unknown purchase type", async () => {
+      const missing = await explainLoader({ request: explainRequest("variantId=501") });
+      const invalid = await explainLoader({ request: explainRequest("productId=111&purchase=rental") });
+
+      expect(missing.status).toBe(400);
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toEqual({ error: "purchase must be one_time or subscription" });
+      expect(prisma.product.findFirst).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for a product that is not in the catalog cache", async () => {
+      prisma.product.findFirst.mockResolvedValue(null);
+
+      const response = await explainLoader({ request: explainRequest("productId=999") });
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should return 500 when the trace cannot be built", async () => {
+      prisma.product.findFirst.mockRejectedValue(new Error("database is locked"));
+
+      const response = await explainLoader({ request: explainRequest("productId=111") });
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ error: "Failed to build decision trace" });
+    });
+  });
 });
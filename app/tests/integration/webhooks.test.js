@@ -1,4 +1,4 @@
-import { createMockPrisma, createMockShop, createMockDiscountData, MOCK_SHOP_DOMAIN, MOCK_DISCOUNT_GID } from "../fixtures/mock-data.js";
+import { createMockPrisma, createMockShop, createMockDiscountData, createMockCodeDiscountData, createMockBxgyDiscount, MOCK_SHOP_DOMAIN, MOCK_DISCOUNT_GID, MOCK_CODE_DISCOUNT_GID } from "../fixtures/mock-data.js";
 
 // Mock logger
 vi.mock("../../utils/logger.server.js", () => ({
@@ -17,6 +17,7 @@ vi.mock("../../utils/discount-resolver/graphql-client.server.js", () => ({
 
 // Mock tier-manager
 vi.mock("../../utils/tier-manager.server.js", () => ({
+  applyLiveDiscountRanking: vi.fn().mockResolvedValue({ promoted: [], demoted: [] }),
   canHaveMoreLiveDiscounts: vi.fn().mockResolvedValue({ canCreate: true }),
   getOrCreateShopTier: vi.fn().mockResolvedValue({ tier: "FREE", liveDiscountLimit: 1 }),
   getEffectiveTierFromShopRecord: vi.fn().mockReturnValue("FREE"),
@@ -36,7 +37,7 @@ vi.mock("../../utils/discount-resolver/fetchers.server.js", () => ({
 }));
 
 // Import mocked modules for setup
-import { canHaveMoreLiveDiscounts, getOrCreateShopTier, getEffectiveTierFromShopRecord } from "../../utils/tier-manager.server.js";
+import { applyLiveDiscountRanking, canHaveMoreLiveDiscounts, getOrCreateShopTier, getEffectiveTierFromShopRecord } from "../../utils/tier-manager.server.js";
 import { fetchCollectionProducts } from "../../utils/discount-resolver/fetchers.server.js";
 
 // Import functions under test
@@ -105,6 +106,7 @@ describe("Webhook Handler Integration Tests", () => {
       expect(db.discount.deleteMany).toHaveBeenCalledWith({
         where: { gid: MOCK_DISCOUNT_GID, shop },
       });
+      expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
     });
 
     it("should remove past end date discount", async () => {
@@ -141,28 +143,28 @@ describe("Webhook Handler Integration Tests", () => {
       );
     });
 
-    it("should mark BXGY discount as NOT_SUPPORTED", async () => {
-      const discountData = createMockDiscountData({
-        __typename: "DiscountAutomaticBxgy",
-        status: "ACTIVE",
-      });
+    it("should mark BXGY discount as LIVE", async () => {
+      const discountData = createMockBxgyDiscount({ status: "ACTIVE" });
 
       await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
 
       expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
         expect.objectContaining({
           create: expect.objectContaining({
-            status: "NOT_SUPPORTED",
-            exclusionReason: EXCLUSION_REASONS.BXGY_DISCOUNT,
+            status: "LIVE",
+            exclusionReason: null,
           }),
         })
       );
     });
 
-    it("should mark customer segment discount as NOT_SUPPORTED", async () => {
+    it("should mark customer segment discount as LIVE (gated per customer by the API)", async () => {
       const discountData = createMockDiscountData({
         status: "ACTIVE",
-        context: { __typename: "DiscountCustomerSegments" },
+        context: {
+          __typename: "DiscountCustomerSegments",
+          segments: [{ id: "gid://shopify/Segment/1", name: "VIP" }],
+        },
       });
 
       await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
@@ -170,14 +172,14 @@ describe("Webhook Handler Integration Tests", () => {
       expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
         expect.objectContaining({
           create: expect.objectContaining({
-            status: "NOT_SUPPORTED",
-            exclusionReason: EXCLUSION_REASONS.CUSTOMER_SEGMENT,
+            status: "LIVE",
+            exclusionReason: null,
           }),
         })
       );
     });
 
-    it("should mark minimum requirement discount as NOT_SUPPORTED", async () => {
+    it("should mark minimum requirement discount as LIVE (conditional offer)", async () => {
       const discountData = createMockDiscountData({
         status: "ACTIVE",
         minimumRequirement: { greaterThanOrEqualToSubtotal: { amount: "50" } },
@@ -188,8 +190,8 @@ describe("Webhook Handler Integration Tests", () => {
       expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
         expect.objectContaining({
           create: expect.objectContaining({
-            status: "NOT_SUPPORTED",
-            exclusionReason: EXCLUSION_REASONS.MIN_REQUIREMENT,
+            status: "LIVE",
+            exclusionReason: null,
           }),
         })
       );
@@ -257,6 +259,41 @@ describe("Webhook Handler Integration Tests", () => {
       );
     });
 
+    it("should schedule start and end transition jobs for a scheduled discount", async () => {
+      const startsAt = new Date(Date.now() + 86400000);
+      const endsAt = new Date(Date.now() + 2 * 86400000);
+      const discountData = createMockDiscountData({
+        status: "ACTIVE",
+        startsAt: startsAt.toISOString(),
+        endsAt: endsAt.toISOString(),
+      });
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
+
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { type_jobKey: { type: "DISCOUNT_START", jobKey: MOCK_DISCOUNT_GID } },
+          create: expect.objectContaining({ runAt: startsAt, status: "PENDING" }),
+        })
+      );
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { type_jobKey: { type: "DISCOUNT_END", jobKey: MOCK_DISCOUNT_GID } },
+          create: expect.objectContaining({ runAt: endsAt }),
+        })
+      );
+    });
+
+    it("should cancel pending transition jobs when a discount expires", async () => {
+      const discountData = createMockDiscountData({ status: "EXPIRED" });
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
+
+      expect(db.scheduledJob.deleteMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ jobKey: MOCK_DISCOUNT_GID, status: "PENDING" }),
+      });
+    });
+
     it("should preserve existing HIDDEN status with preserveExistingStatus", async () => {
       const discountData = createMockDiscountData({ status: "ACTIVE" });
 
@@ -277,6 +314,106 @@ describe("Webhook Handler Integration Tests", () => {
       );
     });
 
+    it("should mark a used-up code discount as USAGE_EXHAUSTED and free its slot", async () => {
+      const discountData = createMockDiscountData({
+        __typename: "DiscountCodeBasic",
+        usageLimit: 50,
+        asyncUsageCount: 50,
+      });
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
+
+      expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({
+            status: "USAGE_EXHAUSTED",
+            exclusionReason: EXCLUSION_REASONS.USAGE_EXHAUSTED,
+          }),
+        })
+      );
+      expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
+    });
+
+    it("should queue a usage sync for a live capped code discount", async () => {
+      const discountData = createMockDiscountData({ usageLimit: 50, asyncUsageCount: 10 });
+      db.scheduledJob.findUnique.mockResolvedValue(null);
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db);
+
+      expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ update: expect.objectContaining({ status: "LIVE" }) })
+      );
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { type_jobKey: { type: "DISCOUNT_USAGE_SYNC", jobKey: shop } },
+        })
+      );
+    });
+
+    it("should let a discount whose usage limit was raised compete for a slot again", async () => {
+      const discountData = createMockDiscountData({ usageLimit: 100, asyncUsageCount: 50 });
+      db.liveDiscount.findUnique.mockResolvedValue({
+        id: "ld-1",
+        gid: MOCK_DISCOUNT_GID,
+        status: "USAGE_EXHAUSTED",
+      });
+      canHaveMoreLiveDiscounts.mockResolvedValue({ canCreate: false, limit: 1 });
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db, {
+        preserveExistingStatus: true,
+      });
+
+      expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({
+            status: "HIDDEN",
+            exclusionReason: EXCLUSION_REASONS.LIVE_LIMIT,
+          }),
+        })
+      );
+      expect(applyLiveDiscountRanking).toHaveBeenCalled();
+    });
+
+    it("should keep a merchant-hidden discount HIDDEN when its usage runs out", async () => {
+      const discountData = createMockDiscountData({
+        __typename: "DiscountCodeBasic",
+        usageLimit: 50,
+        asyncUsageCount: 50,
+      });
+      db.liveDiscount.findUnique.mockResolvedValue({
+        id: "ld-1",
+        gid: MOCK_DISCOUNT_GID,
+        status: "HIDDEN",
+        exclusionReason: null,
+      });
+
+      await updateLiveDiscountData(MOCK_DISCOUNT_GID, discountData, shop, db, {
+        preserveExistingStatus: true,
+      });
+
+      expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({ status: "HIDDEN", exclusionReason: null }),
+        })
+      );
+
+      // Raising the limit afterwards doesn't put it live either
+      db.liveDiscount.upsert.mockClear();
+      await updateLiveDiscountData(
+        MOCK_DISCOUNT_GID,
+        createMockDiscountData({ __typename: "DiscountCodeBasic", usageLimit: 100, asyncUsageCount: 50 }),
+        shop,
+        db,
+        { preserveExistingStatus: true },
+      );
+
+      expect(db.liveDiscount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({ status: "HIDDEN" }),
+        })
+      );
+    });
+
     it("should start new discount as HIDDEN with preserveExistingStatus", async () => {
       const discountData = createMockDiscountData({ status: "ACTIVE" });
 
@@ -320,6 +457,30 @@ describe("Webhook Handler Integration Tests", () => {
       });
     });
 
+    it("should give the slots of expired live discounts to the next-ranked ones", async () => {
+      db.discount.findMany.mockResolvedValue([{ gid: "gid://shopify/DiscountNode/1" }]);
+      db.liveDiscount.findMany.mockResolvedValue([{ gid: "gid://shopify/DiscountNode/1" }]);
+      db.discount.deleteMany.mockResolvedValue({ count: 1 });
+      db.liveDiscount.deleteMany.mockResolvedValue({ count: 1 });
+      applyLiveDiscountRanking.mockResolvedValueOnce({ promoted: ["gid://shopify/DiscountNode/2"], demoted: [] });
+
+      const result = await checkAndCleanupExpiredDiscounts(shop, db);
+
+      expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
+      expect(result.promoted).toEqual(["gid://shopify/DiscountNode/2"]);
+    });
+
+    it("should not re-rank when only stored discounts expired", async () => {
+      db.discount.findMany.mockResolvedValue([{ gid: "gid://shopify/DiscountNode/1" }]);
+      db.liveDiscount.findMany.mockResolvedValue([]);
+      db.discount.deleteMany.mockResolvedValue({ count: 1 });
+      db.liveDiscount.deleteMany.mockResolvedValue({ count: 0 });
+
+      await checkAndCleanupExpiredDiscounts(shop, db);
+
+      expect(applyLiveDiscountRanking).not.toHaveBeenCalled();
+    });
+
     it("should not delete if no expired discounts found", async () => {
       db.discount.findMany.mockResolvedValue([]);
       db.liveDiscount.findMany.mockResolvedValue([]);
@@ -367,6 +528,19 @@ describe("Webhook Handler Integration Tests", () => {
       expect(result).toBeNull();
     });
 
+    it("should resolve both sides of a BXGY discount", async () => {
+      const discountData = createMockBxgyDiscount();
+
+      const result = await resolveDiscountTargets({}, discountData, shop, db);
+
+      expect(result.productIds).toEqual([
+        "gid://shopify/Product/111",
+        "gid://shopify/Product/222",
+      ]);
+      expect(result.bxgy.buys.productIds).toEqual(["gid://shopify/Product/111"]);
+      expect(result.bxgy.gets.productIds).toEqual(["gid://shopify/Product/222"]);
+    });
+
     it("should resolve collection-targeted discount via fetchers", async () => {
       const discountData = createMockDiscountData({
         customerGets: {
@@ -479,6 +653,99 @@ describe("Webhook Handler Integration Tests", () => {
       });
     });
 
+    it("should store BXGY terms and per-side junction entries", async () => {
+      const discountData = createMockBxgyDiscount();
+      const resolvedTargets = {
+        productIds: ["gid://shopify/Product/111", "gid://shopify/Product/222"],
+        variantIds: [],
+        bxgy: {
+          buys: { productIds: ["gid://shopify/Product/111"], variantIds: [] },
+          gets: { productIds: ["gid://shopify/Product/222"], variantIds: [] },
+        },
+      };
+
+      await storeDiscountData(MOCK_DISCOUNT_GID, discountData, resolvedTargets, shop, db);
+
+      expect(db.discount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          create: expect.objectContaining({
+            valueType: "PERCENTAGE",
+            percentage: 1.0,
+            buysQuantity: 2,
+            getsQuantity: 1,
+          }),
+        })
+      );
+      expect(db.discountBxgyProduct.createMany).toHaveBeenCalledWith({
+        data: [
+          { discountId: "disc-1", side: "BUYS", productGid: "gid://shopify/Product/111" },
+          { discountId: "disc-1", side: "GETS", productGid: "gid://shopify/Product/222" },
+        ],
+        skipDuplicates: true,
+      });
+      expect(db.discountBxgyTarget.createMany).toHaveBeenCalledWith({
+        data: [
+          { discountId: "disc-1", side: "BUYS", targetType: "PRODUCT", targetGid: "gid://shopify/Product/111" },
+          { discountId: "disc-1", side: "GETS", targetType: "PRODUCT", targetGid: "gid://shopify/Product/222" },
+        ],
+        skipDuplicates: true,
+      });
+    });
+
+    it("should store customer segments and specific customers for gated discounts", async () => {
+      const discountData = createMockDiscountData({
+        status: "ACTIVE",
+        context: {
+          __typename: "DiscountCustomerSegments",
+          segments: [{ id: "gid://shopify/Segment/1", name: "VIP" }],
+        },
+      });
+
+      await storeDiscountData(MOCK_DISCOUNT_GID, discountData, { productIds: [], variantIds: [] }, shop, db);
+
+      expect(db.discount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          create: expect.objectContaining({
+            customerSelectionAll: false,
+            customerSegments: JSON.stringify([
+              { type: "SEGMENT", gid: "gid://shopify/Segment/1", name: "VIP" },
+            ]),
+          }),
+        })
+      );
+    });
+
+    it("should store combinesWith flags", async () => {
+      const discountData = createMockDiscountData({
+        status: "ACTIVE",
+        combinesWith: { productDiscounts: true, orderDiscounts: false, shippingDiscounts: true },
+      });
+
+      await storeDiscountData(MOCK_DISCOUNT_GID, discountData, { productIds: [], variantIds: [] }, shop, db);
+
+      expect(db.discount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          create: expect.objectContaining({
+            combinesWithProduct: true,
+            combinesWithOrder: false,
+            combinesWithShipping: true,
+          }),
+        })
+      );
+    });
+
+    it("should store codes with their lower-cased form for order matching", async () => {
+      const discountData = createMockCodeDiscountData();
+      db.discount.upsert.mockResolvedValue({ id: "disc-1", gid: MOCK_CODE_DISCOUNT_GID });
+
+      await storeDiscountData(MOCK_CODE_DISCOUNT_GID, discountData, { productIds: [], variantIds: [] }, shop, db);
+
+      expect(db.discountCode.createMany).toHaveBeenCalledWith({
+        data: [{ discountId: "disc-1", code: "SAVE10", normalizedCode: "save10" }],
+        skipDuplicates: true,
+      });
+    });
+
     it("should create variant junction entries", async () => {
       const discountData = createMockDiscountData({ status: "ACTIVE" });
       const resolvedTargets = {
@@ -0,0 +1,260 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  BULK_IMPORT_REASON,
+  completeBulkCatalogImport,
+  importBulkCatalog,
+  importDiscountsForShop,
+  startBulkCatalogImport,
+} from "../../utils/discount-resolver/bulk-import.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/discount-resolver/reprocess.server.js", () => ({
+  reprocessAllDiscountsForShop: vi.fn().mockResolvedValue({ total: 3, processed: 3, updated: 3 }),
+}));
+
+vi.mock("../../utils/discount-resolver/cleanup.server.js", () => ({
+  checkAndCleanupExpiredDiscounts: vi.fn().mockResolvedValue({ cleaned: 0, total: 0 }),
+}));
+
+import { reprocessAllDiscountsForShop } from "../../utils/discount-resolver/reprocess.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const OPERATION_GID = "gid://shopify/BulkOperation/42";
+
+// Admin client answering each GraphQL call with the next response in order
+function createMockAdmin(...responses) {
+  const graphql = vi.fn();
+  for (const data of responses) {
+    graphql.mockResolvedValueOnce({ ok: true, json: async () => ({ data }) });
+  }
+  return { graphql };
+}
+
+async function* jsonl(records) {
+  for (const record of records) yield record;
+}
+
+const runningImport = (overrides = {}) => ({
+  id: "import-1",
+  shop,
+  shopId: "shop-uuid-1",
+  operationId: OPERATION_GID,
+  reason: BULK_IMPORT_REASON.INSTALL,
+  status: "RUNNING",
+  ...overrides,
+});
+
+describe("bulk-import", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-uuid-1" });
+    db.bulkImport.findFirst.mockResolvedValue(null);
+    db.bulkImport.create.mockResolvedValue({ id: "import-1" });
+    db.product.upsert.mockImplementation(async (args) => args);
+    db.productVariant.upsert.mockImplementation(async (args) => args);
+    db.collection.upsert.mockImplementation(async (args) => args);
+  });
+
+  describe("importDiscountsForShop", () => {
+    it("reprocesses page by page for catalogs under the threshold", async () => {
+      const admin = createMockAdmin({ productsCount: { count: 120 } });
+
+      const result = await importDiscountsForShop(admin, shop, db, { reason: BULK_IMPORT_REASON.RESYNC });
+
+      expect(result).toMatchObject({ mode: "paginated", productCount: 120, processed: 3 });
+      expect(reprocessAllDiscountsForShop).toHaveBeenCalledWith(admin, shop, db);
+      expect(db.bulkImport.create).not.toHaveBeenCalled();
+    });
+
+    it("starts a bulk import for large catalogs", async () => {
+      const admin = createMockAdmin(
+        { productsCount: { count: 60000 } },
+        { bulkOperationRunQuery: { bulkOperation: { id: OPERATION_GID, status: "CREATED" }, userErrors: [] } },
+      );
+
+      const result = await importDiscountsForShop(admin, shop, db, { reason: BULK_IMPORT_REASON.INSTALL });
+
+      expect(result).toEqual({ mode: "bulk", productCount: 60000, importId: "import-1" });
+      expect(db.bulkImport.create).toHaveBeenCalledWith({
+        data: { shop, shopId: "shop-uuid-1", operationId: OPERATION_GID, reason: "INSTALL" },
+      });
+      expect(reprocessAllDiscountsForShop).not.toHaveBeenCalled();
+    });
+
+    it("falls back to the paginated import when the bulk query is rejected", async () => {
+      const admin = createMockAdmin(
+        { productsCount: { count: 60000 } },
+        { bulkOperationRunQuery: { bulkOperation: null, userErrors: [{ message: "A bulk query operation is already in progress" }] } },
+      );
+
+      const result = await importDiscountsForShop(admin, shop, db, { reason: BULK_IMPORT_REASON.RESYNC });
+
+      expect(result.mode).toBe("paginated");
+      expect(reprocessAllDiscountsForShop).toHaveBeenCalled();
+    });
+  });
+
+  describe("startBulkCatalogImport", () => {
+    it("reuses a running import instead of starting another", async () => {
+      db.bulkImport.findFirst.mockResolvedValue(runningImport());
+      const admin = createMockAdmin();
+
+      const result = await startBulkCatalogImport(admin, shop, db, { reason: BULK_IMPORT_REASON.RESYNC });
+
+      expect(result).toEqual({ started: true, importId: "import-1", operationId: OPERATION_GID });
+      expect(admin.graphql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("importBulkCatalog", () => {
+    it("writes products with their variants and inverts collection membership", async () => {
+      const records = jsonl([
+        {
+          id: "gid://shopify/Product/1",
+          title: "Tee",
+          handle: "tee",
+          priceRangeV2: {
+            minVariantPrice: { amount: "10.0", currencyCode: "CAD" },
+            maxVariantPrice: { amount: "10.0" },
+          },
+        },
+        {
+          id: "gid://shopify/ProductVariant/11",
+          price: "10.00",
+          compareAtPrice: "12.50",
+          __parentId: "gid://shopify/Product/1",
+        },
+        {
+          id: "gid://shopify/ProductVariant/12",
+          price: "10.00",
+          compareAtPrice: null,
+          __parentId: "gid://shopify/Product/1",
+        },
+        { id: "gid://shopify/Collection/100", title: "Summer", handle: "summer", __parentId: "gid://shopify/Product/1" },
+        {
+          id: "gid://shopify/Product/2",
+          title: "Hat",
+          handle: "hat",
+          priceRangeV2: { minVariantPrice: { amount: "5.0" }, maxVariantPrice: { amount: "8.0" } },
+        },
+        { id: "gid://shopify/Collection/100", title: "Summer", handle: "summer", __parentId: "gid://shopify/Product/2" },
+      ]);
+
+      const result = await importBulkCatalog(records, shop, "shop-uuid-1", db);
+
+      expect(result).toEqual({ products: 2, collections: 1 });
+      expect(db.product.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gid: "gid://shopify/Product/1" },
+        create: expect.objectContaining({
+          variantIds: JSON.stringify(["gid://shopify/ProductVariant/11", "gid://shopify/ProductVariant/12"]),
+          singlePrice: true,
+        }),
+      }));
+      expect(db.productVariant.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gid: "gid://shopify/ProductVariant/11" },
+        create: expect.objectContaining({
+          productGid: "gid://shopify/Product/1",
+          priceCents: 1000,
+          compareAtPriceCents: 1250,
+          currencyCode: "CAD",
+        }),
+      }));
+      expect(db.productVariant.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gid: "gid://shopify/ProductVariant/12" },
+        create: expect.objectContaining({ compareAtPriceCents: null }),
+      }));
+      expect(db.product.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gid: "gid://shopify/Product/2" },
+        create: expect.objectContaining({ singlePrice: false }),
+      }));
+      expect(db.collection.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { gid: "gid://shopify/Collection/100" },
+        create: expect.objectContaining({
+          title: "Summer",
+          handle: "summer",
+          productIds: JSON.stringify(["gid://shopify/Product/1", "gid://shopify/Product/2"]),
+        }),
+      }));
+    });
+
+    it("prunes cached rows the export did not touch", async () => {
+      await importBulkCatalog(jsonl([]), shop, "shop-uuid-1", db);
+
+      expect(db.productVariant.deleteMany).toHaveBeenCalledWith({
+        where: { shop, updatedAt: { lt: expect.any(Date) } },
+      });
+      expect(db.product.deleteMany).toHaveBeenCalledWith({
+        where: { shop, updatedAt: { lt: expect.any(Date) } },
+      });
+      expect(db.collection.deleteMany).toHaveBeenCalledWith({
+        where: { shop, updatedAt: { lt: expect.any(Date) } },
+      });
+    });
+  });
+
+  describe("completeBulkCatalogImport", () => {
+    it("ignores bulk operations the app did not start for an import", async () => {
+      db.bulkImport.findUnique.mockResolvedValue(null);
+
+      const summary = await completeBulkCatalogImport(createMockAdmin(), OPERATION_GID, shop, db);
+
+      expect(summary).toBe("skipped: not a catalog import");
+    });
+
+    it("imports an empty export, processes discounts and marks the install done", async () => {
+      db.bulkImport.findUnique.mockResolvedValue(runningImport());
+      const admin = createMockAdmin({
+        node: { id: OPERATION_GID, status: "COMPLETED", errorCode: null, objectCount: "0", url: null },
+      });
+
+      const summary = await completeBulkCatalogImport(admin, OPERATION_GID, shop, db);
+
+      expect(summary).toBe("imported 0 products, 0 collections");
+      expect(reprocessAllDiscountsForShop).toHaveBeenCalledWith(admin, shop, db);
+      expect(db.bulkImport.update).toHaveBeenCalledWith({
+        where: { id: "import-1" },
+        data: expect.objectContaining({ status: "COMPLETED", productCount: 0, collectionCount: 0 }),
+      });
+      expect(db.shop.updateMany).toHaveBeenCalledWith({
+        where: { domain: shop },
+        data: { installStatus: "done" },
+      });
+    });
+
+    it("records a failed operation and fails the install", async () => {
+      db.bulkImport.findUnique.mockResolvedValue(runningImport());
+      const admin = createMockAdmin({
+        node: { id: OPERATION_GID, status: "FAILED", errorCode: "INTERNAL_SERVER_ERROR", url: null },
+      });
+
+      const summary = await completeBulkCatalogImport(admin, OPERATION_GID, shop, db);
+
+      expect(summary).toBe("failed: FAILED (INTERNAL_SERVER_ERROR)");
+      expect(reprocessAllDiscountsForShop).not.toHaveBeenCalled();
+      expect(db.shop.updateMany).toHaveBeenCalledWith({
+        where: { domain: shop },
+        data: { installStatus: "failed" },
+      });
+    });
+
+    it("throws without an admin client so the job is retried", async () => {
+      db.bulkImport.findUnique.mockResolvedValue(runningImport());
+
+      await expect(completeBulkCatalogImport(null, OPERATION_GID, shop, db))
+        .rejects.toThrow("Admin client unavailable");
+    });
+  });
+});
@@ -24,6 +24,7 @@ describe("cors.server.js", () => {
 
   afterEach(() => {
     process.env.NODE_ENV = originalNodeEnv;
+    delete process.env.HEADLESS_ALLOWED_ORIGINS;
   });
 
   describe("isOriginAllowed", () => {
@@ -72,6 +73,23 @@ describe("cors.server.js", () => {
     it("should allow random HTTPS domains", () => {
       expect(isOriginAllowed("https://anything.valid.com")).toBe(true);
     });
+
+    it("should allow Hydrogen storefronts on Oxygen", () => {
+      expect(isOriginAllowed("https://my-store-abc123.o2.myshopify.dev")).toBe(true);
+    });
+
+    it("should allow configured headless origins in production, including HTTP", async () => {
+      process.env.NODE_ENV = "production";
+      process.env.HEADLESS_ALLOWED_ORIGINS = "http://localhost:3000, https://*.headless.example/";
+      vi.resetModules();
+      const corsModule = await import("../../utils/cors.server.js");
+
+      expect(corsModule.isOriginAllowed("http://localhost:3000")).toBe(true);
+      expect(corsModule.isOriginAllowed("https://shop.headless.example")).toBe(true);
+      expect(corsModule.isOriginAllowed("http://shop.headless.example")).toBe(false);
+      expect(corsModule.isOriginAllowed("http://localhost:4000")).toBe(false);
+      expect(corsModule.isOriginAllowed("http://localhost")).toBe(false);
+    });
   });
 
   describe("getCorsHeaders", () => {
@@ -81,7 +99,8 @@ describe("cors.server.js", () => {
 
       expect(headers["Access-Control-Allow-Origin"]).toBe("*");
       expect(headers["Access-Control-Allow-Methods"]).toBe("GET, POST");
-      expect(headers["Access-Control-Allow-Headers"]).toBe("Content-Type, Authorization");
+      expect(headers["Access-Control-Allow-Headers"]).toBe("Content-Type, Authorization, If-None-Match");
+      expect(headers["Access-Control-Expose-Headers"]).toBe("ETag");
       expect(headers["Vary"]).toBe("Origin");
     });
 
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  generateCustomerSigningSecret,
+  buildCustomerIdentityPayload,
+  signCustomerIdentity,
+  verifyCustomerIdentity,
+  getVerifiedCustomer,
+} from "../../utils/customer-identity.server.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const secret = "s".repeat(64);
+const nowMs = 1_800_000_000_000;
+const ts = String(Math.floor(nowMs / 1000));
+
+function signedIdentity(overrides = {}) {
+  const identity = { customerId: "7", tags: "vip,wholesale", ts, ...overrides };
+  return {
+    ...identity,
+    sig: signCustomerIdentity(
+      buildCustomerIdentityPayload(identity.customerId, identity.tags, identity.ts),
+      secret,
+    ),
+  };
+}
+
+describe("customer-identity", () => {
+  describe("generateCustomerSigningSecret", () => {
+    it("returns a 64-character hex string", () => {
+      expect(generateCustomerSigningSecret()).toMatch(/^[a-f0-9]{64}$/);
+    });
+  });
+
+  describe("verifyCustomerIdentity", () => {
+    it("accepts a fresh, correctly signed identity", () => {
+      expect(verifyCustomerIdentity(signedIdentity(), secret, nowMs)).toBe(true);
+    });
+
+    it("rejects tampered tags", () => {
+      const identity = { ...signedIdentity(), tags: "vip,wholesale,staff" };
+      expect(verifyCustomerIdentity(identity, secret, nowMs)).toBe(false);
+    });
+
+    it("rejects a different customer id", () => {
+      const identity = { ...signedIdentity(), customerId: "8" };
+      expect(verifyCustomerIdentity(identity, secret, nowMs)).toBe(false);
+    });
+
+    it("rejects signatures older than 24 hours", () => {
+      const staleTs = String(Math.floor(nowMs / 1000) - 25 * 60 * 60);
+      expect(verifyCustomerIdentity(signedIdentity({ ts: staleTs }), secret, nowMs)).toBe(false);
+    });
+
+    it("rejects a signature forged with another key", () => {
+      const identity = signedIdentity({ tags: "vip,wholesale,staff" });
+      const forged = {
+        ...identity,
+        sig: signCustomerIdentity(
+          buildCustomerIdentityPayload(identity.customerId, identity.tags, identity.ts),
+          "f".repeat(64),
+        ),
+      };
+      expect(verifyCustomerIdentity(forged, secret, nowMs)).toBe(false);
+    });
+
+    it("rejects when the shop has no signing secret", () => {
+      expect(verifyCustomerIdentity(signedIdentity(), null, nowMs)).toBe(false);
+    });
+  });
+
+  describe("getVerifiedCustomer", () => {
+    const shop = "test-shop.myshopify.com";
+
+    function paramsFor(identity) {
+      return new URLSearchParams({
+        customerId: identity.customerId,
+        customerTags: identity.tags,
+        customerTs: identity.ts,
+        customerSig: identity.sig,
+      });
+    }
+
+    it("returns the customer GID and tags for a valid signature", async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(nowMs);
+      const db = { shop: { findUnique: vi.fn().mockResolvedValue({ customerSigningSecret: secret }) } };
+
+      const customer = await getVerifiedCustomer(shop, paramsFor(signedIdentity()), db);
+
+      expect(customer).toEqual({ customerGid: "gid://shopify/Customer/7", tags: "vip,wholesale" });
+      vi.useRealTimers();
+    });
+
+    it("returns null for a signature made with a replaced secret", async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(nowMs);
+      // The shop's secret was rotated after the old one was readable by theme code
+      const db = { shop: { findUnique: vi.fn().mockResolvedValue({ customerSigningSecret: "r".repeat(64) }) } };
+
+      expect(await getVerifiedCustomer(shop, paramsFor(signedIdentity()), db)).toBeNull();
+      vi.useRealTimers();
+    });
+
+    it("returns null for guests without querying the database", async () => {
+      const db = { shop: { findUnique: vi.fn() } };
+
+      expect(await getVerifiedCustomer(shop, new URLSearchParams(), db)).toBeNull();
+      expect(db.shop.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  getCustomerMemberships,
+  getEligibleSegmentDiscountIds,
+  hashCustomerTags,
+  refreshCustomerMemberships,
+} from "../../utils/customer-segments.server.js";
+import { createMockPrisma } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const shop = "test-shop.myshopify.com";
+const VIP = "gid://shopify/Segment/1";
+const WHOLESALE = "gid://shopify/Segment/2";
+const customer = { customerGid: "gid://shopify/Customer/7", tags: "vip" };
+
+const segmentDiscount = (gid, segmentGid) => ({
+  gid,
+  customerSegments: JSON.stringify([{ type: "SEGMENT", gid: segmentGid, name: null }]),
+});
+
+function createMockAdmin(memberships) {
+  return {
+    graphql: vi.fn().mockResolvedValue({
+      json: async () => ({ data: { customerSegmentMembership: { memberships } } }),
+    }),
+  };
+}
+
+describe("customer-segments", () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-1" });
+    db.customerSegmentMembership.findMany.mockResolvedValue([]);
+  });
+
+  describe("hashCustomerTags", () => {
+    it("ignores ordering and whitespace differences between Liquid and webhooks", () => {
+      expect(hashCustomerTags("wholesale,vip")).toBe(hashCustomerTags("vip, wholesale"));
+      expect(hashCustomerTags("vip")).not.toBe(hashCustomerTags("vip,wholesale"));
+    });
+  });
+
+  describe("getEligibleSegmentDiscountIds", () => {
+    it("returns nothing for guests", async () => {
+      const eligible = await getEligibleSegmentDiscountIds(shop, null, [segmentDiscount("d1", VIP)], db);
+      expect(eligible.size).toBe(0);
+    });
+
+    it("matches discounts that list the customer directly", async () => {
+      const discount = {
+        gid: "d1",
+        customerSegments: JSON.stringify([{ type: "CUSTOMER", gid: customer.customerGid }]),
+      };
+
+      const eligible = await getEligibleSegmentDiscountIds(shop, customer, [discount], db);
+
+      expect([...eligible]).toEqual(["d1"]);
+    });
+
+    it("uses fresh cached membership without calling the Admin API", async () => {
+      db.customerSegmentMembership.findMany.mockResolvedValue([
+        { segmentGid: VIP, isMember: true, tagsHash: hashCustomerTags("vip"), checkedAt: new Date() },
+      ]);
+      const getAdmin = vi.fn();
+
+      const eligible = await getEligibleSegmentDiscountIds(
+        shop, customer, [segmentDiscount("d1", VIP)], db, { getAdmin },
+      );
+
+      expect([...eligible]).toEqual(["d1"]);
+      expect(getAdmin).not.toHaveBeenCalled();
+    });
+
+    it("re-checks membership when the customer's tags changed", async () => {
+      db.customerSegmentMembership.findMany.mockResolvedValue([
+        { segmentGid: VIP, isMember: true, tagsHash: hashCustomerTags(""), checkedAt: new Date() },
+      ]);
+      const admin = createMockAdmin([{ segmentId: VIP, isMember: false }]);
+
+      const eligible = await getEligibleSegmentDiscountIds(
+        shop, customer, [segmentDiscount("d1", VIP)], db, { getAdmin: async () => admin },
+      );
+
+      expect(eligible.size).toBe(0);
+      expect(db.customerSegmentMembership.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          update: expect.objectContaining({ isMember: false, tagsHash: hashCustomerTags("vip") }),
+        }),
+      );
+    });
+
+    it("fetches missing memberships and caches them", async () => {
+      const admin = createMockAdmin([
+        { segmentId: VIP, isMember: true },
+        { segmentId: WHOLESALE, isMember: false },
+      ]);
+
+      const eligible = await getEligibleSegmentDiscountIds(
+        shop,
+        customer,
+        [segmentDiscount("d1", VIP), segmentDiscount("d2", WHOLESALE)],
+        db,
+        { getAdmin: async () => admin },
+      );
+
+      expect([...eligible]).toEqual(["d1"]);
+      expect(admin.graphql).toHaveBeenCalledWith(expect.any(String), {
+        variables: { customerId: customer.customerGid, segmentIds: [VIP, WHOLESALE] },
+      });
+      expect(db.customerSegmentMembership.upsert).toHaveBeenCalledTimes(2);
+    });
+
+    it("hides segment discounts when the membership lookup fails", async () => {
+      const getAdmin = vi.fn().mockRejectedValue(new Error("offline session missing"));
+
+      const eligible = await getEligibleSegmentDiscountIds(
+        shop, customer, [segmentDiscount("d1", VIP)], db, { getAdmin },
+      );
+
+      expect(eligible.size).toBe(0);
+    });
+  });
+
+  describe("refreshCustomerMemberships", () => {
+    it("re-checks only segments already cached for the customer", async () => {
+      db.customerSegmentMembership.findMany.mockResolvedValue([{ segmentGid: VIP, shopId: "shop-1" }]);
+      const admin = createMockAdmin([{ segmentId: VIP, isMember: false }]);
+
+      const refreshed = await refreshCustomerMemberships(shop, customer.customerGid, "vip", admin, db);
+
+      expect(refreshed).toBe(1);
+      expect(db.customerSegmentMembership.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { shop_customerGid_segmentGid: { shop, customerGid: customer.customerGid, segmentGid: VIP } },
+          update: expect.objectContaining({ isMember: false }),
+        }),
+      );
+    });
+
+    it("skips customers with no cached memberships", async () => {
+      const admin = createMockAdmin([]);
+
+      expect(await refreshCustomerMemberships(shop, customer.customerGid, "", admin, db)).toBe(0);
+      expect(admin.graphql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getCustomerMemberships", () => {
+    it("returns the customer's cached memberships for the data request report", async () => {
+      const checkedAt = new Date("2024-05-01");
+      db.customerSegmentMembership.findMany.mockResolvedValue([{ segmentGid: VIP, isMember: true, checkedAt }]);
+
+      const memberships = await getCustomerMemberships(shop, customer.customerGid, db);
+
+      expect(memberships).toEqual([{ segmentGid: VIP, isMember: true, checkedAt }]);
+      expect(db.customerSegmentMembership.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop, customerGid: customer.customerGid },
+      }));
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  applyCollectionChange,
+  coversProduct,
+  reindexProducts,
+  removeProductFromIndex,
+  syncProductCollections,
+} from "../../utils/discount-resolver/dependency-index.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const shop = MOCK_SHOP_DOMAIN;
+const SUMMER = "gid://shopify/Collection/100";
+const SALE = "gid://shopify/Collection/200";
+const P1 = "gid://shopify/Product/111";
+const P2 = "gid://shopify/Product/222";
+const P3 = "gid://shopify/Product/333";
+
+const collectionRow = (gid, productIds) => ({ gid, productIds: JSON.stringify(productIds) });
+const target = (targetType, targetGid) => ({ targetType, targetGid });
+
+function createMockAdmin(collectionGids) {
+  return {
+    graphql: vi.fn().mockResolvedValue({
+      json: async () => ({
+        data: {
+          product: {
+            id: P3,
+            collections: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: collectionGids.map((id) => ({ id })),
+            },
+          },
+        },
+      }),
+    }),
+  };
+}
+
+describe("dependency-index", () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMockPrisma();
+    db.discountTarget.findMany.mockResolvedValue([]);
+    db.discountBxgyTarget.findMany.mockResolvedValue([]);
+    db.discountProduct.findMany.mockResolvedValue([]);
+    db.discountBxgyProduct.findMany.mockResolvedValue([]);
+    db.collection.findMany.mockResolvedValue([]);
+    db.product.findMany.mockResolvedValue([]);
+  });
+
+  describe("coversProduct", () => {
+    const collections = new Map([[SUMMER, new Set([P1])]]);
+
+    it("expands collection targets to their cached members", () => {
+      expect(coversProduct([target("COLLECTION", SUMMER)], P1, { collections })).toBe(true);
+      expect(coversProduct([target("COLLECTION", SUMMER)], P2, { collections })).toBe(false);
+      expect(coversProduct([target("COLLECTION", SALE)], P1, { collections })).toBe(false);
+    });
+
+    it("matches direct product targets and variants of the product", () => {
+      expect(coversProduct([target("PRODUCT", P2)], P2, { collections })).toBe(true);
+      const variantIds = new Set(["gid://shopify/ProductVariant/444"]);
+      expect(coversProduct(
+        [target("VARIANT", "gid://shopify/ProductVariant/444")], P2, { collections, variantIds },
+      )).toBe(true);
+    });
+  });
+
+  describe("reindexProducts", () => {
+    it("adds products that joined and removes those no longer covered", async () => {
+      db.discount.findMany.mockResolvedValue([
+        { id: "d1", targets: [target("COLLECTION", SUMMER)], bxgyTargets: [] },
+      ]);
+      db.collection.findMany.mockResolvedValue([collectionRow(SUMMER, [P1, P3])]);
+      db.discountProduct.findMany.mockResolvedValue([
+        { id: "row-2", discountId: "d1", productGid: P2 },
+      ]);
+
+      const result = await reindexProducts(["d1"], [P2, P3], shop, db);
+
+      expect(result).toEqual({ added: 1, removed: 1 });
+      expect(db.discountProduct.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ["row-2"] } } });
+      expect(db.discountProduct.createMany).toHaveBeenCalledWith({
+        data: [{ discountId: "d1", productGid: P3 }],
+        skipDuplicates: true,
+      });
+    });
+
+    it("keeps a product that another target still covers", async () => {
+      db.discount.findMany.mockResolvedValue([
+        {
+          id: "d1",
+          targets: [target("COLLECTION", SUMMER), target("COLLECTION", SALE)],
+          bxgyTargets: [],
+        },
+      ]);
+      db.collection.findMany.mockResolvedValue([
+        collectionRow(SUMMER, []),
+        collectionRow(SALE, [P2]),
+      ]);
+      db.discountProduct.findMany.mockResolvedValue([
+        { id: "row-2", discountId: "d1", productGid: P2 },
+      ]);
+
+      const result = await reindexProducts(["d1"], [P2], shop, db);
+
+      expect(result).toEqual({ added: 0, removed: 0 });
+      expect(db.$transaction).not.toHaveBeenCalled();
+    });
+
+    it("patches Buy X Get Y sides separately", async () => {
+      db.discount.findMany.mockResolvedValue([
+        {
+          id: "d1",
+          targets: [target("PRODUCT", P1)],
+          bxgyTargets: [
+            { side: "BUYS", ...target("COLLECTION", SUMMER) },
+            { side: "GETS", ...target("PRODUCT", P1) },
+          ],
+        },
+      ]);
+      db.collection.findMany.mockResolvedValue([collectionRow(SUMMER, [P3])]);
+
+      await reindexProducts(["d1"], [P3], shop, db);
+
+      expect(db.discountBxgyProduct.createMany).toHaveBeenCalledWith({
+        data: [{ discountId: "d1", side: "BUYS", productGid: P3 }],
+        skipDuplicates: true,
+      });
+      expect(db.discountProduct.createMany).toHaveBeenCalledWith({
+        data: [{ discountId: "d1", productGid: P3 }],
+        skipDuplicates: true,
+      });
+    });
+  });
+
+  describe("applyCollectionChange", () => {
+    it("does nothing when membership is unchanged", async () => {
+      const result = await applyCollectionChange(SUMMER, [P1, P2], [P2, P1], shop, db);
+
+      expect(result).toEqual({ discounts: 0, added: 0, removed: 0 });
+      expect(db.discountTarget.findMany).not.toHaveBeenCalled();
+    });
+
+    it("reindexes only the products that moved, for discounts targeting the collection", async () => {
+      db.discountTarget.findMany.mockResolvedValue([{ discountId: "d1" }]);
+      db.discount.findMany.mockResolvedValue([
+        { id: "d1", targets: [target("COLLECTION", SUMMER)], bxgyTargets: [] },
+      ]);
+      db.collection.findMany.mockResolvedValue([collectionRow(SUMMER, [P1, P3])]);
+      db.discountProduct.findMany.mockResolvedValue([
+        { id: "row-2", discountId: "d1", productGid: P2 },
+      ]);
+
+      const result = await applyCollectionChange(SUMMER, [P1, P2], [P1, P3], shop, db);
+
+      expect(result).toEqual({ discounts: 1, added: 1, removed: 1 });
+      expect(db.discountProduct.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { discountId: { in: ["d1"] }, productGid: { in: [P3, P2] } },
+      }));
+    });
+  });
+
+  describe("syncProductCollections", () => {
+    it("skips the Shopify call when no discount targets a collection", async () => {
+      const admin = createMockAdmin([SUMMER]);
+
+      const result = await syncProductCollections(admin, P3, shop, db);
+
+      expect(result.discounts).toBe(0);
+      expect(admin.graphql).not.toHaveBeenCalled();
+    });
+
+    it("updates cached membership and patches affected discounts", async () => {
+      const admin = createMockAdmin([SUMMER]);
+      db.discountTarget.findMany.mockImplementation(async ({ where }) => (
+        where.targetGid ? [{ discountId: "d1" }] : [{ targetGid: SUMMER }, { targetGid: SALE }]
+      ));
+      db.collection.findMany
+        .mockResolvedValueOnce([collectionRow(SUMMER, [P1]), collectionRow(SALE, [P3])])
+        .mockResolvedValueOnce([collectionRow(SUMMER, [P1, P3])]);
+      db.discount.findMany.mockResolvedValue([
+        { id: "d1", targets: [target("COLLECTION", SUMMER)], bxgyTargets: [] },
+      ]);
+
+      const result = await syncProductCollections(admin, P3, shop, db);
+
+      expect(db.collection.update).toHaveBeenCalledWith({
+        where: { gid: SUMMER },
+        data: { productIds: JSON.stringify([P1, P3]) },
+      });
+      expect(db.collection.update).toHaveBeenCalledWith({
+        where: { gid: SALE },
+        data: { productIds: JSON.stringify([]) },
+      });
+      expect(result).toEqual({ collections: 2, discounts: 1, added: 1, removed: 0 });
+    });
+  });
+
+  describe("removeProductFromIndex", () => {
+    it("drops junction rows and strips the product from cached collections", async () => {
+      db.discountProduct.findMany.mockResolvedValue([{ discountId: "d1" }]);
+      db.collection.findMany.mockResolvedValue([collectionRow(SUMMER, [P1, P2])]);
+
+      const result = await removeProductFromIndex(P2, shop, db);
+
+      expect(result).toEqual({ discounts: 1 });
+      expect(db.discountProduct.deleteMany).toHaveBeenCalledWith({
+        where: { productGid: P2, discountId: { in: ["d1"] } },
+      });
+      expect(db.collection.update).toHaveBeenCalledWith({
+        where: { gid: SUMMER },
+        data: { productIds: JSON.stringify([P1]) },
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  normalizeDisplayConfig,
+  resolveCodeDisplay,
+  saveDisplayConfig,
+  toStorefrontDisplay,
+} from "../../utils/discount-display-config.server.js";
+import { CODE_VISIBILITY } from "../../utils/constants.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const shop = MOCK_SHOP_DOMAIN;
+
+describe("discount-display-config", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.liveDiscount.findFirst.mockResolvedValue({ id: "ld-1", gid: "gid://shopify/DiscountCodeNode/111" });
+    db.discountDisplayConfig.upsert.mockImplementation(async (args) => args.create);
+  });
+
+  describe("normalizeDisplayConfig", () => {
+    it("trims fields, lowercases colors and clears empty values", () => {
+      const { value, errors } = normalizeDisplayConfig({
+        badgeText: "  Black Friday {amount} ",
+        badgeBgColor: "#E9A417",
+        badgeTextColor: "",
+        icon: "fire",
+        termsText: "   ",
+        priority: "5",
+      });
+
+      expect(errors).toEqual({});
+      expect(value).toEqual({
+        badgeText: "Black Friday {amount}",
+        badgeBgColor: "#e9a417",
+        badgeTextColor: null,
+        icon: "fire",
+        termsText: null,
+        priority: 5,
+        codeVisibility: null,
+        displayCode: null,
+      });
+    });
+
+    it("rejects invalid colors, unknown icons and out-of-range priorities", () => {
+      const { value, errors } = normalizeDisplayConfig({
+        badgeBgColor: "red",
+        icon: "skull",
+        priority: "101",
+      });
+
+      expect(value).toBeNull();
+      expect(Object.keys(errors).sort()).toEqual(["badgeBgColor", "icon", "priority"]);
+    });
+  });
+
+  describe("saveDisplayConfig", () => {
+    it("upserts the overrides of one of the shop's live discounts", async () => {
+      const result = await saveDisplayConfig(shop, "ld-1", { badgeText: "Clearance", priority: "3" }, db);
+
+      expect(db.liveDiscount.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: "ld-1", shop },
+      }));
+      expect(db.discountDisplayConfig.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { liveDiscountId: "ld-1" },
+        create: expect.objectContaining({ liveDiscountId: "ld-1", shop, badgeText: "Clearance", priority: 3 }),
+      }));
+      expect(result.errors).toBeNull();
+    });
+
+    it("deletes the row when every field is back to its default", async () => {
+      const result = await saveDisplayConfig(shop, "ld-1", { badgeText: "", priority: "0" }, db);
+
+      expect(db.discountDisplayConfig.deleteMany).toHaveBeenCalledWith({ where: { liveDiscountId: "ld-1" } });
+      expect(db.discountDisplayConfig.upsert).not.toHaveBeenCalled();
+      expect(result.config).toBeNull();
+    });
+
+    it("rejects a display code the discount does not have", async () => {
+      db.discountCode.findFirst.mockResolvedValue(null);
+
+      const result = await saveDisplayConfig(shop, "ld-1", { displayCode: "INFLUENCER10" }, db);
+
+      expect(db.discountCode.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { code: "INFLUENCER10", discount: { gid: "gid://shopify/DiscountCodeNode/111", shop } },
+      }));
+      expect(result.errors).toEqual({ displayCode: expect.any(String) });
+      expect(db.discountDisplayConfig.upsert).not.toHaveBeenCalled();
+    });
+
+    it("reports discounts that belong to another shop as not found", async () => {
+      db.liveDiscount.findFirst.mockResolvedValue(null);
+
+      const result = await saveDisplayConfig(shop, "ld-other", { badgeText: "Sale" }, db);
+
+      expect(result.notFound).toBe(true);
+      expect(db.discountDisplayConfig.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("resolveCodeDisplay", () => {
+    const codes = [{ code: "SUMMER" }, { code: "ANNA10" }, { code: "MAX10" }];
+
+    it("reveals the only code of an unrestricted discount", () => {
+      expect(resolveCodeDisplay({ usageLimit: null }, [{ code: "SUMMER" }], null))
+        .toEqual({ visibility: CODE_VISIBILITY.SHOW, code: "SUMMER" });
+    });
+
+    it("never picks an arbitrary code when there are several", () => {
+      expect(resolveCodeDisplay({}, codes, null))
+        .toEqual({ visibility: CODE_VISIBILITY.HIDE_CODE, code: null });
+      expect(resolveCodeDisplay({}, codes, { displayCode: "ANNA10" }))
+        .toEqual({ visibility: CODE_VISIBILITY.SHOW, code: "ANNA10" });
+    });
+
+    it("keeps single-use and once-per-customer codes private unless the merchant chose otherwise", () => {
+      expect(resolveCodeDisplay({ usageLimit: 1 }, [{ code: "ONCE" }], null).code).toBeNull();
+      expect(resolveCodeDisplay({ appliesOncePerCustomer: true }, [{ code: "WELCOME" }], null))
+        .toEqual({ visibility: CODE_VISIBILITY.HIDE_CODE, code: null });
+      expect(resolveCodeDisplay({ appliesOncePerCustomer: true }, [{ code: "WELCOME" }], { codeVisibility: "SHOW" }).code)
+        .toBe("WELCOME");
+      expect(resolveCodeDisplay({}, [{ code: "WELCOME" }], { codeVisibility: "HIDE" }).visibility)
+        .toBe(CODE_VISIBILITY.HIDE);
+    });
+  });
+
+  describe("toStorefrontDisplay", () => {
+    it("keeps only the fields that are set", () => {
+      expect(toStorefrontDisplay({
+        badgeText: null, badgeBgColor: "#000000", badgeTextColor: null, icon: null, termsText: null, priority: 0,
+      })).toEqual({ badgeBgColor: "#000000" });
+      expect(toStorefrontDisplay(null)).toBeNull();
+    });
+  });
+});
@@ -6,6 +6,11 @@ import {
   findBestDiscount,
   findBestDiscounts,
   resolveBestDiscounts,
+  normalizeMinimumRequirement,
+  evaluateMinimumRequirement,
+  canDiscountsCombine,
+  calculateStackedPrice,
+  findBestStackedPair,
 } from "../../utils/discount-math.server.js";
 
 // Mock the logger
@@ -192,6 +197,15 @@ describe("discount-math.server.js", () => {
       expect(result.savings).toBe(2000);
     });
 
+    it("ignores BXGY discounts (cart-level rewards)", () => {
+      const discounts = [
+        { kind: "bxgy", type: "percentage", value: 100, isAutomatic: true },
+        { type: "percentage", value: 10, isAutomatic: true },
+      ];
+      const result = findBestDiscount(discounts, 10000, null);
+      expect(result.discount).toBe(discounts[1]);
+    });
+
     it("uses higher value as tiebreaker for same savings", () => {
       const discounts = [
         { type: "percentage", value: 20, isAutomatic: true },
@@ -395,4 +409,209 @@ describe("discount-math.server.js", () => {
       });
     });
   });
+
+  describe("normalizeMinimumRequirement", () => {
+    it("normalizes a subtotal requirement to cents", () => {
+      expect(
+        normalizeMinimumRequirement({
+          greaterThanOrEqualToSubtotal: { amount: "50.00", currencyCode: "USD" },
+        })
+      ).toEqual({ type: "subtotal", amountCents: 5000, currencyCode: "USD" });
+    });
+
+    it("normalizes a quantity requirement", () => {
+      expect(
+        normalizeMinimumRequirement({ greaterThanOrEqualToQuantity: "3" })
+      ).toEqual({ type: "quantity", quantity: 3 });
+    });
+
+    it("returns null for missing or malformed requirements", () => {
+      expect(normalizeMinimumRequirement(null)).toBe(null);
+      expect(normalizeMinimumRequirement({})).toBe(null);
+      expect(normalizeMinimumRequirement("MINIMUM_PURCHASE_AMOUNT")).toBe(null);
+      expect(
+        normalizeMinimumRequirement({ greaterThanOrEqualToQuantity: "0" })
+      ).toBe(null);
+    });
+  });
+
+  describe("evaluateMinimumRequirement", () => {
+    const subtotal = { type: "subtotal", amountCents: 5000, currencyCode: "USD" };
+
+    it("treats no requirement as met", () => {
+      expect(evaluateMinimumRequirement(null, null)).toEqual({
+        met: true,
+        remaining: 0,
+        progress: 1,
+      });
+    });
+
+    it("reports remaining amount and progress below threshold", () => {
+      expect(
+        evaluateMinimumRequirement(subtotal, {
+          subtotalCents: 2000,
+          itemCount: 1,
+          currencyCode: "USD",
+        })
+      ).toEqual({ met: false, remaining: 3000, progress: 0.4 });
+    });
+
+    it("is met once the subtotal reaches the threshold", () => {
+      expect(
+        evaluateMinimumRequirement(subtotal, {
+          subtotalCents: 5000,
+          itemCount: 2,
+          currencyCode: "USD",
+        })
+      ).toEqual({ met: true, remaining: 0, progress: 1 });
+    });
+
+    it("treats an unknown cart as empty", () => {
+      expect(evaluateMinimumRequirement(subtotal, null)).toEqual({
+        met: false,
+        remaining: 5000,
+        progress: 0,
+      });
+    });
+
+    it("does not compare subtotals across currencies", () => {
+      expect(
+        evaluateMinimumRequirement(subtotal, {
+          subtotalCents: 9000,
+          itemCount: 1,
+          currencyCode: "EUR",
+        })
+      ).toEqual({ met: false, remaining: null, progress: 0 });
+    });
+
+    it("uses item count for quantity requirements", () => {
+      expect(
+        evaluateMinimumRequirement(
+          { type: "quantity", quantity: 3 },
+          { subtotalCents: 0, itemCount: 2, currencyCode: "USD" }
+        ).remaining
+      ).toBe(1);
+    });
+  });
+
+  describe("resolveBestDiscounts with minimum requirements", () => {
+    const conditional = {
+      type: "percentage",
+      value: 20,
+      isAutomatic: true,
+      minimumRequirement: { type: "subtotal", amountCents: 5000, currencyCode: "USD" },
+    };
+
+    it("keeps an unmet conditional discount out of the price and returns it as an offer", () => {
+      const plain = { type: "percentage", value: 5, isAutomatic: true };
+      const result = resolveBestDiscounts({
+        discounts: [plain, conditional],
+        regularPriceCents: 2000,
+        currentVariantId: null,
+        cart: { subtotalCents: 1000, itemCount: 1, currencyCode: "USD" },
+      });
+
+      expect(result.automaticDiscount).toBe(plain);
+      expect(result.conditionalDiscount).toBe(conditional);
+      expect(result.conditionalProgress).toEqual({
+        met: false,
+        remaining: 4000,
+        progress: 0.2,
+        finalPriceCents: 1600,
+      });
+    });
+
+    it("applies a conditional discount once the cart meets the threshold", () => {
+      const result = resolveBestDiscounts({
+        discounts: [conditional],
+        regularPriceCents: 2000,
+        currentVariantId: null,
+        cart: { subtotalCents: 6000, itemCount: 3, currencyCode: "USD" },
+      });
+
+      expect(result.automaticDiscount).toBe(conditional);
+      expect(result.automaticEntry.finalPriceCents).toBe(1600);
+      expect(result.conditionalDiscount).toBe(null);
+    });
+
+    it("does not offer a conditional discount that is worse than the current price", () => {
+      const plain = { type: "percentage", value: 30, isAutomatic: true };
+      const result = resolveBestDiscounts({
+        discounts: [plain, conditional],
+        regularPriceCents: 2000,
+        currentVariantId: null,
+      });
+
+      expect(result.automaticDiscount).toBe(plain);
+      expect(result.conditionalDiscount).toBe(null);
+    });
+  });
+
+  describe("discount stacking (combinesWith)", () => {
+    const combines = { productDiscounts: true, orderDiscounts: false, shippingDiscounts: false };
+    const automatic = { type: "percentage", value: 10, isAutomatic: true, combinesWith: combines };
+    const coupon = { type: "percentage", value: 20, isAutomatic: false, code: "SAVE20", combinesWith: combines };
+
+    it("requires both discounts to combine with product discounts", () => {
+      expect(canDiscountsCombine(automatic, coupon)).toBe(true);
+      expect(canDiscountsCombine(automatic, { ...coupon, combinesWith: { productDiscounts: false } })).toBe(false);
+      expect(canDiscountsCombine(automatic, { type: "percentage", value: 20 })).toBe(false);
+    });
+
+    it("adds savings calculated on the regular price", () => {
+      expect(calculateStackedPrice(10000, [automatic, coupon])).toBe(7000);
+      expect(calculateStackedPrice(1000, [{ type: "fixed", value: 800 }, { type: "fixed", value: 800 }])).toBe(0);
+    });
+
+    it("finds the pair with the lowest stacked price", () => {
+      const weakCoupon = { ...coupon, value: 5, code: "SAVE5" };
+      const pair = findBestStackedPair([automatic, weakCoupon, coupon], 10000, null);
+
+      expect(pair.automatic).toBe(automatic);
+      expect(pair.coupon).toBe(coupon);
+      expect(pair.automaticFinalPrice).toBe(9000);
+      expect(pair.finalPrice).toBe(7000);
+    });
+
+    it("returns both discounts with the stacked price when they combine", () => {
+      const result = resolveBestDiscounts({
+        discounts: [automatic, coupon],
+        regularPriceCents: 10000,
+        currentVariantId: null,
+      });
+
+      expect(result.stacked).toBe(true);
+      expect(result.automaticDiscount).toBe(automatic);
+      expect(result.couponDiscount).toBe(coupon);
+      expect(result.automaticEntry.finalPriceCents).toBe(9000);
+      expect(result.couponEntry).toEqual({
+        finalPriceCents: 7000,
+        regularPriceCents: 10000,
+        stacksWithAutomatic: true,
+      });
+    });
+
+    it("keeps suppression when the coupon does not combine", () => {
+      const result = resolveBestDiscounts({
+        discounts: [{ ...automatic, value: 30 }, { ...coupon, combinesWith: null }],
+        regularPriceCents: 10000,
+        currentVariantId: null,
+      });
+
+      expect(result.stacked).toBe(false);
+      expect(result.couponDiscount).toBe(null);
+    });
+
+    it("prefers a combinable pair over a stronger coupon that does not stack", () => {
+      const soloCoupon = { type: "percentage", value: 25, isAutomatic: false, code: "SOLO25" };
+      const result = resolveBestDiscounts({
+        discounts: [automatic, coupon, soloCoupon],
+        regularPriceCents: 10000,
+        currentVariantId: null,
+      });
+
+      expect(result.couponDiscount).toBe(coupon);
+      expect(result.couponEntry.finalPriceCents).toBe(7000);
+    });
+  });
 });
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/tier-manager.server.js", () => ({
+  getShopTierInfo: vi.fn(),
+  canHaveMoreLiveDiscounts: vi.fn(),
+}));
+
+import { getShopTierInfo } from "../../utils/tier-manager.server.js";
+import {
+  explainProductDiscounts,
+  previewProductDiscounts,
+  PREVIEW_REASON,
+  PREVIEW_ROLE,
+  TRACE_RULE,
+} from "../../utils/discount-preview.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const PRODUCT_GID = "gid://shopify/Product/111";
+
+const liveRecord = (id, overrides = {}) => ({
+  gid: `gid://shopify/DiscountAutomaticNode/${id}`,
+  shop,
+  status: "LIVE",
+  discountType: "AUTO",
+  startsAt: new Date("2024-01-01"),
+  endsAt: null,
+  displayConfig: null,
+  ...overrides,
+});
+
+const detailRecord = (id, overrides = {}) => ({
+  gid: `gid://shopify/DiscountAutomaticNode/${id}`,
+  title: `Discount ${id}`,
+  discountType: "AUTO",
+  valueType: "PERCENTAGE",
+  percentage: 0.1,
+  endsAt: null,
+  appliesOnOneTimePurchase: true,
+  appliesOnSubscription: false,
+  customerSelectionAll: true,
+  minimumRequirement: null,
+  targets: [{ targetGid: PRODUCT_GID }],
+  products: [{ productGid: PRODUCT_GID }],
+  variants: [],
+  codes: [],
+  ...overrides,
+});
+
+describe("discount-preview", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    getShopTierInfo.mockResolvedValue({
+      tier: "FREE", liveDiscountLimit: 1, currentLiveDiscounts: 1, isUnlimited: false,
+    });
+    db.product.findFirst.mockResolvedValue({ gid: PRODUCT_GID, title: "Snowboard", handle: "snowboard" });
+    db.product.findMany.mockResolvedValue([{ gid: PRODUCT_GID, handle: "snowboard", singlePrice: true }]);
+    db.productVariant.findMany.mockResolvedValue([
+      { gid: "gid://shopify/ProductVariant/501", productGid: PRODUCT_GID, priceCents: 10000, currencyCode: "USD" },
+    ]);
+  });
+
+  it("returns null for products that are not in the catalog cache", async () => {
+    db.product.findFirst.mockResolvedValue(null);
+
+    expect(await previewProductDiscounts(shop, { productId: "999" }, db)).toBeNull();
+  });
+
+  it("shows the rendered discount with its price and explains every excluded one", async () => {
+    const details = [
+      detailRecord("1", { percentage: 0.2 }),
+      detailRecord("2"),
+      detailRecord("3", { valueType: "FIXED_AMOUNT", amount: 5, currencyCode: "USD" }),
+      detailRecord("4"),
+    ];
+    // The storefront query only sees LIVE records; the preview also loads the rest
+    db.liveDiscount.findMany
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2"), liveRecord("3")])
+      .mockResolvedValueOnce([
+        liveRecord("1"), liveRecord("2"), liveRecord("3"), liveRecord("4", { status: "HIDDEN" }),
+      ]);
+    db.discount.findMany
+      .mockResolvedValueOnce(details.slice(0, 3))
+      .mockResolvedValueOnce(details.map((d) => ({ gid: d.gid, title: d.title, discountType: "AUTO", codes: [] })));
+
+    const preview = await previewProductDiscounts(shop, { productId: PRODUCT_GID }, db);
+
+    expect(preview.variantId).toBe("501");
+    expect(preview.regularPriceCents).toBe(10000);
+    expect(preview.finalPriceCents).toBe(8000);
+    expect(preview.rendered).toEqual([
+      expect.objectContaining({ id: "1", title: "Discount 1", role: PREVIEW_ROLE.AUTOMATIC, finalPriceCents: 8000 }),
+    ]);
+    const reasons = Object.fromEntries(preview.excluded.map((d) => [d.id, d.reason]));
+    expect(reasons).toEqual({
+      "2": PREVIEW_REASON.NOT_BEST,
+      "3": PREVIEW_REASON.FIXED_AMOUNT_TIER,
+      "4": PREVIEW_REASON.LIMIT_REACHED,
+    });
+    expect(preview.excluded.find((d) => d.id === "3").message).toMatch(/Basic plan/);
+  });
+
+  it("drops discounts for other variants and purchase types", async () => {
+    getShopTierInfo.mockResolvedValue({ tier: "ADVANCED", liveDiscountLimit: null, isUnlimited: true });
+    const details = [
+      detailRecord("1", {
+        targets: [{ targetGid: "gid://shopify/ProductVariant/502" }],
+        variants: [{ variantGid: "gid://shopify/ProductVariant/502" }],
+      }),
+      detailRecord("2", { appliesOnOneTimePurchase: false, appliesOnSubscription: true }),
+    ];
+    db.liveDiscount.findMany
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2")])
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2")]);
+    db.discount.findMany
+      .mockResolvedValueOnce(details)
+      .mockResolvedValueOnce(details.map((d) => ({ gid: d.gid, title: d.title, discountType: "AUTO", codes: [] })));
+
+    const preview = await previewProductDiscounts(shop, { productId: "111", variantId: "501" }, db);
+
+    expect(preview.rendered).toEqual([]);
+    expect(preview.finalPriceCents).toBe(10000);
+    expect(preview.excluded.map((d) => [d.id, d.reason])).toEqual([
+      ["1", PREVIEW_REASON.VARIANT_SCOPE],
+      ["2", PREVIEW_REASON.PURCHASE_TYPE],
+    ]);
+  });
+
+  it("traces each rule up to the one that excluded a discount", async () => {
+    const details = [detailRecord("1"), detailRecord("2", { customerSelectionAll: false })];
+    db.liveDiscount.findMany
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2")])
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2")]);
+    db.discount.findMany
+      .mockResolvedValueOnce(details)
+      .mockResolvedValueOnce(details.map((d) => ({ gid: d.gid, title: d.title, discountType: "AUTO", codes: [] })));
+
+    const trace = await explainProductDiscounts(shop, { productId: "111" }, db);
+
+    const [included, excluded] = trace.candidates;
+    expect(included).toMatchObject({ id: "1", included: true, outcome: PREVIEW_ROLE.AUTOMATIC });
+    expect(included.rules.every((r) => r.result === "pass")).toBe(true);
+
+    expect(excluded).toMatchObject({ id: "2", included: false, outcome: PREVIEW_REASON.CUSTOMER_SEGMENT });
+    const results = Object.fromEntries(excluded.rules.map((r) => [r.rule, r.result]));
+    expect(results[TRACE_RULE.STATUS]).toBe("pass");
+    expect(results[TRACE_RULE.CUSTOMER_SEGMENT]).toBe("fail");
+    // Targeting runs after the segment check, so it was never evaluated
+    expect(results[TRACE_RULE.TARGETING]).toBe("skipped");
+    expect(results[TRACE_RULE.BEST_PRICE]).toBe("skipped");
+  });
+
+  it("reports only the rules that were evaluated for each discount", async () => {
+    const details = [
+      detailRecord("1", { valueType: "FIXED_AMOUNT", amount: 5, currencyCode: "USD" }),
+      detailRecord("2", {
+        targets: [{ targetGid: "gid://shopify/ProductVariant/501" }],
+        variants: [{ variantGid: "gid://shopify/ProductVariant/501" }],
+      }),
+      detailRecord("3"),
+    ];
+    db.liveDiscount.findMany
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2")])
+      .mockResolvedValueOnce([liveRecord("1"), liveRecord("2"), liveRecord("3", { status: "SCHEDULED" })]);
+    db.discount.findMany
+      .mockResolvedValueOnce(details.slice(0, 2))
+      .mockResolvedValueOnce(details.map((d) => ({ gid: d.gid, title: d.title, discountType: "AUTO", codes: [] })));
+
+    const trace = await explainProductDiscounts(shop, { productId: "111" }, db);
+
+    const rules = Object.fromEntries(trace.candidates.map((c) => [
+      c.id, Object.fromEntries(c.rules.map((r) => [r.rule, r.result])),
+    ]));
+    expect(rules["1"]).toMatchObject({
+      [TRACE_RULE.CODE_VISIBILITY]: "pass",
+      [TRACE_RULE.FIXED_AMOUNT_TIER]: "fail",
+      [TRACE_RULE.CURRENCY_RATE]: "skipped",
+    });
+    expect(rules["2"]).toMatchObject({
+      [TRACE_RULE.CURRENCY_RATE]: "pass",
+      [TRACE_RULE.SUBSCRIPTION_TIER]: "pass",
+      [TRACE_RULE.VARIANT_TIER]: "fail",
+      [TRACE_RULE.PURCHASE_TYPE]: "skipped",
+    });
+    expect(rules["3"]).toMatchObject({
+      [TRACE_RULE.STATUS]: "fail",
+      [TRACE_RULE.SCHEDULE]: "skipped",
+      [TRACE_RULE.RECORD]: "skipped",
+    });
+    expect(trace.candidates.find((c) => c.id === "3").rules[0].detail).toMatch(/Scheduled to start/);
+  });
+});
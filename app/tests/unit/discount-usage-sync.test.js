@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/tier-manager.server.js", () => ({
+  applyLiveDiscountRanking: vi.fn().mockResolvedValue({ promoted: [], demoted: [] }),
+}));
+
+import { applyLiveDiscountRanking } from "../../utils/tier-manager.server.js";
+import {
+  isUsageExhausted,
+  syncDiscountUsage,
+  USAGE_EXHAUSTED_REASON,
+} from "../../utils/discount-resolver/usage-sync.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const gid = (id) => `gid://shopify/DiscountCodeNode/${id}`;
+
+function createMockAdmin(nodes) {
+  return {
+    graphql: vi.fn().mockResolvedValue({ ok: true, json: async () => ({ data: { nodes } }) }),
+  };
+}
+
+describe("discount usage sync", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.liveDiscount.findMany.mockResolvedValue([]);
+    db.liveDiscount.updateMany.mockResolvedValue({ count: 0 });
+  });
+
+  it("treats a discount as used up only when it has a limit and reached it", () => {
+    expect(isUsageExhausted({ usageLimit: null, asyncUsageCount: 500 })).toBe(false);
+    expect(isUsageExhausted({ usageLimit: 10, asyncUsageCount: 9 })).toBe(false);
+    expect(isUsageExhausted({ usageLimit: 10, asyncUsageCount: 10 })).toBe(true);
+  });
+
+  it("stores new counts and hides live discounts that reached their limit", async () => {
+    db.discount.findMany.mockResolvedValue([
+      { gid: gid(1), usageLimit: 10, asyncUsageCount: 8 },
+      { gid: gid(2), usageLimit: 100, asyncUsageCount: 3 },
+    ]);
+    db.liveDiscount.findMany.mockResolvedValue([{ gid: gid(1) }]);
+    const admin = createMockAdmin([
+      { id: gid(1), codeDiscount: { usageLimit: 10, asyncUsageCount: 10 } },
+      { id: gid(2), codeDiscount: { usageLimit: 100, asyncUsageCount: 3 } },
+    ]);
+
+    const result = await syncDiscountUsage(admin, shop, db);
+
+    expect(result).toEqual({ tracked: 2, exhausted: 1, restored: 0 });
+    expect(db.discount.update).toHaveBeenCalledTimes(1);
+    expect(db.discount.update).toHaveBeenCalledWith({
+      where: { gid: gid(1) },
+      data: { usageLimit: 10, asyncUsageCount: 10 },
+    });
+    expect(db.liveDiscount.update).toHaveBeenCalledWith({
+      where: { gid: gid(1) },
+      data: expect.objectContaining({
+        status: USAGE_EXHAUSTED_REASON,
+        exclusionReason: USAGE_EXHAUSTED_REASON,
+      }),
+    });
+    expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
+  });
+
+  it("makes a used-up discount live again when its limit was raised", async () => {
+    db.discount.findMany.mockResolvedValue([{ gid: gid(1), usageLimit: 10, asyncUsageCount: 10 }]);
+    db.liveDiscount.updateMany.mockResolvedValue({ count: 1 });
+    const admin = createMockAdmin([{ id: gid(1), codeDiscount: { usageLimit: 20, asyncUsageCount: 10 } }]);
+
+    const result = await syncDiscountUsage(admin, shop, db);
+
+    expect(result.restored).toBe(1);
+    expect(db.liveDiscount.updateMany).toHaveBeenCalledWith({
+      where: { shop, gid: { in: [gid(1)] }, status: USAGE_EXHAUSTED_REASON },
+      data: { status: "LIVE", exclusionReason: null, exclusionDetails: null },
+    });
+    expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
+  });
+
+  it("does not query Shopify when the shop has no capped code discounts", async () => {
+    db.discount.findMany.mockResolvedValue([]);
+    const admin = createMockAdmin([]);
+
+    expect(await syncDiscountUsage(admin, shop, db)).toEqual({ tracked: 0, exhausted: 0, restored: 0 });
+    expect(admin.graphql).not.toHaveBeenCalled();
+  });
+});
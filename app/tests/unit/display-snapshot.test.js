@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+import {
+  clearDisplaySnapshots,
+  getDisplaySnapshot,
+  invalidateDisplaySnapshot,
+} from "../../utils/display-snapshot.server.js";
+
+const shop = "test.myshopify.com";
+
+describe("display snapshot", () => {
+  beforeEach(async () => {
+    await clearDisplaySnapshots();
+  });
+
+  it("builds once for concurrent requests and reuses the result", async () => {
+    const build = vi.fn(async () => ({ discounts: [], validUntil: null }));
+
+    const [first, second] = await Promise.all([
+      getDisplaySnapshot(shop, build),
+      getDisplaySnapshot(shop, build),
+    ]);
+    const third = await getDisplaySnapshot(shop, build);
+
+    expect(build).toHaveBeenCalledTimes(1);
+    expect(second.revision).toBe(first.revision);
+    expect(third.revision).toBe(first.revision);
+  });
+
+  it("rebuilds a snapshot that raced an invalidation", async () => {
+    let builds = 0;
+    const build = vi.fn(async () => {
+      builds += 1;
+      // The data changes while the first build is reading it
+      if (builds === 1) await invalidateDisplaySnapshot(shop);
+      return { discounts: [], build: builds };
+    });
+
+    expect((await getDisplaySnapshot(shop, build)).build).toBe(1);
+    expect((await getDisplaySnapshot(shop, build)).build).toBe(2);
+    expect((await getDisplaySnapshot(shop, build)).build).toBe(2);
+  });
+
+  it("rebuilds after validUntil", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      const build = vi.fn(async () => ({ discounts: [], validUntil: Date.now() + 1000 }));
+
+      await getDisplaySnapshot(shop, build);
+      vi.setSystemTime(Date.now() + 1001);
+      await getDisplaySnapshot(shop, build);
+
+      expect(build).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,133 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// The extension reads its settings from the namespace the Liquid block creates
+const ns = vi.hoisted(() => {
+  window["discounts-display-pro"] = { logLevel: "error" };
+  return window["discounts-display-pro"];
+});
+
+const getDiscountsForProducts = vi.fn();
+vi.mock("../../../packages/storefront-sdk/src/api-client.js", () => ({
+  createDiscountsClient: () => ({ getDiscountsForProducts }),
+}));
+
+import {
+  fetchAdditionalDiscountData,
+  loadDiscountData,
+  onDiscountDataRevalidated,
+} from "../../../extensions/discounts-display-pro/src/api-client.js";
+
+const product = (price) => ({ handle: `product-${price}`, variants: {}, discounts: [{ id: "d1", value: price }] });
+
+// A request that resolves when the test says so
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe("extension api-client discount cache", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    Object.assign(ns, {
+      apiBaseUrl: "https://app.example.com",
+      storefrontToken: "token",
+      _shopDomain: "test-shop.myshopify.com",
+      _fetchCache: null,
+      _fetchPromise: null,
+    });
+  });
+
+  // Loads product 1 once so the next page view is served from storage
+  async function storeProductOne() {
+    getDiscountsForProducts.mockResolvedValueOnce({ products: { 1: product(10) }, revision: "r1" });
+    await loadDiscountData({ productId: "1" });
+    ns._fetchCache = null;
+  }
+
+  it("merges additional products into the cache by product ID", async () => {
+    getDiscountsForProducts.mockResolvedValueOnce({ products: { 1: product(10) }, revision: "r1" });
+    await loadDiscountData({ productId: "1" });
+
+    getDiscountsForProducts.mockResolvedValueOnce({ products: { 2: product(20) }, revision: "r1" });
+    const result = await fetchAdditionalDiscountData({ productIds: ["2"] });
+
+    expect(result).toMatchObject({ success: true, hasData: true });
+    expect(ns._fetchCache.products).toEqual({ 1: product(10), 2: product(20) });
+  });
+
+  it("reports no data when the additional products have no discounts", async () => {
+    getDiscountsForProducts.mockResolvedValueOnce({ products: {}, revision: "r1" });
+
+    const result = await fetchAdditionalDiscountData({ productIds: ["3"] });
+
+    expect(result).toMatchObject({ success: true, hasData: false });
+  });
+
+  it("keeps products fetched during revalidation when the stored data was out of date", async () => {
+    await storeProductOne();
+    const listener = vi.fn();
+    const unsubscribe = onDiscountDataRevalidated(listener);
+
+    const revalidation = deferred();
+    getDiscountsForProducts.mockReturnValueOnce(revalidation.promise);
+    expect(await loadDiscountData({ productId: "1" })).toMatchObject({ products: { 1: product(10) } });
+
+    getDiscountsForProducts.mockResolvedValueOnce({ products: { 2: product(20) }, revision: "r1" });
+    await fetchAdditionalDiscountData({ productIds: ["2"] });
+
+    revalidation.resolve({ products: { 1: product(15) }, revision: "r2" });
+    await vi.waitFor(() => expect(listener).toHaveBeenCalled());
+    unsubscribe();
+
+    expect(ns._fetchCache).toMatchObject({
+      revision: "r2",
+      products: { 1: product(15), 2: product(20) },
+    });
+  });
+
+  it("serves a collection page from storage when only some members have discounts", async () => {
+    // Card 1 is on the page; 2 and 3 are members the page has not rendered yet
+    const collectionPage = { productIds: ["1"], collectionIds: ["9"] };
+    getDiscountsForProducts.mockResolvedValueOnce({
+      products: { 2: product(20) },
+      collections: { 9: { handle: "sale", productIds: ["1", "2", "3"] } },
+      revision: "r1",
+    });
+    await loadDiscountData(collectionPage);
+    ns._fetchCache = null;
+
+    const revalidation = deferred();
+    getDiscountsForProducts.mockReturnValueOnce(revalidation.promise);
+    const stored = await loadDiscountData(collectionPage);
+
+    expect(stored).toMatchObject({
+      products: { 2: product(20) },
+      collections: { 9: { handle: "sale", productIds: ["1", "2", "3"] } },
+      revision: "r1",
+    });
+    expect(stored.products).not.toHaveProperty("1");
+    revalidation.resolve({ products: {}, revision: "r1" });
+  });
+
+  it("drops stored products that no longer have discounts after revalidation", async () => {
+    await storeProductOne();
+    const listener = vi.fn();
+    const unsubscribe = onDiscountDataRevalidated(listener);
+
+    const revalidation = deferred();
+    getDiscountsForProducts.mockReturnValueOnce(revalidation.promise);
+    await loadDiscountData({ productId: "1" });
+
+    getDiscountsForProducts.mockResolvedValueOnce({ products: { 2: product(20) }, revision: "r1" });
+    await fetchAdditionalDiscountData({ productIds: ["2"] });
+
+    revalidation.resolve({ products: {}, revision: "r2" });
+    await vi.waitFor(() => expect(listener).toHaveBeenCalled());
+    unsubscribe();
+
+    expect(ns._fetchCache.products).toEqual({ 2: product(20) });
+  });
+});
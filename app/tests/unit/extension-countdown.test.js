@@ -0,0 +1,110 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// The extension reads its settings from the namespace the Liquid block creates
+const ns = vi.hoisted(() => {
+  window["discounts-display-pro"] = { logLevel: "error" };
+  return window["discounts-display-pro"];
+});
+
+import {
+  createCountdown,
+  formatTimeRemaining,
+} from "../../../extensions/discounts-display-pro/src/countdown.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe("formatTimeRemaining", () => {
+  it.each([
+    [0, "0s"],
+    [-5 * SECOND, "0s"],
+    [1, "1s"],
+    [59 * SECOND, "59s"],
+    [59 * SECOND + 1, "1m 0s"],
+    [MINUTE, "1m 0s"],
+    [HOUR - SECOND, "59m 59s"],
+    [HOUR, "1h 0m"],
+    [3 * HOUR + 12 * MINUTE + 40 * SECOND, "3h 12m"],
+    [DAY - SECOND, "23h 59m"],
+    [DAY, "1d 0h"],
+    [2 * DAY + 5 * HOUR + 30 * MINUTE, "2d 5h"],
+  ])("formats %i ms as %s", (ms, expected) => {
+    expect(formatTimeRemaining(ms)).toBe(expected);
+  });
+});
+
+describe("createCountdown", () => {
+  const endingIn = (ms, id = "d1") => ({ id, endsAt: new Date(Date.now() + ms).toISOString() });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+    ns.settings = { showCardCountdown: true, showFormCountdown: false, countdownWithinHours: 48 };
+    ns.countdownText = undefined;
+    document.body.innerHTML = "";
+  });
+
+  afterEach(() => {
+    // Let the shared interval stop by itself before the next test; elements
+    // that were never mounted are dropped after a 10s grace period
+    document.body.innerHTML = "";
+    vi.advanceTimersByTime(11 * SECOND);
+    vi.useRealTimers();
+  });
+
+  it("renders the remaining time with the configured text", () => {
+    ns.countdownText = "Only {time} left";
+
+    const element = createCountdown(endingIn(2 * HOUR), "card");
+
+    expect(element.getAttribute("role")).toBe("timer");
+    expect(element.className).toBe("ddp-countdown ddp-countdown--card");
+    expect(element.textContent).toBe("Only 2h 0m left");
+  });
+
+  it("returns null when the placement is off, the discount has no end, or it ends outside the window", () => {
+    expect(createCountdown(endingIn(HOUR), "form")).toBeNull();
+    expect(createCountdown({ id: "d1", endsAt: null }, "card")).toBeNull();
+    expect(createCountdown(endingIn(-SECOND), "card")).toBeNull();
+    expect(createCountdown(endingIn(49 * HOUR), "card")).toBeNull();
+  });
+
+  it("updates every timer from one shared interval", () => {
+    const setIntervalSpy = vi.spyOn(globalThis, "setInterval");
+
+    const first = createCountdown(endingIn(10 * SECOND, "d1"), "card");
+    const second = createCountdown(endingIn(2 * MINUTE, "d2"), "card");
+    document.body.append(first, second);
+
+    expect(setIntervalSpy).toHaveBeenCalledTimes(1);
+    expect(vi.getTimerCount()).toBe(1);
+
+    vi.advanceTimersByTime(3 * SECOND);
+    expect(first.textContent).toBe("Ends in 7s");
+    expect(second.textContent).toBe("Ends in 1m 57s");
+
+    setIntervalSpy.mockRestore();
+  });
+
+  it("stops the interval once no mounted timers are left", () => {
+    const first = createCountdown(endingIn(2 * SECOND, "d1"), "card");
+    const second = createCountdown(endingIn(HOUR, "d2"), "card");
+    document.body.append(first, second);
+
+    // The first discount ends; the second keeps the interval running
+    vi.advanceTimersByTime(2 * SECOND);
+    expect(first.textContent).toBe("Ends in 0s");
+    expect(vi.getTimerCount()).toBe(1);
+
+    second.remove();
+    vi.advanceTimersByTime(SECOND);
+    expect(vi.getTimerCount()).toBe(0);
+
+    // A new countdown starts it again
+    document.body.append(createCountdown(endingIn(HOUR, "d3"), "card"));
+    expect(vi.getTimerCount()).toBe(1);
+  });
+});
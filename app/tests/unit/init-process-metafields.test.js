@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/storefront-auth.server.js", () => ({
+  generateStorefrontToken: () => "t".repeat(64),
+  clearTokenCache: vi.fn(),
+}));
+
+import { initProcessMetafields } from "../../utils/init-process-metafields.server.js";
+
+const SHOP_GID = "gid://shopify/Shop/1";
+const APP_INSTALLATION_GID = "gid://shopify/AppInstallation/2";
+const STORED_SECRET = "p".repeat(64);
+
+function createMockAdmin() {
+  return {
+    graphql: vi.fn(async (query) => ({
+      json: async () => {
+        if (query.includes("metafieldsSet")) {
+          return { data: { metafieldsSet: { userErrors: [] } } };
+        }
+        return {
+          data: {
+            shop: { id: SHOP_GID },
+            currentAppInstallation: { id: APP_INSTALLATION_GID },
+          },
+        };
+      },
+    })),
+  };
+}
+
+function metafieldsSetInput(admin) {
+  const call = admin.graphql.mock.calls.find(([query]) => query.includes("metafieldsSet"));
+  return call[1].variables.metafields;
+}
+
+describe("initProcessMetafields", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ storefrontToken: "s".repeat(64), customerSigningSecret: STORED_SECRET });
+  });
+
+  it("writes the signing secret to the app installation, not the shop", async () => {
+    const admin = createMockAdmin();
+
+    await initProcessMetafields(MOCK_SHOP_DOMAIN, admin, db);
+
+    const metafields = metafieldsSetInput(admin);
+    expect(metafields.find((mf) => mf.key === "customer_signing_secret")).toMatchObject({
+      ownerId: APP_INSTALLATION_GID,
+      value: STORED_SECRET,
+    });
+    expect(metafields.filter((mf) => mf.ownerId === SHOP_GID).map((mf) => mf.key))
+      .toEqual(["app_url", "log_level", "storefront_token"]);
+  });
+
+  it("generates and stores a signing secret when the shop has none", async () => {
+    db.shop.findUnique.mockResolvedValue({ storefrontToken: "s".repeat(64), customerSigningSecret: null });
+    const admin = createMockAdmin();
+
+    await initProcessMetafields(MOCK_SHOP_DOMAIN, admin, db);
+
+    const { customerSigningSecret } = db.shop.updateMany.mock.calls
+      .map(([args]) => args.data)
+      .find((data) => data.customerSigningSecret);
+    expect(customerSigningSecret).toMatch(/^[a-f0-9]{64}$/);
+    expect(metafieldsSetInput(admin).find((mf) => mf.key === "customer_signing_secret")).toMatchObject({
+      ownerId: APP_INSTALLATION_GID,
+      value: customerSigningSecret,
+    });
+  });
+});
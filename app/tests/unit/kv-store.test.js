@@ -0,0 +1,240 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+import {
+  createMemoryStore,
+  createRedisStore,
+  createSqliteStore,
+} from "../../utils/kv-store.server.js";
+
+/**
+ * Local stand-in for a Redis server: the subset of ioredis commands the store uses,
+ * with PX expiry, sorted sets, SCAN and MULTI (queued commands run back to back)
+ */
+function createFakeRedis({ scanCount = 1 } = {}) {
+  const strings = new Map(); // key -> { value, expiresAt }
+  const zsets = new Map(); // key -> [{ score, member }]
+  const expiry = new Map(); // zset key -> expiresAt
+  let scanned = [];
+
+  const alive = (key) => {
+    const expiresAt = strings.get(key)?.expiresAt ?? expiry.get(key);
+    if (expiresAt && Date.now() > expiresAt) {
+      strings.delete(key);
+      zsets.delete(key);
+      expiry.delete(key);
+    }
+  };
+
+  const commands = {
+    zremrangebyscore(key, min, max) {
+      alive(key);
+      const set = zsets.get(key) || [];
+      zsets.set(key, set.filter(({ score }) => score < min || score > max));
+    },
+    zcard(key) {
+      alive(key);
+      return (zsets.get(key) || []).length;
+    },
+    zadd(key, score, member) {
+      const set = zsets.get(key) || [];
+      set.push({ score, member });
+      set.sort((a, b) => a.score - b.score);
+      zsets.set(key, set);
+    },
+    zrange(key, start, stop) {
+      const first = (zsets.get(key) || []).slice(start, stop + 1)[0];
+      return first ? [first.member, String(first.score)] : [];
+    },
+    pexpire(key, ttlMs) {
+      expiry.set(key, Date.now() + ttlMs);
+    },
+  };
+
+  return {
+    async get(key) {
+      alive(key);
+      return strings.get(key)?.value ?? null;
+    },
+    async set(key, value, mode, ttlMs) {
+      strings.set(key, { value, expiresAt: mode === "PX" ? Date.now() + ttlMs : null });
+      return "OK";
+    },
+    async del(...keys) {
+      keys.forEach((key) => {
+        strings.delete(key);
+        zsets.delete(key);
+        expiry.delete(key);
+      });
+      return keys.length;
+    },
+    // Pages through the keys that existed when the scan started
+    async scan(cursor, _match, pattern) {
+      const prefix = pattern.replace(/\*$/, "");
+      if (cursor === "0") scanned = [...strings.keys(), ...zsets.keys()];
+      const start = Number(cursor);
+      const next = start + scanCount;
+      return [
+        next >= scanned.length ? "0" : String(next),
+        scanned.slice(start, next).filter((key) => key.startsWith(prefix)),
+      ];
+    },
+    async zrem(key, member) {
+      zsets.set(key, (zsets.get(key) || []).filter((entry) => entry.member !== member));
+    },
+    multi() {
+      const queued = [];
+      const chain = {
+        async exec() {
+          return queued.map(([name, args]) => [null, commands[name](...args)]);
+        },
+      };
+      for (const name of Object.keys(commands)) {
+        chain[name] = (...args) => {
+          queued.push([name, args]);
+          return chain;
+        };
+      }
+      return chain;
+    },
+  };
+}
+
+describe.each([
+  ["memory", () => createMemoryStore()],
+  ["redis", () => createRedisStore(createFakeRedis())],
+])("%s store", (_name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it("stores values and forgets them after their TTL", async () => {
+    vi.useFakeTimers();
+    try {
+      await store.set("token:a.myshopify.com", "secret", 1000);
+      expect(await store.get("token:a.myshopify.com")).toBe("secret");
+
+      vi.advanceTimersByTime(1001);
+      expect(await store.get("token:a.myshopify.com")).toBeNull();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("clears only keys with the given prefix", async () => {
+    await store.set("token:a", "1");
+    await store.set("rate:api:a", [1]);
+
+    await store.clear("token:");
+
+    expect(await store.get("token:a")).toBeNull();
+    expect(await store.get("rate:api:a")).toEqual([1]);
+  });
+
+  it("counts hits in a sliding window and blocks at the limit", async () => {
+    const options = { limit: 2, windowMs: 1000 };
+
+    expect(await store.hit("rate:api:a", { ...options, now: 1000 })).toEqual({ allowed: true, count: 1, oldestAt: 1000 });
+    expect(await store.hit("rate:api:a", { ...options, now: 1200 })).toMatchObject({ allowed: true, count: 2 });
+    expect(await store.hit("rate:api:a", { ...options, now: 1500 })).toEqual({ allowed: false, count: 2, oldestAt: 1000 });
+    // The first hit has left the window
+    expect(await store.hit("rate:api:a", { ...options, now: 2100 })).toMatchObject({ allowed: true, count: 2 });
+  });
+});
+
+describe("memory store", () => {
+  it("evicts the oldest key when full", async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+
+    await store.set("a", 1);
+    await store.set("b", 2);
+    await store.set("c", 3);
+
+    expect(await store.get("a")).toBeNull();
+    expect(await store.get("c")).toBe(3);
+  });
+});
+
+describe("redis store", () => {
+  it("lets only the limit through when hits arrive together", async () => {
+    const store = createRedisStore(createFakeRedis());
+    const options = { limit: 2, windowMs: 1000, now: 1000 };
+
+    const results = await Promise.all([1, 2, 3].map(() => store.hit("rate:api:a", options)));
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(2);
+    expect(await store.hit("rate:api:a", { ...options, now: 1100 })).toMatchObject({ allowed: false, count: 2 });
+  });
+
+  it("clears a prefix across several SCAN pages", async () => {
+    const store = createRedisStore(createFakeRedis({ scanCount: 2 }));
+    await Promise.all(["token:a", "token:b", "rate:api:a", "token:c"].map((key) => store.set(key, 1)));
+
+    await store.clear("token:");
+
+    expect(await store.get("token:a")).toBeNull();
+    expect(await store.get("token:c")).toBeNull();
+    expect(await store.get("rate:api:a")).toBe(1);
+  });
+});
+
+describe("sqlite store", () => {
+  let db;
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.$transaction.mockImplementation((fn) => fn(db));
+    store = createSqliteStore(db);
+  });
+
+  it("reads JSON values and deletes expired rows", async () => {
+    db.kvEntry.findUnique.mockResolvedValueOnce({ key: "token:a", value: '"secret"', expiresAt: null });
+    expect(await store.get("token:a")).toBe("secret");
+
+    db.kvEntry.findUnique.mockResolvedValueOnce({ key: "token:a", value: '"secret"', expiresAt: new Date(Date.now() - 1) });
+    expect(await store.get("token:a")).toBeNull();
+    expect(db.kvEntry.deleteMany).toHaveBeenCalledWith({ where: { key: "token:a" } });
+  });
+
+  it("upserts values with an expiry", async () => {
+    await store.set("token:a", "secret", 60000);
+
+    expect(db.kvEntry.upsert).toHaveBeenCalledWith({
+      where: { key: "token:a" },
+      create: { key: "token:a", value: '"secret"', expiresAt: expect.any(Date) },
+      update: { value: '"secret"', expiresAt: expect.any(Date) },
+    });
+  });
+
+  it("records hits inside a transaction and blocks at the limit", async () => {
+    db.kvEntry.findUnique.mockResolvedValue({ key: "rate:api:a", value: "[1000,1200]", expiresAt: null });
+
+    const result = await store.hit("rate:api:a", { limit: 2, windowMs: 1000, now: 1500 });
+
+    expect(result).toEqual({ allowed: false, count: 2, oldestAt: 1000 });
+    expect(db.$transaction).toHaveBeenCalled();
+    expect(db.kvEntry.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ value: "[1000,1200]" }),
+    }));
+  });
+
+  it("clears keys by prefix", async () => {
+    await store.clear("token:");
+
+    expect(db.kvEntry.deleteMany).toHaveBeenCalledWith({ where: { key: { startsWith: "token:" } } });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+import {
+  getLiveDiscountState,
+  LIVE_LIMIT_REASON,
+  sortByRank,
+} from "../../utils/tier-manager/live-discount-helpers.server.js";
+import { TIER_CONFIG } from "../../utils/tier-manager.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+
+const row = (id, overrides = {}) => ({
+  gid: `gid://shopify/DiscountAutomaticNode/${id}`,
+  status: "LIVE",
+  rank: null,
+  createdAt: new Date(`2024-01-0${id}`),
+  ...overrides,
+});
+
+describe("live discount ranking", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.$transaction.mockImplementation((fn) => fn(db));
+  });
+
+  it("orders ranked discounts first, then unranked ones oldest first", () => {
+    const sorted = sortByRank([row("3"), row("1"), row("4", { rank: 2 }), row("2", { rank: 1 })]);
+
+    expect(sorted.map((r) => r.gid.split("/").pop())).toEqual(["2", "4", "1", "3"]);
+  });
+
+  it("keeps the top-ranked discounts live when a downgrade lowers the limit", async () => {
+    db.liveDiscount.findMany.mockResolvedValue([
+      row("1"),
+      row("2", { rank: 2 }),
+      row("3", { rank: 1 }),
+      row("4"),
+    ]);
+
+    const state = await getLiveDiscountState(shop, TIER_CONFIG.FREE, db);
+
+    expect(state).toMatchObject({
+      liveDiscountCount: 1,
+      enforcedLimit: true,
+      promoted: [],
+    });
+    expect(state.demoted).toEqual([row("2").gid, row("1").gid, row("4").gid]);
+    expect(db.liveDiscount.updateMany).toHaveBeenCalledWith({
+      where: { shop, gid: { in: state.demoted } },
+      data: expect.objectContaining({ status: "HIDDEN", exclusionReason: LIVE_LIMIT_REASON }),
+    });
+  });
+
+  it("swaps in a limit-hidden discount the merchant ranked higher", async () => {
+    db.liveDiscount.findMany.mockResolvedValue([
+      row("1", { rank: 2 }),
+      row("2", { rank: 1, status: "HIDDEN", exclusionReason: LIVE_LIMIT_REASON }),
+    ]);
+
+    const state = await getLiveDiscountState(shop, TIER_CONFIG.FREE, db);
+
+    expect(state.promoted).toEqual([row("2").gid]);
+    expect(state.demoted).toEqual([row("1").gid]);
+    expect(db.liveDiscount.updateMany).toHaveBeenCalledWith({
+      where: { shop, gid: { in: [row("2").gid] } },
+      data: { status: "LIVE", exclusionReason: null, exclusionDetails: null },
+    });
+  });
+
+  it("restores every limit-hidden discount on an unlimited plan", async () => {
+    db.liveDiscount.findMany.mockResolvedValue([
+      row("1"),
+      row("2", { status: "HIDDEN", exclusionReason: LIVE_LIMIT_REASON }),
+    ]);
+
+    const state = await getLiveDiscountState(shop, TIER_CONFIG.ADVANCED, db);
+
+    expect(state).toMatchObject({ liveDiscountCount: 2, enforcedLimit: false, demoted: [] });
+    expect(state.promoted).toEqual([row("2").gid]);
+  });
+});
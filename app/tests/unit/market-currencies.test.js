@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  convertAmountCents,
+  getPresentmentContext,
+  MARKET_CURRENCY_JOB_TYPE,
+  parsePresentmentParams,
+  syncMarketCurrencies,
+} from "../../utils/market-currencies.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const shop = MOCK_SHOP_DOMAIN;
+
+const currencyRow = (currencyCode, overrides = {}) => ({
+  shop,
+  currencyCode,
+  isShopCurrency: false,
+  manualRate: null,
+  countryCodes: "[]",
+  syncedAt: new Date(),
+  ...overrides,
+});
+
+function createMockAdmin(data) {
+  return {
+    graphql: vi.fn().mockResolvedValue({ ok: true, json: async () => ({ data }) }),
+  };
+}
+
+describe("market-currencies", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-uuid-1" });
+    db.marketCurrency.findMany.mockResolvedValue([]);
+    db.marketCurrency.upsert.mockImplementation(async (args) => args);
+    db.scheduledJob.findUnique.mockResolvedValue(null);
+  });
+
+  describe("parsePresentmentParams", () => {
+    it("normalizes codes and drops implausible rates", () => {
+      expect(parsePresentmentParams({ currency: "eur", country: "de", rate: "0.92" })).toEqual({
+        currencyCode: "EUR", countryCode: "DE", storefrontRate: 0.92,
+      });
+      expect(parsePresentmentParams({ currency: "EURO", country: "D3", rate: "-1" })).toEqual({
+        currencyCode: null, countryCode: null, storefrontRate: null,
+      });
+    });
+  });
+
+  describe("syncMarketCurrencies", () => {
+    it("caches enabled currencies with manual rates and market countries", async () => {
+      const admin = createMockAdmin({
+        shop: {
+          currencyCode: "USD",
+          currencySettings: {
+            nodes: [
+              { currencyCode: "USD", enabled: true, manualRate: null },
+              { currencyCode: "EUR", enabled: true, manualRate: "0.9" },
+              { currencyCode: "GBP", enabled: true, manualRate: null },
+              { currencyCode: "JPY", enabled: false, manualRate: "150" },
+            ],
+          },
+        },
+        markets: {
+          nodes: [
+            { enabled: true, currencySettings: { baseCurrency: { currencyCode: "EUR" } }, regions: { nodes: [{ code: "FR" }, { code: "DE" }] } },
+            { enabled: false, currencySettings: { baseCurrency: { currencyCode: "GBP" } }, regions: { nodes: [{ code: "GB" }] } },
+          ],
+        },
+      });
+
+      const count = await syncMarketCurrencies(admin, shop, db);
+
+      expect(count).toBe(3);
+      expect(db.marketCurrency.deleteMany).toHaveBeenCalledWith({
+        where: { shop, currencyCode: { notIn: ["USD", "EUR", "GBP"] } },
+      });
+      expect(db.marketCurrency.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop_currencyCode: { shop, currencyCode: "EUR" } },
+        create: expect.objectContaining({ manualRate: 0.9, countryCodes: JSON.stringify(["DE", "FR"]), isShopCurrency: false }),
+      }));
+      expect(db.marketCurrency.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { shop_currencyCode: { shop, currencyCode: "USD" } },
+        create: expect.objectContaining({ isShopCurrency: true, manualRate: null }),
+      }));
+    });
+  });
+
+  describe("getPresentmentContext", () => {
+    it("uses the Markets manual rate before the storefront rate", async () => {
+      db.marketCurrency.findMany.mockResolvedValue([
+        currencyRow("USD", { isShopCurrency: true }),
+        currencyRow("EUR", { manualRate: 0.9, countryCodes: JSON.stringify(["DE"]) }),
+      ]);
+
+      const context = await getPresentmentContext(shop, { currency: "EUR", rate: "0.95" }, db);
+
+      expect(context).toEqual({
+        currencyCode: "EUR", countryCode: null, shopCurrency: "USD", rate: 0.9, rateSource: "MARKET",
+      });
+    });
+
+    it("resolves the currency from the country and falls back to the storefront rate", async () => {
+      db.marketCurrency.findMany.mockResolvedValue([
+        currencyRow("USD", { isShopCurrency: true }),
+        currencyRow("GBP", { countryCodes: JSON.stringify(["GB"]) }),
+      ]);
+
+      const context = await getPresentmentContext(shop, { country: "GB", rate: "0.79" }, db);
+
+      expect(context).toMatchObject({ currencyCode: "GBP", rate: 0.79, rateSource: "STOREFRONT" });
+    });
+
+    it("queues a refresh when the cache is empty", async () => {
+      const context = await getPresentmentContext(shop, { currency: "CAD" }, db);
+      await vi.waitFor(() => expect(db.scheduledJob.upsert).toHaveBeenCalled());
+
+      expect(context).toMatchObject({ currencyCode: "CAD", rate: null, rateSource: null });
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { type_jobKey: { type: MARKET_CURRENCY_JOB_TYPE, jobKey: shop } },
+      }));
+    });
+  });
+
+  describe("convertAmountCents", () => {
+    const context = { currencyCode: "EUR", shopCurrency: "USD", rate: 0.9 };
+
+    it("converts shop-currency amounts at the rate", () => {
+      expect(convertAmountCents(500, "USD", context)).toBe(450);
+      expect(convertAmountCents(500, "EUR", context)).toBe(500);
+    });
+
+    it("returns null when no rate applies", () => {
+      expect(convertAmountCents(500, "USD", { ...context, rate: null })).toBeNull();
+      expect(convertAmountCents(500, "GBP", context)).toBeNull();
+    });
+  });
+});
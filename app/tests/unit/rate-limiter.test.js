@@ -8,7 +8,8 @@ vi.mock("../../utils/logger.server.js", () => ({
 }));
 
 describe("rate-limiter.server.js", () => {
-  let checkRateLimit, getRateLimitHeaders, createRateLimitResponse, resetRateLimit, resetAllRateLimits;
+  let checkRateLimit, getRateLimitHeaders, createRateLimitResponse, resetRateLimit, resetAllRateLimits,
+    clearRateLimitTier;
 
   beforeEach(async () => {
     vi.resetModules();
@@ -18,58 +19,106 @@ describe("rate-limiter.server.js", () => {
     createRateLimitResponse = rateLimiterModule.createRateLimitResponse;
     resetRateLimit = rateLimiterModule.resetRateLimit;
     resetAllRateLimits = rateLimiterModule.resetAllRateLimits;
+    clearRateLimitTier = rateLimiterModule.clearRateLimitTier;
 
-    resetAllRateLimits();
+    await resetAllRateLimits();
   });
 
   describe("checkRateLimit", () => {
-    it("should allow first request with remaining = 59", () => {
-      const result = checkRateLimit("test-shop.myshopify.com");
+    it("should allow first request with remaining = 59", async () => {
+      const result = await checkRateLimit("test-shop.myshopify.com");
 
       expect(result.allowed).toBe(true);
       expect(result.remaining).toBe(59);
       expect(result.retryAfter).toBeNull();
     });
 
-    it("should always allow requests when no shop is provided", () => {
-      const result1 = checkRateLimit(null);
-      const result2 = checkRateLimit(undefined);
-      const result3 = checkRateLimit("");
+    it("should always allow requests when no shop is provided", async () => {
+      const result1 = await checkRateLimit(null);
+      const result2 = await checkRateLimit(undefined);
+      const result3 = await checkRateLimit("");
 
       expect(result1.allowed).toBe(true);
       expect(result2.allowed).toBe(true);
       expect(result3.allowed).toBe(true);
     });
 
-    it("should allow multiple requests within limit and decrement remaining", () => {
+    it("should allow multiple requests within limit and decrement remaining", async () => {
       const shop = "test-shop.myshopify.com";
 
-      const result1 = checkRateLimit(shop);
+      const result1 = await checkRateLimit(shop);
       expect(result1.allowed).toBe(true);
       expect(result1.remaining).toBe(59);
 
-      const result2 = checkRateLimit(shop);
+      const result2 = await checkRateLimit(shop);
       expect(result2.allowed).toBe(true);
       expect(result2.remaining).toBe(58);
 
-      const result3 = checkRateLimit(shop);
+      const result3 = await checkRateLimit(shop);
       expect(result3.allowed).toBe(true);
       expect(result3.remaining).toBe(57);
     });
 
-    it("should block request after exceeding limit (60 requests)", () => {
+    it("should block request after exceeding limit (60 requests)", async () => {
       const shop = "test-shop.myshopify.com";
 
       for (let i = 0; i < 60; i++) {
-        const result = checkRateLimit(shop);
+        const result = await checkRateLimit(shop);
         expect(result.allowed).toBe(true);
       }
 
-      const result61 = checkRateLimit(shop);
+      const result61 = await checkRateLimit(shop);
       expect(result61.allowed).toBe(false);
       expect(result61.remaining).toBe(0);
       expect(result61.retryAfter).toBeGreaterThan(0);
     });
+
+    it("should use the shop's plan limit and cache the tier lookup", async () => {
+      const shop = "advanced-shop.myshopify.com";
+      const db = { shop: { findUnique: vi.fn().mockResolvedValue({ tier: "ADVANCED" }) } };
+
+      const first = await checkRateLimit(shop, db);
+      const second = await checkRateLimit(shop, db);
+
+      expect(first).toMatchObject({ allowed: true, limit: 300, remaining: 299 });
+      expect(second.remaining).toBe(298);
+      expect(db.shop.findUnique).toHaveBeenCalledOnce();
+      expect(db.shop.findUnique).toHaveBeenCalledWith({
+        where: { domain: shop },
+        select: { tier: true },
+      });
+    });
+
+    it("should fall back to the Free limit for unknown shops", async () => {
+      const db = { shop: { findUnique: vi.fn().mockResolvedValue(null) } };
+
+      const result = await checkRateLimit("unknown.myshopify.com", db);
+
+      expect(result.limit).toBe(60);
+      expect(result.remaining).toBe(59);
+    });
+
+    it("should pick up a new tier after clearRateLimitTier", async () => {
+      const shop = "upgrading-shop.myshopify.com";
+      const db = { shop: { findUnique: vi.fn().mockResolvedValue({ tier: "FREE" }) } };
+
+      expect((await checkRateLimit(shop, db)).limit).toBe(60);
+
+      db.shop.findUnique.mockResolvedValue({ tier: "BASIC" });
+      await clearRateLimitTier(shop);
+
+      expect((await checkRateLimit(shop, db)).limit).toBe(120);
+    });
+
+    it("should count buckets separately", async () => {
+      const shop = "test-shop.myshopify.com";
+
+      await checkRateLimit(shop);
+      await checkRateLimit(shop);
+      const events = await checkRateLimit(shop, null, { bucket: "events" });
+
+      expect(events.remaining).toBe(59);
+    });
   });
 
   describe("getRateLimitHeaders", () => {
@@ -82,6 +131,12 @@ describe("rate-limiter.server.js", () => {
       expect(headers["X-RateLimit-Remaining"]).toBe("45");
     });
 
+    it("should report the limit carried by the result", () => {
+      const headers = getRateLimitHeaders({ allowed: true, limit: 300, remaining: 250, retryAfter: null });
+
+      expect(headers["X-RateLimit-Limit"]).toBe("300");
+    });
+
     it("should include Retry-After when retryAfter is present", () => {
       const result = { allowed: false, remaining: 0, retryAfter: 30 };
       const headers = getRateLimitHeaders(result);
@@ -110,43 +165,43 @@ describe("rate-limiter.server.js", () => {
   });
 
   describe("resetRateLimit", () => {
-    it("should clear rate limit for specific shop", () => {
+    it("should clear rate limit for specific shop", async () => {
       const shop = "test-shop.myshopify.com";
 
-      checkRateLimit(shop);
-      checkRateLimit(shop);
-      checkRateLimit(shop);
+      await checkRateLimit(shop);
+      await checkRateLimit(shop);
+      await checkRateLimit(shop);
 
-      let result = checkRateLimit(shop);
+      let result = await checkRateLimit(shop);
       expect(result.remaining).toBe(56);
 
-      resetRateLimit(shop);
+      await resetRateLimit(shop);
 
-      result = checkRateLimit(shop);
+      result = await checkRateLimit(shop);
       expect(result.remaining).toBe(59);
     });
   });
 
   describe("resetAllRateLimits", () => {
-    it("should clear all rate limits for all shops", () => {
+    it("should clear all rate limits for all shops", async () => {
       const shop1 = "shop1.myshopify.com";
       const shop2 = "shop2.myshopify.com";
 
-      checkRateLimit(shop1);
-      checkRateLimit(shop1);
-      checkRateLimit(shop2);
-      checkRateLimit(shop2);
-      checkRateLimit(shop2);
+      await checkRateLimit(shop1);
+      await checkRateLimit(shop1);
+      await checkRateLimit(shop2);
+      await checkRateLimit(shop2);
+      await checkRateLimit(shop2);
 
-      let result1 = checkRateLimit(shop1);
-      let result2 = checkRateLimit(shop2);
+      let result1 = await checkRateLimit(shop1);
+      let result2 = await checkRateLimit(shop2);
       expect(result1.remaining).toBe(57);
       expect(result2.remaining).toBe(56);
 
-      resetAllRateLimits();
+      await resetAllRateLimits();
 
-      result1 = checkRateLimit(shop1);
-      result2 = checkRateLimit(shop2);
+      result1 = await checkRateLimit(shop1);
+      result2 = await checkRateLimit(shop2);
       expect(result1.remaining).toBe(59);
       expect(result2.remaining).toBe(59);
     });
@@ -4,8 +4,12 @@ import {
   ensureArray,
   isProductDiscount,
   isAllCustomersSelection,
+  isBxgyDiscount,
+  extractBxgyTerms,
+  extractCustomerEligibility,
   safeJsonParse,
   getShopIdByDomain,
+  moneyToCents,
 } from "../../utils/discount-resolver/utils.server.js";
 
 // Mock logger to prevent console output during tests
@@ -151,6 +155,81 @@ describe("resolver-utils", () => {
     });
   });
 
+  describe("isBxgyDiscount", () => {
+    it("should detect automatic and code BXGY discounts", () => {
+      expect(isBxgyDiscount({ __typename: "DiscountAutomaticBxgy" })).toBe(true);
+      expect(isBxgyDiscount({ __typename: "DiscountCodeBxgy" })).toBe(true);
+    });
+
+    it("should return false for basic discounts and missing data", () => {
+      expect(isBxgyDiscount({ __typename: "DiscountAutomaticBasic" })).toBe(false);
+      expect(isBxgyDiscount(null)).toBe(false);
+    });
+  });
+
+  describe("extractBxgyTerms", () => {
+    it("should extract quantities and a free reward", () => {
+      const terms = extractBxgyTerms({
+        __typename: "DiscountAutomaticBxgy",
+        customerBuys: { value: { quantity: "2" } },
+        customerGets: {
+          value: { quantity: { quantity: "1" }, effect: { percentage: 1.0 } },
+        },
+      });
+
+      expect(terms).toEqual({
+        buysQuantity: 2,
+        buysAmount: null,
+        getsQuantity: 1,
+        getsPercentage: 1.0,
+        getsAmount: null,
+        getsCurrencyCode: null,
+      });
+    });
+
+    it("should extract a purchase amount and fixed-amount reward", () => {
+      const terms = extractBxgyTerms({
+        __typename: "DiscountCodeBxgy",
+        customerBuys: { value: { amount: "50.00" } },
+        customerGets: {
+          value: {
+            quantity: { quantity: "1" },
+            effect: { amount: { amount: "5.00", currencyCode: "USD" } },
+          },
+        },
+      });
+
+      expect(terms.buysQuantity).toBeNull();
+      expect(terms.buysAmount).toBe(50);
+      expect(terms.getsAmount).toBe(5);
+      expect(terms.getsCurrencyCode).toBe("USD");
+    });
+
+    it("should return null for non-BXGY discounts", () => {
+      expect(extractBxgyTerms({ __typename: "DiscountAutomaticBasic" })).toBeNull();
+    });
+  });
+
+  describe("extractCustomerEligibility", () => {
+    it("should extract segments and specific customers", () => {
+      const entries = extractCustomerEligibility({
+        __typename: "DiscountCustomerSegments",
+        segments: [{ id: "gid://shopify/Segment/1", name: "VIP" }],
+      });
+      expect(entries).toEqual([{ type: "SEGMENT", gid: "gid://shopify/Segment/1", name: "VIP" }]);
+
+      expect(extractCustomerEligibility({
+        __typename: "DiscountCustomers",
+        customers: [{ id: "gid://shopify/Customer/7" }],
+      })).toEqual([{ type: "CUSTOMER", gid: "gid://shopify/Customer/7" }]);
+    });
+
+    it("should return an empty list for all-customer discounts", () => {
+      expect(extractCustomerEligibility({ __typename: "DiscountBuyerSelectionAll" })).toEqual([]);
+      expect(extractCustomerEligibility(null)).toEqual([]);
+    });
+  });
+
   describe("safeJsonParse", () => {
     it("should parse valid JSON string", () => {
       const result = safeJsonParse('{"foo":"bar"}');
@@ -217,4 +296,18 @@ describe("resolver-utils", () => {
       });
     });
   });
+
+  describe("moneyToCents", () => {
+    it("should convert Money amounts to minor units", () => {
+      expect(moneyToCents("19.99")).toBe(1999);
+      expect(moneyToCents("10.0")).toBe(1000);
+      expect(moneyToCents(0.29)).toBe(29);
+    });
+
+    it("should return null for missing or non-numeric amounts", () => {
+      expect(moneyToCents(null)).toBeNull();
+      expect(moneyToCents("")).toBeNull();
+      expect(moneyToCents("abc")).toBeNull();
+    });
+  });
 });
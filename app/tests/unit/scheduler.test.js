@@ -0,0 +1,325 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  JOB_STATUS,
+  enqueueJob,
+  registerJobHandler,
+  retryDeadLetterJob,
+  recoverStaleJobs,
+  runDueJobs,
+  scheduleJob,
+  stopScheduler,
+} from "../../utils/scheduler.server.js";
+import {
+  DISCOUNT_JOB_TYPES,
+  runDiscountEndJob,
+  runDiscountStartJob,
+} from "../../utils/discount-resolver/transitions.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN, MOCK_DISCOUNT_GID } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/tier-manager.server.js", () => ({
+  applyLiveDiscountRanking: vi.fn().mockResolvedValue({ promoted: [], demoted: [] }),
+  canHaveMoreLiveDiscounts: vi.fn().mockResolvedValue({ canCreate: true, reason: "Within limit" }),
+}));
+
+vi.mock("../../utils/discount-resolver/cleanup.server.js", () => ({
+  checkAndCleanupExpiredDiscounts: vi.fn().mockResolvedValue({ cleaned: 2, total: 1 }),
+}));
+
+import { applyLiveDiscountRanking, canHaveMoreLiveDiscounts } from "../../utils/tier-manager.server.js";
+import { checkAndCleanupExpiredDiscounts } from "../../utils/discount-resolver/cleanup.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const now = new Date("2026-10-18T12:00:00Z");
+
+const makeJob = (overrides = {}) => ({
+  id: "job-1",
+  shop,
+  shopId: "shop-1",
+  type: "TEST_JOB",
+  jobKey: MOCK_DISCOUNT_GID,
+  runAt: new Date("2026-10-18T11:59:00Z"),
+  status: JOB_STATUS.PENDING,
+  attempts: 0,
+  ...overrides,
+});
+
+describe("scheduler", () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMockPrisma();
+    db.scheduledJob.updateMany.mockResolvedValue({ count: 1 });
+    db.scheduledJob.findMany.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    stopScheduler();
+  });
+
+  describe("scheduleJob", () => {
+    it("upserts by (type, jobKey) and resets the job to PENDING", async () => {
+      const runAt = new Date("2026-10-19T00:00:00Z");
+      await scheduleJob(db, { shop, shopId: "shop-1", type: "TEST_JOB", jobKey: "k1", runAt });
+
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith({
+        where: { type_jobKey: { type: "TEST_JOB", jobKey: "k1" } },
+        update: expect.objectContaining({ runAt, status: JOB_STATUS.PENDING, attempts: 0, lockedAt: null }),
+        create: expect.objectContaining({ shop, shopId: "shop-1", type: "TEST_JOB", jobKey: "k1", runAt }),
+      });
+    });
+  });
+
+  describe("runDueJobs", () => {
+    it("claims due jobs and marks them completed with the handler result", async () => {
+      const handler = vi.fn().mockResolvedValue("done");
+      registerJobHandler("TEST_JOB", handler);
+      db.scheduledJob.findMany.mockResolvedValue([makeJob()]);
+
+      const result = await runDueJobs(db, now);
+
+      expect(result).toEqual({ processed: 1, failed: 0 });
+      expect(db.scheduledJob.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { status: JOB_STATUS.PENDING, runAt: { lte: now } } }),
+      );
+      expect(db.scheduledJob.updateMany).toHaveBeenNthCalledWith(1, {
+        where: { id: "job-1", status: JOB_STATUS.PENDING },
+        data: expect.objectContaining({ status: JOB_STATUS.RUNNING, lockedAt: now }),
+      });
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: "job-1" }), db);
+      expect(db.scheduledJob.updateMany).toHaveBeenNthCalledWith(2, {
+        where: { id: "job-1", status: JOB_STATUS.RUNNING, lockedAt: now },
+        data: expect.objectContaining({ status: JOB_STATUS.COMPLETED, result: "done" }),
+      });
+    });
+
+    it("skips jobs another runner already claimed", async () => {
+      const handler = vi.fn();
+      registerJobHandler("TEST_JOB", handler);
+      db.scheduledJob.findMany.mockResolvedValue([makeJob()]);
+      db.scheduledJob.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const result = await runDueJobs(db, now);
+
+      expect(result).toEqual({ processed: 0, failed: 0 });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("re-queues failed jobs with exponential backoff", async () => {
+      registerJobHandler("TEST_JOB", vi.fn().mockRejectedValue(new Error("boom")));
+      db.scheduledJob.findMany.mockResolvedValue([makeJob({ attempts: 1 })]);
+
+      const before = Date.now();
+      const result = await runDueJobs(db, now);
+
+      expect(result).toEqual({ processed: 0, failed: 1 });
+      const { data } = db.scheduledJob.updateMany.mock.calls[1][0];
+      expect(data.status).toBe(JOB_STATUS.PENDING);
+      expect(data.lastError).toBe("boom");
+      // Second attempt waits 2 x 30s
+      expect(data.runAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    it("marks jobs FAILED after the last attempt and moves them to the dead-letter table", async () => {
+      registerJobHandler("TEST_JOB", vi.fn().mockRejectedValue(new Error("boom")));
+      db.scheduledJob.findMany.mockResolvedValue([makeJob({ attempts: 4, payload: '{"a":1}' })]);
+
+      await runDueJobs(db, now);
+
+      const { data } = db.scheduledJob.updateMany.mock.calls[1][0];
+      expect(data.status).toBe(JOB_STATUS.FAILED);
+      expect(db.deadLetterJob.upsert).toHaveBeenCalledWith({
+        where: { type_jobKey: { type: "TEST_JOB", jobKey: MOCK_DISCOUNT_GID } },
+        update: expect.objectContaining({ attempts: 5, lastError: "boom", payload: '{"a":1}' }),
+        create: expect.objectContaining({ type: "TEST_JOB", shopId: "shop-1", attempts: 5 }),
+      });
+    });
+
+    it("fails jobs whose type has no handler", async () => {
+      db.scheduledJob.findMany.mockResolvedValue([makeJob({ type: "UNKNOWN" })]);
+
+      const result = await runDueJobs(db, now);
+
+      expect(result.failed).toBe(1);
+      const { data } = db.scheduledJob.updateMany.mock.calls[1][0];
+      expect(data.lastError).toContain("No handler registered");
+    });
+  });
+
+  describe("enqueueJob", () => {
+    it("creates a job with a JSON payload the first time a key is seen", async () => {
+      db.scheduledJob.findUnique.mockResolvedValue(null);
+      db.scheduledJob.create.mockResolvedValue({ id: "job-1" });
+
+      const result = await enqueueJob(db, {
+        shop, shopId: "shop-1", type: "WEBHOOK", jobKey: "webhook-1", payload: { topic: "DISCOUNTS_CREATE" },
+      });
+
+      expect(result.created).toBe(true);
+      expect(db.scheduledJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: "WEBHOOK", jobKey: "webhook-1", payload: '{"topic":"DISCOUNTS_CREATE"}', status: JOB_STATUS.PENDING,
+        }),
+      });
+    });
+
+    it("leaves an existing job untouched for a duplicate key", async () => {
+      db.scheduledJob.findUnique.mockResolvedValue(makeJob({ status: JOB_STATUS.COMPLETED }));
+
+      const result = await enqueueJob(db, { shop, shopId: "shop-1", type: "WEBHOOK", jobKey: "webhook-1" });
+
+      expect(result.created).toBe(false);
+      expect(db.scheduledJob.create).not.toHaveBeenCalled();
+    });
+
+    it("treats a unique-constraint race as a duplicate", async () => {
+      db.scheduledJob.findUnique.mockResolvedValue(null);
+      db.scheduledJob.create.mockRejectedValue(Object.assign(new Error("Unique"), { code: "P2002" }));
+
+      const result = await enqueueJob(db, { shop, shopId: "shop-1", type: "WEBHOOK", jobKey: "webhook-1" });
+
+      expect(result).toEqual({ job: null, created: false });
+    });
+  });
+
+  describe("retryDeadLetterJob", () => {
+    it("re-arms the original job with fresh attempts and removes the dead letter", async () => {
+      db.deadLetterJob.findFirst.mockResolvedValue({
+        id: "dl-1", shop, shopId: "shop-1", type: "WEBHOOK", jobKey: "webhook-1", payload: "{}",
+      });
+
+      const retried = await retryDeadLetterJob(shop, "dl-1", db);
+
+      expect(retried).toBe(true);
+      expect(db.deadLetterJob.findFirst).toHaveBeenCalledWith({ where: { id: "dl-1", shop } });
+      expect(db.scheduledJob.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { type_jobKey: { type: "WEBHOOK", jobKey: "webhook-1" } },
+          update: expect.objectContaining({ status: JOB_STATUS.PENDING, attempts: 0 }),
+        }),
+      );
+      expect(db.deadLetterJob.delete).toHaveBeenCalledWith({ where: { id: "dl-1" } });
+    });
+
+    it("returns false for dead letters of another shop", async () => {
+      db.deadLetterJob.findFirst.mockResolvedValue(null);
+
+      expect(await retryDeadLetterJob(shop, "dl-other", db)).toBe(false);
+      expect(db.scheduledJob.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("recoverStaleJobs", () => {
+    it("returns long-running jobs to the queue", async () => {
+      db.scheduledJob.updateMany.mockResolvedValue({ count: 2 });
+
+      const recovered = await recoverStaleJobs(db, now);
+
+      expect(recovered).toBe(2);
+      expect(db.scheduledJob.updateMany).toHaveBeenCalledWith({
+        where: { status: JOB_STATUS.RUNNING, lockedAt: { lt: new Date("2026-10-18T11:55:00Z") } },
+        data: { status: JOB_STATUS.PENDING, lockedAt: null },
+      });
+    });
+  });
+
+  describe("discount transitions", () => {
+    const startJob = makeJob({ type: DISCOUNT_JOB_TYPES.START });
+    const endJob = makeJob({ type: DISCOUNT_JOB_TYPES.END });
+    const past = new Date(Date.now() - 60 * 1000);
+
+    beforeEach(() => {
+      canHaveMoreLiveDiscounts.mockResolvedValue({ canCreate: true, reason: "Within limit" });
+    });
+
+    it("moves a SCHEDULED discount to LIVE when within the tier limit", async () => {
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "SCHEDULED", startsAt: past });
+
+      const result = await runDiscountStartJob(startJob, db);
+
+      expect(result).toBe("SCHEDULED -> LIVE");
+      expect(canHaveMoreLiveDiscounts).toHaveBeenCalledWith(shop, db);
+      expect(db.liveDiscount.update).toHaveBeenCalledWith({
+        where: { gid: MOCK_DISCOUNT_GID },
+        data: { status: "LIVE" },
+      });
+      expect(db.discount.updateMany).toHaveBeenCalledWith({
+        where: { gid: MOCK_DISCOUNT_GID, shop, status: "SCHEDULED" },
+        data: { status: "ACTIVE" },
+      });
+    });
+
+    it("hides a starting discount when the tier limit is reached", async () => {
+      canHaveMoreLiveDiscounts.mockResolvedValue({ canCreate: false, reason: "Tier limit reached", limit: 1 });
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "SCHEDULED", startsAt: past });
+
+      const result = await runDiscountStartJob(startJob, db);
+
+      expect(result).toBe("SCHEDULED -> HIDDEN");
+      expect(db.liveDiscount.update).toHaveBeenCalledWith({
+        where: { gid: MOCK_DISCOUNT_GID },
+        data: expect.objectContaining({ status: "HIDDEN", exclusionReason: "LIVE_LIMIT" }),
+      });
+      expect(applyLiveDiscountRanking).toHaveBeenCalledWith(shop, db);
+    });
+
+    it("goes live at the limit when it outranks a live discount", async () => {
+      canHaveMoreLiveDiscounts.mockResolvedValue({ canCreate: false, reason: "Tier limit reached", limit: 1 });
+      applyLiveDiscountRanking.mockResolvedValueOnce({ promoted: [MOCK_DISCOUNT_GID], demoted: ["gid://shopify/DiscountAutomaticNode/2"] });
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "SCHEDULED", startsAt: past });
+
+      const result = await runDiscountStartJob(startJob, db);
+
+      expect(result).toBe("SCHEDULED -> LIVE");
+    });
+
+    it("leaves discounts the merchant already activated or hid untouched", async () => {
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "HIDDEN", startsAt: past });
+
+      const result = await runDiscountStartJob(startJob, db);
+
+      expect(result).toBe("skipped: status is HIDDEN");
+      expect(db.liveDiscount.update).not.toHaveBeenCalled();
+    });
+
+    it("expires a discount once its end date has passed", async () => {
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "LIVE", endsAt: past });
+
+      const result = await runDiscountEndJob(endJob, db);
+
+      expect(result).toBe("LIVE -> EXPIRED");
+      expect(checkAndCleanupExpiredDiscounts).toHaveBeenCalledWith(shop, db);
+    });
+
+    it("reports the limit-hidden discount that takes the freed slot", async () => {
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "LIVE", endsAt: past });
+      checkAndCleanupExpiredDiscounts.mockResolvedValueOnce({
+        cleaned: 2, total: 1, promoted: ["gid://shopify/DiscountAutomaticNode/2"],
+      });
+
+      const result = await runDiscountEndJob(endJob, db);
+
+      expect(result).toBe("LIVE -> EXPIRED (promoted 1)");
+    });
+
+    it("skips the end job when the end date moved later", async () => {
+      const future = new Date(Date.now() + 60 * 60 * 1000);
+      db.liveDiscount.findUnique.mockResolvedValue({ gid: MOCK_DISCOUNT_GID, status: "LIVE", endsAt: future });
+      checkAndCleanupExpiredDiscounts.mockClear();
+
+      const result = await runDiscountEndJob(endJob, db);
+
+      expect(result).toBe("skipped: end date moved");
+      expect(checkAndCleanupExpiredDiscounts).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../utils/discount-resolver/graphql-client.server.js", () => ({
+  graphqlQuery: vi.fn(),
+}));
+
+import { graphqlQuery } from "../../utils/discount-resolver/graphql-client.server.js";
+import { storeCollectionData } from "../../utils/discount-resolver/store-data.server.js";
+
+const COLLECTION_GID = "gid://shopify/Collection/1";
+
+function productsPage(start, hasNextPage) {
+  return {
+    data: {
+      collection: {
+        id: COLLECTION_GID,
+        title: "Everything",
+        handle: "everything",
+        products: {
+          pageInfo: { hasNextPage, endCursor: hasNextPage ? `cursor-${start}` : null },
+          edges: Array.from({ length: 250 }, (_, i) => ({ node: { id: `gid://shopify/Product/${start + i}` } })),
+        },
+      },
+    },
+  };
+}
+
+describe("storeCollectionData", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-1" });
+  });
+
+  it("stores every page of a collection", async () => {
+    graphqlQuery
+      .mockResolvedValueOnce(productsPage(0, true))
+      .mockResolvedValueOnce(productsPage(250, false));
+
+    const result = await storeCollectionData({}, COLLECTION_GID, MOCK_SHOP_DOMAIN, db, { forceRefresh: true });
+
+    expect(result).toEqual({ truncated: false });
+    const { update } = db.collection.upsert.mock.calls[0][0];
+    expect(JSON.parse(update.productIds)).toHaveLength(500);
+  });
+
+  it("keeps the stored membership when the collection is above the fetch limit", async () => {
+    let page = 0;
+    graphqlQuery.mockImplementation(async () => productsPage(250 * page++, true));
+
+    const result = await storeCollectionData({}, COLLECTION_GID, MOCK_SHOP_DOMAIN, db, { forceRefresh: true });
+
+    expect(result).toEqual({ truncated: true });
+    expect(graphqlQuery).toHaveBeenCalledTimes(40);
+    expect(db.collection.upsert).not.toHaveBeenCalled();
+  });
+});
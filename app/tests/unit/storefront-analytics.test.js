@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  attributeOrder,
+  countStorefrontEvents,
+  EVENT_TYPE,
+  getDiscountAnalytics,
+  startOfUtcDay,
+} from "../../utils/storefront-analytics.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const shop = MOCK_SHOP_DOMAIN;
+const CODE_GID = "gid://shopify/DiscountCodeNode/111";
+const AUTO_GID = "gid://shopify/DiscountAutomaticNode/222";
+
+const order = (overrides = {}) => ({
+  admin_graphql_api_id: "gid://shopify/Order/5001",
+  created_at: "2026-10-18T10:00:00Z",
+  currency: "USD",
+  total_price: "45.50",
+  discount_codes: [],
+  discount_applications: [],
+  ...overrides,
+});
+
+describe("storefront-analytics", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-uuid-1" });
+    db.discount.findMany.mockResolvedValue([]);
+    db.discountEventCount.findMany.mockResolvedValue([]);
+    db.orderAttribution.findMany.mockResolvedValue([]);
+    db.orderAttribution.upsert.mockImplementation(async (args) => args);
+  });
+
+  describe("countStorefrontEvents", () => {
+    it("groups events per discount and type and rejects malformed ones", () => {
+      const { counts, rejected } = countStorefrontEvents([
+        { type: "impression", discountId: "111" },
+        { type: "impression", discountId: 111 },
+        { type: "coupon_toggle", discountId: "111", applied: true },
+        { type: "terms_open", discountId: "gid://shopify/DiscountCodeNode/111" },
+        { type: "unknown", discountId: "111" },
+      ]);
+
+      expect(counts).toEqual([
+        { discountId: "111", eventType: EVENT_TYPE.IMPRESSION, count: 2 },
+        { discountId: "111", eventType: EVENT_TYPE.COUPON_APPLY, count: 1 },
+      ]);
+      expect(rejected).toBe(2);
+    });
+  });
+
+  describe("attributeOrder", () => {
+    it("attributes displayed code and automatic discounts once per order", async () => {
+      // Stored in mixed case, entered in lower case at checkout
+      db.discount.findMany.mockResolvedValue([
+        { gid: CODE_GID, discountType: "CODE", codes: [{ code: "Save5" }] },
+        { gid: AUTO_GID, discountType: "AUTO", codes: [] },
+      ]);
+      db.discountEventCount.findMany.mockResolvedValue([{ discountId: "111" }, { discountId: "222" }]);
+
+      const count = await attributeOrder(shop, order({
+        discount_codes: [{ code: "save5" }],
+        discount_applications: [
+          { type: "discount_code", code: "save5" },
+          { type: "automatic", title: "Autumn sale" },
+        ],
+      }), db);
+
+      expect(count).toBe(2);
+      expect(db.discount.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          shop,
+          OR: [
+            { discountType: "CODE", codes: { some: { normalizedCode: { in: ["save5"] } } } },
+            { discountType: "AUTO", title: { in: ["Autumn sale"] } },
+          ],
+        },
+      }));
+      expect(db.orderAttribution.upsert).toHaveBeenCalledWith({
+        where: { shop_orderId_discountId: { shop, orderId: "5001", discountId: "111" } },
+        update: {},
+        create: expect.objectContaining({
+          orderId: "5001", discountId: "111", code: "Save5", revenueCents: 4550, currencyCode: "USD",
+        }),
+      });
+    });
+
+    it("skips discounts that were not shown on the storefront", async () => {
+      db.discount.findMany.mockResolvedValue([
+        { gid: CODE_GID, discountType: "CODE", codes: [{ code: "SAVE5" }] },
+      ]);
+
+      const count = await attributeOrder(shop, order({ discount_codes: [{ code: "SAVE5" }] }), db);
+
+      expect(count).toBe(0);
+      expect(db.orderAttribution.upsert).not.toHaveBeenCalled();
+    });
+
+    it("ignores orders without discounts", async () => {
+      const count = await attributeOrder(shop, order(), db);
+
+      expect(count).toBe(0);
+      expect(db.discount.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getDiscountAnalytics", () => {
+    it("sums per discount and per day, counting shared orders once in totals", async () => {
+      const today = startOfUtcDay(new Date());
+      db.discount.findMany.mockResolvedValue([{ gid: CODE_GID, title: "Save 5" }]);
+      db.discountEventCount.findMany.mockResolvedValue([
+        { discountId: "111", day: today, eventType: EVENT_TYPE.IMPRESSION, count: 40 },
+        { discountId: "111", day: today, eventType: EVENT_TYPE.AUTO_APPLY, count: 4 },
+        { discountId: "222", day: today, eventType: EVENT_TYPE.IMPRESSION, count: 10 },
+      ]);
+      db.orderAttribution.findMany.mockResolvedValue([
+        { orderId: "5001", discountId: "111", revenueCents: 4550, currencyCode: "USD", orderedAt: today },
+        { orderId: "5001", discountId: "222", revenueCents: 4550, currencyCode: "USD", orderedAt: today },
+      ]);
+
+      const analytics = await getDiscountAnalytics(shop, { days: 7 }, db);
+
+      expect(analytics.series).toHaveLength(7);
+      expect(analytics.series[6]).toMatchObject({ impressions: 50, autoApplies: 4, orders: 1, revenue: { USD: 4550 } });
+      expect(analytics.totals).toMatchObject({ impressions: 50, autoApplies: 4, orders: 1, revenue: { USD: 4550 } });
+      expect(analytics.discounts[0]).toMatchObject({
+        discountId: "111", title: "Save 5", impressions: 40, orders: 1, revenue: { USD: 4550 },
+      });
+    });
+
+    it("keeps revenue from orders in different currencies apart", async () => {
+      const today = startOfUtcDay(new Date());
+      db.discount.findMany.mockResolvedValue([{ gid: CODE_GID, title: "Save 5" }]);
+      db.discountEventCount.findMany.mockResolvedValue([]);
+      db.orderAttribution.findMany.mockResolvedValue([
+        { orderId: "5001", discountId: "111", revenueCents: 4550, currencyCode: "USD", orderedAt: today },
+        { orderId: "5002", discountId: "111", revenueCents: 3000, currencyCode: "EUR", orderedAt: today },
+        { orderId: "5003", discountId: "111", revenueCents: 1000, currencyCode: "USD", orderedAt: today },
+      ]);
+
+      const analytics = await getDiscountAnalytics(shop, { days: 7 }, db);
+
+      expect(analytics.totals).toMatchObject({ orders: 3, revenue: { USD: 5550, EUR: 3000 } });
+      expect(analytics.series[6].revenue).toEqual({ USD: 5550, EUR: 3000 });
+      expect(analytics.discounts[0].revenue).toEqual({ USD: 5550, EUR: 3000 });
+    });
+  });
+});
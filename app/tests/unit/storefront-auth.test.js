@@ -19,22 +19,23 @@ vi.mock("../../utils/logger.server.js", () => ({
 /**
  * Creates a mock database instance for testing
  * @param {string|null} storefrontToken - The token to return, or null for shop not found
+ * @param {Object} [rotation] - previousStorefrontToken / previousStorefrontTokenExpiresAt
  * @returns {Object} Mock Prisma client
  */
-function createMockDb(storefrontToken) {
+function createMockDb(storefrontToken, rotation = {}) {
   return {
     shop: {
       findUnique: vi.fn().mockResolvedValue(
-        storefrontToken ? { storefrontToken } : null
+        storefrontToken ? { storefrontToken, ...rotation } : null
       ),
     },
   };
 }
 
 describe("storefront-auth", () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Reset cache between tests
-    clearAllTokenCache();
+    await clearAllTokenCache();
     // Reset environment variable
     delete process.env.STOREFRONT_AUTH_ENFORCE;
   });
@@ -71,10 +72,33 @@ describe("storefront-auth", () => {
       expect(db.shop.findUnique).toHaveBeenCalledOnce();
       expect(db.shop.findUnique).toHaveBeenCalledWith({
         where: { domain: testShop },
-        select: { storefrontToken: true },
+        select: {
+          storefrontToken: true,
+          previousStorefrontToken: true,
+          previousStorefrontTokenExpiresAt: true,
+        },
       });
     });
 
+    it("accepts the previous token until its grace window ends", async () => {
+      const db = createMockDb(validToken, {
+        previousStorefrontToken: invalidToken,
+        previousStorefrontTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      expect(await authenticateStorefrontRequest(testShop, validToken, db)).toBe(true);
+      expect(await authenticateStorefrontRequest(testShop, invalidToken, db)).toBe(true);
+    });
+
+    it("rejects the previous token after its grace window", async () => {
+      const db = createMockDb(validToken, {
+        previousStorefrontToken: invalidToken,
+        previousStorefrontTokenExpiresAt: new Date(Date.now() - 1000),
+      });
+
+      expect(await authenticateStorefrontRequest(testShop, invalidToken, db)).toBe(false);
+    });
+
     it("returns false for invalid token", async () => {
       const db = createMockDb(validToken);
 
@@ -152,7 +176,7 @@ describe("storefront-auth", () => {
       expect(db.shop.findUnique).toHaveBeenCalledTimes(1);
 
       // Clear cache for this shop
-      clearTokenCache(testShop);
+      await clearTokenCache(testShop);
 
       // Next call should query DB again
       await authenticateStorefrontRequest(testShop, validToken, db);
@@ -172,7 +196,7 @@ describe("storefront-auth", () => {
       expect(db2.shop.findUnique).toHaveBeenCalledTimes(1);
 
       // Clear all cache
-      clearAllTokenCache();
+      await clearAllTokenCache();
 
       // Both shops should query DB again
       await authenticateStorefrontRequest(shop1, validToken, db1);
@@ -0,0 +1,162 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { act, createElement } from "react";
+import { createRoot } from "react-dom/client";
+import {
+  DiscountsProvider,
+  useBestPrice,
+  useProductDiscounts,
+} from "../../../packages/storefront-sdk/src/react.js";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const response = {
+  products: {
+    1: {
+      handle: "shirt",
+      singlePrice: false,
+      variants: {
+        111: { regularPriceCents: 10000, compareAtPriceCents: null, currencyCode: "USD" },
+        222: { regularPriceCents: 5000, compareAtPriceCents: null, currencyCode: "USD" },
+      },
+      discounts: [{
+        id: "auto-10",
+        kind: "basic",
+        type: "percentage",
+        value: 10,
+        isAutomatic: true,
+        endsAt: null,
+        appliesOnOneTimePurchase: true,
+        appliesOnSubscription: false,
+        combinesWith: { productDiscounts: false },
+        variantScope: { type: "ALL", ids: [] },
+      }],
+    },
+  },
+  revision: "r1",
+};
+
+describe("storefront SDK React hooks", () => {
+  let container;
+  let root;
+  let client;
+  let result;
+
+  // Renders a hook inside a provider and keeps its latest return value in `result`
+  async function renderHook(useHook, props) {
+    function Probe(probeProps) {
+      result = useHook(probeProps);
+      return null;
+    }
+    const render = (nextProps) => act(async () => {
+      root.render(createElement(DiscountsProvider, { client }, createElement(Probe, nextProps)));
+    });
+    await render(props);
+    return { rerender: render };
+  }
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    root = createRoot(container);
+    client = { getDiscountsForProducts: vi.fn(async () => response) };
+    result = null;
+  });
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+  });
+
+  describe("useProductDiscounts", () => {
+    it("loads the products and refetches only when the request changes", async () => {
+      const { rerender } = await renderHook(
+        ({ ids }) => useProductDiscounts(ids, { currency: "EUR" }),
+        { ids: ["1"] },
+      );
+
+      expect(result).toMatchObject({ data: response, error: null, loading: false });
+      expect(client.getDiscountsForProducts).toHaveBeenCalledWith(["1"], {
+        currency: "EUR",
+        signal: expect.any(AbortSignal),
+      });
+
+      // A new array with the same IDs is the same request
+      await rerender({ ids: ["1"] });
+      expect(client.getDiscountsForProducts).toHaveBeenCalledTimes(1);
+
+      await rerender({ ids: ["1", "2"] });
+      expect(client.getDiscountsForProducts).toHaveBeenCalledTimes(2);
+      expect(client.getDiscountsForProducts.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it("reports request errors and retries on refresh", async () => {
+      const failure = new Error("HTTP 500");
+      client.getDiscountsForProducts.mockRejectedValueOnce(failure);
+
+      await renderHook(() => useProductDiscounts(["1"]));
+      expect(result).toMatchObject({ data: null, error: failure, loading: false });
+
+      await act(async () => result.refresh());
+      expect(result).toMatchObject({ data: response, error: null, loading: false });
+      expect(client.getDiscountsForProducts).toHaveBeenCalledTimes(2);
+    });
+
+    it("ignores a response that arrives after unmounting", async () => {
+      let resolve;
+      client.getDiscountsForProducts.mockImplementationOnce(() => new Promise((r) => { resolve = r; }));
+
+      await renderHook(() => useProductDiscounts(["1"]));
+      expect(result.loading).toBe(true);
+
+      const { signal } = client.getDiscountsForProducts.mock.calls[0][1];
+      await act(async () => root.unmount());
+      root = createRoot(container);
+
+      expect(signal.aborted).toBe(true);
+      await act(async () => resolve(response));
+      expect(result.loading).toBe(true);
+    });
+
+    it("requires a DiscountsProvider", async () => {
+      const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+      function Probe() {
+        useProductDiscounts(["1"]);
+        return null;
+      }
+
+      await expect(act(async () => root.render(createElement(Probe)))).rejects.toThrow(
+        "useDiscountsClient must be used inside <DiscountsProvider>",
+      );
+      consoleError.mockRestore();
+    });
+  });
+
+  describe("useBestPrice", () => {
+    it("prices the selected variant and reprices locally when it changes", async () => {
+      const { rerender } = await renderHook(
+        ({ variantId }) => useBestPrice("gid://shopify/Product/1", { variantId, country: "DE" }),
+        { variantId: "111" },
+      );
+
+      expect(client.getDiscountsForProducts).toHaveBeenCalledWith(["1"], {
+        country: "DE",
+        signal: expect.any(AbortSignal),
+      });
+      expect(result.price).toMatchObject({ variantId: "111", regularPriceCents: 10000, bestPriceCents: 9000 });
+
+      await rerender({ variantId: "222" });
+
+      expect(result.price).toMatchObject({ variantId: "222", regularPriceCents: 5000, bestPriceCents: 4500 });
+      expect(client.getDiscountsForProducts).toHaveBeenCalledTimes(1);
+    });
+
+    it("has no price while loading or for a product without data", async () => {
+      client.getDiscountsForProducts.mockImplementationOnce(() => new Promise(() => {}));
+      await renderHook(() => useBestPrice("1", { variantId: "111" }));
+      expect(result).toMatchObject({ price: null, loading: true });
+
+      client.getDiscountsForProducts.mockResolvedValue({ products: {} });
+      await act(async () => result.refresh());
+      expect(result).toMatchObject({ price: null, loading: false });
+    });
+  });
+});
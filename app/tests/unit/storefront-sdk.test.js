@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  createDiscountsClient,
+  DiscountsApiError,
+  formatMoney,
+  getBestPrice,
+  moneyToCents,
+} from "../../../packages/storefront-sdk/src/index.js";
+
+const API = "https://discounts.example.com";
+const SHOP = "test-shop.myshopify.com";
+
+function jsonResponse(body, { status = 200, etag = null } = {}) {
+  return new Response(status === 304 ? null : JSON.stringify(body), {
+    status,
+    headers: etag ? { ETag: etag } : {},
+  });
+}
+
+function discount(overrides) {
+  return {
+    kind: "basic",
+    type: "percentage",
+    endsAt: null,
+    appliesOnOneTimePurchase: true,
+    appliesOnSubscription: false,
+    combinesWith: { productDiscounts: false },
+    variantScope: { type: "ALL", ids: [] },
+    ...overrides,
+  };
+}
+
+const product = {
+  handle: "shirt",
+  singlePrice: false,
+  variants: {
+    111: { regularPriceCents: 10000, compareAtPriceCents: 12000, currencyCode: "USD" },
+    222: { regularPriceCents: 5000, compareAtPriceCents: null, currencyCode: "USD" },
+  },
+  discounts: [
+    discount({ id: "auto-10", isAutomatic: true, value: 10 }),
+    discount({
+      id: "sub-30", isAutomatic: true, value: 30, appliesOnOneTimePurchase: false, appliesOnSubscription: true,
+    }),
+  ],
+};
+
+describe("storefront SDK", () => {
+  describe("getBestPrice", () => {
+    it("prices the variant for one-time purchases and subscriptions", () => {
+      expect(getBestPrice(product, { variantId: "gid://shopify/ProductVariant/111" })).toMatchObject({
+        variantId: "111",
+        regularPriceCents: 10000,
+        compareAtPriceCents: 12000,
+        bestPriceCents: 9000,
+        automaticDiscount: expect.objectContaining({ id: "auto-10" }),
+      });
+
+      expect(getBestPrice(product, { variantId: 111, sellingPlanId: "gid://shopify/SellingPlan/9" })).toMatchObject({
+        bestPriceCents: 7000,
+        automaticDiscount: expect.objectContaining({ id: "sub-30" }),
+      });
+    });
+
+    it("stacks a combinable coupon on the automatic discount and drops expired discounts", () => {
+      const stacking = {
+        ...product,
+        discounts: [
+          discount({ id: "auto-10", isAutomatic: true, value: 10, combinesWith: { productDiscounts: true } }),
+          discount({
+            id: "code-20", isAutomatic: false, code: "SAVE20", value: 20, combinesWith: { productDiscounts: true },
+          }),
+          discount({ id: "expired-50", isAutomatic: true, value: 50, endsAt: "2020-01-01T00:00:00Z" }),
+        ],
+      };
+
+      const price = getBestPrice(stacking, { variantId: 111 });
+
+      expect(price.stacked).toBe(true);
+      expect(price.automaticPriceCents).toBe(9000);
+      expect(price.bestPriceCents).toBe(7000);
+      expect(price.couponDiscount.code).toBe("SAVE20");
+    });
+
+    it("returns null when the variant has no price", () => {
+      expect(getBestPrice(product, { variantId: 999 })).toBeNull();
+      expect(getBestPrice(undefined)).toBeNull();
+    });
+  });
+
+  describe("createDiscountsClient", () => {
+    let fetchMock;
+
+    beforeEach(() => {
+      fetchMock = vi.fn();
+    });
+
+    it("requests numeric IDs with the Bearer token and reuses the body on 304", async () => {
+      const body = { products: { 1: product }, revision: "r1" };
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse(body, { etag: '"v1"' }))
+        .mockResolvedValueOnce(jsonResponse(null, { status: 304 }));
+      const client = createDiscountsClient({
+        apiBaseUrl: `${API}/`, shop: SHOP, token: "secret", currency: "EUR", fetch: fetchMock,
+      });
+
+      const first = await client.getDiscountsForProducts(["gid://shopify/Product/1", 2], { variantIds: [111] });
+      const second = await client.getDiscountsForProducts(["gid://shopify/Product/1", 2], { variantIds: [111] });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      const params = new URL(url).searchParams;
+      expect(url.startsWith(`${API}/api/discounts?`)).toBe(true);
+      expect(params.get("shop")).toBe(SHOP);
+      expect(params.get("productIds")).toBe("1,2");
+      expect(params.get("variantIds")).toBe("111");
+      expect(params.get("currency")).toBe("EUR");
+      expect(init.headers.Authorization).toBe("Bearer secret");
+      expect(fetchMock.mock.calls[1][1].headers["If-None-Match"]).toBe('"v1"');
+      expect(second).toBe(first);
+    });
+
+    it("leaves revalidation to the HTTP cache when revalidate is off", async () => {
+      fetchMock.mockImplementation(async () => jsonResponse({ products: {} }, { etag: '"v1"' }));
+      const client = createDiscountsClient({
+        apiBaseUrl: API, shop: SHOP, token: "secret", fetch: fetchMock, revalidate: false,
+      });
+
+      await client.getDiscountsForProducts([1]);
+      await client.getDiscountsForProducts([1]);
+
+      expect(fetchMock.mock.calls[1][1].headers).not.toHaveProperty("If-None-Match");
+    });
+
+    it("asks for a fresh token once when the token is rejected", async () => {
+      const getToken = vi.fn(async ({ refresh }) => (refresh ? "rotated" : "stale"));
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({ error: "Invalid token" }, { status: 403 }))
+        .mockResolvedValueOnce(jsonResponse({ products: {} }));
+      const client = createDiscountsClient({ apiBaseUrl: API, shop: SHOP, getToken, fetch: fetchMock });
+
+      await client.getDiscountsForProducts([1]);
+
+      expect(getToken).toHaveBeenLastCalledWith({ refresh: true });
+      expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe("Bearer rotated");
+    });
+
+    it("throws DiscountsApiError with the status and server message", async () => {
+      fetchMock.mockResolvedValue(jsonResponse({ error: "Rate limit exceeded" }, { status: 429 }));
+      const client = createDiscountsClient({ apiBaseUrl: API, shop: SHOP, token: "secret", fetch: fetchMock });
+
+      const error = await client.getDiscountsForProducts([1]).catch((e) => e);
+
+      expect(error).toBeInstanceOf(DiscountsApiError);
+      expect(error.status).toBe(429);
+      expect(error.message).toBe("Rate limit exceeded");
+    });
+
+    it("computes the best price of a fetched product", async () => {
+      fetchMock.mockResolvedValue(jsonResponse({ products: { 1: product } }));
+      const client = createDiscountsClient({ apiBaseUrl: API, shop: SHOP, token: "secret", fetch: fetchMock });
+
+      const price = await client.getBestPrice("gid://shopify/Product/1", { variantId: 222 });
+
+      expect(new URL(fetchMock.mock.calls[0][0]).searchParams.get("variantIds")).toBe("222");
+      expect(price.bestPriceCents).toBe(4500);
+    });
+  });
+
+  describe("money helpers", () => {
+    it("formats with a Shopify money format or Intl", () => {
+      expect(formatMoney(123456, { format: "${{amount}}" })).toBe("$1,234.56");
+      expect(formatMoney(123456, { format: "{{amount_with_comma_separator}} €" })).toBe("1.234,56 €");
+      expect(formatMoney(123456, { format: "{{ amount_no_decimals }} kr" })).toBe("1,235 kr");
+      expect(formatMoney(1999, { currencyCode: "USD" })).toBe("$19.99");
+    });
+
+    it("converts MoneyV2 amounts to cents", () => {
+      expect(moneyToCents({ amount: "19.99", currencyCode: "USD" })).toBe(1999);
+      expect(moneyToCents("not a price")).toBeNull();
+    });
+  });
+});
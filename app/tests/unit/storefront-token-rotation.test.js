@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createMockPrisma, MOCK_SHOP_DOMAIN } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../shopify.server", () => ({
+  unauthenticated: { admin: vi.fn() },
+}));
+
+import { unauthenticated } from "../../shopify.server";
+import {
+  ROTATION_REASON,
+  TOKEN_ROTATION_JOB_TYPE,
+  rotateStorefrontToken,
+  runTokenRotationJob,
+  setTokenRotationPolicy,
+} from "../../utils/storefront-token-rotation.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const OLD_TOKEN = "a".repeat(64);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createMockAdmin({ userErrors = [] } = {}) {
+  return {
+    graphql: vi.fn(async (query) => ({
+      ok: true,
+      json: async () => (query.includes("metafieldsSet")
+        ? { data: { metafieldsSet: { userErrors } } }
+        : { data: { shop: { id: "gid://shopify/Shop/1" } } }),
+    })),
+  };
+}
+
+describe("storefront token rotation", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-1", storefrontToken: OLD_TOKEN });
+    db.storefrontTokenRotation.create.mockResolvedValue({ id: "rotation-1" });
+    db.$transaction.mockImplementation((fn) => fn(db));
+  });
+
+  it("keeps the old token for the grace window, logs the rotation and publishes the new token", async () => {
+    const admin = createMockAdmin();
+
+    const result = await rotateStorefrontToken(shop, admin, db, { graceHours: 24, actor: "owner@example.com" });
+
+    expect(result.metafieldSynced).toBe(true);
+    expect(result.graceEndsAt.getTime() - result.rotatedAt.getTime()).toBe(DAY_MS);
+    const { data } = db.shop.update.mock.calls[0][0];
+    expect(data.storefrontToken).toMatch(/^[a-f0-9]{64}$/);
+    expect(data.storefrontToken).not.toBe(OLD_TOKEN);
+    expect(data).toMatchObject({
+      previousStorefrontToken: OLD_TOKEN,
+      previousStorefrontTokenExpiresAt: result.graceEndsAt,
+    });
+    expect(db.storefrontTokenRotation.create).toHaveBeenCalledWith({
+      data: {
+        shop,
+        shopId: "shop-1",
+        reason: ROTATION_REASON.MANUAL,
+        actor: "owner@example.com",
+        graceEndsAt: result.graceEndsAt,
+      },
+    });
+    expect(db.storefrontTokenRotation.update).toHaveBeenCalledWith({
+      where: { id: "rotation-1" },
+      data: { metafieldSynced: true },
+    });
+  });
+
+  it("revokes the old token at once when there is no grace window", async () => {
+    const result = await rotateStorefrontToken(shop, createMockAdmin(), db, { graceHours: 0 });
+
+    expect(result.graceEndsAt).toBeNull();
+    expect(db.shop.update.mock.calls[0][0].data).toMatchObject({
+      previousStorefrontToken: null,
+      previousStorefrontTokenExpiresAt: null,
+    });
+  });
+
+  it("keeps the rotation when the metafield cannot be written", async () => {
+    const admin = createMockAdmin({ userErrors: [{ field: "value", message: "Access denied" }] });
+
+    const result = await rotateStorefrontToken(shop, admin, db, { graceHours: 1 });
+
+    expect(result.metafieldSynced).toBe(false);
+    expect(db.shop.update).toHaveBeenCalled();
+    expect(db.storefrontTokenRotation.update).not.toHaveBeenCalled();
+  });
+
+  it("refuses a rotation that would revoke a previous token still in its grace window", async () => {
+    const previousValidUntil = new Date(Date.now() + 60 * 60 * 1000);
+    db.shop.findUnique.mockResolvedValue({
+      id: "shop-1", storefrontToken: OLD_TOKEN, previousStorefrontTokenExpiresAt: previousValidUntil,
+    });
+
+    const result = await rotateStorefrontToken(shop, createMockAdmin(), db, { graceHours: 24 });
+
+    expect(result).toEqual({ rotated: false, previousValidUntil });
+    expect(db.shop.update).not.toHaveBeenCalled();
+    expect(db.storefrontTokenRotation.create).not.toHaveBeenCalled();
+
+    // Revoking immediately drops both old tokens
+    const revoked = await rotateStorefrontToken(shop, createMockAdmin(), db, { graceHours: 0 });
+    expect(revoked.rotated).toBe(true);
+    expect(db.shop.update.mock.calls[0][0].data).toMatchObject({
+      previousStorefrontToken: null,
+      previousStorefrontTokenExpiresAt: null,
+    });
+  });
+
+  it("rotates again once the previous grace window has ended", async () => {
+    db.shop.findUnique.mockResolvedValue({
+      id: "shop-1", storefrontToken: OLD_TOKEN, previousStorefrontTokenExpiresAt: new Date(Date.now() - 1000),
+    });
+
+    const result = await rotateStorefrontToken(shop, createMockAdmin(), db, { graceHours: 24 });
+
+    expect(result.rotated).toBe(true);
+    expect(db.shop.update.mock.calls[0][0].data.previousStorefrontToken).toBe(OLD_TOKEN);
+  });
+
+  it("schedules the next rotation from the last one and cancels it when turned off", async () => {
+    const rotatedAt = new Date(Date.now() - 10 * DAY_MS);
+    db.shop.update.mockResolvedValue({ id: "shop-1", storefrontTokenRotatedAt: rotatedAt });
+
+    const runAt = await setTokenRotationPolicy(shop, 30, db);
+
+    expect(runAt.getTime()).toBe(rotatedAt.getTime() + 30 * DAY_MS);
+    expect(db.scheduledJob.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { type_jobKey: { type: TOKEN_ROTATION_JOB_TYPE, jobKey: shop } },
+    }));
+
+    expect(await setTokenRotationPolicy(shop, null, db)).toBeNull();
+    expect(db.scheduledJob.deleteMany).toHaveBeenCalledWith({
+      where: { type: TOKEN_ROTATION_JOB_TYPE, jobKey: shop },
+    });
+    await expect(setTokenRotationPolicy(shop, 7, db)).rejects.toThrow("Invalid rotation interval");
+  });
+
+  it("only republishes the token when a retried job finds a recent rotation", async () => {
+    const admin = createMockAdmin();
+    unauthenticated.admin.mockResolvedValue({ admin });
+    db.shop.findUnique.mockResolvedValue({
+      storefrontToken: OLD_TOKEN,
+      storefrontTokenRotatedAt: new Date(Date.now() - 60 * 1000),
+      storefrontTokenRotationDays: 30,
+    });
+
+    const summary = await runTokenRotationJob({ shop, shopId: "shop-1" }, db);
+
+    expect(summary).toBe("token published");
+    expect(db.shop.update).not.toHaveBeenCalled();
+    expect(admin.graphql).toHaveBeenCalledWith(expect.stringContaining("metafieldsSet"), expect.anything());
+    expect(db.scheduledJob.upsert).toHaveBeenCalled();
+  });
+
+  it("waits for a manual rotation's grace window before the scheduled rotation", async () => {
+    unauthenticated.admin.mockResolvedValue({ admin: createMockAdmin() });
+    const previousValidUntil = new Date(Date.now() + 60 * 60 * 1000);
+    db.shop.findUnique.mockResolvedValue({
+      id: "shop-1",
+      storefrontToken: OLD_TOKEN,
+      previousStorefrontTokenExpiresAt: previousValidUntil,
+      storefrontTokenRotatedAt: new Date(Date.now() - 31 * DAY_MS),
+      storefrontTokenRotationDays: 30,
+    });
+
+    const summary = await runTokenRotationJob({ shop, shopId: "shop-1" }, db);
+
+    expect(summary).toBe("waiting for the previous token's grace window");
+    expect(db.shop.update).not.toHaveBeenCalled();
+    expect(db.scheduledJob.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ runAt: previousValidUntil }),
+    }));
+  });
+});
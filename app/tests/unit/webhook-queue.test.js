@@ -0,0 +1,251 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  WEBHOOK_JOB_TYPE,
+  enqueueWebhook,
+  pickWebhookPayload,
+  runWebhookJob,
+} from "../../utils/webhook-queue.server.js";
+import { createMockPrisma, MOCK_SHOP_DOMAIN, MOCK_DISCOUNT_GID } from "../fixtures/mock-data.js";
+
+// Mock the logger
+vi.mock("../../utils/logger.server.js", () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+vi.mock("../../shopify.server", () => ({
+  unauthenticated: { admin: vi.fn() },
+}));
+
+vi.mock("../../utils/customer-segments.server.js", () => ({
+  deleteCustomerMemberships: vi.fn().mockResolvedValue(2),
+  refreshCustomerMemberships: vi.fn().mockResolvedValue(1),
+}));
+
+vi.mock("../../utils/display-snapshot.server.js", () => ({
+  invalidateDisplaySnapshot: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../../utils/discount-resolver/store-data.server.js", () => ({
+  storeCollectionData: vi.fn().mockResolvedValue(undefined),
+  storeProductData: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../../utils/discount-resolver/dependency-index.server.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  syncProductCollections: vi.fn().mockResolvedValue({ collections: 0, discounts: 0, added: 0, removed: 0 }),
+}));
+
+import { unauthenticated } from "../../shopify.server";
+import { invalidateDisplaySnapshot } from "../../utils/display-snapshot.server.js";
+import { syncProductCollections } from "../../utils/discount-resolver/dependency-index.server.js";
+import {
+  deleteCustomerMemberships,
+  refreshCustomerMemberships,
+} from "../../utils/customer-segments.server.js";
+
+const shop = MOCK_SHOP_DOMAIN;
+const CUSTOMER_GID = "gid://shopify/Customer/7";
+
+const webhookRequest = (webhookId) => new Request("https://app.example.com/webhooks/app/discounts_delete", {
+  method: "POST",
+  headers: webhookId ? { "x-shopify-webhook-id": webhookId } : {},
+});
+
+describe("webhook-queue", () => {
+  let db;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockPrisma();
+    db.shop.findUnique.mockResolvedValue({ id: "shop-1" });
+    db.scheduledJob.findUnique.mockResolvedValue(null);
+    db.scheduledJob.create.mockResolvedValue({ id: "job-1" });
+    db.discount.deleteMany.mockResolvedValue({ count: 1 });
+    db.liveDiscount.deleteMany.mockResolvedValue({ count: 1 });
+    db.discount.findMany.mockResolvedValue([]);
+    db.liveDiscount.findMany.mockResolvedValue([]);
+  });
+
+  describe("pickWebhookPayload", () => {
+    it("keeps only the fields processors read", () => {
+      const picked = pickWebhookPayload({
+        admin_graphql_api_id: "gid://shopify/Product/1",
+        title: "Shirt",
+        variants: [{ id: 1 }],
+        customer: { id: 7, email: "a@example.com" },
+      });
+
+      expect(picked).toEqual({
+        admin_graphql_api_id: "gid://shopify/Product/1",
+        customer: { id: 7 },
+      });
+    });
+
+    it("keeps order discount fields and drops customer data", () => {
+      const picked = pickWebhookPayload({
+        id: 5123456789012,
+        admin_graphql_api_id: "gid://shopify/Order/5123456789012",
+        created_at: "2026-10-18T12:00:00Z",
+        currency: "USD",
+        total_price: "45.00",
+        email: "a@example.com",
+        customer: { id: 7, email: "a@example.com" },
+        discount_codes: [{ code: "SAVE5", amount: "5.00", type: "fixed_amount" }],
+        discount_applications: [{ type: "discount_code", code: "SAVE5", value: "5.0" }],
+      });
+
+      expect(picked).toEqual({
+        admin_graphql_api_id: "gid://shopify/Order/5123456789012",
+        id: 5123456789012,
+        created_at: "2026-10-18T12:00:00Z",
+        currency: "USD",
+        total_price: "45.00",
+        discount_codes: [{ code: "SAVE5" }],
+        discount_applications: [{ type: "discount_code", title: null, code: "SAVE5" }],
+      });
+    });
+  });
+
+  describe("enqueueWebhook", () => {
+    const webhook = {
+      shop,
+      topic: "DISCOUNTS_DELETE",
+      payload: { admin_graphql_api_id: MOCK_DISCOUNT_GID },
+    };
+
+    it("queues the delivery keyed by x-shopify-webhook-id", async () => {
+      const result = await enqueueWebhook(webhookRequest("webhook-1"), webhook, db);
+
+      expect(result).toEqual({ status: "queued", webhookId: "webhook-1" });
+      expect(db.scheduledJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          shop,
+          shopId: "shop-1",
+          type: WEBHOOK_JOB_TYPE,
+          jobKey: "webhook-1",
+          payload: JSON.stringify({ topic: "DISCOUNTS_DELETE", payload: { admin_graphql_api_id: MOCK_DISCOUNT_GID } }),
+        }),
+      });
+      // Nothing is processed inside the request
+      expect(db.discount.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it("acknowledges redeliveries without queueing them again", async () => {
+      db.scheduledJob.findUnique.mockResolvedValue({ id: "job-1", status: "COMPLETED" });
+
+      const result = await enqueueWebhook(webhookRequest("webhook-1"), webhook, db);
+
+      expect(result.status).toBe("duplicate");
+      expect(db.scheduledJob.create).not.toHaveBeenCalled();
+    });
+
+    it("processes inline when the shop has no record to attach the job to", async () => {
+      db.shop.findUnique.mockResolvedValue(null);
+
+      const result = await enqueueWebhook(webhookRequest("webhook-1"), webhook, db);
+
+      expect(result.status).toBe("processed");
+      expect(db.scheduledJob.create).not.toHaveBeenCalled();
+      expect(db.discount.deleteMany).toHaveBeenCalledWith({ where: { gid: MOCK_DISCOUNT_GID, shop } });
+    });
+
+    it("rejects topics without a processor", async () => {
+      await expect(
+        enqueueWebhook(webhookRequest("webhook-1"), { ...webhook, topic: "ORDERS_PAID" }, db),
+      ).rejects.toThrow("No processor for webhook topic ORDERS_PAID");
+    });
+  });
+
+  describe("runWebhookJob", () => {
+    const makeJob = (topic, payload) => ({
+      id: "job-1",
+      shop,
+      shopId: "shop-1",
+      type: WEBHOOK_JOB_TYPE,
+      jobKey: "webhook-1",
+      payload: JSON.stringify({ topic, payload }),
+    });
+
+    it("runs the processor for the stored topic", async () => {
+      const result = await runWebhookJob(
+        makeJob("DISCOUNTS_DELETE", { admin_graphql_api_id: MOCK_DISCOUNT_GID }),
+        db,
+      );
+
+      expect(result).toBe(`deleted ${MOCK_DISCOUNT_GID}`);
+      expect(db.liveDiscount.deleteMany).toHaveBeenCalledWith({ where: { gid: MOCK_DISCOUNT_GID, shop } });
+    });
+
+    it("loads an offline admin client for processors that need one", async () => {
+      const admin = { graphql: vi.fn() };
+      unauthenticated.admin.mockResolvedValue({ admin });
+
+      await runWebhookJob(makeJob("CUSTOMERS_UPDATE", { admin_graphql_api_id: CUSTOMER_GID, tags: "vip" }), db);
+
+      expect(unauthenticated.admin).toHaveBeenCalledWith(shop);
+      expect(refreshCustomerMemberships).toHaveBeenCalledWith(shop, CUSTOMER_GID, "vip", admin, db);
+    });
+
+    it("throws so the job is retried when a required admin client is unavailable", async () => {
+      unauthenticated.admin.mockRejectedValue(new Error("No offline session"));
+
+      await expect(
+        runWebhookJob(makeJob("DISCOUNTS_UPDATE", { admin_graphql_api_id: MOCK_DISCOUNT_GID }), db),
+      ).rejects.toThrow("Admin client unavailable");
+    });
+
+    describe("product webhooks", () => {
+      const PRODUCT_GID = "gid://shopify/Product/9";
+
+      beforeEach(() => {
+        unauthenticated.admin.mockResolvedValue({ admin: { graphql: vi.fn() } });
+        db.discountProduct.findMany.mockResolvedValue([]);
+        db.discountTarget.findMany.mockResolvedValue([]);
+        db.collection.findMany.mockResolvedValue([]);
+        db.product.deleteMany.mockResolvedValue({ count: 1 });
+      });
+
+      it("keeps the display snapshot when an updated product has no discounts", async () => {
+        await runWebhookJob(makeJob("PRODUCTS_UPDATE", { admin_graphql_api_id: PRODUCT_GID }), db);
+
+        expect(invalidateDisplaySnapshot).not.toHaveBeenCalled();
+      });
+
+      it("invalidates the display snapshot when an updated product is linked to a discount", async () => {
+        db.discountProduct.findMany.mockResolvedValue([{ discountId: "disc-1" }]);
+
+        await runWebhookJob(makeJob("PRODUCTS_UPDATE", { admin_graphql_api_id: PRODUCT_GID }), db);
+
+        expect(invalidateDisplaySnapshot).toHaveBeenCalledWith(shop);
+      });
+
+      it("invalidates the display snapshot when the update changed a targeted collection", async () => {
+        syncProductCollections.mockResolvedValueOnce({ collections: 1, discounts: 1, added: 1, removed: 0 });
+
+        await runWebhookJob(makeJob("PRODUCTS_UPDATE", { admin_graphql_api_id: PRODUCT_GID }), db);
+
+        expect(invalidateDisplaySnapshot).toHaveBeenCalledWith(shop);
+      });
+
+      it("invalidates the display snapshot only when a deleted product was linked to a discount", async () => {
+        await runWebhookJob(makeJob("PRODUCTS_DELETE", { admin_graphql_api_id: PRODUCT_GID }), db);
+        expect(invalidateDisplaySnapshot).not.toHaveBeenCalled();
+
+        db.discountProduct.findMany.mockResolvedValue([{ discountId: "disc-1" }]);
+        await runWebhookJob(makeJob("PRODUCTS_DELETE", { admin_graphql_api_id: PRODUCT_GID }), db);
+        expect(invalidateDisplaySnapshot).toHaveBeenCalledWith(shop);
+      });
+    });
+
+    it("redacts customers by the numeric ID in the payload", async () => {
+      await runWebhookJob(makeJob("CUSTOMERS_REDACT", { customer: { id: 7 } }), db);
+
+      expect(deleteCustomerMemberships).toHaveBeenCalledWith(shop, CUSTOMER_GID, db);
+    });
+  });
+});
@@ -3,3 +3,38 @@
 export const HELP_URL = "https://help.discountdisplaypro.com";
 export const SUPPORT_EMAIL = "mailto:support@discountdisplaypro.com";
 export const SALES_EMAIL = "mailto:sales@discountdisplaypro.com";
+
+// Badge icons a merchant can pick per discount (storefront draws the matching SVG)
+export const DISPLAY_ICONS = [
+  { value: "tag", label: "Tag" },
+  { value: "fire", label: "Fire" },
+  { value: "star", label: "Star" },
+  { value: "bolt", label: "Lightning" },
+  { value: "clock", label: "Clock" },
+  { value: "gift", label: "Gift" },
+];
+
+// How a code discount reveals its code on the storefront. Without a merchant
+// choice, single-use and once-per-customer discounts use HIDE_CODE.
+export const CODE_VISIBILITY = {
+  SHOW: "SHOW",
+  HIDE_CODE: "HIDE_CODE",
+  HIDE: "HIDE",
+};
+
+// How long the replaced storefront token keeps working after a rotation, in hours.
+// 0 revokes it at once (for a leaked token).
+export const TOKEN_GRACE_OPTIONS = [
+  { value: "0", label: "Revoke immediately" },
+  { value: "1", label: "1 hour" },
+  { value: "24", label: "24 hours" },
+  { value: "168", label: "7 days" },
+];
+
+// Scheduled storefront token rotation, in days ("" = off)
+export const TOKEN_ROTATION_INTERVAL_OPTIONS = [
+  { value: "", label: "Off" },
+  { value: "30", label: "Every 30 days" },
+  { value: "90", label: "Every 90 days" },
+  { value: "180", label: "Every 180 days" },
+];
@@ -13,6 +13,8 @@ const ALLOWED_ORIGIN_PATTERNS = [
   /^https:\/\/admin\.shopify\.com$/i,
   /^https:\/\/[a-z0-9.-]+\.wizardformula\.pt$/i,
   /^https:\/\/[a-z0-9-]+\.trycloudflare\.com$/i,
+  // Hydrogen storefronts on Oxygen
+  /^https:\/\/[a-z0-9.-]+\.myshopify\.dev$/i,
 ];
 
 const DEV_ALLOWED_PATTERNS = [
@@ -30,6 +32,31 @@ function isDevelopment() {
   return process.env.NODE_ENV === "development";
 }
 
+/**
+ * Origins configured for headless storefronts (HEADLESS_ALLOWED_ORIGINS):
+ * comma-separated exact origins, where "https://*.example.com" matches any subdomain.
+ * Unlike the custom domain fallback these may be plain HTTP, e.g. a local Hydrogen
+ * dev server, and are allowed in production.
+ * @param {string} origin - The origin header value
+ * @returns {boolean}
+ */
+function isHeadlessOrigin(origin) {
+  const configured = (process.env.HEADLESS_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((entry) => entry.trim().replace(/\/+$/, "").toLowerCase())
+    .filter(Boolean);
+  const candidate = origin.toLowerCase();
+
+  return configured.some((entry) => {
+    const wildcard = entry.match(/^(https?:\/\/)\*\.(.+)$/);
+    if (!wildcard) {
+      return entry === candidate;
+    }
+    const [, scheme, domain] = wildcard;
+    return candidate.startsWith(scheme) && candidate.slice(scheme.length).endsWith(`.${domain}`);
+  });
+}
+
 /**
  * Determine if an origin is allowed based on the CORS policy
  * @param {string | null | undefined} origin - The origin header value
@@ -41,13 +68,19 @@ export function isOriginAllowed(origin) {
     return true;
   }
 
-  // Priority 2: Blocked origins (production only)
+  // Priority 2: Headless origins configured by the operator
+  if (isHeadlessOrigin(origin)) {
+    logger.debug("Headless storefront origin allowed", { origin });
+    return true;
+  }
+
+  // Priority 3: Blocked origins (production only)
   if (!isDevelopment() && BLOCKED_ORIGINS.includes(origin)) {
     logger.warn("Blocked origin rejected in production", { origin });
     return false;
   }
 
-  // Priority 3: Known Shopify patterns
+  // Priority 4: Known Shopify patterns
   for (const pattern of ALLOWED_ORIGIN_PATTERNS) {
     if (pattern.test(origin)) {
       logger.debug("Shopify/app domain allowed", { origin });
@@ -55,7 +88,7 @@ export function isOriginAllowed(origin) {
     }
   }
 
-  // Priority 4: Dev patterns (development only)
+  // Priority 5: Dev patterns (development only)
   if (isDevelopment()) {
     for (const pattern of DEV_ALLOWED_PATTERNS) {
       if (pattern.test(origin)) {
@@ -65,13 +98,13 @@ export function isOriginAllowed(origin) {
     }
   }
 
-  // Priority 5: Custom HTTPS domains
+  // Priority 6: Custom HTTPS domains
   if (CUSTOM_DOMAIN_PATTERN.test(origin)) {
     logger.info("Custom HTTPS domain allowed", { origin });
     return true;
   }
 
-  // Priority 6: Everything else rejected
+  // Priority 7: Everything else rejected
   logger.warn("Origin rejected by CORS policy", { origin });
   return false;
 }
@@ -86,7 +119,8 @@ export function getCorsHeaders(request, allowedMethods = ["GET", "OPTIONS"]) {
   const origin = request.headers.get("Origin");
   const headers = {
     "Access-Control-Allow-Methods": allowedMethods.join(", "),
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, If-None-Match",
+    "Access-Control-Expose-Headers": "ETag",
     Vary: "Origin",
   };
 
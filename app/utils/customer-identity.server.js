@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { createLogger } from "./logger.server.js";
+
+const logger = createLogger("CustomerIdentity");
+
+// Signatures older than this are rejected (the Liquid block re-signs on every page render)
+const IDENTITY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Allowance for clock drift between Shopify's renderer and this server
+const IDENTITY_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Generates the per-shop secret the Liquid block uses to sign customer identity
+ * @returns {string} 64-character hex string
+ */
+export function generateCustomerSigningSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Builds the string signed by the Liquid block: "<id>|<tags>|<ts>".
+ * Tags arrive already sorted and comma-joined, exactly as Liquid rendered them.
+ * @param {string} customerId - Numeric Shopify customer ID
+ * @param {string} tags - Comma-joined customer tags
+ * @param {string} ts - Unix timestamp (seconds) at render time
+ * @returns {string} Payload to sign
+ */
+export function buildCustomerIdentityPayload(customerId, tags, ts) {
+  return `${customerId}|${tags || ""}|${ts}`;
+}
+
+/**
+ * Signs a customer identity payload (HMAC-SHA256, hex) — mirrors Liquid's hmac_sha256 filter
+ * @param {string} payload - Output of buildCustomerIdentityPayload
+ * @param {string} secret - Shop signing secret
+ * @returns {string} Hex signature
+ */
+export function signCustomerIdentity(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload, "utf-8").digest("hex");
+}
+
+/**
+ * Reads the signed customer identity from /api/discounts query parameters
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object|null} { customerId, tags, ts, sig } or null when not logged in
+ */
+export function readCustomerIdentityParams(searchParams) {
+  const customerId = searchParams.get("customerId");
+  const sig = searchParams.get("customerSig");
+  if (!customerId || !sig) {
+    return null;
+  }
+
+  return {
+    customerId,
+    tags: searchParams.get("customerTags") || "",
+    ts: searchParams.get("customerTs") || "",
+    sig,
+  };
+}
+
+/**
+ * Verifies a signed customer identity against the shop's signing secret
+ * @param {Object} identity - { customerId, tags, ts, sig }
+ * @param {string} secret - Shop signing secret
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {boolean} True if the signature matches and is fresh
+ */
+export function verifyCustomerIdentity(identity, secret, now = Date.now()) {
+  if (!identity || !secret) {
+    return false;
+  }
+
+  const { customerId, tags, ts, sig } = identity;
+  if (!/^\d+$/.test(customerId) || !/^\d+$/.test(ts) || typeof sig !== "string") {
+    return false;
+  }
+
+  const signedAtMs = parseInt(ts, 10) * 1000;
+  if (signedAtMs > now + IDENTITY_CLOCK_SKEW_MS || now - signedAtMs > IDENTITY_MAX_AGE_MS) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    signCustomerIdentity(buildCustomerIdentityPayload(customerId, tags, ts), secret),
+    "utf-8",
+  );
+  const provided = Buffer.from(sig.toLowerCase(), "utf-8");
+
+  // Must have same length for timingSafeEqual
+  if (expected.length !== provided.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Resolves the verified customer for a storefront request
+ * @param {string} shop - Shop domain
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Object|null>} { customerGid, tags } or null for guests and invalid signatures
+ */
+export async function getVerifiedCustomer(shop, searchParams, db) {
+  try {
+    const identity = readCustomerIdentityParams(searchParams);
+    if (!identity) {
+      return null;
+    }
+
+    const shopRecord = await db.shop.findUnique({
+      where: { domain: shop },
+      select: { customerSigningSecret: true },
+    });
+
+    if (!verifyCustomerIdentity(identity, shopRecord?.customerSigningSecret)) {
+      logger.warn("Invalid or expired customer identity signature", { shop });
+      return null;
+    }
+
+    return {
+      customerGid: `gid://shopify/Customer/${identity.customerId}`,
+      tags: identity.tags,
+    };
+  } catch (error) {
+    logger.error("Error verifying customer identity", { err: error, shop });
+    return null;
+  }
+}
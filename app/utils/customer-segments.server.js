@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import { createLogger } from "./logger.server.js";
+import { graphqlQuery } from "./discount-resolver/graphql-client.server.js";
+import { getShopIdByDomain, safeJsonParse } from "./discount-resolver/utils.server.js";
+
+const logger = createLogger("CustomerSegments");
+
+// Cached membership is re-checked against Shopify after this long, even without a webhook
+const MEMBERSHIP_TTL_MS = 6 * 60 * 60 * 1000;
+
+export const CUSTOMER_SEGMENT_MEMBERSHIP_QUERY = `
+  query CustomerSegmentMembership($customerId: ID!, $segmentIds: [ID!]!) {
+    customerSegmentMembership(customerId: $customerId, segmentIds: $segmentIds) {
+      memberships { segmentId isMember }
+    }
+  }
+`;
+
+/**
+ * Normalises customer tags from Liquid ("a,b") or webhooks ("a, b") and hashes them.
+ * Segment filters often depend on tags, so a tag change invalidates cached membership.
+ * @param {string|string[]} tags - Customer tags
+ * @returns {string} Short SHA-256 hex digest
+ */
+export function hashCustomerTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const normalized = list
+    .map((tag) => String(tag).trim())
+    .filter(Boolean)
+    .sort()
+    .join(",");
+  return crypto.createHash("sha256").update(normalized, "utf-8").digest("hex").slice(0, 16);
+}
+
+/**
+ * Parse the stored customerSegments JSON of a Discount
+ * @param {string|null} customerSegments - JSON array of { type, gid, name? }
+ * @returns {{ segmentGids: string[], customerGids: string[] }}
+ */
+export function parseCustomerEligibility(customerSegments) {
+  const entries = safeJsonParse(customerSegments, []);
+  const list = Array.isArray(entries) ? entries : [];
+  return {
+    segmentGids: list.filter((e) => e?.type === "SEGMENT" && e.gid).map((e) => e.gid),
+    customerGids: list.filter((e) => e?.type === "CUSTOMER" && e.gid).map((e) => e.gid),
+  };
+}
+
+/**
+ * Ask Shopify which of the given segments a customer belongs to
+ * @returns {Promise<Map<string, boolean>>} segmentGid -> isMember
+ */
+async function fetchSegmentMemberships(admin, customerGid, segmentGids) {
+  const { data } = await graphqlQuery(admin, CUSTOMER_SEGMENT_MEMBERSHIP_QUERY, {
+    customerId: customerGid,
+    segmentIds: segmentGids,
+  });
+
+  const memberships = new Map(segmentGids.map((gid) => [gid, false]));
+  for (const membership of data?.customerSegmentMembership?.memberships || []) {
+    if (membership?.segmentId) {
+      memberships.set(membership.segmentId, Boolean(membership.isMember));
+    }
+  }
+  return memberships;
+}
+
+async function writeMemberships(shop, shopId, customerGid, tagsHash, memberships, db) {
+  const checkedAt = new Date();
+  for (const [segmentGid, isMember] of memberships) {
+    await db.customerSegmentMembership.upsert({
+      where: { shop_customerGid_segmentGid: { shop, customerGid, segmentGid } },
+      update: { isMember, tagsHash, checkedAt },
+      create: { shop, shopId, customerGid, segmentGid, isMember, tagsHash, checkedAt },
+    });
+  }
+}
+
+/**
+ * Resolve which segment-restricted discounts a verified customer may see.
+ * Specific-customer discounts match on the customer GID; segment discounts use the
+ * local membership cache and fall back to the Admin API for missing or stale rows.
+ * @param {string} shop - Shop domain
+ * @param {Object|null} customer - { customerGid, tags } from getVerifiedCustomer
+ * @param {Array} discounts - Discount records with gid and customerSegments
+ * @param {Object} db - Prisma client instance
+ * @param {Object} [options]
+ * @param {Function} [options.getAdmin] - Async factory for an Admin API client
+ * @returns {Promise<Set<string>>} Discount GIDs the customer is eligible for
+ */
+export async function getEligibleSegmentDiscountIds(shop, customer, discounts, db, { getAdmin } = {}) {
+  const eligible = new Set();
+  if (!customer?.customerGid || !discounts?.length) {
+    return eligible;
+  }
+
+  try {
+    const { customerGid } = customer;
+    const tagsHash = hashCustomerTags(customer.tags);
+    const parsed = discounts.map((discount) => ({
+      gid: discount.gid,
+      ...parseCustomerEligibility(discount.customerSegments),
+    }));
+
+    const segmentGids = [...new Set(parsed.flatMap((p) => p.segmentGids))];
+    const memberships = new Map();
+
+    if (segmentGids.length > 0) {
+      const cached = await db.customerSegmentMembership.findMany({
+        where: { shop, customerGid, segmentGid: { in: segmentGids } },
+      });
+
+      const freshAfter = Date.now() - MEMBERSHIP_TTL_MS;
+      for (const row of cached) {
+        if (row.tagsHash === tagsHash && new Date(row.checkedAt).getTime() >= freshAfter) {
+          memberships.set(row.segmentGid, row.isMember);
+        }
+      }
+
+      const missing = segmentGids.filter((gid) => !memberships.has(gid));
+      if (missing.length > 0 && getAdmin) {
+        try {
+          const admin = await getAdmin();
+          const fetched = await fetchSegmentMemberships(admin, customerGid, missing);
+          const shopId = await getShopIdByDomain(shop, db);
+          if (shopId) {
+            await writeMemberships(shop, shopId, customerGid, tagsHash, fetched, db);
+          }
+          for (const [gid, isMember] of fetched) {
+            memberships.set(gid, isMember);
+          }
+        } catch (error) {
+          // Fail closed — unverified segments stay hidden for this request
+          logger.error("Failed to fetch segment membership", { err: error, shop, segments: missing.length });
+        }
+      }
+    }
+
+    for (const discount of parsed) {
+      const isListedCustomer = discount.customerGids.includes(customerGid);
+      const inSegment = discount.segmentGids.some((gid) => memberships.get(gid) === true);
+      if (isListedCustomer || inSegment) {
+        eligible.add(discount.gid);
+      }
+    }
+
+    return eligible;
+  } catch (error) {
+    logger.error("Error resolving customer segment eligibility", { err: error, shop });
+    return eligible;
+  }
+}
+
+/**
+ * Re-check every cached segment membership for a customer (customers/update webhook)
+ * @param {string} shop - Shop domain
+ * @param {string} customerGid - Customer GID
+ * @param {string|string[]} tags - Current customer tags
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<number>} Number of memberships refreshed
+ */
+export async function refreshCustomerMemberships(shop, customerGid, tags, admin, db) {
+  const cached = await db.customerSegmentMembership.findMany({
+    where: { shop, customerGid },
+    select: { segmentGid: true, shopId: true },
+  });
+
+  if (cached.length === 0) {
+    return 0;
+  }
+
+  const fetched = await fetchSegmentMemberships(admin, customerGid, cached.map((row) => row.segmentGid));
+  await writeMemberships(shop, cached[0].shopId, customerGid, hashCustomerTags(tags), fetched, db);
+  return fetched.size;
+}
+
+/**
+ * Every cached membership for a customer (customers/data_request)
+ * @returns {Promise<Array<{ segmentGid: string, isMember: boolean, checkedAt: Date }>>}
+ */
+export async function getCustomerMemberships(shop, customerGid, db) {
+  return db.customerSegmentMembership.findMany({
+    where: { shop, customerGid },
+    select: { segmentGid: true, isMember: true, checkedAt: true },
+    orderBy: { segmentGid: "asc" },
+  });
+}
+
+/**
+ * Drop all cached memberships for a customer (customers/delete and customers/redact)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function deleteCustomerMemberships(shop, customerGid, db) {
+  const deleted = await db.customerSegmentMembership.deleteMany({
+    where: { shop, customerGid },
+  });
+  return deleted.count;
+}
@@ -1,5 +1,6 @@
 import { createLogger } from "./logger.server.js";
 import { getShopTierInfo } from "./tier-manager.server.js";
+import { getJobPayload, listDeadLetterJobs } from "./scheduler.server.js";
 
 const logger = createLogger("DashboardData");
 
@@ -22,19 +23,66 @@ export const MANUAL_TASK_DEFINITIONS = {
   },
 };
 
+const JOB_TYPE_LABELS = {
+  DISCOUNT_START: "Discount start",
+  DISCOUNT_END: "Discount end",
+};
+
 /**
- * Aggregate dashboard stats: tier info, discount counts, manual task statuses.
+ * Aggregate dashboard stats: tier info, discount counts, manual task statuses,
+ * and jobs that exhausted their retries.
  */
 export async function loadDashboardData(shopDomain, db) {
-  const [tierInfo, totalDiscountCount, liveDiscountCount, manualTaskStatuses] =
-    await Promise.all([
-      getShopTierInfo(shopDomain, db),
-      db.liveDiscount.count({ where: { shop: shopDomain } }),
-      db.liveDiscount.count({ where: { shop: shopDomain, status: "LIVE" } }),
-      getManualTaskStatuses(shopDomain, db),
-    ]);
-
-  return { tierInfo, totalDiscountCount, liveDiscountCount, manualTaskStatuses };
+  const [
+    tierInfo,
+    totalDiscountCount,
+    liveDiscountCount,
+    manualTaskStatuses,
+    deadLetterJobs,
+  ] = await Promise.all([
+    getShopTierInfo(shopDomain, db),
+    db.liveDiscount.count({ where: { shop: shopDomain } }),
+    db.liveDiscount.count({ where: { shop: shopDomain, status: "LIVE" } }),
+    getManualTaskStatuses(shopDomain, db),
+    getDeadLetterJobs(shopDomain, db),
+  ]);
+
+  return {
+    tierInfo,
+    totalDiscountCount,
+    liveDiscountCount,
+    manualTaskStatuses,
+    deadLetterJobs,
+  };
+}
+
+/**
+ * Dead-letter jobs shaped for display. Webhook jobs are labelled by topic
+ * (e.g. "discounts/update") and show the resource they were about.
+ */
+export async function getDeadLetterJobs(shopDomain, db) {
+  try {
+    const jobs = await listDeadLetterJobs(shopDomain, db);
+    return jobs.map((job) => {
+      const stored = getJobPayload(job);
+      const isWebhook = job.type === "WEBHOOK" && stored?.topic;
+      return {
+        id: job.id,
+        label: isWebhook
+          ? stored.topic.toLowerCase().replace("_", "/")
+          : JOB_TYPE_LABELS[job.type] || job.type,
+        target: isWebhook
+          ? stored.payload?.admin_graphql_api_id || null
+          : job.jobKey,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        failedAt: job.failedAt,
+      };
+    });
+  } catch (error) {
+    logger.error("Failed to load dead-letter jobs", { err: error, shop: shopDomain });
+    return [];
+  }
 }
 
 /**
@@ -0,0 +1,195 @@
+import { createLogger } from "./logger.server.js";
+import { CODE_VISIBILITY, DISPLAY_ICONS } from "./constants.js";
+import { invalidateDisplaySnapshot } from "./display-snapshot.server.js";
+
+const logger = createLogger("DiscountDisplayConfig");
+
+export const MAX_BADGE_TEXT_LENGTH = 80;
+export const MAX_TERMS_TEXT_LENGTH = 2000;
+export const MIN_DISPLAY_PRIORITY = 0;
+export const MAX_DISPLAY_PRIORITY = 100;
+export const MAX_DISPLAY_CODE_LENGTH = 255;
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const ICON_VALUES = new Set(DISPLAY_ICONS.map((icon) => icon.value));
+const CODE_VISIBILITY_VALUES = new Set(Object.values(CODE_VISIBILITY));
+
+function optionalText(value) {
+  if (typeof value !== "string") return null;
+  const text = value.trim();
+  return text ? text : null;
+}
+
+/**
+ * Validate the display overrides submitted from the discounts page.
+ * Empty strings clear a field so the shop-wide setting applies again.
+ * @param {Object} input - { badgeText, badgeBgColor, badgeTextColor, icon, termsText, priority, codeVisibility, displayCode }
+ * @returns {{ value: Object|null, errors: Object }} value is null when there are errors
+ */
+export function normalizeDisplayConfig(input = {}) {
+  const errors = {};
+
+  const badgeText = optionalText(input.badgeText);
+  if (badgeText && badgeText.length > MAX_BADGE_TEXT_LENGTH) {
+    errors.badgeText = `Badge text must be ${MAX_BADGE_TEXT_LENGTH} characters or fewer`;
+  }
+
+  const colors = {};
+  for (const key of ["badgeBgColor", "badgeTextColor"]) {
+    const color = optionalText(input[key]);
+    if (color && !HEX_COLOR.test(color)) {
+      errors[key] = "Use a hex color such as #E9A417";
+    }
+    colors[key] = color ? color.toLowerCase() : null;
+  }
+
+  const icon = optionalText(input.icon);
+  if (icon && !ICON_VALUES.has(icon)) {
+    errors.icon = "Unknown icon";
+  }
+
+  const termsText = optionalText(input.termsText);
+  if (termsText && termsText.length > MAX_TERMS_TEXT_LENGTH) {
+    errors.termsText = `Terms must be ${MAX_TERMS_TEXT_LENGTH} characters or fewer`;
+  }
+
+  const rawPriority = input.priority === undefined || input.priority === "" ? 0 : Number(input.priority);
+  if (!Number.isInteger(rawPriority) || rawPriority < MIN_DISPLAY_PRIORITY || rawPriority > MAX_DISPLAY_PRIORITY) {
+    errors.priority = `Priority must be a whole number from ${MIN_DISPLAY_PRIORITY} to ${MAX_DISPLAY_PRIORITY}`;
+  }
+
+  const codeVisibility = optionalText(input.codeVisibility);
+  if (codeVisibility && !CODE_VISIBILITY_VALUES.has(codeVisibility)) {
+    errors.codeVisibility = "Unknown code visibility";
+  }
+
+  const displayCode = optionalText(input.displayCode);
+  if (displayCode && displayCode.length > MAX_DISPLAY_CODE_LENGTH) {
+    errors.displayCode = `Code must be ${MAX_DISPLAY_CODE_LENGTH} characters or fewer`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: { badgeText, ...colors, icon, termsText, priority: rawPriority, codeVisibility, displayCode },
+    errors,
+  };
+}
+
+/**
+ * Whether a normalized config has nothing beyond the defaults
+ * @param {Object} value - Output of normalizeDisplayConfig
+ * @returns {boolean}
+ */
+function isDefaultConfig(value) {
+  return value.priority === 0
+    && !value.badgeText && !value.badgeBgColor && !value.badgeTextColor && !value.icon && !value.termsText
+    && !value.codeVisibility && !value.displayCode;
+}
+
+/**
+ * Save (or clear) the display overrides of one of the shop's live discounts.
+ * A config left at the defaults is deleted rather than stored.
+ * @param {string} shop - Shop domain
+ * @param {string} liveDiscountId - LiveDiscount.id
+ * @param {Object} input - Fields as submitted
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{ config: Object|null, errors: Object|null, notFound?: boolean }>}
+ */
+export async function saveDisplayConfig(shop, liveDiscountId, input, db) {
+  const liveDiscount = await db.liveDiscount.findFirst({
+    where: { id: liveDiscountId, shop },
+    select: { id: true, gid: true },
+  });
+  if (!liveDiscount) {
+    return { config: null, errors: null, notFound: true };
+  }
+
+  const { value, errors } = normalizeDisplayConfig(input);
+  if (!value) {
+    return { config: null, errors };
+  }
+
+  if (value.displayCode) {
+    const code = await db.discountCode.findFirst({
+      where: { code: value.displayCode, discount: { gid: liveDiscount.gid, shop } },
+      select: { id: true },
+    });
+    if (!code) {
+      return { config: null, errors: { displayCode: "This discount has no such code" } };
+    }
+  }
+
+  if (isDefaultConfig(value)) {
+    await db.discountDisplayConfig.deleteMany({ where: { liveDiscountId } });
+    await invalidateDisplaySnapshot(shop);
+    logger.info("Display overrides cleared", { shop, gid: liveDiscount.gid });
+    return { config: null, errors: null };
+  }
+
+  const config = await db.discountDisplayConfig.upsert({
+    where: { liveDiscountId },
+    update: value,
+    create: { ...value, liveDiscountId, shop },
+  });
+  await invalidateDisplaySnapshot(shop);
+  logger.info("Display overrides saved", { shop, gid: liveDiscount.gid });
+  return { config, errors: null };
+}
+
+/**
+ * Overrides as sent to the storefront, or null when the discount has none.
+ * Unset fields are left out so the storefront falls back to the shop settings.
+ * @param {Object|null} config - DiscountDisplayConfig row
+ * @returns {Object|null}
+ */
+export function toStorefrontDisplay(config) {
+  if (!config) return null;
+
+  const display = {};
+  for (const key of ["badgeText", "badgeBgColor", "badgeTextColor", "icon", "termsText"]) {
+    if (config[key]) display[key] = config[key];
+  }
+  if (config.priority) display.priority = config.priority;
+
+  return Object.keys(display).length > 0 ? display : null;
+}
+
+/**
+ * Whether a discount's codes are meant for one shopper: a single total use,
+ * or once per customer
+ * @param {Object} discount - Discount row
+ * @returns {boolean}
+ */
+export function hasRestrictedCodes(discount) {
+  return discount?.usageLimit === 1 || !!discount?.appliesOncePerCustomer;
+}
+
+/**
+ * Which code the storefront may reveal for a code discount. The merchant's
+ * choice wins; otherwise restricted discounts hide their code. With several
+ * codes only the chosen display code is revealed, never an arbitrary one.
+ * @param {Object} discount - Discount row (usageLimit, appliesOncePerCustomer)
+ * @param {Array<{code: string}>} codes - DiscountCode rows
+ * @param {Object|null} config - DiscountDisplayConfig row
+ * @returns {{ visibility: string, code: string|null }} visibility is a CODE_VISIBILITY value
+ */
+export function resolveCodeDisplay(discount, codes, config) {
+  const visibility = config?.codeVisibility
+    || (hasRestrictedCodes(discount) ? CODE_VISIBILITY.HIDE_CODE : CODE_VISIBILITY.SHOW);
+  if (visibility !== CODE_VISIBILITY.SHOW) {
+    return { visibility, code: null };
+  }
+
+  const values = (codes || []).map((row) => row.code);
+  let code = null;
+  if (config?.displayCode && values.includes(config.displayCode)) {
+    code = config.displayCode;
+  } else if (values.length === 1) {
+    code = values[0];
+  }
+
+  return { visibility: code ? CODE_VISIBILITY.SHOW : CODE_VISIBILITY.HIDE_CODE, code };
+}
@@ -0,0 +1,447 @@
+import { createLogger } from "./logger.server.js";
+import { getShopTierInfo } from "./tier-manager.server.js";
+import {
+  evaluateMinimumRequirement,
+  isDiscountEligibleForVariant,
+  resolveBestDiscounts,
+} from "./discount-math.server.js";
+import { buildStorefrontProducts, extractNumericId, SKIP_REASON } from "./storefront-discounts.server.js";
+import { EXCLUSION_DETAILS, EXCLUSION_REASONS } from "./discount-resolver/live-discount-updater.server.js";
+
+const logger = createLogger("DiscountPreview");
+
+export const PURCHASE_TYPE = {
+  ONE_TIME: "one_time",
+  SUBSCRIPTION: "subscription",
+};
+
+// How a discount shows up on the previewed product page
+export const PREVIEW_ROLE = {
+  AUTOMATIC: "AUTOMATIC",
+  COUPON: "COUPON",
+  CONDITIONAL: "CONDITIONAL",
+  BXGY: "BXGY",
+  ELIGIBLE: "ELIGIBLE",
+};
+
+// Why a discount for the previewed product does not render. Extends SKIP_REASON
+// with the LiveDiscount status and the product-page selection steps.
+export const PREVIEW_REASON = {
+  ...SKIP_REASON,
+  HIDDEN: "HIDDEN",
+  LIMIT_REACHED: "LIMIT_REACHED",
+  SCHEDULED: "SCHEDULED",
+  ENDED: "ENDED",
+  NOT_SUPPORTED: "NOT_SUPPORTED",
+  UPGRADE_REQUIRED: "UPGRADE_REQUIRED",
+  USAGE_EXHAUSTED: "USAGE_EXHAUSTED",
+  NO_LIVE_RECORD: "NO_LIVE_RECORD",
+  PURCHASE_TYPE: "PURCHASE_TYPE",
+  VARIANT_SCOPE: "VARIANT_SCOPE",
+  MINIMUM_REQUIREMENT: "MINIMUM_REQUIREMENT",
+  NOT_BEST: "NOT_BEST",
+};
+
+function formatCents(cents, currencyCode) {
+  const amount = (cents || 0) / 100;
+  if (!currencyCode) return amount.toFixed(2);
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: currencyCode }).format(amount);
+  } catch {
+    return `${amount.toFixed(2)} ${currencyCode}`;
+  }
+}
+
+/**
+ * Merchant-facing explanation for an exclusion reason
+ * @param {string} reason - PREVIEW_REASON value
+ * @param {Object} context - { tierInfo, liveDiscount, requirement }
+ * @returns {string}
+ */
+export function describeExclusion(reason, { tierInfo, liveDiscount, requirement } = {}) {
+  const tier = tierInfo?.tier || "FREE";
+  switch (reason) {
+    case PREVIEW_REASON.HIDDEN:
+      return "Set as hidden on the Discounts page.";
+    case PREVIEW_REASON.LIMIT_REACHED:
+      return `Hidden because the plan's limit of ${tierInfo?.liveDiscountLimit} live discounts is reached and higher-ranked discounts are live. Move it up in Live priority on the Discounts page, or upgrade.`;
+    case PREVIEW_REASON.SCHEDULED:
+      return liveDiscount?.startsAt
+        ? `Scheduled to start on ${new Date(liveDiscount.startsAt).toISOString().split("T")[0]}.`
+        : "Scheduled to start later.";
+    case PREVIEW_REASON.ENDED:
+      return "The discount has ended.";
+    case PREVIEW_REASON.NOT_SUPPORTED:
+    case PREVIEW_REASON.UPGRADE_REQUIRED:
+    case PREVIEW_REASON.USAGE_EXHAUSTED:
+      return liveDiscount?.exclusionDetails || "This discount cannot be displayed.";
+    case PREVIEW_REASON.NO_LIVE_RECORD:
+      return "Not processed yet. Resync on the Discounts page.";
+    case PREVIEW_REASON.INVALID:
+    case PREVIEW_REASON.MISSING_DETAIL:
+      return "The stored discount data is incomplete. Resync on the Discounts page.";
+    case PREVIEW_REASON.CUSTOMER_SEGMENT:
+      return "Limited to customer segments; only shown to signed-in customers in those segments.";
+    case PREVIEW_REASON.FIXED_AMOUNT_TIER:
+      return EXCLUSION_DETAILS.FIXED_AMOUNT_TIER(tier);
+    case PREVIEW_REASON.SUBSCRIPTION_TIER:
+      return EXCLUSION_DETAILS.SUBSCRIPTION_TIER(tier);
+    case PREVIEW_REASON.VARIANT_TIER:
+      return EXCLUSION_DETAILS.VARIANT_TIER(tier);
+    case PREVIEW_REASON.NO_CURRENCY_RATE:
+      return "No exchange rate for the presentment currency.";
+    case PREVIEW_REASON.NOT_TARGETED:
+      return "Does not apply to this product.";
+    case PREVIEW_REASON.CODE_HIDDEN:
+      return "Set to not show on the storefront in its code settings.";
+    case PREVIEW_REASON.PURCHASE_TYPE:
+      return "Does not apply to the selected purchase type.";
+    case PREVIEW_REASON.VARIANT_SCOPE:
+      return "Applies to other variants of this product.";
+    case PREVIEW_REASON.MINIMUM_REQUIREMENT:
+      if (requirement?.type === "subtotal") {
+        return `Needs a cart subtotal of ${formatCents(requirement.amountCents, requirement.currencyCode)}, and a better offer is shown instead.`;
+      }
+      if (requirement?.type === "quantity") {
+        return `Needs ${requirement.quantity} items in the cart, and a better offer is shown instead.`;
+      }
+      return "Needs a minimum cart requirement.";
+    case PREVIEW_REASON.NOT_BEST:
+      return "Another discount gives a lower price.";
+    default:
+      return "Not shown.";
+  }
+}
+
+/**
+ * Reason a non-live discount is not served, from its LiveDiscount record
+ * @returns {string|null} PREVIEW_REASON value, or null when the record is live
+ */
+function getStatusReason(liveDiscount, tierInfo, now) {
+  if (!liveDiscount) return PREVIEW_REASON.NO_LIVE_RECORD;
+  switch (liveDiscount.status) {
+    case "LIVE":
+      if (liveDiscount.startsAt && new Date(liveDiscount.startsAt) > now) return PREVIEW_REASON.SCHEDULED;
+      if (liveDiscount.endsAt && new Date(liveDiscount.endsAt) <= now) return PREVIEW_REASON.ENDED;
+      return null;
+    case "HIDDEN": {
+      const limitReached = liveDiscount.exclusionReason === EXCLUSION_REASONS.LIVE_LIMIT
+        || !tierInfo.isUnlimited
+        && tierInfo.liveDiscountLimit != null
+        && tierInfo.currentLiveDiscounts >= tierInfo.liveDiscountLimit;
+      return limitReached ? PREVIEW_REASON.LIMIT_REACHED : PREVIEW_REASON.HIDDEN;
+    }
+    case "SCHEDULED":
+      return PREVIEW_REASON.SCHEDULED;
+    case "UPGRADE_REQUIRED":
+      return PREVIEW_REASON.UPGRADE_REQUIRED;
+    case "USAGE_EXHAUSTED":
+      return PREVIEW_REASON.USAGE_EXHAUSTED;
+    default:
+      return PREVIEW_REASON.NOT_SUPPORTED;
+  }
+}
+
+/**
+ * Runs the storefront path (/api/discounts, then resolveBestDiscounts) for one
+ * product as the product page would, and reports which discounts render, their
+ * final prices, and why every other discount for the product was dropped.
+ * @param {string} shop - Shop domain
+ * @param {Object} options - { productId, variantId, purchaseType, onRule }; onRule is called
+ *   with { id, rule, result, detail } for each TRACE_RULE evaluated for a discount
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Object|null>} Preview, or null when the product is not in the catalog cache
+ */
+export async function previewProductDiscounts(shop, {
+  productId,
+  variantId = null,
+  purchaseType = PURCHASE_TYPE.ONE_TIME,
+  onRule = null,
+}, db) {
+  const numericProductId = extractNumericId(productId) || (/^\d+$/.test(String(productId)) ? String(productId) : null);
+  if (!numericProductId) return null;
+
+  const productGid = `gid://shopify/Product/${numericProductId}`;
+  const product = await db.product.findFirst({
+    where: { shop, gid: productGid },
+    select: { gid: true, title: true, handle: true },
+  });
+  if (!product) return null;
+
+  const variants = await db.productVariant.findMany({
+    where: { shop, productGid },
+    select: { gid: true, priceCents: true, compareAtPriceCents: true, currencyCode: true },
+  });
+  const variantOptions = variants.map((v) => ({
+    id: extractNumericId(v.gid),
+    priceCents: v.priceCents,
+    currencyCode: v.currencyCode,
+  }));
+  const selectedVariant = variantOptions.find((v) => v.id === String(variantId || "")) || variantOptions[0] || null;
+
+  // Same response the storefront gets (no signed-in customer, shop currency), built
+  // from the database rather than the stored snapshot so the preview reflects edits at once
+  const skipped = new Map();
+  const { products } = await buildStorefrontProducts(shop, {
+    productIds: new Set([numericProductId]),
+    variantIds: new Set(),
+    cached: false,
+    onSkip: ({ gid, reason, productId: skippedProductId, passed }) => {
+      if (skippedProductId && skippedProductId !== numericProductId) return;
+      skipped.set(gid, { reason, passed });
+    },
+  }, db);
+  const served = products[numericProductId]?.discounts || [];
+
+  const [tierInfo, targeting] = await Promise.all([
+    getShopTierInfo(shop, db),
+    db.discount.findMany({
+      where: { shop, products: { some: { productGid } } },
+      select: { gid: true, title: true, discountType: true, codes: { select: { code: true }, take: 1 } },
+    }),
+  ]);
+  const liveDiscounts = targeting.length > 0
+    ? await db.liveDiscount.findMany({ where: { shop, gid: { in: targeting.map((d) => d.gid) } } })
+    : [];
+  const liveByGid = new Map(liveDiscounts.map((ld) => [ld.gid, ld]));
+  const targetingById = new Map(targeting.map((d) => [extractNumericId(d.gid), d]));
+
+  const now = new Date();
+  const record = (id, rule, result, detail = null) => {
+    if (onRule) onRule({ id, rule, result, detail });
+  };
+  const excluded = [];
+  const exclude = (discount, reason, { rule = REASON_RULE[reason], ...context } = {}) => {
+    const message = describeExclusion(reason, { tierInfo, ...context });
+    excluded.push({ ...discount, reason, message });
+    record(discount.id, rule, "fail", message);
+  };
+
+  // Dropped before or inside /api/discounts
+  const servedIds = new Set(served.map((d) => d.id));
+  for (const d of targeting) {
+    const id = extractNumericId(d.gid);
+    if (servedIds.has(id)) continue;
+    const liveDiscount = liveByGid.get(d.gid);
+    const summary = {
+      id,
+      gid: d.gid,
+      title: d.title,
+      isAutomatic: d.discountType === "AUTO",
+      code: d.codes?.[0]?.code || null,
+    };
+
+    const isLive = liveDiscount?.status === "LIVE";
+    if (isLive) record(id, TRACE_RULE.STATUS, "pass");
+    const statusReason = getStatusReason(liveDiscount, tierInfo, now);
+    if (statusReason) {
+      exclude(summary, statusReason, { liveDiscount, rule: isLive ? TRACE_RULE.SCHEDULE : TRACE_RULE.STATUS });
+      continue;
+    }
+    record(id, TRACE_RULE.SCHEDULE, "pass");
+
+    // A live discount the snapshot has no skip for does not target this product there
+    const skip = skipped.get(d.gid) || { reason: PREVIEW_REASON.NOT_TARGETED, passed: [] };
+    skip.passed.forEach((reason) => record(id, REASON_RULE[reason], "pass"));
+    exclude(summary, skip.reason, { liveDiscount });
+  }
+
+  // Product-page selection, as the storefront does it for the chosen variant
+  const describe = (d) => ({
+    id: d.id,
+    gid: targetingById.get(d.id)?.gid || null,
+    title: targetingById.get(d.id)?.title || null,
+    isAutomatic: d.isAutomatic,
+    code: d.code || null,
+    type: d.type,
+    value: d.value,
+    currencyCode: d.currencyCode || null,
+  });
+  const wantsSubscription = purchaseType === PURCHASE_TYPE.SUBSCRIPTION;
+  const rendered = [];
+  const candidates = [];
+  for (const d of served) {
+    SERVED_RULES.forEach((rule) => record(d.id, rule, "pass"));
+    const applies = wantsSubscription ? d.appliesOnSubscription === true : d.appliesOnOneTimePurchase !== false;
+    if (!applies) {
+      exclude(describe(d), PREVIEW_REASON.PURCHASE_TYPE);
+      continue;
+    }
+    record(d.id, TRACE_RULE.PURCHASE_TYPE, "pass");
+    if (d.kind === "bxgy") {
+      rendered.push({ ...describe(d), role: PREVIEW_ROLE.BXGY, finalPriceCents: null });
+    } else if (!isDiscountEligibleForVariant(d, selectedVariant?.id ?? null)) {
+      exclude(describe(d), PREVIEW_REASON.VARIANT_SCOPE);
+    } else {
+      record(d.id, TRACE_RULE.VARIANT_SCOPE, "pass");
+      candidates.push(d);
+    }
+  }
+
+  const regularPriceCents = selectedVariant?.priceCents ?? null;
+  let finalPriceCents = regularPriceCents;
+  let couponPriceCents = null;
+  let stacked = false;
+
+  if (regularPriceCents === null) {
+    // No stored price: the storefront reads it from the page, so only eligibility is known
+    for (const d of candidates) {
+      rendered.push({ ...describe(d), role: PREVIEW_ROLE.ELIGIBLE, finalPriceCents: null });
+    }
+  } else if (candidates.length > 0) {
+    const best = resolveBestDiscounts({
+      discounts: candidates,
+      regularPriceCents,
+      currentVariantId: selectedVariant.id,
+    });
+    stacked = best.stacked === true;
+    finalPriceCents = best.automaticEntry?.finalPriceCents ?? regularPriceCents;
+    couponPriceCents = best.couponEntry?.finalPriceCents ?? null;
+
+    const select = (d, role, entry) => {
+      rendered.push({ ...describe(d), role, ...entry });
+      record(d.id, TRACE_RULE.BEST_PRICE, "pass", `Selected as ${role}`);
+    };
+    for (const d of candidates) {
+      if (d === best.conditionalDiscount) {
+        record(d.id, TRACE_RULE.MINIMUM_REQUIREMENT, "pass", "Not met by an empty cart; shown as a conditional offer");
+        select(d, PREVIEW_ROLE.CONDITIONAL, {
+          finalPriceCents: best.conditionalProgress?.finalPriceCents ?? null,
+          minimumRequirement: d.minimumRequirement,
+        });
+        continue;
+      }
+      if (!evaluateMinimumRequirement(d.minimumRequirement || null, null).met) {
+        exclude(describe(d), PREVIEW_REASON.MINIMUM_REQUIREMENT, { requirement: d.minimumRequirement });
+        continue;
+      }
+      record(d.id, TRACE_RULE.MINIMUM_REQUIREMENT, "pass");
+      if (d === best.automaticDiscount) {
+        select(d, PREVIEW_ROLE.AUTOMATIC, { finalPriceCents });
+      } else if (d === best.couponDiscount) {
+        select(d, PREVIEW_ROLE.COUPON, { finalPriceCents: couponPriceCents, stacked });
+      } else {
+        exclude(describe(d), PREVIEW_REASON.NOT_BEST);
+      }
+    }
+  }
+
+  logger.debug("Preview computed", {
+    shop, productId: numericProductId, rendered: rendered.length, excluded: excluded.length,
+  });
+
+  return {
+    product: { id: numericProductId, gid: product.gid, title: product.title, handle: product.handle || null },
+    variants: variantOptions,
+    variantId: selectedVariant?.id || null,
+    purchaseType: wantsSubscription ? PURCHASE_TYPE.SUBSCRIPTION : PURCHASE_TYPE.ONE_TIME,
+    tier: tierInfo.tier,
+    currencyCode: selectedVariant?.currencyCode || null,
+    regularPriceCents,
+    finalPriceCents,
+    couponPriceCents,
+    stacked,
+    rendered,
+    excluded,
+  };
+}
+
+// Rules a discount passes through, in the order the app applies them:
+// LiveDiscount status (live-discount-updater), /api/discounts, then the
+// storefront's purchase-context filter and best-price selection
+export const TRACE_RULE = {
+  STATUS: "STATUS",
+  SCHEDULE: "SCHEDULE",
+  RECORD: "RECORD",
+  CUSTOMER_SEGMENT: "CUSTOMER_SEGMENT",
+  TARGETING: "TARGETING",
+  CODE_VISIBILITY: "CODE_VISIBILITY",
+  FIXED_AMOUNT_TIER: "FIXED_AMOUNT_TIER",
+  CURRENCY_RATE: "CURRENCY_RATE",
+  SUBSCRIPTION_TIER: "SUBSCRIPTION_TIER",
+  VARIANT_TIER: "VARIANT_TIER",
+  PURCHASE_TYPE: "PURCHASE_TYPE",
+  VARIANT_SCOPE: "VARIANT_SCOPE",
+  MINIMUM_REQUIREMENT: "MINIMUM_REQUIREMENT",
+  BEST_PRICE: "BEST_PRICE",
+};
+
+const RULE_ORDER = Object.values(TRACE_RULE);
+
+// Rules every discount in the /api/discounts response has passed
+const SERVED_RULES = RULE_ORDER.slice(0, RULE_ORDER.indexOf(TRACE_RULE.PURCHASE_TYPE));
+
+const REASON_RULE = {
+  [PREVIEW_REASON.HIDDEN]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.LIMIT_REACHED]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.NOT_SUPPORTED]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.UPGRADE_REQUIRED]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.USAGE_EXHAUSTED]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.NO_LIVE_RECORD]: TRACE_RULE.STATUS,
+  [PREVIEW_REASON.SCHEDULED]: TRACE_RULE.SCHEDULE,
+  [PREVIEW_REASON.ENDED]: TRACE_RULE.SCHEDULE,
+  [PREVIEW_REASON.INVALID]: TRACE_RULE.RECORD,
+  [PREVIEW_REASON.MISSING_DETAIL]: TRACE_RULE.RECORD,
+  [PREVIEW_REASON.CUSTOMER_SEGMENT]: TRACE_RULE.CUSTOMER_SEGMENT,
+  [PREVIEW_REASON.NOT_TARGETED]: TRACE_RULE.TARGETING,
+  [PREVIEW_REASON.CODE_HIDDEN]: TRACE_RULE.CODE_VISIBILITY,
+  [PREVIEW_REASON.FIXED_AMOUNT_TIER]: TRACE_RULE.FIXED_AMOUNT_TIER,
+  [PREVIEW_REASON.NO_CURRENCY_RATE]: TRACE_RULE.CURRENCY_RATE,
+  [PREVIEW_REASON.SUBSCRIPTION_TIER]: TRACE_RULE.SUBSCRIPTION_TIER,
+  [PREVIEW_REASON.VARIANT_TIER]: TRACE_RULE.VARIANT_TIER,
+  [PREVIEW_REASON.PURCHASE_TYPE]: TRACE_RULE.PURCHASE_TYPE,
+  [PREVIEW_REASON.VARIANT_SCOPE]: TRACE_RULE.VARIANT_SCOPE,
+  [PREVIEW_REASON.MINIMUM_REQUIREMENT]: TRACE_RULE.MINIMUM_REQUIREMENT,
+  [PREVIEW_REASON.NOT_BEST]: TRACE_RULE.BEST_PRICE,
+};
+
+/**
+ * Rule-by-rule trace for one discount, in RULE_ORDER. Rules the preview never
+ * evaluated for it are reported as skipped.
+ * @param {Map<string, Object>} results - { result, detail } by rule, as recorded by previewProductDiscounts
+ * @returns {Array<{ rule: string, result: "pass"|"fail"|"skipped", detail: string|null }>}
+ */
+function traceRules(results = new Map()) {
+  return RULE_ORDER.map((rule) => ({ rule, ...(results.get(rule) || { result: "skipped", detail: null }) }));
+}
+
+/**
+ * Structured decision trace for support: every discount that targets the
+ * product, whether it renders, and each rule that included or excluded it.
+ * @param {string} shop - Shop domain
+ * @param {Object} options - { productId, variantId, purchaseType }
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Object|null>} Trace, or null when the product is not in the catalog cache
+ */
+export async function explainProductDiscounts(shop, options, db) {
+  const results = new Map();
+  const onRule = ({ id, rule, result, detail }) => {
+    if (!results.has(id)) results.set(id, new Map());
+    results.get(id).set(rule, { result, detail });
+  };
+  const preview = await previewProductDiscounts(shop, { ...options, onRule }, db);
+  if (!preview) return null;
+
+  // Each exclusion message is already the detail of the rule that failed
+  const candidates = [
+    ...preview.rendered.map((entry) => ({ ...entry, included: true })),
+    ...preview.excluded.map((entry) => ({ ...entry, included: false })),
+  ].map(({ role, reason, message, ...discount }) => ({
+    ...discount,
+    outcome: role || reason,
+    rules: traceRules(results.get(discount.id)),
+  }));
+
+  return {
+    shop,
+    product: preview.product,
+    variantId: preview.variantId,
+    purchaseType: preview.purchaseType,
+    tier: preview.tier,
+    currencyCode: preview.currencyCode,
+    regularPriceCents: preview.regularPriceCents,
+    finalPriceCents: preview.finalPriceCents,
+    couponPriceCents: preview.couponPriceCents,
+    candidates,
+  };
+}
@@ -0,0 +1,324 @@
+import { Readable } from "node:stream";
+import { createInterface } from "node:readline";
+import { createLogger } from "../logger.server.js";
+import { graphqlQuery } from "./graphql-client.server.js";
+import {
+  BULK_CATALOG_QUERY,
+  BULK_OPERATION_RUN_QUERY_MUTATION,
+  GET_BULK_OPERATION_QUERY,
+  GET_PRODUCTS_COUNT_QUERY,
+} from "./graphql-queries.server.js";
+import { reprocessAllDiscountsForShop } from "./reprocess.server.js";
+import { checkAndCleanupExpiredDiscounts } from "./cleanup.server.js";
+import { buildVariantPriceUpserts } from "./store-data.server.js";
+import { getShopIdByDomain, parseGid } from "./utils.server.js";
+
+const logger = createLogger("BulkImport");
+
+// Catalogs above this many products are imported with a bulk operation
+export const BULK_IMPORT_THRESHOLD = parseInt(process.env.BULK_IMPORT_THRESHOLD, 10) || 5000;
+
+export const BULK_IMPORT_STATUS = {
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+};
+
+export const BULK_IMPORT_REASON = {
+  INSTALL: "INSTALL",
+  RESYNC: "RESYNC",
+};
+
+const WRITE_BATCH_SIZE = 250;
+// An operation that never reported back no longer blocks a new import
+const STALE_IMPORT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of products in the shop, or null when the count is unavailable
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @returns {Promise<number|null>}
+ */
+export async function getCatalogSize(admin) {
+  try {
+    const result = await graphqlQuery(admin, GET_PRODUCTS_COUNT_QUERY);
+    const count = result.data?.productsCount?.count;
+    return typeof count === "number" ? count : null;
+  } catch (error) {
+    logger.warn("Failed to count products", { err: error });
+    return null;
+  }
+}
+
+/**
+ * Start a bulk catalog export. Completion arrives on the bulk_operations/finish webhook.
+ * Only one bulk query can run per shop, so a recent RUNNING import is reused.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @param {Object} options - { reason: BULK_IMPORT_REASON }
+ * @returns {Promise<{started: boolean, importId?: string, operationId?: string, error?: string}>}
+ */
+export async function startBulkCatalogImport(admin, shop, db, { reason }) {
+  const shopId = await getShopIdByDomain(shop, db);
+  if (!shopId) {
+    return { started: false, error: "Shop not found" };
+  }
+
+  const running = await db.bulkImport.findFirst({
+    where: {
+      shop,
+      status: BULK_IMPORT_STATUS.RUNNING,
+      startedAt: { gt: new Date(Date.now() - STALE_IMPORT_MS) },
+    },
+  });
+  if (running) {
+    logger.info("Bulk catalog import already running", { shop, operationId: running.operationId });
+    return { started: true, importId: running.id, operationId: running.operationId };
+  }
+
+  const result = await graphqlQuery(admin, BULK_OPERATION_RUN_QUERY_MUTATION, { query: BULK_CATALOG_QUERY });
+  const payload = result.data?.bulkOperationRunQuery;
+  const operation = payload?.bulkOperation;
+
+  if (!operation?.id) {
+    const error = payload?.userErrors?.map((e) => e.message).join("; ") || "bulkOperationRunQuery failed";
+    logger.warn("Bulk catalog import not started", { shop, error });
+    return { started: false, error };
+  }
+
+  const record = await db.bulkImport.create({
+    data: { shop, shopId, operationId: operation.id, reason },
+  });
+
+  logger.info("Bulk catalog import started", { shop, reason, operationId: operation.id });
+  return { started: true, importId: record.id, operationId: operation.id };
+}
+
+/**
+ * Import discounts for a shop, picking the import mode from the catalog size.
+ * Large catalogs start a bulk catalog import, and discounts are processed once it
+ * finishes. Smaller ones (or when bulk is unavailable) use the paginated reprocess.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @param {Object} options - { reason: BULK_IMPORT_REASON }
+ * @returns {Promise<Object>} { mode: "bulk", importId } or { mode: "paginated", ...reprocess result }
+ */
+export async function importDiscountsForShop(admin, shop, db, { reason }) {
+  const productCount = await getCatalogSize(admin);
+
+  if (productCount !== null && productCount > BULK_IMPORT_THRESHOLD) {
+    const bulk = await startBulkCatalogImport(admin, shop, db, { reason });
+    if (bulk.started) {
+      return { mode: "bulk", productCount, importId: bulk.importId };
+    }
+    logger.warn("Falling back to paginated import", { shop, productCount, error: bulk.error });
+  }
+
+  const result = await reprocessAllDiscountsForShop(admin, shop, db);
+  return { mode: "paginated", productCount, ...result };
+}
+
+function isSinglePrice(priceRange) {
+  const min = parseFloat(priceRange?.minVariantPrice?.amount);
+  const max = parseFloat(priceRange?.maxVariantPrice?.amount);
+  return !Number.isNaN(min) && !Number.isNaN(max) ? min === max : false;
+}
+
+/**
+ * Stream the JSONL result of a bulk operation, one parsed record at a time
+ * @param {string} url - Result URL from the BulkOperation
+ */
+export async function* readBulkResult(url) {
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Bulk result download failed: HTTP ${response.status}`);
+  }
+
+  const lines = createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Write a bulk catalog export to the Product, ProductVariant and Collection caches
+ * in batched transactions, then drop cached rows the export no longer contains.
+ * Variant lines follow their product, so each product is written once complete.
+ * @param {AsyncIterable<Object>} records - Parsed JSONL records
+ * @param {string} shop - Shop domain
+ * @param {string} shopId - Shop ID (FK)
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{products: number, collections: number}>}
+ */
+export async function importBulkCatalog(records, shop, shopId, db) {
+  const importStartedAt = new Date();
+  const collections = new Map();
+  let batch = [];
+  let current = null;
+  let products = 0;
+
+  const flushProducts = async () => {
+    if (batch.length === 0) return;
+    const now = new Date();
+    const productUpserts = batch.map((product) => {
+      const fields = {
+        title: product.title,
+        handle: product.handle || undefined,
+        shop,
+        shopId,
+        variantIds: JSON.stringify(product.variants.map((variant) => variant.id)),
+        singlePrice: product.singlePrice,
+      };
+      return db.product.upsert({
+        where: { gid: product.gid },
+        update: { ...fields, updatedAt: now },
+        create: { gid: product.gid, ...fields },
+      });
+    });
+    // Variant rows reference their product, so they are written after it
+    const variantUpserts = batch.flatMap((product) => buildVariantPriceUpserts(
+      db, product.gid, product.variants, { shop, shopId, currencyCode: product.currencyCode, now },
+    ));
+    await db.$transaction([...productUpserts, ...variantUpserts]);
+    products += batch.length;
+    batch = [];
+  };
+
+  for await (const record of records) {
+    if (!record.__parentId) {
+      if (current) {
+        batch.push(current);
+        if (batch.length >= WRITE_BATCH_SIZE) await flushProducts();
+      }
+      current = {
+        gid: record.id,
+        title: record.title || "",
+        handle: record.handle || "",
+        singlePrice: isSinglePrice(record.priceRangeV2),
+        currencyCode: record.priceRangeV2?.minVariantPrice?.currencyCode || null,
+        variants: [],
+      };
+      continue;
+    }
+
+    const type = parseGid(record.id)?.type;
+    if (type === "Collection") {
+      const collection = collections.get(record.id)
+        || { title: record.title || "", handle: record.handle || null, productIds: [] };
+      collection.productIds.push(record.__parentId);
+      collections.set(record.id, collection);
+    } else if (type === "ProductVariant") {
+      if (current?.gid === record.__parentId) {
+        current.variants.push(record);
+      } else {
+        logger.warn("Bulk variant line without its product", { shop, variantGid: record.id });
+      }
+    }
+  }
+
+  if (current) batch.push(current);
+  await flushProducts();
+
+  const collectionEntries = [...collections.entries()];
+  for (let i = 0; i < collectionEntries.length; i += WRITE_BATCH_SIZE) {
+    const now = new Date();
+    await db.$transaction(collectionEntries.slice(i, i + WRITE_BATCH_SIZE).map(([gid, collection]) => {
+      const fields = {
+        title: collection.title,
+        handle: collection.handle,
+        shop,
+        shopId,
+        productIds: JSON.stringify(collection.productIds),
+      };
+      return db.collection.upsert({
+        where: { gid },
+        update: { ...fields, updatedAt: now },
+        create: { gid, ...fields },
+      });
+    }));
+  }
+
+  // Anything not touched by this import was deleted in Shopify (or has no products)
+  await db.$transaction([
+    db.productVariant.deleteMany({ where: { shop, updatedAt: { lt: importStartedAt } } }),
+    db.product.deleteMany({ where: { shop, updatedAt: { lt: importStartedAt } } }),
+    db.collection.deleteMany({ where: { shop, updatedAt: { lt: importStartedAt } } }),
+  ]);
+
+  return { products, collections: collections.size };
+}
+
+async function finishBulkImport(record, data, db) {
+  await db.bulkImport.update({
+    where: { id: record.id },
+    data: { ...data, completedAt: new Date() },
+  });
+
+  if (record.reason === BULK_IMPORT_REASON.INSTALL) {
+    await db.shop.updateMany({
+      where: { domain: record.shop },
+      data: { installStatus: data.status === BULK_IMPORT_STATUS.COMPLETED ? "done" : "failed" },
+    });
+  }
+}
+
+/**
+ * Handle a finished bulk operation: import the catalog it exported, then process
+ * discounts against the warm cache. Throws on transient failures so the job retries.
+ * @param {Object|null} admin - Shopify admin GraphQL client
+ * @param {string} operationId - BulkOperation GID
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<string>} Summary stored on the job
+ */
+export async function completeBulkCatalogImport(admin, operationId, shop, db) {
+  const record = await db.bulkImport.findUnique({ where: { operationId } });
+
+  if (!record || record.shop !== shop) {
+    return "skipped: not a catalog import";
+  }
+  if (record.status !== BULK_IMPORT_STATUS.RUNNING) {
+    return `skipped: import already ${record.status}`;
+  }
+  if (!admin) {
+    throw new Error("Admin client unavailable for bulk_operations/finish");
+  }
+
+  const result = await graphqlQuery(admin, GET_BULK_OPERATION_QUERY, { id: operationId });
+  const operation = result.data?.node;
+  if (!operation) {
+    throw new Error(`Bulk operation not found: ${operationId}`);
+  }
+
+  if (operation.status !== "COMPLETED") {
+    const error = operation.errorCode
+      ? `${operation.status} (${operation.errorCode})`
+      : operation.status;
+    await finishBulkImport(record, { status: BULK_IMPORT_STATUS.FAILED, error }, db);
+    logger.error("Bulk catalog import failed", { shop, operationId, error });
+    return `failed: ${error}`;
+  }
+
+  // No URL means the export was empty
+  const counts = operation.url
+    ? await importBulkCatalog(readBulkResult(operation.url), shop, record.shopId, db)
+    : { products: 0, collections: 0 };
+
+  const discounts = await reprocessAllDiscountsForShop(admin, shop, db);
+  await checkAndCleanupExpiredDiscounts(shop, db);
+
+  await finishBulkImport(record, {
+    status: BULK_IMPORT_STATUS.COMPLETED,
+    productCount: counts.products,
+    collectionCount: counts.collections,
+  }, db);
+
+  logger.info("Bulk catalog import completed", {
+    shop, operationId, ...counts, discounts: discounts.processed,
+  });
+
+  return `imported ${counts.products} products, ${counts.collections} collections`;
+}
@@ -1,10 +1,13 @@
 import { createLogger } from "../logger.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
+import { applyLiveDiscountRanking } from "../tier-manager.server.js";
 
 const logger = createLogger("Cleanup");
 
 /**
  * Find and remove expired discounts from both Discount and LiveDiscount tables.
  * Shop-scoped operation — only cleans up discounts for the specified shop.
+ * Slots freed by expired live discounts go to the next-ranked ones.
  */
 export async function checkAndCleanupExpiredDiscounts(shop, db) {
   try {
@@ -49,13 +52,17 @@ export async function checkAndCleanupExpiredDiscounts(shop, db) {
 
     const cleanedCount =
       (deletedDiscounts?.count || 0) + (deletedLiveDiscounts?.count || 0);
+    const { promoted = [] } = deletedLiveDiscounts?.count
+      ? await applyLiveDiscountRanking(shop, db)
+      : {};
+    await invalidateDisplaySnapshot(shop);
 
     logger.info(
       "Cleaned up expired discount records",
-      { shop, cleaned: cleanedCount, total: expiredGids.length }
+      { shop, cleaned: cleanedCount, total: expiredGids.length, promoted: promoted.length }
     );
 
-    return { cleaned: cleanedCount, total: expiredGids.length };
+    return { cleaned: cleanedCount, total: expiredGids.length, promoted };
   } catch (error) {
     logger.error(
       "Error checking for expired discounts",
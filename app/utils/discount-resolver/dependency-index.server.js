@@ -0,0 +1,395 @@
+import { createLogger } from "../logger.server.js";
+import { graphqlQuery } from "./graphql-client.server.js";
+import { GET_PRODUCT_COLLECTIONS_QUERY } from "./graphql-queries.server.js";
+import { storeProductData } from "./store-data.server.js";
+import { safeJsonParse } from "./utils.server.js";
+
+const logger = createLogger("DependencyIndex");
+
+const BXGY_SIDES = ["BUYS", "GETS"];
+const MAX_PRODUCT_COLLECTIONS = 10000;
+
+/*
+ * Dependency index: which discounts depend on a collection or product.
+ * It reads the junction tables written by storeDiscountData() (DiscountTarget and
+ * DiscountBxgyTarget for what a discount targets, DiscountProduct for what it
+ * resolved to) together with the Collection cache. Catalog webhooks use it to
+ * patch the resolved product rows of affected discounts instead of re-resolving
+ * them from Shopify.
+ */
+
+/**
+ * Discount IDs (Discount.id) targeting any of the given collections, on either BXGY side
+ * @param {string[]} collectionGids - Collection GIDs
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<string[]>}
+ */
+export async function getDiscountIdsForCollections(collectionGids, shop, db) {
+  if (collectionGids.length === 0) return [];
+
+  const where = {
+    targetType: "COLLECTION",
+    targetGid: { in: collectionGids },
+    discount: { shop },
+  };
+  const [targets, bxgyTargets] = await Promise.all([
+    db.discountTarget.findMany({ where, select: { discountId: true } }),
+    db.discountBxgyTarget.findMany({ where, select: { discountId: true } }),
+  ]);
+
+  return [...new Set([...targets, ...bxgyTargets].map((t) => t.discountId))];
+}
+
+/**
+ * Discount IDs (Discount.id) that resolved to a product, or target it directly
+ * @param {string} productGid - Product GID
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<string[]>}
+ */
+export async function getDiscountIdsForProduct(productGid, shop, db) {
+  const [products, targets] = await Promise.all([
+    db.discountProduct.findMany({
+      where: { productGid, discount: { shop } },
+      select: { discountId: true },
+    }),
+    db.discountTarget.findMany({
+      where: { targetType: "PRODUCT", targetGid: productGid, discount: { shop } },
+      select: { discountId: true },
+    }),
+  ]);
+
+  return [...new Set([...products, ...targets].map((t) => t.discountId))];
+}
+
+/**
+ * Collection GIDs targeted by at least one discount in the shop
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<string[]>}
+ */
+export async function getTrackedCollectionGids(shop, db) {
+  const where = { targetType: "COLLECTION", discount: { shop } };
+  const [targets, bxgyTargets] = await Promise.all([
+    db.discountTarget.findMany({ where, select: { targetGid: true }, distinct: ["targetGid"] }),
+    db.discountBxgyTarget.findMany({ where, select: { targetGid: true }, distinct: ["targetGid"] }),
+  ]);
+
+  return [...new Set([...targets, ...bxgyTargets].map((t) => t.targetGid))];
+}
+
+/**
+ * Whether a set of discount targets covers a product.
+ * Mirrors resolveItemTargets(): collections expand to their members, variants to their parent product.
+ * @param {Array<{targetType: string, targetGid: string}>} targets - DiscountTarget/DiscountBxgyTarget rows
+ * @param {string} productGid - Product GID
+ * @param {Object} context - { collections: Map<gid, Set<productGid>>, variantIds: Set<variantGid> }
+ * @returns {boolean}
+ */
+export function coversProduct(targets, productGid, { collections, variantIds }) {
+  return targets.some((target) => {
+    switch (target.targetType) {
+      case "COLLECTION":
+        return Boolean(collections.get(target.targetGid)?.has(productGid));
+      case "PRODUCT":
+        return target.targetGid === productGid;
+      case "VARIANT":
+        return Boolean(variantIds?.has(target.targetGid));
+      default:
+        return false;
+    }
+  });
+}
+
+async function loadCollectionMembers(collectionGids, shop, db) {
+  const members = new Map();
+  if (collectionGids.length === 0) return members;
+
+  const rows = await db.collection.findMany({
+    where: { gid: { in: collectionGids }, shop },
+    select: { gid: true, productIds: true },
+  });
+  for (const row of rows) {
+    members.set(row.gid, new Set(safeJsonParse(row.productIds, [])));
+  }
+  return members;
+}
+
+async function loadProductVariants(productGids, shop, db) {
+  const variants = new Map();
+  const rows = await db.product.findMany({
+    where: { gid: { in: productGids }, shop },
+    select: { gid: true, variantIds: true },
+  });
+  for (const row of rows) {
+    variants.set(row.gid, new Set(safeJsonParse(row.variantIds, [])));
+  }
+  return variants;
+}
+
+/**
+ * Recompute DiscountProduct / DiscountBxgyProduct rows for the given discounts and
+ * products from cached collection membership, adding and removing only what changed.
+ * Collection caches must already reflect the change.
+ * @param {string[]} discountIds - Discount.id values to patch
+ * @param {string[]} productGids - Products whose membership may have changed
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{added: number, removed: number}>}
+ */
+export async function reindexProducts(discountIds, productGids, shop, db) {
+  if (discountIds.length === 0 || productGids.length === 0) {
+    return { added: 0, removed: 0 };
+  }
+
+  const discounts = await db.discount.findMany({
+    where: { id: { in: discountIds }, shop },
+    select: {
+      id: true,
+      targets: { select: { targetType: true, targetGid: true } },
+      bxgyTargets: { select: { side: true, targetType: true, targetGid: true } },
+    },
+  });
+
+  const allTargets = discounts.flatMap((d) => [...d.targets, ...d.bxgyTargets]);
+  const collectionGids = [...new Set(
+    allTargets.filter((t) => t.targetType === "COLLECTION").map((t) => t.targetGid),
+  )];
+  const collections = await loadCollectionMembers(collectionGids, shop, db);
+  const productVariants = allTargets.some((t) => t.targetType === "VARIANT")
+    ? await loadProductVariants(productGids, shop, db)
+    : new Map();
+
+  const ids = discounts.map((d) => d.id);
+  const [existingProducts, existingBxgy] = await Promise.all([
+    db.discountProduct.findMany({
+      where: { discountId: { in: ids }, productGid: { in: productGids } },
+      select: { id: true, discountId: true, productGid: true },
+    }),
+    db.discountBxgyProduct.findMany({
+      where: { discountId: { in: ids }, productGid: { in: productGids } },
+      select: { id: true, discountId: true, side: true, productGid: true },
+    }),
+  ]);
+  const productRowIds = new Map(existingProducts.map((r) => [`${r.discountId}|${r.productGid}`, r.id]));
+  const bxgyRowIds = new Map(existingBxgy.map((r) => [`${r.discountId}|${r.side}|${r.productGid}`, r.id]));
+
+  const productRows = [];
+  const bxgyRows = [];
+  const removeProductRowIds = [];
+  const removeBxgyRowIds = [];
+
+  for (const discount of discounts) {
+    const isBxgy = discount.bxgyTargets.length > 0;
+
+    for (const productGid of productGids) {
+      const context = { collections, variantIds: productVariants.get(productGid) };
+      let covered;
+
+      if (isBxgy) {
+        // DiscountProduct holds the union of both sides
+        covered = false;
+        for (const side of BXGY_SIDES) {
+          const sideTargets = discount.bxgyTargets.filter((t) => t.side === side);
+          const sideCovered = coversProduct(sideTargets, productGid, context);
+          const rowId = bxgyRowIds.get(`${discount.id}|${side}|${productGid}`);
+          if (sideCovered && !rowId) {
+            bxgyRows.push({ discountId: discount.id, side, productGid });
+          } else if (!sideCovered && rowId) {
+            removeBxgyRowIds.push(rowId);
+          }
+          covered = covered || sideCovered;
+        }
+      } else {
+        covered = coversProduct(discount.targets, productGid, context);
+      }
+
+      const rowId = productRowIds.get(`${discount.id}|${productGid}`);
+      if (covered && !rowId) {
+        productRows.push({ discountId: discount.id, productGid });
+      } else if (!covered && rowId) {
+        removeProductRowIds.push(rowId);
+      }
+    }
+  }
+
+  const operations = [];
+  if (removeProductRowIds.length > 0) {
+    operations.push(db.discountProduct.deleteMany({ where: { id: { in: removeProductRowIds } } }));
+  }
+  if (removeBxgyRowIds.length > 0) {
+    operations.push(db.discountBxgyProduct.deleteMany({ where: { id: { in: removeBxgyRowIds } } }));
+  }
+  if (productRows.length > 0) {
+    operations.push(db.discountProduct.createMany({ data: productRows, skipDuplicates: true }));
+  }
+  if (bxgyRows.length > 0) {
+    operations.push(db.discountBxgyProduct.createMany({ data: bxgyRows, skipDuplicates: true }));
+  }
+  if (operations.length > 0) {
+    await db.$transaction(operations);
+  }
+
+  return { added: productRows.length, removed: removeProductRowIds.length };
+}
+
+/**
+ * Patch discounts targeting a collection after its cached product list changed.
+ * @param {string} collectionGid - Collection GID
+ * @param {string[]} previousProductIds - Cached members before the change
+ * @param {string[]} currentProductIds - Members now stored (empty when deleted)
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @param {Object} options - { admin } to cache product data for new members
+ * @returns {Promise<{discounts: number, added: number, removed: number}>}
+ */
+export async function applyCollectionChange(collectionGid, previousProductIds, currentProductIds, shop, db, options = {}) {
+  const previous = new Set(previousProductIds);
+  const current = new Set(currentProductIds);
+  const joined = currentProductIds.filter((gid) => !previous.has(gid));
+  const left = previousProductIds.filter((gid) => !current.has(gid));
+
+  if (joined.length === 0 && left.length === 0) {
+    return { discounts: 0, added: 0, removed: 0 };
+  }
+
+  const discountIds = await getDiscountIdsForCollections([collectionGid], shop, db);
+  if (discountIds.length === 0) {
+    logger.debug("No discounts target this collection", { shop, collectionGid });
+    return { discounts: 0, added: 0, removed: 0 };
+  }
+
+  if (options.admin) {
+    for (const productGid of joined) {
+      await storeProductData(options.admin, productGid, shop, db);
+    }
+  }
+
+  const result = await reindexProducts(discountIds, [...joined, ...left], shop, db);
+
+  logger.info("Collection membership change applied", {
+    shop, collectionGid, joined: joined.length, left: left.length, discounts: discountIds.length, ...result,
+  });
+
+  return { discounts: discountIds.length, ...result };
+}
+
+async function fetchProductCollectionGids(admin, productGid) {
+  const collectionGids = new Set();
+  let hasNextPage = true;
+  let after = null;
+
+  while (hasNextPage) {
+    const result = await graphqlQuery(admin, GET_PRODUCT_COLLECTIONS_QUERY, { id: productGid, after });
+    const product = result.data?.product;
+    if (!product) {
+      return null;
+    }
+
+    for (const node of product.collections.nodes) {
+      collectionGids.add(node.id);
+    }
+    hasNextPage = product.collections.pageInfo.hasNextPage;
+    after = hasNextPage ? product.collections.pageInfo.endCursor : null;
+
+    if (collectionGids.size >= MAX_PRODUCT_COLLECTIONS) {
+      logger.warn("Hit safety limit fetching product collections", { productGid, count: collectionGids.size });
+      break;
+    }
+  }
+
+  return collectionGids;
+}
+
+/**
+ * Bring a product's membership in targeted collections up to date.
+ * Covers smart collections, whose membership changes when a product's tags or
+ * type change without a collections/update webhook.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} productGid - Product GID
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{collections: number, discounts: number, added: number, removed: number}>}
+ */
+export async function syncProductCollections(admin, productGid, shop, db) {
+  const unchanged = { collections: 0, discounts: 0, added: 0, removed: 0 };
+
+  const tracked = await getTrackedCollectionGids(shop, db);
+  if (tracked.length === 0) {
+    return unchanged;
+  }
+
+  const memberOf = await fetchProductCollectionGids(admin, productGid);
+  if (!memberOf) {
+    logger.warn("Product not found while syncing collections", { shop, productGid });
+    return unchanged;
+  }
+
+  const cached = await db.collection.findMany({
+    where: { gid: { in: tracked }, shop },
+    select: { gid: true, productIds: true },
+  });
+
+  const changed = [];
+  for (const collection of cached) {
+    const members = safeJsonParse(collection.productIds, []);
+    const wasMember = members.includes(productGid);
+    const isMember = memberOf.has(collection.gid);
+    if (wasMember === isMember) continue;
+
+    const productIds = isMember
+      ? [...members, productGid]
+      : members.filter((gid) => gid !== productGid);
+    await db.collection.update({
+      where: { gid: collection.gid },
+      data: { productIds: JSON.stringify(productIds) },
+    });
+    changed.push(collection.gid);
+  }
+
+  if (changed.length === 0) {
+    return unchanged;
+  }
+
+  const discountIds = await getDiscountIdsForCollections(changed, shop, db);
+  const result = await reindexProducts(discountIds, [productGid], shop, db);
+
+  logger.info("Product collection membership changed", {
+    shop, productGid, collections: changed.length, discounts: discountIds.length, ...result,
+  });
+
+  return { collections: changed.length, discounts: discountIds.length, ...result };
+}
+
+/**
+ * Drop a deleted product from resolved discount products and cached collections
+ * @param {string} productGid - Product GID
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{discounts: number}>}
+ */
+export async function removeProductFromIndex(productGid, shop, db) {
+  const discountIds = await getDiscountIdsForProduct(productGid, shop, db);
+
+  if (discountIds.length > 0) {
+    await db.$transaction([
+      db.discountProduct.deleteMany({ where: { productGid, discountId: { in: discountIds } } }),
+      db.discountBxgyProduct.deleteMany({ where: { productGid, discountId: { in: discountIds } } }),
+    ]);
+  }
+
+  const collections = await db.collection.findMany({
+    where: { shop, productIds: { contains: `"${productGid}"` } },
+    select: { gid: true, productIds: true },
+  });
+  for (const collection of collections) {
+    const productIds = safeJsonParse(collection.productIds, []).filter((gid) => gid !== productGid);
+    await db.collection.update({
+      where: { gid: collection.gid },
+      data: { productIds: JSON.stringify(productIds) },
+    });
+  }
+
+  return { discounts: discountIds.length };
+}
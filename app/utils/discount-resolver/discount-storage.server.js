@@ -1,6 +1,8 @@
 import { createLogger } from "../logger.server.js";
 import {
   ensureArray,
+  extractBxgyTerms,
+  extractCustomerEligibility,
   getDiscountClassValue,
   isAllCustomersSelection,
 } from "./utils.server.js";
@@ -8,10 +10,42 @@ import { computeDiscountType, getTemporalBounds } from "./status-utils.server.js
 
 const logger = createLogger("DiscountStorage");
 
+/**
+ * Collect target GIDs (collections, or products + variants) from customerBuys/customerGets items.
+ */
+function collectTargetGids(items) {
+  const itemsArray = ensureArray(items);
+  let targetType = "UNKNOWN";
+  const targetGids = [];
+
+  if (itemsArray.some((item) => item?.collections)) {
+    targetType = "COLLECTION";
+    for (const item of itemsArray) {
+      if (item?.collections?.nodes) {
+        targetGids.push(...item.collections.nodes.map((node) => ({ type: "COLLECTION", gid: node.id })));
+      }
+    }
+  } else if (itemsArray.some((item) => item?.products) || itemsArray.some((item) => item?.productVariants)) {
+    targetType = "PRODUCT";
+    for (const item of itemsArray) {
+      if (item?.products?.nodes) {
+        targetGids.push(...item.products.nodes.map((node) => ({ type: "PRODUCT", gid: node.id })));
+      }
+      if (item?.productVariants?.nodes) {
+        targetGids.push(...item.productVariants.nodes.map((node) => ({ type: "VARIANT", gid: node.id })));
+      }
+    }
+  }
+
+  return { targetType, targetGids };
+}
+
 /**
  * Store discount data in the Discount table + junction tables.
  * Stores ALL discounts regardless of exclusion status.
  * Exclusion logic is in updateLiveDiscountData().
+ * resolvedData.codes, when set, is the full paginated code list from
+ * fetchAllDiscountCodes(); otherwise the first page in discountData is used.
  */
 export async function storeDiscountData(discountId, discountData, resolvedData, shop, db) {
   try {
@@ -24,7 +58,11 @@ export async function storeDiscountData(discountId, discountData, resolvedData,
     const discountType = computeDiscountType(discountId);
     const title = discountData.title || "Untitled discount";
     const status = discountData.status || "UNKNOWN";
-    const value = discountData.customerGets?.value;
+    const bxgyTerms = extractBxgyTerms(discountData);
+    // BXGY wraps the percentage/amount in a DiscountOnQuantity effect
+    const value = bxgyTerms
+      ? discountData.customerGets?.value?.effect
+      : discountData.customerGets?.value;
     let valueType = "PERCENTAGE";
     let percentage = null;
     let amount = null;
@@ -39,35 +77,15 @@ export async function storeDiscountData(discountId, discountData, resolvedData,
       currencyCode = value.amount.currencyCode;
     }
 
-    const items = discountData.customerGets?.items;
-    const itemsArray = ensureArray(items);
-    let targetType = "UNKNOWN";
-    const targetGids = [];
-
-    if (itemsArray.some((item) => item?.collections)) {
-      targetType = "COLLECTION";
-      for (const item of itemsArray) {
-        if (item?.collections?.nodes) {
-          targetGids.push(...item.collections.nodes.map((node) => ({ type: "COLLECTION", gid: node.id })));
-        }
-      }
-    } else if (itemsArray.some((item) => item?.products) || itemsArray.some((item) => item?.productVariants)) {
-      targetType = "PRODUCT";
-      for (const item of itemsArray) {
-        if (item?.products?.nodes) {
-          targetGids.push(...item.products.nodes.map((node) => ({ type: "PRODUCT", gid: node.id })));
-        }
-        if (item?.productVariants?.nodes) {
-          targetGids.push(...item.productVariants.nodes.map((node) => ({ type: "VARIANT", gid: node.id })));
-        }
-      }
-    }
+    const { targetType, targetGids } = collectTargetGids(discountData.customerGets?.items);
 
     const selection = discountData.context || discountData.customerSelection;
     const customerSelectionAll = isAllCustomersSelection(selection);
 
     const codes = [];
-    if (discountType === "CODE" && discountData.codes?.nodes) {
+    if (discountType === "CODE" && Array.isArray(resolvedData.codes)) {
+      codes.push(...resolvedData.codes);
+    } else if (discountType === "CODE" && discountData.codes?.nodes) {
       codes.push(...discountData.codes.nodes.map((node) => node.code));
     }
 
@@ -91,8 +109,17 @@ export async function storeDiscountData(discountId, discountData, resolvedData,
       appliesOnOneTimePurchase: Boolean(discountData.customerGets?.appliesOnOneTimePurchase),
       appliesOnSubscription: Boolean(discountData.customerGets?.appliesOnSubscription),
       customerSelectionAll,
-      customerSegments: JSON.stringify([]),
+      customerSegments: JSON.stringify(extractCustomerEligibility(selection)),
       minimumRequirement: discountData.minimumRequirement || null,
+      buysQuantity: bxgyTerms?.buysQuantity ?? null,
+      buysAmount: bxgyTerms?.buysAmount ?? null,
+      getsQuantity: bxgyTerms?.getsQuantity ?? null,
+      combinesWithProduct: Boolean(discountData.combinesWith?.productDiscounts),
+      combinesWithOrder: Boolean(discountData.combinesWith?.orderDiscounts),
+      combinesWithShipping: Boolean(discountData.combinesWith?.shippingDiscounts),
+      usageLimit: discountData.usageLimit ?? null,
+      appliesOncePerCustomer: Boolean(discountData.appliesOncePerCustomer),
+      asyncUsageCount: discountData.asyncUsageCount ?? 0,
     };
 
     // Upsert the Discount record
@@ -109,6 +136,8 @@ export async function storeDiscountData(discountId, discountData, resolvedData,
       db.discountProduct.deleteMany({ where: { discountId: discount.id } }),
       db.discountVariant.deleteMany({ where: { discountId: discount.id } }),
       db.discountCode.deleteMany({ where: { discountId: discount.id } }),
+      db.discountBxgyTarget.deleteMany({ where: { discountId: discount.id } }),
+      db.discountBxgyProduct.deleteMany({ where: { discountId: discount.id } }),
     ]);
 
     // Write new junction table data
@@ -148,14 +177,55 @@ export async function storeDiscountData(discountId, discountData, resolvedData,
         data: codes.map((code) => ({
           discountId: discount.id,
           code,
+          normalizedCode: code.toLowerCase(),
         })),
         skipDuplicates: true,
       });
     }
 
+    if (bxgyTerms) {
+      await storeBxgySides(discount.id, discountData, resolvedData.bxgy, db);
+    }
+
     return true;
   } catch (error) {
     logger.error("Failed to store discount data", { err: error, discountId, shop });
     return false;
   }
 }
+
+/**
+ * Write the "buys" and "gets" sides of a Buy X Get Y discount to its junction tables.
+ */
+async function storeBxgySides(discountDbId, discountData, resolvedSides, db) {
+  const sides = [
+    { side: "BUYS", items: discountData.customerBuys?.items, resolved: resolvedSides?.buys },
+    { side: "GETS", items: discountData.customerGets?.items, resolved: resolvedSides?.gets },
+  ];
+
+  const targetRows = [];
+  const productRows = [];
+
+  for (const { side, items, resolved } of sides) {
+    const { targetGids } = collectTargetGids(items);
+    targetRows.push(...targetGids.map((t) => ({
+      discountId: discountDbId,
+      side,
+      targetType: t.type,
+      targetGid: t.gid,
+    })));
+    productRows.push(...(resolved?.productIds || []).map((gid) => ({
+      discountId: discountDbId,
+      side,
+      productGid: gid,
+    })));
+  }
+
+  if (targetRows.length > 0) {
+    await db.discountBxgyTarget.createMany({ data: targetRows, skipDuplicates: true });
+  }
+
+  if (productRows.length > 0) {
+    await db.discountBxgyProduct.createMany({ data: productRows, skipDuplicates: true });
+  }
+}
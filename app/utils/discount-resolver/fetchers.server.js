@@ -10,7 +10,9 @@ const MAX_ITEMS_SAFETY_LIMIT = 10000;
 /**
  * Fetch initial discounts with cursor-based pagination.
  * Applies server-side filter: status:active AND discount_class:product
- * Then client-side filters for minimum requirements and customer segments.
+ * Customer-segment discounts are kept too; /api/discounts serves them only to
+ * customers who qualify. Minimum-requirement discounts are kept; they are
+ * displayed as conditional offers.
  */
 export async function fetchInitialDiscounts(admin, shop) {
   try {
@@ -45,29 +47,12 @@ export async function fetchInitialDiscounts(admin, shop) {
       }
     }
 
-    const filteredDiscounts = allDiscounts.filter((discount) => {
-      if (
-        discount.minimumRequirement?.greaterThanOrEqualToSubtotal ||
-        discount.minimumRequirement?.greaterThanOrEqualToQuantity
-      ) {
-        return false;
-      }
-
-      const selection = discount.context || discount.customerSelection;
-      const selectionType =
-        selection && typeof selection.__typename === "string"
-          ? selection.__typename.toLowerCase()
-          : null;
-      const isAllCustomers = !selectionType || selectionType.includes("all");
-      return isAllCustomers;
-    });
-
     logger.info(
       "Initial discount fetch complete",
-      { shop, total: allDiscounts.length, filtered: filteredDiscounts.length }
+      { shop, total: allDiscounts.length }
     );
 
-    return filteredDiscounts.map((discount) => ({
+    return allDiscounts.map((discount) => ({
       gid: discount.id,
       summary: discount.summary,
       __typename: discount.__typename,
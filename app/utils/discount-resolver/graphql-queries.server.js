@@ -1,3 +1,13 @@
+/**
+ * Customer eligibility for product discounts. Specific customers and
+ * customer segments are stored so the storefront API can gate them per shopper.
+ */
+const CUSTOMER_CONTEXT_FIELDS = `
+      __typename
+      ... on DiscountCustomers { customers { id } }
+      ... on DiscountCustomerSegments { segments { id name } }
+`;
+
 /**
  * Complete discount fragment handling ALL 8 Shopify discount types.
  * Each type queries only fields that exist on that type.
@@ -12,7 +22,8 @@ export const DISCOUNT_FRAGMENT = `
     summary
     discountClass
     discountClasses
-    context { __typename }
+    combinesWith { productDiscounts orderDiscounts shippingDiscounts }
+    context { ${CUSTOMER_CONTEXT_FIELDS} }
     minimumRequirement {
       ... on DiscountMinimumSubtotal {
         greaterThanOrEqualToSubtotal { amount currencyCode }
@@ -47,12 +58,16 @@ export const DISCOUNT_FRAGMENT = `
     summary
     discountClass
     discountClasses
+    combinesWith { productDiscounts orderDiscounts shippingDiscounts }
     codesCount { count }
+    usageLimit
+    appliesOncePerCustomer
+    asyncUsageCount
     codes(first: 100) {
       pageInfo { hasNextPage endCursor }
       nodes { code id }
     }
-    context { __typename }
+    context { ${CUSTOMER_CONTEXT_FIELDS} }
     minimumRequirement {
       ... on DiscountMinimumSubtotal {
         greaterThanOrEqualToSubtotal { amount currencyCode }
@@ -87,7 +102,23 @@ export const DISCOUNT_FRAGMENT = `
     summary
     discountClass
     discountClasses
-    context { __typename }
+    combinesWith { productDiscounts orderDiscounts shippingDiscounts }
+    context { ${CUSTOMER_CONTEXT_FIELDS} }
+    customerBuys {
+      items {
+        ... on DiscountCollections {
+          collections(first: 100) { nodes { id } }
+        }
+        ... on DiscountProducts {
+          products(first: 100) { nodes { id } }
+          productVariants(first: 100) { nodes { id } }
+        }
+      }
+      value {
+        ... on DiscountQuantity { quantity }
+        ... on DiscountPurchaseAmount { amount }
+      }
+    }
     customerGets {
       appliesOnOneTimePurchase
       appliesOnSubscription
@@ -103,6 +134,13 @@ export const DISCOUNT_FRAGMENT = `
       value {
         ... on DiscountAmount { amount { amount currencyCode } }
         ... on DiscountPercentage { percentage }
+        ... on DiscountOnQuantity {
+          quantity { quantity }
+          effect {
+            ... on DiscountAmount { amount { amount currencyCode } }
+            ... on DiscountPercentage { percentage }
+          }
+        }
       }
     }
   }
@@ -114,12 +152,31 @@ export const DISCOUNT_FRAGMENT = `
     summary
     discountClass
     discountClasses
+    combinesWith { productDiscounts orderDiscounts shippingDiscounts }
     codesCount { count }
+    usageLimit
+    appliesOncePerCustomer
+    asyncUsageCount
     codes(first: 100) {
       pageInfo { hasNextPage endCursor }
       nodes { code id }
     }
-    context { __typename }
+    context { ${CUSTOMER_CONTEXT_FIELDS} }
+    customerBuys {
+      items {
+        ... on DiscountCollections {
+          collections(first: 100) { nodes { id } }
+        }
+        ... on DiscountProducts {
+          products(first: 100) { nodes { id } }
+          productVariants(first: 100) { nodes { id } }
+        }
+      }
+      value {
+        ... on DiscountQuantity { quantity }
+        ... on DiscountPurchaseAmount { amount }
+      }
+    }
     customerGets {
       appliesOnOneTimePurchase
       appliesOnSubscription
@@ -135,6 +192,13 @@ export const DISCOUNT_FRAGMENT = `
       value {
         ... on DiscountAmount { amount { amount currencyCode } }
         ... on DiscountPercentage { percentage }
+        ... on DiscountOnQuantity {
+          quantity { quantity }
+          effect {
+            ... on DiscountAmount { amount { amount currencyCode } }
+            ... on DiscountPercentage { percentage }
+          }
+        }
       }
     }
   }
@@ -165,6 +229,9 @@ export const DISCOUNT_FRAGMENT = `
     discountClass
     discountClasses
     codesCount { count }
+    usageLimit
+    appliesOncePerCustomer
+    asyncUsageCount
     codes(first: 100) {
       pageInfo { hasNextPage endCursor }
       nodes { code id }
@@ -196,6 +263,9 @@ export const DISCOUNT_FRAGMENT = `
     discountClass
     discountClasses
     codesCount { count }
+    usageLimit
+    appliesOncePerCustomer
+    asyncUsageCount
     codes(first: 100) {
       pageInfo { hasNextPage endCursor }
       nodes { code id }
@@ -272,6 +342,18 @@ export const GET_INITIAL_DISCOUNTS_QUERY = `
                 ... on DiscountMinimumQuantity { greaterThanOrEqualToQuantity }
               }
             }
+            ... on DiscountCodeBxgy {
+              startsAt
+              endsAt
+              summary
+              context { __typename }
+            }
+            ... on DiscountAutomaticBxgy {
+              startsAt
+              endsAt
+              summary
+              context { __typename }
+            }
           }
         }
       }
@@ -314,3 +396,100 @@ export const GET_DISCOUNT_CODES_QUERY = `
     }
   }
 `;
+
+/**
+ * Usage limit and redemption count for a batch of code discounts (up to 250 IDs)
+ * — used by the periodic usage sync. Deleted discounts come back as null nodes.
+ */
+export const GET_DISCOUNT_USAGE_QUERY = `
+  query GetDiscountUsage($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on DiscountCodeNode {
+        id
+        codeDiscount {
+          ... on DiscountCodeBasic { usageLimit asyncUsageCount }
+          ... on DiscountCodeBxgy { usageLimit asyncUsageCount }
+          ... on DiscountCodeFreeShipping { usageLimit asyncUsageCount }
+          ... on DiscountCodeApp { usageLimit asyncUsageCount }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Collections a product belongs to — used by products/update to detect
+ * membership changes in collections that discounts target.
+ */
+export const GET_PRODUCT_COLLECTIONS_QUERY = `
+  query GetProductCollections($id: ID!, $after: String) {
+    product(id: $id) {
+      id
+      collections(first: 250, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes { id }
+      }
+    }
+  }
+`;
+
+/**
+ * Catalog size — decides between paginated and bulk imports.
+ */
+export const GET_PRODUCTS_COUNT_QUERY = `
+  query GetProductsCount {
+    productsCount(limit: null) { count }
+  }
+`;
+
+/**
+ * Bulk catalog export. Nested connections come back as separate JSONL lines
+ * carrying __parentId (variants and collections follow their product).
+ */
+export const BULK_CATALOG_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          title
+          handle
+          priceRangeV2 {
+            minVariantPrice { amount currencyCode }
+            maxVariantPrice { amount }
+          }
+          variants {
+            edges { node { id price compareAtPrice } }
+          }
+          collections {
+            edges { node { id title handle } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const BULK_OPERATION_RUN_QUERY_MUTATION = `
+  mutation BulkOperationRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+export const GET_BULK_OPERATION_QUERY = `
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
@@ -1,13 +1,30 @@
 import { createLogger } from "../logger.server.js";
-import { canHaveMoreLiveDiscounts } from "../tier-manager.server.js";
+import {
+  applyLiveDiscountRanking,
+  canHaveMoreLiveDiscounts,
+} from "../tier-manager.server.js";
+import {
+  LIVE_LIMIT_REASON,
+  describeLiveLimit,
+} from "../tier-manager/live-discount-helpers.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
 import { checkAndCleanupExpiredDiscounts } from "./cleanup.server.js";
 import { evaluateTierGating } from "./tier-gating.server.js";
 import {
-  isAllCustomersSelection,
+  cancelDiscountTransitionJobs,
+  syncDiscountTransitionJobs,
+} from "./transitions.server.js";
+import {
   isProductDiscount,
   getDiscountClassValue,
   getShopIdByDomain,
 } from "./utils.server.js";
+import {
+  USAGE_EXHAUSTED_REASON,
+  describeUsageExhausted,
+  isUsageExhausted,
+  requestDiscountUsageSync,
+} from "./usage-sync.server.js";
 import {
   computeDiscountType,
   getTemporalBounds,
@@ -19,29 +36,24 @@ const logger = createLogger("LiveDiscountUpdater");
 
 export const EXCLUSION_REASONS = {
   NOT_PRODUCT_DISCOUNT: "NOT_PRODUCT_DISCOUNT",
-  CUSTOMER_SEGMENT: "CUSTOMER_SEGMENT",
-  MIN_REQUIREMENT: "MIN_REQUIREMENT",
-  BXGY_DISCOUNT: "BXGY_DISCOUNT",
   SUBSCRIPTION_TIER: "SUBSCRIPTION_TIER",
   VARIANT_TIER: "VARIANT_TIER",
   FIXED_AMOUNT_TIER: "FIXED_AMOUNT_TIER",
+  LIVE_LIMIT: LIVE_LIMIT_REASON,
+  USAGE_EXHAUSTED: USAGE_EXHAUSTED_REASON,
 };
 
 export const EXCLUSION_DETAILS = {
   NOT_PRODUCT_DISCOUNT: (discountClass) =>
     `This ${discountClass?.toLowerCase() || "discount"} type cannot be displayed on product pages. Only product-level discounts are supported.`,
-  CUSTOMER_SEGMENT:
-    "This discount is limited to specific customer groups and cannot be displayed publicly on your storefront.",
-  MIN_REQUIREMENT:
-    "This discount requires a minimum cart value or quantity, which cannot be verified on the product page.",
-  BXGY_DISCOUNT:
-    "Buy X Get Y discounts cannot be displayed on product pages. These discounts require cart-level calculations.",
   SUBSCRIPTION_TIER: (tier) =>
     `Subscription discounts require the Advanced plan. Your current plan is ${tier}.`,
   VARIANT_TIER: (tier) =>
     `Variant-specific discounts require the Advanced plan. Your current plan is ${tier}.`,
   FIXED_AMOUNT_TIER: (tier) =>
     `Fixed-amount discounts require the Basic plan or higher. Your current plan is ${tier}.`,
+  LIVE_LIMIT: describeLiveLimit,
+  USAGE_EXHAUSTED: describeUsageExhausted,
 };
 
 export async function updateLiveDiscountData(discountId, discountData, shop, db, opts = {}) {
@@ -75,32 +87,10 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
       status = "NOT_SUPPORTED";
     }
 
-    // Check 2: Buy X Get Y
-    const discountTypeName = discountData.__typename || "";
-    const isBxgyDiscount = discountTypeName.includes("Bxgy");
-    if (!exclusionReason && isBxgyDiscount) {
-      exclusionReason = EXCLUSION_REASONS.BXGY_DISCOUNT;
-      exclusionDetails = EXCLUSION_DETAILS.BXGY_DISCOUNT;
-      status = "NOT_SUPPORTED";
-    }
-
-    // Check 3: Customer segment
-    const selection = discountData.context;
-    const appliesToAllCustomers = isAllCustomersSelection(selection);
-    if (!exclusionReason && !appliesToAllCustomers) {
-      exclusionReason = EXCLUSION_REASONS.CUSTOMER_SEGMENT;
-      exclusionDetails = EXCLUSION_DETAILS.CUSTOMER_SEGMENT;
-      status = "NOT_SUPPORTED";
-    }
-
-    // Check 4: Minimum requirement
-    if (!exclusionReason && discountData.minimumRequirement) {
-      exclusionReason = EXCLUSION_REASONS.MIN_REQUIREMENT;
-      exclusionDetails = EXCLUSION_DETAILS.MIN_REQUIREMENT;
-      status = "NOT_SUPPORTED";
-    }
+    // Customer-segment discounts go live; /api/discounts only returns them
+    // to signed-in customers who belong to one of the segments.
 
-    // Check 5: Tier-based exclusions
+    // Check 2: Tier-based exclusions
     if (!exclusionReason) {
       try {
         const tierInfo = await evaluateTierGating(discountData, shop, db);
@@ -117,8 +107,10 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
           status = "UPGRADE_REQUIRED";
         }
 
+        // BXGY nests the amount inside a DiscountOnQuantity effect
         const discountValue = discountData.customerGets?.value;
-        const isFixedAmount = discountValue?.amount !== undefined;
+        const isFixedAmount = discountValue?.amount !== undefined ||
+          discountValue?.effect?.amount !== undefined;
         if (!exclusionReason && isFixedAmount && !tierInfo.isBasicOrHigher) {
           exclusionReason = EXCLUSION_REASONS.FIXED_AMOUNT_TIER;
           exclusionDetails = EXCLUSION_DETAILS.FIXED_AMOUNT_TIER(tierInfo.tier);
@@ -136,6 +128,20 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
       }
     }
 
+    const existingLiveDiscount = await db.liveDiscount.findUnique({
+      where: { gid: discountId },
+    });
+    // Like syncDiscountUsage, a discount the merchant hid keeps its status
+    const merchantHidden = existingLiveDiscount?.status === "HIDDEN" &&
+      existingLiveDiscount.exclusionReason !== EXCLUSION_REASONS.LIVE_LIMIT;
+
+    // Check 3: Every use of a capped code discount has been redeemed
+    if (!exclusionReason && !merchantHidden && isUsageExhausted(discountData)) {
+      exclusionReason = EXCLUSION_REASONS.USAGE_EXHAUSTED;
+      exclusionDetails = EXCLUSION_DETAILS.USAGE_EXHAUSTED(discountData.usageLimit);
+      status = "USAGE_EXHAUSTED";
+    }
+
     // Determine proper status if no exclusion
     if (!exclusionReason) {
       if (!hasStarted) {
@@ -146,14 +152,18 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
         status = "HIDDEN";
       }
 
-      const existingLiveDiscount = await db.liveDiscount.findUnique({
-        where: { gid: discountId },
-      });
+      // A raised usage limit puts the discount back in the running for a live slot
+      const leavingUsageCap = existingLiveDiscount?.status === "USAGE_EXHAUSTED" && status === "LIVE";
 
-      if (opts.preserveExistingStatus && existingLiveDiscount) {
+      if (opts.preserveExistingStatus && existingLiveDiscount && !leavingUsageCap) {
         const preservableStatuses = ["LIVE", "HIDDEN", "SCHEDULED"];
         if (preservableStatuses.includes(existingLiveDiscount.status)) {
           status = existingLiveDiscount.status;
+          // Stay in the running for a live slot if the ranking hid it
+          if (existingLiveDiscount.exclusionReason === EXCLUSION_REASONS.LIVE_LIMIT) {
+            exclusionReason = existingLiveDiscount.exclusionReason;
+            exclusionDetails = existingLiveDiscount.exclusionDetails;
+          }
         }
       } else if (opts.preserveExistingStatus && !existingLiveDiscount) {
         status = "HIDDEN";
@@ -163,7 +173,10 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
       ) {
         const tierCheck = await canHaveMoreLiveDiscounts(shop, db);
         if (!tierCheck.canCreate) {
+          // Hidden for now; the ranking below decides whether it takes a slot
           status = "HIDDEN";
+          exclusionReason = EXCLUSION_REASONS.LIVE_LIMIT;
+          exclusionDetails = EXCLUSION_DETAILS.LIVE_LIMIT(tierCheck.limit);
         }
       }
     }
@@ -200,6 +213,22 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
       },
     });
 
+    // A used-up discount frees its slot for the next-ranked one
+    if (exclusionReason === EXCLUSION_REASONS.LIVE_LIMIT || status === "USAGE_EXHAUSTED") {
+      await applyLiveDiscountRanking(shop, db);
+    }
+
+    // Redemptions don't trigger webhooks, so capped codes are re-read periodically
+    if (discountData.usageLimit != null && !["NOT_SUPPORTED", "UPGRADE_REQUIRED"].includes(status)) {
+      await requestDiscountUsageSync(shop, shopId, db).catch((error) => {
+        logger.warn("Failed to queue discount usage sync", { err: error, shop });
+      });
+    }
+
+    // The scheduler flips SCHEDULED -> LIVE at startsAt and expires at endsAt
+    await syncDiscountTransitionJobs(discountId, { status, startsAt, endsAt }, shop, shopId, db);
+
+    await invalidateDisplaySnapshot(shop);
     await checkAndCleanupExpiredDiscounts(shop, db);
     return true;
   } catch (error) {
@@ -214,4 +243,7 @@ export async function updateLiveDiscountData(discountId, discountData, shop, db,
 async function removeDiscountEverywhere(discountId, shop, db) {
   await db.liveDiscount.deleteMany({ where: { gid: discountId, shop } });
   await db.discount.deleteMany({ where: { gid: discountId, shop } });
+  await cancelDiscountTransitionJobs(discountId, db);
+  await applyLiveDiscountRanking(shop, db);
+  await invalidateDisplaySnapshot(shop);
 }
@@ -1,7 +1,8 @@
 import { createLogger } from "../logger.server.js";
 import { graphqlQuery } from "./graphql-client.server.js";
-import { GET_ALL_DISCOUNTS_QUERY, GET_DISCOUNT_NODE_QUERY } from "./graphql-queries.server.js";
+import { GET_ALL_DISCOUNTS_QUERY } from "./graphql-queries.server.js";
 import { resolveDiscountTargets } from "./resolve-targets.server.js";
+import { fetchAllDiscountCodes } from "./fetchers.server.js";
 import { storeDiscountData } from "./discount-storage.server.js";
 import { updateLiveDiscountData } from "./live-discount-updater.server.js";
 import { ensureLiveDiscountsForShop } from "./backfill.server.js";
@@ -53,6 +54,11 @@ export async function reprocessAllDiscountsForShop(admin, shop, db) {
           const resolved = await resolveDiscountTargets(admin, node.discount, shop, db);
           const resolvedTargets = resolved || { productIds: [], variantIds: [] };
 
+          // Discounts with more than one page of codes need the rest fetched
+          if (node.discount.codes?.pageInfo?.hasNextPage) {
+            resolvedTargets.codes = await fetchAllDiscountCodes(admin, node.id, node.discount.codes);
+          }
+
           const stored = await storeDiscountData(
             node.id,
             node.discount,
@@ -116,179 +122,3 @@ export async function reprocessAllDiscountsForShop(admin, shop, db) {
     return { total: 0, processed: 0, updated: 0 };
   }
 }
-
-/**
- * Incremental reprocessing: only discounts targeting a specific collection.
- * Uses DiscountTarget junction table for efficient lookup.
- */
-export async function reprocessDiscountsForCollection(admin, collectionGid, shop, db) {
-  try {
-    // Find discounts that target this collection via junction table
-    const affectedTargets = await db.discountTarget.findMany({
-      where: {
-        targetType: "COLLECTION",
-        targetGid: collectionGid,
-        discount: { shop },
-      },
-      include: { discount: true },
-    });
-
-    if (affectedTargets.length === 0) {
-      logger.debug("No discounts target this collection", { shop, collectionGid });
-      return { processed: 0 };
-    }
-
-    let processed = 0;
-    let errors = 0;
-
-    for (const target of affectedTargets) {
-      const discount = target.discount;
-      try {
-        // Fetch latest discount data from Shopify
-        const result = await graphqlQuery(admin, GET_DISCOUNT_NODE_QUERY, { id: discount.gid });
-        const discountNode = result.data?.discountNode;
-
-        if (!discountNode?.discount) {
-          logger.warn(
-            { discountGid: discount.gid },
-            "Discount not found in Shopify during collection reprocess",
-          );
-          continue;
-        }
-
-        const resolved = await resolveDiscountTargets(
-          admin,
-          discountNode.discount,
-          shop,
-          db,
-          { forceRefresh: true },
-        );
-        const resolvedTargets = resolved || { productIds: [], variantIds: [] };
-
-        await storeDiscountData(
-          discount.gid,
-          discountNode.discount,
-          resolvedTargets,
-          shop,
-          db,
-        );
-
-        await updateLiveDiscountData(
-          discount.gid,
-          discountNode.discount,
-          shop,
-          db,
-          { preserveExistingStatus: true },
-        );
-
-        processed++;
-      } catch (err) {
-        errors++;
-        logger.error(
-          "Error reprocessing discount for collection change",
-          { err, discountGid: discount.gid, collectionGid }
-        );
-      }
-    }
-
-    logger.info(
-      "Collection reprocess completed",
-      { shop, collectionGid, processed, errors, total: affectedTargets.length }
-    );
-
-    return { processed, errors };
-  } catch (error) {
-    logger.error(
-      "Error in reprocessDiscountsForCollection",
-      { err: error, shop, collectionGid }
-    );
-    return { processed: 0, errors: 1 };
-  }
-}
-
-/**
- * Incremental reprocessing: only discounts targeting a specific product.
- * Uses DiscountProduct junction table for efficient lookup.
- */
-export async function reprocessDiscountsForProduct(admin, productGid, shop, db) {
-  try {
-    // Find discounts that include this product via junction table
-    const affectedProducts = await db.discountProduct.findMany({
-      where: {
-        productGid,
-        discount: { shop },
-      },
-      include: { discount: true },
-    });
-
-    if (affectedProducts.length === 0) {
-      logger.debug("No discounts include this product", { shop, productGid });
-      return { processed: 0 };
-    }
-
-    let processed = 0;
-    let errors = 0;
-
-    for (const dp of affectedProducts) {
-      const discount = dp.discount;
-      try {
-        const result = await graphqlQuery(admin, GET_DISCOUNT_NODE_QUERY, { id: discount.gid });
-        const discountNode = result.data?.discountNode;
-
-        if (!discountNode?.discount) {
-          logger.warn(
-            { discountGid: discount.gid },
-            "Discount not found in Shopify during product reprocess",
-          );
-          continue;
-        }
-
-        const resolved = await resolveDiscountTargets(
-          admin,
-          discountNode.discount,
-          shop,
-          db,
-          { forceRefresh: true },
-        );
-        const resolvedTargets = resolved || { productIds: [], variantIds: [] };
-
-        await storeDiscountData(
-          discount.gid,
-          discountNode.discount,
-          resolvedTargets,
-          shop,
-          db,
-        );
-
-        await updateLiveDiscountData(
-          discount.gid,
-          discountNode.discount,
-          shop,
-          db,
-          { preserveExistingStatus: true },
-        );
-
-        processed++;
-      } catch (err) {
-        errors++;
-        logger.error(
-          "Error reprocessing discount for product change",
-          { err, discountGid: discount.gid, productGid }
-        );
-      }
-    }
-
-    logger.info(
-      "Product reprocess completed",
-      { shop, productGid, processed, errors, total: affectedProducts.length }
-    );
-
-    return { processed, errors };
-  } catch (error) {
-    logger.error(
-      "Error in reprocessDiscountsForProduct",
-      { err: error, shop, productGid }
-    );
-    return { processed: 0, errors: 1 };
-  }
-}
@@ -4,19 +4,22 @@ import {
   fetchVariantProductAndAllVariants,
 } from "./fetchers.server.js";
 import { storeProductData } from "./store-data.server.js";
-import { ensureArray, isProductDiscount, parseGid } from "./utils.server.js";
+import { ensureArray, isBxgyDiscount, isProductDiscount, parseGid } from "./utils.server.js";
 
 const logger = createLogger("ResolveTargets");
 
 /**
  * Resolve a discount's targeting rules into concrete product/variant GID lists.
+ * For Buy X Get Y discounts the "buys" and "gets" sides are also returned
+ * separately; productIds/variantIds cover both sides so the discount is found
+ * on qualifying and reward products alike.
  *
  * @param {object} admin - Shopify admin GraphQL client
  * @param {object} discountData - The discount data from Shopify (discount.discount)
  * @param {string} shop - Shop domain
  * @param {object} db - Prisma client
  * @param {object} options - { forceRefresh: boolean }
- * @returns {Promise<{productIds: string[], variantIds: string[]}|null>}
+ * @returns {Promise<{productIds: string[], variantIds: string[], bxgy?: object}|null>}
  */
 export async function resolveDiscountTargets(admin, discountData, shop, db, options = {}) {
   if (!isProductDiscount(discountData)) {
@@ -27,8 +30,33 @@ export async function resolveDiscountTargets(admin, discountData, shop, db, opti
     return null;
   }
 
-  const itemsArray = ensureArray(discountData.customerGets.items);
   const forceRefresh = !!options.forceRefresh;
+  const gets = await resolveItemTargets(admin, discountData.customerGets.items, shop, db, forceRefresh);
+
+  if (!isBxgyDiscount(discountData)) {
+    return {
+      productIds: Array.from(gets.productIds),
+      variantIds: Array.from(gets.variantIds),
+    };
+  }
+
+  const buys = await resolveItemTargets(admin, discountData.customerBuys?.items, shop, db, forceRefresh);
+
+  return {
+    productIds: Array.from(new Set([...buys.productIds, ...gets.productIds])),
+    variantIds: Array.from(new Set([...buys.variantIds, ...gets.variantIds])),
+    bxgy: {
+      buys: { productIds: Array.from(buys.productIds), variantIds: Array.from(buys.variantIds) },
+      gets: { productIds: Array.from(gets.productIds), variantIds: Array.from(gets.variantIds) },
+    },
+  };
+}
+
+/**
+ * Resolve one side's items (collections, products, variants) into product/variant GID sets.
+ */
+async function resolveItemTargets(admin, items, shop, db, forceRefresh) {
+  const itemsArray = ensureArray(items);
   const resolvedProductIds = new Set();
   const resolvedVariantIds = new Set();
 
@@ -106,8 +134,5 @@ export async function resolveDiscountTargets(admin, discountData, shop, db, opti
     }
   }
 
-  return {
-    productIds: Array.from(resolvedProductIds),
-    variantIds: Array.from(resolvedVariantIds),
-  };
+  return { productIds: resolvedProductIds, variantIds: resolvedVariantIds };
 }
@@ -1,11 +1,18 @@
 import { createLogger } from "../logger.server.js";
 import { graphqlQuery } from "./graphql-client.server.js";
+import { moneyToCents } from "./utils.server.js";
 
 const logger = createLogger("StoreData");
 
+// Paginated collection fetches stop here; larger collections come from the bulk catalog import
+const MAX_COLLECTION_PRODUCTS = 10000;
+
 /**
- * Fetch and store collection data (title + product GIDs).
+ * Fetch and store collection data (title, handle + product GIDs).
  * Uses cursor-based pagination to get ALL products in the collection.
+ * A collection above MAX_COLLECTION_PRODUCTS is not written, so a partial list
+ * never replaces the membership a bulk import stored.
+ * @returns {Promise<{ truncated: boolean }|undefined>} truncated when the collection was too large to store
  */
 export async function storeCollectionData(admin, collectionGid, shop, db, options = {}) {
   try {
@@ -27,6 +34,7 @@ export async function storeCollectionData(admin, collectionGid, shop, db, option
 
     let allProductIds = [];
     let collectionTitle = "";
+    let collectionHandle = null;
     let hasNextPage = true;
     let after = null;
 
@@ -36,6 +44,7 @@ export async function storeCollectionData(admin, collectionGid, shop, db, option
           collection(id: $id) {
             id
             title
+            handle
             products(first: 250, after: $after) {
               pageInfo { hasNextPage endCursor }
               edges {
@@ -60,11 +69,14 @@ export async function storeCollectionData(admin, collectionGid, shop, db, option
 
       if (!collectionTitle) {
         collectionTitle = collection.title;
+        collectionHandle = collection.handle || null;
       }
 
-      if (allProductIds.length >= 10000) {
-        logger.warn("Hit safety limit storing collection products", { shop, collectionGid, count: allProductIds.length });
-        break;
+      if (hasNextPage && allProductIds.length >= MAX_COLLECTION_PRODUCTS) {
+        logger.warn("Collection too large for a paginated fetch, keeping stored membership", {
+          shop, collectionGid, count: allProductIds.length,
+        });
+        return { truncated: true };
       }
     }
 
@@ -72,6 +84,7 @@ export async function storeCollectionData(admin, collectionGid, shop, db, option
       where: { gid: collectionGid },
       update: {
         title: collectionTitle,
+        handle: collectionHandle,
         shop,
         shopId: shopRecord.id,
         productIds: JSON.stringify(allProductIds),
@@ -80,18 +93,53 @@ export async function storeCollectionData(admin, collectionGid, shop, db, option
       create: {
         gid: collectionGid,
         title: collectionTitle,
+        handle: collectionHandle,
         shop,
         shopId: shopRecord.id,
         productIds: JSON.stringify(allProductIds),
       },
     });
+    return { truncated: false };
   } catch (error) {
     logger.error("Error storing collection data", { err: error, collectionGid, shop });
   }
 }
 
 /**
- * Fetch and store product data (title, handle, variants, singlePrice).
+ * Build ProductVariant upserts for a product's variant prices.
+ * Variants without a usable price are skipped (the storefront falls back to the DOM).
+ * @param {Object} db - Prisma client instance
+ * @param {string} productGid - Parent product GID
+ * @param {Array<{id: string, price: string, compareAtPrice: string|null}>} variants - Variant nodes
+ * @param {Object} context - { shop, shopId, currencyCode, now }
+ * @returns {Array} Prisma upsert operations, for use inside $transaction
+ */
+export function buildVariantPriceUpserts(db, productGid, variants, { shop, shopId, currencyCode, now = new Date() }) {
+  const operations = [];
+  for (const variant of variants) {
+    const priceCents = moneyToCents(variant.price);
+    if (!variant.id || priceCents === null) continue;
+
+    const fields = {
+      productGid,
+      shop,
+      shopId,
+      priceCents,
+      compareAtPriceCents: moneyToCents(variant.compareAtPrice),
+      currencyCode: currencyCode || "",
+    };
+    operations.push(db.productVariant.upsert({
+      where: { gid: variant.id },
+      update: { ...fields, updatedAt: now },
+      create: { gid: variant.id, ...fields },
+    }));
+  }
+  return operations;
+}
+
+/**
+ * Fetch and store product data (title, handle, variants, singlePrice)
+ * along with per-variant prices.
  * Uses cursor-based pagination to get ALL variants.
  */
 export async function storeProductData(admin, productGid, shop, db, options = {}) {
@@ -113,6 +161,8 @@ export async function storeProductData(admin, productGid, shop, db, options = {}
     }
 
     let allVariantIds = [];
+    let allVariants = [];
+    let currencyCode = null;
     let productTitle = "";
     let productHandle = "";
     let hasNextPage = true;
@@ -128,13 +178,13 @@ export async function storeProductData(admin, productGid, shop, db, options = {}
             title
             handle
             priceRangeV2 {
-              minVariantPrice { amount }
+              minVariantPrice { amount currencyCode }
               maxVariantPrice { amount }
             }
             variants(first: 250, after: $after) {
               pageInfo { hasNextPage endCursor }
               edges {
-                node { id }
+                node { id price compareAtPrice }
               }
             }
           }
@@ -150,12 +200,14 @@ export async function storeProductData(admin, productGid, shop, db, options = {}
       const product = data.product;
       const edges = product.variants.edges;
       allVariantIds.push(...edges.map((edge) => edge.node.id));
+      allVariants.push(...edges.map((edge) => edge.node));
       hasNextPage = product.variants.pageInfo.hasNextPage;
       after = hasNextPage ? product.variants.pageInfo.endCursor : null;
 
       if (!productTitle) {
         productTitle = product.title || "";
         productHandle = product.handle || "";
+        currencyCode = product.priceRangeV2?.minVariantPrice?.currencyCode || null;
         try {
           const pr = product.priceRangeV2;
           if (pr?.minVariantPrice && pr?.maxVariantPrice) {
@@ -202,6 +254,18 @@ export async function storeProductData(admin, productGid, shop, db, options = {}
         singlePrice,
       },
     });
+
+    // Replace the product's variant prices; variants removed in Shopify are dropped
+    await db.$transaction([
+      ...buildVariantPriceUpserts(db, productGid, allVariants, {
+        shop,
+        shopId: shopRecord.id,
+        currencyCode,
+      }),
+      db.productVariant.deleteMany({
+        where: { productGid, gid: { notIn: allVariantIds } },
+      }),
+    ]);
   } catch (error) {
     logger.error("Error storing product data", { err: error, productGid, shop });
   }
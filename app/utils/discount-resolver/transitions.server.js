@@ -0,0 +1,220 @@
+import { createLogger } from "../logger.server.js";
+import {
+  JOB_STATUS,
+  cancelJobs,
+  isSchedulerRunning,
+  registerJobHandler,
+  scheduleJob,
+  startScheduler,
+} from "../scheduler.server.js";
+import {
+  applyLiveDiscountRanking,
+  canHaveMoreLiveDiscounts,
+} from "../tier-manager.server.js";
+import {
+  LIVE_LIMIT_REASON,
+  describeLiveLimit,
+} from "../tier-manager/live-discount-helpers.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
+import { checkAndCleanupExpiredDiscounts } from "./cleanup.server.js";
+
+const logger = createLogger("DiscountTransitions");
+
+export const DISCOUNT_JOB_TYPES = {
+  START: "DISCOUNT_START",
+  END: "DISCOUNT_END",
+};
+
+/**
+ * Keep the start/end jobs of a discount in line with its LiveDiscount row.
+ * SCHEDULED rows get a START job at startsAt; any row with endsAt gets an END job.
+ * Jobs that no longer apply are cancelled while still pending.
+ * @param {string} discountId - Discount GID
+ * @param {Object} liveDiscount - { status, startsAt, endsAt } as written to LiveDiscount
+ * @param {string} shop - Shop domain
+ * @param {string} shopId - Shop ID (FK)
+ * @param {Object} db - Prisma client instance
+ */
+export async function syncDiscountTransitionJobs(discountId, liveDiscount, shop, shopId, db) {
+  try {
+    const { status, startsAt, endsAt } = liveDiscount;
+
+    if (status === "SCHEDULED" && startsAt) {
+      await scheduleJob(db, {
+        shop, shopId, type: DISCOUNT_JOB_TYPES.START, jobKey: discountId, runAt: new Date(startsAt),
+      });
+    } else {
+      await cancelJobs(db, {
+        type: DISCOUNT_JOB_TYPES.START, jobKey: discountId, status: JOB_STATUS.PENDING,
+      });
+    }
+
+    if (endsAt) {
+      await scheduleJob(db, {
+        shop, shopId, type: DISCOUNT_JOB_TYPES.END, jobKey: discountId, runAt: new Date(endsAt),
+      });
+    } else {
+      await cancelJobs(db, {
+        type: DISCOUNT_JOB_TYPES.END, jobKey: discountId, status: JOB_STATUS.PENDING,
+      });
+    }
+  } catch (error) {
+    // Request-time cleanup still covers end dates if scheduling fails
+    logger.error("Failed to sync discount transition jobs", { err: error, shop, discountId });
+  }
+}
+
+/**
+ * Drop pending start/end jobs for a discount that was deleted or expired
+ * @param {string} discountId - Discount GID
+ * @param {Object} db - Prisma client instance
+ */
+export async function cancelDiscountTransitionJobs(discountId, db) {
+  try {
+    await cancelJobs(db, {
+      type: { in: Object.values(DISCOUNT_JOB_TYPES) },
+      jobKey: discountId,
+      status: JOB_STATUS.PENDING,
+    });
+  } catch (error) {
+    logger.error("Failed to cancel discount transition jobs", { err: error, discountId });
+  }
+}
+
+/**
+ * START job: flip a SCHEDULED discount to LIVE at startsAt. When the tier's
+ * live limit is reached, the merchant ranking decides which discounts stay live.
+ * @returns {Promise<string>} Transition summary stored on the job
+ */
+export async function runDiscountStartJob(job, db) {
+  const discountId = job.jobKey;
+  const liveDiscount = await db.liveDiscount.findUnique({ where: { gid: discountId } });
+
+  if (!liveDiscount) {
+    return "skipped: discount removed";
+  }
+
+  // The merchant may have activated or hidden it early, or a tier change excluded it
+  if (liveDiscount.status !== "SCHEDULED") {
+    return `skipped: status is ${liveDiscount.status}`;
+  }
+
+  const now = new Date();
+  if (liveDiscount.startsAt && new Date(liveDiscount.startsAt) > now) {
+    // Re-arming resets this row to PENDING, so the runner won't mark it completed
+    await syncDiscountTransitionJobs(discountId, liveDiscount, job.shop, job.shopId, db);
+    return "rescheduled: start date moved";
+  }
+
+  const tierCheck = await canHaveMoreLiveDiscounts(job.shop, db);
+  let nextStatus = tierCheck.canCreate ? "LIVE" : "HIDDEN";
+
+  await db.liveDiscount.update({
+    where: { gid: discountId },
+    data: tierCheck.canCreate
+      ? { status: nextStatus }
+      : {
+          status: nextStatus,
+          exclusionReason: LIVE_LIMIT_REASON,
+          exclusionDetails: describeLiveLimit(tierCheck.limit),
+        },
+  });
+
+  if (!tierCheck.canCreate) {
+    // A higher-ranked discount starting takes the slot of a lower-ranked one
+    const ranking = await applyLiveDiscountRanking(job.shop, db);
+    if (ranking.promoted?.includes(discountId)) {
+      nextStatus = "LIVE";
+    }
+  }
+
+  // Mirror Shopify, which reports the discount as ACTIVE once it starts
+  await db.discount.updateMany({
+    where: { gid: discountId, shop: job.shop, status: "SCHEDULED" },
+    data: { status: "ACTIVE" },
+  });
+
+  await invalidateDisplaySnapshot(job.shop);
+
+  logger.info("Discount transition", {
+    shop: job.shop, discountId, from: "SCHEDULED", to: nextStatus, reason: tierCheck.reason,
+  });
+
+  return `SCHEDULED -> ${nextStatus}`;
+}
+
+/**
+ * END job: remove the discount once endsAt has passed. A live discount's slot
+ * goes to the next-ranked limit-hidden discount.
+ * @returns {Promise<string>} Transition summary stored on the job
+ */
+export async function runDiscountEndJob(job, db) {
+  const discountId = job.jobKey;
+  const liveDiscount = await db.liveDiscount.findUnique({ where: { gid: discountId } });
+
+  if (!liveDiscount) {
+    return "skipped: discount removed";
+  }
+
+  if (!liveDiscount.endsAt || new Date(liveDiscount.endsAt) > new Date()) {
+    return "skipped: end date moved";
+  }
+
+  // Cleanup re-applies the ranking once live rows are gone
+  const { promoted = [] } = await checkAndCleanupExpiredDiscounts(job.shop, db);
+
+  logger.info("Discount transition", {
+    shop: job.shop, discountId, from: liveDiscount.status, to: "EXPIRED", promoted: promoted.length,
+  });
+
+  return promoted.length > 0
+    ? `${liveDiscount.status} -> EXPIRED (promoted ${promoted.length})`
+    : `${liveDiscount.status} -> EXPIRED`;
+}
+
+/**
+ * Create jobs for LiveDiscount rows written before the scheduler existed, and for
+ * boundaries that passed while the app was down (those run immediately).
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<number>} Number of discounts synced
+ */
+export async function reconcileDiscountTransitionJobs(db) {
+  try {
+    const rows = await db.liveDiscount.findMany({
+      where: {
+        OR: [{ status: "SCHEDULED" }, { endsAt: { not: null } }],
+      },
+      select: { gid: true, shop: true, shopId: true, status: true, startsAt: true, endsAt: true },
+    });
+
+    for (const row of rows) {
+      await syncDiscountTransitionJobs(row.gid, row, row.shop, row.shopId, db);
+    }
+
+    if (rows.length > 0) {
+      logger.info("Reconciled discount transition jobs", { discounts: rows.length });
+    }
+    return rows.length;
+  } catch (error) {
+    logger.error("Failed to reconcile discount transition jobs", { err: error });
+    return 0;
+  }
+}
+
+/**
+ * Register discount transition handlers and start the job runner (once per process)
+ * @param {Object} db - Prisma client instance
+ */
+export async function startDiscountScheduler(db) {
+  registerJobHandler(DISCOUNT_JOB_TYPES.START, runDiscountStartJob);
+  registerJobHandler(DISCOUNT_JOB_TYPES.END, runDiscountEndJob);
+
+  if (isSchedulerRunning()) {
+    return;
+  }
+
+  const started = await startScheduler(db);
+  if (started) {
+    await reconcileDiscountTransitionJobs(db);
+  }
+}
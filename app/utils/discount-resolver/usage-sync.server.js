@@ -0,0 +1,190 @@
+import { createLogger } from "../logger.server.js";
+import { JOB_STATUS, registerJobHandler, scheduleJob } from "../scheduler.server.js";
+import { applyLiveDiscountRanking } from "../tier-manager.server.js";
+import { LIVE_LIMIT_REASON } from "../tier-manager/live-discount-helpers.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
+import { graphqlQuery } from "./graphql-client.server.js";
+import { GET_DISCOUNT_USAGE_QUERY } from "./graphql-queries.server.js";
+
+const logger = createLogger("DiscountUsageSync");
+
+export const DISCOUNT_USAGE_JOB_TYPE = "DISCOUNT_USAGE_SYNC";
+
+export const USAGE_EXHAUSTED_REASON = "USAGE_EXHAUSTED";
+
+// Shopify has no webhook for redemptions, so capped codes are re-read on this interval
+const USAGE_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+// Maximum IDs accepted by the nodes query
+const USAGE_BATCH_SIZE = 250;
+
+export const describeUsageExhausted = (usageLimit) =>
+  `All ${usageLimit} uses of this discount have been redeemed. Raise its usage limit in Shopify to show it again.`;
+
+/**
+ * Whether a code discount has used up its total usage limit
+ * @param {Object} discount - { usageLimit, asyncUsageCount } (Shopify data or Discount row)
+ * @returns {boolean}
+ */
+export function isUsageExhausted(discount) {
+  const limit = discount?.usageLimit;
+  if (limit === null || limit === undefined) {
+    return false;
+  }
+  return (discount.asyncUsageCount || 0) >= limit;
+}
+
+/**
+ * Queue a usage sync for the shop unless one is already queued
+ * @param {string} shop - Shop domain
+ * @param {string} shopId - Shop ID (FK)
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<boolean>} true when a job was scheduled
+ */
+export async function requestDiscountUsageSync(shop, shopId, db) {
+  const existing = await db.scheduledJob.findUnique({
+    where: { type_jobKey: { type: DISCOUNT_USAGE_JOB_TYPE, jobKey: shop } },
+  });
+  if (existing && [JOB_STATUS.PENDING, JOB_STATUS.RUNNING].includes(existing.status)) {
+    return false;
+  }
+
+  await scheduleJob(db, {
+    shop,
+    shopId,
+    type: DISCOUNT_USAGE_JOB_TYPE,
+    jobKey: shop,
+    runAt: new Date(Date.now() + USAGE_SYNC_INTERVAL_MS),
+  });
+  return true;
+}
+
+/**
+ * Re-read usage counts of the shop's capped code discounts and move them in and
+ * out of USAGE_EXHAUSTED. Freed or taken live slots are settled by the ranking.
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{ tracked: number, exhausted: number, restored: number }>}
+ */
+export async function syncDiscountUsage(admin, shop, db) {
+  const capped = await db.discount.findMany({
+    where: { shop, discountType: "CODE", usageLimit: { not: null } },
+    select: { gid: true, usageLimit: true, asyncUsageCount: true },
+  });
+  if (capped.length === 0) {
+    return { tracked: 0, exhausted: 0, restored: 0 };
+  }
+
+  const usageByGid = new Map();
+  for (let i = 0; i < capped.length; i += USAGE_BATCH_SIZE) {
+    const ids = capped.slice(i, i + USAGE_BATCH_SIZE).map((d) => d.gid);
+    const { data } = await graphqlQuery(admin, GET_DISCOUNT_USAGE_QUERY, { ids });
+    for (const node of data?.nodes || []) {
+      if (node?.id && node.codeDiscount) {
+        usageByGid.set(node.id, node.codeDiscount);
+      }
+    }
+  }
+
+  const updates = [];
+  const exhaustedByGid = new Map();
+  const available = [];
+  for (const discount of capped) {
+    const usage = usageByGid.get(discount.gid);
+    if (!usage) continue;
+
+    const usageLimit = usage.usageLimit ?? null;
+    const asyncUsageCount = usage.asyncUsageCount || 0;
+    if (usageLimit !== discount.usageLimit || asyncUsageCount !== discount.asyncUsageCount) {
+      updates.push(db.discount.update({
+        where: { gid: discount.gid },
+        data: { usageLimit, asyncUsageCount },
+      }));
+    }
+
+    if (isUsageExhausted({ usageLimit, asyncUsageCount })) {
+      exhaustedByGid.set(discount.gid, usageLimit);
+    } else {
+      available.push(discount.gid);
+    }
+  }
+  if (updates.length > 0) {
+    await db.$transaction(updates);
+  }
+
+  // Only discounts that are showing or waiting for a slot are used up;
+  // merchant-hidden and unsupported ones keep their status
+  const toExhaust = exhaustedByGid.size > 0
+    ? await db.liveDiscount.findMany({
+        where: {
+          shop,
+          gid: { in: [...exhaustedByGid.keys()] },
+          OR: [
+            { status: { in: ["LIVE", "SCHEDULED"] } },
+            { status: "HIDDEN", exclusionReason: LIVE_LIMIT_REASON },
+          ],
+        },
+        select: { gid: true },
+      })
+    : [];
+  if (toExhaust.length > 0) {
+    await db.$transaction(toExhaust.map(({ gid }) => db.liveDiscount.update({
+      where: { gid },
+      data: {
+        status: USAGE_EXHAUSTED_REASON,
+        exclusionReason: USAGE_EXHAUSTED_REASON,
+        exclusionDetails: describeUsageExhausted(exhaustedByGid.get(gid)),
+      },
+    })));
+  }
+
+  // A raised limit makes the discount live again, subject to the plan limit
+  const restored = available.length > 0
+    ? await db.liveDiscount.updateMany({
+        where: { shop, gid: { in: available }, status: USAGE_EXHAUSTED_REASON },
+        data: { status: "LIVE", exclusionReason: null, exclusionDetails: null },
+      })
+    : { count: 0 };
+
+  if (toExhaust.length > 0 || restored?.count) {
+    await applyLiveDiscountRanking(shop, db);
+  }
+  // Remaining uses are shown on the storefront
+  if (updates.length > 0 || toExhaust.length > 0 || restored?.count) {
+    await invalidateDisplaySnapshot(shop);
+  }
+
+  logger.info("Discount usage synced", {
+    shop, tracked: capped.length, exhausted: toExhaust.length, restored: restored?.count || 0,
+  });
+  return { tracked: capped.length, exhausted: toExhaust.length, restored: restored?.count || 0 };
+}
+
+/**
+ * Scheduler handler for DISCOUNT_USAGE_SYNC jobs. Re-arms itself while the shop
+ * still has capped code discounts.
+ * @returns {Promise<string>} Summary stored on the job
+ */
+export async function runDiscountUsageSyncJob(job, db) {
+  const { unauthenticated } = await import("../../shopify.server");
+  const { admin } = await unauthenticated.admin(job.shop);
+  if (!admin) {
+    throw new Error("Admin client unavailable for discount usage sync");
+  }
+
+  const { tracked, exhausted, restored } = await syncDiscountUsage(admin, job.shop, db);
+  if (tracked > 0) {
+    await scheduleJob(db, {
+      shop: job.shop,
+      shopId: job.shopId,
+      type: DISCOUNT_USAGE_JOB_TYPE,
+      jobKey: job.shop,
+      runAt: new Date(Date.now() + USAGE_SYNC_INTERVAL_MS),
+    });
+  }
+  return `checked ${tracked} discounts, ${exhausted} used up, ${restored} restored`;
+}
+
+export function registerDiscountUsageJobHandler() {
+  registerJobHandler(DISCOUNT_USAGE_JOB_TYPE, runDiscountUsageSyncJob);
+}
@@ -32,6 +32,45 @@ export function isProductDiscount(discountData) {
   return typeof discountClass === "string" && discountClass.toUpperCase() === "PRODUCT";
 }
 
+export function isBxgyDiscount(discountData) {
+  const typeName = discountData?.__typename;
+  return typeof typeName === "string" && typeName.includes("Bxgy");
+}
+
+/**
+ * Extract the quantity/effect terms of a Buy X Get Y discount.
+ * customerBuys.value is DiscountQuantity or DiscountPurchaseAmount;
+ * customerGets.value is DiscountOnQuantity with a percentage or amount effect.
+ * Returns null for non-BXGY discounts.
+ */
+export function extractBxgyTerms(discountData) {
+  if (!isBxgyDiscount(discountData)) return null;
+
+  const buysValue = discountData.customerBuys?.value || {};
+  const getsValue = discountData.customerGets?.value || {};
+  const effect = getsValue.effect || getsValue;
+
+  const toNumber = (raw) => {
+    const num = parseFloat(raw);
+    return Number.isFinite(num) ? num : null;
+  };
+
+  const buysQuantity = toNumber(buysValue.quantity);
+  const buysAmount = toNumber(buysValue.amount);
+  const getsQuantity = toNumber(getsValue.quantity?.quantity);
+  const getsPercentage = toNumber(effect.percentage);
+  const getsAmount = toNumber(effect.amount?.amount);
+
+  return {
+    buysQuantity: buysQuantity !== null ? Math.round(buysQuantity) : null,
+    buysAmount,
+    getsQuantity: getsQuantity !== null ? Math.round(getsQuantity) : null,
+    getsPercentage,
+    getsAmount,
+    getsCurrencyCode: effect.amount?.currencyCode || null,
+  };
+}
+
 export function isAllCustomersSelection(selection) {
   const selectionType =
     selection && typeof selection.__typename === "string"
@@ -40,6 +79,27 @@ export function isAllCustomersSelection(selection) {
   return !selectionType || selectionType.includes("all");
 }
 
+/**
+ * Extract the customer groups a discount is limited to.
+ * Returns [{ type: "SEGMENT", gid, name } | { type: "CUSTOMER", gid }], empty for all-customer discounts.
+ */
+export function extractCustomerEligibility(selection) {
+  if (isAllCustomersSelection(selection)) return [];
+
+  const entries = [];
+  for (const segment of ensureArray(selection.segments)) {
+    if (segment?.id) {
+      entries.push({ type: "SEGMENT", gid: segment.id, name: segment.name || null });
+    }
+  }
+  for (const customer of ensureArray(selection.customers)) {
+    if (customer?.id) {
+      entries.push({ type: "CUSTOMER", gid: customer.id });
+    }
+  }
+  return entries;
+}
+
 export function safeJsonParse(value, fallback = []) {
   try {
     return JSON.parse(value || "[]");
@@ -60,3 +120,13 @@ export async function getShopIdByDomain(shop, db) {
   });
   return shopRecord?.id ?? null;
 }
+
+/**
+ * Convert a Shopify Money amount ("19.99") to minor units (1999).
+ * Returns null when the amount is missing or not numeric.
+ */
+export function moneyToCents(amount) {
+  if (amount === null || amount === undefined || amount === "") return null;
+  const value = parseFloat(amount);
+  return Number.isFinite(value) ? Math.round(value * 100) : null;
+}
@@ -0,0 +1,99 @@
+import { randomBytes } from "crypto";
+import { createLogger } from "./logger.server.js";
+import { getKvStore } from "./kv-store.server.js";
+
+const logger = createLogger("DisplaySnapshot");
+
+/**
+ * Per-shop storefront display snapshot, kept in the key/value store.
+ *
+ * The snapshot is built by storefront-discounts.server.js and only holds JSON
+ * values. Every write that changes what the storefront shows (discounts, live
+ * status, display config, tier, catalog) calls invalidateDisplaySnapshot, which
+ * moves the shop to a new revision. A snapshot built for an older revision is
+ * rebuilt on the next read, so a build racing an invalidation is never served.
+ */
+
+// Safety net for changes that don't go through an invalidation (e.g. a trial ending)
+const SNAPSHOT_MAX_AGE_MS = 15 * 60 * 1000;
+
+const snapshotKey = (shop) => `snapshot:${shop}`;
+const revisionKey = (shop) => `snapshot-rev:${shop}`;
+
+// Builds in flight per shop, so a burst of requests after an invalidation builds once
+const pendingBuilds = new Map();
+
+const newRevision = () => randomBytes(8).toString("hex");
+
+async function buildAndStore(shop, build) {
+  const store = await getKvStore();
+  let revision = await store.get(revisionKey(shop));
+  if (!revision) {
+    revision = newRevision();
+    await store.set(revisionKey(shop), revision);
+  }
+
+  const snapshot = { ...(await build()), revision };
+  const now = Date.now();
+  const validUntil = Math.min(snapshot.validUntil ?? Infinity, now + SNAPSHOT_MAX_AGE_MS);
+  snapshot.validUntil = validUntil;
+  await store.set(snapshotKey(shop), snapshot, Math.max(validUntil - now, 1));
+
+  logger.debug("Display snapshot built", {
+    shop, revision, discounts: snapshot.discounts?.length ?? 0, validUntil: new Date(validUntil),
+  });
+  return snapshot;
+}
+
+/**
+ * Returns the shop's current snapshot, building it with `build` when it is
+ * missing, expired or from an older revision. Store errors fall back to a
+ * fresh build so the storefront keeps working.
+ * @param {string} shop - Shop domain
+ * @param {() => Promise<Object>} build - Builds the snapshot; may set validUntil (ms)
+ * @returns {Promise<Object>} Snapshot with revision and validUntil
+ */
+export async function getDisplaySnapshot(shop, build) {
+  try {
+    const store = await getKvStore();
+    const [snapshot, revision] = await Promise.all([
+      store.get(snapshotKey(shop)),
+      store.get(revisionKey(shop)),
+    ]);
+    if (snapshot && revision && snapshot.revision === revision && snapshot.validUntil > Date.now()) {
+      return snapshot;
+    }
+
+    if (!pendingBuilds.has(shop)) {
+      pendingBuilds.set(shop, buildAndStore(shop, build).finally(() => pendingBuilds.delete(shop)));
+    }
+    return await pendingBuilds.get(shop);
+  } catch (error) {
+    logger.error("Display snapshot store failed, building without cache", { err: error, shop });
+    return build();
+  }
+}
+
+/**
+ * Moves the shop to a new revision so the next storefront request rebuilds its
+ * snapshot. Never throws; a failed invalidation is caught by SNAPSHOT_MAX_AGE_MS.
+ * @param {string} shop - Shop domain
+ */
+export async function invalidateDisplaySnapshot(shop) {
+  if (!shop) return;
+  try {
+    const store = await getKvStore();
+    await store.set(revisionKey(shop), newRevision());
+  } catch (error) {
+    logger.error("Failed to invalidate display snapshot", { err: error, shop });
+  }
+}
+
+/**
+ * Remove every stored snapshot and revision (for testing)
+ */
+export async function clearDisplaySnapshots() {
+  const store = await getKvStore();
+  await store.clear("snapshot:");
+  await store.clear("snapshot-rev:");
+}
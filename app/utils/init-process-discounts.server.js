@@ -1,22 +1,36 @@
 import { createLogger } from "./logger.server.js";
-import { reprocessAllDiscountsForShop } from "./discount-resolver/reprocess.server.js";
+import {
+  BULK_IMPORT_REASON,
+  importDiscountsForShop,
+} from "./discount-resolver/bulk-import.server.js";
 import { checkAndCleanupExpiredDiscounts } from "./discount-resolver/cleanup.server.js";
 
 const logger = createLogger("InitDiscounts");
 
+/**
+ * Initial discount import. Large catalogs go through a bulk catalog import,
+ * which finishes (and marks the install done) from the bulk_operations/finish webhook.
+ * @returns {Promise<Object|null>} Import result ({ mode, ... }), or null on error
+ */
 export async function initProcessDiscounts(shopDomain, db, admin) {
   logger.info("Starting initial discount import", { shop: shopDomain });
 
   try {
-    const result = await reprocessAllDiscountsForShop(admin, shopDomain, db);
+    const result = await importDiscountsForShop(admin, shopDomain, db, {
+      reason: BULK_IMPORT_REASON.INSTALL,
+    });
     logger.info("Initial discount import completed", {
       shop: shopDomain, ...result,
     });
 
-    await checkAndCleanupExpiredDiscounts(shopDomain, db);
+    if (result.mode === "paginated") {
+      await checkAndCleanupExpiredDiscounts(shopDomain, db);
+    }
+    return result;
   } catch (error) {
     logger.error("Error during initial discount import", {
       err: error, shop: shopDomain,
     });
+    return null;
   }
 }
@@ -3,12 +3,16 @@ import {
   generateStorefrontToken,
   clearTokenCache,
 } from "./storefront-auth.server.js";
+import { generateCustomerSigningSecret } from "./customer-identity.server.js";
 
 const logger = createLogger("InitMetafields");
 
+const REDACTED_METAFIELDS = new Set(["storefront_token", "customer_signing_secret"]);
+
 /**
- * Provisions shop-level Shopify metafields that the theme extension reads
- * via Liquid to configure itself (API base URL, log level, auth token).
+ * Provisions the Shopify metafields that the theme extension reads via Liquid
+ * to configure itself: shop metafields for the API base URL, log level and auth
+ * token, and an app-data metafield for the customer identity signing secret.
  *
  * Called during shop install (afterAuth hook) and via the refresh-metafields
  * dev route when the tunnel URL changes.
@@ -50,7 +54,7 @@ export async function initProcessMetafields(shopDomain, admin, db) {
           where: { domain: shopDomain },
           data: { storefrontToken },
         });
-        clearTokenCache(shopDomain);
+        await clearTokenCache(shopDomain);
       }
     }
 
@@ -67,12 +71,16 @@ export async function initProcessMetafields(shopDomain, admin, db) {
     });
   }
 
-  // Fetch the shop's GID (required as ownerId for metafieldsSet)
+  // Fetch the shop's GID (required as ownerId for metafieldsSet) and the app
+  // installation's GID (owner of app-data metafields)
   const shopResponse = await admin.graphql(`
     query {
       shop {
         id
       }
+      currentAppInstallation {
+        id
+      }
     }
   `);
   const shopData = await shopResponse.json();
@@ -86,6 +94,48 @@ export async function initProcessMetafields(shopDomain, admin, db) {
   }
 
   const shopGid = shopData.data.shop.id;
+  const appInstallationGid = shopData.data.currentAppInstallation?.id;
+
+  // The secret Liquid uses to sign logged-in customer identity is an app-data
+  // metafield: only this app's theme extension can read it (app.metafields),
+  // theme code and the Storefront API cannot.
+  try {
+    if (!appInstallationGid) {
+      throw new Error("Could not resolve app installation ID");
+    }
+
+    let customerSigningSecret;
+    if (db) {
+      const shopRecord = await db.shop.findUnique({
+        where: { domain: shopDomain },
+        select: { customerSigningSecret: true },
+      });
+      customerSigningSecret = shopRecord?.customerSigningSecret;
+    }
+
+    if (!customerSigningSecret) {
+      customerSigningSecret = generateCustomerSigningSecret();
+      if (db) {
+        await db.shop.updateMany({
+          where: { domain: shopDomain },
+          data: { customerSigningSecret },
+        });
+      }
+    }
+
+    metafieldsToSet.push({
+      namespace: "discount_app",
+      key: "customer_signing_secret",
+      type: "single_line_text_field",
+      value: customerSigningSecret,
+      ownerId: appInstallationGid,
+    });
+  } catch (secretError) {
+    logger.error("Error generating customer signing secret", {
+      err: secretError,
+      shop: shopDomain,
+    });
+  }
 
   // Write all metafields to Shopify
   const response = await admin.graphql(
@@ -101,7 +151,7 @@ export async function initProcessMetafields(shopDomain, admin, db) {
   `,
     {
       variables: {
-        metafields: metafieldsToSet.map((mf) => ({ ...mf, ownerId: shopGid })),
+        metafields: metafieldsToSet.map((mf) => ({ ownerId: shopGid, ...mf })),
       },
     },
   );
@@ -126,7 +176,7 @@ export async function initProcessMetafields(shopDomain, admin, db) {
     shop: shopDomain,
     metafields: metafieldsToSet.map(({ key, value }) => ({
       key,
-      value: key === "storefront_token" ? "[REDACTED]" : value,
+      value: REDACTED_METAFIELDS.has(key) ? "[REDACTED]" : value,
     })),
   });
 }
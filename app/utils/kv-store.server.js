@@ -0,0 +1,298 @@
+import { createLogger } from "./logger.server.js";
+
+const logger = createLogger("KvStore");
+
+/**
+ * Key/value store shared by the rate limiter, the storefront token cache and
+ * the storefront display snapshot.
+ *
+ * Every implementation exposes the same async interface:
+ * - get(key) → stored value or null when missing/expired
+ * - set(key, value, ttlMs?) → stores a JSON-serializable value
+ * - delete(key)
+ * - clear(prefix?) → removes every key starting with prefix (all keys when empty)
+ * - hit(key, { limit, windowMs, now? }) → { allowed, count, oldestAt }
+ *   Sliding-window counter: drops hits older than windowMs and records a new
+ *   one only while fewer than `limit` remain.
+ *
+ * KV_STORE selects the implementation: "memory" (default, per process),
+ * "sqlite" (KvEntry table, shared by every process on the same database) or
+ * "redis" (REDIS_URL, shared across hosts).
+ */
+
+const DEFAULT_MAX_KEYS = 10000;
+// Keys fetched per SCAN call when clearing a Redis prefix
+const REDIS_SCAN_COUNT = 500;
+// Expired SQLite rows are deleted at most this often
+const SQLITE_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+function parseValue(raw) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function windowResult(timestamps, allowed, now) {
+  return {
+    allowed,
+    count: timestamps.length,
+    oldestAt: timestamps.length > 0 ? timestamps[0] : now,
+  };
+}
+
+/**
+ * In-process store. Limits reset on restart and are not shared between instances.
+ * @param {{ maxKeys?: number }} [options]
+ */
+export function createMemoryStore({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+  // Map<key, { value, expiresAt: number|null }>
+  const entries = new Map();
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && now > entry.expiresAt;
+
+  function read(key, now) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry, now)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs, now = Date.now()) {
+    if (!entries.has(key) && entries.size >= maxKeys) {
+      for (const [existingKey, entry] of entries) {
+        if (isExpired(entry, now)) {
+          entries.delete(existingKey);
+        }
+      }
+      // Still full: evict the oldest insertion
+      if (entries.size >= maxKeys) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+        logger.debug("Evicted oldest key", { key: oldestKey });
+      }
+    }
+    entries.set(key, { value, expiresAt: ttlMs ? now + ttlMs : null });
+  }
+
+  return {
+    kind: "memory",
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear(prefix = "") {
+      if (!prefix) {
+        entries.clear();
+        return;
+      }
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      }
+    },
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      const timestamps = (read(key, now) || []).filter((ts) => ts > now - windowMs);
+      const allowed = timestamps.length < limit;
+      if (allowed) {
+        timestamps.push(now);
+      }
+      write(key, timestamps, windowMs, now);
+      return windowResult(timestamps, allowed, now);
+    },
+  };
+}
+
+/**
+ * Store backed by the KvEntry table. Shared by every process using the database.
+ * @param {Object} db - Prisma client instance
+ */
+export function createSqliteStore(db) {
+  let lastPrunedAt = 0;
+
+  const isExpired = (row, now = Date.now()) => row.expiresAt !== null && now > new Date(row.expiresAt).getTime();
+  const expiresAtFor = (ttlMs, now = Date.now()) => (ttlMs ? new Date(now + ttlMs) : null);
+
+  async function pruneExpired(now) {
+    if (now - lastPrunedAt < SQLITE_PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPrunedAt = now;
+    await db.kvEntry.deleteMany({ where: { expiresAt: { lt: new Date(now) } } });
+  }
+
+  return {
+    kind: "sqlite",
+    async get(key) {
+      const row = await db.kvEntry.findUnique({ where: { key } });
+      if (!row) {
+        return null;
+      }
+      if (isExpired(row)) {
+        await db.kvEntry.deleteMany({ where: { key } });
+        return null;
+      }
+      return parseValue(row.value);
+    },
+    async set(key, value, ttlMs) {
+      const data = { value: JSON.stringify(value), expiresAt: expiresAtFor(ttlMs) };
+      await db.kvEntry.upsert({ where: { key }, create: { key, ...data }, update: data });
+      await pruneExpired(Date.now());
+    },
+    async delete(key) {
+      await db.kvEntry.deleteMany({ where: { key } });
+    },
+    async clear(prefix = "") {
+      await db.kvEntry.deleteMany(prefix ? { where: { key: { startsWith: prefix } } } : {});
+    },
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      // Read and write in one transaction so concurrent requests can't both take the last slot
+      const result = await db.$transaction(async (tx) => {
+        const row = await tx.kvEntry.findUnique({ where: { key } });
+        const stored = row && !isExpired(row, now) ? parseValue(row.value) : null;
+        const timestamps = (Array.isArray(stored) ? stored : []).filter((ts) => ts > now - windowMs);
+        const allowed = timestamps.length < limit;
+        if (allowed) {
+          timestamps.push(now);
+        }
+        const data = { value: JSON.stringify(timestamps), expiresAt: expiresAtFor(windowMs, now) };
+        await tx.kvEntry.upsert({ where: { key }, create: { key, ...data }, update: data });
+        return windowResult(timestamps, allowed, now);
+      });
+      await pruneExpired(now);
+      return result;
+    },
+  };
+}
+
+/**
+ * Store backed by Redis. Takes a connected ioredis-compatible client so tests
+ * can pass a stand-in.
+ * @param {Object} client - Redis client (get/set/del/scan/zrem/multi with zadd/zcard/zrange/zremrangebyscore/pexpire)
+ * @param {{ prefix?: string }} [options] - Prefix added to every key
+ */
+export function createRedisStore(client, { prefix = "ddp:" } = {}) {
+  const k = (key) => `${prefix}${key}`;
+
+  return {
+    kind: "redis",
+    async get(key) {
+      return parseValue(await client.get(k(key)));
+    },
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await client.set(k(key), JSON.stringify(value), "PX", ttlMs);
+      } else {
+        await client.set(k(key), JSON.stringify(value));
+      }
+    },
+    async delete(key) {
+      await client.del(k(key));
+    },
+    async clear(keyPrefix = "") {
+      // SCAN walks the keyspace in batches instead of blocking the server like KEYS
+      let cursor = "0";
+      do {
+        const [nextCursor, keys] = await client.scan(cursor, "MATCH", `${k(keyPrefix)}*`, "COUNT", REDIS_SCAN_COUNT);
+        if (keys.length > 0) {
+          await client.del(...keys);
+        }
+        cursor = nextCursor;
+      } while (cursor !== "0");
+    },
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      const redisKey = k(key);
+      // Member must be unique per hit; the score carries the timestamp
+      const member = `${now}:${Math.random().toString(36).slice(2)}`;
+      // One MULTI so concurrent requests see each other's hits: record the hit,
+      // then take it back if it went over the limit
+      const results = await client.multi()
+        .zremrangebyscore(redisKey, 0, now - windowMs)
+        .zadd(redisKey, now, member)
+        .zcard(redisKey)
+        .zrange(redisKey, 0, 0, "WITHSCORES")
+        .pexpire(redisKey, windowMs)
+        .exec();
+      const failed = results.find(([error]) => error);
+      if (failed) {
+        throw failed[0];
+      }
+
+      const count = results[2][1];
+      const oldest = results[3][1];
+      const allowed = count <= limit;
+      if (!allowed) {
+        await client.zrem(redisKey, member);
+      }
+      return {
+        allowed,
+        count: allowed ? count : count - 1,
+        oldestAt: oldest.length > 1 ? Number(oldest[1]) : now,
+      };
+    },
+  };
+}
+
+async function createConfiguredStore() {
+  const kind = (process.env.KV_STORE || "memory").toLowerCase();
+
+  if (kind === "sqlite") {
+    const { default: prisma } = await import("../db.server.js");
+    logger.info("Using SQLite key/value store");
+    return createSqliteStore(prisma);
+  }
+
+  if (kind === "redis") {
+    if (!process.env.REDIS_URL) {
+      throw new Error("KV_STORE=redis requires REDIS_URL");
+    }
+    // Optional dependency: only installed on deployments that use Redis
+    const moduleName = "ioredis";
+    let Redis;
+    try {
+      ({ default: Redis } = await import(/* @vite-ignore */ moduleName));
+    } catch (error) {
+      throw new Error("KV_STORE=redis requires the ioredis package to be installed", { cause: error });
+    }
+    logger.info("Using Redis key/value store");
+    return createRedisStore(new Redis(process.env.REDIS_URL));
+  }
+
+  if (kind !== "memory") {
+    logger.warn("Unknown KV_STORE, falling back to memory", { kind });
+  }
+  return createMemoryStore({
+    maxKeys: parseInt(process.env.KV_MEMORY_MAX_KEYS, 10) || DEFAULT_MAX_KEYS,
+  });
+}
+
+let storePromise = null;
+
+/**
+ * Returns the process-wide store selected by KV_STORE (created on first use)
+ * @returns {Promise<Object>}
+ */
+export function getKvStore() {
+  if (!storePromise) {
+    storePromise = createConfiguredStore().catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
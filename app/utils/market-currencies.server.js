@@ -0,0 +1,274 @@
+import { createLogger } from "./logger.server.js";
+import { graphqlQuery } from "./discount-resolver/graphql-client.server.js";
+import { getShopIdByDomain, safeJsonParse } from "./discount-resolver/utils.server.js";
+import { JOB_STATUS, registerJobHandler, scheduleJob } from "./scheduler.server.js";
+
+const logger = createLogger("MarketCurrencies");
+
+export const MARKET_CURRENCY_JOB_TYPE = "MARKET_CURRENCY_SYNC";
+
+// Cached currencies are refreshed from Shopify after this long (manual rates change rarely)
+const MARKET_CURRENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Sanity bounds for a rate reported by the storefront (shop currency -> presentment)
+const MIN_STOREFRONT_RATE = 0.00001;
+const MAX_STOREFRONT_RATE = 100000;
+
+export const RATE_SOURCE = {
+  SHOP: "SHOP",
+  MARKET: "MARKET",
+  STOREFRONT: "STOREFRONT",
+};
+
+/**
+ * Shop currency, enabled presentment currencies with their manual rates, and the
+ * countries each market sells to. Currencies without a manualRate use Shopify's
+ * automatic rate, which the Admin API does not expose.
+ */
+export const MARKET_CURRENCIES_QUERY = `
+  query MarketCurrencies {
+    shop {
+      currencyCode
+      currencySettings(first: 250) {
+        nodes { currencyCode enabled manualRate }
+      }
+    }
+    markets(first: 50) {
+      nodes {
+        enabled
+        currencySettings {
+          baseCurrency { currencyCode }
+        }
+        regions(first: 250) {
+          nodes {
+            ... on MarketRegionCountry { code }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function normalizeCode(value, length) {
+  if (typeof value !== "string") return null;
+  const code = value.trim().toUpperCase();
+  return code.length === length && /^[A-Z]+$/.test(code) ? code : null;
+}
+
+/**
+ * Read the presentment currency, country and storefront rate sent by the storefront
+ * @param {Object} params - { currency, country, rate } as strings or numbers
+ * @returns {{ currencyCode: string|null, countryCode: string|null, storefrontRate: number|null }}
+ */
+export function parsePresentmentParams({ currency, country, rate } = {}) {
+  const parsedRate = typeof rate === "number" ? rate : parseFloat(rate);
+  const storefrontRate = Number.isFinite(parsedRate)
+    && parsedRate >= MIN_STOREFRONT_RATE
+    && parsedRate <= MAX_STOREFRONT_RATE
+    ? parsedRate
+    : null;
+
+  return {
+    currencyCode: normalizeCode(currency, 3),
+    countryCode: normalizeCode(country, 2),
+    storefrontRate,
+  };
+}
+
+/**
+ * Fetch currencies and markets from Shopify and replace the shop's cached rows
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<number>} Number of currencies cached
+ */
+export async function syncMarketCurrencies(admin, shop, db) {
+  const shopId = await getShopIdByDomain(shop, db);
+  if (!shopId) {
+    return 0;
+  }
+
+  const { data } = await graphqlQuery(admin, MARKET_CURRENCIES_QUERY);
+  const shopCurrency = data?.shop?.currencyCode;
+  if (!shopCurrency) {
+    throw new Error("Shop currency missing from markets response");
+  }
+
+  const currencies = new Map();
+  const addCurrency = (currencyCode) => {
+    if (!currencies.has(currencyCode)) {
+      currencies.set(currencyCode, { manualRate: null, countryCodes: new Set() });
+    }
+    return currencies.get(currencyCode);
+  };
+
+  addCurrency(shopCurrency);
+  for (const setting of data.shop.currencySettings?.nodes || []) {
+    if (!setting?.enabled || !setting.currencyCode) continue;
+    const rate = parseFloat(setting.manualRate);
+    addCurrency(setting.currencyCode).manualRate = Number.isFinite(rate) && rate > 0 ? rate : null;
+  }
+
+  for (const market of data.markets?.nodes || []) {
+    const currencyCode = market?.currencySettings?.baseCurrency?.currencyCode;
+    if (!market?.enabled || !currencyCode) continue;
+    const entry = addCurrency(currencyCode);
+    for (const region of market.regions?.nodes || []) {
+      if (region?.code) entry.countryCodes.add(region.code);
+    }
+  }
+
+  const syncedAt = new Date();
+  await db.$transaction([
+    db.marketCurrency.deleteMany({
+      where: { shop, currencyCode: { notIn: [...currencies.keys()] } },
+    }),
+    ...[...currencies.entries()].map(([currencyCode, entry]) => {
+      const fields = {
+        isShopCurrency: currencyCode === shopCurrency,
+        // Rates are quoted from the shop currency, which converts at 1
+        manualRate: currencyCode === shopCurrency ? null : entry.manualRate,
+        countryCodes: JSON.stringify([...entry.countryCodes].sort()),
+        syncedAt,
+      };
+      return db.marketCurrency.upsert({
+        where: { shop_currencyCode: { shop, currencyCode } },
+        update: fields,
+        create: { shop, shopId, currencyCode, ...fields },
+      });
+    }),
+  ]);
+
+  logger.info("Market currencies synced", { shop, shopCurrency, currencies: currencies.size });
+  return currencies.size;
+}
+
+/**
+ * Queue a currency refresh for the shop unless one is already pending
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<boolean>} true when a job was scheduled
+ */
+export async function requestMarketCurrencySync(shop, db) {
+  const existing = await db.scheduledJob.findUnique({
+    where: { type_jobKey: { type: MARKET_CURRENCY_JOB_TYPE, jobKey: shop } },
+  });
+  if (existing && [JOB_STATUS.PENDING, JOB_STATUS.RUNNING].includes(existing.status)) {
+    return false;
+  }
+
+  const shopId = await getShopIdByDomain(shop, db);
+  if (!shopId) {
+    return false;
+  }
+
+  await scheduleJob(db, {
+    shop, shopId, type: MARKET_CURRENCY_JOB_TYPE, jobKey: shop, runAt: new Date(),
+  });
+  return true;
+}
+
+/**
+ * Work out which currency a storefront request should be answered in and the
+ * rate from the shop currency to it. Markets manual rates come first; currencies on
+ * automatic rates use the rate the storefront reported (Shopify.currency.rate).
+ * Stale or missing cached currencies queue a refresh in the background.
+ * @param {string|null} shop - Shop domain (anonymous requests have no cache)
+ * @param {Object} params - { currency, country, rate } from the request
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Object>} { currencyCode, countryCode, shopCurrency, rate, rateSource }
+ */
+export async function getPresentmentContext(shop, params, db) {
+  const { currencyCode: requestedCurrency, countryCode, storefrontRate } = parsePresentmentParams(params);
+  const rows = shop ? await db.marketCurrency.findMany({ where: { shop } }) : [];
+
+  if (shop) {
+    const oldest = rows.reduce((min, row) => Math.min(min, new Date(row.syncedAt).getTime()), Infinity);
+    if (rows.length === 0 || Date.now() - oldest > MARKET_CURRENCY_TTL_MS) {
+      requestMarketCurrencySync(shop, db).catch((error) => {
+        logger.warn("Failed to queue market currency sync", { err: error, shop });
+      });
+    }
+  }
+
+  const shopCurrency = rows.find((row) => row.isShopCurrency)?.currencyCode || null;
+  const countryCurrency = countryCode
+    ? rows.find((row) => safeJsonParse(row.countryCodes, []).includes(countryCode))?.currencyCode
+    : null;
+  const currencyCode = requestedCurrency || countryCurrency || shopCurrency;
+
+  let rate = null;
+  let rateSource = null;
+  const row = rows.find((r) => r.currencyCode === currencyCode);
+  if (!currencyCode || currencyCode === shopCurrency) {
+    rate = 1;
+    rateSource = RATE_SOURCE.SHOP;
+  } else if (row?.manualRate) {
+    rate = row.manualRate;
+    rateSource = RATE_SOURCE.MARKET;
+  } else if (storefrontRate) {
+    rate = storefrontRate;
+    rateSource = RATE_SOURCE.STOREFRONT;
+  }
+
+  return { currencyCode, countryCode, shopCurrency, rate, rateSource };
+}
+
+// Context used when the currency cannot be resolved: amounts pass through unconverted
+export const SHOP_CURRENCY_CONTEXT = Object.freeze({
+  currencyCode: null, countryCode: null, shopCurrency: null, rate: null, rateSource: null,
+});
+
+/**
+ * The `currency` block of storefront API responses: what the amounts were computed in
+ * @param {Object} context - Result of getPresentmentContext
+ * @returns {Object} { code, country, shopCurrency, rate, rateSource }
+ */
+export function describePresentmentContext(context) {
+  return {
+    code: context.currencyCode,
+    country: context.countryCode,
+    shopCurrency: context.shopCurrency,
+    rate: context.rate,
+    rateSource: context.rateSource,
+  };
+}
+
+/**
+ * Convert an amount in minor units into the presentment currency.
+ * Shopify converts fixed discount amounts at the exchange rate without price rounding.
+ * @param {number} amountCents - Amount in cents of fromCurrency
+ * @param {string|null} fromCurrency - Currency the amount is in (the shop currency for discounts)
+ * @param {Object} context - Result of getPresentmentContext
+ * @returns {number|null} Converted cents, or null when no rate is known
+ */
+export function convertAmountCents(amountCents, fromCurrency, context) {
+  if (!Number.isFinite(amountCents)) return null;
+  if (!context?.currencyCode || !fromCurrency || fromCurrency === context.currencyCode) {
+    return amountCents;
+  }
+  // Rates are quoted from the shop currency only
+  if (!context.rate || (context.shopCurrency && fromCurrency !== context.shopCurrency)) {
+    return null;
+  }
+  return Math.round(amountCents * context.rate);
+}
+
+/**
+ * Scheduler handler for MARKET_CURRENCY_SYNC jobs
+ * @returns {Promise<string>} Summary stored on the job
+ */
+export async function runMarketCurrencySyncJob(job, db) {
+  const { unauthenticated } = await import("../shopify.server");
+  const { admin } = await unauthenticated.admin(job.shop);
+  if (!admin) {
+    throw new Error("Admin client unavailable for market currency sync");
+  }
+
+  const count = await syncMarketCurrencies(admin, job.shop, db);
+  return `synced ${count} currencies`;
+}
+
+export function registerMarketCurrencyJobHandler() {
+  registerJobHandler(MARKET_CURRENCY_JOB_TYPE, runMarketCurrencySyncJob);
+}
@@ -1,91 +1,114 @@
+import { getKvStore } from "./kv-store.server.js";
 import { createLogger } from "./logger.server.js";
+import { TIER_CONFIG, getEffectiveTierFromShopRecord } from "./tier-manager.js";
 
 const logger = createLogger("RateLimiter");
 
 // Configuration
-const DEFAULT_MAX_REQUESTS = 60; // per window
 const DEFAULT_WINDOW_MS = 60 * 1000; // 1 minute
-const MAX_SHOPS = 10000; // max tracked shops before cleanup
-
-// Allow env overrides
-const maxRequests = process.env.RATE_LIMIT_MAX_REQUESTS
-  ? parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10)
-  : DEFAULT_MAX_REQUESTS;
+const TIER_CACHE_TTL_MS = 5 * 60 * 1000; // tier lookups per shop
 
 const windowMs = process.env.RATE_LIMIT_WINDOW_MS
   ? parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10)
   : DEFAULT_WINDOW_MS;
 
-// In-memory storage: Map<shop domain, timestamp array>
-const requestMap = new Map();
+const DEFAULT_LIMIT = TIER_CONFIG.FREE.storefrontRateLimit;
+
+const windowKey = (shop, bucket) => `rate:${bucket}:${shop}`;
+const tierKey = (shop) => `rate-tier:${shop}`;
+
+/**
+ * Requests allowed per window for the shop's plan. Unknown shops get the Free limit.
+ * @param {string} shop - Shop domain
+ * @param {Object|null} db - Prisma client instance
+ * @param {Object} store - Key/value store
+ * @returns {Promise<number>}
+ */
+async function getShopLimit(shop, db, store) {
+  if (!db) {
+    return DEFAULT_LIMIT;
+  }
+
+  let tier = await store.get(tierKey(shop));
+  if (!tier) {
+    const shopRecord = await db.shop.findUnique({
+      where: { domain: shop },
+      select: { tier: true },
+    });
+    tier = getEffectiveTierFromShopRecord(shopRecord);
+    await store.set(tierKey(shop), tier, TIER_CACHE_TTL_MS);
+  }
+  return TIER_CONFIG[tier]?.storefrontRateLimit ?? DEFAULT_LIMIT;
+}
 
 /**
  * Check if a shop is within rate limits using sliding window algorithm
  * @param {string} shop - Shop domain
- * @returns {{ allowed: boolean, remaining: number, retryAfter: number | null }}
+ * @param {Object} [db] - Prisma client instance, used to look up the shop's plan limit
+ * @param {{ bucket?: string }} [options] - Separate counter per bucket (e.g. "events")
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retryAfter: number | null }>}
  */
-export function checkRateLimit(shop) {
+export async function checkRateLimit(shop, db = null, { bucket = "api" } = {}) {
   // If no shop provided, always allow
   if (!shop) {
     return {
       allowed: true,
-      remaining: maxRequests,
+      limit: DEFAULT_LIMIT,
+      remaining: DEFAULT_LIMIT,
       retryAfter: null,
     };
   }
 
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  // Get or create timestamp array for this shop
-  let timestamps = requestMap.get(shop) || [];
+  let limit = DEFAULT_LIMIT;
+  try {
+    const store = await getKvStore();
+    limit = await getShopLimit(shop, db, store);
 
-  // Filter out expired timestamps (sliding window)
-  timestamps = timestamps.filter((ts) => ts > windowStart);
+    const now = Date.now();
+    const { allowed, count, oldestAt } = await store.hit(windowKey(shop, bucket), { limit, windowMs, now });
 
-  // Always write back filtered timestamps to prevent stale accumulation
-  requestMap.set(shop, timestamps);
+    if (!allowed) {
+      // Seconds until the oldest request leaves the window
+      const retryAfter = Math.max(1, Math.ceil((oldestAt + windowMs - now) / 1000));
 
-  // Check if rate limited
-  if (timestamps.length >= maxRequests) {
-    // Calculate retry after (seconds until oldest timestamp expires)
-    const oldestTimestamp = timestamps[0];
-    const retryAfter = Math.ceil((oldestTimestamp + windowMs - now) / 1000);
+      logger.warn("Rate limit exceeded", {
+        shop, bucket, count, limit,
+      });
 
-    logger.warn("Rate limit exceeded", {
-      shop, count: timestamps.length, limit: maxRequests,
-    });
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfter,
+      };
+    }
 
     return {
-      allowed: false,
-      remaining: 0,
-      retryAfter,
+      allowed: true,
+      limit,
+      remaining: Math.max(0, limit - count),
+      retryAfter: null,
+    };
+  } catch (error) {
+    // A store outage must not take the storefront down
+    logger.error("Rate limit check failed, allowing request", { err: error, shop, bucket });
+    return {
+      allowed: true,
+      limit,
+      remaining: limit,
+      retryAfter: null,
     };
   }
-
-  // Allow request - add current timestamp
-  timestamps.push(now);
-
-  // Cleanup if too many shops tracked
-  if (requestMap.size > MAX_SHOPS) {
-    cleanup();
-  }
-
-  return {
-    allowed: true,
-    remaining: maxRequests - timestamps.length,
-    retryAfter: null,
-  };
 }
 
 /**
  * Generate rate limit headers from checkRateLimit result
- * @param {{ allowed: boolean, remaining: number, retryAfter: number | null }} result
+ * @param {{ allowed: boolean, limit?: number, remaining: number, retryAfter: number | null }} result
  * @returns {Record<string, string>}
  */
 export function getRateLimitHeaders(result) {
   const headers = {
-    "X-RateLimit-Limit": String(maxRequests),
+    "X-RateLimit-Limit": String(result.limit ?? DEFAULT_LIMIT),
     "X-RateLimit-Remaining": String(result.remaining),
   };
 
@@ -98,7 +121,7 @@ export function getRateLimitHeaders(result) {
 
 /**
  * Create a 429 Too Many Requests Response
- * @param {{ allowed: boolean, remaining: number, retryAfter: number | null }} result
+ * @param {{ allowed: boolean, limit?: number, remaining: number, retryAfter: number | null }} result
  * @param {Record<string, string>} headers - Additional headers to include
  * @returns {Response}
  */
@@ -120,59 +143,31 @@ export function createRateLimitResponse(result, headers = {}) {
 }
 
 /**
- * Reset rate limit for a specific shop (for testing)
+ * Forget the cached plan limit so a tier change applies on the next request
  * @param {string} shop - Shop domain
  */
-export function resetRateLimit(shop) {
-  requestMap.delete(shop);
-  logger.debug("Rate limit reset for shop", { shop });
+export async function clearRateLimitTier(shop) {
+  const store = await getKvStore();
+  await store.delete(tierKey(shop));
 }
 
 /**
- * Reset all rate limits (for testing)
+ * Reset rate limit for a specific shop (for testing)
+ * @param {string} shop - Shop domain
+ * @param {{ bucket?: string }} [options]
  */
-export function resetAllRateLimits() {
-  requestMap.clear();
-  logger.debug("All rate limits reset");
+export async function resetRateLimit(shop, { bucket = "api" } = {}) {
+  const store = await getKvStore();
+  await store.delete(windowKey(shop, bucket));
+  logger.debug("Rate limit reset for shop", { shop, bucket });
 }
 
 /**
- * Cleanup old entries to prevent unbounded memory growth
- * Removes entries with empty timestamp arrays or oldest entries if still over limit
+ * Reset all rate limits and cached plan limits (for testing)
  */
-function cleanup() {
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  // First pass: remove shops with all expired timestamps
-  for (const [shop, timestamps] of requestMap.entries()) {
-    const validTimestamps = timestamps.filter((ts) => ts > windowStart);
-    if (validTimestamps.length === 0) {
-      requestMap.delete(shop);
-    } else if (validTimestamps.length !== timestamps.length) {
-      // Update with filtered timestamps
-      requestMap.set(shop, validTimestamps);
-    }
-  }
-
-  // If still over limit, remove shop with oldest last-request timestamp
-  if (requestMap.size > MAX_SHOPS) {
-    let oldestShop = null;
-    let oldestTimestamp = Infinity;
-
-    for (const [shop, timestamps] of requestMap.entries()) {
-      const lastTimestamp = timestamps[timestamps.length - 1];
-      if (lastTimestamp < oldestTimestamp) {
-        oldestTimestamp = lastTimestamp;
-        oldestShop = shop;
-      }
-    }
-
-    if (oldestShop) {
-      requestMap.delete(oldestShop);
-      logger.debug("Removed oldest shop during cleanup", {
-        shop: oldestShop, mapSize: requestMap.size,
-      });
-    }
-  }
+export async function resetAllRateLimits() {
+  const store = await getKvStore();
+  await store.clear("rate:");
+  await store.clear("rate-tier:");
+  logger.debug("All rate limits reset");
 }
@@ -0,0 +1,450 @@
+import { createLogger } from "./logger.server.js";
+
+const logger = createLogger("Scheduler");
+
+export const JOB_STATUS = {
+  PENDING: "PENDING",
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+};
+
+// Upper bound between polls, so jobs written by other processes are still picked up
+const POLL_INTERVAL_MS = 60 * 1000;
+// Floor between ticks when jobs are already due, to avoid a hot loop on a failing DB
+const MIN_TICK_DELAY_MS = 250;
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+// RUNNING jobs locked longer than this were interrupted by a restart
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const COMPLETED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const globalAny = global;
+
+// Kept on the global object so dev-server module reloads don't start a second loop
+function getState() {
+  if (!globalAny.__schedulerState) {
+    globalAny.__schedulerState = {
+      db: null,
+      started: false,
+      ticking: false,
+      timer: null,
+      nextTickAt: null,
+      lastPrunedAt: 0,
+      handlers: new Map(),
+    };
+  }
+  return globalAny.__schedulerState;
+}
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - Job type, e.g. "DISCOUNT_START"
+ * @param {Function} handler - async (job, db) => string summary stored on the job row
+ */
+export function registerJobHandler(type, handler) {
+  getState().handlers.set(type, handler);
+}
+
+/**
+ * Create or re-arm the job for (type, jobKey). Re-scheduling resets attempts and history.
+ * @param {Object} db - Prisma client instance
+ * @param {Object} job - { shop, shopId, type, jobKey, runAt }
+ * @returns {Promise<Object>} The job row
+ */
+export async function scheduleJob(db, { shop, shopId, type, jobKey, runAt }) {
+  const reset = {
+    runAt,
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    result: null,
+    lockedAt: null,
+    completedAt: null,
+  };
+
+  const job = await db.scheduledJob.upsert({
+    where: { type_jobKey: { type, jobKey } },
+    update: reset,
+    create: { shop, shopId, type, jobKey, ...reset },
+  });
+  // A re-armed job supersedes any earlier permanent failure
+  await db.deadLetterJob.deleteMany({ where: { type, jobKey } });
+
+  wakeScheduler(runAt);
+  return job;
+}
+
+/**
+ * Add a job only if (type, jobKey) has never been queued — used for idempotent
+ * delivery (e.g. webhook IDs), where a duplicate must not reset the existing job.
+ * @param {Object} db - Prisma client instance
+ * @param {Object} job - { shop, shopId, type, jobKey, payload, runAt }
+ * @returns {Promise<{ job: Object|null, created: boolean }>}
+ */
+export async function enqueueJob(db, { shop, shopId, type, jobKey, payload = null, runAt = new Date() }) {
+  const existing = await db.scheduledJob.findUnique({
+    where: { type_jobKey: { type, jobKey } },
+  });
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  try {
+    const job = await db.scheduledJob.create({
+      data: {
+        shop,
+        shopId,
+        type,
+        jobKey,
+        payload: payload === null ? null : JSON.stringify(payload),
+        runAt,
+        status: JOB_STATUS.PENDING,
+      },
+    });
+    wakeScheduler(runAt);
+    return { job, created: true };
+  } catch (error) {
+    // Lost a race with a concurrent delivery of the same job
+    if (error?.code === "P2002") {
+      return { job: null, created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse the JSON payload stored on a job
+ * @returns {Object|null}
+ */
+export function getJobPayload(job) {
+  if (!job?.payload) {
+    return null;
+  }
+  try {
+    return JSON.parse(job.payload);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete jobs matching a filter (e.g. pending jobs for a removed discount)
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+export async function cancelJobs(db, where) {
+  const deleted = await db.scheduledJob.deleteMany({ where });
+  return deleted?.count || 0;
+}
+
+function getRetryDelayMs(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+}
+
+async function moveToDeadLetter(job, attempts, lastError, db) {
+  try {
+    const record = {
+      shop: job.shop,
+      shopId: job.shopId,
+      payload: job.payload ?? null,
+      attempts,
+      lastError,
+      failedAt: new Date(),
+    };
+    await db.deadLetterJob.upsert({
+      where: { type_jobKey: { type: job.type, jobKey: job.jobKey } },
+      update: record,
+      create: { type: job.type, jobKey: job.jobKey, ...record },
+    });
+  } catch (error) {
+    logger.error("Failed to record dead-letter job", {
+      err: error, shop: job.shop, type: job.type, jobKey: job.jobKey,
+    });
+  }
+}
+
+async function runJob(job, db, now) {
+  const lockedAt = now;
+  const claimed = await db.scheduledJob.updateMany({
+    where: { id: job.id, status: JOB_STATUS.PENDING },
+    data: { status: JOB_STATUS.RUNNING, lockedAt, attempts: { increment: 1 } },
+  });
+
+  if (!claimed?.count) {
+    return null;
+  }
+
+  const attempts = (job.attempts || 0) + 1;
+  // Only settle the row we claimed; a re-schedule while running clears lockedAt
+  const claimedRow = { id: job.id, status: JOB_STATUS.RUNNING, lockedAt };
+  const handler = getState().handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const result = await handler(job, db);
+    await db.scheduledJob.updateMany({
+      where: claimedRow,
+      data: {
+        status: JOB_STATUS.COMPLETED,
+        result: result ? String(result) : null,
+        lastError: null,
+        lockedAt: null,
+        completedAt: new Date(),
+      },
+    });
+
+    logger.debug("Job completed", { shop: job.shop, type: job.type, jobKey: job.jobKey, result });
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const lastError = error?.message || String(error);
+    const settled = await db.scheduledJob.updateMany({
+      where: claimedRow,
+      data: {
+        status: exhausted ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+        runAt: exhausted ? job.runAt : new Date(Date.now() + getRetryDelayMs(attempts)),
+        lastError,
+        lockedAt: null,
+      },
+    });
+
+    if (exhausted && settled?.count) {
+      await moveToDeadLetter(job, attempts, lastError, db);
+    }
+
+    logger.error(exhausted ? "Job failed permanently" : "Job failed, will retry", {
+      err: error, shop: job.shop, type: job.type, jobKey: job.jobKey, attempts,
+    });
+    return false;
+  }
+}
+
+/**
+ * Dead-letter jobs for a shop, newest first (dashboard)
+ * @param {string} shop - Shop domain
+ * @param {Object} db - Prisma client instance
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array>}
+ */
+export async function listDeadLetterJobs(shop, db, { limit = 20 } = {}) {
+  return db.deadLetterJob.findMany({
+    where: { shop },
+    orderBy: { failedAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Re-queue a dead-letter job: the original job restarts with fresh attempts
+ * @param {string} shop - Shop domain (scopes the lookup to the caller's shop)
+ * @param {string} deadLetterId - DeadLetterJob ID
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<boolean>} False if the dead-letter job does not exist
+ */
+export async function retryDeadLetterJob(shop, deadLetterId, db) {
+  const deadLetter = await db.deadLetterJob.findFirst({
+    where: { id: deadLetterId, shop },
+  });
+  if (!deadLetter) {
+    return false;
+  }
+
+  const runAt = new Date();
+  await db.scheduledJob.upsert({
+    where: { type_jobKey: { type: deadLetter.type, jobKey: deadLetter.jobKey } },
+    update: {
+      runAt,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      lockedAt: null,
+      completedAt: null,
+    },
+    create: {
+      shop: deadLetter.shop,
+      shopId: deadLetter.shopId,
+      type: deadLetter.type,
+      jobKey: deadLetter.jobKey,
+      payload: deadLetter.payload,
+      runAt,
+      status: JOB_STATUS.PENDING,
+    },
+  });
+  await db.deadLetterJob.delete({ where: { id: deadLetter.id } });
+
+  logger.info("Dead-letter job re-queued", {
+    shop, type: deadLetter.type, jobKey: deadLetter.jobKey,
+  });
+  wakeScheduler(runAt);
+  return true;
+}
+
+/**
+ * Run every pending job whose runAt has passed (one batch)
+ * @param {Object} db - Prisma client instance
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export async function runDueJobs(db, now = new Date()) {
+  const dueJobs = await db.scheduledJob.findMany({
+    where: { status: JOB_STATUS.PENDING, runAt: { lte: now } },
+    orderBy: { runAt: "asc" },
+    take: BATCH_SIZE,
+  });
+
+  let processed = 0;
+  let failed = 0;
+  for (const job of dueJobs || []) {
+    const outcome = await runJob(job, db, now);
+    if (outcome === true) processed += 1;
+    if (outcome === false) failed += 1;
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Return jobs left RUNNING by a crashed or restarted process to the queue
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+export async function recoverStaleJobs(db, now = new Date()) {
+  const recovered = await db.scheduledJob.updateMany({
+    where: {
+      status: JOB_STATUS.RUNNING,
+      lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) },
+    },
+    data: { status: JOB_STATUS.PENDING, lockedAt: null },
+  });
+
+  if (recovered?.count) {
+    logger.warn("Recovered interrupted jobs", { count: recovered.count });
+  }
+  return recovered?.count || 0;
+}
+
+async function pruneCompletedJobs(db, now) {
+  const state = getState();
+  if (now.getTime() - state.lastPrunedAt < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  state.lastPrunedAt = now.getTime();
+
+  await db.scheduledJob.deleteMany({
+    where: {
+      status: JOB_STATUS.COMPLETED,
+      completedAt: { lt: new Date(now.getTime() - COMPLETED_RETENTION_MS) },
+    },
+  });
+}
+
+function armTimer(delayMs) {
+  const state = getState();
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+
+  const delay = Math.min(Math.max(delayMs, MIN_TICK_DELAY_MS), POLL_INTERVAL_MS);
+  state.nextTickAt = Date.now() + delay;
+  state.timer = setTimeout(tick, delay);
+  // Never keep the process alive just for the scheduler
+  state.timer.unref?.();
+}
+
+async function tick() {
+  const state = getState();
+  state.timer = null;
+  state.ticking = true;
+
+  let nextDelay = POLL_INTERVAL_MS;
+  try {
+    const now = new Date();
+    await runDueJobs(state.db, now);
+    await pruneCompletedJobs(state.db, now);
+
+    const next = await state.db.scheduledJob.findFirst({
+      where: { status: JOB_STATUS.PENDING },
+      orderBy: { runAt: "asc" },
+      select: { runAt: true },
+    });
+    if (next?.runAt) {
+      nextDelay = new Date(next.runAt).getTime() - Date.now();
+    }
+  } catch (error) {
+    logger.error("Scheduler tick failed", { err: error });
+  } finally {
+    state.ticking = false;
+    if (state.started) {
+      armTimer(nextDelay);
+    }
+  }
+}
+
+/**
+ * Bring the next tick forward when a job is scheduled sooner than the current timer
+ * @param {Date} runAt - When the new job is due
+ */
+export function wakeScheduler(runAt) {
+  const state = getState();
+  // A running tick re-reads the queue when it finishes
+  if (!state.started || state.ticking) {
+    return;
+  }
+
+  const runAtMs = new Date(runAt).getTime();
+  if (!state.nextTickAt || runAtMs < state.nextTickAt) {
+    armTimer(runAtMs - Date.now());
+  }
+}
+
+/**
+ * Start the in-process job runner (idempotent)
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<boolean>} True if this call started the runner
+ */
+export async function startScheduler(db) {
+  const state = getState();
+  if (state.started) {
+    return false;
+  }
+
+  if (process.env.SCHEDULER_DISABLED === "true") {
+    logger.info("Scheduler disabled via SCHEDULER_DISABLED");
+    return false;
+  }
+
+  state.db = db;
+  state.started = true;
+
+  try {
+    await recoverStaleJobs(db);
+  } catch (error) {
+    logger.error("Failed to recover interrupted jobs", { err: error });
+  }
+
+  logger.info("Scheduler started", { handlers: [...state.handlers.keys()] });
+  armTimer(0);
+  return true;
+}
+
+/**
+ * Stop the runner and clear its timer (tests, graceful shutdown)
+ */
+export function stopScheduler() {
+  const state = getState();
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+  state.started = false;
+  state.timer = null;
+  state.nextTickAt = null;
+}
+
+export function isSchedulerRunning() {
+  return getState().started;
+}
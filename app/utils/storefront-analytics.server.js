@@ -0,0 +1,294 @@
+import { createLogger } from "./logger.server.js";
+import { getShopIdByDomain, moneyToCents, parseGid } from "./discount-resolver/utils.server.js";
+
+const logger = createLogger("StorefrontAnalytics");
+
+export const EVENT_TYPE = {
+  IMPRESSION: "IMPRESSION",
+  COUPON_APPLY: "COUPON_APPLY",
+  COUPON_REMOVE: "COUPON_REMOVE",
+  AUTO_APPLY: "AUTO_APPLY",
+  TERMS_OPEN: "TERMS_OPEN",
+};
+
+// Largest batch accepted per request; the storefront flushes well below this
+export const MAX_EVENTS_PER_BATCH = 100;
+
+// An order is attributed to a discount shown on the storefront within this window
+const ATTRIBUTION_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of the given date; event counts are bucketed per UTC day
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Map one storefront event ({ type, discountId, applied }) to an EVENT_TYPE
+ * @returns {string|null} Event type, or null when the event is not recognised
+ */
+function toEventType(event) {
+  switch (event?.type) {
+    case "impression":
+      return EVENT_TYPE.IMPRESSION;
+    case "coupon_toggle":
+      return event.applied === false ? EVENT_TYPE.COUPON_REMOVE : EVENT_TYPE.COUPON_APPLY;
+    case "auto_apply":
+      return EVENT_TYPE.AUTO_APPLY;
+    case "terms_open":
+      return EVENT_TYPE.TERMS_OPEN;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collapse a batch of storefront events into per-discount counts.
+ * Only the event type and numeric discount ID are read; anything else is ignored.
+ * @param {Array<Object>} events - Events as sent by the storefront
+ * @returns {{ counts: Array<{discountId: string, eventType: string, count: number}>, rejected: number }}
+ */
+export function countStorefrontEvents(events) {
+  const counts = new Map();
+  let rejected = 0;
+
+  for (const event of events.slice(0, MAX_EVENTS_PER_BATCH)) {
+    const eventType = toEventType(event);
+    const discountId = event?.discountId != null ? String(event.discountId) : "";
+    if (!eventType || !/^\d+$/.test(discountId)) {
+      rejected += 1;
+      continue;
+    }
+
+    const key = `${discountId}|${eventType}`;
+    const entry = counts.get(key) || { discountId, eventType, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+
+  rejected += Math.max(0, events.length - MAX_EVENTS_PER_BATCH);
+  return { counts: [...counts.values()], rejected };
+}
+
+/**
+ * Numeric IDs of the shop's discounts among the given IDs
+ * @returns {Promise<Set<string>>}
+ */
+async function findShopDiscountIds(shop, discountIds, db) {
+  if (discountIds.length === 0) return new Set();
+
+  const discounts = await db.discount.findMany({
+    where: { shop, OR: discountIds.map((id) => ({ gid: { endsWith: `/${id}` } })) },
+    select: { gid: true },
+  });
+  return new Set(discounts.map((d) => parseGid(d.gid)?.id).filter(Boolean));
+}
+
+/**
+ * Add a batch of storefront events to today's per-discount counts.
+ * Events for discounts the shop does not have are dropped.
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} events - Events as sent by the storefront
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{accepted: number, rejected: number}>}
+ */
+export async function recordStorefrontEvents(shop, events, db) {
+  const shopId = await getShopIdByDomain(shop, db);
+  if (!shopId) {
+    return { accepted: 0, rejected: events.length };
+  }
+
+  const { counts, rejected } = countStorefrontEvents(events);
+  const known = await findShopDiscountIds(shop, [...new Set(counts.map((c) => c.discountId))], db);
+  const accepted = counts.filter((c) => known.has(c.discountId));
+  const unknown = counts.filter((c) => !known.has(c.discountId)).reduce((sum, c) => sum + c.count, 0);
+
+  if (accepted.length > 0) {
+    const day = startOfUtcDay(new Date());
+    await db.$transaction(accepted.map(({ discountId, eventType, count }) => db.discountEventCount.upsert({
+      where: { shop_discountId_day_eventType: { shop, discountId, day, eventType } },
+      update: { count: { increment: count } },
+      create: { shop, shopId, discountId, day, eventType, count },
+    })));
+  }
+
+  const acceptedCount = accepted.reduce((sum, c) => sum + c.count, 0);
+  logger.debug("Storefront events recorded", { shop, accepted: acceptedCount, rejected: rejected + unknown });
+  return { accepted: acceptedCount, rejected: rejected + unknown };
+}
+
+/**
+ * Whether an orders/create payload used any discount worth attributing
+ * @param {Object} order - Webhook payload
+ * @returns {boolean}
+ */
+export function orderHasDiscounts(order) {
+  return (order?.discount_codes?.length || 0) > 0
+    || (order?.discount_applications || []).some((a) => a?.type === "automatic");
+}
+
+/**
+ * Attribute an order to the displayed discounts it used: codes from
+ * discount_codes and automatic discounts from discount_applications (matched by
+ * title, the only identifier Shopify sends, so every displayed automatic
+ * discount with that title is credited). A discount counts as displayed when
+ * it had storefront impressions in the last 30 days. Redeliveries are idempotent.
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Trimmed orders/create payload
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<number>} Number of discounts the order was attributed to
+ */
+export async function attributeOrder(shop, order, db) {
+  const orderId = parseGid(order?.admin_graphql_api_id)?.id || (order?.id != null ? String(order.id) : null);
+  if (!orderId || !orderHasDiscounts(order)) {
+    return 0;
+  }
+
+  const shopId = await getShopIdByDomain(shop, db);
+  if (!shopId) {
+    return 0;
+  }
+
+  const usedCodes = (order.discount_codes || []).map((c) => c?.code).filter(Boolean);
+  const automaticTitles = (order.discount_applications || [])
+    .filter((a) => a?.type === "automatic" && a.title)
+    .map((a) => a.title);
+
+  // Codes are case-insensitive at checkout, so they are matched lower-cased
+  const normalizedCodes = [...new Set(usedCodes.map((c) => c.toLowerCase()))];
+  const filters = [];
+  if (normalizedCodes.length > 0) {
+    filters.push({ discountType: "CODE", codes: { some: { normalizedCode: { in: normalizedCodes } } } });
+  }
+  if (automaticTitles.length > 0) {
+    filters.push({ discountType: "AUTO", title: { in: automaticTitles } });
+  }
+  if (filters.length === 0) {
+    return 0;
+  }
+
+  const discounts = await db.discount.findMany({
+    where: { shop, OR: filters },
+    select: {
+      gid: true,
+      discountType: true,
+      codes: { where: { normalizedCode: { in: normalizedCodes } }, select: { code: true } },
+    },
+  });
+
+  const candidates = discounts
+    .map((d) => ({ discountId: parseGid(d.gid)?.id, code: d.codes?.[0]?.code || null }))
+    .filter((c) => c.discountId);
+  if (candidates.length === 0) {
+    return 0;
+  }
+
+  const displayed = await db.discountEventCount.findMany({
+    where: {
+      shop,
+      eventType: EVENT_TYPE.IMPRESSION,
+      discountId: { in: candidates.map((c) => c.discountId) },
+      day: { gte: new Date(startOfUtcDay(new Date()).getTime() - ATTRIBUTION_WINDOW_DAYS * DAY_MS) },
+    },
+    select: { discountId: true },
+  });
+  const displayedIds = new Set(displayed.map((d) => d.discountId));
+  const attributed = candidates.filter((c) => displayedIds.has(c.discountId));
+  if (attributed.length === 0) {
+    return 0;
+  }
+
+  const revenueCents = moneyToCents(order.total_price) ?? 0;
+  const orderedAt = order.created_at ? new Date(order.created_at) : new Date();
+  await db.$transaction(attributed.map(({ discountId, code }) => db.orderAttribution.upsert({
+    where: { shop_orderId_discountId: { shop, orderId, discountId } },
+    update: {},
+    create: {
+      shop, shopId, orderId, discountId, code, revenueCents, currencyCode: order.currency || "", orderedAt,
+    },
+  })));
+
+  logger.info("Order attributed", { shop, orderId, discounts: attributed.length });
+  return attributed.length;
+}
+
+/**
+ * Per-discount and per-day analytics for the admin page. Orders keep the
+ * currency they were placed in, so revenue is a map of currency code to cents.
+ * @param {string} shop - Shop domain
+ * @param {Object} options - { days } range ending today (UTC)
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Object>} { days, totals, discounts, series }
+ */
+export async function getDiscountAnalytics(shop, { days }, db) {
+  const since = new Date(startOfUtcDay(new Date()).getTime() - (days - 1) * DAY_MS);
+
+  const [counts, orders, discounts] = await Promise.all([
+    db.discountEventCount.findMany({ where: { shop, day: { gte: since } } }),
+    db.orderAttribution.findMany({ where: { shop, orderedAt: { gte: since } }, orderBy: { orderedAt: "desc" } }),
+    db.discount.findMany({ where: { shop }, select: { gid: true, title: true } }),
+  ]);
+
+  const titles = new Map(discounts.map((d) => [parseGid(d.gid)?.id, d.title]));
+  const emptyRow = () => ({
+    impressions: 0, couponApplies: 0, couponRemoves: 0, autoApplies: 0, termsOpens: 0, orders: 0, revenue: {},
+  });
+  const addRevenue = (row, order) => {
+    row.orders += 1;
+    row.revenue[order.currencyCode] = (row.revenue[order.currencyCode] || 0) + order.revenueCents;
+  };
+  const field = {
+    [EVENT_TYPE.IMPRESSION]: "impressions",
+    [EVENT_TYPE.COUPON_APPLY]: "couponApplies",
+    [EVENT_TYPE.COUPON_REMOVE]: "couponRemoves",
+    [EVENT_TYPE.AUTO_APPLY]: "autoApplies",
+    [EVENT_TYPE.TERMS_OPEN]: "termsOpens",
+  };
+
+  const byDiscount = new Map();
+  const byDay = new Map();
+  for (let i = 0; i < days; i += 1) {
+    byDay.set(new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10), emptyRow());
+  }
+  const rowFor = (discountId) => {
+    if (!byDiscount.has(discountId)) byDiscount.set(discountId, emptyRow());
+    return byDiscount.get(discountId);
+  };
+
+  for (const entry of counts) {
+    const key = field[entry.eventType];
+    if (!key) continue;
+    rowFor(entry.discountId)[key] += entry.count;
+    const dayRow = byDay.get(new Date(entry.day).toISOString().slice(0, 10));
+    if (dayRow) dayRow[key] += entry.count;
+  }
+
+  // Revenue is counted once per order in the totals, but for every discount it used
+  const totals = emptyRow();
+  const seenOrders = new Set();
+  for (const order of orders) {
+    addRevenue(rowFor(order.discountId), order);
+    if (seenOrders.has(order.orderId)) continue;
+    seenOrders.add(order.orderId);
+    addRevenue(totals, order);
+    const dayRow = byDay.get(new Date(order.orderedAt).toISOString().slice(0, 10));
+    if (dayRow) addRevenue(dayRow, order);
+  }
+  for (const row of byDiscount.values()) {
+    for (const key of Object.values(field)) totals[key] += row[key];
+  }
+
+  return {
+    days,
+    totals,
+    discounts: [...byDiscount.entries()]
+      .map(([discountId, row]) => ({ discountId, title: titles.get(discountId) || null, ...row }))
+      .sort((a, b) => b.orders - a.orders || b.impressions - a.impressions),
+    series: [...byDay.entries()].map(([day, row]) => ({ day, ...row })),
+  };
+}
@@ -1,14 +1,13 @@
 import crypto from "crypto";
+import { getKvStore } from "./kv-store.server.js";
 import { createLogger } from "./logger.server.js";
 
 const logger = createLogger("StorefrontAuth");
 
 // Cache configuration
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const MAX_CACHE_SIZE = parseInt(process.env.STOREFRONT_TOKEN_CACHE_SIZE, 10) || 1000;
 
-// In-memory token cache with TTL
-const tokenCache = new Map();
+const tokenKey = (shop) => `token:${shop}`;
 
 /**
  * Generates a secure random token for storefront API authentication
@@ -19,93 +18,44 @@ export function generateStorefrontToken() {
 }
 
 /**
- * Retrieves a cached token if it exists and hasn't expired
+ * Clears a specific shop's token from cache
  * @param {string} shop - Shop domain
- * @returns {string|null} Token or null if not cached/expired
  */
-function getCachedToken(shop) {
-  const entry = tokenCache.get(shop);
-  if (!entry) {
-    return null;
-  }
-
-  // Check if expired
-  if (Date.now() > entry.expiresAt) {
-    tokenCache.delete(shop);
-    logger.debug("Token cache entry expired", { shop });
-    return null;
-  }
-
-  return entry.token;
+export async function clearTokenCache(shop) {
+  const store = await getKvStore();
+  await store.delete(tokenKey(shop));
+  logger.debug("Token cache cleared for shop", { shop });
 }
 
 /**
- * Stores a token in cache with TTL
- * @param {string} shop - Shop domain
- * @param {string} token - Token to cache
+ * Clears entire token cache
  */
-function setCachedToken(shop, token) {
-  const expiresAt = Date.now() + CACHE_TTL_MS;
-
-  // If cache exceeds max size, prune expired entries first
-  if (tokenCache.size >= MAX_CACHE_SIZE) {
-    pruneExpiredEntries();
-
-    // If still over limit after pruning, delete oldest entry (LRU-like)
-    if (tokenCache.size >= MAX_CACHE_SIZE) {
-      const firstKey = tokenCache.keys().next().value;
-      if (firstKey) {
-        tokenCache.delete(firstKey);
-        logger.debug("Evicted oldest cache entry", { shop: firstKey });
-      }
-    }
-  }
-
-  tokenCache.set(shop, { token, expiresAt });
-  logger.debug("Token cached", { shop });
+export async function clearAllTokenCache() {
+  const store = await getKvStore();
+  await store.clear("token:");
+  logger.debug("All token cache cleared");
 }
 
 /**
- * Removes all expired entries from cache
+ * Constant-time comparison using crypto.timingSafeEqual
+ * @param {string} storedToken - Token on record
+ * @param {string} providedToken - Token from request
+ * @returns {boolean}
  */
-function pruneExpiredEntries() {
-  const now = Date.now();
-  let prunedCount = 0;
-
-  for (const [shop, entry] of tokenCache.entries()) {
-    if (now > entry.expiresAt) {
-      tokenCache.delete(shop);
-      prunedCount++;
-    }
-  }
-
-  if (prunedCount > 0) {
-    logger.debug("Pruned expired cache entries", { prunedCount });
-  }
-}
+function tokensMatch(storedToken, providedToken) {
+  const a = Buffer.from(storedToken, "utf-8");
+  const b = Buffer.from(providedToken, "utf-8");
 
-/**
- * Clears a specific shop's token from cache
- * @param {string} shop - Shop domain
- */
-export function clearTokenCache(shop) {
-  const deleted = tokenCache.delete(shop);
-  if (deleted) {
-    logger.debug("Token cache cleared for shop", { shop });
+  // Must have same length for timingSafeEqual
+  if (a.length !== b.length) {
+    return false;
   }
+  return crypto.timingSafeEqual(a, b);
 }
 
 /**
- * Clears entire token cache
- */
-export function clearAllTokenCache() {
-  const size = tokenCache.size;
-  tokenCache.clear();
-  logger.debug("All token cache cleared", { clearedEntries: size });
-}
-
-/**
- * Authenticates a storefront API request using timing-safe token comparison
+ * Authenticates a storefront API request using timing-safe token comparison.
+ * After a rotation the previous token is accepted until its grace window ends.
  * @param {string} shop - Shop domain
  * @param {string} providedToken - Token from request
  * @param {Object} db - Prisma client instance
@@ -119,14 +69,19 @@ export async function authenticateStorefrontRequest(shop, providedToken, db) {
       return false;
     }
 
-    // Check cache first
-    let storedToken = getCachedToken(shop);
+    // Check cache first: { token, previousToken, previousExpiresAt }
+    const store = await getKvStore();
+    let cached = await store.get(tokenKey(shop));
 
     // If not cached, query database
-    if (!storedToken) {
+    if (!cached?.token) {
       const shopRecord = await db.shop.findUnique({
         where: { domain: shop },
-        select: { storefrontToken: true },
+        select: {
+          storefrontToken: true,
+          previousStorefrontToken: true,
+          previousStorefrontTokenExpiresAt: true,
+        },
       });
 
       if (!shopRecord || !shopRecord.storefrontToken) {
@@ -134,29 +89,29 @@ export async function authenticateStorefrontRequest(shop, providedToken, db) {
         return false;
       }
 
-      storedToken = shopRecord.storefrontToken;
-      setCachedToken(shop, storedToken);
+      cached = {
+        token: shopRecord.storefrontToken,
+        previousToken: shopRecord.previousStorefrontToken || null,
+        previousExpiresAt: shopRecord.previousStorefrontTokenExpiresAt
+          ? new Date(shopRecord.previousStorefrontTokenExpiresAt).getTime()
+          : null,
+      };
+      await store.set(tokenKey(shop), cached, CACHE_TTL_MS);
     }
 
-    // Constant-time comparison using crypto.timingSafeEqual
-    const a = Buffer.from(storedToken, "utf-8");
-    const b = Buffer.from(providedToken, "utf-8");
-
-    // Must have same length for timingSafeEqual
-    if (a.length !== b.length) {
-      logger.warn("Token length mismatch", { shop });
-      return false;
+    if (tokensMatch(cached.token, providedToken)) {
+      logger.debug("Storefront authentication successful", { shop });
+      return true;
     }
 
-    const isValid = crypto.timingSafeEqual(a, b);
-
-    if (isValid) {
-      logger.debug("Storefront authentication successful", { shop });
-    } else {
-      logger.warn("Invalid storefront token provided", { shop });
+    const previousValid = cached.previousToken && cached.previousExpiresAt > Date.now();
+    if (previousValid && tokensMatch(cached.previousToken, providedToken)) {
+      logger.debug("Storefront authenticated with previous token", { shop });
+      return true;
     }
 
-    return isValid;
+    logger.warn("Invalid storefront token provided", { shop });
+    return false;
   } catch (error) {
     logger.error("Error verifying storefront token", { err: error, category: "Auth" });
     return false;
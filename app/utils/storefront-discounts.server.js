@@ -0,0 +1,713 @@
+import { createLogger } from "./logger.server.js";
+import { getShopTierInfo } from "./tier-manager.server.js";
+import { normalizeMinimumRequirement, resolveBestDiscounts } from "./discount-math.server.js";
+import { getVerifiedCustomer } from "./customer-identity.server.js";
+import { getEligibleSegmentDiscountIds } from "./customer-segments.server.js";
+import { resolveCodeDisplay, toStorefrontDisplay } from "./discount-display-config.server.js";
+import { CODE_VISIBILITY } from "./constants.js";
+import { convertAmountCents, SHOP_CURRENCY_CONTEXT } from "./market-currencies.server.js";
+import { getDisplaySnapshot } from "./display-snapshot.server.js";
+import { safeJsonParse } from "./discount-resolver/utils.server.js";
+
+const logger = createLogger("StorefrontDiscounts");
+
+// Larger collections are left to per-product requests
+const MAX_COLLECTION_PRODUCTS = 1000;
+
+// Why a live discount was left out of the /api/discounts response
+export const SKIP_REASON = {
+  INVALID: "INVALID",
+  MISSING_DETAIL: "MISSING_DETAIL",
+  CUSTOMER_SEGMENT: "CUSTOMER_SEGMENT",
+  NOT_TARGETED: "NOT_TARGETED",
+  FIXED_AMOUNT_TIER: "FIXED_AMOUNT_TIER",
+  NO_CURRENCY_RATE: "NO_CURRENCY_RATE",
+  SUBSCRIPTION_TIER: "SUBSCRIPTION_TIER",
+  VARIANT_TIER: "VARIANT_TIER",
+  CODE_HIDDEN: "CODE_HIDDEN",
+};
+
+/**
+ * Extracts numeric ID from Shopify GID.
+ * @param {string} gid - Shopify GID (e.g., "gid://shopify/Product/12345")
+ * @returns {string|null} Numeric ID or null
+ */
+export function extractNumericId(gid) {
+  if (!gid || typeof gid !== 'string') return null;
+  const match = gid.match(/\/(\d+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Validates that a discount has required fields.
+ * @param {object} discount - Discount object
+ * @returns {boolean} True if valid
+ */
+function validateDiscount(discount) {
+  return !!(discount && discount.gid && discount.shop && discount.status);
+}
+
+/**
+ * Builds the Buy X Get Y terms for the storefront badge. The reward is a
+ * percentage or, for an amount-off reward, amountCents in the shop currency.
+ * @param {object} detail - Discount record with bxgyProducts
+ * @returns {object} { buys: { quantity, amountCents }, gets: { quantity, percentage, amountCents, isFree } }
+ */
+function buildBxgyTerms(detail) {
+  const percentage = detail.valueType === 'PERCENTAGE' && typeof detail.percentage === 'number'
+    ? Math.round(detail.percentage * 100)
+    : null;
+  const amountCents = detail.valueType !== 'PERCENTAGE' && typeof detail.amount === 'number'
+    ? Math.round(detail.amount * 100)
+    : null;
+
+  return {
+    buys: {
+      quantity: detail.buysQuantity ?? null,
+      amountCents: typeof detail.buysAmount === 'number' ? Math.round(detail.buysAmount * 100) : null,
+    },
+    gets: {
+      quantity: detail.getsQuantity ?? 1,
+      percentage,
+      amountCents,
+      isFree: percentage !== null && percentage >= 100,
+    },
+  };
+}
+
+/**
+ * Determines whether a product qualifies ("buys"), is the reward ("gets"), or both.
+ * @param {object[]} bxgyProducts - DiscountBxgyProduct records
+ * @param {string} productGid - Product GID
+ * @returns {string|null} 'buys' | 'gets' | 'both' | null
+ */
+function getBxgyRole(bxgyProducts, productGid) {
+  const sides = new Set(bxgyProducts.filter(p => p.productGid === productGid).map(p => p.side));
+  if (sides.has('BUYS') && sides.has('GETS')) return 'both';
+  if (sides.has('BUYS')) return 'buys';
+  if (sides.has('GETS')) return 'gets';
+  return null;
+}
+
+/**
+ * Precomputes the displayed prices of a variant from its stored price.
+ * Uses one-time purchase discounts only; cart-conditional offers never lower the
+ * shown price, and BXGY rewards are excluded by the discount math.
+ * @param {object} variant - ProductVariant record
+ * @param {object[]} discounts - Discounts returned for the product
+ * @param {string} variantId - Numeric variant ID
+ * @returns {object} { regularPriceCents, compareAtPriceCents, currencyCode, finalPriceCents, couponPriceCents }
+ */
+function buildVariantPricing(variant, discounts, variantId) {
+  const { automaticEntry, couponEntry } = resolveBestDiscounts({
+    discounts: discounts.filter(d => d.appliesOnOneTimePurchase !== false),
+    regularPriceCents: variant.priceCents,
+    currentVariantId: variantId,
+  });
+
+  return {
+    regularPriceCents: variant.priceCents,
+    compareAtPriceCents: variant.compareAtPriceCents ?? null,
+    currencyCode: variant.currencyCode || null,
+    finalPriceCents: automaticEntry?.finalPriceCents ?? variant.priceCents,
+    couponPriceCents: couponEntry?.finalPriceCents ?? null,
+  };
+}
+
+// Skips decided before a discount's targets are known
+const PRE_TARGETING_SKIPS = new Set([SKIP_REASON.INVALID, SKIP_REASON.MISSING_DETAIL]);
+
+/**
+ * Builds the shop's display snapshot: every live discount in display priority
+ * order with its storefront offer, and a productId → discounts map with the
+ * handle, singlePrice flag and stored variant prices of each product.
+ * Live discounts that start later are left out; the snapshot expires when they start.
+ * Tier gating and code visibility are decided here; customer segments, request
+ * filters and the presentment currency are applied per request by
+ * sliceDisplaySnapshot. Holds only JSON values so any key/value store can keep it.
+ * @param {string} shop - Shop domain
+ * @param {object} db - Prisma client instance
+ * @returns {Promise<object>} { tier, isBasicOrHigher, discounts, products, handles, builtAt, validUntil }
+ */
+export async function buildDisplaySnapshot(shop, db) {
+  // Fetch live discounts, including ones the merchant activated before their start date
+  const now = new Date();
+  const liveRows = await db.liveDiscount.findMany({
+    where: {
+      shop,
+      status: 'LIVE',
+      OR: [{ endsAt: null }, { endsAt: { gt: now } }]
+    },
+    include: { displayConfig: true }
+  });
+  const liveDiscounts = liveRows.filter(d => !(new Date(d.startsAt) > now));
+
+  // Higher display priority first, so each product lists its discounts in that order
+  liveDiscounts.sort((a, b) => (b.displayConfig?.priority || 0) - (a.displayConfig?.priority || 0));
+
+  logger.info("Fetched live discounts", { shop, count: liveDiscounts.length });
+
+  // Load tier info
+  let tierInfo;
+  try {
+    tierInfo = await getShopTierInfo(shop, db);
+  } catch (err) {
+    logger.error("Failed to load tier info, defaulting to FREE", { err, shop });
+    tierInfo = { tier: 'FREE' };
+  }
+
+  const tier = tierInfo.tier || 'FREE';
+  const isBasicOrHigher = ['BASIC', 'ADVANCED'].includes(tier);
+  const isAdvanced = tier === 'ADVANCED';
+
+  logger.debug("Loaded tier info", { shop, tier, isBasicOrHigher, isAdvanced });
+
+  // The snapshot goes stale when the next discount starts or ends, or a plan change takes effect
+  let validUntil = null;
+  const staleAt = (date) => {
+    const time = date ? new Date(date).getTime() : NaN;
+    if (time > now.getTime() && (validUntil === null || time < validUntil)) validUntil = time;
+  };
+  staleAt(tierInfo.pendingTierEffectiveAt);
+  for (const row of liveRows) staleAt(row.startsAt);
+
+  // Preload detailed discounts with junction tables
+  const discountGids = liveDiscounts.map(d => d.gid).filter(Boolean);
+  const detailedDiscounts = discountGids.length > 0
+    ? await db.discount.findMany({
+        where: { shop, gid: { in: discountGids } },
+        include: {
+          targets: true,    // DiscountTarget records
+          products: true,   // DiscountProduct records
+          variants: true,   // DiscountVariant records
+          codes: true,      // DiscountCode records
+          bxgyProducts: true, // DiscountBxgyProduct records (BXGY only)
+        }
+      })
+    : [];
+  const detailedMap = new Map(detailedDiscounts.map(d => [d.gid, d]));
+
+  logger.debug("Loaded detailed discounts with junction tables", { shop, loaded: detailedDiscounts.length });
+
+  const discounts = [];
+  const products = {};
+  const productGids = new Set();
+
+  for (const liveDisc of liveDiscounts) {
+    // Validate
+    if (!validateDiscount(liveDisc)) {
+      logger.debug("Skipping invalid discount", { gid: liveDisc.gid });
+      discounts.push({ gid: liveDisc.gid || null, skipReason: SKIP_REASON.INVALID });
+      continue;
+    }
+
+    const detail = detailedMap.get(liveDisc.gid);
+    if (!detail) {
+      logger.debug("No detailed record found", { gid: liveDisc.gid });
+      discounts.push({ gid: liveDisc.gid, skipReason: SKIP_REASON.MISSING_DETAIL });
+      continue;
+    }
+
+    staleAt(liveDisc.endsAt);
+
+    // Use junction tables instead of JSON parsing
+    const resolvedProductGids = detail.products.map(p => p.productGid);
+    const resolvedVariantGids = detail.variants.map(v => v.variantGid);
+    const targets = detail.targets;
+    const codes = detail.codes;
+    const bxgyProducts = detail.bxgyProducts || [];
+    const isBxgy = bxgyProducts.length > 0;
+
+    // Customer-segment discounts are only returned to a signed-in, eligible customer
+    const entry = {
+      gid: detail.gid,
+      skipReason: null,
+      restricted: detail.customerSelectionAll === false,
+      customerSegments: detail.customerSelectionAll === false ? (detail.customerSegments ?? null) : null,
+      productIds: resolvedProductGids.map(extractNumericId).filter(Boolean),
+      variantIds: resolvedVariantGids.map(extractNumericId).filter(Boolean),
+      offer: null,
+    };
+    discounts.push(entry);
+
+    // Which coupon code may be revealed; the merchant can also hide the discount
+    const codeDisplay = detail.discountType === 'CODE'
+      ? resolveCodeDisplay(detail, codes, liveDisc.displayConfig)
+      : null;
+    if (codeDisplay?.visibility === CODE_VISIBILITY.HIDE) {
+      entry.skipReason = SKIP_REASON.CODE_HIDDEN;
+      continue;
+    }
+
+    // Determine target levels from DiscountTarget records
+    const productLevelTargets = new Set();
+    const variantLevelTargets = new Set();
+    let hasCollectionLevelTargets = false;
+
+    for (const target of targets) {
+      if (target.targetGid.includes('Collection/')) {
+        hasCollectionLevelTargets = true;
+      } else if (target.targetGid.includes('ProductVariant/')) {
+        const vid = extractNumericId(target.targetGid);
+        if (vid) variantLevelTargets.add(vid);
+      } else if (target.targetGid.includes('Product/')) {
+        const pid = extractNumericId(target.targetGid);
+        if (pid) productLevelTargets.add(pid);
+      }
+    }
+
+    // Tier gating: fixed-amount excluded for FREE tier
+    const valueType = detail.valueType === 'PERCENTAGE' ? 'percentage' : 'fixed';
+    if (!isBasicOrHigher && valueType === 'fixed') {
+      logger.debug("Skipping fixed-amount discount for FREE tier", { gid: detail.gid, tier });
+      entry.skipReason = SKIP_REASON.FIXED_AMOUNT_TIER;
+      continue;
+    }
+
+    // Build discount object; fixed amounts stay in the shop currency until a request
+    // says which currency the shopper is browsing in
+    const discountObj = {
+      id: extractNumericId(detail.gid),
+      kind: isBxgy ? 'bxgy' : 'basic',
+      isAutomatic: detail.discountType === 'AUTO',
+      type: valueType,
+      value: detail.valueType === 'PERCENTAGE'
+        ? Math.round(detail.percentage * 100)
+        : Math.round(detail.amount * 100),
+      endDate: detail.endsAt ? detail.endsAt.toISOString().split('T')[0] : null,
+      endsAt: detail.endsAt ? detail.endsAt.toISOString() : null,
+      appliesOnOneTimePurchase: detail.appliesOnOneTimePurchase,
+      appliesOnSubscription: detail.appliesOnSubscription,
+      combinesWith: {
+        productDiscounts: !!detail.combinesWithProduct,
+        orderDiscounts: !!detail.combinesWithOrder,
+        shippingDiscounts: !!detail.combinesWithShipping,
+      },
+    };
+
+    if (valueType === 'fixed') {
+      discountObj.currencyCode = detail.currencyCode || null;
+    }
+
+    // Merchant overrides for this discount's badge, terms and priority
+    const display = toStorefrontDisplay(liveDisc.displayConfig);
+    if (display) {
+      discountObj.display = display;
+    }
+
+    // Coupon code from the junction table, or a code-less coupon offer
+    if (codeDisplay?.code) {
+      discountObj.code = codeDisplay.code;
+    } else if (codeDisplay) {
+      discountObj.codeHidden = true;
+    }
+
+    // Remaining redemptions of capped codes, for "Only N left" messaging
+    if (detail.usageLimit !== null && detail.usageLimit !== undefined) {
+      discountObj.usesLeft = Math.max(detail.usageLimit - (detail.asyncUsageCount || 0), 0);
+    }
+
+    // Buy X Get Y terms (badge only, never applied to the displayed price)
+    if (isBxgy) {
+      discountObj.bxgy = buildBxgyTerms(detail);
+    }
+
+    // Cart-conditional threshold (storefront checks it against /cart.js)
+    const minimumRequirement = normalizeMinimumRequirement(detail.minimumRequirement);
+    if (minimumRequirement) {
+      discountObj.minimumRequirement = minimumRequirement;
+    }
+
+    entry.offer = discountObj;
+    const index = discounts.length - 1;
+
+    // Link the discount to each affected product
+    for (const productGid of resolvedProductGids) {
+      const productId = extractNumericId(productGid);
+      if (!productId) continue;
+
+      if (!products[productId]) {
+        products[productId] = { handle: null, singlePrice: false, variants: {}, discounts: [] };
+      }
+      productGids.add(productGid);
+
+      // Per-product variant scope
+      const link = { index };
+      if (isBxgy) {
+        // BXGY targets span both sides; the badge applies to every variant
+        link.variantScope = { type: 'ALL', ids: [] };
+        link.bxgyRole = getBxgyRole(bxgyProducts, productGid);
+      } else if (productLevelTargets.has(productId) || hasCollectionLevelTargets) {
+        link.variantScope = { type: 'ALL', ids: [] };
+      } else if (variantLevelTargets.size > 0) {
+        link.variantScope = { type: 'PARTIAL', ids: entry.variantIds };
+      } else {
+        link.variantScope = { type: 'ALL', ids: [] };
+      }
+
+      // Tier gating per product
+      if (!isAdvanced && detail.appliesOnSubscription) {
+        link.skipReason = SKIP_REASON.SUBSCRIPTION_TIER;
+      } else if (!isAdvanced && link.variantScope.type === 'PARTIAL') {
+        link.skipReason = SKIP_REASON.VARIANT_TIER;
+      }
+
+      products[productId].discounts.push(link);
+    }
+  }
+
+  // Enrich products with handle, singlePrice and stored variant prices
+  const handles = {};
+  if (productGids.size > 0) {
+    const dbProducts = await db.product.findMany({
+      where: { shop, gid: { in: Array.from(productGids) } },
+      select: { gid: true, handle: true, singlePrice: true }
+    });
+
+    for (const p of dbProducts) {
+      const num = extractNumericId(p.gid);
+      if (num && products[num]) {
+        products[num].handle = p.handle || null;
+        products[num].singlePrice = !!p.singlePrice;
+        if (p.handle) handles[p.handle] = num;
+      }
+    }
+
+    logger.debug("Enriched products with handle and singlePrice", { shop, enriched: dbProducts.length });
+
+    const dbVariants = dbProducts.length > 0
+      ? await db.productVariant.findMany({
+          where: { shop, productGid: { in: dbProducts.map(p => p.gid) } },
+          select: { gid: true, productGid: true, priceCents: true, compareAtPriceCents: true, currencyCode: true }
+        })
+      : [];
+
+    for (const variant of dbVariants) {
+      const productId = extractNumericId(variant.productGid);
+      const variantId = extractNumericId(variant.gid);
+      if (!productId || !variantId || !products[productId]) continue;
+      products[productId].variants[variantId] = {
+        priceCents: variant.priceCents,
+        compareAtPriceCents: variant.compareAtPriceCents ?? null,
+        currencyCode: variant.currencyCode || null,
+      };
+    }
+
+    logger.debug("Stored variant prices", { shop, variants: dbVariants.length });
+  }
+
+  return {
+    tier,
+    isBasicOrHigher,
+    discounts,
+    products,
+    handles,
+    builtAt: now.getTime(),
+    validUntil,
+  };
+}
+
+/**
+ * Converts a snapshot offer into the presentment currency.
+ * Fixed amounts are stored in the shop currency; a shopper browsing in another
+ * currency would see the wrong savings without a rate, so those return null.
+ * @param {object} offer - Snapshot discount object
+ * @param {object} presentment - Presentment currency context
+ * @returns {object|null} Copy of the offer, or null when it cannot be shown
+ */
+function presentOffer(offer, presentment) {
+  const presented = { ...offer };
+
+  if (offer.type === 'fixed') {
+    const value = convertAmountCents(offer.value, offer.currencyCode, presentment);
+    if (value === null) return null;
+    presented.value = value;
+    presented.currencyCode = presentment.currencyCode || offer.currencyCode || null;
+    // An amount-off BXGY reward is the offer's value
+    if (offer.bxgy?.gets.amountCents != null) {
+      presented.bxgy = { ...offer.bxgy, gets: { ...offer.bxgy.gets, amountCents: value } };
+    }
+  }
+
+  // Without a rate the threshold stays in its own currency and the storefront treats it as unmet
+  const minimumRequirement = offer.minimumRequirement;
+  if (minimumRequirement) {
+    const amountCents = minimumRequirement.type === 'subtotal'
+      ? convertAmountCents(minimumRequirement.amountCents, minimumRequirement.currencyCode, presentment)
+      : null;
+    presented.minimumRequirement = amountCents !== null
+      ? { ...minimumRequirement, amountCents, currencyCode: presentment.currencyCode || minimumRequirement.currencyCode }
+      : minimumRequirement;
+  }
+
+  return presented;
+}
+
+/**
+ * Cuts the per-product discount lists for one request out of a display snapshot.
+ * Every live discount that is left out is reported through `onSkip`, with the
+ * checks it cleared first, each named by the SKIP_REASON it would have given.
+ * Never mutates the snapshot, which may be shared between requests.
+ * @param {object} snapshot - From buildDisplaySnapshot
+ * @param {object} options
+ * @param {Set<string>} options.productIds - Requested numeric product IDs
+ * @param {Set<string>} options.variantIds - Requested numeric variant IDs
+ * @param {Set<string>} [options.handles] - Requested product handles
+ * @param {object} [options.presentment] - Presentment currency context
+ * @param {Set<string>} [options.eligibleRestrictedGids] - Customer-segment discounts the shopper qualifies for
+ * @param {Function|null} [options.onSkip] - Called with { gid, reason, productId?, passed } for each skipped discount
+ * @returns {object} Products keyed by numeric product ID
+ */
+export function sliceDisplaySnapshot(snapshot, {
+  productIds,
+  variantIds,
+  handles = new Set(),
+  presentment = SHOP_CURRENCY_CONTEXT,
+  eligibleRestrictedGids = new Set(),
+  onSkip = null,
+}) {
+  const skip = (gid, reason, productId, passed) => {
+    if (onSkip) onSkip({ gid, reason, productId, passed: [...passed] });
+  };
+
+  // Handles of discounted products resolve from the snapshot; others have nothing to show
+  const requestedProductIds = new Set(productIds);
+  for (const handle of handles) {
+    const productId = snapshot.handles[handle];
+    if (productId) requestedProductIds.add(productId);
+  }
+
+  // Offers for this request, by snapshot index
+  const offers = new Map();
+  const passedByIndex = new Map();
+  const variantMatches = new Set();
+  snapshot.discounts.forEach((entry, index) => {
+    if (PRE_TARGETING_SKIPS.has(entry.skipReason)) {
+      skip(entry.gid, entry.skipReason, null, []);
+      return;
+    }
+    const passed = [...PRE_TARGETING_SKIPS];
+    if (entry.restricted && !eligibleRestrictedGids.has(entry.gid)) {
+      skip(entry.gid, SKIP_REASON.CUSTOMER_SEGMENT, null, passed);
+      return;
+    }
+    passed.push(SKIP_REASON.CUSTOMER_SEGMENT);
+
+    // Check if this discount matches any requested products/variants
+    const matchesProduct = entry.productIds.some(id => requestedProductIds.has(id));
+    const matchesVariant = entry.variantIds.some(id => variantIds.has(id));
+    if (!matchesProduct && !matchesVariant) {
+      skip(entry.gid, SKIP_REASON.NOT_TARGETED, null, passed);
+      return;
+    }
+    passed.push(SKIP_REASON.NOT_TARGETED);
+
+    // buildDisplaySnapshot checks code visibility before the fixed-amount tier
+    if (entry.skipReason === SKIP_REASON.FIXED_AMOUNT_TIER) passed.push(SKIP_REASON.CODE_HIDDEN);
+    if (entry.skipReason) {
+      skip(entry.gid, entry.skipReason, null, passed);
+      return;
+    }
+    passed.push(SKIP_REASON.CODE_HIDDEN, SKIP_REASON.FIXED_AMOUNT_TIER);
+
+    const offer = presentOffer(entry.offer, presentment);
+    if (!offer) {
+      logger.debug("Skipping fixed-amount discount without a rate for the presentment currency", {
+        gid: entry.gid, from: entry.offer.currencyCode, to: presentment.currencyCode,
+      });
+      skip(entry.gid, SKIP_REASON.NO_CURRENCY_RATE, null, passed);
+      return;
+    }
+    passed.push(SKIP_REASON.NO_CURRENCY_RATE);
+
+    offers.set(index, offer);
+    passedByIndex.set(index, passed);
+    // A requested variant brings in every product of its discount
+    if (matchesVariant) variantMatches.add(index);
+  });
+
+  const candidateIds = new Set(requestedProductIds);
+  for (const index of variantMatches) {
+    snapshot.discounts[index].productIds.forEach(id => candidateIds.add(id));
+  }
+
+  const products = {};
+  for (const productId of candidateIds) {
+    const stored = snapshot.products[productId];
+    if (!stored) continue;
+
+    for (const link of stored.discounts) {
+      const offer = offers.get(link.index);
+      if (!offer) continue;
+      if (!requestedProductIds.has(productId) && !variantMatches.has(link.index)) continue;
+
+      // Initialize product entry
+      if (!products[productId]) {
+        products[productId] = { handle: stored.handle, variants: {}, discounts: [], singlePrice: stored.singlePrice };
+      }
+
+      if (link.skipReason) {
+        // The subscription tier is checked before the variant tier
+        const passed = link.skipReason === SKIP_REASON.VARIANT_TIER
+          ? [...passedByIndex.get(link.index), SKIP_REASON.SUBSCRIPTION_TIER]
+          : passedByIndex.get(link.index);
+        skip(snapshot.discounts[link.index].gid, link.skipReason, productId, passed);
+        continue;
+      }
+
+      // Clone discount with per-product variant scope
+      const productDiscount = { ...offer, variantScope: link.variantScope };
+      if (offer.bxgy) {
+        productDiscount.bxgy = { ...offer.bxgy, role: link.bxgyRole };
+      }
+      products[productId].discounts.push(productDiscount);
+    }
+
+    if (!products[productId]) continue;
+
+    // Precomputed per-variant prices; variants without a stored price fall back to DOM parsing
+    for (const [variantId, variant] of Object.entries(stored.variants)) {
+      // Stored prices are in the shop currency; Markets price lists and rounding
+      // make other currencies unpredictable, so the storefront reads those from the DOM
+      if (presentment.currencyCode && variant.currencyCode !== presentment.currencyCode) continue;
+      products[productId].variants[variantId] = buildVariantPricing(
+        variant, products[productId].discounts, variantId
+      );
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Resolves requested collections to their products from the stored
+ * Collection.productIds. Collections that are not stored, or that hold more
+ * than MAX_COLLECTION_PRODUCTS products, are left out so the storefront asks
+ * for their products one page at a time.
+ * @param {string} shop - Shop domain
+ * @param {object} options
+ * @param {Set<string>} options.collectionIds - Requested numeric collection IDs
+ * @param {Set<string>} options.collectionHandles - Requested collection handles
+ * @param {object} db - Prisma client instance
+ * @returns {Promise<object>} { handle, productIds } keyed by numeric collection ID
+ */
+async function resolveCollectionProducts(shop, { collectionIds, collectionHandles }, db) {
+  if (collectionIds.size === 0 && collectionHandles.size === 0) return {};
+
+  const where = [];
+  if (collectionIds.size > 0) {
+    where.push({ gid: { in: Array.from(collectionIds, id => `gid://shopify/Collection/${id}`) } });
+  }
+  if (collectionHandles.size > 0) {
+    where.push({ handle: { in: Array.from(collectionHandles) } });
+  }
+
+  let rows;
+  try {
+    rows = await db.collection.findMany({
+      where: { shop, OR: where },
+      select: { gid: true, handle: true, productIds: true },
+    });
+  } catch (error) {
+    // The requested products are still served; only the collection shortcut is lost
+    logger.error("Failed to load collections", { err: error, shop });
+    return {};
+  }
+
+  const collections = {};
+  for (const row of rows) {
+    const collectionId = extractNumericId(row.gid);
+    if (!collectionId) continue;
+
+    const productIds = safeJsonParse(row.productIds, []).map(extractNumericId).filter(Boolean);
+    if (productIds.length > MAX_COLLECTION_PRODUCTS) {
+      logger.debug("Collection too large to resolve", { shop, collectionId, count: productIds.length });
+      continue;
+    }
+    collections[collectionId] = { handle: row.handle || null, productIds };
+  }
+
+  logger.debug("Resolved collection products", {
+    shop, requested: collectionIds.size + collectionHandles.size, resolved: Object.keys(collections).length,
+  });
+  return collections;
+}
+
+/**
+ * Builds the per-product discount lists served by GET /api/discounts from the
+ * shop's display snapshot.
+ * Every live discount that is left out is reported through `onSkip`, so the
+ * admin preview can explain the same decisions the storefront gets.
+ * @param {string} shop - Shop domain
+ * @param {object} options
+ * @param {Set<string>} options.productIds - Requested numeric product IDs
+ * @param {Set<string>} options.variantIds - Requested numeric variant IDs
+ * @param {Set<string>} [options.handles] - Requested product handles
+ * @param {Set<string>} [options.collectionIds] - Requested numeric collection IDs
+ * @param {Set<string>} [options.collectionHandles] - Requested collection handles
+ * @param {object} [options.presentment] - Presentment currency context
+ * @param {URLSearchParams|null} [options.customerParams] - Signed customer identity params, if any
+ * @param {Function|null} [options.onSkip] - Called with { gid, reason, productId?, passed } for each skipped discount
+ * @param {boolean} [options.cached] - Use the stored snapshot (false rebuilds it from the database)
+ * @param {object} db - Prisma client instance
+ * @returns {Promise<{ products: object, collections: object, tier: string, isBasicOrHigher: boolean, revision: string|null }>}
+ */
+export async function buildStorefrontProducts(shop, {
+  productIds,
+  variantIds,
+  handles = new Set(),
+  collectionIds = new Set(),
+  collectionHandles = new Set(),
+  presentment = SHOP_CURRENCY_CONTEXT,
+  customerParams = null,
+  onSkip = null,
+  cached = true,
+}, db) {
+  const snapshot = cached
+    ? await getDisplaySnapshot(shop, () => buildDisplaySnapshot(shop, db))
+    : await buildDisplaySnapshot(shop, db);
+
+  // Customer-segment discounts are only returned to a signed-in, eligible customer
+  const restrictedDiscounts = snapshot.discounts.filter(d => d.restricted);
+  let eligibleRestrictedGids = new Set();
+  if (restrictedDiscounts.length > 0) {
+    const customer = customerParams ? await getVerifiedCustomer(shop, customerParams, db) : null;
+    if (customer) {
+      eligibleRestrictedGids = await getEligibleSegmentDiscountIds(shop, customer, restrictedDiscounts, db, {
+        getAdmin: async () => {
+          const { unauthenticated } = await import("../shopify.server");
+          const { admin } = await unauthenticated.admin(shop);
+          return admin;
+        },
+      });
+    }
+    logger.debug("Resolved customer segment eligibility", {
+      shop, restricted: restrictedDiscounts.length, eligible: eligibleRestrictedGids.size, signedIn: !!customer,
+    });
+  }
+
+  // Every discounted product of a requested collection is returned, so cards loaded later need no request
+  const collections = await resolveCollectionProducts(shop, { collectionIds, collectionHandles }, db);
+  const requestedProductIds = new Set(productIds);
+  for (const collection of Object.values(collections)) {
+    collection.productIds.forEach(id => requestedProductIds.add(id));
+  }
+
+  const products = sliceDisplaySnapshot(snapshot, {
+    productIds: requestedProductIds,
+    variantIds,
+    handles,
+    presentment,
+    eligibleRestrictedGids,
+    onSkip,
+  });
+
+  return {
+    products,
+    collections,
+    tier: snapshot.tier,
+    isBasicOrHigher: snapshot.isBasicOrHigher,
+    // Null when the snapshot was built without the store (preview, store errors)
+    revision: snapshot.revision ?? null,
+  };
+}
@@ -0,0 +1,298 @@
+import { createLogger } from "./logger.server.js";
+import { graphqlQuery } from "./discount-resolver/graphql-client.server.js";
+import { cancelJobs, registerJobHandler, scheduleJob } from "./scheduler.server.js";
+import { clearTokenCache, generateStorefrontToken } from "./storefront-auth.server.js";
+import { TOKEN_GRACE_OPTIONS, TOKEN_ROTATION_INTERVAL_OPTIONS } from "./constants.js";
+
+const logger = createLogger("StorefrontTokenRotation");
+
+export const TOKEN_ROTATION_JOB_TYPE = "STOREFRONT_TOKEN_ROTATION";
+
+export const ROTATION_REASON = {
+  MANUAL: "MANUAL",
+  SCHEDULED: "SCHEDULED",
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Scheduled rotations keep the old token long enough for cached theme pages to expire
+const DEFAULT_GRACE_HOURS = parseInt(process.env.STOREFRONT_TOKEN_GRACE_HOURS, 10) || 24;
+const AUDIT_LOG_LIMIT = 10;
+
+const ALLOWED_GRACE_HOURS = new Set(TOKEN_GRACE_OPTIONS.map((o) => Number(o.value)));
+const ALLOWED_ROTATION_DAYS = new Set(
+  TOKEN_ROTATION_INTERVAL_OPTIONS.filter((o) => o.value).map((o) => Number(o.value)),
+);
+
+const SET_TOKEN_METAFIELD_MUTATION = `
+  mutation SetStorefrontToken($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Write the shop's current storefront token to the discount_app.storefront_token
+ * metafield the theme block reads. Safe to repeat.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {Object} db - Prisma client instance
+ */
+export async function publishStorefrontToken(shopDomain, admin, db) {
+  const shop = await db.shop.findUnique({
+    where: { domain: shopDomain },
+    select: { storefrontToken: true },
+  });
+  if (!shop?.storefrontToken) {
+    throw new Error(`No storefront token to publish for ${shopDomain}`);
+  }
+
+  const { data: shopData } = await graphqlQuery(admin, `query { shop { id } }`);
+  const ownerId = shopData?.shop?.id;
+  if (!ownerId) {
+    throw new Error("Could not resolve shop ID");
+  }
+
+  const { data } = await graphqlQuery(admin, SET_TOKEN_METAFIELD_MUTATION, {
+    metafields: [{
+      namespace: "discount_app",
+      key: "storefront_token",
+      type: "single_line_text_field",
+      value: shop.storefrontToken,
+      ownerId,
+    }],
+  });
+  const userErrors = data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+}
+
+/**
+ * Replace the shop's storefront token, keep the old one valid for the grace window,
+ * publish the new one to the theme and record the rotation in the audit log.
+ * The new token is saved before it is published, so a failed publish leaves the
+ * storefront on the old token until the grace window ends.
+ * Only one previous token is kept, so a rotation with a grace window is refused
+ * while an earlier one's is still open; revoking immediately is always allowed.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} admin - Shopify admin GraphQL client
+ * @param {Object} db - Prisma client instance
+ * @param {Object} [options] - { reason, graceHours, actor }
+ * @returns {Promise<{ rotated: true, rotatedAt: Date, graceEndsAt: Date|null, metafieldSynced: boolean }
+ *   | { rotated: false, previousValidUntil: Date }>}
+ */
+export async function rotateStorefrontToken(shopDomain, admin, db, options = {}) {
+  const {
+    reason = ROTATION_REASON.MANUAL,
+    graceHours = DEFAULT_GRACE_HOURS,
+    actor = null,
+  } = options;
+
+  const rotatedAt = new Date();
+  // Read and write in one transaction so concurrent rotations can't both keep the same old token
+  const { audit, graceEndsAt, previousValidUntil } = await db.$transaction(async (tx) => {
+    const shop = await tx.shop.findUnique({
+      where: { domain: shopDomain },
+      select: { id: true, storefrontToken: true, previousStorefrontTokenExpiresAt: true },
+    });
+    if (!shop) {
+      throw new Error(`Shop not found for token rotation: ${shopDomain}`);
+    }
+
+    // Replacing the previous token would revoke it before its grace window ends
+    const previousExpiresAt = shop.previousStorefrontTokenExpiresAt
+      ? new Date(shop.previousStorefrontTokenExpiresAt)
+      : null;
+    if (graceHours > 0 && previousExpiresAt > rotatedAt) {
+      return { previousValidUntil: previousExpiresAt };
+    }
+
+    const graceEndsAt = graceHours > 0 && shop.storefrontToken
+      ? new Date(rotatedAt.getTime() + graceHours * HOUR_MS)
+      : null;
+    await tx.shop.update({
+      where: { id: shop.id },
+      data: {
+        storefrontToken: generateStorefrontToken(),
+        previousStorefrontToken: graceEndsAt ? shop.storefrontToken : null,
+        previousStorefrontTokenExpiresAt: graceEndsAt,
+        storefrontTokenRotatedAt: rotatedAt,
+      },
+    });
+    const audit = await tx.storefrontTokenRotation.create({
+      data: { shop: shopDomain, shopId: shop.id, reason, actor, graceEndsAt },
+    });
+    return { audit, graceEndsAt };
+  });
+
+  if (previousValidUntil) {
+    logger.warn("Token rotation refused while the previous token is in its grace window", {
+      shop: shopDomain, reason, previousValidUntil,
+    });
+    return { rotated: false, previousValidUntil };
+  }
+  await clearTokenCache(shopDomain);
+
+  let metafieldSynced = false;
+  try {
+    await publishStorefrontToken(shopDomain, admin, db);
+    metafieldSynced = true;
+    await db.storefrontTokenRotation.update({
+      where: { id: audit.id },
+      data: { metafieldSynced },
+    });
+  } catch (error) {
+    logger.error("Rotated storefront token but could not publish it", {
+      err: error, shop: shopDomain, reason,
+    });
+  }
+
+  logger.info("Storefront token rotated", {
+    shop: shopDomain, reason, actor, graceEndsAt, metafieldSynced,
+  });
+  return { rotated: true, rotatedAt, graceEndsAt, metafieldSynced };
+}
+
+/**
+ * Validate a grace window picked in the admin
+ * @param {string|number} value - Hours
+ * @returns {number|null} Hours, or null when not one of TOKEN_GRACE_OPTIONS
+ */
+export function parseGraceHours(value) {
+  const hours = Number(value);
+  return ALLOWED_GRACE_HOURS.has(hours) ? hours : null;
+}
+
+/**
+ * Turn scheduled rotation on or off and (re)arm the job
+ * @param {string} shopDomain - Shop domain
+ * @param {number|null} rotationDays - One of TOKEN_ROTATION_INTERVAL_OPTIONS, or null to turn off
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<Date|null>} Next rotation time
+ */
+export async function setTokenRotationPolicy(shopDomain, rotationDays, db) {
+  if (rotationDays !== null && !ALLOWED_ROTATION_DAYS.has(rotationDays)) {
+    throw new Error(`Invalid rotation interval: ${rotationDays}`);
+  }
+
+  const shop = await db.shop.update({
+    where: { domain: shopDomain },
+    data: { storefrontTokenRotationDays: rotationDays },
+    select: { id: true, storefrontTokenRotatedAt: true },
+  });
+
+  if (rotationDays === null) {
+    await cancelJobs(db, { type: TOKEN_ROTATION_JOB_TYPE, jobKey: shopDomain });
+    return null;
+  }
+
+  const lastRotatedAt = shop.storefrontTokenRotatedAt
+    ? new Date(shop.storefrontTokenRotatedAt).getTime()
+    : Date.now();
+  const runAt = new Date(Math.max(lastRotatedAt + rotationDays * DAY_MS, Date.now()));
+  await scheduleJob(db, {
+    shop: shopDomain,
+    shopId: shop.id,
+    type: TOKEN_ROTATION_JOB_TYPE,
+    jobKey: shopDomain,
+    runAt,
+  });
+  return runAt;
+}
+
+/**
+ * Token state and recent rotations for the Settings page. Never returns token values.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} db - Prisma client instance
+ */
+export async function getStorefrontTokenStatus(shopDomain, db) {
+  const [shop, rotations] = await Promise.all([
+    db.shop.findUnique({
+      where: { domain: shopDomain },
+      select: {
+        previousStorefrontTokenExpiresAt: true,
+        storefrontTokenRotatedAt: true,
+        storefrontTokenRotationDays: true,
+      },
+    }),
+    db.storefrontTokenRotation.findMany({
+      where: { shop: shopDomain },
+      orderBy: { createdAt: "desc" },
+      take: AUDIT_LOG_LIMIT,
+      select: { id: true, reason: true, actor: true, graceEndsAt: true, metafieldSynced: true, createdAt: true },
+    }),
+  ]);
+
+  const previousExpiresAt = shop?.previousStorefrontTokenExpiresAt || null;
+  return {
+    rotatedAt: shop?.storefrontTokenRotatedAt || null,
+    rotationDays: shop?.storefrontTokenRotationDays ?? null,
+    scheduledGraceHours: DEFAULT_GRACE_HOURS,
+    previousValidUntil: previousExpiresAt && new Date(previousExpiresAt) > new Date() ? previousExpiresAt : null,
+    rotations,
+  };
+}
+
+/**
+ * Scheduler handler for STOREFRONT_TOKEN_ROTATION jobs. Rotates when the interval
+ * has passed; a retry after a failed publish only publishes the current token.
+ * While a manual rotation's grace window is open it waits for the window to end.
+ * Re-arms itself while the policy is on.
+ * @returns {Promise<string>} Summary stored on the job
+ */
+export async function runTokenRotationJob(job, db) {
+  const shop = await db.shop.findUnique({
+    where: { domain: job.shop },
+    select: { storefrontTokenRotatedAt: true, storefrontTokenRotationDays: true },
+  });
+  const rotationDays = shop?.storefrontTokenRotationDays;
+  if (!rotationDays) {
+    return "rotation turned off";
+  }
+
+  const { unauthenticated } = await import("../shopify.server");
+  const { admin } = await unauthenticated.admin(job.shop);
+  if (!admin) {
+    throw new Error("Admin client unavailable for token rotation");
+  }
+
+  const lastRotatedAt = shop.storefrontTokenRotatedAt
+    ? new Date(shop.storefrontTokenRotatedAt).getTime()
+    : 0;
+  let summary;
+  let nextRunAt;
+  if (Date.now() >= lastRotatedAt + rotationDays * DAY_MS) {
+    const result = await rotateStorefrontToken(job.shop, admin, db, {
+      reason: ROTATION_REASON.SCHEDULED,
+    });
+    if (!result.rotated) {
+      summary = "waiting for the previous token's grace window";
+      nextRunAt = result.previousValidUntil.getTime();
+    } else if (!result.metafieldSynced) {
+      // Failing the job retries it, and the retry only publishes
+      throw new Error("Token rotated but the storefront metafield was not updated");
+    } else {
+      summary = "token rotated";
+      nextRunAt = result.rotatedAt.getTime() + rotationDays * DAY_MS;
+    }
+  } else {
+    await publishStorefrontToken(job.shop, admin, db);
+    summary = "token published";
+    nextRunAt = lastRotatedAt + rotationDays * DAY_MS;
+  }
+
+  await scheduleJob(db, {
+    shop: job.shop,
+    shopId: job.shopId,
+    type: TOKEN_ROTATION_JOB_TYPE,
+    jobKey: job.shop,
+    runAt: new Date(nextRunAt),
+  });
+  return summary;
+}
+
+export function registerTokenRotationJobHandler() {
+  registerJobHandler(TOKEN_ROTATION_JOB_TYPE, runTokenRotationJob);
+}
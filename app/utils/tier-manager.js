@@ -6,6 +6,8 @@ export const TIER_CONFIG = {
     name: "Free",
     liveDiscountLimit: 1,
     price: 0,
+    // Storefront API requests per shop per rate-limit window
+    storefrontRateLimit: 60,
     features: [
       { text: "1 active discount", bold: false },
       { text: "Automatic and code discounts", bold: false },
@@ -19,6 +21,7 @@ export const TIER_CONFIG = {
     name: "Basic",
     liveDiscountLimit: 3,
     price: 9.99,
+    storefrontRateLimit: 120,
     features: [
       { text: "3 live discounts", bold: false },
       { text: "All features of the Free tier", bold: false },
@@ -30,6 +33,7 @@ export const TIER_CONFIG = {
     name: "Advanced",
     liveDiscountLimit: null, // unlimited
     price: 19.99,
+    storefrontRateLimit: 300,
     features: [
       { text: "Unlimited live discounts", bold: false },
       { text: "All features of the Basic tier", bold: false },
@@ -1,4 +1,6 @@
 import { createLogger } from "./logger.server.js";
+import { clearRateLimitTier } from "./rate-limiter.server.js";
+import { invalidateDisplaySnapshot } from "./display-snapshot.server.js";
 import {
   TIER_CONFIG,
   getAvailableTiers,
@@ -174,12 +176,10 @@ export async function getShopTierInfo(shopDomain, db) {
     const effectiveTier = getEffectiveTierFromShopRecord(shop);
     const tierConfig = TIER_CONFIG[effectiveTier];
 
-    const { liveDiscountCount, enforcedLimit } = await getLiveDiscountState(
-      shopDomain,
-      tierConfig,
-      db,
-      "getShopTierInfo",
-    );
+    // Read-only: every mutation that frees or takes a live slot re-applies the ranking
+    const liveDiscountCount = await db.liveDiscount.count({
+      where: { shop: shopDomain, status: "LIVE" },
+    });
 
     return {
       tier: effectiveTier,
@@ -192,7 +192,6 @@ export async function getShopTierInfo(shopDomain, db) {
       usagePercentage: tierConfig.liveDiscountLimit
         ? Math.round((liveDiscountCount / tierConfig.liveDiscountLimit) * 100)
         : 0,
-      enforcedLimit,
       billingTier: shop.billingTier || effectiveTier,
       billingCurrentPeriodEnd: shop.billingCurrentPeriodEnd || null,
       pendingTier: shop.pendingTier || null,
@@ -220,6 +219,49 @@ export async function getShopTierInfo(shopDomain, db) {
   }
 }
 
+/**
+ * Re-applies the merchant ranking against the shop's effective tier limit.
+ * Call after anything that adds a limit-hidden candidate or frees a live slot.
+ */
+export async function applyLiveDiscountRanking(shopDomain, db) {
+  const shop = await getOrCreateShopTier(shopDomain, db);
+  const tierConfig = TIER_CONFIG[getEffectiveTierFromShopRecord(shop)];
+  return getLiveDiscountState(shopDomain, tierConfig, db, "applyLiveDiscountRanking");
+}
+
+/**
+ * Saves the merchant's live priority order (LiveDiscount ids, highest first)
+ * and re-applies the tier limit so the top-ranked discounts are the ones live.
+ * Ids from other shops are ignored.
+ */
+export async function saveLiveDiscountRanking(shopDomain, orderedIds, db) {
+  const owned = await db.liveDiscount.findMany({
+    where: { shop: shopDomain, id: { in: orderedIds } },
+    select: { id: true },
+  });
+  const ownedIds = new Set(owned.map((row) => row.id));
+  const rankedIds = orderedIds.filter(
+    (id, index) => ownedIds.has(id) && orderedIds.indexOf(id) === index,
+  );
+
+  await db.$transaction(
+    rankedIds.map((id, index) =>
+      db.liveDiscount.update({
+        where: { id },
+        data: { rank: index + 1 },
+      }),
+    ),
+  );
+
+  const { liveDiscountCount } = await applyLiveDiscountRanking(shopDomain, db);
+
+  logger.info("Saved live discount ranking", {
+    shop: shopDomain, ranked: rankedIds.length, liveDiscountCount,
+  });
+
+  return { ranked: rankedIds.length, liveDiscountCount };
+}
+
 export async function updateShopTier(shopDomain, newTier, db, options = {}) {
   const {
     updateBillingTier = false,
@@ -264,6 +306,12 @@ export async function updateShopTier(shopDomain, newTier, db, options = {}) {
       };
     }
 
+    // Re-apply the merchant's ranking so a downgrade keeps the top-N live
+    await getLiveDiscountState(shopDomain, TIER_CONFIG[newTier], db, "updateShopTier");
+    // Storefront API limits and tier-gated discounts follow the plan
+    await clearRateLimitTier(shopDomain);
+    await invalidateDisplaySnapshot(shopDomain);
+
     return shop;
   } catch (error) {
     logger.error("Error updating shop tier", {
@@ -1,4 +1,5 @@
 import { createLogger } from "../logger.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
 
 const logger = createLogger("TierManager");
 
@@ -86,6 +87,7 @@ export async function refreshUpgradeRequiredDiscounts(shopDomain, tier, db) {
     }
 
     if (refreshed > 0) {
+      await invalidateDisplaySnapshot(shopDomain);
       logger.info("Cleared upgrade-required discounts after tier change", {
         shop: shopDomain, tier, refreshed,
       });
@@ -100,6 +102,29 @@ export async function refreshUpgradeRequiredDiscounts(shopDomain, tier, db) {
   }
 }
 
+export const LIVE_LIMIT_REASON = "LIVE_LIMIT";
+
+export const describeLiveLimit = (limit) =>
+  `Hidden because your plan allows ${limit} live discount${limit === 1 ? "" : "s"} and higher-ranked discounts are using them. Move it up in Live priority or upgrade your plan.`;
+
+/**
+ * Merchant ranking order: ranked rows first (lowest rank wins), then unranked
+ * rows oldest first so existing promotions keep precedence over new ones.
+ */
+export function sortByRank(rows) {
+  return [...rows].sort((a, b) => {
+    const aRank = a.rank ?? Number.POSITIVE_INFINITY;
+    const bRank = b.rank ?? Number.POSITIVE_INFINITY;
+    if (aRank !== bRank) return aRank - bRank;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+}
+
+/**
+ * Keeps the top-ranked discounts live up to the tier limit. Candidates are
+ * LIVE rows plus rows hidden only because of the limit; merchant-hidden rows
+ * are left alone. Runs in a transaction so concurrent webhooks can't overshoot.
+ */
 export async function getLiveDiscountState(
   shopDomain,
   tierConfig,
@@ -108,52 +133,82 @@ export async function getLiveDiscountState(
 ) {
   let liveDiscountCount = 0;
   let enforcedLimit = false;
+  let promoted = [];
+  let demoted = [];
+  const limit = tierConfig.liveDiscountLimit;
 
   try {
     const result = await db.$transaction(async (tx) => {
-      const count = await tx.liveDiscount.count({
-        where: {
-          shop: shopDomain,
-          status: "LIVE",
-        },
-      });
-
-      if (
-        tierConfig.liveDiscountLimit !== null &&
-        count > tierConfig.liveDiscountLimit
-      ) {
-        await tx.discount.updateMany({
+      const candidates = sortByRank(
+        await tx.liveDiscount.findMany({
           where: {
             shop: shopDomain,
-            status: "LIVE",
+            OR: [
+              { status: "LIVE" },
+              { status: "HIDDEN", exclusionReason: LIVE_LIMIT_REASON },
+            ],
+          },
+          select: {
+            gid: true,
+            status: true,
+            rank: true,
+            createdAt: true,
+          },
+        }),
+      );
+
+      const kept = limit === null ? candidates : candidates.slice(0, limit);
+      const keptGids = new Set(kept.map((row) => row.gid));
+      const promoted = kept
+        .filter((row) => row.status !== "LIVE")
+        .map((row) => row.gid);
+      const demoted = candidates
+        .filter((row) => row.status === "LIVE" && !keptGids.has(row.gid))
+        .map((row) => row.gid);
+
+      if (demoted.length > 0) {
+        await tx.liveDiscount.updateMany({
+          where: {
+            shop: shopDomain,
+            gid: { in: demoted },
           },
           data: {
             status: "HIDDEN",
+            exclusionReason: LIVE_LIMIT_REASON,
+            exclusionDetails: describeLiveLimit(limit),
           },
         });
+      }
+
+      if (promoted.length > 0) {
         await tx.liveDiscount.updateMany({
           where: {
             shop: shopDomain,
-            status: "LIVE",
+            gid: { in: promoted },
           },
           data: {
-            status: "HIDDEN",
+            status: "LIVE",
+            exclusionReason: null,
+            exclusionDetails: null,
           },
         });
-
-        return { count: 0, previousCount: count, enforced: true };
       }
 
-      return { count, previousCount: count, enforced: false };
+      return { count: kept.length, promoted, demoted };
     });
 
     liveDiscountCount = result.count;
-    enforcedLimit = result.enforced;
+    ({ promoted, demoted } = result);
+    enforcedLimit = demoted.length > 0;
 
-    if (enforcedLimit) {
+    if (demoted.length > 0 || promoted.length > 0) {
+      await invalidateDisplaySnapshot(shopDomain);
       const suffix = contextLabel ? ` (${contextLabel})` : "";
-      logger.warn(`Live discount count (${result.previousCount}) exceeded limit (${tierConfig.liveDiscountLimit}). All discounts hidden to enforce tier limit${suffix}.`, {
-        shop: shopDomain, limit: tierConfig.liveDiscountLimit, previousCount: result.previousCount,
+      logger.info(`Applied live discount ranking${suffix}`, {
+        shop: shopDomain,
+        limit,
+        promoted: promoted.length,
+        demoted: demoted.length,
       });
     }
   } catch (error) {
@@ -176,5 +231,7 @@ export async function getLiveDiscountState(
   return {
     liveDiscountCount,
     enforcedLimit,
+    promoted,
+    demoted,
   };
 }
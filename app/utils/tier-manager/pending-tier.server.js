@@ -1,6 +1,9 @@
 import { TIER_CONFIG } from "../tier-manager.js";
 import { createLogger } from "../logger.server.js";
+import { clearRateLimitTier } from "../rate-limiter.server.js";
+import { invalidateDisplaySnapshot } from "../display-snapshot.server.js";
 import { normalizeDateInput } from "./context-utils.server.js";
+import { getLiveDiscountState } from "./live-discount-helpers.server.js";
 import { fetchShopRowById, rawUpdateShopById } from "./shop-records.server.js";
 
 const logger = createLogger("TierManager");
@@ -67,6 +70,10 @@ export async function applyPendingTierIfDueInternal(shop, db) {
     return shop;
   }
 
+  await getLiveDiscountState(shop.domain, TIER_CONFIG[targetTier], db, "applyPendingTier");
+  await clearRateLimitTier(shop.domain);
+  await invalidateDisplaySnapshot(shop.domain);
+
   return updatedShop;
 }
 
@@ -0,0 +1,302 @@
+import { createLogger } from "./logger.server.js";
+import { graphqlQuery } from "./discount-resolver/graphql-client.server.js";
+import { GET_DISCOUNT_NODE_QUERY } from "./discount-resolver/graphql-queries.server.js";
+import { resolveDiscountTargets } from "./discount-resolver/resolve-targets.server.js";
+import { fetchAllDiscountCodes } from "./discount-resolver/fetchers.server.js";
+import { storeDiscountData } from "./discount-resolver/discount-storage.server.js";
+import { updateLiveDiscountData } from "./discount-resolver/live-discount-updater.server.js";
+import { checkAndCleanupExpiredDiscounts } from "./discount-resolver/cleanup.server.js";
+import { applyLiveDiscountRanking } from "./tier-manager.server.js";
+import { cancelDiscountTransitionJobs } from "./discount-resolver/transitions.server.js";
+import { storeCollectionData, storeProductData } from "./discount-resolver/store-data.server.js";
+import { getCollectionFromDB } from "./discount-resolver/db-cache.server.js";
+import {
+  applyCollectionChange,
+  getDiscountIdsForProduct,
+  removeProductFromIndex,
+  syncProductCollections,
+} from "./discount-resolver/dependency-index.server.js";
+import { completeBulkCatalogImport } from "./discount-resolver/bulk-import.server.js";
+import {
+  deleteCustomerMemberships,
+  refreshCustomerMemberships,
+} from "./customer-segments.server.js";
+import { attributeOrder } from "./storefront-analytics.server.js";
+import { invalidateDisplaySnapshot } from "./display-snapshot.server.js";
+
+const logger = createLogger("WebhookProcessors");
+
+/*
+ * Resolver work for queued webhooks. Each processor receives the stored webhook
+ * ({ shop, topic, payload }) and { db, getAdmin }, and throws to have the job retried.
+ * getAdmin resolves to null when no offline session is available.
+ */
+
+function cachedTargetsFromDiscount(existingDiscount) {
+  const resolved = {
+    productIds: existingDiscount.products.map((p) => p.productGid),
+    variantIds: existingDiscount.variants.map((v) => v.variantGid),
+  };
+
+  if (existingDiscount.bxgyProducts?.length > 0) {
+    const sideProducts = (side) => existingDiscount.bxgyProducts
+      .filter((p) => p.side === side)
+      .map((p) => p.productGid);
+    resolved.bxgy = {
+      buys: { productIds: sideProducts("BUYS"), variantIds: [] },
+      gets: { productIds: sideProducts("GETS"), variantIds: [] },
+    };
+  }
+
+  return resolved;
+}
+
+async function fetchDiscountNode(admin, discountGid) {
+  const result = await graphqlQuery(admin, GET_DISCOUNT_NODE_QUERY, { id: discountGid });
+  const discountData = result.data?.discountNode?.discount;
+  if (!discountData) {
+    throw new Error(`Discount not found in Shopify: ${discountGid}`);
+  }
+  return discountData;
+}
+
+async function processDiscountCreate({ shop, payload }, { db, getAdmin }) {
+  const admin = await getAdmin();
+  if (!admin) {
+    throw new Error("Admin client unavailable for discounts/create");
+  }
+
+  const discountGid = payload.admin_graphql_api_id;
+  const discountData = await fetchDiscountNode(admin, discountGid);
+
+  const resolved = await resolveDiscountTargets(admin, discountData, shop, db);
+  const resolvedTargets = resolved || { productIds: [], variantIds: [] };
+
+  // Discounts with more than one page of codes need the rest fetched
+  if (discountData.codes?.pageInfo?.hasNextPage) {
+    resolvedTargets.codes = await fetchAllDiscountCodes(admin, discountGid, discountData.codes);
+  }
+
+  await storeDiscountData(discountGid, discountData, resolvedTargets, shop, db);
+  await updateLiveDiscountData(discountGid, discountData, shop, db, { preserveExistingStatus: true });
+  await checkAndCleanupExpiredDiscounts(shop, db);
+
+  logger.info("discounts/create processed successfully", { shop, discountGid });
+  return `stored ${discountGid}`;
+}
+
+async function processDiscountUpdate({ shop, payload }, { db, getAdmin }) {
+  const admin = await getAdmin();
+  if (!admin) {
+    throw new Error("Admin client unavailable for discounts/update");
+  }
+
+  const discountGid = payload.admin_graphql_api_id;
+  const discountData = await fetchDiscountNode(admin, discountGid);
+
+  // Check existing record for fallback target data
+  const existingDiscount = await db.discount.findFirst({
+    where: { gid: discountGid, shop },
+    include: {
+      products: { select: { productGid: true } },
+      variants: { select: { variantGid: true } },
+      bxgyProducts: { select: { side: true, productGid: true } },
+    },
+  });
+
+  // Force refresh targets since the discount was just updated
+  let resolved = await resolveDiscountTargets(admin, discountData, shop, db, { forceRefresh: true });
+
+  // Fallback to cached targets if resolution returns null
+  if (!resolved && existingDiscount) {
+    resolved = cachedTargetsFromDiscount(existingDiscount);
+  }
+
+  const resolvedTargets = resolved || { productIds: [], variantIds: [] };
+
+  // Discounts with more than one page of codes need the rest fetched
+  if (discountData.codes?.pageInfo?.hasNextPage) {
+    resolvedTargets.codes = await fetchAllDiscountCodes(admin, discountGid, discountData.codes);
+  }
+
+  await storeDiscountData(discountGid, discountData, resolvedTargets, shop, db);
+  await updateLiveDiscountData(discountGid, discountData, shop, db, { preserveExistingStatus: true });
+  await checkAndCleanupExpiredDiscounts(shop, db);
+
+  logger.info("discounts/update processed successfully", { shop, discountGid });
+  return `updated ${discountGid}`;
+}
+
+async function processDiscountDelete({ shop, payload }, { db }) {
+  const discountGid = payload.admin_graphql_api_id;
+
+  const [deleted, deletedLive] = await db.$transaction([
+    db.discount.deleteMany({ where: { gid: discountGid, shop } }),
+    db.liveDiscount.deleteMany({ where: { gid: discountGid, shop } }),
+  ]);
+  await cancelDiscountTransitionJobs(discountGid, db);
+  if (deletedLive.count > 0) {
+    await applyLiveDiscountRanking(shop, db);
+  }
+
+  logger.info("discounts/delete processed", {
+    shop, discountGid, deletedDiscount: deleted.count, deletedLive: deletedLive.count,
+  });
+
+  await checkAndCleanupExpiredDiscounts(shop, db);
+  return `deleted ${discountGid}`;
+}
+
+async function processCollectionUpdate({ shop, payload }, { db, getAdmin }) {
+  const collectionGid = payload.admin_graphql_api_id;
+  const admin = await getAdmin();
+
+  if (!admin) {
+    logger.warn("Admin client unavailable — skipping collection refresh", { shop, collectionGid });
+    return "skipped: admin unavailable";
+  }
+
+  // Diff the cached membership against Shopify's to patch only the products that moved
+  const previous = await getCollectionFromDB(collectionGid, shop, db);
+  const stored = await storeCollectionData(admin, collectionGid, shop, db, { forceRefresh: true });
+  if (stored?.truncated) {
+    // Diffing a partial list would drop every product past the limit from its discounts
+    return "skipped: collection too large to refresh";
+  }
+  const current = await getCollectionFromDB(collectionGid, shop, db);
+
+  if (!current) {
+    return "skipped: collection not stored";
+  }
+
+  const result = await applyCollectionChange(collectionGid, previous || [], current, shop, db, { admin });
+  logger.info("Collection update processed", { shop, collectionGid, ...result });
+  return `patched ${result.discounts} discounts (+${result.added}/-${result.removed})`;
+}
+
+async function processCollectionDelete({ shop, payload }, { db }) {
+  const collectionGid = payload.admin_graphql_api_id;
+  const previous = await getCollectionFromDB(collectionGid, shop, db);
+
+  const deleted = await db.collection.deleteMany({
+    where: { gid: collectionGid, shop },
+  });
+
+  // With the cache row gone, its former members only stay on discounts covering them another way
+  const result = await applyCollectionChange(collectionGid, previous || [], [], shop, db);
+
+  logger.info("Collection delete processed", {
+    shop, collectionGid, deletedCount: deleted.count, ...result,
+  });
+  return `deleted ${deleted.count} collections, patched ${result.discounts} discounts`;
+}
+
+async function processProductUpdate({ shop, payload }, { db, getAdmin }) {
+  const productGid = payload.admin_graphql_api_id;
+  const admin = await getAdmin();
+
+  if (!admin) {
+    logger.warn("Admin client unavailable for product update", { shop, productGid });
+    return "skipped: admin unavailable";
+  }
+
+  // Discounts are not re-resolved for product updates: they are too frequent
+  // (price changes, inventory, etc.). Only membership in targeted collections
+  // can change which discounts apply, and that is patched through the dependency index.
+  await storeProductData(admin, productGid, shop, db, { forceRefresh: true });
+  const result = await syncProductCollections(admin, productGid, shop, db);
+
+  // Most updates are to products no discount touches; those leave the snapshot as it is
+  const linked = await getDiscountIdsForProduct(productGid, shop, db);
+  if (linked.length > 0 || result.discounts > 0) {
+    await invalidateDisplaySnapshot(shop);
+  }
+
+  logger.info("Product data updated in local cache", { shop, productGid, linked: linked.length, ...result });
+  return `stored ${productGid}, patched ${result.discounts} discounts`;
+}
+
+async function processProductDelete({ shop, payload }, { db }) {
+  const productGid = payload.admin_graphql_api_id;
+
+  const result = await removeProductFromIndex(productGid, shop, db);
+  const deleted = await db.product.deleteMany({
+    where: { gid: productGid, shop },
+  });
+
+  if (result.discounts > 0) {
+    await invalidateDisplaySnapshot(shop);
+  }
+
+  logger.info("Product delete processed", {
+    shop, productGid, deletedCount: deleted.count, discounts: result.discounts,
+  });
+  return `deleted ${deleted.count} products, patched ${result.discounts} discounts`;
+}
+
+async function processCustomerUpdate({ shop, payload }, { db, getAdmin }) {
+  const customerGid = payload.admin_graphql_api_id;
+  const admin = await getAdmin();
+
+  // Only customers who already have cached segment membership need a refresh
+  if (!admin) {
+    return "skipped: admin unavailable";
+  }
+
+  const refreshed = await refreshCustomerMemberships(shop, customerGid, payload.tags, admin, db);
+  logger.info("Customer segment memberships refreshed", { shop, customerGid, refreshed });
+  return `refreshed ${refreshed} memberships`;
+}
+
+async function processCustomerDelete({ shop, payload }, { db }) {
+  const customerGid = payload.admin_graphql_api_id;
+  const deletedCount = await deleteCustomerMemberships(shop, customerGid, db);
+  logger.info("Customer delete processed", { shop, customerGid, deletedCount });
+  return `deleted ${deletedCount} memberships`;
+}
+
+async function processCustomerRedact({ shop, payload }, { db }) {
+  const customerGid = `gid://shopify/Customer/${payload.customer.id}`;
+  const deletedCount = await deleteCustomerMemberships(shop, customerGid, db);
+  logger.info("Customer redact completed", { shop, deletedCount });
+  return `deleted ${deletedCount} memberships`;
+}
+
+async function processBulkOperationFinish({ shop, payload }, { db, getAdmin }) {
+  const admin = await getAdmin();
+  return completeBulkCatalogImport(admin, payload.admin_graphql_api_id, shop, db);
+}
+
+async function processOrderCreate({ shop, payload }, { db }) {
+  const attributed = await attributeOrder(shop, payload, db);
+  return `attributed to ${attributed} discounts`;
+}
+
+/**
+ * Wraps a processor whose changes reach the storefront (discount targets,
+ * catalog, handles, prices) so the shop's display snapshot is rebuilt after it.
+ */
+function updatesStorefront(processor) {
+  return async (webhook, context) => {
+    const summary = await processor(webhook, context);
+    await invalidateDisplaySnapshot(webhook.shop);
+    return summary;
+  };
+}
+
+// Keyed by the topic reported by authenticate.webhook()
+export const WEBHOOK_PROCESSORS = {
+  DISCOUNTS_CREATE: updatesStorefront(processDiscountCreate),
+  DISCOUNTS_UPDATE: updatesStorefront(processDiscountUpdate),
+  DISCOUNTS_DELETE: updatesStorefront(processDiscountDelete),
+  COLLECTIONS_UPDATE: updatesStorefront(processCollectionUpdate),
+  COLLECTIONS_DELETE: updatesStorefront(processCollectionDelete),
+  // Product processors invalidate the snapshot only for products it holds
+  PRODUCTS_UPDATE: processProductUpdate,
+  PRODUCTS_DELETE: processProductDelete,
+  CUSTOMERS_UPDATE: processCustomerUpdate,
+  CUSTOMERS_DELETE: processCustomerDelete,
+  CUSTOMERS_REDACT: processCustomerRedact,
+  BULK_OPERATIONS_FINISH: updatesStorefront(processBulkOperationFinish),
+  ORDERS_CREATE: processOrderCreate,
+};
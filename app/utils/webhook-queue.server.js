@@ -0,0 +1,123 @@
+import { createLogger } from "./logger.server.js";
+import { enqueueJob, getJobPayload, registerJobHandler } from "./scheduler.server.js";
+import { getShopIdByDomain } from "./discount-resolver/utils.server.js";
+import { WEBHOOK_PROCESSORS } from "./webhook-processors.server.js";
+
+const logger = createLogger("WebhookQueue");
+
+export const WEBHOOK_JOB_TYPE = "WEBHOOK";
+
+/**
+ * Keep only the payload fields processors read. Product payloads in particular
+ * carry every variant and image, which is not worth storing per delivery.
+ * @param {Object} payload - Webhook body
+ * @returns {Object} Trimmed payload
+ */
+export function pickWebhookPayload(payload) {
+  const picked = {};
+  if (payload?.admin_graphql_api_id) {
+    picked.admin_graphql_api_id = payload.admin_graphql_api_id;
+  }
+  if (payload?.tags !== undefined) {
+    picked.tags = payload.tags;
+  }
+  if (payload?.customer?.id) {
+    picked.customer = { id: payload.customer.id };
+  }
+  // Orders keep only what attribution needs; no customer or address data is stored
+  if (Array.isArray(payload?.discount_applications)) {
+    delete picked.customer;
+    picked.id = payload.id;
+    picked.created_at = payload.created_at;
+    picked.currency = payload.currency;
+    picked.total_price = payload.total_price;
+    picked.discount_codes = (payload.discount_codes || []).map((c) => ({ code: c.code }));
+    picked.discount_applications = payload.discount_applications.map((a) => ({
+      type: a.type, title: a.title || null, code: a.code || null,
+    }));
+  }
+  return picked;
+}
+
+async function getOfflineAdmin(shop) {
+  try {
+    const { unauthenticated } = await import("../shopify.server");
+    const { admin } = await unauthenticated.admin(shop);
+    return admin || null;
+  } catch (error) {
+    logger.warn("Offline admin client unavailable", { err: error, shop });
+    return null;
+  }
+}
+
+/**
+ * Record a webhook delivery as a job keyed by its x-shopify-webhook-id.
+ * Processing runs in the job worker, so slow resolver work can't hit Shopify's webhook timeout.
+ * Redeliveries of the same ID are acknowledged without queueing twice.
+ * Falls back to processing inline when there is no webhook ID or Shop row to attach the job to.
+ * @param {Request} request - Incoming webhook request (for the webhook ID header)
+ * @param {Object} webhook - { shop, topic, payload, admin } from authenticate.webhook
+ * @param {Object} db - Prisma client instance
+ * @returns {Promise<{ status: "queued"|"duplicate"|"processed", webhookId: string|null }>}
+ */
+export async function enqueueWebhook(request, { shop, topic, payload, admin }, db) {
+  const processor = WEBHOOK_PROCESSORS[topic];
+  if (!processor) {
+    throw new Error(`No processor for webhook topic ${topic}`);
+  }
+
+  const webhookId = request.headers.get("x-shopify-webhook-id");
+  const stored = { topic, payload: pickWebhookPayload(payload) };
+  const shopId = await getShopIdByDomain(shop, db);
+
+  if (!webhookId || !shopId) {
+    logger.warn("Webhook cannot be queued, processing inline", {
+      shop, topic, hasWebhookId: Boolean(webhookId), hasShop: Boolean(shopId),
+    });
+    await processor({ shop, ...stored }, { db, getAdmin: async () => admin || null });
+    return { status: "processed", webhookId };
+  }
+
+  const { created } = await enqueueJob(db, {
+    shop,
+    shopId,
+    type: WEBHOOK_JOB_TYPE,
+    jobKey: webhookId,
+    payload: stored,
+  });
+
+  if (created) {
+    logger.debug("Webhook queued", { shop, topic, webhookId });
+  } else {
+    logger.info("Duplicate webhook delivery ignored", { shop, topic, webhookId });
+  }
+
+  return { status: created ? "queued" : "duplicate", webhookId };
+}
+
+/**
+ * Scheduler handler for WEBHOOK jobs
+ * @returns {Promise<string>} Processor summary stored on the job
+ */
+export async function runWebhookJob(job, db) {
+  const stored = getJobPayload(job);
+  const processor = WEBHOOK_PROCESSORS[stored?.topic];
+  if (!processor) {
+    throw new Error(`No processor for webhook topic ${stored?.topic}`);
+  }
+
+  let adminPromise = null;
+  const getAdmin = () => {
+    adminPromise = adminPromise || getOfflineAdmin(job.shop);
+    return adminPromise;
+  };
+
+  return processor(
+    { shop: job.shop, topic: stored.topic, payload: stored.payload || {} },
+    { db, getAdmin },
+  );
+}
+
+export function registerWebhookJobHandler() {
+  registerJobHandler(WEBHOOK_JOB_TYPE, runWebhookJob);
+}
@@ -1,3 +1,3 @@
-var DiscountDisplayPro=(()=>{var ue=Object.defineProperty;var mt=Object.getOwnPropertyDescriptor;var ht=Object.getOwnPropertyNames;var gt=Object.prototype.hasOwnProperty;var yt=(e,t)=>{for(var r in t)ue(e,r,{get:t[r],enumerable:!0})},bt=(e,t,r,o)=>{if(t&&typeof t=="object"||typeof t=="function")for(let i of ht(t))!gt.call(e,i)&&i!==r&&ue(e,i,{get:()=>t[i],enumerable:!(o=mt(t,i))||o.enumerable});return e};var vt=e=>bt(ue({},"__esModule",{value:!0}),e);var rr={};yt(rr,{default:()=>tr});var l=window["discounts-display-pro"];var L={debug:0,info:1,warn:2,error:3},W={Forms:"Forms",Cards:"Cards",General:"General",PPBlock:"PPBlock"},wt={forms:"Forms",form:"Forms",cards:"Cards",card:"Cards",pp:"PPBlock",productpage:"PPBlock",general:"General"},de=class{constructor(){this.enabled=!0,this.minLevel=this._getInitialLevel(),this.allowedCategories=new Set(Object.values(W))}_getInitialLevel(){try{if(typeof window<"u"&&l&&l.logLevel){let t=l.logLevel.toLowerCase();if(L.hasOwnProperty(t))return L[t]}if(typeof localStorage<"u"){let t=localStorage.getItem("wf_discount_log_level");if(t&&L.hasOwnProperty(t.toLowerCase()))return L[t.toLowerCase()]}}catch{}return L.info}_normalizeCategory(t){if(!t)return W.General;let r=t.toLowerCase();return wt[r]||W[t]||W.General}_shouldLog(t,r){if(!this.enabled||L[t]<this.minLevel)return!1;let o=this._normalizeCategory(r);return this.allowedCategories.has(o)}log(t,r=null,o="info",i="General"){let a=this._normalizeCategory(i);if(this._shouldLog(o,a))try{let s=`[${a}][${o.toUpperCase()}]`,c=console[o]||console.log;r!=null?c.call(console,s,t,r):c.call(console,s,t)}catch{}}logError(t,r="",o="General"){let i=this._normalizeCategory(o);if(this._shouldLog("error",i))try{let a=`[${i}][ERROR]`;r?console.error(a,r,t):console.error(a,t)}catch{}}logWarning(t,r=null,o="General"){let i=this._normalizeCategory(o);if(this._shouldLog("warn",i))try{let a=`[${i}][WARN]`;r!=null?console.warn(a,t,r):console.warn(a,t)}catch{}}debug(t,r=null,o="General"){this.log(t,r,"debug",o)}info(t,r=null,o="General"){this.log(t,r,"info",o)}warn(t,r=null,o="General"){this.log(t,r,"warn",o)}error(t,r=null,o="General"){this.log(t,r,"error",o)}setMinLevel(t){let r=t.toLowerCase();if(L.hasOwnProperty(r)){this.minLevel=L[r];try{typeof localStorage<"u"&&localStorage.setItem("wf_discount_log_level",r)}catch{}}}setAllowedCategories(t){Array.isArray(t)&&(this.allowedCategories=new Set(t.map(r=>this._normalizeCategory(r))))}onlyForms(){return this.setAllowedCategories(["Forms"]),this}onlyCards(){return this.setAllowedCategories(["Cards"]),this}onlyPP(){return this.setAllowedCategories(["PPBlock"]),this}onlyGeneral(){return this.setAllowedCategories(["General"]),this}all(){return this.setAllowedCategories(Object.values(W)),this}},n=new de;typeof window<"u"&&(l.logger=n);function Z(e,t){if(!e)return!0;t||(t=document.body);try{let r=e;for(;r&&r!==t&&r!==document.body&&r!==document.documentElement;){if(r.style&&r.style.display==="none"||r.style&&r.style.visibility==="hidden")return!0;if(r.className){let o=typeof r.className=="string"?r.className:r.className.baseVal||"";if(o.includes("visually-hidden")||o.includes("sr-only")||o.includes("screen-reader"))return!0}r=r.parentElement}return!1}catch{return!1}}function St(e){try{let t=e.replace(/[^\d.,]/g,"");return/,\d{2}$/.test(t)?"european":/\.\d{2}$/.test(t)?"us":/\.\d{3}/.test(t)&&!/\.\d{2}$/.test(t)?"european":"us"}catch(t){return n.logError(t,"Error detecting money format","General"),"us"}}function T(e,t=!1){try{let r=e/100;if(typeof window<"u"&&window.Shopify&&window.Shopify.formatMoney)try{let i=t?l?.shopMoneyWithCurrencyFormat||l?.shopMoneyFormat||"{{amount}}":l?.shopMoneyFormat||"{{amount}}";return window.Shopify.formatMoney(e,i)}catch(i){n.logError(i,"Shopify.formatMoney failed","General")}let o=r.toFixed(2);if(typeof window<"u"&&l&&(l._currencyPrefix||l._currencySuffix)){let i=l._currencyPrefix||"",a=l._currencySuffix||"";return`${i}${o}${a}`}if(typeof window<"u")return`${l&&l.currencySymbol||l&&l.currencySymbols&&l.currencySymbols[window.Currency]||"$"}${o}`;try{if(typeof Intl<"u"&&Intl.NumberFormat){let i=typeof window<"u"&&window.Currency||"USD";return new Intl.NumberFormat("en-US",{style:"currency",currency:i,minimumFractionDigits:2,maximumFractionDigits:2}).format(r)}}catch(i){n.logError(i,"Intl.NumberFormat failed","General")}return`$${o}`}catch(r){return n.logError(r,"Error formatting price","General"),`$${(e/100).toFixed(2)}`}}function O(e){if(!e||typeof e!="string")return null;try{let t=e.trim().replace(/\bfrom\b/gi,"").replace(/\beach\b/gi,"").replace(/\bper item\b/gi,"").replace(/\bper\b/gi,"");t=t.replace(/\b[A-Z]{3}\b/g,"");let r=St(t),o;if(r==="european"){if(o=t.match(/[\d.]+,\d{2}/),o){let i=o[0].replace(/\./g,"").replace(",","."),a=parseFloat(i);if(!isNaN(a))return Math.round(a*100)}}else if(o=t.match(/[\d,]+\.\d{2}|[\d,]+/),o){let i=o[0].replace(/,/g,""),a=parseFloat(i);if(!isNaN(a))return Math.round(a*100)}if(o=t.match(/\d+\.?\d*/),o){let i=parseFloat(o[0]);if(!isNaN(i))return Math.round(i*100)}return null}catch(t){return n.logError(t,"Error parsing price","General"),null}}function K(e){if(!e||typeof e!="string")return!1;try{return/\b[A-Z]{3}\b/.test(e)}catch{return!1}}function Re(e){if(!e||typeof e!="string")return{prefix:"",suffix:""};try{let t=e.match(/[\d.,]+/);if(!t)return{prefix:"",suffix:""};let r=t[0],o=e.indexOf(r),i=e.substring(0,o).trim(),a=e.substring(o+r.length).trim();return typeof window<"u"&&(i&&(l._currencyPrefix=i),a&&(l._currencySuffix=a)),{prefix:i,suffix:a}}catch(t){return n.logError(t,"Error extracting currency format","General"),{prefix:"",suffix:""}}}function X(e,t){if(!t||!t.type)return e;try{let r=0;if(t.type==="percentage"){let o=t.value||0;r=Math.floor(e*o/100)}else t.type==="fixed"&&(r=Math.min(t.value||0,e));return Math.max(0,e-r)}catch(r){return n.logError(r,"Error calculating discounted price","General"),e}}function Me(e){try{return new Date(e).toLocaleDateString("en-US",{year:"numeric",month:"long",day:"numeric"})}catch(t){return n.logError(t,"Error formatting date","General"),e}}var R="dawn";function Be(e){if(!e||typeof e!="string")return R;let t=e.toLowerCase().trim(),r=t.indexOf(" - ");r!==-1&&(t=t.substring(0,r));let o=t.indexOf("(");o!==-1&&(t=t.substring(0,o));let i=t.indexOf("[");i!==-1&&(t=t.substring(0,i)),t=t.trim();let a=["preview","live","published","unpublished","development","dev","draft","staging","test","copy","duplicate","backup"];for(let s of a){let c=new RegExp(`\\s+${s}$`,"i");t=t.replace(c,"")}return t=t.replace(/\s+copy\s*\d*$/i,""),t=t.replace(/\s+v?\d+(\.\d+)*$/i,""),t=t.trim(),t||R}function Et(e){if(!e)return null;let r=String(e).match(/\d+/g);return!r||r.length===0?null:r[r.length-1]}function Ct(e){return!e||typeof e!="string"?null:e.toLowerCase().trim()||null}function It(e){if(!e)return null;let t=Number(e);return isNaN(t)?null:String(Math.trunc(t))}function Pt(e){return!e||typeof e!="string"?(n.error({url:e},"Invalid base URL"),""):e.replace(/\/$/,"")}function Tt(e,t,r,o){let i=Pt(l.apiBaseUrl||"");if(!i)return n.error({},"DISCOUNT_API_BASE_URL not configured"),null;let a=`${i}/api/theme-selectors`,s=new URLSearchParams;return e&&s.append("theme",e),t&&s.append("themeId",t),r&&s.append("schemaName",r),o&&s.append("themeStoreId",o),`${a}?${s.toString()}`}l._themeState||(l._themeState={selectors:null,fallbackSelectors:null,resolvedTheme:null,usedFallback:!1,isReady:!1,listeners:[],cache:new Map});function _t(e){if(!e)return;let t=l._themeState;l.themeSelectors||(l.themeSelectors={}),e.theme&&e.selectors&&(l.themeSelectors[e.theme]=e.selectors,t.resolvedTheme=e.theme,t.selectors=e.selectors),e.fallbackSelectors&&(t.fallbackSelectors=e.fallbackSelectors),t.usedFallback=e.usedFallback||!1,t.isReady=!0,n.info({theme:e.theme,usedFallback:t.usedFallback,selectorCount:Object.keys(e.selectors||{}).length},"Theme selectors applied")}function Ue(e){return n.error({err:e},"Failed to fetch theme selectors"),{usedFallback:!0,selectors:null}}function fe(){let e=l._themeState;[...e.listeners].forEach(r=>{try{r({isReady:e.isReady,resolvedTheme:e.resolvedTheme,usedFallback:e.usedFallback})}catch(o){n.error({err:o},"Error in theme selector listener")}})}async function pe(e,t,r,o){let i=l._themeState,a=Be(e),s=Et(t),c=Ct(r),u=It(o),d=s||a;if(i.cache.has(d))return n.info({cacheKey:d},"Returning cached theme selectors promise"),i.cache.get(d);let f=(async()=>{try{let p=Tt(a,s,c,u);if(!p){let h=Ue(new Error("Could not build theme selectors URL"));return fe(),h}n.info({theme:a,themeId:s,schemaName:c,storeId:u},"Fetching theme selectors");let m=await fetch(p,{method:"GET",credentials:"omit",headers:{Accept:"application/json"}});if(!m.ok)throw new Error(`HTTP ${m.status}: ${m.statusText}`);let v=await m.json();return _t(v),fe(),v}catch(p){let m=Ue(p);return fe(),m}})();return i.cache.set(d,f),f}function ze(e,t,r){let o=Be(e),i=l._themeState;if(l.themeSelectors&&l.themeSelectors[o]){let a=l.themeSelectors[o][t];if(a!=null)return{value:a,source:`theme:${o}`}}if(i.selectors&&i.selectors[t]!==void 0&&i.selectors[t]!==null)return{value:i.selectors[t],source:"state"};if(i.fallbackSelectors&&i.fallbackSelectors[t]!==void 0&&i.fallbackSelectors[t]!==null)return{value:i.fallbackSelectors[t],source:"fallback-backend"};if(l.themeSelectors&&l.themeSelectors[R]){let a=l.themeSelectors[R][t];if(a!=null)return{value:a,source:`theme:${R}`}}return{value:r,source:"fallback"}}function $e(e=4e3){let t=l._themeState;return t.isReady?Promise.resolve(!0):new Promise(r=>{let o=setTimeout(()=>{n.warn({timeoutMs:e},"Theme selectors ready timeout"),r(!1)},e),i=me(a=>{a.isReady&&(clearTimeout(o),r(!0))});l._themePromise&&l._themePromise.then(()=>{t.isReady&&(clearTimeout(o),r(!0))}).catch(a=>{n.error({err:a},"Theme selectors promise rejected")})})}function me(e){if(typeof e!="function")return n.error({},"subscribeToThemeSelectorUpdates: callback must be a function"),()=>{};let t=l._themeState;return t.listeners.push(e),()=>{let r=t.listeners.indexOf(e);r>-1&&t.listeners.splice(r,1)}}function qe(){try{let e=window.Shopify?.theme;if(!e){n.warn({},"Shopify.theme not available, using default theme"),l._themePromise=pe(R,null,null,null);return}let t=e.name||R,r=e.id||null,o=e.schema_name||null,i=e.theme_store_id||null;n.info({themeName:t,themeId:r,schemaName:o,storeId:i},"Auto-detected theme"),l._themePromise=pe(t,r,o,i)}catch(e){n.error({err:e},"Error in auto-detect theme"),l._themePromise=pe(R,null,null,null)}}typeof window<"u"&&(document.readyState==="loading"?document.addEventListener("DOMContentLoaded",qe):qe());function J(){if(l._shopDomain)return l._shopDomain;if(window.Shopify?.shop)return l._shopDomain=window.Shopify.shop,l._shopDomain;try{let e=window.location.hostname;return e.endsWith(".myshopify.com")?(l._shopDomain=e,l._shopDomain):(n.warn({hostname:e},"Could not resolve shop domain from hostname"),null)}catch(e){return n.error({err:e},"Error resolving shop domain"),null}}function Ge(e){return!e||typeof e!="string"?(n.error({url:e},"Invalid base URL"),""):e.replace(/\/$/,"")}function Ve(e){let t=Ge(l.apiBaseUrl||"");if(!t)return n.error({},"DISCOUNT_API_BASE_URL not configured"),null;let r=`${t}/api/discounts`,o=new URLSearchParams;return Object.keys(e).forEach(i=>{let a=e[i];a!=null&&a!==""&&(Array.isArray(a)?o.append(i,a.join(",")):o.append(i,String(a)))}),`${r}?${o.toString()}`}function xt(){let e=Ge(l.apiBaseUrl||"");return e?`${e}/api/best-discounts`:(n.error({},"DISCOUNT_API_BASE_URL not configured"),null)}function At(e){let t=[],r=[],o=[];return e?(e.productId&&t.push(e.productId),e.variantId&&r.push(e.variantId),e.handle&&o.push(e.handle),e.productIds&&Array.isArray(e.productIds)&&t.push(...e.productIds),e.variantIds&&Array.isArray(e.variantIds)&&r.push(...e.variantIds),e.handles&&Array.isArray(e.handles)&&o.push(...e.handles),{productIds:[...new Set(t)],variantIds:[...new Set(r)],handles:[...new Set(o)]}):{productIds:t,variantIds:r,handles:o}}async function je(e){try{if(l._fetchPromise)return n.info({},"Reusing existing discounts fetch promise"),await l._fetchPromise;if(l._fetchCache)return n.info({},"Returning cached discount data"),l._fetchCache;let t=J();if(!t)return n.error({},"Cannot load discounts: shop domain not resolved"),null;let r=l.storefrontToken;if(!r)return n.error({},"Cannot load discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),null;let{productIds:o,variantIds:i,handles:a}=At(e),s=Ve({shop:t,productIds:o.length>0?o:void 0,variantIds:i.length>0?i:void 0,handles:a.length>0?a:void 0});if(!s)return null;n.info({shop:t,productCount:o.length,variantCount:i.length,handleCount:a.length},"Fetching discount data");let c=(async()=>{try{let u=await fetch(s,{method:"GET",credentials:"omit",headers:{Accept:"application/json",Authorization:`Bearer ${r}`}});if(!u.ok)throw new Error(`HTTP ${u.status}: ${u.statusText}`);let d=await u.json();return n.info({discountCount:d.discounts?.length||0,productCount:d.products?.length||0},"Discount data loaded"),l._fetchCache=d,d}catch(u){return n.error({err:u},"Failed to load discount data"),null}finally{l._fetchPromise=null}})();return l._fetchPromise=c,await c}catch(t){return n.error({err:t},"Error in loadDiscountData"),null}}async function He({productIds:e=[],handles:t=[],variantIds:r=[]}){try{let o=J();if(!o)return n.error({},"Cannot fetch additional discounts: shop domain not resolved"),{success:!1,hasData:!1};let i=l.storefrontToken;if(!i)return n.error({},"Cannot fetch additional discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),{success:!1,hasData:!1};if(e.length===0&&t.length===0&&r.length===0)return n.warn({},"No IDs provided for additional discount fetch"),{success:!0,hasData:!1};let a=Ve({shop:o,productIds:e.length>0?e:void 0,variantIds:r.length>0?r:void 0,handles:t.length>0?t:void 0});if(!a)return{success:!1,hasData:!1};n.info({shop:o,productCount:e.length,variantCount:r.length,handleCount:t.length},"Fetching additional discount data");let s=await fetch(a,{method:"GET",credentials:"omit",headers:{Accept:"application/json",Authorization:`Bearer ${i}`}});if(!s.ok)throw new Error(`HTTP ${s.status}: ${s.statusText}`);let c=await s.json();if(n.info({discountCount:c.discounts?.length||0,productCount:c.products?.length||0},"Additional discount data loaded"),l._fetchCache){let u=l._fetchCache,d=new Set((u.discounts||[]).map(v=>v.id)),f=(c.discounts||[]).filter(v=>!d.has(v.id)),p=new Set((u.products||[]).map(v=>v.id)),m=(c.products||[]).filter(v=>!p.has(v.id));l._fetchCache={...u,discounts:[...u.discounts||[],...f],products:[...u.products||[],...m]},n.info({newDiscounts:f.length,newProducts:m.length},"Merged additional discount data with cache")}else l._fetchCache=c;return{success:!0,hasData:(c.discounts?.length||0)>0||(c.products?.length||0)>0,data:c}}catch(o){return n.error({err:o},"Failed to fetch additional discount data"),{success:!1,hasData:!1,data:null}}}async function he({shop:e,entries:t}){try{if(!e&&(e=J(),!e))return n.error({},"Cannot request best discounts: shop domain not resolved"),{results:[],errors:["Shop domain not resolved"]};if(!Array.isArray(t)||t.length===0)return n.warn({},"No entries provided for best discounts request"),{results:[],errors:[]};let r=l.storefrontToken;if(!r)return n.error({},"Cannot request best discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),{results:[],errors:["Storefront token not configured"]};let o=xt();if(!o)return{results:[],errors:["Could not build API URL"]};n.info({shop:e,entryCount:t.length},"Requesting best discounts");let i=await fetch(o,{method:"POST",credentials:"omit",headers:{"Content-Type":"application/json",Accept:"application/json",Authorization:`Bearer ${r}`},body:JSON.stringify({shop:e,requests:t})});if(!i.ok)throw new Error(`HTTP ${i.status}: ${i.statusText}`);let a=await i.json();return n.info({resultCount:a.results?.length||0,errorCount:a.errors?.length||0},"Best discounts response received"),{results:a.results||[],errors:a.errors||[]}}catch(r){return n.error({err:r},"Failed to request best discounts"),{results:[],errors:[r.message||"Unknown error"]}}}function Ke(e,t={}){let{formPriceDiscountedSelector:r="",isForm:o=!1}=t;try{if(o)try{let a=e.querySelector("script[data-selected-variant]");if(a){let s=JSON.parse(a.textContent),c=s.price||s.final_price;if(typeof c=="number"&&c>0)return n.log("Price from variant JSON",{price:c},"debug","Forms"),{price:c,hasCurrencyCode:!1}}}catch(a){n.log("Failed to parse variant JSON",{error:a.message},"debug","Forms")}if(o&&r){let a=Dt(e,r);if(a)return n.log("Price from discounted form selector",{price:a.price},"debug","Forms"),a}let i=Ft(e);if(i){let a=Re(i),s=O(i);if(typeof s=="number"&&s>0)return n.log("Price from DOM text walking",{price:s,priceText:a},"debug","PriceExtractor"),{price:s,hasCurrencyCode:K(i)}}return n.log("No price found",{},"debug","PriceExtractor"),null}catch(i){return n.log("Error in parsePriceFromDOM",{error:i.message},"error","PriceExtractor"),null}}function Dt(e,t){try{let r=e.querySelectorAll(t);for(let o of r){if(Z(o,e)){n.log("Skipping hidden discounted price element",{selector:t},"debug","Forms");continue}let i=o.textContent.trim();if(i){let a=O(i);if(typeof a=="number"&&a>0)return{price:a,hasCurrencyCode:K(i)}}}return null}catch(r){return n.log("Error in getDiscountedFormPrice",{error:r.message,selector:t},"error","Forms"),null}}function Ft(e){try{let t=e.querySelectorAll("*"),r=[];for(let i of t)if(!We(i,e)){for(let a of i.childNodes)if(a.nodeType===3){let s=a.textContent.trim();s&&/\d/.test(s)&&r.push(s)}}if(r.length>0)return n.log("Found price from TEXT_NODE",{text:r[0]},"debug","PriceExtractor"),r[0];for(let i of t)if(!We(i,e)&&i.children.length===0){let a=i.textContent.trim();if(a&&/\d/.test(a))return n.log("Found price from leaf element",{text:a},"debug","PriceExtractor"),a}let o=e.textContent.trim();return o&&/\d/.test(o)?(n.log("Using fallback container text",{text:o},"debug","PriceExtractor"),o):""}catch(t){return n.log("Error in getCleanPriceText",{error:t.message},"error","PriceExtractor"),""}}function We(e,t){try{let r=e;for(;r&&r!==t;){if(r.classList&&(r.classList.contains("visually-hidden")||r.classList.contains("sr-only")||r.classList.contains("screen-reader"))||r.hasAttribute("hidden")||r.getAttribute("aria-hidden")==="true"||r.style.display==="none"||r.style.visibility==="hidden")return!0;r=r.parentElement}return!1}catch(r){return n.log("Error in isElementHiddenInline",{error:r.message},"error","PriceExtractor"),!1}}function Xe(e,t,r=""){try{let o=[];if(t&&(o=Array.from(e.querySelectorAll(t))),o.length===0&&r!=="custom"){let a=[".product-price .js-value",".product-price",".price__current .js-value",".price__current",".price .js-value",".price"];for(let s of a)if(o=Array.from(e.querySelectorAll(s)),o.length>0){n.log("Using fallback selector",{fallbackSelector:s},"debug","PriceExtractor");break}}let i=o.filter(a=>!Nt(a));return n.log("Found price elements",{total:o.length,visible:i.length,selector:t},"debug","PriceExtractor"),i.map(a=>({container:a}))}catch(o){return n.log("Error in findPriceElements",{error:o.message,selector:t},"error","PriceExtractor"),[]}}function Nt(e){try{let t=e;for(;t&&t!==document.body;){let r=window.getComputedStyle(t);if(r.display==="none"||r.visibility==="hidden"||r.opacity==="0")return!0;t=t.parentElement}return!1}catch(t){return n.log("Error in isElementOrAncestorHidden",{error:t.message},"error","PriceExtractor"),!1}}var ge=!1,Je=!1;function ye(e,t,r){let{productId:o,regularPrice:i,finalPrice:a,discount:s,hasCurrencyCode:c,singlePrice:u}=r,d=[];try{n.debug({productId:o,discountId:s.id},"Creating automatic discount display"),t.forEach((f,p)=>{try{let m=f.container.querySelector(".discounted-price-container"),v=f.container.querySelector(".automatic-wrapper");if(m||v){n.debug({productId:o,index:p},"Discount elements already exist, skipping");return}let h=s.variantScope&&s.variantScope.type==="ALL",b=s.variantScope&&s.variantScope.type==="PARTIAL",g=document.createElement("div");if(g.className="discounted-price-container",h){if(f.container.style.display="none",!u){let U=document.createElement("span");U.className="discount-from-prefix",U.textContent="From ",g.appendChild(U)}let C=document.createElement("span");C.className="discounted-price__regular",C.textContent=T(i,c),g.appendChild(C);let x=document.createElement("span");x.className="discounted-price__sale",x.textContent=T(a,c),g.appendChild(x)}let y=document.createElement("span");y.className="discounted-price__badge";let E=l.automaticBadgeText||"Save {amount}",I=Ze(s,c);y.textContent=E.replace("{amount}",I);let S=document.createElement("div");S.className="automatic-wrapper";let D=l.badgeAlignment||"left",w={left:"flex-start",center:"center",right:"flex-end"};if(S.style.display="flex",S.style.justifyContent=w[D]||"flex-start",S.style.alignItems="center",S.style.gap="8px",S.style.marginTop="4px",h&&S.appendChild(g),S.appendChild(y),b){let C=document.createElement("span");C.className="discount-selected-items-text",C.textContent="in selected items",C.style.fontSize="0.875em",C.style.color="#666",S.appendChild(C)}f.container.parentNode.insertBefore(S,f.container.nextSibling),d.push(S),n.debug({productId:o,index:p},"Automatic discount display created")}catch(m){n.error({err:m,productId:o,index:p},"Failed to create discount display for price element")}}),Qe(),Ye(),n.info({productId:o,count:d.length},"Automatic discount displays created")}catch(f){n.error({err:f,productId:o},"Failed to create automatic discount display")}return d}function be(e,t,r){let{productId:o,discount:i,hasCurrencyCode:a}=r,s=[];try{n.debug({productId:o,discountId:i.id},"Creating coupon badge"),t.forEach((c,u)=>{try{let d=c.container.querySelector(".coupon-badge"),f=c.container.querySelector(".coupon-wrapper");if(d||f){n.debug({productId:o,index:u},"Coupon badge already exists, skipping");return}let p=i.variantScope&&i.variantScope.type==="PARTIAL",m=document.createElement("div");m.className="coupon-badge";let v=l.couponBadgeText||"Save {amount} with coupon",h=Ze(i,a);m.textContent=v.replace("{amount}",h);let b=document.createElement("div");b.className="coupon-wrapper";let g=l.badgeAlignment||"left",y={left:"flex-start",center:"center",right:"flex-end"};if(b.style.display="flex",b.style.justifyContent=y[g]||"flex-start",b.style.alignItems="center",b.style.gap="8px",b.style.marginTop="4px",b.appendChild(m),p){let E=document.createElement("span");E.className="discount-selected-items-text",E.textContent="in selected items",E.style.fontSize="0.875em",E.style.color="#666",b.appendChild(E)}c.container.parentNode.insertBefore(b,c.container.nextSibling),s.push(b),n.debug({productId:o,index:u},"Coupon badge created")}catch(d){n.error({err:d,productId:o,index:u},"Failed to create coupon badge for price element")}}),Qe(),Ye(),n.info({productId:o,count:s.length},"Coupon badges created")}catch(c){n.error({err:c,productId:o},"Failed to create coupon badge")}return s}function Qe(){ge||(ge=!0,requestAnimationFrame(()=>{try{window.dispatchEvent(new Event("resize")),n.debug({},"Layout nudge triggered")}catch(e){n.error({err:e},"Failed to trigger layout nudge")}finally{ge=!1}}))}function Ye(){if(Je)return;Je=!0;let e=()=>{try{setTimeout(()=>{window.dispatchEvent(new Event("resize")),n.debug({},"Post-load nudge (50ms) triggered")},50),setTimeout(()=>{window.dispatchEvent(new Event("resize")),n.debug({},"Post-load nudge (250ms) triggered")},250)}catch(t){n.error({err:t},"Failed to trigger post-load nudges")}};document.readyState==="complete"?e():window.addEventListener("load",e,{once:!0})}function Ze(e,t){try{return e.type==="percentage"?`${e.value}%`:e.type==="fixed_amount"?T(e.value,t):(n.warn({discountType:e.type},"Unknown discount type"),T(e.value,t))}catch(r){return n.error({err:r,discount:e},"Failed to format discount amount"),"$0.00"}}function kt(e){try{let t=encodeURIComponent(e),r=window.location.pathname+window.location.search,o=encodeURIComponent(r),i=`/discount/${t}?return_to=${o}`;return n.debug({discountCode:e,discountUrl:i},"Built discount URL"),i}catch(t){return n.error({err:t,discountCode:e},"Failed to build discount URL"),`/discount/${encodeURIComponent(e)}`}}async function B(e,t={}){let{silent:r=!0}=t;try{let o=`wf_coupon_applied_${e}`;sessionStorage.setItem(o,"1"),n.info({discountCode:e,silent:r},"Applying discount code");let i=kt(e);if(typeof Shopify<"u"&&Shopify.designMode){n.debug({discountCode:e},"In theme editor, skipping network requests");return}if(!r){n.info({discountCode:e,discountUrl:i},"Non-silent mode, navigating directly"),window.location.href=i;return}try{n.debug({discountCode:e},"Attempting Strategy 1: fetch()");let a=new AbortController,s=setTimeout(()=>a.abort(),2500),c=await fetch(i,{method:"GET",credentials:"include",mode:"cors",redirect:"follow",signal:a.signal});if(clearTimeout(s),c.ok||c.status>=200&&c.status<400){n.info({discountCode:e,status:c.status},"Strategy 1 succeeded");return}n.warn({discountCode:e,status:c.status},"Strategy 1 failed, trying Strategy 2")}catch(a){n.warn({err:a,discountCode:e},"Strategy 1 failed, trying Strategy 2")}try{n.debug({discountCode:e},"Attempting Strategy 2: iframe"),await Lt(i,e),n.info({discountCode:e},"Strategy 2 succeeded");return}catch(a){n.warn({err:a,discountCode:e},"Strategy 2 failed, trying Strategy 3")}n.info({discountCode:e,discountUrl:i},"Strategy 3: direct navigation"),window.location.href=i}catch(o){throw n.error({err:o,discountCode:e},"Failed to apply discount code"),o}}function Lt(e,t){return new Promise((r,o)=>{let i=null,a=null,s=!1,c=()=>{a&&clearTimeout(a),i&&i.parentNode&&setTimeout(()=>{try{i&&i.parentNode&&i.parentNode.removeChild(i)}catch(d){n.warn({err:d,discountCode:t},"Failed to remove iframe")}},250)},u=(d,f=null)=>{s||(s=!0,c(),d?r():o(f||new Error("Iframe strategy failed")))};try{i=document.createElement("iframe"),i.style.display="none",i.style.position="absolute",i.style.width="0",i.style.height="0",i.style.border="none",i.setAttribute("aria-hidden","true"),i.src=e,i.onload=()=>{n.debug({discountCode:t},"Iframe loaded"),u(!0)},i.onerror=d=>{n.warn({err:d,discountCode:t},"Iframe error"),u(!1,d)},a=setTimeout(()=>{n.warn({discountCode:t},"Iframe timeout"),u(!1,new Error("Iframe timeout"))},3500),document.body.appendChild(i)}catch(d){n.error({err:d,discountCode:t},"Failed to create iframe"),u(!1,d)}})}function ee(){l._couponState||(l._couponState={},n.debug("Initialized coupon state tracker"))}function et(e){try{ee();let t=l._couponState[e];return t&&typeof t=="object"?t:{applied:t===!0}}catch(t){return n.error({err:t,code:e},"Failed to get coupon state"),{applied:!1}}}function te(e,t){try{ee(),typeof t=="object"?l._couponState[e]=t:l._couponState[e]={applied:!!t},n.debug({code:e,state:l._couponState[e]},"Set coupon state")}catch(r){n.error({err:r,code:e},"Failed to set coupon state")}}var tt={"check-mark-flower-filled.svg":"M23.334 11.96c-.713-.726-.872-1.829-.393-2.727.342-.64.366-1.401.064-2.062-.301-.66-.893-1.142-1.601-1.302-.991-.225-1.722-1.067-1.803-2.081-.059-.723-.451-1.378-1.062-1.77-.609-.393-1.367-.478-2.05-.229-.956.347-2.026.032-2.642-.776-.44-.576-1.124-.915-1.85-.915-.725 0-1.409.339-1.849.915-.613.809-1.683 1.124-2.639.777-.682-.248-1.44-.163-2.05.229-.61.392-1.003 1.047-1.061 1.77-.082 1.014-.812 1.857-1.803 2.081-.708.16-1.3.642-1.601 1.302s-.277 1.422.065 2.061c.479.897.32 2.001-.392 2.727-.509.517-.747 1.242-.644 1.96s.536 1.347 1.17 1.7c.888.495 1.352 1.51 1.144 2.505-.147.71.044 1.448.519 1.996.476.549 1.18.844 1.902.798 1.016-.063 1.953.54 2.317 1.489.259.678.82 1.195 1.517 1.399.695.204 1.447.072 2.031-.357.819-.603 1.936-.603 2.754 0 .584.43 1.336.562 2.031.357.697-.204 1.258-.722 1.518-1.399.363-.949 1.301-1.553 2.316-1.489.724.046 1.427-.249 1.902-.798.475-.548.667-1.286.519-1.996-.207-.995.256-2.01 1.145-2.505.633-.354 1.065-.982 1.169-1.7s-.135-1.443-.643-1.96zm-12.584 5.43l-4.5-4.364 1.857-1.857 2.643 2.506 5.643-5.784 1.857 1.857-7.5 7.642z","check-mark-circle-filled.svg":"M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z","check-mark-square-filled.svg":"M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-9 14l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z","check-mark.svg":"M20.285 2l-11.285 11.567-5.286-5.011-3.714 3.716 9 8.728 15-15.285z"};function ve(e,t,r,o,i){try{n.debug({regularPrice:e,finalPrice:t,isAutomatic:o},"Creating price container");let a=document.createElement("div");a.className="ddp-discounted-price-container";let s=document.createElement("span");s.className="ddp-discounted-price__regular",s.textContent=T(e,i),a.appendChild(s);let c=document.createElement("span");if(c.className="ddp-discounted-price__sale",c.textContent=T(t,i),a.appendChild(c),o&&r){let d=document.createElement("span");d.className="ddp-discounted-price__badge";let f=l.automaticBadgeText||"Save {amount}",p=Se(r,i);d.textContent=f.replace("{amount}",p),a.appendChild(d)}if((l.settings||{}).showTermsLink&&r){let d=document.createElement("button");d.className="ddp-terms-link",d.type="button",d.textContent="Terms",d.setAttribute("aria-label","View discount terms and conditions"),d.addEventListener("click",f=>{f.preventDefault(),re(r)}),a.appendChild(d)}return n.debug({},"Price container created"),a}catch(a){n.error({err:a},"Failed to create price container");let s=document.createElement("div");return s.textContent=T(t,i),s}}function we(e,t,r,o,i,a){try{n.debug({discountId:e.id,productId:o,variantId:i,isAutoApplied:a},"Creating coupon block");let s=l.settings||{},c=window.Shopify&&window.Shopify.designMode,u=document.createElement("div");u.className="ddp-coupon-block",u.dataset.discountId=e.id,u.dataset.code=e.code;let d=document.createElement("div");d.className="ddp-coupon-main-content";let f=document.createElement("div");f.className="ddp-coupon-flag",f.textContent="Coupon:",d.appendChild(f);let p=document.createElement("div");p.className="ddp-coupon-label-wrapper";let m=document.createElement("input");m.type="checkbox",m.id=`ddp-coupon-${e.id}`,m.className="ddp-coupon-checkbox";let h=et(e.code).applied||a||c&&l.showAppliedPreview;h&&(m.checked=!0),a&&(m.disabled=!0,m.title="This coupon is automatically applied");let b=document.createElement("label");b.htmlFor=m.id,b.className="ddp-coupon-label";let g=s.couponLabelText||"Apply code {code} to save {amount}",y=Se(e,!0),E=g.replace("{code}",e.code).replace("{amount}",y);b.textContent=E,p.appendChild(m),p.appendChild(b),d.appendChild(p);let I=document.createElement("div");I.className="ddp-coupon-applied",h&&(I.classList.add("visible"),p.style.display="none");let S=s.appliedIconFile||"check-mark-circle-filled.svg",D=tt[S]||tt["check-mark-circle-filled.svg"],w=document.createElementNS("http://www.w3.org/2000/svg","svg");w.setAttribute("width","24"),w.setAttribute("height","24"),w.setAttribute("viewBox","0 0 24 24"),w.setAttribute("fill","currentColor"),w.setAttribute("aria-hidden","true");let C=document.createElementNS("http://www.w3.org/2000/svg","path");C.setAttribute("d",D),w.appendChild(C),I.appendChild(w);let x=document.createElement("span");x.textContent=s.appliedText||"Coupon applied",I.appendChild(x),d.appendChild(I),u.appendChild(d);let U=document.createElement("div");if(U.className="ddp-coupon-toolbar",s.showTermsLink){let _=document.createElement("button");_.className="ddp-terms-link",_.type="button",_.textContent="Terms",_.setAttribute("aria-label","View coupon terms and conditions"),_.addEventListener("click",q=>{q.preventDefault(),re(e)}),U.appendChild(_)}if(u.appendChild(U),m.addEventListener("change",async _=>{try{if(_.target.checked){n.info({code:e.code,productId:o,variantId:i},"Applying coupon"),p.style.display="none",I.classList.add("visible"),te(e.code,{applied:!0,timestamp:Date.now()}),typeof t=="function"&&await t(e.code);try{await B(e.code)}catch(q){n.error({err:q,code:e.code},"Failed to apply discount code"),_.target.checked=!1,p.style.display="",I.classList.remove("visible"),te(e.code,{applied:!1})}}else{n.info({code:e.code,productId:o,variantId:i},"Removing coupon"),p.style.display="",I.classList.remove("visible"),te(e.code,{applied:!1}),typeof r=="function"&&await r(e.code);try{await B("")}catch(q){n.error({err:q,code:e.code},"Failed to remove discount code")}}}catch(q){n.error({err:q,code:e.code},"Error handling coupon checkbox change")}}),a)try{sessionStorage.setItem(`wf_auto_applied_${e.code}`,"true")}catch(_){n.warn({err:_},"Failed to set auto-applied flag in sessionStorage")}return n.debug({discountId:e.id},"Coupon block created"),u}catch(s){n.error({err:s,discountId:e?.id},"Failed to create coupon block");let c=document.createElement("div");return c.className="ddp-coupon-block-error",c.textContent="Coupon temporarily unavailable",c}}function re(e){try{n.debug({discountId:e.id},"Showing terms modal");let t=l.settings||{},r=document.createElement("div");r.className="ddp-terms-modal-overlay",r.setAttribute("role","dialog"),r.setAttribute("aria-modal","true"),r.setAttribute("aria-labelledby","ddp-terms-modal-title");let o=document.createElement("div");o.className="ddp-terms-modal-content";let i=document.createElement("div");i.className="ddp-terms-modal-header";let a=document.createElement("h2");a.id="ddp-terms-modal-title",a.textContent="Discount Information",i.appendChild(a);let s=document.createElement("button");s.className="ddp-terms-modal-close",s.type="button",s.textContent="\xD7",s.setAttribute("aria-label","Close modal"),i.appendChild(s),o.appendChild(i);let c=document.createElement("div");c.className="ddp-terms-modal-body";let u=document.createElement("div");u.className="ddp-terms-section";let d=document.createElement("h3");d.textContent="Details",u.appendChild(d);let f=document.createElement("p"),p=document.createElement("strong");p.textContent="Type: ",f.appendChild(p);let m=document.createTextNode(e.type==="percentage"?"Percentage":"Fixed Amount");f.appendChild(m),u.appendChild(f);let v=document.createElement("p"),h=document.createElement("strong");h.textContent="Value: ",v.appendChild(h);let b=Se(e,!0),g=document.createTextNode(b);if(v.appendChild(g),u.appendChild(v),e.endsAt){let w=document.createElement("p"),C=document.createElement("strong");C.textContent="Expires: ",w.appendChild(C);let x=document.createTextNode(Me(e.endsAt));w.appendChild(x),u.appendChild(w)}if(e.appliesOncePerCustomer!==void 0){let w=document.createElement("p"),C=document.createElement("strong");C.textContent="Usage: ",w.appendChild(C);let x=document.createTextNode(e.appliesOncePerCustomer?"One time per customer":"Multiple uses allowed");w.appendChild(x),u.appendChild(w)}c.appendChild(u);let y=document.createElement("div");y.className="ddp-terms-section";let E=document.createElement("h3");E.textContent="Terms & Conditions",y.appendChild(E),(t.discountTermsTemplate||"Please see store policies for complete terms.").split(`
-`).filter(w=>w.trim()).forEach(w=>{let C=document.createElement("p");C.textContent=w.trim(),y.appendChild(C)}),c.appendChild(y),o.appendChild(c),r.appendChild(o);let D=()=>{try{r.remove(),document.body.style.overflow="",n.debug({},"Terms modal closed")}catch(w){n.error({err:w},"Failed to close terms modal")}};s.addEventListener("click",D),r.addEventListener("click",w=>{w.target===r&&D()}),document.addEventListener("keydown",w=>{w.key==="Escape"&&document.body.contains(r)&&D()},{once:!0}),document.body.style.overflow="hidden",document.body.appendChild(r),s.focus(),n.info({discountId:e.id},"Terms modal shown")}catch(t){n.error({err:t,discountId:e?.id},"Failed to show terms modal")}}function rt(){try{let e=document.createElement("div");e.className="ddp-skeleton-loader",e.setAttribute("role","status"),e.setAttribute("aria-live","polite"),e.setAttribute("aria-label","Loading discounts");let t=document.createElement("div");t.className="ddp-skeleton-line ddp-skeleton-line--price",t.style.height="28px",t.style.width="120px",e.appendChild(t);let r=document.createElement("div");r.className="ddp-skeleton-line ddp-skeleton-line--lg",r.style.width="85%",e.appendChild(r);let o=document.createElement("div");o.className="ddp-skeleton-line ddp-skeleton-line--md",o.style.width="65%",e.appendChild(o);let i=document.createElement("div");i.className="ddp-skeleton-line ddp-skeleton-line--sm",i.style.width="45%",e.appendChild(i);let a=document.createElement("span");return a.className="ddp-sr-only",a.textContent="Loading discounts ...",e.appendChild(a),n.debug({},"Skeleton loader created"),e}catch(e){n.error({err:e},"Failed to create skeleton loader");let t=document.createElement("div");return t.textContent="Loading...",t}}function Se(e,t){try{return e.type==="percentage"?`${e.value}%`:e.type==="fixed_amount"?T(e.value,t):(n.warn({discountType:e.type},"Unknown discount type"),T(e.value,t))}catch(r){return n.error({err:r,discount:e},"Failed to format discount amount"),"$0.00"}}function Ee(e,t){try{let r=e.querySelector(t);if(!r){let i=e.closest('[id^="shopify-section-"]');i&&(r=i.querySelector(t))}if(!r){let i=['input[name="id"]','select[name="id"]',"[data-variant-id]",".product-variant-id"];for(let a of i){if(r=e.querySelector(a),r)break;let s=e.closest('[id^="shopify-section-"]');if(s&&(r=s.querySelector(a),r))break}}if(!r)return n.warn({container:e.id||e.className},"No variant input found"),{variantId:null,inputElement:null};let o=null;return r.tagName==="INPUT"||r.tagName==="SELECT"?o=r.value:r.dataset.variantId&&(o=r.dataset.variantId),n.debug({variantId:o,selector:t},"Found variant info"),{variantId:o,inputElement:r}}catch(r){return n.error({err:r,container:e?.id},"Failed to get variant info"),{variantId:null,inputElement:null}}}function Ce(e){try{let t=['input[name="selling_plan"]','select[name="selling_plan"]',"[data-selling-plan-id]"],r=null;for(let i of t){if(r=e.querySelector(i),r)break;let a=e.closest('[id^="shopify-section-"]');if(a&&(r=a.querySelector(i),r))break}if(!r)return n.debug({container:e.id||e.className},"No selling plan input found"),{sellingPlanId:null,inputElement:null};let o=null;return r.tagName==="INPUT"||r.tagName==="SELECT"?o=r.value:r.dataset.sellingPlanId&&(o=r.dataset.sellingPlanId),o===""&&(o=null),n.debug({sellingPlanId:o},"Found selling plan info"),{sellingPlanId:o,inputElement:r}}catch(t){return n.error({err:t,container:e?.id},"Failed to get selling plan info"),{sellingPlanId:null,inputElement:null}}}function nt(e,t,r,o){try{n.info("Setting up variant detection");let i=new WeakSet,a=null,s=null,c=(g,y)=>{g&&g!==a&&(a=g,n.debug({variantId:g,source:y},"Variant changed"),r&&r(g))},u=(g,y)=>{g!==s&&(s=g,n.debug({sellingPlanId:g,source:y},"Selling plan changed"),o&&o(g))},d=()=>{try{e.querySelectorAll('form[action*="cart/add"], form[action*="/cart/add"]').forEach(y=>{if(i.has(y))return;i.add(y);let E=y.querySelector(t)||y.querySelector('input[name="id"]')||y.querySelector('select[name="id"]');E&&(E.addEventListener("change",S=>{c(S.target.value,"cart-form-change")}),E.addEventListener("input",S=>{c(S.target.value,"cart-form-input")}),n.debug("Attached cart form variant listener"));let I=y.querySelector('input[name="selling_plan"]')||y.querySelector('select[name="selling_plan"]');I&&(I.addEventListener("change",S=>{u(S.target.value||null,"cart-form-plan-change")}),I.addEventListener("input",S=>{u(S.target.value||null,"cart-form-plan-input")}),n.debug("Attached cart form selling plan listener"))})}catch(g){n.error({err:g},"Cart form detection failed")}},f=()=>{try{e.querySelectorAll(t).forEach(y=>{if(i.has(y))return;i.add(y),new MutationObserver(I=>{I.forEach(S=>{if(S.type==="attributes"&&S.attributeName==="value"){let D=y.value;c(D,"mutation-observer")}})}).observe(y,{attributes:!0,attributeFilter:["value"]}),n.debug("Attached mutation observer to variant input")})}catch(g){n.error({err:g},"Mutation observer setup failed")}},p=()=>{try{e.addEventListener("change",g=>{let y=g.target;y.matches('input[name="id"], select[name="id"]')&&c(y.value,"event-delegation-change"),y.matches('input[name="selling_plan"], select[name="selling_plan"]')&&u(y.value||null,"event-delegation-plan-change")},!0),e.addEventListener("input",g=>{let y=g.target;y.matches('input[name="id"]')&&c(y.value,"event-delegation-input"),y.matches('input[name="selling_plan"]')&&u(y.value||null,"event-delegation-plan-input")},!0),n.debug("Attached event delegation listeners")}catch(g){n.error({err:g},"Event delegation setup failed")}},m=()=>{try{["variant:change","variant:changed","product:variant:changed","option:change","variantChange","shopify:variant:change"].forEach(y=>{e.addEventListener(y,E=>{let I=E.detail?.variant?.id||E.detail?.variantId||E.detail?.id;I&&c(String(I),`custom-event-${y}`)})}),n.debug("Attached custom event listeners")}catch(g){n.error({err:g},"Custom events setup failed")}},v=()=>{try{let g=()=>{let E=new URLSearchParams(window.location.search).get("variant");E&&c(E,"url-parameter")};window.addEventListener("popstate",g),g(),n.debug("Attached URL monitoring")}catch(g){n.error({err:g},"URL monitoring setup failed")}};d(),f(),p(),m(),v();let h=Ee(e,t);h.variantId&&(a=h.variantId);let b=Ce(e);b.sellingPlanId!==void 0&&(s=b.sellingPlanId),n.info({initialVariantId:a,initialSellingPlanId:s},"Variant detection setup complete")}catch(i){n.error({err:i},"Failed to setup variant detection")}}var ne={DEFAULT:"any",ONE_TIME:"one_time",SUBSCRIPTION:"subscription"};function oe(e){try{return e&&e!==""&&e!=="0"?(n.debug({sellingPlanId:e},"Resolved context: subscription"),ne.SUBSCRIPTION):(n.debug({sellingPlanId:e},"Resolved context: one-time"),ne.ONE_TIME)}catch(t){return n.error({err:t,sellingPlanId:e},"Failed to resolve purchase context"),ne.ONE_TIME}}function Ot(e,t){try{if(!e)return n.warn("No discount provided to eligibility check"),!1;if(oe(t)===ne.SUBSCRIPTION){let i=e.appliesOnSubscription===!0;return n.debug({discountId:e.id,sellingPlanId:t,appliesOnSubscription:e.appliesOnSubscription,eligible:i},"Checked subscription eligibility"),i}let o=e.appliesOnOneTimePurchase!==!1;return n.debug({discountId:e.id,sellingPlanId:t,appliesOnOneTimePurchase:e.appliesOnOneTimePurchase,eligible:o},"Checked one-time eligibility"),o}catch(r){return n.error({err:r,discountId:e?.id,sellingPlanId:t},"Failed to check discount eligibility"),!0}}function ot(e,t){try{if(!Array.isArray(e))return n.warn({discounts:e},"Invalid discounts array provided"),[];let r=oe(t),o=e.filter(i=>Ot(i,t));return n.info({context:r,sellingPlanId:t,totalDiscounts:e.length,eligibleDiscounts:o.length},"Filtered discounts by purchase context"),o}catch(r){return n.error({err:r,sellingPlanId:t,discountCount:e?.length},"Failed to filter discounts by purchase context"),e||[]}}var G={},dt={},it=!1,ft=!1,P={productIds:new Set,handles:new Set,variantIds:new Set,containers:new Map},Ie=null,Pe=!1,Q=new Map,j=0,pt=!1,Rt=5,Mt=1e4,Ut=250,qt=5,at=250,Bt=750,zt=8e3,st=300,ct=new WeakMap,Te=new WeakMap,_e=new WeakSet,ae=new WeakMap,xe=new WeakMap,ie=new Map;var Ae="",z="",H="",A="",$="",De="",M={};function lt(){n.info("Initializing theme selectors");let e=l.selectorOverrides||{},t=e.themeSelectors_forceAutoDetection===!0,r="leave empty for theme auto detection";function o(i,a){let s=`themeSelectors_${i}_enable`,c=`themeSelectors_${i}_custom`,u=e[s]===!0,d=e[c];if(!t&&u&&d&&d.toLowerCase()!==r.toLowerCase())return n.info({key:i,customValue:d},"Using custom selector"),d;let p=l._themeState?.resolvedTheme||"dawn",m=ze(p,i,null);return m&&m.value?(n.info({key:i,detected:m.value,source:m.source},"Using detected selector"),m.value):(n.info({key:i,fallback:a},"Using default selector"),a)}Ae=o("cardPrice",".price__container"),z=o("cardContainer",".grid__item, product-card, .product-card"),H=o("variantInput",'input[ref="variantId"], input[name="id"], select[name="id"], [data-variant-id]'),A=o("formContainer",'form[action*="/cart/add"]'),$=o("formPrice",".price__container"),De=o("formPrice_discounted",".price__sale"),M.cardPrice=Ae,M.cardContainer=z,M.variantInput=H,M.formContainer=A,M.formPrice=$,M.formPrice_discounted=De,l._formPriceSelector=$,l._formSelector=A,n.info({selectors:M},"Selectors initialized")}function se(){if(!z)return n.warn("Product container selector not initialized"),[];try{let e=Array.from(document.querySelectorAll(z));return n.info({count:e.length},"Found product containers"),e}catch(e){return n.error({err:e,selector:z},"Error finding product containers"),[]}}function ce(){if(!A)return n.warn("Form container selector not initialized"),[];try{let e=Array.from(document.querySelectorAll(A));return n.info({count:e.length},"Found form containers"),e}catch(e){return n.error({err:e,selector:A},"Error finding form containers"),[]}}function V(e){if(!e)return!1;try{return!!(A&&e.matches(A)||e.querySelector('form[action*="/cart/add"]'))}catch(t){return n.error({err:t},"Error checking if form container"),!1}}function N(e){if(!e)return null;try{let t=e.querySelector(H);if(t){let c=t.value||t.getAttribute("data-variant-id")||t.getAttribute("ref");if(c){let u=dt[c];if(u)return n.debug({variantId:c,productId:u},"Found product ID via variant mapping"),u}}let r=e.getAttribute("data-product-id");if(r)return n.debug({productId:r},"Found product ID via container attribute"),r;let o=e.querySelector('input[name="product-id"], input[name="product_id"]');if(o?.value)return n.debug({productId:o.value},"Found product ID via product input"),o.value;let i=e.querySelector("[data-product-id]");if(i){let c=i.getAttribute("data-product-id");if(c)return n.debug({productId:c},"Found product ID via inner element"),c}let a=e.querySelector('a[href*="/products/"]');if(a){let u=a.getAttribute("href").match(/\/products\/([^?/#]+)/);if(u){let d=u[1];for(let[f,p]of Object.entries(G))if(p.handle===d)return n.debug({handle:d,productId:f},"Found product ID via handle match"),f;n.debug({handle:d},"Product handle found but not in cache"),Le(e,null,d)}}if(a){let c=a.getAttribute("id");if(c){let u=c.match(/(\d{10,})/);if(u){let d=u[1];if(G[d])return n.debug({productId:d},"Found product ID via link ID extraction"),d}}}let s=e.closest('[id*="shopify-section"]')?.id;if(s){let c=document.getElementById(s);if(c){let u=c.querySelector('input[name="product-id"], input[name="product_id"]');if(u?.value)return n.debug({productId:u.value,sectionId:s},"Found product ID via section scope"),u.value}}return n.debug("Could not find product ID for container"),null}catch(t){return n.error({err:t},"Error finding product ID"),null}}function ke(e){if(!e||!e.products){n.warn("Invalid discount data received");return}try{e.autoApplyEnabled!==void 0&&(pt=e.autoApplyEnabled);let t=e.products,r=0;for(let[o,i]of Object.entries(t))if(G[o]=i,r++,i.variants&&Array.isArray(i.variants))for(let a of i.variants)a.id&&(dt[a.id]=o);n.info({mergedCount:r,totalProducts:Object.keys(G).length},"Merged discount data")}catch(t){n.error({err:t},"Error merging discount data")}}function $t(){let e={productIds:new Set,variantIds:new Set,handles:new Set};try{let t=[...se(),...ce()];for(let o of t){let i=N(o);i&&e.productIds.add(i);let a=o.querySelector(H);if(a){let c=a.value||a.getAttribute("data-variant-id")||a.getAttribute("ref");c&&e.variantIds.add(c)}let s=o.querySelector('a[href*="/products/"]');if(s){let u=s.getAttribute("href").match(/\/products\/([^?/#]+)/);u&&e.handles.add(u[1])}}let r={productIds:Array.from(e.productIds),variantIds:Array.from(e.variantIds),handles:Array.from(e.handles)};return n.info(r,"Collected page product context"),r}catch(t){return n.error({err:t},"Error collecting page product context"),{productIds:[],variantIds:[],handles:[]}}}async function Gt(){try{n.info("Loading discount data from database");let e=$t(),t=await je(e);t&&ke(t)}catch(e){n.error({err:e},"Error loading products from database")}}function Le(e,t=null,r=null,o=[]){try{let i=t||r||o.join(",");if(Q.get(i)>=Rt){n.debug({key:i},"Max attempts reached for missing product");return}if(j>=qt){n.warn("Global fetch failure count exceeded, not queuing");return}t&&P.productIds.add(t),r&&P.handles.add(r),o.length>0&&o.forEach(s=>P.variantIds.add(s)),e&&P.containers.set(e,{productId:t,handle:r,variantIds:o}),n.debug({productId:t,handle:r,variantIds:o},"Queued missing product data"),Ie&&clearTimeout(Ie);let a=Math.min(Ut*Math.pow(2,j),Mt);Ie=setTimeout(()=>{Vt()},a)}catch(i){n.error({err:i},"Error queuing missing product data")}}async function Vt(){if(Pe){n.debug("Missing product fetch already in flight");return}if(P.productIds.size===0&&P.handles.size===0&&P.variantIds.size===0){n.debug("Missing product queue is empty");return}Pe=!0;try{let e=Array.from(P.productIds),t=Array.from(P.handles),r=Array.from(P.variantIds),o=new Map(P.containers);P.productIds.clear(),P.handles.clear(),P.variantIds.clear(),P.containers.clear(),n.info({productIds:e,handles:t,variantIds:r},"Flushing missing product queue"),e.forEach(a=>{let s=Q.get(a)||0;Q.set(a,s+1)}),t.forEach(a=>{let s=Q.get(a)||0;Q.set(a,s+1)});let i=await He({productIds:e,handles:t,variantIds:r});if(i.success&&i.data){ke(i.data),j=0;for(let[a,s]of o.entries()){if(!a.isConnected)continue;let c=s.productId||N(a);c&&G[c]&&(n.debug({productId:c},"Reapplying discounts after missing product fetch"),k(a,c))}}else{j++,n.warn({failureCount:j},"Missing product fetch failed");for(let[a,s]of o.entries())a.isConnected&&Le(a,s.productId,s.handle,s.variantIds)}}catch(e){n.error({err:e},"Error flushing missing product queue"),j++}finally{Pe=!1}}function le(e,t){if(!e||e.length===0)return{automaticDiscount:null,couponDiscount:null,automaticFinalPrice:null,couponFinalPrice:null};try{let r=typeof t=="number"?t:O(t),o=e.filter(d=>d.isAutomatic),i=e.filter(d=>!d.isAutomatic),a=null,s=1/0;for(let d of o){let f=X(r,d);f<s&&(s=f,a=d)}let c=null,u=1/0;for(let d of i){let f=X(r,d);f<u&&(u=f,c=d)}return a&&c&&s<=u&&(c=null,u=null),{automaticDiscount:a,couponDiscount:c,automaticFinalPrice:a?s:null,couponFinalPrice:c?u:null}}catch(r){return n.error({err:r},"Error computing best discounts locally"),{automaticDiscount:null,couponDiscount:null,automaticFinalPrice:null,couponFinalPrice:null}}}async function jt(e){let{productId:t,variantId:r,regularPrice:o,sellingPlanId:i=null,discounts:a}=e;try{let s=`${t}:${r}:${i||"none"}`;if(ie.has(s))return n.debug({cacheKey:s},"Best discount fetch already in flight"),await ie.get(s);let c=(async()=>{try{let u=J();if(!u)throw new Error("Shop domain not found");return await he({shop:u,entries:[{productId:t,variantId:r,regularPrice:typeof o=="number"?o:O(o),sellingPlanId:i}]})}catch(u){return n.error({err:u,cacheKey:s},"Best discount API request failed"),le(a,o)}finally{ie.delete(s)}})();return ie.set(s,c),await c}catch(s){return n.error({err:s},"Error ensuring best discounts from API"),le(a,o)}}function Ht(e){if(e)try{if(ae.has(e))return;F(e);let t=rt();if(!t)return;let r=e.querySelector($);r&&r.parentElement?(r.parentElement.insertBefore(t,r),r.style.display="none"):e.insertBefore(t,e.firstChild),ae.set(e,Date.now());let o=setTimeout(()=>{Oe(e,{force:!0})},zt);xe.set(e,o),n.debug("Showing form processing skeleton")}catch(t){n.error({err:t},"Error showing skeleton")}}function Oe(e,t={}){if(e)try{let r=ae.get(e);if(!r)return;let o=Date.now()-r;if(!(t.force===!0)&&o<st){setTimeout(()=>{Oe(e,{force:!0})},st-o);return}let a=e.querySelector(".ddp-skeleton-loader");a&&a.remove();let s=xe.get(e);s&&(clearTimeout(s),xe.delete(e)),ae.delete(e),n.debug("Cleared form processing skeleton")}catch(r){n.error({err:r},"Error clearing skeleton")}}function Wt(e,t){if(e)try{let r=Te.get(e);if(r===t){n.debug({variantId:t},"Variant unchanged, skipping");return}n.info({prevVariantId:r,nextVariantId:t},"Variant changed"),Te.set(e,t),V(e)&&Ht(e),_e.add(e),setTimeout(()=>{if(!e.isConnected)return;let o=N(e);o&&k(e,o),_e.delete(e)},Bt)}catch(r){n.error({err:r},"Error marking variant switch")}}function Kt(){return typeof Shopify>"u"||!Shopify.designMode?null:l.previewMode?l.previewMode:null}function Xt({type:e,value:t,isAutomatic:r,code:o}){return{id:"preview-"+Date.now(),title:r?"Preview Automatic Discount":"Preview Coupon Code",type:e||"percentage",value:t||10,isAutomatic:r===!0,codes:r?[]:[o||"PREVIEW10"],description:"This is a preview discount for theme editor.",validFrom:new Date().toISOString(),validUntil:null,isPreview:!0}}function k(e,t){if(!e||!t){n.debug("Cannot apply discounts: missing container or product ID");return}try{if(V(e)){let h=ct.get(e)||0,b=Date.now()-h;if(b<at&&!_e.has(e)){n.debug({elapsed:b},"Debouncing form processing"),setTimeout(()=>{e.isConnected&&k(e,t)},at-b);return}ct.set(e,Date.now())}let r=Kt();if(r){n.debug("Preview mode active");let h=Xt(r);V(e)?Y(e,{productId:t,discounts:[h],automaticDiscount:h.isAutomatic?h:null,couponDiscount:h.isAutomatic?null:h,isPreview:!0}):ut(e,[h]);return}let o=G[t];if(!o){n.debug({productId:t},"Product data not in cache, queuing"),Le(e,t);return}let i=o.discounts||[];if(i.length===0){n.debug({productId:t},"No discounts for product"),F(e);return}let s=Ee(e,H)?.variantId;if(s&&Te.set(e,s),s&&(i=i.filter(h=>!h.variants||h.variants.length===0?!0:h.variants.includes(s)),i.length===0)){n.debug({productId:t,variantId:s},"No discounts for variant"),F(e);return}let u=Ce(e)?.sellingPlanId,d=oe(u);if(i=ot(i,d),i.length===0){n.debug({productId:t,purchaseContext:d},"No discounts for purchase context"),F(e);return}let f=V(e),p=Ke(e,{formPriceDiscountedSelector:f?De:"",isForm:f});if(!p||!p.price){n.debug("Could not parse price from DOM"),F(e);return}p.regularPrice=p.price;let m=l.selectorOverrides?.useBestDiscountAPI===!0,v;if(m&&V(e))jt({productId:t,variantId:s,regularPrice:p.regularPrice,sellingPlanId:u,discounts:i}).then(h=>{if(!e.isConnected)return;let b={productId:t,variantId:s,sellingPlanId:u,productData:o,priceData:p,discounts:i,...h};Y(e,b)}).catch(h=>{n.error({err:h},"Error getting best discounts from API");let b=le(i,p.regularPrice),g={productId:t,variantId:s,sellingPlanId:u,productData:o,priceData:p,discounts:i,...b};e.isConnected&&Y(e,g)});else{v=le(i,p.regularPrice);let h={productId:t,variantId:s,sellingPlanId:u,productData:o,priceData:p,discounts:i,...v};V(e)?Y(e,h):ut(e,i)}}catch(r){n.error({err:r,productId:t},"Error applying discounts to product")}}function Y(e,t){if(e)try{Oe(e),F(e);let{productId:r,variantId:o,priceData:i,automaticDiscount:a,couponDiscount:s,automaticFinalPrice:c,couponFinalPrice:u,isPreview:d=!1}=t,f=a,p=c,m=e.querySelector($);m&&(m.style.display="none");let v=document.createElement("div");if(v.className="ddp-discounts ddp-discounts-container",f){let h=ve(i.regularPrice,p,f,!0,i.hasCurrencyCode);h&&v.appendChild(h)}if(s&&pt){let h=we(s,b=>{B(b)},b=>{B("")},r,o,!1);h&&v.appendChild(h)}if(m&&m.parentElement)m.parentElement.insertBefore(v,m);else{let h=e.querySelector('form[action*="/cart/add"]');h?h.insertBefore(v,h.firstChild):e.insertBefore(v,e.firstChild)}n.info({productId:r,variantId:o,hasAutomatic:!!a,hasCoupon:!!s},"Rendered form UI")}catch(r){n.error({err:r},"Error rendering form UI");let o=e.querySelector($);o&&(o.style.display="")}}function ut(e,t){if(!(!e||!t||t.length===0))try{F(e);let r=Xe(e,Ae);if(r.length===0){n.debug("No price elements found for badge attachment");return}if(Z(r[0].container,e)){n.debug("Price element is hidden, skipping badge");return}let o=N(e),i=r[0].container.textContent,a=O(i),s=K(i),c=t.filter(d=>d.isAutomatic),u=t.filter(d=>!d.isAutomatic);if(c.length>0){let d=c.sort((p,m)=>m.value-p.value)[0],f=a?X(a,d):null;ye(e,r,{productId:o,regularPrice:a,finalPrice:f,discount:d,hasCurrencyCode:s,singlePrice:!1})}if(u.length>0){let d=u.sort((f,p)=>p.value-f.value)[0];be(e,r,{productId:o,discount:d,hasCurrencyCode:s})}n.debug({automaticCount:c.length,couponCount:u.length},"Rendered card badges")}catch(r){n.error({err:r},"Error rendering card badges")}}function F(e){if(e)try{e.querySelectorAll(".ddp-discounts, .ddp-discounts-container").forEach(r=>r.remove()),e.querySelectorAll(".ddp-discount-badge, .ddp-coupon-badge").forEach(r=>r.remove()),e.querySelectorAll(".ddp-skeleton-loader").forEach(r=>r.remove());let t=e.querySelector($);t&&t.style.display==="none"&&(t.style.display="")}catch(t){n.error({err:t},"Error clearing existing discounts")}}function Fe(e){if(e)try{nt(e,H,t=>{t&&(n.debug({variantId:t},"Variant change detected"),Wt(e,t))},t=>{let r=N(e);r&&k(e,r)}),n.debug("Attached variant listeners")}catch(t){n.error({err:t},"Error attaching variant listeners")}}function Jt(){try{new MutationObserver(t=>{for(let r of t)if(r.type==="childList")for(let o of r.addedNodes){if(o.nodeType!==Node.ELEMENT_NODE)continue;let i=o.matches&&o.matches(z),a=o.matches&&o.matches(A);if(i||a){n.debug("New container detected via mutation");let s=N(o);s&&(k(o,s),Fe(o))}if(o.querySelectorAll){let s=o.querySelectorAll(z),c=o.querySelectorAll(A);for(let u of[...s,...c]){n.debug("New container detected in subtree");let d=N(u);d&&(k(u,d),Fe(u))}}}}).observe(document.body,{childList:!0,subtree:!0}),n.info("DOM observer initialized")}catch(e){n.error({err:e},"Error setting up DOM observer")}}function Qt(){try{let t=function(){e.setAttribute("data-timestamp",Date.now().toString())},e=document.getElementById("discount-heartbeat");e||(e=document.createElement("div"),e.id="discount-heartbeat",e.style.display="none",document.body.appendChild(e)),t(),setInterval(t,3e4),n.info("Heartbeat initialized")}catch(e){n.error({err:e},"Error setting up heartbeat")}}async function Yt(e=3e3){let t=Date.now();for(;Date.now()-t<e;){if(typeof Shopify<"u"&&Shopify.theme&&Shopify.theme.name)return n.info({themeName:Shopify.theme.name},"Shopify theme detected"),!0;await new Promise(r=>setTimeout(r,100))}return n.warn("Shopify theme not detected within timeout"),!1}async function Ne(){if(it){n.warn("Initialization already attempted");return}it=!0,n.info("Starting Discount Display Pro initialization");try{await Yt(),document.readyState==="loading"&&await new Promise(o=>{document.addEventListener("DOMContentLoaded",o)}),await $e(4e3),me(()=>{n.info("Theme selectors updated, reinitializing selectors"),lt();let o=[...se(),...ce()];for(let i of o){let a=N(i);a&&k(i,a)}}),lt(),ee(),await Gt();let e=se(),t=ce(),r=[...e,...t];n.info({totalContainers:r.length},"Found containers");for(let o of r){let i=N(o);i&&(k(o,i),Fe(o))}Jt(),Qt(),ft=!0,n.info("Discount Display Pro initialization complete")}catch(e){n.error({err:e},"Error during initialization")}}function Zt(e){if(!e)return"";try{return new Date(e).toLocaleDateString(void 0,{year:"numeric",month:"long",day:"numeric"})}catch{return e}}function er(e){let t=window.location.href,r=encodeURIComponent(t);return`/discount/${encodeURIComponent(e)}?return_to=${r}`}l.ui={createPriceContainer:ve,createCouponBlock:we,showTermsModal:re};l.cards={createAutomaticDiscountDisplay:ye,createCouponBadge:be};l.forms={renderPPFormUI:Y,applyDiscountCode:B,buildDiscountUrlWithReturnTo:er};l.utils={formatPrice:T,formatDate:Zt,parsePrice:O,calculateDiscountedPrice:X,clearExistingDiscounts:F,requestBestDiscounts:he};l.logger=n;l.state={get initializationComplete(){return ft},get products(){return G},get selectors(){return M}};typeof window<"u"&&(document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Ne):Ne());var tr={initialize:Ne,applyDiscountsToProduct:k,clearExistingDiscounts:F,findProductContainers:se,findFormContainers:ce,mergeDiscountData:ke};return vt(rr);})();
+var DiscountDisplayPro=(()=>{var Ve=Object.defineProperty;var Zr=Object.getOwnPropertyDescriptor;var en=Object.getOwnPropertyNames;var tn=Object.prototype.hasOwnProperty;var rn=(e,t)=>{for(var r in t)Ve(e,r,{get:t[r],enumerable:!0})},nn=(e,t,r,n)=>{if(t&&typeof t=="object"||typeof t=="function")for(let o of en(t))!tn.call(e,o)&&o!==r&&Ve(e,o,{get:()=>t[o],enumerable:!(n=Zr(t,o))||n.enumerable});return e};var on=e=>nn(Ve({},"__esModule",{value:!0}),e);var Ao={};rn(Ao,{default:()=>Do});var u=window["discounts-display-pro"];var We={debug(){},info(){},warn(){},error(){}},ie=We,N={debug:(e,t)=>ie.debug(e,t),info:(e,t)=>ie.info(e,t),warn:(e,t)=>ie.warn(e,t),error:(e,t)=>ie.error(e,t)};function zt(e){ie=e?{...We,...e}:We}var q={debug:0,info:1,warn:2,error:3},ae={Forms:"Forms",Cards:"Cards",General:"General",PPBlock:"PPBlock"},an={forms:"Forms",form:"Forms",cards:"Cards",card:"Cards",pp:"PPBlock",productpage:"PPBlock",general:"General"},Ke=class{constructor(){this.enabled=!0,this.minLevel=this._getInitialLevel(),this.allowedCategories=new Set(Object.values(ae))}_getInitialLevel(){try{if(typeof window<"u"&&u&&u.logLevel){let t=u.logLevel.toLowerCase();if(q.hasOwnProperty(t))return q[t]}if(typeof localStorage<"u"){let t=localStorage.getItem("wf_discount_log_level");if(t&&q.hasOwnProperty(t.toLowerCase()))return q[t.toLowerCase()]}}catch{}return q.info}_normalizeCategory(t){if(!t)return ae.General;let r=t.toLowerCase();return an[r]||ae[t]||ae.General}_shouldLog(t,r){if(!this.enabled||q[t]<this.minLevel)return!1;let n=this._normalizeCategory(r);return this.allowedCategories.has(n)}log(t,r=null,n="info",o="General"){let a=this._normalizeCategory(o);if(this._shouldLog(n,a))try{let s=`[${a}][${n.toUpperCase()}]`,c=console[n]||console.log;r!=null?c.call(console,s,t,r):c.call(console,s,t)}catch{}}logError(t,r="",n="General"){let o=this._normalizeCategory(n);if(this._shouldLog("error",o))try{let a=`[${o}][ERROR]`;r?console.error(a,r,t):console.error(a,t)}catch{}}logWarning(t,r=null,n="General"){let o=this._normalizeCategory(n);if(this._shouldLog("warn",o))try{let a=`[${o}][WARN]`;r!=null?console.warn(a,t,r):console.warn(a,t)}catch{}}debug(t,r=null,n="General"){this.log(t,r,"debug",n)}info(t,r=null,n="General"){this.log(t,r,"info",n)}warn(t,r=null,n="General"){this.log(t,r,"warn",n)}error(t,r=null,n="General"){this.log(t,r,"error",n)}setMinLevel(t){let r=t.toLowerCase();if(q.hasOwnProperty(r)){this.minLevel=q[r];try{typeof localStorage<"u"&&localStorage.setItem("wf_discount_log_level",r)}catch{}}}setAllowedCategories(t){Array.isArray(t)&&(this.allowedCategories=new Set(t.map(r=>this._normalizeCategory(r))))}onlyForms(){return this.setAllowedCategories(["Forms"]),this}onlyCards(){return this.setAllowedCategories(["Cards"]),this}onlyPP(){return this.setAllowedCategories(["PPBlock"]),this}onlyGeneral(){return this.setAllowedCategories(["General"]),this}all(){return this.setAllowedCategories(Object.values(ae)),this}},i=new Ke;typeof window<"u"&&(u.logger=i);zt(i);function we(e,t){if(!e)return!0;t||(t=document.body);try{let r=e;for(;r&&r!==t&&r!==document.body&&r!==document.documentElement;){if(r.style&&r.style.display==="none"||r.style&&r.style.visibility==="hidden")return!0;if(r.className){let n=typeof r.className=="string"?r.className:r.className.baseVal||"";if(n.includes("visually-hidden")||n.includes("sr-only")||n.includes("screen-reader"))return!0}r=r.parentElement}return!1}catch{return!1}}function sn(e){let t=e.replace(/[^\d.,]/g,"");return/,\d{2}$/.test(t)?"european":/\.\d{2}$/.test(t)?"us":/\.\d{3}/.test(t)?"european":"us"}function B(e){if(!e||typeof e!="string")return null;let t=e.trim().replace(/\b(from|each|per item|per)\b/gi,"").replace(/\b[A-Z]{3}\b/g,""),r=sn(t)==="european",n=r?t.match(/[\d.]+,\d{2}/):t.match(/[\d,]+\.\d{2}|[\d,]+/),o=n?r?n[0].replace(/\./g,"").replace(",","."):n[0].replace(/,/g,""):t.match(/\d+\.?\d*/)?.[0],a=parseFloat(o);return Number.isFinite(a)?Math.round(a*100):null}function U(e,t){try{if(!t||!Number.isFinite(e))return e??null;let r=0;if(t.type==="percentage"){let o=Math.min(Math.max(t.value??0,0),100);r=Math.floor(e*(o/100))}else{let o=typeof t.value=="number"?t.value:0;r=Math.min(Math.max(Math.round(o),0),e)}let n=e-r;return Number.isFinite(n)?Math.max(0,n):e}catch(r){return N.warn("Error calculating discounted price, returning regular price",{err:r,regularPriceCents:e,discount:t}),e}}function Ye(e,t){try{if(!t||!Number.isFinite(e))return 0;if(t.type==="percentage"){let r=Math.min(Math.max(t.value??0,0),100);return Math.floor(e*(r/100))}else{let r=typeof t.value=="number"?t.value:0;return Math.min(Math.max(Math.round(r),0),e)}}catch(r){return N.warn("Error calculating savings, returning 0",{err:r,regularPriceCents:e,discount:t}),0}}function jt(e,t){try{let r=e?.variantScope;return!r||!r.type||r.type==="ALL"?!0:r.type==="PARTIAL"&&Array.isArray(r.ids)?t==null?!1:r.ids.map(String).includes(String(t)):!1}catch(r){return N.warn("Error checking variant eligibility, returning false",{err:r,discount:e,currentVariantId:t}),!1}}function Xe(e,t,r){try{let n=e.filter(c=>c.kind!=="bxgy"&&jt(c,r));if(n.length===0)return null;if(n.length===1){let c=n[0];return{discount:c,finalPrice:U(t,c),savings:Ye(t,c)}}let o=null,a=-1,s=-1;for(let c of n){let d=Ye(t,c);(d>a||d===a&&(c.value??0)>s)&&(o=c,a=d,s=c.value??0)}return o?{discount:o,finalPrice:U(t,o),savings:a}:null}catch(n){return N.warn("Error finding best discount, returning null",{err:n,regularPriceCents:t,currentVariantId:r}),null}}function cn(e,t,r){try{let n=e.filter(c=>c.isAutomatic===!0),o=e.filter(c=>!c.isAutomatic),a=Xe(n,t,r),s=Xe(o,t,r);return{automaticDiscount:a?.discount||null,automaticFinalPrice:a?.finalPrice??null,automaticSavings:a?.savings??null,couponDiscount:s?.discount||null,couponFinalPrice:s?.finalPrice??null,couponSavings:s?.savings??null}}catch(n){return N.warn("Error finding best discounts, returning all null",{err:n,regularPriceCents:t,currentVariantId:r}),{automaticDiscount:null,automaticFinalPrice:null,automaticSavings:null,couponDiscount:null,couponFinalPrice:null,couponSavings:null}}}function ln(e,t){return e?.combinesWith?.productDiscounts===!0&&t?.combinesWith?.productDiscounts===!0}function Ht(e,t){try{if(!Number.isFinite(e))return e??null;let r=(t||[]).reduce((n,o)=>n+Ye(e,o),0);return Math.max(0,e-Math.min(r,e))}catch(r){return N.warn("Error calculating stacked price, returning regular price",{err:r,regularPriceCents:e}),e}}function un(e,t,r){try{let n=e.filter(c=>c.kind!=="bxgy"&&c.combinesWith?.productDiscounts===!0&&jt(c,r)),o=n.filter(c=>c.isAutomatic===!0),a=n.filter(c=>!c.isAutomatic),s=null;for(let c of o)for(let d of a){if(!ln(c,d))continue;let l=Ht(t,[c,d]);(!s||l<s.finalPrice)&&(s={automatic:c,coupon:d,automaticFinalPrice:U(t,c),finalPrice:l})}return s}catch(n){return N.warn("Error finding stacked discounts, returning null",{err:n,regularPriceCents:t,currentVariantId:r}),null}}function Ee(e,t){try{if(!e)return{met:!0,remaining:0,progress:1};let r=e.type==="subtotal"?e.amountCents:e.quantity;if(!Number.isFinite(r)||r<=0)return{met:!0,remaining:0,progress:1};if(!t)return{met:!1,remaining:r,progress:0};if(e.type==="subtotal"&&e.currencyCode&&t.currencyCode&&e.currencyCode!==t.currencyCode)return{met:!1,remaining:null,progress:0};let n=e.type==="subtotal"?t.subtotalCents:t.itemCount,o=Number.isFinite(n)?Math.max(n,0):0,a=Math.max(r-o,0);return{met:a===0,remaining:a,progress:Math.min(o/r,1)}}catch(r){return N.warn("Error evaluating minimum requirement, treating as unmet",{err:r,requirement:e,cart:t}),{met:!1,remaining:null,progress:0}}}function Ie({discounts:e,regularPriceCents:t,currentVariantId:r,cart:n=null}){try{if(!Array.isArray(e)||typeof t!="number")return{automaticDiscount:null,couponDiscount:null,automaticEntry:null,couponEntry:null,basePriceCents:null};let o=[],a=[];for(let v of e){let E=Ee(v?.minimumRequirement||null,n);E.met?o.push(v):a.push({discount:v,evaluation:E})}let{automaticDiscount:s,automaticFinalPrice:c,automaticSavings:d,couponDiscount:l,couponFinalPrice:f,couponSavings:g}=cn(o,t,r),p=!1,b=un(o,t,r),y=Math.min(c??t,f??t);b&&b.finalPrice<y&&(p=!0,s=b.automatic,c=b.automaticFinalPrice,l=b.coupon,f=b.finalPrice),!p&&s&&l&&(c!=null&&f!=null?c<=f:d>=g)&&(l=null,f=null,g=null);let S=s?{finalPriceCents:c,regularPriceCents:t}:null,m=l?{finalPriceCents:f,regularPriceCents:t,...p?{stacksWithAutomatic:!0}:{}}:null,h=null,w=null,C=Xe(a.map(v=>v.discount),t,r);if(C){let v=Math.min(c??t,f??t);if(C.finalPrice<v){h=C.discount;let{evaluation:E}=a.find(I=>I.discount===C.discount);w={...E,finalPriceCents:C.finalPrice}}}return{automaticDiscount:s,couponDiscount:l,automaticEntry:S,couponEntry:m,basePriceCents:t,stacked:p,conditionalDiscount:h,conditionalProgress:w}}catch(o){return N.warn("Error resolving best discounts, returning all null",{err:o,regularPriceCents:t,currentVariantId:r}),{automaticDiscount:null,couponDiscount:null,automaticEntry:null,couponEntry:null,basePriceCents:t}}}function x(e,t=!1){try{let r=e/100;if(typeof window<"u"&&window.Shopify&&window.Shopify.formatMoney)try{let o=t?u?.shopMoneyWithCurrencyFormat||u?.shopMoneyFormat||"{{amount}}":u?.shopMoneyFormat||"{{amount}}";return window.Shopify.formatMoney(e,o)}catch(o){i.logError(o,"Shopify.formatMoney failed","General")}let n=r.toFixed(2);if(typeof window<"u"&&u&&(u._currencyPrefix||u._currencySuffix)){let o=u._currencyPrefix||"",a=u._currencySuffix||"";return`${o}${n}${a}`}if(typeof window<"u")return`${u&&u.currencySymbol||u&&u.currencySymbols&&u.currencySymbols[window.Currency]||"$"}${n}`;try{if(typeof Intl<"u"&&Intl.NumberFormat){let o=typeof window<"u"&&window.Currency||"USD";return new Intl.NumberFormat("en-US",{style:"currency",currency:o,minimumFractionDigits:2,maximumFractionDigits:2}).format(r)}}catch(o){i.logError(o,"Intl.NumberFormat failed","General")}return`$${n}`}catch(r){return i.logError(r,"Error formatting price","General"),`$${(e/100).toFixed(2)}`}}function se(e){if(!e||typeof e!="string")return!1;try{return/\b[A-Z]{3}\b/.test(e)}catch{return!1}}function Gt(e){if(!e||typeof e!="string")return{prefix:"",suffix:""};try{let t=e.match(/[\d.,]+/);if(!t)return{prefix:"",suffix:""};let r=t[0],n=e.indexOf(r),o=e.substring(0,n).trim(),a=e.substring(n+r.length).trim();return typeof window<"u"&&(o&&(u._currencyPrefix=o),a&&(u._currencySuffix=a)),{prefix:o,suffix:a}}catch(t){return i.logError(t,"Error extracting currency format","General"),{prefix:"",suffix:""}}}function Vt(e){try{return new Date(e).toLocaleDateString("en-US",{year:"numeric",month:"long",day:"numeric"})}catch(t){return i.logError(t,"Error formatting date","General"),e}}var $="dawn";function Yt(e){if(!e||typeof e!="string")return $;let t=e.toLowerCase().trim(),r=t.indexOf(" - ");r!==-1&&(t=t.substring(0,r));let n=t.indexOf("(");n!==-1&&(t=t.substring(0,n));let o=t.indexOf("[");o!==-1&&(t=t.substring(0,o)),t=t.trim();let a=["preview","live","published","unpublished","development","dev","draft","staging","test","copy","duplicate","backup"];for(let s of a){let c=new RegExp(`\\s+${s}$`,"i");t=t.replace(c,"")}return t=t.replace(/\s+copy\s*\d*$/i,""),t=t.replace(/\s+v?\d+(\.\d+)*$/i,""),t=t.trim(),t||$}function dn(e){if(!e)return null;let r=String(e).match(/\d+/g);return!r||r.length===0?null:r[r.length-1]}function fn(e){return!e||typeof e!="string"?null:e.toLowerCase().trim()||null}function pn(e){if(!e)return null;let t=Number(e);return isNaN(t)?null:String(Math.trunc(t))}function mn(e){return!e||typeof e!="string"?(i.error({url:e},"Invalid base URL"),""):e.replace(/\/$/,"")}function hn(e,t,r,n){let o=mn(u.apiBaseUrl||"");if(!o)return i.error({},"DISCOUNT_API_BASE_URL not configured"),null;let a=`${o}/api/theme-selectors`,s=new URLSearchParams;return e&&s.append("theme",e),t&&s.append("themeId",t),r&&s.append("schemaName",r),n&&s.append("themeStoreId",n),`${a}?${s.toString()}`}u._themeState||(u._themeState={selectors:null,fallbackSelectors:null,resolvedTheme:null,usedFallback:!1,isReady:!1,listeners:[],cache:new Map});function gn(e){if(!e)return;let t=u._themeState;u.themeSelectors||(u.themeSelectors={}),e.theme&&e.selectors&&(u.themeSelectors[e.theme]=e.selectors,t.resolvedTheme=e.theme,t.selectors=e.selectors),e.fallbackSelectors&&(t.fallbackSelectors=e.fallbackSelectors),t.usedFallback=e.usedFallback||!1,t.isReady=!0,i.info({theme:e.theme,usedFallback:t.usedFallback,selectorCount:Object.keys(e.selectors||{}).length},"Theme selectors applied")}function Wt(e){return i.error({err:e},"Failed to fetch theme selectors"),{usedFallback:!0,selectors:null}}function Je(){let e=u._themeState;[...e.listeners].forEach(r=>{try{r({isReady:e.isReady,resolvedTheme:e.resolvedTheme,usedFallback:e.usedFallback})}catch(n){i.error({err:n},"Error in theme selector listener")}})}async function Qe(e,t,r,n){let o=u._themeState,a=Yt(e),s=dn(t),c=fn(r),d=pn(n),l=s||a;if(o.cache.has(l))return i.info({cacheKey:l},"Returning cached theme selectors promise"),o.cache.get(l);let f=(async()=>{try{let g=hn(a,s,c,d);if(!g){let y=Wt(new Error("Could not build theme selectors URL"));return Je(),y}i.info({theme:a,themeId:s,schemaName:c,storeId:d},"Fetching theme selectors");let p=await fetch(g,{method:"GET",credentials:"omit",headers:{Accept:"application/json"}});if(!p.ok)throw new Error(`HTTP ${p.status}: ${p.statusText}`);let b=await p.json();return gn(b),Je(),b}catch(g){let p=Wt(g);return Je(),p}})();return o.cache.set(l,f),f}function Xt(e,t,r){let n=Yt(e),o=u._themeState;if(u.themeSelectors&&u.themeSelectors[n]){let a=u.themeSelectors[n][t];if(a!=null)return{value:a,source:`theme:${n}`}}if(o.selectors&&o.selectors[t]!==void 0&&o.selectors[t]!==null)return{value:o.selectors[t],source:"state"};if(o.fallbackSelectors&&o.fallbackSelectors[t]!==void 0&&o.fallbackSelectors[t]!==null)return{value:o.fallbackSelectors[t],source:"fallback-backend"};if(u.themeSelectors&&u.themeSelectors[$]){let a=u.themeSelectors[$][t];if(a!=null)return{value:a,source:`theme:${$}`}}return{value:r,source:"fallback"}}function Jt(e=4e3){let t=u._themeState;return t.isReady?Promise.resolve(!0):new Promise(r=>{let n=setTimeout(()=>{i.warn({timeoutMs:e},"Theme selectors ready timeout"),r(!1)},e),o=Ze(a=>{a.isReady&&(clearTimeout(n),r(!0))});u._themePromise&&u._themePromise.then(()=>{t.isReady&&(clearTimeout(n),r(!0))}).catch(a=>{i.error({err:a},"Theme selectors promise rejected")})})}function Ze(e){if(typeof e!="function")return i.error({},"subscribeToThemeSelectorUpdates: callback must be a function"),()=>{};let t=u._themeState;return t.listeners.push(e),()=>{let r=t.listeners.indexOf(e);r>-1&&t.listeners.splice(r,1)}}function Kt(){try{let e=window.Shopify?.theme;if(!e){i.warn({},"Shopify.theme not available, using default theme"),u._themePromise=Qe($,null,null,null);return}let t=e.name||$,r=e.id||null,n=e.schema_name||null,o=e.theme_store_id||null;i.info({themeName:t,themeId:r,schemaName:n,storeId:o},"Auto-detected theme"),u._themePromise=Qe(t,r,n,o)}catch(e){i.error({err:e},"Error in auto-detect theme"),u._themePromise=Qe($,null,null,null)}}typeof window<"u"&&(document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Kt):Kt());var Te={DEFAULT:"any",ONE_TIME:"one_time",SUBSCRIPTION:"subscription"};function Qt(e){return e&&e!==""&&String(e)!=="0"?Te.SUBSCRIPTION:Te.ONE_TIME}function Zt(e,t){return e?Qt(t)===Te.SUBSCRIPTION?e.appliesOnSubscription===!0:e.appliesOnOneTimePurchase!==!1:!1}function ce(e,t){return Array.isArray(e)?e.filter(r=>Zt(r,t)):[]}var yn=e=>e==null?null:String(e).split("/").pop();function er(e,t={}){if(!e)return null;let{sellingPlanId:r=null,cart:n=null,now:o=Date.now()}=t,a=e.variants||{},s=yn(t.variantId)??Object.keys(a)[0]??null,c=s?a[s]:null,d=t.regularPriceCents??c?.regularPriceCents;if(!Number.isFinite(d))return null;let l=ce(e.discounts,r).filter(p=>!p.endsAt||new Date(p.endsAt).getTime()>o),f=Ie({discounts:l,regularPriceCents:d,currentVariantId:s,cart:n}),g=f.automaticEntry?.finalPriceCents??d;return{variantId:s,regularPriceCents:d,compareAtPriceCents:c?.compareAtPriceCents??null,currencyCode:c?.currencyCode??null,automaticPriceCents:g,bestPriceCents:f.couponEntry?.finalPriceCents??g,automaticDiscount:f.automaticDiscount,couponDiscount:f.couponDiscount,stacked:f.stacked===!0,conditionalDiscount:f.conditionalDiscount??null,conditionalProgress:f.conditionalProgress??null}}var bn=50,_e=class extends Error{constructor(t,{status:r=null,body:n=null,cause:o}={}){super(t,o===void 0?void 0:{cause:o}),this.name="DiscountsApiError",this.status=r,this.body=n}},et=e=>(Array.isArray(e)?e:e==null?[]:[e]).map(t=>String(t).trim()).filter(Boolean),xe=e=>et(e).map(t=>t.split("/").pop());async function Sn(e){try{return await e.json()}catch{return null}}function tr(e={}){let{shop:t,token:r,getToken:n,fetch:o=globalThis.fetch,revalidate:a=!0}=e,s=String(e.apiBaseUrl||"").replace(/\/+$/,"");if(!s)throw new Error("createDiscountsClient requires apiBaseUrl");if(!t)throw new Error("createDiscountsClient requires shop");if(!r&&!n)throw new Error("createDiscountsClient requires token or getToken");if(typeof o!="function")throw new Error("createDiscountsClient requires a fetch implementation");let c=new Map,d=r||null;async function l(p){return n&&(p||!d)&&(d=await n({refresh:p})),d}function f(p,b){let y=new URLSearchParams({shop:t}),S={productIds:xe(p),variantIds:xe(b.variantIds),handles:et(b.handles),collectionIds:xe(b.collectionIds),collectionHandles:et(b.collectionHandles)};for(let[h,w]of Object.entries(S))w.length>0&&y.set(h,w.join(","));for(let h of["currency","country","rate"]){let w=b[h]??e[h];w!=null&&w!==""&&y.set(h,String(w))}let m=b.customer??e.customer;return m?.id&&m?.sig&&(y.set("customerId",String(m.id)),y.set("customerTags",m.tags||""),y.set("customerTs",String(m.ts??"")),y.set("customerSig",m.sig)),`${s}/api/discounts?${y.toString()}`}async function g(p,b,y=!1){let S=c.get(p),m={Accept:"application/json",Authorization:`Bearer ${await l(y)}`};S&&(m["If-None-Match"]=S.etag);let h;try{h=await o(p,{method:"GET",headers:m,signal:b,credentials:"omit"})}catch(v){throw v?.name==="AbortError"?v:new _e("Discounts request failed",{cause:v})}if(h.status===304&&S)return N.debug("Discount data not modified, reusing previous response",{shop:t}),S.data;if((h.status===401||h.status===403)&&n&&!y)return N.info("Storefront token rejected, refreshing",{shop:t,status:h.status}),g(p,b,!0);if(!h.ok){let v=await Sn(h);throw new _e(v?.error||`HTTP ${h.status}`,{status:h.status,body:v})}let w=await h.json(),C=a?h.headers.get("ETag"):null;return C&&(c.delete(p),c.size>=bn&&c.delete(c.keys().next().value),c.set(p,{etag:C,data:w})),w}return{async getDiscountsForProducts(p,b={}){return g(f(p,b),b.signal)},async getBestPrice(p,b={}){let[y]=xe(p),S=await this.getDiscountsForProducts(y,{...b,variantIds:b.variantId!=null?[b.variantId]:b.variantIds});return er(S.products?.[y],b)},clear(){c.clear()}}}function Q(){if(u._shopDomain)return u._shopDomain;if(window.Shopify?.shop)return u._shopDomain=window.Shopify.shop,u._shopDomain;try{let e=window.location.hostname;return e.endsWith(".myshopify.com")?(u._shopDomain=e,u._shopDomain):(i.warn({hostname:e},"Could not resolve shop domain from hostname"),null)}catch(e){return i.error({err:e},"Error resolving shop domain"),null}}function rt(e){return!e||typeof e!="string"?(i.error({url:e},"Invalid base URL"),""):e.replace(/\/$/,"")}function rr(e,t,{productIds:r=[],variantIds:n=[],handles:o=[],collectionIds:a=[],collectionHandles:s=[]}){let c=rt(u.apiBaseUrl||"");if(!c)return i.error({},"DISCOUNT_API_BASE_URL not configured"),null;let d=tr({apiBaseUrl:c,shop:e,token:t,customer:u.customer,revalidate:!1}),l={variantIds:n,handles:o,collectionIds:a,collectionHandles:s,...nt()};return()=>d.getDiscountsForProducts(r,l)}function vn(){let e=u.customer;return!e||!e.id||!e.sig?{}:{customerId:e.id,customerTags:e.tags,customerTs:e.ts,customerSig:e.sig}}function nt(){let e={};u.presentmentCurrency&&(e.currency=u.presentmentCurrency),u.presentmentCountry&&(e.country=u.presentmentCountry);let t=parseFloat(window.Shopify?.currency?.rate);return Number.isFinite(t)&&t>0&&(e.rate=t),e}var Cn=2,nr=600*1e3,wn=200,or=e=>`wf_discount_cache_v${Cn}:${e}`,J,tt=new Set;function ir(){if(J!==void 0)return J;J=null;for(let e of["localStorage","sessionStorage"])try{let t=window[e];t.setItem("wf_storage_probe","1"),t.removeItem("wf_storage_probe"),J=t;break}catch{}return J||i.debug({},"Web storage unavailable, discount data will not be kept between pages"),J}function Pe(e){return String(e).split("/").pop()}function ar(){let{currency:e="",country:t="",rate:r=""}=nt();return[e,t,r,vn().customerId||""].join("|")}function sr(e){let t=ir();if(!t)return null;try{let r=JSON.parse(t.getItem(or(e))||"null");return!r||r.context!==ar()?null:r}catch(r){return i.warn({err:r},"Ignoring unreadable stored discount data"),null}}function En(e,{productIds:t,handles:r,collectionIds:n=[],collectionHandles:o=[]}){if(t.length===0&&r.length===0&&n.length===0&&o.length===0)return null;let a=sr(e);if(!a)return null;let s=y=>y&&Date.now()-y.storedAt<nr,c=t.map(Pe);for(let y of r){let S=a.handles[y];if(!s(S))return null;S.productId&&c.push(S.productId)}let d={},l=a.collections||{},f=y=>Object.entries(l).find(([,S])=>S.handle===y),g=[...n.map(y=>[Pe(y),l[Pe(y)]]),...o.map(y=>f(y)||[y,null])],p=new Set;for(let[y,S]of g){if(!s(S))return null;d[y]={handle:S.handle,productIds:S.productIds};let m=new Set(S.discountedProductIds);c.push(...m);for(let h of S.productIds)m.has(String(h))||p.add(String(h))}let b={};for(let y of c){let S=a.products[y];if(!s(S)){if(p.has(y))continue;return null}S.data&&(b[y]=S.data)}return{products:b,...g.length>0&&{collections:d},autoApplyEnabled:a.autoApplyEnabled,currency:a.currency,revision:a.revision}}function ot(e,t,{productIds:r,handles:n}){let o=ir();if(!(!o||!t||!t.products))try{let a=t.revision??null,s=sr(e);s&&s.revision!==a&&(i.info({from:s.revision,to:a},"Discount revision changed, dropping stored discount data"),s=null),s||(s={revision:a,context:ar(),products:{},handles:{},collections:{}}),s.autoApplyEnabled=t.autoApplyEnabled,s.currency=t.currency;let c=Date.now();for(let l of n)s.handles[l]={productId:null,storedAt:c};for(let l of r)s.products[Pe(l)]={data:null,storedAt:c};for(let l of Object.values(t.collections||{}))for(let f of l.productIds||[])s.products[String(f)]={data:null,storedAt:c};for(let[l,f]of Object.entries(t.products))s.products[l]={data:f,storedAt:c},f.handle&&(s.handles[f.handle]={productId:l,storedAt:c});s.collections=s.collections||{};for(let[l,f]of Object.entries(t.collections||{})){let g=(f.productIds||[]).map(String).filter(p=>t.products[p]);s.collections[l]={...f,discountedProductIds:g,storedAt:c}}let d=l=>Object.entries(l).filter(([,f])=>c-f.storedAt<nr);s.handles=Object.fromEntries(d(s.handles)),s.collections=Object.fromEntries(d(s.collections)),s.products=Object.fromEntries(d(s.products).sort(([,l],[,f])=>!!f.data-!!l.data||f.storedAt-l.storedAt).slice(0,wn)),o.setItem(or(e),JSON.stringify(s))}catch(a){i.warn({err:a},"Failed to store discount data")}}function In(e,t){if(e.revision!==t.revision||e.autoApplyEnabled!==t.autoApplyEnabled||JSON.stringify(e.collections||{})!==JSON.stringify(t.collections||{}))return!0;let r=new Set([...Object.keys(e.products),...Object.keys(t.products)]);for(let n of r)if(JSON.stringify(e.products[n])!==JSON.stringify(t.products[n]))return!0;return!1}function it(e,t=null){let r=u._fetchCache;if(!r){u._fetchCache=e;return}let n={...r.products};for(let o of Object.keys(t?.products||{}))delete n[o];u._fetchCache={...r,...e,products:{...n,...e.products},collections:{...r.collections,...e.collections}}}async function Tn(e,t,r,n){try{let o=await e();if(ot(t,o,r),!In(o,n)){i.debug({},"Stored discount data is current");return}i.info({revision:o.revision},"Stored discount data was out of date, updating"),it(o,n);for(let a of tt)try{a(o,n)}catch(s){i.error({err:s},"Discount revalidation listener failed")}}catch(o){i.warn({err:o},"Failed to revalidate stored discount data")}}function cr(e){return tt.add(e),()=>tt.delete(e)}function xn(){let e=rt(u.apiBaseUrl||"");return e?`${e}/api/best-discounts`:(i.error({},"DISCOUNT_API_BASE_URL not configured"),null)}function _n(e){let t=[],r=[],n=[],o=[],a=[];return e?(e.productId&&t.push(e.productId),e.variantId&&r.push(e.variantId),e.handle&&n.push(e.handle),e.productIds&&Array.isArray(e.productIds)&&t.push(...e.productIds),e.variantIds&&Array.isArray(e.variantIds)&&r.push(...e.variantIds),e.handles&&Array.isArray(e.handles)&&n.push(...e.handles),e.collectionIds&&Array.isArray(e.collectionIds)&&o.push(...e.collectionIds),e.collectionHandles&&Array.isArray(e.collectionHandles)&&a.push(...e.collectionHandles),{productIds:[...new Set(t)],variantIds:[...new Set(r)],handles:[...new Set(n)],collectionIds:[...new Set(o)],collectionHandles:[...new Set(a)]}):{productIds:t,variantIds:r,handles:n,collectionIds:o,collectionHandles:a}}async function lr(e){try{if(u._fetchPromise)return i.info({},"Reusing existing discounts fetch promise"),await u._fetchPromise;if(u._fetchCache)return i.info({},"Returning cached discount data"),u._fetchCache;let t=Q();if(!t)return i.error({},"Cannot load discounts: shop domain not resolved"),null;let r=u.storefrontToken;if(!r)return i.error({},"Cannot load discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),null;let{productIds:n,variantIds:o,handles:a,collectionIds:s,collectionHandles:c}=_n(e),d={productIds:n,handles:a,collectionIds:s,collectionHandles:c},l=rr(t,r,{productIds:n,variantIds:o,handles:a,collectionIds:s,collectionHandles:c});if(!l)return null;let f=En(t,d);if(f)return i.info({productCount:Object.keys(f.products).length,revision:f.revision},"Using stored discount data, revalidating"),u._fetchCache=f,Tn(l,t,d,f),f;i.info({shop:t,productCount:n.length,variantCount:o.length,handleCount:a.length,collectionCount:s.length+c.length},"Fetching discount data");let g=(async()=>{try{let p=await l();return i.info({productCount:Object.keys(p.products||{}).length},"Discount data loaded"),it(p),ot(t,p,d),p}catch(p){return i.error({err:p},"Failed to load discount data"),null}finally{u._fetchPromise=null}})();return u._fetchPromise=g,await g}catch(t){return i.error({err:t},"Error in loadDiscountData"),null}}async function ur({productIds:e=[],handles:t=[],variantIds:r=[]}){try{let n=Q();if(!n)return i.error({},"Cannot fetch additional discounts: shop domain not resolved"),{success:!1,hasData:!1};let o=u.storefrontToken;if(!o)return i.error({},"Cannot fetch additional discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),{success:!1,hasData:!1};if(e.length===0&&t.length===0&&r.length===0)return i.warn({},"No IDs provided for additional discount fetch"),{success:!0,hasData:!1};let a=rr(n,o,{productIds:e,variantIds:r,handles:t});if(!a)return{success:!1,hasData:!1};i.info({shop:n,productCount:e.length,variantCount:r.length,handleCount:t.length},"Fetching additional discount data");let s=await a(),c=Object.keys(s.products||{}).length;return i.info({productCount:c},"Additional discount data loaded"),ot(n,s,{productIds:e,handles:t}),it(s),{success:!0,hasData:c>0,data:s}}catch(n){return i.error({err:n},"Failed to fetch additional discount data"),{success:!1,hasData:!1,data:null}}}async function at({shop:e,entries:t}){try{if(!e&&(e=Q(),!e))return i.error({},"Cannot request best discounts: shop domain not resolved"),{results:[],errors:["Shop domain not resolved"]};if(!Array.isArray(t)||t.length===0)return i.warn({},"No entries provided for best discounts request"),{results:[],errors:[]};let r=u.storefrontToken;if(!r)return i.error({},"Cannot request best discounts: DISCOUNT_STOREFRONT_TOKEN not configured"),{results:[],errors:["Storefront token not configured"]};let n=xn();if(!n)return{results:[],errors:["Could not build API URL"]};i.info({shop:e,entryCount:t.length},"Requesting best discounts");let o=await fetch(n,{method:"POST",credentials:"omit",headers:{"Content-Type":"application/json",Accept:"application/json",Authorization:`Bearer ${r}`},body:JSON.stringify({shop:e,requests:t,...nt()})});if(!o.ok)throw new Error(`HTTP ${o.status}: ${o.statusText}`);let a=await o.json();return i.info({resultCount:a.results?.length||0,errorCount:a.errors?.length||0},"Best discounts response received"),{results:a.results||[],errors:a.errors||[]}}catch(r){return i.error({err:r},"Failed to request best discounts"),{results:[],errors:[r.message||"Unknown error"]}}}async function dr(e,{keepalive:t=!1}={}){try{let r=Q(),n=u.storefrontToken,o=rt(u.apiBaseUrl||"");if(!r||!n||!o)return i.debug({hasShop:!!r,hasToken:!!n},"Skipping analytics events: API not configured"),!1;let a=await fetch(`${o}/api/events`,{method:"POST",credentials:"omit",keepalive:t,headers:{"Content-Type":"application/json",Authorization:`Bearer ${n}`},body:JSON.stringify({shop:r,events:e})});if(!a.ok)throw new Error(`HTTP ${a.status}: ${a.statusText}`);return i.debug({count:e.length},"Analytics events sent"),!0}catch(r){return i.warn({err:r,count:e.length},"Failed to send analytics events"),!1}}function pr(e,t={}){let{formPriceDiscountedSelector:r="",isForm:n=!1}=t;try{if(n)try{let a=e.querySelector("script[data-selected-variant]");if(a){let s=JSON.parse(a.textContent),c=s.price||s.final_price;if(typeof c=="number"&&c>0)return i.log("Price from variant JSON",{price:c},"debug","Forms"),{price:c,hasCurrencyCode:!1}}}catch(a){i.log("Failed to parse variant JSON",{error:a.message},"debug","Forms")}if(n&&r){let a=Pn(e,r);if(a)return i.log("Price from discounted form selector",{price:a.price},"debug","Forms"),a}let o=Dn(e);if(o){let a=Gt(o),s=B(o);if(typeof s=="number"&&s>0)return i.log("Price from DOM text walking",{price:s,priceText:a},"debug","PriceExtractor"),{price:s,hasCurrencyCode:se(o)}}return i.log("No price found",{},"debug","PriceExtractor"),null}catch(o){return i.log("Error in parsePriceFromDOM",{error:o.message},"error","PriceExtractor"),null}}function Pn(e,t){try{let r=e.querySelectorAll(t);for(let n of r){if(we(n,e)){i.log("Skipping hidden discounted price element",{selector:t},"debug","Forms");continue}let o=n.textContent.trim();if(o){let a=B(o);if(typeof a=="number"&&a>0)return{price:a,hasCurrencyCode:se(o)}}}return null}catch(r){return i.log("Error in getDiscountedFormPrice",{error:r.message,selector:t},"error","Forms"),null}}function Dn(e){try{let t=Array.from(e.querySelectorAll("*")).filter(o=>!o.closest(".ddp-discounts")),r=[];for(let o of t)if(!fr(o,e)){for(let a of o.childNodes)if(a.nodeType===3){let s=a.textContent.trim();s&&/\d/.test(s)&&r.push(s)}}if(r.length>0)return i.log("Found price from TEXT_NODE",{text:r[0]},"debug","PriceExtractor"),r[0];for(let o of t)if(!fr(o,e)&&o.children.length===0){let a=o.textContent.trim();if(a&&/\d/.test(a))return i.log("Found price from leaf element",{text:a},"debug","PriceExtractor"),a}let n=e.textContent;for(let o of e.querySelectorAll(".ddp-discounts"))n=n.replace(o.textContent,"");return n=n.trim(),n&&/\d/.test(n)?(i.log("Using fallback container text",{text:n},"debug","PriceExtractor"),n):""}catch(t){return i.log("Error in getCleanPriceText",{error:t.message},"error","PriceExtractor"),""}}function fr(e,t){try{let r=e;for(;r&&r!==t;){if(r.classList&&(r.classList.contains("visually-hidden")||r.classList.contains("sr-only")||r.classList.contains("screen-reader"))||r.hasAttribute("hidden")||r.getAttribute("aria-hidden")==="true"||r.style.display==="none"||r.style.visibility==="hidden")return!0;r=r.parentElement}return!1}catch(r){return i.log("Error in isElementHiddenInline",{error:r.message},"error","PriceExtractor"),!1}}function mr(e,t,r=""){try{let n=[];if(t&&(n=Array.from(e.querySelectorAll(t))),n.length===0&&r!=="custom"){let a=[".product-price .js-value",".product-price",".price__current .js-value",".price__current",".price .js-value",".price"];for(let s of a)if(n=Array.from(e.querySelectorAll(s)),n.length>0){i.log("Using fallback selector",{fallbackSelector:s},"debug","PriceExtractor");break}}let o=n.filter(a=>!An(a));return i.log("Found price elements",{total:n.length,visible:o.length,selector:t},"debug","PriceExtractor"),o.map(a=>({container:a}))}catch(n){return i.log("Error in findPriceElements",{error:n.message,selector:t},"error","PriceExtractor"),[]}}function An(e){try{let t=e;for(;t&&t!==document.body;){let r=window.getComputedStyle(t);if(r.display==="none"||r.visibility==="hidden"||r.opacity==="0")return!0;t=t.parentElement}return!1}catch(t){return i.log("Error in isElementOrAncestorHidden",{error:t.message},"error","PriceExtractor"),!1}}var Nn=3e3,On=50,_={IMPRESSION:"impression",COUPON_TOGGLE:"coupon_toggle",AUTO_APPLY:"auto_apply",TERMS_OPEN:"terms_open"},le=[],ue=null,hr=!1,gr=new Set;function kn(){if(window.Shopify?.designMode)return!1;let e=window.Shopify?.customerPrivacy;return e&&typeof e.analyticsProcessingAllowed=="function"?e.analyticsProcessingAllowed()!==!1:!0}async function De({keepalive:e=!1}={}){if(ue&&(clearTimeout(ue),ue=null),le.length===0)return;let t=le;le=[],await dr(t,{keepalive:e})}function Fn(){hr||(hr=!0,window.addEventListener("pagehide",()=>De({keepalive:!0})),document.addEventListener("visibilitychange",()=>{document.visibilityState==="hidden"&&De({keepalive:!0})}))}function D(e,t,r={}){try{if(!t||!kn())return;let n=String(t);if(e===_.IMPRESSION){if(gr.has(n))return;gr.add(n)}let o={type:e,discountId:n};typeof r.applied=="boolean"&&(o.applied=r.applied),le.push(o),Fn(),le.length>=On?De():ue||(ue=setTimeout(()=>De(),Nn))}catch(n){i.warn({err:n,type:e,discountId:t},"Failed to track analytics event")}}function Ln(e){try{let t=encodeURIComponent(e),r=window.location.pathname+window.location.search,n=encodeURIComponent(r),o=`/discount/${t}?return_to=${n}`;return i.debug({discountCode:e,discountUrl:o},"Built discount URL"),o}catch(t){return i.error({err:t,discountCode:e},"Failed to build discount URL"),`/discount/${encodeURIComponent(e)}`}}async function W(e,t={}){let{silent:r=!0,discountId:n=null}=t,o=()=>{e&&n&&D(_.AUTO_APPLY,n)};try{let a=`wf_coupon_applied_${e}`;sessionStorage.setItem(a,"1"),i.info({discountCode:e,silent:r},"Applying discount code");let s=Ln(e);if(typeof Shopify<"u"&&Shopify.designMode){i.debug({discountCode:e},"In theme editor, skipping network requests");return}if(!r){i.info({discountCode:e,discountUrl:s},"Non-silent mode, navigating directly"),o(),window.location.href=s;return}try{i.debug({discountCode:e},"Attempting Strategy 1: fetch()");let c=new AbortController,d=setTimeout(()=>c.abort(),2500),l=await fetch(s,{method:"GET",credentials:"include",mode:"cors",redirect:"follow",signal:c.signal});if(clearTimeout(d),l.ok||l.status>=200&&l.status<400){i.info({discountCode:e,status:l.status},"Strategy 1 succeeded"),o();return}i.warn({discountCode:e,status:l.status},"Strategy 1 failed, trying Strategy 2")}catch(c){i.warn({err:c,discountCode:e},"Strategy 1 failed, trying Strategy 2")}try{i.debug({discountCode:e},"Attempting Strategy 2: iframe"),await Mn(s,e),i.info({discountCode:e},"Strategy 2 succeeded"),o();return}catch(c){i.warn({err:c,discountCode:e},"Strategy 2 failed, trying Strategy 3")}i.info({discountCode:e,discountUrl:s},"Strategy 3: direct navigation"),o(),window.location.href=s}catch(a){throw i.error({err:a,discountCode:e},"Failed to apply discount code"),a}}function Mn(e,t){return new Promise((r,n)=>{let o=null,a=null,s=!1,c=()=>{a&&clearTimeout(a),o&&o.parentNode&&setTimeout(()=>{try{o&&o.parentNode&&o.parentNode.removeChild(o)}catch(l){i.warn({err:l,discountCode:t},"Failed to remove iframe")}},250)},d=(l,f=null)=>{s||(s=!0,c(),l?r():n(f||new Error("Iframe strategy failed")))};try{o=document.createElement("iframe"),o.style.display="none",o.style.position="absolute",o.style.width="0",o.style.height="0",o.style.border="none",o.setAttribute("aria-hidden","true"),o.src=e,o.onload=()=>{i.debug({discountCode:t},"Iframe loaded"),d(!0)},o.onerror=l=>{i.warn({err:l,discountCode:t},"Iframe error"),d(!1,l)},a=setTimeout(()=>{i.warn({discountCode:t},"Iframe timeout"),d(!1,new Error("Iframe timeout"))},3500),document.body.appendChild(o)}catch(l){i.error({err:l,discountCode:t},"Failed to create iframe"),d(!1,l)}})}function Ae(){u._couponState||(u._couponState={},i.debug("Initialized coupon state tracker"))}function Z(e){try{Ae();let t=u._couponState[e];return t&&typeof t=="object"?t:{applied:t===!0}}catch(t){return i.error({err:t,code:e},"Failed to get coupon state"),{applied:!1}}}function Ne(e,t){try{Ae(),typeof t=="object"?u._couponState[e]=t:u._couponState[e]={applied:!!t},i.debug({code:e,state:u._couponState[e]},"Set coupon state")}catch(r){i.error({err:r,code:e},"Failed to set coupon state")}}var Rn=1e3,Bn=3600*1e3,Un=1e4,de=new Set,Oe=null;function ke(e){if(!e||!e.endsAt)return null;let t=Date.parse(e.endsAt);return Number.isFinite(t)?t:null}function st(e,t=Date.now()){let r=ke(e);return r!==null&&r<=t}function qn(e){let t=Math.max(0,Math.ceil(e/1e3)),r=Math.floor(t/86400),n=Math.floor(t%86400/3600),o=Math.floor(t%3600/60),a=t%60;return r>0?`${r}d ${n}h`:n>0?`${n}h ${o}m`:o>0?`${o}m ${a}s`:`${a}s`}function fe(e,t){try{let r=u.settings||{},n=t==="form"?r.showFormCountdown:r.showCardCountdown,o=ke(e);if(!n||o===null)return null;let a=o-Date.now(),s=Number(r.countdownWithinHours)||0;if(a<=0||s>0&&a>s*Bn)return null;let c=document.createElement("span");c.className=`ddp-countdown ddp-countdown--${t}`,c.setAttribute("role","timer"),c.dataset.discountId=e.id;let d={element:c,endTime:o,createdAt:Date.now(),mounted:!1};return yr(d,Date.now()),de.add(d),$n(),i.debug({discountId:e.id,placement:t,remaining:a},"Countdown created"),c}catch(r){return i.error({err:r,discountId:e?.id},"Failed to create countdown"),null}}function yr(e,t){let r=u.countdownText||"Ends in {time}";e.element.textContent=r.replace("{time}",qn(e.endTime-t))}function $n(){Oe||(Oe=setInterval(zn,Rn))}function zn(){let e=Date.now();for(let t of de){if(t.element.isConnected)t.mounted=!0;else if(t.mounted||e-t.createdAt>Un){de.delete(t);continue}yr(t,e),t.endTime<=e&&de.delete(t)}de.size===0&&(clearInterval(Oe),Oe=null)}function pe(e,t){try{let r=u.settings||{},n=e?.usesLeft,o=Number(r.scarcityThreshold)||0;if(!r.showScarcity||!Number.isFinite(n)||n<=0||n>o)return null;let a=document.createElement("span");a.className=`ddp-scarcity ddp-scarcity--${t}`,a.dataset.discountId=e.id;let s=u.scarcityText||"Only {count} left";return a.textContent=s.replace("{count}",String(n)),a}catch(r){return i.error({err:r,discountId:e?.id},"Failed to create scarcity note"),null}}var br="http://www.w3.org/2000/svg",jn={tag:"M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z",fire:"M13.5.67s.74 2.65.74 4.8c0 2.06-1.35 3.73-3.41 3.73-2.07 0-3.63-1.67-3.63-3.73l.03-.36C5.21 7.51 4 10.62 4 14c0 4.42 3.58 8 8 8s8-3.58 8-8C20 8.61 17.41 3.8 13.5.67zM11.71 19c-1.78 0-3.22-1.4-3.22-3.14 0-1.62 1.05-2.76 2.81-3.12 1.77-.36 3.6-1.21 4.62-2.58.39 1.29.59 2.65.59 4.04 0 2.65-2.15 4.8-4.8 4.8z",star:"M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z",bolt:"M7 2v11h3v9l7-12h-4l4-8z",clock:"M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z",gift:"M20 6h-2.18c.11-.31.18-.65.18-1 0-1.66-1.34-3-3-3-1.05 0-1.96.54-2.5 1.35l-.5.67-.5-.68C10.96 2.54 10.05 2 9 2 7.34 2 6 3.34 6 5c0 .35.07.69.18 1H4c-1.11 0-1.99.89-1.99 2L2 19c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2zm-5-2c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zM9 4c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm11 15H4v-2h16v2zm0-5H4V8h5.08L7 10.83 8.62 12 11 8.76l1-1.36 1 1.36L15.38 12 17 10.83 14.92 8H20v6z"};function me(e,t){return e?.display?.badgeText||t}function vr(e){let t=u.settings||{};return e?.display?.termsText||t.discountTermsTemplate||"Please see store policies for complete terms."}function Sr(e){return Number(e?.display?.priority)||0}function Cr(e){let t=Number.isFinite(e),r=n=>e-U(e,n);return(n,o)=>{let a=Sr(o)-Sr(n);return a!==0?a:t?r(o)-r(n):n.type!==o.type?n.type==="percentage"?-1:1:o.value-n.value}}function he(e,t){let r=t?.display;if(!r)return;r.badgeBgColor&&(e.style.backgroundColor=r.badgeBgColor),r.badgeTextColor&&(e.style.color=r.badgeTextColor);let n=jn[r.icon];if(n){let o=document.createElementNS(br,"svg");o.setAttribute("class","ddp-badge-icon"),o.setAttribute("viewBox","0 0 24 24"),o.setAttribute("aria-hidden","true");let a=document.createElementNS(br,"path");a.setAttribute("d",n),a.setAttribute("fill","currentColor"),o.appendChild(a),e.insertBefore(o,e.firstChild)}e.dataset.ddpDisplay="custom"}var wr={"check-mark-flower-filled.svg":"M23.334 11.96c-.713-.726-.872-1.829-.393-2.727.342-.64.366-1.401.064-2.062-.301-.66-.893-1.142-1.601-1.302-.991-.225-1.722-1.067-1.803-2.081-.059-.723-.451-1.378-1.062-1.77-.609-.393-1.367-.478-2.05-.229-.956.347-2.026.032-2.642-.776-.44-.576-1.124-.915-1.85-.915-.725 0-1.409.339-1.849.915-.613.809-1.683 1.124-2.639.777-.682-.248-1.44-.163-2.05.229-.61.392-1.003 1.047-1.061 1.77-.082 1.014-.812 1.857-1.803 2.081-.708.16-1.3.642-1.601 1.302s-.277 1.422.065 2.061c.479.897.32 2.001-.392 2.727-.509.517-.747 1.242-.644 1.96s.536 1.347 1.17 1.7c.888.495 1.352 1.51 1.144 2.505-.147.71.044 1.448.519 1.996.476.549 1.18.844 1.902.798 1.016-.063 1.953.54 2.317 1.489.259.678.82 1.195 1.517 1.399.695.204 1.447.072 2.031-.357.819-.603 1.936-.603 2.754 0 .584.43 1.336.562 2.031.357.697-.204 1.258-.722 1.518-1.399.363-.949 1.301-1.553 2.316-1.489.724.046 1.427-.249 1.902-.798.475-.548.667-1.286.519-1.996-.207-.995.256-2.01 1.145-2.505.633-.354 1.065-.982 1.169-1.7s-.135-1.443-.643-1.96zm-12.584 5.43l-4.5-4.364 1.857-1.857 2.643 2.506 5.643-5.784 1.857 1.857-7.5 7.642z","check-mark-circle-filled.svg":"M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z","check-mark-square-filled.svg":"M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-9 14l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z","check-mark.svg":"M20.285 2l-11.285 11.567-5.286-5.011-3.714 3.716 9 8.728 15-15.285z"};function ct(e,t,r,n,o){try{i.debug({regularPrice:e,finalPrice:t,isAutomatic:n},"Creating price container");let a=document.createElement("div");a.className="ddp-discounted-price-container";let s=document.createElement("span");s.className="ddp-discounted-price__regular",s.textContent=x(e,o),a.appendChild(s);let c=document.createElement("span");if(c.className="ddp-discounted-price__sale",c.textContent=x(t,o),a.appendChild(c),n&&r){let l=document.createElement("span");l.className="ddp-discounted-price__badge";let f=me(r,u.automaticBadgeText||"Save {amount}"),g=K(r,o);l.textContent=f.replace("{amount}",g),he(l,r),a.appendChild(l)}if((u.settings||{}).showTermsLink&&r){let l=document.createElement("button");l.className="ddp-terms-link",l.type="button",l.textContent="Terms",l.setAttribute("aria-label","View discount terms and conditions"),l.addEventListener("click",f=>{f.preventDefault(),Fe(r)}),a.appendChild(l)}return r&&D(_.IMPRESSION,r.id),i.debug({},"Price container created"),a}catch(a){i.error({err:a},"Failed to create price container");let s=document.createElement("div");return s.textContent=x(t,o),s}}function Er(e,t){let r=document.createElement("div");r.className="ddp-coupon-toolbar";let n=fe(e,"form");n&&r.appendChild(n);let o=pe(e,"form");if(o&&r.appendChild(o),t.showTermsLink){let a=document.createElement("button");a.className="ddp-terms-link",a.type="button",a.textContent="Terms",a.setAttribute("aria-label","View coupon terms and conditions"),a.addEventListener("click",s=>{s.preventDefault(),Fe(e)}),r.appendChild(a)}return r}function lt(e,t,r,n,o,a){try{i.debug({discountId:e.id,productId:n,variantId:o,isAutoApplied:a},"Creating coupon block");let s=u.settings||{},c=window.Shopify&&window.Shopify.designMode,d=document.createElement("div");d.className="ddp-coupon-block",d.dataset.discountId=e.id,e.code&&(d.dataset.code=e.code);let l=document.createElement("div");l.className="ddp-coupon-main-content";let f=document.createElement("div");if(f.className="ddp-coupon-flag",f.textContent="Coupon:",l.appendChild(f),e.codeHidden){let T=document.createElement("span");return T.className="ddp-coupon-label ddp-coupon-label--private",T.textContent=(s.couponPrivateText||"Use your personal code at checkout to save {amount}").replace("{amount}",K(e,!0)),l.appendChild(T),d.appendChild(l),d.appendChild(Er(e,s)),d}let g=document.createElement("div");g.className="ddp-coupon-label-wrapper";let p=document.createElement("input");p.type="checkbox",p.id=`ddp-coupon-${e.id}`,p.className="ddp-coupon-checkbox";let y=Z(e.code).applied||a||c&&u.showAppliedPreview;y&&(p.checked=!0),a&&(p.disabled=!0,p.title="This coupon is automatically applied");let S=document.createElement("label");S.htmlFor=p.id,S.className="ddp-coupon-label";let m=s.couponLabelText||"Apply code {code} to save {amount}",h=K(e,!0),w=m.replace("{code}",e.code).replace("{amount}",h);S.textContent=w,g.appendChild(p),g.appendChild(S),l.appendChild(g);let C=document.createElement("div");C.className="ddp-coupon-applied",y&&(C.classList.add("visible"),g.style.display="none");let v=s.appliedIconFile||"check-mark-circle-filled.svg",E=wr[v]||wr["check-mark-circle-filled.svg"],I=document.createElementNS("http://www.w3.org/2000/svg","svg");I.setAttribute("width","24"),I.setAttribute("height","24"),I.setAttribute("viewBox","0 0 24 24"),I.setAttribute("fill","currentColor"),I.setAttribute("aria-hidden","true");let M=document.createElementNS("http://www.w3.org/2000/svg","path");M.setAttribute("d",E),I.appendChild(M),C.appendChild(I);let oe=document.createElement("span");if(oe.textContent=s.appliedText||"Coupon applied",C.appendChild(oe),l.appendChild(C),d.appendChild(l),d.appendChild(Er(e,s)),p.addEventListener("change",async T=>{try{if(T.target.checked){i.info({code:e.code,productId:n,variantId:o},"Applying coupon"),g.style.display="none",C.classList.add("visible"),Ne(e.code,{applied:!0,timestamp:Date.now()}),D(_.COUPON_TOGGLE,e.id,{applied:!0}),typeof t=="function"&&await t(e.code);try{await W(e.code,{discountId:e.id})}catch(R){i.error({err:R,code:e.code},"Failed to apply discount code"),T.target.checked=!1,g.style.display="",C.classList.remove("visible"),Ne(e.code,{applied:!1})}}else{i.info({code:e.code,productId:n,variantId:o},"Removing coupon"),g.style.display="",C.classList.remove("visible"),Ne(e.code,{applied:!1}),D(_.COUPON_TOGGLE,e.id,{applied:!1}),typeof r=="function"&&await r(e.code);try{await W("")}catch(R){i.error({err:R,code:e.code},"Failed to remove discount code")}}}catch(R){i.error({err:R,code:e.code},"Error handling coupon checkbox change")}}),a)try{sessionStorage.setItem(`wf_auto_applied_${e.code}`,"true")}catch(T){i.warn({err:T},"Failed to set auto-applied flag in sessionStorage")}return D(_.IMPRESSION,e.id),i.debug({discountId:e.id},"Coupon block created"),d}catch(s){i.error({err:s,discountId:e?.id},"Failed to create coupon block");let c=document.createElement("div");return c.className="ddp-coupon-block-error",c.textContent="Coupon temporarily unavailable",c}}function ut(e,t){try{let r=e.minimumRequirement||{},n=K(e,t);return r.type==="quantity"?(u.conditionalQuantityOfferText||"Buy {threshold}, get {amount} off").replace("{threshold}",Tr(r.quantity)).replace("{amount}",n):(u.conditionalOfferText||"Spend {threshold}, get {amount} off").replace("{threshold}",x(r.amountCents,t)).replace("{amount}",n)}catch(r){return i.error({err:r,discountId:e?.id},"Failed to build conditional offer text"),""}}function dt(e,t,r){try{i.debug({discountId:e.id,progress:t},"Creating conditional offer");let n=u.settings||{},o=e.minimumRequirement||{},a=document.createElement("div");a.className="ddp-conditional-offer";let s=document.createElement("span");if(s.className="ddp-discounted-price__badge ddp-conditional-offer__text",s.textContent=ut(e,r),a.appendChild(s),D(_.IMPRESSION,e.id),n.showCartProgress!==!1&&t&&Number.isFinite(t.remaining)&&t.remaining>0){let d=o.type==="quantity"?Tr(t.remaining):x(t.remaining,r),l=u.conditionalProgressText||"You're {remaining} away from {amount} off",f=document.createElement("p");f.className="ddp-conditional-offer__progress",f.setAttribute("aria-live","polite"),f.textContent=l.replace("{remaining}",d).replace("{amount}",K(e,r)),a.appendChild(f);let g=Math.round(Math.min(Math.max(t.progress||0,0),1)*100),p=document.createElement("div");p.className="ddp-conditional-offer__bar",p.setAttribute("role","progressbar"),p.setAttribute("aria-valuemin","0"),p.setAttribute("aria-valuemax","100"),p.setAttribute("aria-valuenow",String(g));let b=document.createElement("div");b.className="ddp-conditional-offer__bar-fill",b.style.width=`${g}%`,p.appendChild(b),a.appendChild(p)}return a}catch(n){return i.error({err:n,discountId:e?.id},"Failed to create conditional offer"),null}}function ft(e,t){try{let{buys:r={},gets:n={}}=e.bxgy||{},o=n.isFree?u.bxgyFreeText||"free":(u.bxgyDiscountedText||"at {amount} off").replace("{amount}",K(e,t));return!r.quantity&&Number.isFinite(r.amountCents)?(u.bxgySpendOfferText||"Spend {buys}, get {gets} {reward}").replace("{buys}",x(r.amountCents,t)).replace("{gets}",String(n.quantity||1)).replace("{reward}",o):(u.bxgyOfferText||"Buy {buys}, get {gets} {reward}").replace("{buys}",String(r.quantity||1)).replace("{gets}",String(n.quantity||1)).replace("{reward}",o)}catch(r){return i.error({err:r,discountId:e?.id},"Failed to build BXGY offer text"),""}}function pt(e,t){try{i.debug({discountId:e.id,role:e.bxgy?.role},"Creating BXGY offer");let r=document.createElement("div");r.className="ddp-bxgy-offer",e.bxgy?.role&&(r.dataset.role=e.bxgy.role);let n=document.createElement("span");if(n.className="ddp-discounted-price__badge ddp-bxgy-offer__text",n.textContent=ft(e,t),r.appendChild(n),D(_.IMPRESSION,e.id),e.code){let o=document.createElement("span");o.className="ddp-bxgy-offer__code",o.textContent=e.code,r.appendChild(o)}return r}catch(r){return i.error({err:r,discountId:e?.id},"Failed to create BXGY offer"),null}}function Fe(e){try{i.debug({discountId:e.id},"Showing terms modal"),D(_.TERMS_OPEN,e.id);let t=document.createElement("div");t.className="ddp-terms-modal-overlay",t.setAttribute("role","dialog"),t.setAttribute("aria-modal","true"),t.setAttribute("aria-labelledby","ddp-terms-modal-title");let r=document.createElement("div");r.className="ddp-terms-modal-content";let n=document.createElement("div");n.className="ddp-terms-modal-header";let o=document.createElement("h2");o.id="ddp-terms-modal-title",o.textContent="Discount Information",n.appendChild(o);let a=document.createElement("button");a.className="ddp-terms-modal-close",a.type="button",a.textContent="\xD7",a.setAttribute("aria-label","Close modal"),n.appendChild(a),r.appendChild(n);let s=document.createElement("div");s.className="ddp-terms-modal-body";let c=document.createElement("div");c.className="ddp-terms-section";let d=document.createElement("h3");d.textContent="Details",c.appendChild(d);let l=document.createElement("p"),f=document.createElement("strong");f.textContent="Type: ",l.appendChild(f);let g=document.createTextNode(e.type==="percentage"?"Percentage":"Fixed Amount");l.appendChild(g),c.appendChild(l);let p=document.createElement("p"),b=document.createElement("strong");b.textContent="Value: ",p.appendChild(b);let y=K(e,!0),S=document.createTextNode(y);if(p.appendChild(S),c.appendChild(p),e.endsAt){let E=document.createElement("p"),I=document.createElement("strong");I.textContent="Expires: ",E.appendChild(I);let M=document.createTextNode(Vt(e.endsAt));E.appendChild(M),c.appendChild(E)}if(e.appliesOncePerCustomer!==void 0){let E=document.createElement("p"),I=document.createElement("strong");I.textContent="Usage: ",E.appendChild(I);let M=document.createTextNode(e.appliesOncePerCustomer?"One time per customer":"Multiple uses allowed");E.appendChild(M),c.appendChild(E)}s.appendChild(c);let m=document.createElement("div");m.className="ddp-terms-section";let h=document.createElement("h3");h.textContent="Terms & Conditions",m.appendChild(h),vr(e).split(`
+`).filter(E=>E.trim()).forEach(E=>{let I=document.createElement("p");I.textContent=E.trim(),m.appendChild(I)}),s.appendChild(m),r.appendChild(s),t.appendChild(r);let v=()=>{try{t.remove(),document.body.style.overflow="",i.debug({},"Terms modal closed")}catch(E){i.error({err:E},"Failed to close terms modal")}};a.addEventListener("click",v),t.addEventListener("click",E=>{E.target===t&&v()}),document.addEventListener("keydown",E=>{E.key==="Escape"&&document.body.contains(t)&&v()},{once:!0}),document.body.style.overflow="hidden",document.body.appendChild(t),a.focus(),i.info({discountId:e.id},"Terms modal shown")}catch(t){i.error({err:t,discountId:e?.id},"Failed to show terms modal")}}function Ir(){try{let e=document.createElement("div");e.className="ddp-skeleton-loader",e.setAttribute("role","status"),e.setAttribute("aria-live","polite"),e.setAttribute("aria-label","Loading discounts");let t=document.createElement("div");t.className="ddp-skeleton-line ddp-skeleton-line--price",t.style.height="28px",t.style.width="120px",e.appendChild(t);let r=document.createElement("div");r.className="ddp-skeleton-line ddp-skeleton-line--lg",r.style.width="85%",e.appendChild(r);let n=document.createElement("div");n.className="ddp-skeleton-line ddp-skeleton-line--md",n.style.width="65%",e.appendChild(n);let o=document.createElement("div");o.className="ddp-skeleton-line ddp-skeleton-line--sm",o.style.width="45%",e.appendChild(o);let a=document.createElement("span");return a.className="ddp-sr-only",a.textContent="Loading discounts ...",e.appendChild(a),i.debug({},"Skeleton loader created"),e}catch(e){i.error({err:e},"Failed to create skeleton loader");let t=document.createElement("div");return t.textContent="Loading...",t}}function Tr(e){return`${e} ${e===1?"item":"items"}`}function K(e,t){try{return e.type==="percentage"?`${e.value}%`:e.type==="fixed_amount"?x(e.value,t):(i.warn({discountType:e.type},"Unknown discount type"),x(e.value,t))}catch(r){return i.error({err:r,discount:e},"Failed to format discount amount"),"$0.00"}}var mt=!1,xr=!1;function ht(e,t,r){let{productId:n,regularPrice:o,finalPrice:a,discount:s,hasCurrencyCode:c,singlePrice:d}=r,l=[];try{i.debug({productId:n,discountId:s.id},"Creating automatic discount display"),t.forEach((f,g)=>{try{let p=f.container.querySelector(".discounted-price-container"),b=f.container.querySelector(".automatic-wrapper");if(p||b){i.debug({productId:n,index:g},"Discount elements already exist, skipping");return}let y=s.variantScope&&s.variantScope.type==="ALL",S=s.variantScope&&s.variantScope.type==="PARTIAL",m=document.createElement("div");if(m.className="discounted-price-container",y){if(f.container.style.display="none",f.container.dataset.ddpHidden="true",!d){let Ge=document.createElement("span");Ge.className="discount-from-prefix",Ge.textContent="From ",m.appendChild(Ge)}let T=document.createElement("span");T.className="discounted-price__regular",T.textContent=x(o,c),m.appendChild(T);let R=document.createElement("span");R.className="discounted-price__sale",R.textContent=x(a,c),m.appendChild(R)}let h=document.createElement("span");h.className="discounted-price__badge";let w=me(s,u.automaticBadgeText||"Save {amount}"),C=Pr(s,c);h.textContent=w.replace("{amount}",C),he(h,s);let v=document.createElement("div");v.className="automatic-wrapper";let E=u.badgeAlignment||"left",I={left:"flex-start",center:"center",right:"flex-end"};v.style.display="flex",v.style.justifyContent=I[E]||"flex-start",v.style.alignItems="center",v.style.gap="8px",v.style.marginTop="4px",y&&v.appendChild(m),v.appendChild(h);let M=fe(s,"card");M&&v.appendChild(M);let oe=pe(s,"card");if(oe&&v.appendChild(oe),S){let T=document.createElement("span");T.className="discount-selected-items-text",T.textContent="in selected items",T.style.fontSize="0.875em",T.style.color="#666",v.appendChild(T)}f.container.parentNode.insertBefore(v,f.container.nextSibling),l.push(v),i.debug({productId:n,index:g},"Automatic discount display created")}catch(p){i.error({err:p,productId:n,index:g},"Failed to create discount display for price element")}}),St(),vt(),l.length>0&&D(_.IMPRESSION,s.id),i.info({productId:n,count:l.length},"Automatic discount displays created")}catch(f){i.error({err:f,productId:n},"Failed to create automatic discount display")}return l}function gt(e,t,r){let{productId:n,discount:o,hasCurrencyCode:a}=r,s=[];try{i.debug({productId:n,discountId:o.id},"Creating coupon badge"),t.forEach((c,d)=>{try{let l=c.container.querySelector(".coupon-badge"),f=c.container.querySelector(".coupon-wrapper");if(l||f){i.debug({productId:n,index:d},"Coupon badge already exists, skipping");return}let g=o.variantScope&&o.variantScope.type==="PARTIAL",p=document.createElement("div");p.className="coupon-badge";let b=me(o,u.couponBadgeText||"Save {amount} with coupon"),y=Pr(o,a);p.textContent=b.replace("{amount}",y),he(p,o);let S=document.createElement("div");S.className="coupon-wrapper";let m=u.badgeAlignment||"left",h={left:"flex-start",center:"center",right:"flex-end"};S.style.display="flex",S.style.justifyContent=h[m]||"flex-start",S.style.alignItems="center",S.style.gap="8px",S.style.marginTop="4px",S.appendChild(p);let w=fe(o,"card");w&&S.appendChild(w);let C=pe(o,"card");if(C&&S.appendChild(C),g){let v=document.createElement("span");v.className="discount-selected-items-text",v.textContent="in selected items",v.style.fontSize="0.875em",v.style.color="#666",S.appendChild(v)}c.container.parentNode.insertBefore(S,c.container.nextSibling),s.push(S),i.debug({productId:n,index:d},"Coupon badge created")}catch(l){i.error({err:l,productId:n,index:d},"Failed to create coupon badge for price element")}}),St(),vt(),s.length>0&&D(_.IMPRESSION,o.id),i.info({productId:n,count:s.length},"Coupon badges created")}catch(c){i.error({err:c,productId:n},"Failed to create coupon badge")}return s}function yt(e,t,r){let{productId:n,discount:o,hasCurrencyCode:a}=r;return _r(t,{productId:n,discountId:o.id,kind:"conditional",text:ut(o,a)})}function bt(e,t,r){let{productId:n,discount:o,hasCurrencyCode:a}=r;return _r(t,{productId:n,discountId:o.id,kind:"bxgy",text:ft(o,a)})}function _r(e,t){let{productId:r,discountId:n,kind:o,text:a}=t,s=[];try{i.debug({productId:r,kind:o},"Creating offer badge"),e.forEach((c,d)=>{try{if(c.container.parentNode.querySelector(`.${o}-wrapper`)){i.debug({productId:r,kind:o,index:d},"Offer badge already exists, skipping");return}let f=document.createElement("span");f.className=`discounted-price__badge ${o}`,f.textContent=a;let g=document.createElement("div");g.className=`${o}-wrapper`;let p=u.badgeAlignment||"left",b={left:"flex-start",center:"center",right:"flex-end"};g.style.display="flex",g.style.justifyContent=b[p]||"flex-start",g.style.alignItems="center",g.style.gap="8px",g.style.marginTop="4px",g.appendChild(f),c.container.parentNode.insertBefore(g,c.container.nextSibling),s.push(g)}catch(l){i.error({err:l,productId:r,kind:o,index:d},"Failed to create offer badge for price element")}}),St(),vt(),s.length>0&&D(_.IMPRESSION,n),i.info({productId:r,kind:o,count:s.length},"Offer badges created")}catch(c){i.error({err:c,productId:r,kind:o},"Failed to create offer badge")}return s}function St(){mt||(mt=!0,requestAnimationFrame(()=>{try{window.dispatchEvent(new Event("resize")),i.debug({},"Layout nudge triggered")}catch(e){i.error({err:e},"Failed to trigger layout nudge")}finally{mt=!1}}))}function vt(){if(xr)return;xr=!0;let e=()=>{try{setTimeout(()=>{window.dispatchEvent(new Event("resize")),i.debug({},"Post-load nudge (50ms) triggered")},50),setTimeout(()=>{window.dispatchEvent(new Event("resize")),i.debug({},"Post-load nudge (250ms) triggered")},250)}catch(t){i.error({err:t},"Failed to trigger post-load nudges")}};document.readyState==="complete"?e():window.addEventListener("load",e,{once:!0})}function Pr(e,t){try{return e.type==="percentage"?`${e.value}%`:e.type==="fixed_amount"?x(e.value,t):(i.warn({discountType:e.type},"Unknown discount type"),x(e.value,t))}catch(r){return i.error({err:r,discount:e},"Failed to format discount amount"),"$0.00"}}function ge(e,t){try{let r=e.querySelector(t);if(!r){let o=e.closest('[id^="shopify-section-"]');o&&(r=o.querySelector(t))}if(!r){let o=['input[name="id"]','select[name="id"]',"[data-variant-id]",".product-variant-id"];for(let a of o){if(r=e.querySelector(a),r)break;let s=e.closest('[id^="shopify-section-"]');if(s&&(r=s.querySelector(a),r))break}}if(!r)return i.warn({container:e.id||e.className},"No variant input found"),{variantId:null,inputElement:null};let n=null;return r.tagName==="INPUT"||r.tagName==="SELECT"?n=r.value:r.dataset.variantId&&(n=r.dataset.variantId),i.debug({variantId:n,selector:t},"Found variant info"),{variantId:n,inputElement:r}}catch(r){return i.error({err:r,container:e?.id},"Failed to get variant info"),{variantId:null,inputElement:null}}}function ye(e){try{let t=['input[name="selling_plan"]','select[name="selling_plan"]',"[data-selling-plan-id]"],r=null;for(let o of t){if(r=e.querySelector(o),r)break;let a=e.closest('[id^="shopify-section-"]');if(a&&(r=a.querySelector(o),r))break}if(!r)return i.debug({container:e.id||e.className},"No selling plan input found"),{sellingPlanId:null,inputElement:null};let n=null;return r.tagName==="INPUT"||r.tagName==="SELECT"?n=r.value:r.dataset.sellingPlanId&&(n=r.dataset.sellingPlanId),n===""&&(n=null),i.debug({sellingPlanId:n},"Found selling plan info"),{sellingPlanId:n,inputElement:r}}catch(t){return i.error({err:t,container:e?.id},"Failed to get selling plan info"),{sellingPlanId:null,inputElement:null}}}function Le(e,t,r,n){try{i.info("Setting up variant detection");let o=new WeakSet,a=null,s=null,c=(m,h)=>{m&&m!==a&&(a=m,i.debug({variantId:m,source:h},"Variant changed"),r&&r(m))},d=(m,h)=>{m!==s&&(s=m,i.debug({sellingPlanId:m,source:h},"Selling plan changed"),n&&n(m))},l=()=>{try{e.querySelectorAll('form[action*="cart/add"], form[action*="/cart/add"]').forEach(h=>{if(o.has(h))return;o.add(h);let w=h.querySelector(t)||h.querySelector('input[name="id"]')||h.querySelector('select[name="id"]');w&&(w.addEventListener("change",v=>{c(v.target.value,"cart-form-change")}),w.addEventListener("input",v=>{c(v.target.value,"cart-form-input")}),i.debug("Attached cart form variant listener"));let C=h.querySelector('input[name="selling_plan"]')||h.querySelector('select[name="selling_plan"]');C&&(C.addEventListener("change",v=>{d(v.target.value||null,"cart-form-plan-change")}),C.addEventListener("input",v=>{d(v.target.value||null,"cart-form-plan-input")}),i.debug("Attached cart form selling plan listener"))})}catch(m){i.error({err:m},"Cart form detection failed")}},f=()=>{try{e.querySelectorAll(t).forEach(h=>{if(o.has(h))return;o.add(h),new MutationObserver(C=>{C.forEach(v=>{if(v.type==="attributes"&&v.attributeName==="value"){let E=h.value;c(E,"mutation-observer")}})}).observe(h,{attributes:!0,attributeFilter:["value"]}),i.debug("Attached mutation observer to variant input")})}catch(m){i.error({err:m},"Mutation observer setup failed")}},g=()=>{try{e.addEventListener("change",m=>{let h=m.target;h.matches('input[name="id"], select[name="id"]')&&c(h.value,"event-delegation-change"),h.matches('input[name="selling_plan"], select[name="selling_plan"]')&&d(h.value||null,"event-delegation-plan-change")},!0),e.addEventListener("input",m=>{let h=m.target;h.matches('input[name="id"]')&&c(h.value,"event-delegation-input"),h.matches('input[name="selling_plan"]')&&d(h.value||null,"event-delegation-plan-input")},!0),i.debug("Attached event delegation listeners")}catch(m){i.error({err:m},"Event delegation setup failed")}},p=()=>{try{["variant:change","variant:changed","product:variant:changed","option:change","variantChange","shopify:variant:change"].forEach(h=>{e.addEventListener(h,w=>{let C=w.detail?.variant?.id||w.detail?.variantId||w.detail?.id;C&&c(String(C),`custom-event-${h}`)})}),i.debug("Attached custom event listeners")}catch(m){i.error({err:m},"Custom events setup failed")}},b=()=>{try{let m=()=>{let w=new URLSearchParams(window.location.search).get("variant");w&&c(w,"url-parameter")};window.addEventListener("popstate",m),m(),i.debug("Attached URL monitoring")}catch(m){i.error({err:m},"URL monitoring setup failed")}};l(),f(),g(),p(),b();let y=ge(e,t);y.variantId&&(a=y.variantId);let S=ye(e);S.sellingPlanId!==void 0&&(s=S.sellingPlanId),i.info({initialVariantId:a,initialSellingPlanId:s},"Variant detection setup complete")}catch(o){i.error({err:o},"Failed to setup variant detection")}}var Hn=5e3,Gn=600,Dr=["cart:updated","cart:refresh","cart:change"],z=null,Ar=0,be=null,Me=null,Nr=!1,Ct=new Set;function Vn(){let e=window.Shopify?.routes?.root||"/";return`${e.endsWith("/")?e:`${e}/`}cart.js`}function Wn(e){let t=Number.isFinite(e?.items_subtotal_price)?e.items_subtotal_price:e?.total_price;return{subtotalCents:Number.isFinite(t)?t:0,itemCount:Number.isFinite(e?.item_count)?e.item_count:0,currencyCode:e?.currency||u.presentmentCurrency||null}}async function wt({force:e=!1}={}){return!e&&z&&Date.now()-Ar<Hn?z:be||(be=(async()=>{try{let t=await fetch(Vn(),{method:"GET",credentials:"same-origin",headers:{Accept:"application/json"}});if(!t.ok)throw new Error(`HTTP ${t.status}: ${t.statusText}`);return z=Wn(await t.json()),Ar=Date.now(),i.debug({cart:z},"Cart snapshot loaded"),z}catch(t){return i.warn({err:t},"Failed to load cart snapshot"),z}finally{be=null}})(),be)}function ee(){return z}function Et(e,t,r=1){let n=e||{subtotalCents:0,itemCount:0,currencyCode:u.presentmentCurrency||null},o=Number.isFinite(t)?t:0;return{...n,subtotalCents:n.subtotalCents+o*r,itemCount:n.itemCount+r}}function kr(e){return Ct.add(e),()=>Ct.delete(e)}function Or(){Me&&clearTimeout(Me),Me=setTimeout(async()=>{Me=null;let e=z,t=await wt({force:!0});(!e||!t||e.subtotalCents!==t.subtotalCents||e.itemCount!==t.itemCount||e.currencyCode!==t.currencyCode)&&(i.debug({cart:t},"Cart changed"),Ct.forEach(n=>{try{n(t)}catch(o){i.error({err:o},"Cart change listener failed")}}))},Gn)}function Fr(){if(!Nr){Nr=!0;try{Dr.forEach(e=>{document.addEventListener(e,Or)}),document.addEventListener("submit",e=>{let t=e.target;t&&t.matches&&t.matches('form[action*="/cart/add"]')&&Or()},!0),i.debug({events:Dr},"Cart watcher attached")}catch(e){i.error({err:e},"Failed to attach cart watcher")}}}var Re="ddp-discount-badge, ddp-coupon-block",Mr='[id^="shopify-section-"]',Kn='form[action*="/cart/add"]',k=null,Lr=new WeakMap,te=new WeakMap,It=new WeakMap;function j(e){if(e==null||e==="")return null;let t=String(e).split("/").pop();return/^\d+$/.test(t)?t:null}function Yn(e){let t=k.getContainerSelector(),r=t?e.closest(t):null;if(r)return r;let n=e.closest(Mr);if(!n)return null;let o=k.getFormContainerSelector();return o&&n.querySelector(o)||n}function Xn(e){if(It.has(e))return;let t=k.getVariantInputSelector(),r={variantId:ge(e,t).variantId,sellingPlanId:ye(e).sellingPlanId};It.set(e,r),Le(e,t,n=>{r.variantId=n,H({scope:e})},n=>{r.sellingPlanId=n,H({scope:e})})}function Jn(e){if(!te.has(e)){let t=Yn(e);te.set(e,t);let r=e.hasAttribute("variant-id")&&e.hasAttribute("selling-plan-id"),n=k.getVariantInputSelector();t&&!r&&t.querySelector(`${Kn}, ${n}`)&&Xn(t)}return te.get(e)}function Qn(e,t){let r=t?It.get(t):null,n=e.hasAttribute("variant-id")?j(e.getAttribute("variant-id")):j(r?.variantId),o=e.hasAttribute("selling-plan-id")?j(e.getAttribute("selling-plan-id"))||null:r?.sellingPlanId||null;return{variantId:n,sellingPlanId:o}}function Zn(e,t){if(!t)return"empty";let r=e.tagName==="DDP-DISCOUNT-BADGE",n=t.couponDiscount;return JSON.stringify([t.productId,t.variantId,t.priceData.regularPrice,r?t.automaticDiscount?.id:null,r?t.automaticFinalPrice:null,n?.id??null,t.couponFinalPrice,t.stacked,r&&n?Z(n.code).applied:null,t.couponEnabled])}function Tt(e){try{if(!k||!k.isReady())return;let t=j(e.getAttribute("product-id"));if(!t){i.warn({tagName:e.tagName},"Discount element without a valid product-id"),e.dataset.ddpState="empty";return}let r=Jn(e),n=Qn(e,r),o=k.resolveOffer(t,n,r);if(o===void 0){e.dataset.ddpState="loading";return}let a=Zn(e,o);if(Lr.get(e)===a)return;Lr.set(e,a);let s=o?e.tagName==="DDP-DISCOUNT-BADGE"?k.renderBadge(o):k.renderCouponBlock(o):null;if(s){let c=document.createElement("div");c.className="ddp-discounts",c.appendChild(s),e.replaceChildren(c)}else e.replaceChildren();e.dataset.ddpState=s?"ready":"empty",i.debug({tagName:e.tagName,productId:t,variantId:n.variantId,sellingPlanId:n.sellingPlanId,rendered:!!s},"Rendered discount element")}catch(t){i.error({err:t,tagName:e.tagName},"Error rendering discount element")}}function eo(){return class extends HTMLElement{static get observedAttributes(){return["product-id","variant-id","selling-plan-id"]}connectedCallback(){this.dataset.ddpState||(this.dataset.ddpState="loading"),Tt(this)}disconnectedCallback(){te.delete(this)}attributeChangedCallback(e,t,r){t===r||!this.isConnected||(e!=="product-id"&&te.delete(this),Tt(this))}}}function Rr(e){if(k=e,typeof customElements>"u"){i.warn({},"Custom elements not supported, discount elements disabled");return}try{for(let t of["ddp-discount-badge","ddp-coupon-block"])customElements.get(t)||customElements.define(t,eo());i.info({},"Discount elements defined")}catch(t){i.error({err:t},"Error defining discount elements")}}function H({productId:e=null,scope:t=null,tagName:r=null}={}){if(!(typeof document>"u"))for(let n of document.querySelectorAll(Re))r&&n.tagName!==r||e&&j(n.getAttribute("product-id"))!==String(e)||t&&te.get(n)!==t||Tt(n)}function Br(e,t,r){let n=t&&e.closest(Mr)||e,o={price:!1,coupon:!1};for(let a of n.querySelectorAll(Re))j(a.getAttribute("product-id"))===String(r)&&(a.tagName==="DDP-DISCOUNT-BADGE"?o.price=!0:o.coupon=!0);return o}function Ur(){let e=new Set,t=new Set;if(typeof document<"u")for(let r of document.querySelectorAll(Re)){let n=j(r.getAttribute("product-id")),o=j(r.getAttribute("variant-id"));n&&e.add(n),o&&t.add(o)}return{productIds:Array.from(e),variantIds:Array.from(t)}}function qr(e){return!!e.closest(Re)}var A={},Wr={},Mt=new Set,$r=!1,Rt=!1,P={productIds:new Set,handles:new Set,variantIds:new Set,containers:new Map},xt=null,_t=!1,Se=new Map,re=0,Bt=!1,zr=!1,Pt=null,to=5,ro=1e4,no=250,oo=5,io=2147483647,jr=250,ao=750,so=8e3,Hr=300,Gr=new WeakMap,Dt=new WeakMap,At=new WeakSet,qe=new WeakMap,Nt=new WeakMap,Be=new Map;var Ot="",V="",X="",O="",Y="",kt="",G={};function Vr(){i.info("Initializing theme selectors");let e=u.selectorOverrides||{},t=e.themeSelectors_forceAutoDetection===!0,r="leave empty for theme auto detection";function n(o,a){let s=`themeSelectors_${o}_enable`,c=`themeSelectors_${o}_custom`,d=e[s]===!0,l=e[c];if(!t&&d&&l&&l.toLowerCase()!==r.toLowerCase())return i.info({key:o,customValue:l},"Using custom selector"),l;let g=u._themeState?.resolvedTheme||"dawn",p=Xt(g,o,null);return p&&p.value?(i.info({key:o,detected:p.value,source:p.source},"Using detected selector"),p.value):(i.info({key:o,fallback:a},"Using default selector"),a)}Ot=n("cardPrice",".price__container"),V=n("cardContainer",".grid__item, product-card, .product-card"),X=n("variantInput",'input[ref="variantId"], input[name="id"], select[name="id"], [data-variant-id]'),O=n("formContainer",'form[action*="/cart/add"]'),Y=n("formPrice",".price__container"),kt=n("formPrice_discounted",".price__sale"),G.cardPrice=Ot,G.cardContainer=V,G.variantInput=X,G.formContainer=O,G.formPrice=Y,G.formPrice_discounted=kt,u._formPriceSelector=Y,u._formSelector=O,i.info({selectors:G},"Selectors initialized")}function $e(){if(!V)return i.warn("Product container selector not initialized"),[];try{let e=Array.from(document.querySelectorAll(V));return i.info({count:e.length},"Found product containers"),e}catch(e){return i.error({err:e,selector:V},"Error finding product containers"),[]}}function Ce(){if(!O)return i.warn("Form container selector not initialized"),[];try{let e=Array.from(document.querySelectorAll(O));return i.info({count:e.length},"Found form containers"),e}catch(e){return i.error({err:e,selector:O},"Error finding form containers"),[]}}function Ut(e){if(!e)return!1;try{return!!(O&&e.matches(O)||e.querySelector('form[action*="/cart/add"]'))}catch(t){return i.error({err:t},"Error checking if form container"),!1}}function F(e){if(!e)return null;try{let t=e.querySelector(X);if(t){let c=t.value||t.getAttribute("data-variant-id")||t.getAttribute("ref");if(c){let d=Wr[c];if(d)return i.debug({variantId:c,productId:d},"Found product ID via variant mapping"),d}}let r=e.getAttribute("data-product-id");if(r)return i.debug({productId:r},"Found product ID via container attribute"),r;let n=e.querySelector('input[name="product-id"], input[name="product_id"]');if(n?.value)return i.debug({productId:n.value},"Found product ID via product input"),n.value;let o=e.querySelector("[data-product-id]");if(o){let c=o.getAttribute("data-product-id");if(c)return i.debug({productId:c},"Found product ID via inner element"),c}let a=e.querySelector('a[href*="/products/"]');if(a){let d=a.getAttribute("href").match(/\/products\/([^?/#]+)/);if(d){let l=d[1];for(let[f,g]of Object.entries(A))if(g.handle===l)return i.debug({handle:l,productId:f},"Found product ID via handle match"),f;i.debug({handle:l},"Product handle found but not in cache"),je(e,null,l)}}if(a){let c=a.getAttribute("id");if(c){let d=c.match(/(\d{10,})/);if(d){let l=d[1];if(A[l])return i.debug({productId:l},"Found product ID via link ID extraction"),l}}}let s=e.closest('[id*="shopify-section"]')?.id;if(s){let c=document.getElementById(s);if(c){let d=c.querySelector('input[name="product-id"], input[name="product_id"]');if(d?.value)return i.debug({productId:d.value,sectionId:s},"Found product ID via section scope"),d.value}}return i.debug("Could not find product ID for container"),null}catch(t){return i.error({err:t},"Error finding product ID"),null}}function ze(e){if(!e||!e.products){i.warn("Invalid discount data received");return}try{e.autoApplyEnabled!==void 0&&(Bt=e.autoApplyEnabled);for(let n of Object.values(e.collections||{}))(n.productIds||[]).forEach(o=>Mt.add(String(o)));let t=e.products,r=0;for(let[n,o]of Object.entries(t))if(A[n]=o,r++,o.variants&&Array.isArray(o.variants))for(let a of o.variants)a.id&&(Wr[a.id]=n);i.info({mergedCount:r,totalProducts:Object.keys(A).length},"Merged discount data"),Kr()}catch(t){i.error({err:t},"Error merging discount data")}}function co(e,t){try{for(let r of Object.keys(t.products||{}))!e.products[r]&&A[r]&&(A[r]={...A[r],discounts:[]});ze(e),He(),$t()}catch(r){i.error({err:r},"Error applying revalidated discount data")}}function Kr(){let e=Date.now(),t=null;for(let r of Object.values(A))for(let n of r.discounts||[]){let o=ke(n);o!==null&&o>e&&(t===null||o<t)&&(t=o)}clearTimeout(Pt),Pt=null,t!==null&&(Pt=setTimeout(lo,Math.min(t-e,io)))}function lo(){try{let e=Date.now(),t=0;for(let r of Object.values(A)){let n=r.discounts||[],o=n.filter(a=>!st(a,e));t+=n.length-o.length,r.discounts=o}t>0&&(i.info({removedCount:t},"Discounts ended, removing their display"),He())}catch(e){i.error({err:e},"Error removing expired discounts")}Kr()}function uo(){let e={productIds:new Set,variantIds:new Set,handles:new Set};try{let t=[...$e(),...Ce()];for(let o of t){let a=F(o);a&&e.productIds.add(a);let s=o.querySelector(X);if(s){let d=s.value||s.getAttribute("data-variant-id")||s.getAttribute("ref");d&&e.variantIds.add(d)}let c=o.querySelector('a[href*="/products/"]');if(c){let l=c.getAttribute("href").match(/\/products\/([^?/#]+)/);l&&e.handles.add(l[1])}}let r=Ur();r.productIds.forEach(o=>e.productIds.add(o)),r.variantIds.forEach(o=>e.variantIds.add(o));let n={productIds:Array.from(e.productIds),variantIds:Array.from(e.variantIds),handles:Array.from(e.handles)};return u.collection&&(u.collection.id&&(n.collectionIds=[String(u.collection.id)]),u.collection.handle&&(n.collectionHandles=[u.collection.handle])),i.info(n,"Collected page product context"),n}catch(t){return i.error({err:t},"Error collecting page product context"),{productIds:[],variantIds:[],handles:[]}}}async function fo(){try{i.info("Loading discount data from database");let e=uo(),t=await lr(e);t&&ze(t)}catch(e){i.error({err:e},"Error loading products from database")}}function je(e,t=null,r=null,n=[]){try{let o=t||r||n.join(",");if(Se.get(o)>=to){i.debug({key:o},"Max attempts reached for missing product");return}if(re>=oo){i.warn("Global fetch failure count exceeded, not queuing");return}t&&P.productIds.add(t),r&&P.handles.add(r),n.length>0&&n.forEach(s=>P.variantIds.add(s)),e&&P.containers.set(e,{productId:t,handle:r,variantIds:n}),i.debug({productId:t,handle:r,variantIds:n},"Queued missing product data"),xt&&clearTimeout(xt);let a=Math.min(no*Math.pow(2,re),ro);xt=setTimeout(()=>{po()},a)}catch(o){i.error({err:o},"Error queuing missing product data")}}async function po(){if(_t){i.debug("Missing product fetch already in flight");return}if(P.productIds.size===0&&P.handles.size===0&&P.variantIds.size===0){i.debug("Missing product queue is empty");return}_t=!0;try{let e=Array.from(P.productIds),t=Array.from(P.handles),r=Array.from(P.variantIds),n=new Map(P.containers);P.productIds.clear(),P.handles.clear(),P.variantIds.clear(),P.containers.clear(),i.info({productIds:e,handles:t,variantIds:r},"Flushing missing product queue"),e.forEach(a=>{let s=Se.get(a)||0;Se.set(a,s+1)}),t.forEach(a=>{let s=Se.get(a)||0;Se.set(a,s+1)});let o=await ur({productIds:e,handles:t,variantIds:r});if(o.success&&o.data){ze(o.data),await $t(),re=0,e.forEach(a=>{A[a]||Mt.add(String(a))}),H();for(let[a,s]of n.entries()){if(!a.isConnected)continue;let c=s.productId||F(a);c&&A[c]&&(i.debug({productId:c},"Reapplying discounts after missing product fetch"),L(a,c))}}else{re++,i.warn({failureCount:re},"Missing product fetch failed");for(let[a,s]of n.entries())a.isConnected&&je(a,s.productId,s.handle,s.variantIds)}}catch(e){i.error({err:e},"Error flushing missing product queue"),re++}finally{_t=!1}}function mo(e,t){let r=e?.variants;if(!r||Array.isArray(r))return null;let n=t?r[t]:null;return!n&&!t&&e.singlePrice&&(n=Object.values(r)[0]||null),!n||!Number.isFinite(n.regularPriceCents)?null:{price:n.regularPriceCents,compareAtPrice:n.compareAtPriceCents??null,hasCurrencyCode:!1,source:"server"}}function ve(e,t,r=null,n=null){let o=typeof t=="number"?t:B(t);return Yr(Ie({discounts:e||[],regularPriceCents:o,currentVariantId:n,cart:r}))}function Yr(e){let t=e.conditionalProgress;return{automaticDiscount:e.automaticDiscount||null,couponDiscount:e.couponDiscount||null,automaticFinalPrice:e.automaticEntry?.finalPriceCents??null,couponFinalPrice:e.couponEntry?.finalPriceCents??null,stacked:e.stacked===!0,conditionalDiscount:e.conditionalDiscount||null,conditionalProgress:t?{...t,finalPrice:t.finalPriceCents}:null}}async function ho(e){let{productId:t,variantId:r,regularPrice:n,sellingPlanId:o=null,discounts:a,cart:s=null}=e;try{let c=`${t}:${r}:${o||"none"}`;if(Be.has(c))return i.debug({cacheKey:c},"Best discount fetch already in flight"),await Be.get(c);let d=(async()=>{try{let l=Q();if(!l)throw new Error("Shop domain not found");let{results:f}=await at({shop:l,entries:[{productId:t,variantId:r,regularPriceCents:typeof n=="number"?n:B(n),sellingPlanId:o,discounts:a,cart:s}]}),g=f[0]?.bestDiscounts;if(!g)throw new Error("Empty best discount response");return Yr(g)}catch(l){return i.error({err:l,cacheKey:c},"Best discount API request failed"),ve(a,n,s,r)}finally{Be.delete(c)}})();return Be.set(c,d),await d}catch(c){return i.error({err:c},"Error ensuring best discounts from API"),ve(a,n,s,r)}}function go(e){if(e)try{if(qe.has(e))return;ne(e);let t=Ir();if(!t)return;let r=e.querySelector(Y);r&&r.parentElement?(r.parentElement.insertBefore(t,r),r.style.display="none"):e.insertBefore(t,e.firstChild),qe.set(e,Date.now());let n=setTimeout(()=>{qt(e,{force:!0})},so);Nt.set(e,n),i.debug("Showing form processing skeleton")}catch(t){i.error({err:t},"Error showing skeleton")}}function qt(e,t={}){if(e)try{let r=qe.get(e);if(!r)return;let n=Date.now()-r;if(!(t.force===!0)&&n<Hr){setTimeout(()=>{qt(e,{force:!0})},Hr-n);return}let a=e.querySelector(".ddp-skeleton-loader");a&&a.remove();let s=Nt.get(e);s&&(clearTimeout(s),Nt.delete(e)),qe.delete(e),i.debug("Cleared form processing skeleton")}catch(r){i.error({err:r},"Error clearing skeleton")}}function yo(e,t){if(e)try{let r=Dt.get(e);if(r===t){i.debug({variantId:t},"Variant unchanged, skipping");return}i.info({prevVariantId:r,nextVariantId:t},"Variant changed"),Dt.set(e,t),Ut(e)&&go(e),At.add(e),setTimeout(()=>{if(!e.isConnected)return;let n=F(e);n&&L(e,n),At.delete(e)},ao)}catch(r){i.error({err:r},"Error marking variant switch")}}function bo(){return typeof Shopify>"u"||!Shopify.designMode?null:u.previewMode?u.previewMode:null}function So({type:e,value:t,isAutomatic:r,code:n}){return{id:"preview-"+Date.now(),title:r?"Preview Automatic Discount":"Preview Coupon Code",type:e||"percentage",value:t||10,isAutomatic:r===!0,codes:r?[]:[n||"PREVIEW10"],description:"This is a preview discount for theme editor.",validFrom:new Date().toISOString(),validUntil:null,endsAt:new Date(Date.now()+300*60*1e3).toISOString(),isPreview:!0}}function Xr(e,t,{variantId:r=null,sellingPlanId:n=null}={}){let o=bo(),a=A[t],s;if(o)i.debug("Preview mode active"),s=[So(o)];else{if(!a)return Mt.has(String(t))?(i.debug({productId:t},"No discounts for collection product"),null):void 0;if(s=(a.discounts||[]).filter(l=>!st(l)),r&&(s=s.filter(l=>l.variantScope?.type!=="PARTIAL"||(l.variantScope.ids||[]).map(String).includes(String(r)))),s=ce(s,n),s.length===0)return i.debug({productId:t,variantId:r,sellingPlanId:n},"No discounts for selection"),null}let c=Ut(e),d=mo(a,r)||e&&pr(e,{formPriceDiscountedSelector:c?kt:"",isForm:c});return!d||!d.price?(i.debug({productId:t,variantId:r},"Could not determine price from server data or DOM"),null):(d.regularPrice=d.price,{productId:t,variantId:r,sellingPlanId:n,productData:a,priceData:d,discounts:s,isPreview:!!o})}function vo(e,t,r){try{let n=Xr(r,e,t);if(n===void 0){je(null,e,null,t.variantId?[t.variantId]:[]);return}if(!n)return null;let o=Et(ee(),n.priceData.regularPrice);return{...n,couponEnabled:Bt,...ve(n.discounts,n.priceData.regularPrice,o,n.variantId)}}catch(n){return i.error({err:n,productId:e},"Error resolving discount element offer"),null}}function Co(e){for(let t of Ce())String(F(t))===String(e)&&L(t,e);H({productId:e,tagName:"DDP-DISCOUNT-BADGE"})}function L(e,t){if(!e||!t){i.debug("Cannot apply discounts: missing container or product ID");return}try{let r=Ut(e);if(r){let b=Gr.get(e)||0,y=Date.now()-b;if(y<jr&&!At.has(e)){i.debug({elapsed:y},"Debouncing form processing"),setTimeout(()=>{e.isConnected&&L(e,t)},jr-y);return}Gr.set(e,Date.now())}let o=ge(e,X)?.variantId;o&&Dt.set(e,o);let s=ye(e)?.sellingPlanId||null,c=Xr(e,t,{variantId:o,sellingPlanId:s});if(c===void 0){i.debug({productId:t},"Product data not in cache, queuing"),je(e,t);return}if(!c){ne(e);return}let d=Br(e,r,t);if(!r){wo(e,c.discounts,d);return}let{discounts:l,priceData:f}=c,g=Et(ee(),f.regularPrice);if(u.selectorOverrides?.useBestDiscountAPI===!0&&!c.isPreview)ho({productId:t,variantId:o,regularPrice:f.regularPrice,sellingPlanId:s,discounts:l,cart:g}).then(b=>{e.isConnected&&Ue(e,{...c,...b,hosted:d})}).catch(b=>{i.error({err:b},"Error getting best discounts from API");let y=ve(l,f.regularPrice,g,o);e.isConnected&&Ue(e,{...c,...y,hosted:d})});else{let b=ve(l,f.regularPrice,g,o);Ue(e,{...c,...b,hosted:d})}}catch(r){i.error({err:r,productId:t},"Error applying discounts to product")}}function Jr(e){let{priceData:t,automaticDiscount:r,automaticFinalPrice:n,couponDiscount:o,couponFinalPrice:a,stacked:s=!1}=e;if(!r)return null;let c=s&&o&&!o.codeHidden&&Z(o.code).applied;return ct(t.regularPrice,c?a:n,r,!0,t.hasCurrencyCode)}function Qr(e,t){let{productId:r,variantId:n,couponDiscount:o,automaticFinalPrice:a,couponFinalPrice:s}=e;return!o||!Bt?null:lt(o,c=>{W(c),t(s)},c=>{W(""),t(a)},r,n,!1)}function Ue(e,t){if(e)try{qt(e),ne(e);let{productId:r,variantId:n,priceData:o,discounts:a=[],automaticDiscount:s,couponDiscount:c,automaticFinalPrice:d,stacked:l=!1,conditionalDiscount:f=null,conditionalProgress:g=null,hosted:p={}}=t,b=a.find(C=>C.kind==="bxgy")||null,y=e.querySelector(Y),m=!(!s&&!c&&(f||b))&&!p.price&&(s||!p.coupon);y&&m&&(y.style.display="none");let h=document.createElement("div");h.className="ddp-discounts ddp-discounts-container";let w=p.price?null:Jr(t);if(w&&h.appendChild(w),!p.coupon){let C=Qr(t,v=>{let E=l&&w?.querySelector(".ddp-discounted-price__sale");E&&(E.textContent=x(v,o.hasCurrencyCode)),H({productId:r,tagName:"DDP-DISCOUNT-BADGE"})});C&&h.appendChild(C)}if(f){let C=dt(f,g,o?.hasCurrencyCode);C&&h.appendChild(C)}if(b){let C=pt(b,o?.hasCurrencyCode);C&&h.appendChild(C)}if(!h.hasChildNodes()){i.debug({productId:r,variantId:n,hosted:p},"Nothing to inject for offer");return}if(y&&y.parentElement)y.parentElement.insertBefore(h,y);else{let C=e.querySelector('form[action*="/cart/add"]');C?C.insertBefore(h,C.firstChild):e.insertBefore(h,e.firstChild)}i.info({productId:r,variantId:n,hasAutomatic:!!s,hasCoupon:!!c,stacked:l,hasConditional:!!f,hasBxgy:!!b,hostedPrice:!!p.price,hostedCoupon:!!p.coupon},"Rendered form UI")}catch(r){i.error({err:r},"Error rendering form UI");let n=e.querySelector(Y);n&&(n.style.display="")}}function wo(e,t,r={}){if(!(!e||!t||t.length===0))try{ne(e);let n=mr(e,Ot);if(n.length===0){i.debug("No price elements found for badge attachment");return}if(we(n[0].container,e)){i.debug("Price element is hidden, skipping badge");return}let o=F(e),a=n[0].container.textContent,s=B(a),c=se(a),d=t.filter(m=>m.kind==="bxgy"),l=t.filter(m=>m.kind!=="bxgy"),f=ee(),g=l.filter(m=>!Ee(m.minimumRequirement||null,f).met),p=l.filter(m=>!g.includes(m)),b=p.filter(m=>m.isAutomatic),y=p.filter(m=>!m.isAutomatic),S=Cr(s);if(b.length>0&&!r.price){let m=b.sort(S)[0],h=s?U(s,m):null;ht(e,n,{productId:o,regularPrice:s,finalPrice:h,discount:m,hasCurrencyCode:c,singlePrice:!1})}if(y.length>0&&!r.coupon){let m=y.sort(S)[0];gt(e,n,{productId:o,discount:m,hasCurrencyCode:c})}if(g.length>0&&b.length===0){let m=g.sort(S)[0];yt(e,n,{productId:o,discount:m,hasCurrencyCode:c})}d.length>0&&bt(e,n,{productId:o,discount:d[0],hasCurrencyCode:c}),i.debug({automaticCount:b.length,couponCount:y.length,conditionalCount:g.length,bxgyCount:d.length},"Rendered card badges")}catch(n){i.error({err:n},"Error rendering card badges")}}function ne(e){if(e)try{let t=n=>{qr(n)||n.remove()};e.querySelectorAll(".ddp-discounts, .ddp-discounts-container").forEach(t),e.querySelectorAll(".ddp-discount-badge, .ddp-coupon-badge, .automatic-wrapper, .coupon-wrapper, .conditional-wrapper, .bxgy-wrapper").forEach(t),e.querySelectorAll("[data-ddp-hidden]").forEach(n=>{n.style.display="",delete n.dataset.ddpHidden}),e.querySelectorAll(".ddp-skeleton-loader").forEach(t);let r=e.querySelector(Y);r&&r.style.display==="none"&&(r.style.display="")}catch(t){i.error({err:t},"Error clearing existing discounts")}}function Ft(e){if(e)try{Le(e,X,t=>{t&&(i.debug({variantId:t},"Variant change detected"),yo(e,t))},t=>{let r=F(e);r&&L(e,r)}),i.debug("Attached variant listeners")}catch(t){i.error({err:t},"Error attaching variant listeners")}}function Eo(){try{new MutationObserver(t=>{for(let r of t)if(r.type==="childList")for(let n of r.addedNodes){if(n.nodeType!==Node.ELEMENT_NODE)continue;let o=n.matches&&n.matches(V),a=n.matches&&n.matches(O);if(o||a){i.debug("New container detected via mutation");let s=F(n);s&&(L(n,s),Ft(n))}if(n.querySelectorAll){let s=n.querySelectorAll(V),c=n.querySelectorAll(O);for(let d of[...s,...c]){i.debug("New container detected in subtree");let l=F(d);l&&(L(d,l),Ft(d))}}}}).observe(document.body,{childList:!0,subtree:!0}),i.info("DOM observer initialized")}catch(e){i.error({err:e},"Error setting up DOM observer")}}function Io(){try{let t=function(){e.setAttribute("data-timestamp",Date.now().toString())},e=document.getElementById("discount-heartbeat");e||(e=document.createElement("div"),e.id="discount-heartbeat",e.style.display="none",document.body.appendChild(e)),t(),setInterval(t,3e4),i.info("Heartbeat initialized")}catch(e){i.error({err:e},"Error setting up heartbeat")}}function He(){let e=[...$e(),...Ce()];for(let t of e){let r=F(t);r&&L(t,r)}H()}function To(){return Object.values(A).some(e=>(e.discounts||[]).some(t=>t.minimumRequirement))}async function $t(){if(!(zr||!To())){zr=!0;try{Fr(),kr(()=>{i.info("Cart changed, reapplying conditional discounts"),He()}),await wt(),i.info({cart:ee()},"Cart tracking started")}catch(e){i.error({err:e},"Error starting cart tracking")}}}async function xo(e=3e3){let t=Date.now();for(;Date.now()-t<e;){if(typeof Shopify<"u"&&Shopify.theme&&Shopify.theme.name)return i.info({themeName:Shopify.theme.name},"Shopify theme detected"),!0;await new Promise(r=>setTimeout(r,100))}return i.warn("Shopify theme not detected within timeout"),!1}async function Lt(){if($r){i.warn("Initialization already attempted");return}$r=!0,i.info("Starting Discount Display Pro initialization");try{await xo(),document.readyState==="loading"&&await new Promise(n=>{document.addEventListener("DOMContentLoaded",n)}),await Jt(4e3),Ze(()=>{i.info("Theme selectors updated, reinitializing selectors"),Vr(),He()}),Vr(),Ae(),cr(co),await fo(),await $t();let e=$e(),t=Ce(),r=[...e,...t];i.info({totalContainers:r.length},"Found containers");for(let n of r){let o=F(n);o&&(L(n,o),Ft(n))}Eo(),Io(),Rt=!0,H(),i.info("Discount Display Pro initialization complete")}catch(e){i.error({err:e},"Error during initialization")}}function _o(e){if(!e)return"";try{return new Date(e).toLocaleDateString(void 0,{year:"numeric",month:"long",day:"numeric"})}catch{return e}}function Po(e){let t=window.location.href,r=encodeURIComponent(t);return`/discount/${encodeURIComponent(e)}?return_to=${r}`}u.ui={createPriceContainer:ct,createCouponBlock:lt,createConditionalOffer:dt,createBxgyOffer:pt,showTermsModal:Fe};u.cards={createAutomaticDiscountDisplay:ht,createCouponBadge:gt,createConditionalOfferBadge:yt,createBxgyBadge:bt};u.forms={renderPPFormUI:Ue,applyDiscountCode:W,buildDiscountUrlWithReturnTo:Po};u.utils={formatPrice:x,formatDate:_o,parsePrice:B,calculateDiscountedPrice:U,clearExistingDiscounts:ne,requestBestDiscounts:at};u.logger=i;u.state={get initializationComplete(){return Rt},get products(){return A},get selectors(){return G},get cart(){return ee()}};typeof window<"u"&&Rr({isReady:()=>Rt,resolveOffer:vo,renderBadge:Jr,renderCouponBlock:e=>Qr(e,()=>Co(e.productId)),getVariantInputSelector:()=>X,getContainerSelector:()=>V,getFormContainerSelector:()=>O});typeof window<"u"&&(document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Lt):Lt());var Do={initialize:Lt,applyDiscountsToProduct:L,clearExistingDiscounts:ne,findProductContainers:$e,findFormContainers:Ce,mergeDiscountData:ze};return on(Ao);})();
 //# sourceMappingURL=discount-display-pro.js.map
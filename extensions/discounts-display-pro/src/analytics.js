@@ -0,0 +1,111 @@
+import { logger } from './logger.js';
+import { sendStorefrontEvents } from './api-client.js';
+
+/**
+ * Analytics Module
+ * Batches storefront events (badge impressions, coupon toggles, coupon applies,
+ * terms modal opens) and sends them to /api/events. Events carry only the event
+ * type and discount ID: no customer, session or page data is collected.
+ */
+
+const FLUSH_DELAY_MS = 3000;
+const MAX_BATCH_SIZE = 50;
+
+export const ANALYTICS_EVENT = {
+  IMPRESSION: 'impression',
+  COUPON_TOGGLE: 'coupon_toggle',
+  AUTO_APPLY: 'auto_apply',
+  TERMS_OPEN: 'terms_open'
+};
+
+let queue = [];
+let flushTimer = null;
+let unloadListenerAttached = false;
+// Each discount counts one impression per page view, however many badges show it
+const seenImpressions = new Set();
+
+/**
+ * Whether events may be sent: never from the theme editor, and not when the
+ * visitor declined analytics in Shopify's Customer Privacy API
+ * @returns {boolean}
+ */
+function isTrackingAllowed() {
+  if (window.Shopify?.designMode) {
+    return false;
+  }
+  const privacy = window.Shopify?.customerPrivacy;
+  if (privacy && typeof privacy.analyticsProcessingAllowed === 'function') {
+    return privacy.analyticsProcessingAllowed() !== false;
+  }
+  return true;
+}
+
+/**
+ * Send the queued events
+ * @param {object} options - Options object
+ * @param {boolean} options.keepalive - Use a keepalive request (page is unloading)
+ * @returns {Promise<void>}
+ */
+export async function flushEvents({ keepalive = false } = {}) {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (queue.length === 0) {
+    return;
+  }
+
+  const batch = queue;
+  queue = [];
+  await sendStorefrontEvents(batch, { keepalive });
+}
+
+function attachUnloadListener() {
+  if (unloadListenerAttached) {
+    return;
+  }
+  unloadListenerAttached = true;
+
+  // pagehide/visibilitychange are the last reliable points to send on mobile
+  window.addEventListener('pagehide', () => flushEvents({ keepalive: true }));
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushEvents({ keepalive: true });
+    }
+  });
+}
+
+/**
+ * Queue an analytics event for a discount
+ * @param {string} type - One of ANALYTICS_EVENT
+ * @param {string} discountId - Numeric discount ID from /api/discounts
+ * @param {object} extra - Extra fields ({ applied } for coupon toggles)
+ */
+export function trackEvent(type, discountId, extra = {}) {
+  try {
+    if (!discountId || !isTrackingAllowed()) {
+      return;
+    }
+
+    const id = String(discountId);
+    if (type === ANALYTICS_EVENT.IMPRESSION) {
+      if (seenImpressions.has(id)) return;
+      seenImpressions.add(id);
+    }
+
+    const event = { type, discountId: id };
+    if (typeof extra.applied === 'boolean') {
+      event.applied = extra.applied;
+    }
+    queue.push(event);
+    attachUnloadListener();
+
+    if (queue.length >= MAX_BATCH_SIZE) {
+      flushEvents();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(() => flushEvents(), FLUSH_DELAY_MS);
+    }
+  } catch (err) {
+    logger.warn({ err, type, discountId }, 'Failed to track analytics event');
+  }
+}
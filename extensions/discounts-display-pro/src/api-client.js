@@ -1,5 +1,6 @@
 import { logger } from './logger.js';
 import _ns from './namespace.js';
+import { createDiscountsClient } from '../../../packages/storefront-sdk/src/api-client.js';
 
 /**
  * Resolve shop domain from various sources
@@ -49,34 +50,369 @@ function sanitizeBaseUrl(url) {
 }
 
 /**
- * Build discounts API URL
- * @param {object} params - Query parameters
- * @returns {string|null} Complete endpoint URL or null
+ * Build the /api/discounts request for the given IDs. The storefront SDK client
+ * sends it with the page's customer identity; the browser's HTTP cache
+ * revalidates its responses, so the client keeps none of its own.
+ * @param {string} shop - Shop domain
+ * @param {string} token - Storefront token
+ * @param {object} ids - productIds, variantIds, handles, collectionIds, collectionHandles
+ * @returns {Function|null} Sends the request and resolves with the response body
  */
-function buildDiscountsUrl(params) {
-  const base = sanitizeBaseUrl(_ns.apiBaseUrl || '');
-  if (!base) {
+function buildDiscountsRequest(shop, token, { productIds = [], variantIds = [], handles = [], collectionIds = [], collectionHandles = [] }) {
+  const apiBaseUrl = sanitizeBaseUrl(_ns.apiBaseUrl || '');
+  if (!apiBaseUrl) {
     logger.error({}, 'DISCOUNT_API_BASE_URL not configured');
     return null;
   }
 
-  const path = `${base}/api/discounts`;
-  const queryParams = new URLSearchParams();
+  const client = createDiscountsClient({
+    apiBaseUrl,
+    shop,
+    token,
+    customer: _ns.customer,
+    revalidate: false,
+  });
+  const options = { variantIds, handles, collectionIds, collectionHandles, ...getPresentmentParams() };
+  return () => client.getDiscountsForProducts(productIds, options);
+}
+
+/**
+ * Signed customer identity query params (set by the Liquid block for logged-in
+ * customers) so the API can return customer-segment discounts they qualify for
+ * @returns {object} Query params, empty for guests
+ */
+function getCustomerIdentityParams() {
+  const customer = _ns.customer;
+  if (!customer || !customer.id || !customer.sig) {
+    return {};
+  }
+
+  return {
+    customerId: customer.id,
+    customerTags: customer.tags,
+    customerTs: customer.ts,
+    customerSig: customer.sig,
+  };
+}
+
+/**
+ * Presentment currency and country of the page, plus Shopify's conversion rate
+ * from the shop currency, so the API can convert fixed discount amounts
+ * @returns {object} { currency, country, rate } (missing values are omitted)
+ */
+function getPresentmentParams() {
+  const params = {};
+  if (_ns.presentmentCurrency) params.currency = _ns.presentmentCurrency;
+  if (_ns.presentmentCountry) params.country = _ns.presentmentCountry;
+
+  const rate = parseFloat(window.Shopify?.currency?.rate);
+  if (Number.isFinite(rate) && rate > 0) params.rate = rate;
+
+  return params;
+}
+
+// ============================================================================
+// Stored Discount Data
+// ============================================================================
+
+// Discount data is kept in web storage across page views, keyed by shop, so the
+// next page renders badges at once and revalidates in the background. The
+// version in the key changes whenever the stored shape does.
+const STORED_DISCOUNTS_VERSION = 2;
+const STORED_DISCOUNTS_TTL_MS = 10 * 60 * 1000;
+const MAX_STORED_PRODUCTS = 200;
+
+const storedDiscountsKey = (shop) => `wf_discount_cache_v${STORED_DISCOUNTS_VERSION}:${shop}`;
+
+let discountStorage;
+const revalidationListeners = new Set();
+
+/**
+ * localStorage, or sessionStorage when it is blocked (private mode, storage
+ * partitioning). Null when neither can be written.
+ * @returns {Storage|null}
+ */
+function getDiscountStorage() {
+  if (discountStorage !== undefined) {
+    return discountStorage;
+  }
+
+  discountStorage = null;
+  for (const name of ['localStorage', 'sessionStorage']) {
+    try {
+      const storage = window[name];
+      storage.setItem('wf_storage_probe', '1');
+      storage.removeItem('wf_storage_probe');
+      discountStorage = storage;
+      break;
+    } catch {
+      // Not available, try the next one
+    }
+  }
+
+  if (!discountStorage) {
+    logger.debug({}, 'Web storage unavailable, discount data will not be kept between pages');
+  }
+  return discountStorage;
+}
 
-  // Add all provided params
-  Object.keys(params).forEach((key) => {
-    const value = params[key];
-    if (value !== undefined && value !== null && value !== '') {
-      if (Array.isArray(value)) {
-        // Join arrays with comma
-        queryParams.append(key, value.join(','));
-      } else {
-        queryParams.append(key, String(value));
+/**
+ * Numeric form of a product or collection ID, matching the keys of the API response
+ * @param {string|number} id - Numeric or GID ID
+ * @returns {string}
+ */
+function toNumericId(id) {
+  return String(id).split('/').pop();
+}
+
+/**
+ * Everything besides the product IDs that changes the API response. Stored
+ * data for another currency, market or customer is never reused.
+ * @returns {string}
+ */
+function getStoredDiscountsContext() {
+  const { currency = '', country = '', rate = '' } = getPresentmentParams();
+  return [currency, country, rate, getCustomerIdentityParams().customerId || ''].join('|');
+}
+
+/**
+ * Stored entry for the shop, or null when missing, unreadable or for another context
+ * @param {string} shop - Shop domain
+ * @returns {object|null} { revision, context, autoApplyEnabled, currency, products, handles }
+ */
+function readStoredDiscounts(shop) {
+  const storage = getDiscountStorage();
+  if (!storage) return null;
+
+  try {
+    const entry = JSON.parse(storage.getItem(storedDiscountsKey(shop)) || 'null');
+    if (!entry || entry.context !== getStoredDiscountsContext()) {
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    logger.warn({ err: error }, 'Ignoring unreadable stored discount data');
+    return null;
+  }
+}
+
+/**
+ * Stored discount data covering every requested product, handle and
+ * collection, if none of it is older than STORED_DISCOUNTS_TTL_MS
+ * @param {string} shop - Shop domain
+ * @param {object} requested - { productIds, handles, collectionIds?, collectionHandles? }
+ * @returns {object|null} Data in the API response shape
+ */
+function getFreshStoredDiscounts(shop, { productIds, handles, collectionIds = [], collectionHandles = [] }) {
+  if (productIds.length === 0 && handles.length === 0 && collectionIds.length === 0 && collectionHandles.length === 0) {
+    return null;
+  }
+
+  const entry = readStoredDiscounts(shop);
+  if (!entry) return null;
+
+  const isFresh = (record) => record && Date.now() - record.storedAt < STORED_DISCOUNTS_TTL_MS;
+  const ids = productIds.map(toNumericId);
+  for (const handle of handles) {
+    const record = entry.handles[handle];
+    if (!isFresh(record)) return null;
+    if (record.productId) ids.push(record.productId);
+  }
+
+  // Collections are only stored once the API resolved them
+  const collections = {};
+  const storedCollections = entry.collections || {};
+  const findByHandle = (handle) => Object.entries(storedCollections).find(([, record]) => record.handle === handle);
+  const wantedCollections = [
+    ...collectionIds.map(id => [toNumericId(id), storedCollections[toNumericId(id)]]),
+    ...collectionHandles.map(handle => findByHandle(handle) || [handle, null]),
+  ];
+  // A fresh collection record covers its members: only the ones that had
+  // discounts need their own record
+  const undiscountedMembers = new Set();
+  for (const [collectionId, record] of wantedCollections) {
+    if (!isFresh(record)) return null;
+    collections[collectionId] = { handle: record.handle, productIds: record.productIds };
+    const discounted = new Set(record.discountedProductIds);
+    ids.push(...discounted);
+    for (const id of record.productIds) {
+      if (!discounted.has(String(id))) undiscountedMembers.add(String(id));
+    }
+  }
+
+  const products = {};
+  for (const id of ids) {
+    const record = entry.products[id];
+    if (!isFresh(record)) {
+      if (undiscountedMembers.has(id)) continue;
+      return null;
+    }
+    // Null records are products the API had nothing for
+    if (record.data) products[id] = record.data;
+  }
+
+  return {
+    products,
+    ...(wantedCollections.length > 0 && { collections }),
+    autoApplyEnabled: entry.autoApplyEnabled,
+    currency: entry.currency,
+    revision: entry.revision,
+  };
+}
+
+/**
+ * Keep an API response for later page views. A response from another discount
+ * revision replaces everything stored for the shop.
+ * @param {string} shop - Shop domain
+ * @param {object} data - API response
+ * @param {object} requested - { productIds, handles } the response was for
+ */
+function storeDiscountData(shop, data, { productIds, handles }) {
+  const storage = getDiscountStorage();
+  if (!storage || !data || !data.products) return;
+
+  try {
+    const revision = data.revision ?? null;
+    let entry = readStoredDiscounts(shop);
+    if (entry && entry.revision !== revision) {
+      logger.info({ from: entry.revision, to: revision }, 'Discount revision changed, dropping stored discount data');
+      entry = null;
+    }
+    if (!entry) {
+      entry = { revision, context: getStoredDiscountsContext(), products: {}, handles: {}, collections: {} };
+    }
+    entry.autoApplyEnabled = data.autoApplyEnabled;
+    entry.currency = data.currency;
+
+    const storedAt = Date.now();
+    for (const handle of handles) {
+      entry.handles[handle] = { productId: null, storedAt };
+    }
+    for (const id of productIds) {
+      entry.products[toNumericId(id)] = { data: null, storedAt };
+    }
+    // Collection members missing from the response have no discounts either
+    for (const collection of Object.values(data.collections || {})) {
+      for (const id of collection.productIds || []) {
+        entry.products[String(id)] = { data: null, storedAt };
       }
     }
-  });
+    for (const [id, product] of Object.entries(data.products)) {
+      entry.products[id] = { data: product, storedAt };
+      if (product.handle) {
+        entry.handles[product.handle] = { productId: id, storedAt };
+      }
+    }
+    entry.collections = entry.collections || {};
+    for (const [id, collection] of Object.entries(data.collections || {})) {
+      const discountedProductIds = (collection.productIds || []).map(String).filter((productId) => data.products[productId]);
+      entry.collections[id] = { ...collection, discountedProductIds, storedAt };
+    }
+
+    // Drop expired records, then the oldest ones over the limit. Products
+    // without discounts go first: collection records already cover them.
+    const live = (records) => Object.entries(records)
+      .filter(([, record]) => storedAt - record.storedAt < STORED_DISCOUNTS_TTL_MS);
+    entry.handles = Object.fromEntries(live(entry.handles));
+    entry.collections = Object.fromEntries(live(entry.collections));
+    entry.products = Object.fromEntries(
+      live(entry.products)
+        .sort(([, a], [, b]) => Boolean(b.data) - Boolean(a.data) || b.storedAt - a.storedAt)
+        .slice(0, MAX_STORED_PRODUCTS)
+    );
+
+    storage.setItem(storedDiscountsKey(shop), JSON.stringify(entry));
+  } catch (error) {
+    // Usually a full storage quota; the page still has the data in memory
+    logger.warn({ err: error }, 'Failed to store discount data');
+  }
+}
+
+/**
+ * Whether a fresh response shows anything different from the stored data that was rendered
+ * @param {object} data - Fresh API response
+ * @param {object} stored - Stored data returned earlier
+ * @returns {boolean}
+ */
+function hasDiscountDataChanged(data, stored) {
+  if (data.revision !== stored.revision || data.autoApplyEnabled !== stored.autoApplyEnabled) {
+    return true;
+  }
+  if (JSON.stringify(data.collections || {}) !== JSON.stringify(stored.collections || {})) {
+    return true;
+  }
+  const ids = new Set([...Object.keys(data.products), ...Object.keys(stored.products)]);
+  for (const id of ids) {
+    if (JSON.stringify(data.products[id]) !== JSON.stringify(stored.products[id])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Merge a response into the page's cached discount data. Products and
+ * collections are keyed by ID, so the response's entries replace cached ones
+ * and entries from other requests are kept.
+ * @param {object} data - Response body
+ * @param {object} [replaced] - Earlier response for the same request; its
+ *   products missing from `data` no longer have discounts and are dropped
+ */
+function mergeIntoFetchCache(data, replaced = null) {
+  const existing = _ns._fetchCache;
+  if (!existing) {
+    _ns._fetchCache = data;
+    return;
+  }
+
+  const products = { ...existing.products };
+  for (const id of Object.keys(replaced?.products || {})) {
+    delete products[id];
+  }
+
+  _ns._fetchCache = {
+    ...existing,
+    ...data,
+    products: { ...products, ...data.products },
+    collections: { ...existing.collections, ...data.collections },
+  };
+}
+
+/**
+ * Refetch data that was served from storage and tell listeners when it changed
+ */
+async function revalidateStoredDiscounts(request, shop, requested, stored) {
+  try {
+    const data = await request();
+    storeDiscountData(shop, data, requested);
+
+    if (!hasDiscountDataChanged(data, stored)) {
+      logger.debug({}, 'Stored discount data is current');
+      return;
+    }
+
+    logger.info({ revision: data.revision }, 'Stored discount data was out of date, updating');
+    mergeIntoFetchCache(data, stored);
+    for (const listener of revalidationListeners) {
+      try {
+        listener(data, stored);
+      } catch (error) {
+        logger.error({ err: error }, 'Discount revalidation listener failed');
+      }
+    }
+  } catch (error) {
+    logger.warn({ err: error }, 'Failed to revalidate stored discount data');
+  }
+}
 
-  return `${path}?${queryParams.toString()}`;
+/**
+ * Subscribe to fresh data replacing stored data that loadDiscountData returned
+ * @param {Function} callback - Called with (data, previous)
+ * @returns {Function} Unsubscribe function
+ */
+export function onDiscountDataRevalidated(callback) {
+  revalidationListeners.add(callback);
+  return () => revalidationListeners.delete(callback);
 }
 
 /**
@@ -102,9 +438,11 @@ function extractIdsFromContext(pageContext) {
   const productIds = [];
   const variantIds = [];
   const handles = [];
+  const collectionIds = [];
+  const collectionHandles = [];
 
   if (!pageContext) {
-    return { productIds, variantIds, handles };
+    return { productIds, variantIds, handles, collectionIds, collectionHandles };
   }
 
   // Extract from various context sources
@@ -132,11 +470,21 @@ function extractIdsFromContext(pageContext) {
     handles.push(...pageContext.handles);
   }
 
+  if (pageContext.collectionIds && Array.isArray(pageContext.collectionIds)) {
+    collectionIds.push(...pageContext.collectionIds);
+  }
+
+  if (pageContext.collectionHandles && Array.isArray(pageContext.collectionHandles)) {
+    collectionHandles.push(...pageContext.collectionHandles);
+  }
+
   // Deduplicate
   return {
     productIds: [...new Set(productIds)],
     variantIds: [...new Set(variantIds)],
     handles: [...new Set(handles)],
+    collectionIds: [...new Set(collectionIds)],
+    collectionHandles: [...new Set(collectionHandles)],
   };
 }
 
@@ -174,52 +522,43 @@ export async function loadDiscountData(pageContext) {
     }
 
     // Extract IDs from context
-    const { productIds, variantIds, handles } = extractIdsFromContext(pageContext);
+    const { productIds, variantIds, handles, collectionIds, collectionHandles } = extractIdsFromContext(pageContext);
+    const requested = { productIds, handles, collectionIds, collectionHandles };
 
-    // Build URL
-    const url = buildDiscountsUrl({
-      shop,
-      productIds: productIds.length > 0 ? productIds : undefined,
-      variantIds: variantIds.length > 0 ? variantIds : undefined,
-      handles: handles.length > 0 ? handles : undefined,
-    });
-
-    if (!url) {
+    const request = buildDiscountsRequest(shop, token, { productIds, variantIds, handles, collectionIds, collectionHandles });
+    if (!request) {
       return null;
     }
 
+    // Render from storage right away; the request runs in the background
+    const stored = getFreshStoredDiscounts(shop, requested);
+    if (stored) {
+      logger.info({
+        productCount: Object.keys(stored.products).length,
+        revision: stored.revision,
+      }, 'Using stored discount data, revalidating');
+      _ns._fetchCache = stored;
+      revalidateStoredDiscounts(request, shop, requested, stored);
+      return stored;
+    }
+
     logger.info({
       shop,
       productCount: productIds.length,
       variantCount: variantIds.length,
       handleCount: handles.length,
+      collectionCount: collectionIds.length + collectionHandles.length,
     }, 'Fetching discount data');
 
     // Create fetch promise
     const fetchPromise = (async () => {
       try {
-        const response = await fetch(url, {
-          method: 'GET',
-          credentials: 'omit',
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
+        const data = await request();
 
-        logger.info({
-          discountCount: data.discounts?.length || 0,
-          productCount: data.products?.length || 0,
-        }, 'Discount data loaded');
+        logger.info({ productCount: Object.keys(data.products || {}).length }, 'Discount data loaded');
 
-        // Cache the data
-        _ns._fetchCache = data;
+        mergeIntoFetchCache(data);
+        storeDiscountData(shop, data, requested);
 
         return data;
       } catch (error) {
@@ -271,15 +610,8 @@ export async function fetchAdditionalDiscountData({ productIds = [], handles = [
       return { success: true, hasData: false };
     }
 
-    // Build URL
-    const url = buildDiscountsUrl({
-      shop,
-      productIds: productIds.length > 0 ? productIds : undefined,
-      variantIds: variantIds.length > 0 ? variantIds : undefined,
-      handles: handles.length > 0 ? handles : undefined,
-    });
-
-    if (!url) {
+    const request = buildDiscountsRequest(shop, token, { productIds, variantIds, handles });
+    if (!request) {
       return { success: false, hasData: false };
     }
 
@@ -290,64 +622,17 @@ export async function fetchAdditionalDiscountData({ productIds = [], handles = [
       handleCount: handles.length,
     }, 'Fetching additional discount data');
 
-    const response = await fetch(url, {
-      method: 'GET',
-      credentials: 'omit',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-    });
+    const data = await request();
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const productCount = Object.keys(data.products || {}).length;
+    logger.info({ productCount }, 'Additional discount data loaded');
 
-    logger.info({
-      discountCount: data.discounts?.length || 0,
-      productCount: data.products?.length || 0,
-    }, 'Additional discount data loaded');
-
-    // Merge with existing cached data
-    if (_ns._fetchCache) {
-      const existing = _ns._fetchCache;
-
-      // Merge discounts (avoid duplicates by ID)
-      const existingDiscountIds = new Set(
-        (existing.discounts || []).map((d) => d.id)
-      );
-      const newDiscounts = (data.discounts || []).filter(
-        (d) => !existingDiscountIds.has(d.id)
-      );
-
-      // Merge products (avoid duplicates by ID)
-      const existingProductIds = new Set(
-        (existing.products || []).map((p) => p.id)
-      );
-      const newProducts = (data.products || []).filter(
-        (p) => !existingProductIds.has(p.id)
-      );
-
-      _ns._fetchCache = {
-        ...existing,
-        discounts: [...(existing.discounts || []), ...newDiscounts],
-        products: [...(existing.products || []), ...newProducts],
-      };
-
-      logger.info({
-        newDiscounts: newDiscounts.length,
-        newProducts: newProducts.length,
-      }, 'Merged additional discount data with cache');
-    } else {
-      // No existing data, cache new data
-      _ns._fetchCache = data;
-    }
+    storeDiscountData(shop, data, { productIds, handles });
+    mergeIntoFetchCache(data);
 
     return {
       success: true,
-      hasData: (data.discounts?.length || 0) > 0 || (data.products?.length || 0) > 0,
+      hasData: productCount > 0,
       data,
     };
   } catch (error) {
@@ -408,6 +693,7 @@ export async function requestBestDiscounts({ shop, entries }) {
       body: JSON.stringify({
         shop,
         requests: entries,
+        ...getPresentmentParams(),
       }),
     });
 
@@ -434,3 +720,43 @@ export async function requestBestDiscounts({ shop, entries }) {
     };
   }
 }
+
+/**
+ * Send a batch of analytics events to the backend
+ * @param {Array<object>} events - Events ({ type, discountId, applied? })
+ * @param {object} options - Options object
+ * @param {boolean} options.keepalive - Let the request outlive the page (flush on pagehide)
+ * @returns {Promise<boolean>} Whether the batch was accepted
+ */
+export async function sendStorefrontEvents(events, { keepalive = false } = {}) {
+  try {
+    const shop = resolveShopDomain();
+    const token = _ns.storefrontToken;
+    const base = sanitizeBaseUrl(_ns.apiBaseUrl || '');
+    if (!shop || !token || !base) {
+      logger.debug({ hasShop: !!shop, hasToken: !!token }, 'Skipping analytics events: API not configured');
+      return false;
+    }
+
+    const response = await fetch(`${base}/api/events`, {
+      method: 'POST',
+      credentials: 'omit',
+      keepalive,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ shop, events }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    logger.debug({ count: events.length }, 'Analytics events sent');
+    return true;
+  } catch (error) {
+    logger.warn({ err: error, count: events.length }, 'Failed to send analytics events');
+    return false;
+  }
+}
@@ -1,5 +1,10 @@
 import { logger } from './logger.js';
 import { formatPrice } from './currency-formatter.js';
+import { buildConditionalOfferText, buildBxgyOfferText } from './ui-components.js';
+import { trackEvent, ANALYTICS_EVENT } from './analytics.js';
+import { createCountdown } from './countdown.js';
+import { createScarcityNote } from './scarcity.js';
+import { getBadgeTemplate, applyBadgeOverrides } from './display-overrides.js';
 import _ns from './namespace.js';
 
 /**
@@ -58,8 +63,9 @@ export function createAutomaticDiscountDisplay(container, priceElements, options
         priceContainer.className = 'discounted-price-container';
 
         if (isFullScope) {
-          // Hide original price
+          // Hide original price (restored by clearExistingDiscounts)
           priceEl.container.style.display = 'none';
+          priceEl.container.dataset.ddpHidden = 'true';
 
           // Add "From" prefix for multi-variant products
           if (!singlePrice) {
@@ -87,9 +93,10 @@ export function createAutomaticDiscountDisplay(container, priceElements, options
         badge.className = 'discounted-price__badge';
 
         // Format badge text using template
-        const badgeTemplate = _ns.automaticBadgeText || 'Save {amount}';
+        const badgeTemplate = getBadgeTemplate(discount, _ns.automaticBadgeText || 'Save {amount}');
         const discountAmount = formatDiscountAmount(discount, hasCurrencyCode);
         badge.textContent = badgeTemplate.replace('{amount}', discountAmount);
+        applyBadgeOverrides(badge, discount);
 
         // Create alignment wrapper
         const wrapper = document.createElement('div');
@@ -114,6 +121,18 @@ export function createAutomaticDiscountDisplay(container, priceElements, options
         }
         wrapper.appendChild(badge);
 
+        // Live countdown when the discount ends soon (block setting)
+        const countdown = createCountdown(discount, 'card');
+        if (countdown) {
+          wrapper.appendChild(countdown);
+        }
+
+        // "Only N left" for capped codes close to their limit (block setting)
+        const scarcity = createScarcityNote(discount, 'card');
+        if (scarcity) {
+          wrapper.appendChild(scarcity);
+        }
+
         // Add "in selected items" text for partial scope
         if (isPartialScope) {
           const selectedItemsText = document.createElement('span');
@@ -139,6 +158,10 @@ export function createAutomaticDiscountDisplay(container, priceElements, options
     scheduleLayoutNudge();
     schedulePostLoadNudge();
 
+    if (createdElements.length > 0) {
+      trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+    }
+
     logger.info({ productId, count: createdElements.length }, 'Automatic discount displays created');
   } catch (err) {
     logger.error({ err, productId }, 'Failed to create automatic discount display');
@@ -188,9 +211,10 @@ export function createCouponBadge(container, priceElements, options) {
         badge.className = 'coupon-badge';
 
         // Format badge text using template
-        const badgeTemplate = _ns.couponBadgeText || 'Save {amount} with coupon';
+        const badgeTemplate = getBadgeTemplate(discount, _ns.couponBadgeText || 'Save {amount} with coupon');
         const discountAmount = formatDiscountAmount(discount, hasCurrencyCode);
         badge.textContent = badgeTemplate.replace('{amount}', discountAmount);
+        applyBadgeOverrides(badge, discount);
 
         // Create alignment wrapper
         const wrapper = document.createElement('div');
@@ -211,6 +235,18 @@ export function createCouponBadge(container, priceElements, options) {
 
         wrapper.appendChild(badge);
 
+        // Live countdown when the discount ends soon (block setting)
+        const countdown = createCountdown(discount, 'card');
+        if (countdown) {
+          wrapper.appendChild(countdown);
+        }
+
+        // "Only N left" for capped codes close to their limit (block setting)
+        const scarcity = createScarcityNote(discount, 'card');
+        if (scarcity) {
+          wrapper.appendChild(scarcity);
+        }
+
         // Add "in selected items" text for partial scope
         if (isPartialScope) {
           const selectedItemsText = document.createElement('span');
@@ -236,6 +272,10 @@ export function createCouponBadge(container, priceElements, options) {
     scheduleLayoutNudge();
     schedulePostLoadNudge();
 
+    if (createdElements.length > 0) {
+      trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+    }
+
     logger.info({ productId, count: createdElements.length }, 'Coupon badges created');
   } catch (err) {
     logger.error({ err, productId }, 'Failed to create coupon badge');
@@ -244,6 +284,122 @@ export function createCouponBadge(container, priceElements, options) {
   return createdElements;
 }
 
+/**
+ * Creates a conditional offer badge for product cards
+ * (discounts that need a minimum cart subtotal or quantity).
+ *
+ * @param {HTMLElement} container - Parent container for offer elements
+ * @param {Array<Object>} priceElements - Array of price element objects
+ * @param {Object} options - Configuration options
+ * @param {string} options.productId - Shopify product ID
+ * @param {Object} options.discount - Discount object with minimumRequirement
+ * @param {boolean} options.hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {Array<HTMLElement>} Array of created offer elements
+ */
+export function createConditionalOfferBadge(container, priceElements, options) {
+  const { productId, discount, hasCurrencyCode } = options;
+
+  return createOfferBadges(priceElements, {
+    productId,
+    discountId: discount.id,
+    kind: 'conditional',
+    text: buildConditionalOfferText(discount, hasCurrencyCode)
+  });
+}
+
+/**
+ * Creates a Buy X Get Y badge for product cards.
+ * Shown on both the qualifying ("buys") and the reward ("gets") products.
+ *
+ * @param {HTMLElement} container - Parent container for offer elements
+ * @param {Array<Object>} priceElements - Array of price element objects
+ * @param {Object} options - Configuration options
+ * @param {string} options.productId - Shopify product ID
+ * @param {Object} options.discount - Discount object with bxgy terms
+ * @param {boolean} options.hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {Array<HTMLElement>} Array of created offer elements
+ */
+export function createBxgyBadge(container, priceElements, options) {
+  const { productId, discount, hasCurrencyCode } = options;
+
+  return createOfferBadges(priceElements, {
+    productId,
+    discountId: discount.id,
+    kind: 'bxgy',
+    text: buildBxgyOfferText(discount, hasCurrencyCode)
+  });
+}
+
+/**
+ * Inserts a text-only offer badge after each price element.
+ * Wrapper class is `${kind}-wrapper`, badge class `discounted-price__badge ${kind}`.
+ *
+ * @param {Array<Object>} priceElements - Array of price element objects
+ * @param {Object} options - { productId, discountId, kind, text }
+ * @returns {Array<HTMLElement>} Array of created wrapper elements
+ */
+function createOfferBadges(priceElements, options) {
+  const { productId, discountId, kind, text } = options;
+  const createdElements = [];
+
+  try {
+    logger.debug({ productId, kind }, 'Creating offer badge');
+
+    priceElements.forEach((priceEl, index) => {
+      try {
+        // Check for existing offer badges to avoid duplicates
+        const existingWrapper = priceEl.container.parentNode.querySelector(`.${kind}-wrapper`);
+        if (existingWrapper) {
+          logger.debug({ productId, kind, index }, 'Offer badge already exists, skipping');
+          return;
+        }
+
+        const badge = document.createElement('span');
+        badge.className = `discounted-price__badge ${kind}`;
+        badge.textContent = text;
+
+        // Create alignment wrapper
+        const wrapper = document.createElement('div');
+        wrapper.className = `${kind}-wrapper`;
+
+        const alignment = _ns.badgeAlignment || 'left';
+        const justifyMap = {
+          left: 'flex-start',
+          center: 'center',
+          right: 'flex-end'
+        };
+        wrapper.style.display = 'flex';
+        wrapper.style.justifyContent = justifyMap[alignment] || 'flex-start';
+        wrapper.style.alignItems = 'center';
+        wrapper.style.gap = '8px';
+        wrapper.style.marginTop = '4px';
+
+        wrapper.appendChild(badge);
+
+        // Insert wrapper after the price container
+        priceEl.container.parentNode.insertBefore(wrapper, priceEl.container.nextSibling);
+
+        createdElements.push(wrapper);
+      } catch (err) {
+        logger.error({ err, productId, kind, index }, 'Failed to create offer badge for price element');
+      }
+    });
+
+    scheduleLayoutNudge();
+    schedulePostLoadNudge();
+
+    if (createdElements.length > 0) {
+      trackEvent(ANALYTICS_EVENT.IMPRESSION, discountId);
+    }
+
+    logger.info({ productId, kind, count: createdElements.length }, 'Offer badges created');
+  } catch (err) {
+    logger.error({ err, productId, kind }, 'Failed to create offer badge');
+  }
+
+  return createdElements;
+}
+
 /**
  * Schedules a layout nudge to trigger theme layout recalculation.
  * Batches multiple requests into a single RAF callback.
@@ -0,0 +1,188 @@
+import { logger } from './logger.js';
+import _ns from './namespace.js';
+
+/**
+ * Cart State Module
+ * Reads the current cart from /cart.js so discounts with a minimum subtotal or
+ * quantity can be evaluated against it and show progress toward the threshold.
+ */
+
+const CART_CACHE_TTL_MS = 5000;
+const CART_REFRESH_DEBOUNCE_MS = 600;
+
+// Theme events commonly dispatched after the cart changes
+const CART_CHANGE_EVENTS = ['cart:updated', 'cart:refresh', 'cart:change'];
+
+let cartSnapshot = null;
+let cartFetchedAt = 0;
+let cartFetchPromise = null;
+let cartRefreshTimer = null;
+let cartWatcherAttached = false;
+const cartListeners = new Set();
+
+/**
+ * Build the /cart.js URL, honouring the locale root (e.g. /fr/)
+ * @returns {string} Cart endpoint URL
+ */
+function buildCartUrl() {
+  const root = window.Shopify?.routes?.root || '/';
+  return `${root.endsWith('/') ? root : `${root}/`}cart.js`;
+}
+
+/**
+ * Convert a /cart.js payload into the snapshot shape used for eligibility checks
+ * @param {object} data - Raw cart JSON
+ * @returns {object} { subtotalCents, itemCount, currencyCode }
+ */
+function toCartSnapshot(data) {
+  const subtotal = Number.isFinite(data?.items_subtotal_price)
+    ? data.items_subtotal_price
+    : data?.total_price;
+
+  return {
+    subtotalCents: Number.isFinite(subtotal) ? subtotal : 0,
+    itemCount: Number.isFinite(data?.item_count) ? data.item_count : 0,
+    currencyCode: data?.currency || _ns.presentmentCurrency || null
+  };
+}
+
+/**
+ * Load the current cart snapshot (cached briefly, concurrent calls deduplicated)
+ * @param {object} options - Options object
+ * @param {boolean} options.force - Bypass the cache
+ * @returns {Promise<object|null>} Cart snapshot or null if unavailable
+ */
+export async function loadCartSnapshot({ force = false } = {}) {
+  if (!force && cartSnapshot && Date.now() - cartFetchedAt < CART_CACHE_TTL_MS) {
+    return cartSnapshot;
+  }
+
+  if (cartFetchPromise) {
+    return cartFetchPromise;
+  }
+
+  cartFetchPromise = (async () => {
+    try {
+      const response = await fetch(buildCartUrl(), {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      cartSnapshot = toCartSnapshot(await response.json());
+      cartFetchedAt = Date.now();
+      logger.debug({ cart: cartSnapshot }, 'Cart snapshot loaded');
+      return cartSnapshot;
+    } catch (error) {
+      logger.warn({ err: error }, 'Failed to load cart snapshot');
+      return cartSnapshot;
+    } finally {
+      cartFetchPromise = null;
+    }
+  })();
+
+  return cartFetchPromise;
+}
+
+/**
+ * Get the last loaded cart snapshot without fetching
+ * @returns {object|null} Cart snapshot or null
+ */
+export function getCartSnapshot() {
+  return cartSnapshot;
+}
+
+/**
+ * Project the cart as if one more unit of the current product were added
+ * @param {object|null} cart - Cart snapshot
+ * @param {number} priceCents - Unit price of the product being viewed
+ * @param {number} quantity - Units to add
+ * @returns {object} Projected cart snapshot
+ */
+export function projectCartWithItem(cart, priceCents, quantity = 1) {
+  const base = cart || {
+    subtotalCents: 0,
+    itemCount: 0,
+    currencyCode: _ns.presentmentCurrency || null
+  };
+  const unitPrice = Number.isFinite(priceCents) ? priceCents : 0;
+
+  return {
+    ...base,
+    subtotalCents: base.subtotalCents + unitPrice * quantity,
+    itemCount: base.itemCount + quantity
+  };
+}
+
+// Minimum requirements are evaluated with the storefront SDK, like /api/best-discounts
+export { evaluateMinimumRequirement } from '../../../packages/storefront-sdk/src/discount-math.js';
+
+/**
+ * Subscribe to cart snapshot changes
+ * @param {Function} callback - Called with the new snapshot
+ * @returns {Function} Unsubscribe function
+ */
+export function onCartChange(callback) {
+  cartListeners.add(callback);
+  return () => cartListeners.delete(callback);
+}
+
+/**
+ * Debounced cart refresh; notifies listeners when the snapshot changed
+ */
+function scheduleCartRefresh() {
+  if (cartRefreshTimer) {
+    clearTimeout(cartRefreshTimer);
+  }
+
+  cartRefreshTimer = setTimeout(async () => {
+    cartRefreshTimer = null;
+    const previous = cartSnapshot;
+    const next = await loadCartSnapshot({ force: true });
+
+    const changed = !previous || !next ||
+      previous.subtotalCents !== next.subtotalCents ||
+      previous.itemCount !== next.itemCount ||
+      previous.currencyCode !== next.currencyCode;
+
+    if (!changed) return;
+
+    logger.debug({ cart: next }, 'Cart changed');
+    cartListeners.forEach((listener) => {
+      try {
+        listener(next);
+      } catch (err) {
+        logger.error({ err }, 'Cart change listener failed');
+      }
+    });
+  }, CART_REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * Watch for cart changes (theme cart events and add-to-cart submits)
+ */
+export function watchCartChanges() {
+  if (cartWatcherAttached) return;
+  cartWatcherAttached = true;
+
+  try {
+    CART_CHANGE_EVENTS.forEach((eventName) => {
+      document.addEventListener(eventName, scheduleCartRefresh);
+    });
+
+    document.addEventListener('submit', (e) => {
+      const form = e.target;
+      if (form && form.matches && form.matches('form[action*="/cart/add"]')) {
+        scheduleCartRefresh();
+      }
+    }, true);
+
+    logger.debug({ events: CART_CHANGE_EVENTS }, 'Cart watcher attached');
+  } catch (err) {
+    logger.error({ err }, 'Failed to attach cart watcher');
+  }
+}
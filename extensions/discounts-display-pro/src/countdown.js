@@ -0,0 +1,153 @@
+import { logger } from './logger.js';
+import _ns from './namespace.js';
+
+/**
+ * Countdown Module
+ * Live "Ends in 3h 12m" timers for discounts with an end time. A single
+ * one-second interval updates every mounted timer and stops when none are left.
+ */
+
+const TICK_MS = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// Elements that are never inserted into the page stop being updated after this
+const MOUNT_GRACE_MS = 10000;
+
+// Timers waiting for their next tick: { element, endTime, createdAt, mounted }
+const timers = new Set();
+let tickInterval = null;
+
+/**
+ * Parses the discount's end time.
+ *
+ * @param {Object} discount - Discount object with endsAt (ISO timestamp)
+ * @returns {number|null} End time in ms since epoch, or null when the discount has no end
+ */
+export function getDiscountEndTime(discount) {
+  if (!discount || !discount.endsAt) {
+    return null;
+  }
+  const endTime = Date.parse(discount.endsAt);
+  return Number.isFinite(endTime) ? endTime : null;
+}
+
+/**
+ * Whether the discount has reached its end time.
+ *
+ * @param {Object} discount - Discount object with endsAt
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isDiscountExpired(discount, now = Date.now()) {
+  const endTime = getDiscountEndTime(discount);
+  return endTime !== null && endTime <= now;
+}
+
+/**
+ * Formats the time left as its two largest units.
+ *
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} e.g. "2d 5h", "3h 12m", "4m 30s", "9s"
+ */
+export function formatTimeRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Creates a live countdown for a discount with an end time.
+ * Returns null when countdowns are off for the placement, the discount has no
+ * end time, or it ends later than the configured window.
+ *
+ * @param {Object} discount - Discount object with endsAt
+ * @param {string} placement - 'card' (collection badges) or 'form' (product page coupon block)
+ * @returns {HTMLElement|null} Countdown element
+ */
+export function createCountdown(discount, placement) {
+  try {
+    const settings = _ns.settings || {};
+    const enabled = placement === 'form' ? settings.showFormCountdown : settings.showCardCountdown;
+    const endTime = getDiscountEndTime(discount);
+    if (!enabled || endTime === null) {
+      return null;
+    }
+
+    const remaining = endTime - Date.now();
+    const withinHours = Number(settings.countdownWithinHours) || 0;
+    if (remaining <= 0 || (withinHours > 0 && remaining > withinHours * HOUR_MS)) {
+      return null;
+    }
+
+    const element = document.createElement('span');
+    element.className = `ddp-countdown ddp-countdown--${placement}`;
+    element.setAttribute('role', 'timer');
+    element.dataset.discountId = discount.id;
+
+    const timer = { element, endTime, createdAt: Date.now(), mounted: false };
+    updateTimer(timer, Date.now());
+    timers.add(timer);
+    ensureTicking();
+
+    logger.debug({ discountId: discount.id, placement, remaining }, 'Countdown created');
+    return element;
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to create countdown');
+    return null;
+  }
+}
+
+/**
+ * Writes the remaining time into the timer's element.
+ *
+ * @param {Object} timer - { element, endTime }
+ * @param {number} now - Current time in ms
+ */
+function updateTimer(timer, now) {
+  const template = _ns.countdownText || 'Ends in {time}';
+  timer.element.textContent = template.replace('{time}', formatTimeRemaining(timer.endTime - now));
+}
+
+/**
+ * Starts the shared interval if it is not running.
+ */
+function ensureTicking() {
+  if (tickInterval) {
+    return;
+  }
+  tickInterval = setInterval(tick, TICK_MS);
+}
+
+/**
+ * Updates every timer. Timers whose element left the page (or never joined it),
+ * or whose discount ended, are dropped; removing ended discounts is left to the
+ * orchestrator.
+ */
+function tick() {
+  const now = Date.now();
+
+  for (const timer of timers) {
+    if (timer.element.isConnected) {
+      timer.mounted = true;
+    } else if (timer.mounted || now - timer.createdAt > MOUNT_GRACE_MS) {
+      timers.delete(timer);
+      continue;
+    }
+
+    updateTimer(timer, now);
+    if (timer.endTime <= now) {
+      timers.delete(timer);
+    }
+  }
+
+  if (timers.size === 0) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+}
@@ -1,4 +1,5 @@
 import { logger } from './logger.js';
+import { trackEvent, ANALYTICS_EVENT } from './analytics.js';
 import _ns from './namespace.js';
 
 /**
@@ -27,10 +28,17 @@ export function buildDiscountUrlWithReturnTo(discountCode) {
  * @param {string} discountCode - The discount code to apply
  * @param {Object} options - Options object
  * @param {boolean} options.silent - If false, navigate directly without trying fetch/iframe
+ * @param {string} options.discountId - Discount ID, records an auto_apply analytics event once applied
  * @returns {Promise<void>}
  */
 export async function applyDiscountCode(discountCode, options = {}) {
-  const { silent = true } = options;
+  const { silent = true, discountId = null } = options;
+  // Removing a code (empty string) is not an apply
+  const trackApplied = () => {
+    if (discountCode && discountId) {
+      trackEvent(ANALYTICS_EVENT.AUTO_APPLY, discountId);
+    }
+  };
 
   try {
     // Store applied state in sessionStorage
@@ -50,6 +58,7 @@ export async function applyDiscountCode(discountCode, options = {}) {
     // If not silent, navigate directly
     if (!silent) {
       logger.info({ discountCode, discountUrl }, 'Non-silent mode, navigating directly');
+      trackApplied();
       window.location.href = discountUrl;
       return;
     }
@@ -72,6 +81,7 @@ export async function applyDiscountCode(discountCode, options = {}) {
 
       if (response.ok || (response.status >= 200 && response.status < 400)) {
         logger.info({ discountCode, status: response.status }, 'Strategy 1 succeeded');
+        trackApplied();
         return;
       }
 
@@ -85,6 +95,7 @@ export async function applyDiscountCode(discountCode, options = {}) {
       logger.debug({ discountCode }, 'Attempting Strategy 2: iframe');
       await applyViaIframe(discountUrl, discountCode);
       logger.info({ discountCode }, 'Strategy 2 succeeded');
+      trackApplied();
       return;
     } catch (iframeError) {
       logger.warn({ err: iframeError, discountCode }, 'Strategy 2 failed, trying Strategy 3');
@@ -92,6 +103,7 @@ export async function applyDiscountCode(discountCode, options = {}) {
 
     // Strategy 3: Direct navigation
     logger.info({ discountCode, discountUrl }, 'Strategy 3: direct navigation');
+    trackApplied();
     window.location.href = discountUrl;
 
   } catch (error) {
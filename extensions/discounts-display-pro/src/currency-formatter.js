@@ -12,38 +12,9 @@ import _ns from './namespace.js';
 
 import { logger } from './logger.js';
 
-/**
- * Detect money format from a price text sample
- * @param {string} text - Price text to analyze
- * @returns {string} - 'european' or 'us'
- */
-function detectMoneyFormat(text) {
-  try {
-    // Remove currency symbols and letters
-    const cleaned = text.replace(/[^\d.,]/g, '');
-
-    // European format: comma as decimal separator (e.g., 1.234,56)
-    if (/,\d{2}$/.test(cleaned)) {
-      return 'european';
-    }
-
-    // US format: dot as decimal separator (e.g., 1,234.56)
-    if (/\.\d{2}$/.test(cleaned)) {
-      return 'us';
-    }
-
-    // Check for European thousands separator (dot with 3 digits after)
-    if (/\.\d{3}/.test(cleaned) && !/\.\d{2}$/.test(cleaned)) {
-      return 'european';
-    }
-
-    // Default to US format
-    return 'us';
-  } catch (error) {
-    logger.logError(error, 'Error detecting money format', 'General');
-    return 'us';
-  }
-}
+// Price parsing and discount math are shared with the storefront SDK
+export { parsePrice } from '../../../packages/storefront-sdk/src/currency.js';
+export { calculateDiscountedPrice, calculateStackedPrice } from '../../../packages/storefront-sdk/src/discount-math.js';
 
 /**
  * Format price with four-tier fallback
@@ -113,70 +84,6 @@ export function formatPrice(priceInCents, includeCurrencyCode = false) {
   }
 }
 
-/**
- * Parse price text to cents
- * @param {string} text - Price text to parse
- * @returns {number|null} - Price in cents, or null if parsing fails
- */
-export function parsePrice(text) {
-  if (!text || typeof text !== 'string') return null;
-
-  try {
-    // Remove common labels
-    let cleaned = text.trim()
-      .replace(/\bfrom\b/gi, '')
-      .replace(/\beach\b/gi, '')
-      .replace(/\bper item\b/gi, '')
-      .replace(/\bper\b/gi, '');
-
-    // Remove currency codes (3 uppercase letters)
-    cleaned = cleaned.replace(/\b[A-Z]{3}\b/g, '');
-
-    // Detect format
-    const format = detectMoneyFormat(cleaned);
-
-    // Extract numeric part with decimal/thousand separators
-    let match;
-    if (format === 'european') {
-      // European: 1.234,56 or 1234,56
-      match = cleaned.match(/[\d.]+,\d{2}/);
-      if (match) {
-        // Replace dots (thousands) and comma (decimal)
-        const normalized = match[0].replace(/\./g, '').replace(',', '.');
-        const priceInDollars = parseFloat(normalized);
-        if (!isNaN(priceInDollars)) {
-          return Math.round(priceInDollars * 100);
-        }
-      }
-    } else {
-      // US format: 1,234.56 or 1234.56
-      match = cleaned.match(/[\d,]+\.\d{2}|[\d,]+/);
-      if (match) {
-        // Remove commas (thousands)
-        const normalized = match[0].replace(/,/g, '');
-        const priceInDollars = parseFloat(normalized);
-        if (!isNaN(priceInDollars)) {
-          return Math.round(priceInDollars * 100);
-        }
-      }
-    }
-
-    // Fallback: extract any decimal number
-    match = cleaned.match(/\d+\.?\d*/);
-    if (match) {
-      const priceInDollars = parseFloat(match[0]);
-      if (!isNaN(priceInDollars)) {
-        return Math.round(priceInDollars * 100);
-      }
-    }
-
-    return null;
-  } catch (error) {
-    logger.logError(error, 'Error parsing price', 'General');
-    return null;
-  }
-}
-
 /**
  * Check if price text contains a currency code
  * @param {string} text - Price text to check
@@ -229,32 +136,6 @@ export function extractCurrencyFormat(priceText) {
   }
 }
 
-/**
- * Calculate discounted price
- * @param {number} regularPrice - Regular price in cents
- * @param {Object} discount - Discount object with type and value
- * @returns {number} - Discounted price in cents
- */
-export function calculateDiscountedPrice(regularPrice, discount) {
-  if (!discount || !discount.type) return regularPrice;
-
-  try {
-    let discountAmount = 0;
-
-    if (discount.type === 'percentage') {
-      const percentage = discount.value || 0;
-      discountAmount = Math.floor(regularPrice * percentage / 100);
-    } else if (discount.type === 'fixed') {
-      discountAmount = Math.min(discount.value || 0, regularPrice);
-    }
-
-    return Math.max(0, regularPrice - discountAmount);
-  } catch (error) {
-    logger.logError(error, 'Error calculating discounted price', 'General');
-    return regularPrice;
-  }
-}
-
 /**
  * Format date string
  * @param {string} dateString - ISO date string
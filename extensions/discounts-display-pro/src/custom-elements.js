@@ -0,0 +1,332 @@
+import { logger } from './logger.js';
+import { getCouponState } from './coupon-handler.js';
+import { setupVariantDetection, getCurrentVariantInfo, getCurrentSellingPlanInfo } from './variant-detector.js';
+
+/**
+ * Custom Elements
+ *
+ * <ddp-discount-badge product-id="…" variant-id="…" selling-plan-id="…">
+ * <ddp-coupon-block product-id="…" variant-id="…" selling-plan-id="…">
+ *
+ * Theme developers place these where the discount should appear instead of
+ * relying on theme selectors. Offers resolve and render through the same code
+ * as the injected UI (index.js), and re-render when the discount data changes
+ * (revalidation, cart, expiry).
+ *
+ * variant-id and selling-plan-id pin the selection; when left out, the element
+ * follows the product form in its card or section and re-renders on variant
+ * and selling plan changes. An empty selling-plan-id pins a one-time purchase.
+ * The injected UI of the same card or section leaves out what the elements
+ * show (price or coupon) and keeps the other offers.
+ *
+ * State for CSS: data-ddp-state is "loading" until data is available, then
+ * "ready" or "empty". Children are kept as fallback content while loading.
+ */
+
+export const DISCOUNT_ELEMENT_SELECTOR = 'ddp-discount-badge, ddp-coupon-block';
+
+const SECTION_SELECTOR = '[id^="shopify-section-"]';
+const CART_FORM_SELECTOR = 'form[action*="/cart/add"]';
+
+let elementOptions = null;
+
+const __wfRenderKeys = new WeakMap(); // element -> key of the rendered offer
+const __wfElementScopes = new WeakMap(); // element -> card, product form or section (or null)
+const __wfScopeSelections = new WeakMap(); // followed scope -> { variantId, sellingPlanId }
+
+/**
+ * Numeric Shopify ID from a numeric string or GID
+ */
+function toNumericId(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const id = String(value).split('/').pop();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * Card or product form an element belongs to: it reads the theme price there
+ * when the server has no stored price, and follows the variant selected there
+ */
+function findElementScope(element) {
+  const containerSelector = elementOptions.getContainerSelector();
+  const card = containerSelector ? element.closest(containerSelector) : null;
+  if (card) return card;
+
+  const section = element.closest(SECTION_SELECTOR);
+  if (!section) return null;
+
+  const formContainerSelector = elementOptions.getFormContainerSelector();
+  return (formContainerSelector && section.querySelector(formContainerSelector)) || section;
+}
+
+/**
+ * Track the variant and selling plan of a scope's product form, once per scope
+ */
+function followScope(scope) {
+  if (__wfScopeSelections.has(scope)) return;
+
+  const variantInputSelector = elementOptions.getVariantInputSelector();
+  const selection = {
+    variantId: getCurrentVariantInfo(scope, variantInputSelector).variantId,
+    sellingPlanId: getCurrentSellingPlanInfo(scope).sellingPlanId
+  };
+  __wfScopeSelections.set(scope, selection);
+
+  setupVariantDetection(
+    scope,
+    variantInputSelector,
+    (variantId) => {
+      selection.variantId = variantId;
+      refreshDiscountElements({ scope });
+    },
+    (sellingPlanId) => {
+      selection.sellingPlanId = sellingPlanId;
+      refreshDiscountElements({ scope });
+    }
+  );
+}
+
+/**
+ * Scope of an element, following its product form unless the element pins
+ * both the variant and the selling plan
+ */
+function getElementScope(element) {
+  if (!__wfElementScopes.has(element)) {
+    const scope = findElementScope(element);
+    __wfElementScopes.set(element, scope);
+
+    const pinned = element.hasAttribute('variant-id') && element.hasAttribute('selling-plan-id');
+    const variantInputSelector = elementOptions.getVariantInputSelector();
+    if (scope && !pinned && scope.querySelector(`${CART_FORM_SELECTOR}, ${variantInputSelector}`)) {
+      followScope(scope);
+    }
+  }
+  return __wfElementScopes.get(element);
+}
+
+/**
+ * Variant and selling plan an element renders for: its attributes first, then
+ * the product form it follows
+ */
+function getElementSelection(element, scope) {
+  const followed = scope ? __wfScopeSelections.get(scope) : null;
+
+  const variantId = element.hasAttribute('variant-id')
+    ? toNumericId(element.getAttribute('variant-id'))
+    : toNumericId(followed?.variantId);
+  const sellingPlanId = element.hasAttribute('selling-plan-id')
+    ? (toNumericId(element.getAttribute('selling-plan-id')) || null)
+    : (followed?.sellingPlanId || null);
+
+  return { variantId, sellingPlanId };
+}
+
+/**
+ * Identity of what an element shows, so unchanged offers are not rebuilt
+ * (rebuilding would reset coupon checkboxes and repeat impressions)
+ */
+function buildRenderKey(element, offer) {
+  if (!offer) return 'empty';
+
+  const isBadge = element.tagName === 'DDP-DISCOUNT-BADGE';
+  const coupon = offer.couponDiscount;
+  return JSON.stringify([
+    offer.productId,
+    offer.variantId,
+    offer.priceData.regularPrice,
+    isBadge ? offer.automaticDiscount?.id : null,
+    isBadge ? offer.automaticFinalPrice : null,
+    coupon?.id ?? null,
+    offer.couponFinalPrice,
+    offer.stacked,
+    isBadge && coupon ? getCouponState(coupon.code).applied : null,
+    offer.couponEnabled
+  ]);
+}
+
+/**
+ * Render one element from the current discount data
+ */
+function renderElement(element) {
+  try {
+    if (!elementOptions || !elementOptions.isReady()) return;
+
+    const productId = toNumericId(element.getAttribute('product-id'));
+    if (!productId) {
+      logger.warn({ tagName: element.tagName }, 'Discount element without a valid product-id');
+      element.dataset.ddpState = 'empty';
+      return;
+    }
+
+    const scope = getElementScope(element);
+    const selection = getElementSelection(element, scope);
+    const offer = elementOptions.resolveOffer(productId, selection, scope);
+    if (offer === undefined) {
+      // Product data is still loading: keep the fallback content
+      element.dataset.ddpState = 'loading';
+      return;
+    }
+
+    const key = buildRenderKey(element, offer);
+    if (__wfRenderKeys.get(element) === key) return;
+    __wfRenderKeys.set(element, key);
+
+    const content = offer
+      ? (element.tagName === 'DDP-DISCOUNT-BADGE'
+        ? elementOptions.renderBadge(offer)
+        : elementOptions.renderCouponBlock(offer))
+      : null;
+
+    if (content) {
+      // Same wrapper class as the injected UI, so the product page styles apply
+      const wrapper = document.createElement('div');
+      wrapper.className = 'ddp-discounts';
+      wrapper.appendChild(content);
+      element.replaceChildren(wrapper);
+    } else {
+      element.replaceChildren();
+    }
+    element.dataset.ddpState = content ? 'ready' : 'empty';
+
+    logger.debug({
+      tagName: element.tagName,
+      productId,
+      variantId: selection.variantId,
+      sellingPlanId: selection.sellingPlanId,
+      rendered: !!content
+    }, 'Rendered discount element');
+  } catch (err) {
+    logger.error({ err, tagName: element.tagName }, 'Error rendering discount element');
+  }
+}
+
+function createElementClass() {
+  return class extends HTMLElement {
+    static get observedAttributes() {
+      return ['product-id', 'variant-id', 'selling-plan-id'];
+    }
+
+    connectedCallback() {
+      if (!this.dataset.ddpState) {
+        this.dataset.ddpState = 'loading';
+      }
+      renderElement(this);
+    }
+
+    disconnectedCallback() {
+      // Moved elements pick their scope again
+      __wfElementScopes.delete(this);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue || !this.isConnected) return;
+      if (name !== 'product-id') {
+        // Pinning or unpinning a selection changes whether a form is followed
+        __wfElementScopes.delete(this);
+      }
+      renderElement(this);
+    }
+  };
+}
+
+/**
+ * Register <ddp-discount-badge> and <ddp-coupon-block>
+ * @param {object} options
+ * @param {Function} options.isReady - True once discount data and selectors are loaded
+ * @param {Function} options.resolveOffer - (productId, { variantId, sellingPlanId }, scope) → offer,
+ *   null when nothing applies, undefined while the product is loading
+ * @param {Function} options.renderBadge - offer → price display or null
+ * @param {Function} options.renderCouponBlock - offer → coupon block or null
+ * @param {Function} options.getVariantInputSelector - Resolved variant input selector
+ * @param {Function} options.getContainerSelector - Resolved product card selector
+ * @param {Function} options.getFormContainerSelector - Resolved product form selector
+ */
+export function defineDiscountElements(options) {
+  elementOptions = options;
+
+  if (typeof customElements === 'undefined') {
+    logger.warn({}, 'Custom elements not supported, discount elements disabled');
+    return;
+  }
+
+  try {
+    for (const tagName of ['ddp-discount-badge', 'ddp-coupon-block']) {
+      // The bundle can be loaded twice by themes that include the block twice
+      if (!customElements.get(tagName)) {
+        customElements.define(tagName, createElementClass());
+      }
+    }
+    logger.info({}, 'Discount elements defined');
+  } catch (err) {
+    logger.error({ err }, 'Error defining discount elements');
+  }
+}
+
+/**
+ * Re-render discount elements from the current discount data
+ * @param {object} [filter] - { productId, scope, tagName } to limit which elements render
+ */
+export function refreshDiscountElements({ productId = null, scope = null, tagName = null } = {}) {
+  if (typeof document === 'undefined') return;
+
+  for (const element of document.querySelectorAll(DISCOUNT_ELEMENT_SELECTOR)) {
+    if (tagName && element.tagName !== tagName) continue;
+    if (productId && toNumericId(element.getAttribute('product-id')) !== String(productId)) continue;
+    if (scope && __wfElementScopes.get(element) !== scope) continue;
+    renderElement(element);
+  }
+}
+
+/**
+ * Offer kinds that discount elements show for a container's product, so the
+ * automatic injection leaves only those out. Product forms count the elements
+ * of their section.
+ * @param {HTMLElement} container - Product card or form container
+ * @param {boolean} isForm - Whether the container is a product form
+ * @param {string} productId - Product the container shows
+ * @returns {{ price: boolean, coupon: boolean }}
+ */
+export function getHostedOfferKinds(container, isForm, productId) {
+  const scope = (isForm && container.closest(SECTION_SELECTOR)) || container;
+  const hosted = { price: false, coupon: false };
+
+  for (const element of scope.querySelectorAll(DISCOUNT_ELEMENT_SELECTOR)) {
+    if (toNumericId(element.getAttribute('product-id')) !== String(productId)) continue;
+    if (element.tagName === 'DDP-DISCOUNT-BADGE') {
+      hosted.price = true;
+    } else {
+      hosted.coupon = true;
+    }
+  }
+  return hosted;
+}
+
+/**
+ * Product and variant IDs of the discount elements on the page, for the initial request
+ * @returns {{ productIds: string[], variantIds: string[] }}
+ */
+export function collectDiscountElementIds() {
+  const productIds = new Set();
+  const variantIds = new Set();
+
+  if (typeof document !== 'undefined') {
+    for (const element of document.querySelectorAll(DISCOUNT_ELEMENT_SELECTOR)) {
+      const productId = toNumericId(element.getAttribute('product-id'));
+      const variantId = toNumericId(element.getAttribute('variant-id'));
+      if (productId) productIds.add(productId);
+      if (variantId) variantIds.add(variantId);
+    }
+  }
+
+  return { productIds: Array.from(productIds), variantIds: Array.from(variantIds) };
+}
+
+/**
+ * Whether a node belongs to a discount element, so clearing a container
+ * does not remove what the element rendered
+ * @param {Element} node
+ * @returns {boolean}
+ */
+export function isInsideDiscountElement(node) {
+  return !!node.closest(DISCOUNT_ELEMENT_SELECTOR);
+}
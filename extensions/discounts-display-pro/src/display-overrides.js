@@ -0,0 +1,112 @@
+import _ns from './namespace.js';
+import { calculateDiscountedPrice } from './currency-formatter.js';
+
+/**
+ * Display Overrides Module
+ * Applies the per-discount badge text, colors and icon set on the admin
+ * Discounts page (discount.display from /api/discounts).
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// SVG path data for the badge icon options (24x24 viewBox)
+const BADGE_ICON_PATHS = {
+  tag: 'M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z',
+  fire: 'M13.5.67s.74 2.65.74 4.8c0 2.06-1.35 3.73-3.41 3.73-2.07 0-3.63-1.67-3.63-3.73l.03-.36C5.21 7.51 4 10.62 4 14c0 4.42 3.58 8 8 8s8-3.58 8-8C20 8.61 17.41 3.8 13.5.67zM11.71 19c-1.78 0-3.22-1.4-3.22-3.14 0-1.62 1.05-2.76 2.81-3.12 1.77-.36 3.6-1.21 4.62-2.58.39 1.29.59 2.65.59 4.04 0 2.65-2.15 4.8-4.8 4.8z',
+  star: 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z',
+  bolt: 'M7 2v11h3v9l7-12h-4l4-8z',
+  clock: 'M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z',
+  gift: 'M20 6h-2.18c.11-.31.18-.65.18-1 0-1.66-1.34-3-3-3-1.05 0-1.96.54-2.5 1.35l-.5.67-.5-.68C10.96 2.54 10.05 2 9 2 7.34 2 6 3.34 6 5c0 .35.07.69.18 1H4c-1.11 0-1.99.89-1.99 2L2 19c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2zm-5-2c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zM9 4c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm11 15H4v-2h16v2zm0-5H4V8h5.08L7 10.83 8.62 12 11 8.76l1-1.36 1 1.36L15.38 12 17 10.83 14.92 8H20v6z'
+};
+
+/**
+ * Picks the badge template: the discount's own badge text, else the shop setting.
+ *
+ * @param {Object} discount - Discount object, optionally with display overrides
+ * @param {string} fallbackTemplate - Shop-wide template (e.g. _ns.automaticBadgeText)
+ * @returns {string} Template with an optional {amount} placeholder
+ */
+export function getBadgeTemplate(discount, fallbackTemplate) {
+  return discount?.display?.badgeText || fallbackTemplate;
+}
+
+/**
+ * Picks the terms text: the discount's own terms, else the shop's terms template.
+ *
+ * @param {Object} discount - Discount object, optionally with display overrides
+ * @returns {string} Terms text, one paragraph per line
+ */
+export function getTermsText(discount) {
+  const settings = _ns.settings || {};
+  return discount?.display?.termsText
+    || settings.discountTermsTemplate
+    || 'Please see store policies for complete terms.';
+}
+
+/**
+ * Display priority set by the merchant (0 when unset).
+ *
+ * @param {Object} discount - Discount object
+ * @returns {number}
+ */
+export function getDisplayPriority(discount) {
+  return Number(discount?.display?.priority) || 0;
+}
+
+/**
+ * Sort comparator for picking the badge to show: highest display priority
+ * first, then the biggest saving on the displayed price. Percentage and fixed
+ * values are in different units, so without a price percentages go first and
+ * each type is ordered by value.
+ *
+ * @param {number|null} regularPrice - Displayed price in cents, if parsed
+ * @returns {function(Object, Object): number}
+ */
+export function byDisplayPriority(regularPrice) {
+  const hasPrice = Number.isFinite(regularPrice);
+  const saving = (discount) => regularPrice - calculateDiscountedPrice(regularPrice, discount);
+
+  return (a, b) => {
+    const priority = getDisplayPriority(b) - getDisplayPriority(a);
+    if (priority !== 0) return priority;
+    if (hasPrice) return saving(b) - saving(a);
+    if (a.type !== b.type) return a.type === 'percentage' ? -1 : 1;
+    return b.value - a.value;
+  };
+}
+
+/**
+ * Applies the discount's colors and icon to a badge element whose text is
+ * already set. Without overrides the badge keeps the block's styling.
+ *
+ * @param {HTMLElement} badge - Badge element
+ * @param {Object} discount - Discount object, optionally with display overrides
+ */
+export function applyBadgeOverrides(badge, discount) {
+  const display = discount?.display;
+  if (!display) {
+    return;
+  }
+
+  if (display.badgeBgColor) {
+    badge.style.backgroundColor = display.badgeBgColor;
+  }
+  if (display.badgeTextColor) {
+    badge.style.color = display.badgeTextColor;
+  }
+
+  const iconPath = BADGE_ICON_PATHS[display.icon];
+  if (iconPath) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'ddp-badge-icon');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('aria-hidden', 'true');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', iconPath);
+    path.setAttribute('fill', 'currentColor');
+    svg.appendChild(path);
+    badge.insertBefore(svg, badge.firstChild);
+  }
+
+  badge.dataset.ddpDisplay = 'custom';
+}
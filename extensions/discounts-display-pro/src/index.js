@@ -9,22 +9,31 @@
  * - Missing product queue management
  * - Preview mode support
  * - MutationObserver for dynamic content
+ * - <ddp-discount-badge> / <ddp-coupon-block> custom elements
  */
 
 import { logger } from './logger.js';
 import { isHiddenWithinBoundary } from './hidden-element-detector.js';
 import { formatPrice, parsePrice, hasCurrencyCode, extractCurrencyFormat, calculateDiscountedPrice } from './currency-formatter.js';
+import { resolveBestDiscounts } from '../../../packages/storefront-sdk/src/discount-math.js';
 import {
   normalizeThemeName, pickThemeSelector, ensureThemeSelectorsReady,
   subscribeToThemeSelectorUpdates
 } from './theme-selectors.js';
-import { resolveShopDomain, loadDiscountData, fetchAdditionalDiscountData, requestBestDiscounts } from './api-client.js';
+import { resolveShopDomain, loadDiscountData, fetchAdditionalDiscountData, requestBestDiscounts, onDiscountDataRevalidated } from './api-client.js';
 import { parsePriceFromDOM, findPriceElements } from './price-extractor.js';
-import { createAutomaticDiscountDisplay, createCouponBadge } from './badge-renderer.js';
-import { createPriceContainer, createCouponBlock, showTermsModal, buildSkeletonLoader } from './ui-components.js';
+import { createAutomaticDiscountDisplay, createCouponBadge, createConditionalOfferBadge, createBxgyBadge } from './badge-renderer.js';
+import { createPriceContainer, createCouponBlock, createConditionalOffer, createBxgyOffer, showTermsModal, buildSkeletonLoader } from './ui-components.js';
 import { setupVariantDetection, getCurrentVariantInfo, getCurrentSellingPlanInfo } from './variant-detector.js';
 import { applyDiscountCode, getCouponState, setCouponState, initCouponState } from './coupon-handler.js';
-import { PURCHASE_CONTEXT, resolvePurchaseContext, isDiscountEligibleForSellingPlan, filterDiscountsByPurchaseContext } from './subscription-handler.js';
+import { PURCHASE_CONTEXT, isDiscountEligibleForSellingPlan, filterDiscountsByPurchaseContext } from './subscription-handler.js';
+import { loadCartSnapshot, getCartSnapshot, projectCartWithItem, evaluateMinimumRequirement, onCartChange, watchCartChanges } from './cart-state.js';
+import { getDiscountEndTime, isDiscountExpired } from './countdown.js';
+import { byDisplayPriority } from './display-overrides.js';
+import {
+  defineDiscountElements, refreshDiscountElements, getHostedOfferKinds,
+  collectDiscountElementIds, isInsideDiscountElement
+} from './custom-elements.js';
 import _ns from './namespace.js';
 
 // ============================================================================
@@ -42,6 +51,12 @@ let products = {};
  */
 let VARIANT_TO_PRODUCT = {};
 
+/**
+ * Products of collections the API resolved. One missing from the product cache
+ * has no discounts, so its card is not queued for another request.
+ */
+const coveredProductIds = new Set();
+
 /**
  * Initialization state flags
  */
@@ -68,10 +83,21 @@ let missingProductFetchFailureCount = 0;
  */
 let autoApplyEnabled = false;
 
+/**
+ * Whether /cart.js is being tracked for minimum-requirement discounts
+ */
+let cartTrackingStarted = false;
+
+/**
+ * Timer that removes discounts when the next one ends
+ */
+let expiryTimer = null;
+
 const MAX_MISSING_PRODUCT_ATTEMPTS = 5;
 const MAX_FAILURE_BACKOFF_MS = 10000;
 const BASE_FAILURE_BACKOFF_MS = 250;
 const MAX_GLOBAL_FETCH_FAILURES = 5;
+const MAX_TIMER_DELAY_MS = 2147483647; // setTimeout limit (~24.8 days)
 
 /**
  * Debounce and processing state - WeakMaps for per-container state
@@ -357,6 +383,10 @@ function mergeDiscountData(discountData) {
       autoApplyEnabled = discountData.autoApplyEnabled;
     }
 
+    for (const collection of Object.values(discountData.collections || {})) {
+      (collection.productIds || []).forEach(id => coveredProductIds.add(String(id)));
+    }
+
     const newProducts = discountData.products;
     let mergedCount = 0;
 
@@ -375,11 +405,83 @@ function mergeDiscountData(discountData) {
     }
 
     logger.info({ mergedCount, totalProducts: Object.keys(products).length }, 'Merged discount data');
+    scheduleDiscountExpiry();
   } catch (err) {
     logger.error({ err }, 'Error merging discount data');
   }
 }
 
+/**
+ * Replace stored discount data rendered on this page once the API returns
+ * fresher data, and re-render
+ */
+function applyRevalidatedDiscountData(discountData, previousData) {
+  try {
+    // Products that no longer have discounts are cleared instead of refetched
+    for (const productId of Object.keys(previousData.products || {})) {
+      if (!discountData.products[productId] && products[productId]) {
+        products[productId] = { ...products[productId], discounts: [] };
+      }
+    }
+
+    mergeDiscountData(discountData);
+    reapplyAllContainers();
+    ensureCartTracking();
+  } catch (err) {
+    logger.error({ err }, 'Error applying revalidated discount data');
+  }
+}
+
+/**
+ * Schedule removal of the next discount to end, so expired offers disappear
+ * without a page reload
+ */
+function scheduleDiscountExpiry() {
+  const now = Date.now();
+  let nextEndTime = null;
+
+  for (const productData of Object.values(products)) {
+    for (const discount of productData.discounts || []) {
+      const endTime = getDiscountEndTime(discount);
+      if (endTime !== null && endTime > now && (nextEndTime === null || endTime < nextEndTime)) {
+        nextEndTime = endTime;
+      }
+    }
+  }
+
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  if (nextEndTime === null) return;
+
+  expiryTimer = setTimeout(removeExpiredDiscounts, Math.min(nextEndTime - now, MAX_TIMER_DELAY_MS));
+}
+
+/**
+ * Drop ended discounts from the product cache and re-render affected containers
+ */
+function removeExpiredDiscounts() {
+  try {
+    const now = Date.now();
+    let removedCount = 0;
+
+    for (const productData of Object.values(products)) {
+      const discounts = productData.discounts || [];
+      const active = discounts.filter(d => !isDiscountExpired(d, now));
+      removedCount += discounts.length - active.length;
+      productData.discounts = active;
+    }
+
+    if (removedCount > 0) {
+      logger.info({ removedCount }, 'Discounts ended, removing their display');
+      reapplyAllContainers();
+    }
+  } catch (err) {
+    logger.error({ err }, 'Error removing expired discounts');
+  }
+
+  scheduleDiscountExpiry();
+}
+
 /**
  * Collect all product context from the current page (product IDs, variant IDs, handles)
  */
@@ -424,6 +526,11 @@ function collectPageProductContext() {
       }
     }
 
+    // Products of <ddp-discount-badge> / <ddp-coupon-block> elements
+    const elementIds = collectDiscountElementIds();
+    elementIds.productIds.forEach(id => context.productIds.add(id));
+    elementIds.variantIds.forEach(id => context.variantIds.add(id));
+
     // Convert Sets to Arrays
     const result = {
       productIds: Array.from(context.productIds),
@@ -431,6 +538,12 @@ function collectPageProductContext() {
       handles: Array.from(context.handles)
     };
 
+    // On collection templates, ask for the whole collection so cards loaded later are covered
+    if (_ns.collection) {
+      if (_ns.collection.id) result.collectionIds = [String(_ns.collection.id)];
+      if (_ns.collection.handle) result.collectionHandles = [_ns.collection.handle];
+    }
+
     logger.info(result, 'Collected page product context');
     return result;
   } catch (err) {
@@ -564,10 +677,17 @@ async function flushMissingProductData() {
 
     if (result.success && result.data) {
       mergeDiscountData(result.data);
+      await ensureCartTracking();
 
       // Reset failure count on success
       missingProductFetchFailureCount = 0;
 
+      // Requested products missing from the response have no discounts
+      productIds.forEach(id => {
+        if (!products[id]) coveredProductIds.add(String(id));
+      });
+      refreshDiscountElements();
+
       // Reapply discounts to waiting containers
       for (const [container, queueData] of containers.entries()) {
         if (!container.isConnected) continue;
@@ -602,70 +722,61 @@ async function flushMissingProductData() {
 // ============================================================================
 
 /**
- * Compute best discounts locally (client-side)
+ * Price of the current variant as stored on the server (see /api/discounts).
+ * Without a variant ID, a product whose variants all share one price is used.
+ * Returns null when the server has no price, so the caller falls back to the DOM.
  */
-function computeBestDiscountsLocally(discounts, regularPrice) {
-  if (!discounts || discounts.length === 0) {
-    return {
-      automaticDiscount: null,
-      couponDiscount: null,
-      automaticFinalPrice: null,
-      couponFinalPrice: null
-    };
-  }
+function getServerPriceData(productData, variantId) {
+  const variants = productData?.variants;
+  if (!variants || Array.isArray(variants)) return null;
 
-  try {
-    const priceValue = typeof regularPrice === 'number' ? regularPrice : parsePrice(regularPrice);
-
-    // Separate automatic and coupon discounts
-    const automaticDiscounts = discounts.filter(d => d.isAutomatic);
-    const couponDiscounts = discounts.filter(d => !d.isAutomatic);
-
-    // Find best automatic discount (lowest final price)
-    let bestAutomatic = null;
-    let bestAutomaticPrice = Infinity;
-
-    for (const discount of automaticDiscounts) {
-      const finalPrice = calculateDiscountedPrice(priceValue, discount);
-      if (finalPrice < bestAutomaticPrice) {
-        bestAutomaticPrice = finalPrice;
-        bestAutomatic = discount;
-      }
-    }
+  let entry = variantId ? variants[variantId] : null;
+  if (!entry && !variantId && productData.singlePrice) {
+    entry = Object.values(variants)[0] || null;
+  }
 
-    // Find best coupon discount (lowest final price)
-    let bestCoupon = null;
-    let bestCouponPrice = Infinity;
+  if (!entry || !Number.isFinite(entry.regularPriceCents)) return null;
 
-    for (const discount of couponDiscounts) {
-      const finalPrice = calculateDiscountedPrice(priceValue, discount);
-      if (finalPrice < bestCouponPrice) {
-        bestCouponPrice = finalPrice;
-        bestCoupon = discount;
-      }
-    }
+  return {
+    price: entry.regularPriceCents,
+    compareAtPrice: entry.compareAtPriceCents ?? null,
+    hasCurrencyCode: false,
+    source: 'server'
+  };
+}
 
-    // If automatic discount wins, suppress coupon
-    if (bestAutomatic && bestCoupon && bestAutomaticPrice <= bestCouponPrice) {
-      bestCoupon = null;
-      bestCouponPrice = null;
-    }
+/**
+ * Compute best discounts locally (client-side) with the storefront SDK, the
+ * same math /api/best-discounts runs. Discounts whose minimum requirement the
+ * cart does not meet are left out of the price and the best of them is
+ * returned as the conditional offer.
+ */
+function computeBestDiscountsLocally(discounts, regularPrice, cart = null, variantId = null) {
+  const priceValue = typeof regularPrice === 'number' ? regularPrice : parsePrice(regularPrice);
+  return fromBestDiscountsResponse(resolveBestDiscounts({
+    discounts: discounts || [],
+    regularPriceCents: priceValue,
+    currentVariantId: variantId,
+    cart
+  }));
+}
 
-    return {
-      automaticDiscount: bestAutomatic,
-      couponDiscount: bestCoupon,
-      automaticFinalPrice: bestAutomatic ? bestAutomaticPrice : null,
-      couponFinalPrice: bestCoupon ? bestCouponPrice : null
-    };
-  } catch (err) {
-    logger.error({ err }, 'Error computing best discounts locally');
-    return {
-      automaticDiscount: null,
-      couponDiscount: null,
-      automaticFinalPrice: null,
-      couponFinalPrice: null
-    };
-  }
+/**
+ * Map resolveBestDiscounts() output onto the context renderFormUI reads
+ * @param {object} bestDiscounts - resolveBestDiscounts() output, local or from the API
+ * @returns {object} Best discounts context for renderFormUI
+ */
+function fromBestDiscountsResponse(bestDiscounts) {
+  const progress = bestDiscounts.conditionalProgress;
+  return {
+    automaticDiscount: bestDiscounts.automaticDiscount || null,
+    couponDiscount: bestDiscounts.couponDiscount || null,
+    automaticFinalPrice: bestDiscounts.automaticEntry?.finalPriceCents ?? null,
+    couponFinalPrice: bestDiscounts.couponEntry?.finalPriceCents ?? null,
+    stacked: bestDiscounts.stacked === true,
+    conditionalDiscount: bestDiscounts.conditionalDiscount || null,
+    conditionalProgress: progress ? { ...progress, finalPrice: progress.finalPriceCents } : null
+  };
 }
 
 /**
@@ -677,7 +788,8 @@ async function ensureBestDiscountsFromAPI(options) {
     variantId,
     regularPrice,
     sellingPlanId = null,
-    discounts
+    discounts,
+    cart = null
   } = options;
 
   try {
@@ -698,21 +810,28 @@ async function ensureBestDiscountsFromAPI(options) {
           throw new Error('Shop domain not found');
         }
 
-        const result = await requestBestDiscounts({
+        const { results } = await requestBestDiscounts({
           shop: shopDomain,
           entries: [{
             productId,
             variantId,
-            regularPrice: typeof regularPrice === 'number' ? regularPrice : parsePrice(regularPrice),
-            sellingPlanId
+            regularPriceCents: typeof regularPrice === 'number' ? regularPrice : parsePrice(regularPrice),
+            sellingPlanId,
+            discounts,
+            cart
           }]
         });
 
-        return result;
+        const bestDiscounts = results[0]?.bestDiscounts;
+        if (!bestDiscounts) {
+          throw new Error('Empty best discount response');
+        }
+
+        return fromBestDiscountsResponse(bestDiscounts);
       } catch (err) {
         logger.error({ err, cacheKey }, 'Best discount API request failed');
         // Fallback to local computation
-        return computeBestDiscountsLocally(discounts, regularPrice);
+        return computeBestDiscountsLocally(discounts, regularPrice, cart, variantId);
       } finally {
         // Clean up cache
         __wfBestDiscountFetches.delete(cacheKey);
@@ -723,7 +842,7 @@ async function ensureBestDiscountsFromAPI(options) {
     return await fetchPromise;
   } catch (err) {
     logger.error({ err }, 'Error ensuring best discounts from API');
-    return computeBestDiscountsLocally(discounts, regularPrice);
+    return computeBestDiscountsLocally(discounts, regularPrice, cart, variantId);
   }
 }
 
@@ -894,10 +1013,128 @@ function buildPreviewDiscount({ type, value, isAutomatic, code }) {
     description: 'This is a preview discount for theme editor.',
     validFrom: new Date().toISOString(),
     validUntil: null,
+    // Ends in a few hours so countdowns can be previewed in the theme editor
+    endsAt: new Date(Date.now() + 5 * 60 * 60 * 1000).toISOString(),
     isPreview: true
   };
 }
 
+// ============================================================================
+// Offer Resolution
+// ============================================================================
+
+/**
+ * Discounts and price for one product selection. The injected UI and the
+ * discount elements both resolve through here, so they apply the same filters,
+ * preview discount and price source.
+ * @param {HTMLElement|null} priceScope - Card or product form whose theme price is
+ *   parsed when the server has no stored price (e.g. other presentment currencies)
+ * @param {string} productId - Shopify product ID
+ * @param {object} selection - { variantId, sellingPlanId }
+ * @returns {object|null|undefined} { productId, variantId, sellingPlanId, productData,
+ *   priceData, discounts, isPreview }, null when nothing applies, undefined while
+ *   the product's data is not loaded
+ */
+function resolveProductOffer(priceScope, productId, { variantId = null, sellingPlanId = null } = {}) {
+  const previewMode = getPreviewMode();
+  const productData = products[productId];
+  let discounts;
+
+  if (previewMode) {
+    logger.debug('Preview mode active');
+    discounts = [buildPreviewDiscount(previewMode)];
+  } else {
+    if (!productData) {
+      if (coveredProductIds.has(String(productId))) {
+        logger.debug({ productId }, 'No discounts for collection product');
+        return null;
+      }
+      return undefined;
+    }
+
+    // Ended discounts are skipped until the expiry timer removes them
+    discounts = (productData.discounts || []).filter(d => !isDiscountExpired(d));
+
+    // Variant-scoped discounts only count for the variants they target
+    if (variantId) {
+      discounts = discounts.filter(d =>
+        d.variantScope?.type !== 'PARTIAL' ||
+        (d.variantScope.ids || []).map(String).includes(String(variantId))
+      );
+    }
+
+    // Filter discounts by selling plan eligibility
+    discounts = filterDiscountsByPurchaseContext(discounts, sellingPlanId);
+
+    if (discounts.length === 0) {
+      logger.debug({ productId, variantId, sellingPlanId }, 'No discounts for selection');
+      return null;
+    }
+  }
+
+  // Prefer the server-stored variant price; parse the DOM only when it is missing
+  const isForm = isFormContainer(priceScope);
+  const priceData = getServerPriceData(productData, variantId) || (priceScope && parsePriceFromDOM(priceScope, {
+    formPriceDiscountedSelector: isForm ? FORM_PRICE_DISCOUNTED_SELECTOR : '',
+    isForm
+  }));
+
+  if (!priceData || !priceData.price) {
+    logger.debug({ productId, variantId }, 'Could not determine price from server data or DOM');
+    return null;
+  }
+
+  // Normalize price data shape for downstream consumers
+  priceData.regularPrice = priceData.price;
+
+  return { productId, variantId, sellingPlanId, productData, priceData, discounts, isPreview: !!previewMode };
+}
+
+// ============================================================================
+// Discount Elements
+// ============================================================================
+
+/**
+ * Offer for a <ddp-discount-badge> / <ddp-coupon-block> selection
+ * @param {string} productId - Shopify product ID
+ * @param {object} selection - { variantId, sellingPlanId }
+ * @param {HTMLElement|null} scope - Card or product form the element sits in
+ * @returns {object|null|undefined} Offer, null when nothing applies, undefined while loading
+ */
+function resolveDiscountElementOffer(productId, selection, scope) {
+  try {
+    const offer = resolveProductOffer(scope, productId, selection);
+    if (offer === undefined) {
+      queueMissingProductData(null, productId, null, selection.variantId ? [selection.variantId] : []);
+      return undefined;
+    }
+    if (!offer) return null;
+
+    const cart = projectCartWithItem(getCartSnapshot(), offer.priceData.regularPrice);
+    return {
+      ...offer,
+      couponEnabled: autoApplyEnabled,
+      ...computeBestDiscountsLocally(offer.discounts, offer.priceData.regularPrice, cart, offer.variantId)
+    };
+  } catch (err) {
+    logger.error({ err, productId }, 'Error resolving discount element offer');
+    return null;
+  }
+}
+
+/**
+ * Re-render what shows a product's price after a discount element applied or
+ * removed its coupon, so a stacked sale price follows the coupon state
+ */
+function refreshProductPrices(productId) {
+  for (const container of findFormContainers()) {
+    if (String(findProductId(container)) === String(productId)) {
+      applyDiscountsToProduct(container, productId);
+    }
+  }
+  refreshDiscountElements({ productId, tagName: 'DDP-DISCOUNT-BADGE' });
+}
+
 // ============================================================================
 // Discount Application - Core Logic
 // ============================================================================
@@ -912,8 +1149,10 @@ function applyDiscountsToProduct(container, productId) {
   }
 
   try {
+    const isForm = isFormContainer(container);
+
     // Debounce for form containers
-    if (isFormContainer(container)) {
+    if (isForm) {
       const lastRunAt = __wfLastRunAt.get(container) || 0;
       const elapsed = Date.now() - lastRunAt;
 
@@ -930,42 +1169,6 @@ function applyDiscountsToProduct(container, productId) {
       __wfLastRunAt.set(container, Date.now());
     }
 
-    // Check preview mode
-    const previewMode = getPreviewMode();
-    if (previewMode) {
-      logger.debug('Preview mode active');
-      const previewDiscount = buildPreviewDiscount(previewMode);
-
-      if (isFormContainer(container)) {
-        renderFormUI(container, {
-          productId,
-          discounts: [previewDiscount],
-          automaticDiscount: previewDiscount.isAutomatic ? previewDiscount : null,
-          couponDiscount: !previewDiscount.isAutomatic ? previewDiscount : null,
-          isPreview: true
-        });
-      } else {
-        renderCardBadges(container, [previewDiscount]);
-      }
-      return;
-    }
-
-    // Get product data
-    const productData = products[productId];
-    if (!productData) {
-      logger.debug({ productId }, 'Product data not in cache, queuing');
-      queueMissingProductData(container, productId);
-      return;
-    }
-
-    // Get discounts
-    let discounts = productData.discounts || [];
-    if (discounts.length === 0) {
-      logger.debug({ productId }, 'No discounts for product');
-      clearExistingDiscounts(container);
-      return;
-    }
-
     // Detect current variant
     const variantInfo = getCurrentVariantInfo(container, VARIANT_INPUT_SELECTOR);
     const variantId = variantInfo?.variantId;
@@ -974,123 +1177,110 @@ function applyDiscountsToProduct(container, productId) {
       __wfLastVariant.set(container, variantId);
     }
 
-    // Filter discounts by variant eligibility
-    if (variantId) {
-      discounts = discounts.filter(discount => {
-        // Check if discount applies to this variant
-        if (!discount.variants || discount.variants.length === 0) {
-          return true; // Applies to all variants
-        }
-        return discount.variants.includes(variantId);
-      });
-
-      if (discounts.length === 0) {
-        logger.debug({ productId, variantId }, 'No discounts for variant');
-        clearExistingDiscounts(container);
-        return;
-      }
-    }
-
     // Detect selling plan
     const sellingPlanInfo = getCurrentSellingPlanInfo(container);
-    const sellingPlanId = sellingPlanInfo?.sellingPlanId;
-    const purchaseContext = resolvePurchaseContext(sellingPlanId);
+    const sellingPlanId = sellingPlanInfo?.sellingPlanId || null;
 
-    // Filter discounts by selling plan eligibility
-    discounts = filterDiscountsByPurchaseContext(discounts, purchaseContext);
-
-    if (discounts.length === 0) {
-      logger.debug({ productId, purchaseContext }, 'No discounts for purchase context');
+    const offer = resolveProductOffer(container, productId, { variantId, sellingPlanId });
+    if (offer === undefined) {
+      logger.debug({ productId }, 'Product data not in cache, queuing');
+      queueMissingProductData(container, productId);
+      return;
+    }
+    if (!offer) {
       clearExistingDiscounts(container);
       return;
     }
 
-    // Parse price from DOM
-    const isForm = isFormContainer(container);
-    const priceData = parsePriceFromDOM(container, {
-      formPriceDiscountedSelector: isForm ? FORM_PRICE_DISCOUNTED_SELECTOR : '',
-      isForm
-    });
+    // Discount elements placed by the theme show part of the offer; inject the rest
+    const hosted = getHostedOfferKinds(container, isForm, productId);
 
-    if (!priceData || !priceData.price) {
-      logger.debug('Could not parse price from DOM');
-      clearExistingDiscounts(container);
+    if (!isForm) {
+      renderCardBadges(container, offer.discounts, hosted);
       return;
     }
 
-    // Normalize price data shape for downstream consumers
-    priceData.regularPrice = priceData.price;
+    const { discounts, priceData } = offer;
 
-    // Compute best discounts
-    const useAPI = _ns.selectorOverrides?.useBestDiscountAPI === true;
-    let bestDiscounts;
+    // Cart as it would be after adding this product (for minimum requirements)
+    const cart = projectCartWithItem(getCartSnapshot(), priceData.regularPrice);
 
-    if (useAPI && isFormContainer(container)) {
-      // Use API for form containers
+    // Compute best discounts (the API does not know the preview discount)
+    const useAPI = _ns.selectorOverrides?.useBestDiscountAPI === true && !offer.isPreview;
+
+    if (useAPI) {
       ensureBestDiscountsFromAPI({
         productId,
         variantId,
         regularPrice: priceData.regularPrice,
         sellingPlanId,
-        discounts
+        discounts,
+        cart
       }).then(result => {
         if (!container.isConnected) return;
-
-        const ctx = {
-          productId,
-          variantId,
-          sellingPlanId,
-          productData,
-          priceData,
-          discounts,
-          ...result
-        };
-
-        renderFormUI(container, ctx);
+        renderFormUI(container, { ...offer, ...result, hosted });
       }).catch(err => {
         logger.error({ err }, 'Error getting best discounts from API');
 
         // Fallback to local computation
-        const fallbackResult = computeBestDiscountsLocally(discounts, priceData.regularPrice);
-        const ctx = {
-          productId,
-          variantId,
-          sellingPlanId,
-          productData,
-          priceData,
-          discounts,
-          ...fallbackResult
-        };
-
+        const fallbackResult = computeBestDiscountsLocally(discounts, priceData.regularPrice, cart, variantId);
         if (container.isConnected) {
-          renderFormUI(container, ctx);
+          renderFormUI(container, { ...offer, ...fallbackResult, hosted });
         }
       });
     } else {
       // Use local computation
-      bestDiscounts = computeBestDiscountsLocally(discounts, priceData.regularPrice);
-
-      const ctx = {
-        productId,
-        variantId,
-        sellingPlanId,
-        productData,
-        priceData,
-        discounts,
-        ...bestDiscounts
-      };
-
-      if (isFormContainer(container)) {
-        renderFormUI(container, ctx);
-      } else {
-        renderCardBadges(container, discounts);
-      }
+      const bestDiscounts = computeBestDiscountsLocally(discounts, priceData.regularPrice, cart, variantId);
+      renderFormUI(container, { ...offer, ...bestDiscounts, hosted });
     }
   } catch (err) {
     logger.error({ err, productId }, 'Error applying discounts to product');
   }
 }
 
+/**
+ * Sale price display for an offer's automatic discount. Once a coupon that
+ * stacks on it is applied, the sale price includes the coupon.
+ * @param {object} ctx - Offer with best discounts (see renderFormUI)
+ * @returns {HTMLElement|null}
+ */
+function createOfferPriceContainer(ctx) {
+  const { priceData, automaticDiscount, automaticFinalPrice, couponDiscount, couponFinalPrice, stacked = false } = ctx;
+  if (!automaticDiscount) return null;
+
+  const stackedCouponApplied = stacked && couponDiscount && !couponDiscount.codeHidden &&
+    getCouponState(couponDiscount.code).applied;
+
+  return createPriceContainer(
+    priceData.regularPrice,
+    stackedCouponApplied ? couponFinalPrice : automaticFinalPrice,
+    automaticDiscount,
+    true, // isAutomatic
+    priceData.hasCurrencyCode
+  );
+}
+
+/**
+ * Coupon block for an offer's best coupon (BASIC+ tier only)
+ * @param {object} ctx - Offer with best discounts (see renderFormUI)
+ * @param {Function} onChange - Called with the price the product now sells at
+ *   after the coupon is applied or removed
+ * @returns {HTMLElement|null}
+ */
+function createOfferCouponBlock(ctx, onChange) {
+  const { productId, variantId, couponDiscount, automaticFinalPrice, couponFinalPrice } = ctx;
+  if (!couponDiscount || !autoApplyEnabled) return null;
+
+  return createCouponBlock(
+    couponDiscount,
+    (code) => { applyDiscountCode(code); onChange(couponFinalPrice); },  // onApply
+    (code) => { applyDiscountCode(''); onChange(automaticFinalPrice); }, // onRemove
+    productId,
+    variantId,
+    false // isAutoApplied
+  );
+}
+
 /**
  * Render form UI (product page)
  */
@@ -1108,20 +1298,25 @@ function renderFormUI(container, ctx) {
       productId,
       variantId,
       priceData,
+      discounts = [],
       automaticDiscount,
       couponDiscount,
       automaticFinalPrice,
-      couponFinalPrice,
-      isPreview = false
+      stacked = false,
+      conditionalDiscount = null,
+      conditionalProgress = null,
+      hosted = {}
     } = ctx;
 
-    // Determine winning discount (for auto-apply logic)
-    let winningDiscount = automaticDiscount;
-    let winningFinalPrice = automaticFinalPrice;
+    // Buy X Get Y offer (badge only, price unchanged)
+    const bxgyDiscount = discounts.find(d => d.kind === 'bxgy') || null;
 
-    // Find and hide original price element
+    // Find original price element (kept visible when we only show offers)
     const priceEl = container.querySelector(FORM_PRICE_CONTAINER_SELECTOR);
-    if (priceEl) {
+    const offersOnly = !automaticDiscount && !couponDiscount && (conditionalDiscount || bxgyDiscount);
+    // Discount elements show their part elsewhere: keep the theme price unless we replace it
+    const replacesPrice = !offersOnly && !hosted.price && (automaticDiscount || !hosted.coupon);
+    if (priceEl && replacesPrice) {
       priceEl.style.display = 'none';
     }
 
@@ -1130,36 +1325,53 @@ function renderFormUI(container, ctx) {
     discountContainer.className = 'ddp-discounts ddp-discounts-container';
 
     // Mount price container if we have a discount
-    if (winningDiscount) {
-      const priceContainer = createPriceContainer(
-        priceData.regularPrice,
-        winningFinalPrice,
-        winningDiscount,
-        true, // isAutomatic
-        priceData.hasCurrencyCode
-      );
-
-      if (priceContainer) {
-        discountContainer.appendChild(priceContainer);
-      }
+    const priceContainer = hosted.price ? null : createOfferPriceContainer(ctx);
+    if (priceContainer) {
+      discountContainer.appendChild(priceContainer);
     }
 
     // Create coupon block if eligible (BASIC+ tier only)
-    if (couponDiscount && autoApplyEnabled) {
-      const couponBlock = createCouponBlock(
-        couponDiscount,
-        (code) => { applyDiscountCode(code); },  // onApply
-        (code) => { applyDiscountCode(''); },     // onRemove
-        productId,
-        variantId,
-        false // isAutoApplied
-      );
+    if (!hosted.coupon) {
+      // Keep the sale price in step with checkout when the coupon stacks
+      const couponBlock = createOfferCouponBlock(ctx, (priceCents) => {
+        const saleEl = stacked && priceContainer?.querySelector('.ddp-discounted-price__sale');
+        if (saleEl) {
+          saleEl.textContent = formatPrice(priceCents, priceData.hasCurrencyCode);
+        }
+        refreshDiscountElements({ productId, tagName: 'DDP-DISCOUNT-BADGE' });
+      });
 
       if (couponBlock) {
         discountContainer.appendChild(couponBlock);
       }
     }
 
+    // Conditional offer (minimum subtotal / quantity not yet met by the cart)
+    if (conditionalDiscount) {
+      const conditionalOffer = createConditionalOffer(
+        conditionalDiscount,
+        conditionalProgress,
+        priceData?.hasCurrencyCode
+      );
+
+      if (conditionalOffer) {
+        discountContainer.appendChild(conditionalOffer);
+      }
+    }
+
+    if (bxgyDiscount) {
+      const bxgyOffer = createBxgyOffer(bxgyDiscount, priceData?.hasCurrencyCode);
+
+      if (bxgyOffer) {
+        discountContainer.appendChild(bxgyOffer);
+      }
+    }
+
+    if (!discountContainer.hasChildNodes()) {
+      logger.debug({ productId, variantId, hosted }, 'Nothing to inject for offer');
+      return;
+    }
+
     // Insert container
     if (priceEl && priceEl.parentElement) {
       priceEl.parentElement.insertBefore(discountContainer, priceEl);
@@ -1172,7 +1384,17 @@ function renderFormUI(container, ctx) {
       }
     }
 
-    logger.info({ productId, variantId, hasAutomatic: !!automaticDiscount, hasCoupon: !!couponDiscount }, 'Rendered form UI');
+    logger.info({
+      productId,
+      variantId,
+      hasAutomatic: !!automaticDiscount,
+      hasCoupon: !!couponDiscount,
+      stacked,
+      hasConditional: !!conditionalDiscount,
+      hasBxgy: !!bxgyDiscount,
+      hostedPrice: !!hosted.price,
+      hostedCoupon: !!hosted.coupon
+    }, 'Rendered form UI');
   } catch (err) {
     logger.error({ err }, 'Error rendering form UI');
 
@@ -1187,7 +1409,7 @@ function renderFormUI(container, ctx) {
 /**
  * Render card badges (collection/search pages)
  */
-function renderCardBadges(container, discounts) {
+function renderCardBadges(container, discounts, hosted = {}) {
   if (!container || !discounts || discounts.length === 0) return;
 
   try {
@@ -1214,13 +1436,27 @@ function renderCardBadges(container, discounts) {
     const regularPrice = parsePrice(priceText);
     const priceHasCurrency = hasCurrencyCode(priceText);
 
+    // BXGY discounts get their own badge and never change the price
+    const bxgyDiscounts = discounts.filter(d => d.kind === 'bxgy');
+    const priceDiscounts = discounts.filter(d => d.kind !== 'bxgy');
+
+    // Minimum-requirement discounts count only once the cart meets them
+    const cart = getCartSnapshot();
+    const conditionalDiscounts = priceDiscounts.filter(d =>
+      !evaluateMinimumRequirement(d.minimumRequirement || null, cart).met
+    );
+    const unlockedDiscounts = priceDiscounts.filter(d => !conditionalDiscounts.includes(d));
+
     // Separate automatic and coupon discounts
-    const automaticDiscounts = discounts.filter(d => d.isAutomatic);
-    const couponDiscounts = discounts.filter(d => !d.isAutomatic);
+    const automaticDiscounts = unlockedDiscounts.filter(d => d.isAutomatic);
+    const couponDiscounts = unlockedDiscounts.filter(d => !d.isAutomatic);
 
-    // Render automatic badge (highest value)
-    if (automaticDiscounts.length > 0) {
-      const topAutomatic = automaticDiscounts.sort((a, b) => b.value - a.value)[0];
+    // Highest display priority first, then the biggest saving on this card's price
+    const compareDiscounts = byDisplayPriority(regularPrice);
+
+    // Render automatic badge, unless a <ddp-discount-badge> in the card shows it
+    if (automaticDiscounts.length > 0 && !hosted.price) {
+      const topAutomatic = automaticDiscounts.sort(compareDiscounts)[0];
       const finalPrice = regularPrice ? calculateDiscountedPrice(regularPrice, topAutomatic) : null;
       createAutomaticDiscountDisplay(container, priceElements, {
         productId,
@@ -1232,9 +1468,9 @@ function renderCardBadges(container, discounts) {
       });
     }
 
-    // Render coupon badge (highest value)
-    if (couponDiscounts.length > 0) {
-      const topCoupon = couponDiscounts.sort((a, b) => b.value - a.value)[0];
+    // Render coupon badge, unless a <ddp-coupon-block> in the card shows it
+    if (couponDiscounts.length > 0 && !hosted.coupon) {
+      const topCoupon = couponDiscounts.sort(compareDiscounts)[0];
       createCouponBadge(container, priceElements, {
         productId,
         discount: topCoupon,
@@ -1242,7 +1478,31 @@ function renderCardBadges(container, discounts) {
       });
     }
 
-    logger.debug({ automaticCount: automaticDiscounts.length, couponCount: couponDiscounts.length }, 'Rendered card badges');
+    // Render conditional offer badge when nothing unconditional applies
+    if (conditionalDiscounts.length > 0 && automaticDiscounts.length === 0) {
+      const topConditional = conditionalDiscounts.sort(compareDiscounts)[0];
+      createConditionalOfferBadge(container, priceElements, {
+        productId,
+        discount: topConditional,
+        hasCurrencyCode: priceHasCurrency
+      });
+    }
+
+    // Render BXGY badge (qualifying and reward products alike)
+    if (bxgyDiscounts.length > 0) {
+      createBxgyBadge(container, priceElements, {
+        productId,
+        discount: bxgyDiscounts[0],
+        hasCurrencyCode: priceHasCurrency
+      });
+    }
+
+    logger.debug({
+      automaticCount: automaticDiscounts.length,
+      couponCount: couponDiscounts.length,
+      conditionalCount: conditionalDiscounts.length,
+      bxgyCount: bxgyDiscounts.length
+    }, 'Rendered card badges');
   } catch (err) {
     logger.error({ err }, 'Error rendering card badges');
   }
@@ -1255,14 +1515,25 @@ function clearExistingDiscounts(container) {
   if (!container) return;
 
   try {
+    // Injected UI only; what discount elements rendered stays
+    const removeInjected = el => {
+      if (!isInsideDiscountElement(el)) el.remove();
+    };
+
     // Remove discount containers
-    container.querySelectorAll('.ddp-discounts, .ddp-discounts-container').forEach(el => el.remove());
+    container.querySelectorAll('.ddp-discounts, .ddp-discounts-container').forEach(removeInjected);
 
     // Remove badges
-    container.querySelectorAll('.ddp-discount-badge, .ddp-coupon-badge').forEach(el => el.remove());
+    container.querySelectorAll('.ddp-discount-badge, .ddp-coupon-badge, .automatic-wrapper, .coupon-wrapper, .conditional-wrapper, .bxgy-wrapper').forEach(removeInjected);
+
+    // Restore card prices hidden behind an automatic discount display
+    container.querySelectorAll('[data-ddp-hidden]').forEach(el => {
+      el.style.display = '';
+      delete el.dataset.ddpHidden;
+    });
 
     // Remove skeletons
-    container.querySelectorAll('.ddp-skeleton-loader').forEach(el => el.remove());
+    container.querySelectorAll('.ddp-skeleton-loader').forEach(removeInjected);
 
     // Restore hidden price elements
     const priceEl = container.querySelector(FORM_PRICE_CONTAINER_SELECTOR);
@@ -1398,6 +1669,59 @@ function setupHeartbeat() {
   }
 }
 
+// ============================================================================
+// Cart Tracking
+// ============================================================================
+
+/**
+ * Re-apply discounts to every product and form container on the page
+ */
+function reapplyAllContainers() {
+  const containers = [
+    ...findProductContainers(),
+    ...findFormContainers()
+  ];
+
+  for (const container of containers) {
+    const productId = findProductId(container);
+    if (productId) {
+      applyDiscountsToProduct(container, productId);
+    }
+  }
+
+  refreshDiscountElements();
+}
+
+/**
+ * Check whether any loaded product has a minimum-requirement discount
+ */
+function hasConditionalDiscounts() {
+  return Object.values(products).some(product =>
+    (product.discounts || []).some(d => d.minimumRequirement)
+  );
+}
+
+/**
+ * Start tracking /cart.js once conditional discounts are present
+ */
+async function ensureCartTracking() {
+  if (cartTrackingStarted || !hasConditionalDiscounts()) return;
+  cartTrackingStarted = true;
+
+  try {
+    watchCartChanges();
+    onCartChange(() => {
+      logger.info('Cart changed, reapplying conditional discounts');
+      reapplyAllContainers();
+    });
+
+    await loadCartSnapshot();
+    logger.info({ cart: getCartSnapshot() }, 'Cart tracking started');
+  } catch (err) {
+    logger.error({ err }, 'Error starting cart tracking');
+  }
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -1453,17 +1777,7 @@ async function initialize() {
       initializeSelectors();
 
       // Reapply to all containers
-      const containers = [
-        ...findProductContainers(),
-        ...findFormContainers()
-      ];
-
-      for (const container of containers) {
-        const productId = findProductId(container);
-        if (productId) {
-          applyDiscountsToProduct(container, productId);
-        }
-      }
+      reapplyAllContainers();
     });
 
     // Step 5: Initialize selectors
@@ -1472,9 +1786,13 @@ async function initialize() {
     // Step 6: Initialize coupon state
     initCouponState();
 
-    // Step 7: Load all products from database
+    // Step 7: Load all products from database (stored data is revalidated in the background)
+    onDiscountDataRevalidated(applyRevalidatedDiscountData);
     await loadAllProductsFromDatabase();
 
+    // Step 7b: Load the cart if any discount has a minimum requirement
+    await ensureCartTracking();
+
     // Step 8: Find all containers
     const productContainers = findProductContainers();
     const formContainers = findFormContainers();
@@ -1499,6 +1817,10 @@ async function initialize() {
 
     // Mark complete
     initializationComplete = true;
+
+    // Step 12: Render discount elements placed by the theme
+    refreshDiscountElements();
+
     logger.info('Discount Display Pro initialization complete');
   } catch (err) {
     logger.error({ err }, 'Error during initialization');
@@ -1540,12 +1862,16 @@ function buildDiscountUrlWithReturnTo(code) {
 _ns.ui = {
   createPriceContainer,
   createCouponBlock,
+  createConditionalOffer,
+  createBxgyOffer,
   showTermsModal
 };
 
 _ns.cards = {
   createAutomaticDiscountDisplay,
-  createCouponBadge
+  createCouponBadge,
+  createConditionalOfferBadge,
+  createBxgyBadge
 };
 
 _ns.forms = {
@@ -1570,13 +1896,27 @@ _ns.logger = logger;
 _ns.state = {
   get initializationComplete() { return initializationComplete; },
   get products() { return products; },
-  get selectors() { return SELECTOR_RESOLUTION; }
+  get selectors() { return SELECTOR_RESOLUTION; },
+  get cart() { return getCartSnapshot(); }
 };
 
 // ============================================================================
 // Entry Point
 // ============================================================================
 
+// Custom elements upgrade now and render once initialization completes
+if (typeof window !== 'undefined') {
+  defineDiscountElements({
+    isReady: () => initializationComplete,
+    resolveOffer: resolveDiscountElementOffer,
+    renderBadge: createOfferPriceContainer,
+    renderCouponBlock: (offer) => createOfferCouponBlock(offer, () => refreshProductPrices(offer.productId)),
+    getVariantInputSelector: () => VARIANT_INPUT_SELECTOR,
+    getContainerSelector: () => PRODUCT_CONTAINER_SELECTOR,
+    getFormContainerSelector: () => FORM_CONTAINER_SELECTOR
+  });
+}
+
 // Auto-initialize
 if (typeof window !== 'undefined') {
   // Start initialization immediately if DOM is ready, otherwise wait
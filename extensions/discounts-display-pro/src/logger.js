@@ -4,6 +4,7 @@
  */
 
 import _ns from './namespace.js';
+import { setLogger } from '../../../packages/storefront-sdk/src/logger.js';
 
 const LOG_LEVELS = {
   debug: 0,
@@ -232,3 +233,6 @@ export const logger = new Logger();
 if (typeof window !== 'undefined') {
   _ns.logger = logger;
 }
+
+// Storefront SDK modules bundled into the extension log here too
+setLogger(logger);
@@ -123,21 +123,24 @@ function getDiscountedFormPrice(container, selector) {
  *
  * Strategy:
  * 1. Walk all descendant elements via container.querySelectorAll('*')
- * 2. For each element, check visibility:
+ * 2. Skip the app's own UI (.ddp-discounts), so a sale price is never read back
+ *    as the regular price
+ * 3. For each element, check visibility:
  *    - CSS classes: visually-hidden, sr-only, screen-reader
  *    - HTML attributes: hidden, aria-hidden="true"
  *    - INLINE STYLES ONLY: element.style.display === 'none' or element.style.visibility === 'hidden'
  *    - Walk parent chain but STOP at container boundary
- * 3. For visible elements, look at direct TEXT_NODE children for text containing digits
- * 4. Falls back to leaf elements (no child elements) with price-like text
- * 5. Last resort: container.textContent.trim()
+ * 4. For visible elements, look at direct TEXT_NODE children for text containing digits
+ * 5. Falls back to leaf elements (no child elements) with price-like text
+ * 6. Last resort: container.textContent.trim()
  *
  * @param {HTMLElement} container - The DOM element to search within
  * @returns {string} - Clean price text or empty string
  */
 function getCleanPriceText(container) {
   try {
-    const allElements = container.querySelectorAll('*');
+    const allElements = Array.from(container.querySelectorAll('*'))
+      .filter(element => !element.closest('.ddp-discounts'));
     const candidateTexts = [];
 
     // Pass 1: Look for TEXT_NODE children in visible elements
@@ -181,8 +184,12 @@ function getCleanPriceText(container) {
       }
     }
 
-    // Last resort: container's text content
-    const fallbackText = container.textContent.trim();
+    // Last resort: container's text content, without the app's own UI
+    let fallbackText = container.textContent;
+    for (const element of container.querySelectorAll('.ddp-discounts')) {
+      fallbackText = fallbackText.replace(element.textContent, '');
+    }
+    fallbackText = fallbackText.trim();
     if (fallbackText && /\d/.test(fallbackText)) {
       logger.log('Using fallback container text', { text: fallbackText }, 'debug', 'PriceExtractor');
       return fallbackText;
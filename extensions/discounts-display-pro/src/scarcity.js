@@ -0,0 +1,38 @@
+import { logger } from './logger.js';
+import _ns from './namespace.js';
+
+/**
+ * Scarcity Module
+ * "Only 3 left" notes for code discounts with a usage limit, shown once the
+ * remaining uses drop to the threshold set in the theme editor.
+ */
+
+/**
+ * Creates the scarcity note for a capped discount.
+ * Returns null when notes are off, the discount has no usage limit, or more
+ * uses remain than the threshold.
+ *
+ * @param {Object} discount - Discount object with usesLeft
+ * @param {string} placement - 'card' (collection badges) or 'form' (product page coupon block)
+ * @returns {HTMLElement|null} Scarcity element
+ */
+export function createScarcityNote(discount, placement) {
+  try {
+    const settings = _ns.settings || {};
+    const usesLeft = discount?.usesLeft;
+    const threshold = Number(settings.scarcityThreshold) || 0;
+    if (!settings.showScarcity || !Number.isFinite(usesLeft) || usesLeft <= 0 || usesLeft > threshold) {
+      return null;
+    }
+
+    const element = document.createElement('span');
+    element.className = `ddp-scarcity ddp-scarcity--${placement}`;
+    element.dataset.discountId = discount.id;
+    const template = _ns.scarcityText || 'Only {count} left';
+    element.textContent = template.replace('{count}', String(usesLeft));
+    return element;
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to create scarcity note');
+    return null;
+  }
+}
@@ -1,6 +1,10 @@
 import { logger } from './logger.js';
 import { formatPrice, formatDate } from './currency-formatter.js';
 import { applyDiscountCode, getCouponState, setCouponState } from './coupon-handler.js';
+import { trackEvent, ANALYTICS_EVENT } from './analytics.js';
+import { createCountdown } from './countdown.js';
+import { createScarcityNote } from './scarcity.js';
+import { getBadgeTemplate, getTermsText, applyBadgeOverrides } from './display-overrides.js';
 import _ns from './namespace.js';
 
 /**
@@ -51,9 +55,10 @@ export function createPriceContainer(regularPrice, finalPrice, discount, isAutom
       badge.className = 'ddp-discounted-price__badge';
 
       // Format badge text
-      const badgeTemplate = _ns.automaticBadgeText || 'Save {amount}';
+      const badgeTemplate = getBadgeTemplate(discount, _ns.automaticBadgeText || 'Save {amount}');
       const discountAmount = formatDiscountAmount(discount, hasCurrencyCode);
       badge.textContent = badgeTemplate.replace('{amount}', discountAmount);
+      applyBadgeOverrides(badge, discount);
 
       container.appendChild(badge);
     }
@@ -75,6 +80,10 @@ export function createPriceContainer(regularPrice, finalPrice, discount, isAutom
       container.appendChild(termsLink);
     }
 
+    if (discount) {
+      trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+    }
+
     logger.debug({}, 'Price container created');
     return container;
   } catch (err) {
@@ -85,6 +94,47 @@ export function createPriceContainer(regularPrice, finalPrice, discount, isAutom
   }
 }
 
+/**
+ * Creates the coupon toolbar with the countdown, scarcity note and terms link
+ * @param {Object} discount - Discount object
+ * @param {Object} settings - Storefront settings
+ * @returns {HTMLElement} Toolbar element
+ */
+function createCouponToolbar(discount, settings) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'ddp-coupon-toolbar';
+
+  // Live countdown when the coupon ends soon (block setting)
+  const countdown = createCountdown(discount, 'form');
+  if (countdown) {
+    toolbar.appendChild(countdown);
+  }
+
+  // "Only N left" for capped codes close to their limit (block setting)
+  const scarcity = createScarcityNote(discount, 'form');
+  if (scarcity) {
+    toolbar.appendChild(scarcity);
+  }
+
+  // Terms link
+  if (settings.showTermsLink) {
+    const termsLink = document.createElement('button');
+    termsLink.className = 'ddp-terms-link';
+    termsLink.type = 'button';
+    termsLink.textContent = 'Terms';
+    termsLink.setAttribute('aria-label', 'View coupon terms and conditions');
+
+    termsLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      showTermsModal(discount);
+    });
+
+    toolbar.appendChild(termsLink);
+  }
+
+  return toolbar;
+}
+
 /**
  * Creates an interactive coupon block.
  *
@@ -107,7 +157,9 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
     const block = document.createElement('div');
     block.className = 'ddp-coupon-block';
     block.dataset.discountId = discount.id;
-    block.dataset.code = discount.code;
+    if (discount.code) {
+      block.dataset.code = discount.code;
+    }
 
     // Main content wrapper
     const mainContent = document.createElement('div');
@@ -119,6 +171,19 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
     flag.textContent = 'Coupon:';
     mainContent.appendChild(flag);
 
+    // Code kept private (single-use or once per customer): describe the
+    // saving without a checkbox, since there is no code to apply
+    if (discount.codeHidden) {
+      const privateLabel = document.createElement('span');
+      privateLabel.className = 'ddp-coupon-label ddp-coupon-label--private';
+      privateLabel.textContent = (settings.couponPrivateText || 'Use your personal code at checkout to save {amount}')
+        .replace('{amount}', formatDiscountAmount(discount, true));
+      mainContent.appendChild(privateLabel);
+      block.appendChild(mainContent);
+      block.appendChild(createCouponToolbar(discount, settings));
+      return block;
+    }
+
     // Label wrapper
     const labelWrapper = document.createElement('div');
     labelWrapper.className = 'ddp-coupon-label-wrapper';
@@ -196,27 +261,7 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
     mainContent.appendChild(appliedStatus);
     block.appendChild(mainContent);
 
-    // Toolbar
-    const toolbar = document.createElement('div');
-    toolbar.className = 'ddp-coupon-toolbar';
-
-    // Terms link
-    if (settings.showTermsLink) {
-      const termsLink = document.createElement('button');
-      termsLink.className = 'ddp-terms-link';
-      termsLink.type = 'button';
-      termsLink.textContent = 'Terms';
-      termsLink.setAttribute('aria-label', 'View coupon terms and conditions');
-
-      termsLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        showTermsModal(discount);
-      });
-
-      toolbar.appendChild(termsLink);
-    }
-
-    block.appendChild(toolbar);
+    block.appendChild(createCouponToolbar(discount, settings));
 
     // Checkbox change handler
     checkbox.addEventListener('change', async (e) => {
@@ -230,6 +275,7 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
 
           // Update state
           setCouponState(discount.code, { applied: true, timestamp: Date.now() });
+          trackEvent(ANALYTICS_EVENT.COUPON_TOGGLE, discount.id, { applied: true });
 
           // Call onApply callback
           if (typeof onApply === 'function') {
@@ -238,7 +284,7 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
 
           // Apply discount code to cart
           try {
-            await applyDiscountCode(discount.code);
+            await applyDiscountCode(discount.code, { discountId: discount.id });
           } catch (applyErr) {
             logger.error({ err: applyErr, code: discount.code }, 'Failed to apply discount code');
             // Revert UI on failure
@@ -256,6 +302,7 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
 
           // Update state
           setCouponState(discount.code, { applied: false });
+          trackEvent(ANALYTICS_EVENT.COUPON_TOGGLE, discount.id, { applied: false });
 
           // Call onRemove callback
           if (typeof onRemove === 'function') {
@@ -283,6 +330,8 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
       }
     }
 
+    trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+
     logger.debug({ discountId: discount.id }, 'Coupon block created');
     return block;
   } catch (err) {
@@ -294,6 +343,172 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
   }
 }
 
+/**
+ * Builds the offer text for a discount with a minimum subtotal or quantity.
+ *
+ * @param {Object} discount - Discount object with minimumRequirement
+ * @param {boolean} hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {string} Offer text (e.g., "Spend $50.00, get 10% off")
+ */
+export function buildConditionalOfferText(discount, hasCurrencyCode) {
+  try {
+    const requirement = discount.minimumRequirement || {};
+    const discountAmount = formatDiscountAmount(discount, hasCurrencyCode);
+
+    if (requirement.type === 'quantity') {
+      const template = _ns.conditionalQuantityOfferText || 'Buy {threshold}, get {amount} off';
+      return template
+        .replace('{threshold}', formatItemCount(requirement.quantity))
+        .replace('{amount}', discountAmount);
+    }
+
+    const template = _ns.conditionalOfferText || 'Spend {threshold}, get {amount} off';
+    return template
+      .replace('{threshold}', formatPrice(requirement.amountCents, hasCurrencyCode))
+      .replace('{amount}', discountAmount);
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to build conditional offer text');
+    return '';
+  }
+}
+
+/**
+ * Creates the conditional offer block (offer text plus cart progress).
+ *
+ * @param {Object} discount - Discount object with minimumRequirement
+ * @param {Object|null} progress - Cart evaluation { met, remaining, progress }
+ * @param {boolean} hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {HTMLElement|null} Conditional offer element
+ */
+export function createConditionalOffer(discount, progress, hasCurrencyCode) {
+  try {
+    logger.debug({ discountId: discount.id, progress }, 'Creating conditional offer');
+
+    const settings = _ns.settings || {};
+    const requirement = discount.minimumRequirement || {};
+
+    const block = document.createElement('div');
+    block.className = 'ddp-conditional-offer';
+
+    const offerText = document.createElement('span');
+    offerText.className = 'ddp-discounted-price__badge ddp-conditional-offer__text';
+    offerText.textContent = buildConditionalOfferText(discount, hasCurrencyCode);
+    block.appendChild(offerText);
+    trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+
+    // Progress toward the threshold, based on /cart.js
+    const showProgress = settings.showCartProgress !== false &&
+      progress && Number.isFinite(progress.remaining) && progress.remaining > 0;
+
+    if (showProgress) {
+      const remainingText = requirement.type === 'quantity'
+        ? formatItemCount(progress.remaining)
+        : formatPrice(progress.remaining, hasCurrencyCode);
+
+      const template = _ns.conditionalProgressText || "You're {remaining} away from {amount} off";
+      const message = document.createElement('p');
+      message.className = 'ddp-conditional-offer__progress';
+      message.setAttribute('aria-live', 'polite');
+      message.textContent = template
+        .replace('{remaining}', remainingText)
+        .replace('{amount}', formatDiscountAmount(discount, hasCurrencyCode));
+      block.appendChild(message);
+
+      const percent = Math.round(Math.min(Math.max(progress.progress || 0, 0), 1) * 100);
+      const bar = document.createElement('div');
+      bar.className = 'ddp-conditional-offer__bar';
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-valuemin', '0');
+      bar.setAttribute('aria-valuemax', '100');
+      bar.setAttribute('aria-valuenow', String(percent));
+
+      const fill = document.createElement('div');
+      fill.className = 'ddp-conditional-offer__bar-fill';
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      block.appendChild(bar);
+    }
+
+    return block;
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to create conditional offer');
+    return null;
+  }
+}
+
+/**
+ * Builds the badge text for a Buy X Get Y discount.
+ *
+ * @param {Object} discount - Discount object with bxgy terms
+ * @param {boolean} hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {string} Offer text (e.g., "Buy 2, get 1 free")
+ */
+export function buildBxgyOfferText(discount, hasCurrencyCode) {
+  try {
+    const { buys = {}, gets = {} } = discount.bxgy || {};
+
+    const reward = gets.isFree
+      ? (_ns.bxgyFreeText || 'free')
+      : (_ns.bxgyDiscountedText || 'at {amount} off').replace('{amount}', formatDiscountAmount(discount, hasCurrencyCode));
+
+    // "Spend $50, get 1 free" when the buys side is a purchase amount
+    if (!buys.quantity && Number.isFinite(buys.amountCents)) {
+      const template = _ns.bxgySpendOfferText || 'Spend {buys}, get {gets} {reward}';
+      return template
+        .replace('{buys}', formatPrice(buys.amountCents, hasCurrencyCode))
+        .replace('{gets}', String(gets.quantity || 1))
+        .replace('{reward}', reward);
+    }
+
+    const template = _ns.bxgyOfferText || 'Buy {buys}, get {gets} {reward}';
+    return template
+      .replace('{buys}', String(buys.quantity || 1))
+      .replace('{gets}', String(gets.quantity || 1))
+      .replace('{reward}', reward);
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to build BXGY offer text');
+    return '';
+  }
+}
+
+/**
+ * Creates the Buy X Get Y offer block for the product page.
+ *
+ * @param {Object} discount - Discount object with bxgy terms
+ * @param {boolean} hasCurrencyCode - Whether to include currency code in formatting
+ * @returns {HTMLElement|null} BXGY offer element
+ */
+export function createBxgyOffer(discount, hasCurrencyCode) {
+  try {
+    logger.debug({ discountId: discount.id, role: discount.bxgy?.role }, 'Creating BXGY offer');
+
+    const block = document.createElement('div');
+    block.className = 'ddp-bxgy-offer';
+    if (discount.bxgy?.role) {
+      block.dataset.role = discount.bxgy.role;
+    }
+
+    const offerText = document.createElement('span');
+    offerText.className = 'ddp-discounted-price__badge ddp-bxgy-offer__text';
+    offerText.textContent = buildBxgyOfferText(discount, hasCurrencyCode);
+    block.appendChild(offerText);
+    trackEvent(ANALYTICS_EVENT.IMPRESSION, discount.id);
+
+    // Code BXGY discounts need the code at checkout
+    if (discount.code) {
+      const code = document.createElement('span');
+      code.className = 'ddp-bxgy-offer__code';
+      code.textContent = discount.code;
+      block.appendChild(code);
+    }
+
+    return block;
+  } catch (err) {
+    logger.error({ err, discountId: discount?.id }, 'Failed to create BXGY offer');
+    return null;
+  }
+}
+
 /**
  * Shows a full-screen modal with discount terms and conditions.
  *
@@ -302,8 +517,7 @@ export function createCouponBlock(discount, onApply, onRemove, productId, varian
 export function showTermsModal(discount) {
   try {
     logger.debug({ discountId: discount.id }, 'Showing terms modal');
-
-    const settings = _ns.settings || {};
+    trackEvent(ANALYTICS_EVENT.TERMS_OPEN, discount.id);
 
     // Create overlay
     const overlay = document.createElement('div');
@@ -399,8 +613,8 @@ export function showTermsModal(discount) {
     termsTitle.textContent = 'Terms & Conditions';
     termsSection.appendChild(termsTitle);
 
-    // Split terms template on newlines and create paragraphs
-    const termsTemplate = settings.discountTermsTemplate || 'Please see store policies for complete terms.';
+    // Split terms on newlines and create paragraphs (discount's own terms first)
+    const termsTemplate = getTermsText(discount);
     const termsLines = termsTemplate.split('\n').filter(line => line.trim());
 
     termsLines.forEach(line => {
@@ -508,6 +722,16 @@ export function buildSkeletonLoader() {
   }
 }
 
+/**
+ * Formats an item count for offer text.
+ *
+ * @param {number} count - Number of items
+ * @returns {string} Item count text (e.g., "3 items")
+ */
+function formatItemCount(count) {
+  return `${count} ${count === 1 ? 'item' : 'items'}`;
+}
+
 /**
  * Formats discount amount for display.
  *
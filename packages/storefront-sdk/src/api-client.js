@@ -0,0 +1,194 @@
+import { logger } from "./logger.js";
+import { getBestPrice } from "./best-price.js";
+
+/**
+ * Client for the app's /api/discounts endpoint, for storefronts that don't run
+ * the theme extension (Hydrogen, custom headless builds, server rendering).
+ *
+ * Authenticates with the shop's storefront token as a Bearer header. Browsers
+ * must run on an origin the app allows (see the CORS policy); server-side
+ * requests carry no Origin and are not subject to it.
+ */
+
+// Responses kept per client for ETag revalidation. Server runtimes have no HTTP
+// cache, so without them every request would download the full body again.
+const MAX_REVALIDATION_ENTRIES = 50;
+
+export class DiscountsApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, body?: any, cause?: unknown }} [details]
+   */
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "DiscountsApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const toList = (values) => (Array.isArray(values) ? values : values == null ? [] : [values])
+  .map((value) => String(value).trim())
+  .filter(Boolean);
+
+// The API accepts numeric IDs and GIDs; numeric IDs keep URLs short
+const toNumericIds = (values) => toList(values).map((id) => id.split("/").pop());
+
+async function readErrorBody(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a discounts client for one shop
+ * @param {Object} config
+ * @param {string} config.apiBaseUrl - App URL, e.g. "https://discounts.example.com"
+ * @param {string} config.shop - Shop domain, e.g. "my-shop.myshopify.com"
+ * @param {string} [config.token] - Storefront token
+ * @param {(options: { refresh: boolean }) => string|Promise<string>} [config.getToken] - Token provider,
+ *   called with refresh: true after a 401/403 so a rotated token can be picked up
+ * @param {typeof fetch} [config.fetch] - fetch implementation (defaults to globalThis.fetch)
+ * @param {string} [config.currency] - Presentment currency (ISO 4217)
+ * @param {string} [config.country] - Presentment country (ISO 3166-1 alpha-2)
+ * @param {number} [config.rate] - Conversion rate from the shop currency
+ * @param {Object} [config.customer] - Signed customer identity { id, tags, ts, sig }
+ * @param {boolean} [config.revalidate=true] - Keep responses and revalidate them with their ETag;
+ *   turn off in browsers, whose HTTP cache already does this
+ */
+export function createDiscountsClient(config = {}) {
+  const {
+    shop,
+    token,
+    getToken,
+    fetch: fetchImpl = globalThis.fetch,
+    revalidate = true,
+  } = config;
+  const baseUrl = String(config.apiBaseUrl || "").replace(/\/+$/, "");
+
+  if (!baseUrl) throw new Error("createDiscountsClient requires apiBaseUrl");
+  if (!shop) throw new Error("createDiscountsClient requires shop");
+  if (!token && !getToken) throw new Error("createDiscountsClient requires token or getToken");
+  if (typeof fetchImpl !== "function") throw new Error("createDiscountsClient requires a fetch implementation");
+
+  // Map<url, { etag, data }>
+  const responses = new Map();
+  let currentToken = token || null;
+
+  async function resolveToken(refresh) {
+    if (getToken && (refresh || !currentToken)) {
+      currentToken = await getToken({ refresh });
+    }
+    return currentToken;
+  }
+
+  function buildUrl(productIds, options) {
+    const params = new URLSearchParams({ shop });
+    const lists = {
+      productIds: toNumericIds(productIds),
+      variantIds: toNumericIds(options.variantIds),
+      handles: toList(options.handles),
+      collectionIds: toNumericIds(options.collectionIds),
+      collectionHandles: toList(options.collectionHandles),
+    };
+    for (const [key, values] of Object.entries(lists)) {
+      if (values.length > 0) params.set(key, values.join(","));
+    }
+
+    for (const key of ["currency", "country", "rate"]) {
+      const value = options[key] ?? config[key];
+      if (value != null && value !== "") params.set(key, String(value));
+    }
+
+    const customer = options.customer ?? config.customer;
+    if (customer?.id && customer?.sig) {
+      params.set("customerId", String(customer.id));
+      params.set("customerTags", customer.tags || "");
+      params.set("customerTs", String(customer.ts ?? ""));
+      params.set("customerSig", customer.sig);
+    }
+
+    return `${baseUrl}/api/discounts?${params.toString()}`;
+  }
+
+  async function request(url, signal, refresh = false) {
+    const previous = responses.get(url);
+    const headers = {
+      Accept: "application/json",
+      Authorization: `Bearer ${await resolveToken(refresh)}`,
+    };
+    if (previous) headers["If-None-Match"] = previous.etag;
+
+    let response;
+    try {
+      response = await fetchImpl(url, { method: "GET", headers, signal, credentials: "omit" });
+    } catch (error) {
+      if (error?.name === "AbortError") throw error;
+      throw new DiscountsApiError("Discounts request failed", { cause: error });
+    }
+
+    if (response.status === 304 && previous) {
+      logger.debug("Discount data not modified, reusing previous response", { shop });
+      return previous.data;
+    }
+
+    // A rotated token: ask the provider for the current one and retry once
+    if ((response.status === 401 || response.status === 403) && getToken && !refresh) {
+      logger.info("Storefront token rejected, refreshing", { shop, status: response.status });
+      return request(url, signal, true);
+    }
+
+    if (!response.ok) {
+      const body = await readErrorBody(response);
+      throw new DiscountsApiError(body?.error || `HTTP ${response.status}`, { status: response.status, body });
+    }
+
+    const data = await response.json();
+    const etag = revalidate ? response.headers.get("ETag") : null;
+    if (etag) {
+      responses.delete(url);
+      if (responses.size >= MAX_REVALIDATION_ENTRIES) {
+        responses.delete(responses.keys().next().value);
+      }
+      responses.set(url, { etag, data });
+    }
+    return data;
+  }
+
+  return {
+    /**
+     * Discounts and precomputed variant prices for the given products
+     * @param {Array<string|number>|string|number} productIds - Product IDs or GIDs
+     * @param {Object} [options] - variantIds, handles, collectionIds, collectionHandles,
+     *   currency, country, rate, customer (override the client's), signal
+     * @returns {Promise<Object>} { products, collections?, autoApplyEnabled, currency, revision }
+     */
+    async getDiscountsForProducts(productIds, options = {}) {
+      return request(buildUrl(productIds, options), options.signal);
+    },
+
+    /**
+     * Fetch one product and compute its best price
+     * @param {string|number} productId - Product ID or GID
+     * @param {Object} [options] - getBestPrice options plus request options
+     * @returns {Promise<Object|null>} See getBestPrice
+     */
+    async getBestPrice(productId, options = {}) {
+      const [numericId] = toNumericIds(productId);
+      const data = await this.getDiscountsForProducts(numericId, {
+        ...options,
+        variantIds: options.variantId != null ? [options.variantId] : options.variantIds,
+      });
+      return getBestPrice(data.products?.[numericId], options);
+    },
+
+    /**
+     * Forget stored responses so the next request downloads in full
+     */
+    clear() {
+      responses.clear();
+    },
+  };
+}
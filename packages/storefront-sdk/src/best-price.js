@@ -0,0 +1,59 @@
+import { resolveBestDiscounts } from "./discount-math.js";
+import { filterDiscountsByPurchaseContext } from "./subscription.js";
+
+const toNumericId = (id) => (id == null ? null : String(id).split("/").pop());
+
+/**
+ * Best price of one product variant from a /api/discounts product entry.
+ * Applies the same rules as the theme extension: selling plan eligibility,
+ * expired discounts dropped, automatic/coupon suppression and stacking, and
+ * cart-conditional discounts kept aside until the cart meets their minimum.
+ * @param {Object} product - Entry of response.products ({ variants, discounts })
+ * @param {Object} [options]
+ * @param {string|number} [options.variantId] - Variant ID or GID (defaults to the first variant)
+ * @param {number} [options.regularPriceCents] - Overrides the variant's stored price
+ * @param {string|number|null} [options.sellingPlanId] - Selected selling plan, null for one-time
+ * @param {Object|null} [options.cart] - Cart snapshot { subtotalCents, itemCount, currencyCode }
+ * @param {number} [options.now] - Clock for endsAt checks (ms)
+ * @returns {Object|null} Price breakdown, or null when the variant has no price
+ */
+export function getBestPrice(product, options = {}) {
+  if (!product) return null;
+
+  const {
+    sellingPlanId = null,
+    cart = null,
+    now = Date.now(),
+  } = options;
+
+  const variants = product.variants || {};
+  const variantId = toNumericId(options.variantId) ?? Object.keys(variants)[0] ?? null;
+  const variant = variantId ? variants[variantId] : null;
+  const regularPriceCents = options.regularPriceCents ?? variant?.regularPriceCents;
+  if (!Number.isFinite(regularPriceCents)) return null;
+
+  const discounts = filterDiscountsByPurchaseContext(product.discounts, sellingPlanId)
+    .filter((discount) => !discount.endsAt || new Date(discount.endsAt).getTime() > now);
+
+  const resolved = resolveBestDiscounts({
+    discounts,
+    regularPriceCents,
+    currentVariantId: variantId,
+    cart,
+  });
+
+  const automaticPriceCents = resolved.automaticEntry?.finalPriceCents ?? regularPriceCents;
+  return {
+    variantId,
+    regularPriceCents,
+    compareAtPriceCents: variant?.compareAtPriceCents ?? null,
+    currencyCode: variant?.currencyCode ?? null,
+    automaticPriceCents,
+    bestPriceCents: resolved.couponEntry?.finalPriceCents ?? automaticPriceCents,
+    automaticDiscount: resolved.automaticDiscount,
+    couponDiscount: resolved.couponDiscount,
+    stacked: resolved.stacked === true,
+    conditionalDiscount: resolved.conditionalDiscount ?? null,
+    conditionalProgress: resolved.conditionalProgress ?? null,
+  };
+}
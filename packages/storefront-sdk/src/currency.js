@@ -0,0 +1,103 @@
+import { logger } from "./logger.js";
+
+/**
+ * Money helpers for headless storefronts. Amounts are integer minor units
+ * (cents), like every price in the /api/discounts response.
+ */
+
+/**
+ * Convert a Storefront API MoneyV2 (or a decimal amount) to cents
+ * @param {{ amount: string|number }|string|number|null} money - e.g. { amount: "19.99", currencyCode: "USD" }
+ * @returns {number|null} Cents, or null when the amount is not a number
+ */
+export function moneyToCents(money) {
+  const amount = parseFloat(money && typeof money === "object" ? money.amount : money);
+  return Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
+
+function groupDigits(integer, separator) {
+  return integer.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+}
+
+function formatAmount(cents, decimals, thousands, decimal) {
+  const [integer, fraction] = (Math.abs(cents) / 100).toFixed(decimals).split(".");
+  const sign = cents < 0 ? "-" : "";
+  return sign + groupDigits(integer, thousands) + (fraction ? decimal + fraction : "");
+}
+
+// Placeholders of Shopify money formats (shop.money_format)
+const MONEY_FORMAT_PLACEHOLDERS = {
+  amount: (cents) => formatAmount(cents, 2, ",", "."),
+  amount_no_decimals: (cents) => formatAmount(cents, 0, ",", "."),
+  amount_with_comma_separator: (cents) => formatAmount(cents, 2, ".", ","),
+  amount_no_decimals_with_comma_separator: (cents) => formatAmount(cents, 0, ".", ","),
+  amount_with_apostrophe_separator: (cents) => formatAmount(cents, 2, "'", "."),
+  amount_no_decimals_with_space_separator: (cents) => formatAmount(cents, 0, " ", "."),
+  amount_with_space_separator: (cents) => formatAmount(cents, 2, " ", ","),
+  amount_with_period_and_space_separator: (cents) => formatAmount(cents, 2, " ", "."),
+};
+
+/**
+ * Format cents for display. A Shopify money format (e.g. "${{amount}}") wins;
+ * otherwise Intl.NumberFormat is used with the currency code and locale.
+ * @param {number} cents - Amount in minor units
+ * @param {Object} [options]
+ * @param {string} [options.currencyCode] - ISO 4217 code, e.g. "EUR"
+ * @param {string} [options.locale] - BCP 47 locale, e.g. "de-DE"
+ * @param {string} [options.format] - Shopify money format
+ * @returns {string}
+ */
+export function formatMoney(cents, { currencyCode, locale = "en-US", format } = {}) {
+  if (!Number.isFinite(cents)) return "";
+
+  if (format) {
+    return format.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const placeholder = MONEY_FORMAT_PLACEHOLDERS[name];
+      return placeholder ? placeholder(cents) : match;
+    });
+  }
+
+  if (currencyCode) {
+    try {
+      return new Intl.NumberFormat(locale, { style: "currency", currency: currencyCode }).format(cents / 100);
+    } catch (error) {
+      logger.warn("Intl.NumberFormat failed, formatting without currency", { err: error, currencyCode, locale });
+    }
+  }
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * Detect whether a price uses a comma (european) or dot (us) decimal separator
+ * @param {string} text - Price text without currency symbols
+ * @returns {"european"|"us"}
+ */
+function detectMoneyFormat(text) {
+  const cleaned = text.replace(/[^\d.,]/g, "");
+  if (/,\d{2}$/.test(cleaned)) return "european";
+  if (/\.\d{2}$/.test(cleaned)) return "us";
+  if (/\.\d{3}/.test(cleaned)) return "european";
+  return "us";
+}
+
+/**
+ * Parse displayed price text ("$1,234.56", "1.234,56 €", "From 19.99 USD") to cents
+ * @param {string} text - Price text
+ * @returns {number|null} Cents, or null when no price is found
+ */
+export function parsePrice(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const cleaned = text.trim()
+    .replace(/\b(from|each|per item|per)\b/gi, "")
+    .replace(/\b[A-Z]{3}\b/g, "");
+
+  const european = detectMoneyFormat(cleaned) === "european";
+  const match = european ? cleaned.match(/[\d.]+,\d{2}/) : cleaned.match(/[\d,]+\.\d{2}|[\d,]+/);
+  const normalized = match
+    ? (european ? match[0].replace(/\./g, "").replace(",", ".") : match[0].replace(/,/g, ""))
+    : cleaned.match(/\d+\.?\d*/)?.[0];
+
+  const amount = parseFloat(normalized);
+  return Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
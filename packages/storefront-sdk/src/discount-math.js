@@ -0,0 +1,561 @@
+import { logger } from "./logger.js";
+
+/**
+ * Price math shared by the app server (/api/discounts, /api/best-discounts)
+ * and headless storefronts. All amounts are integer minor units (cents).
+ */
+
+/**
+ * Calculate the discounted price given a regular price and discount object.
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {Object} discount - The discount object with type and value
+ * @returns {number|null} The discounted price in cents, or regularPriceCents on error
+ */
+export function calculateDiscountedPrice(regularPriceCents, discount) {
+  try {
+    // Guard: no discount or invalid price
+    if (!discount || !Number.isFinite(regularPriceCents)) {
+      return regularPriceCents ?? null;
+    }
+
+    let discountAmount = 0;
+
+    if (discount.type === "percentage") {
+      // Clamp percentage to 0-100
+      const percentage = Math.min(Math.max(discount.value ?? 0, 0), 100);
+      discountAmount = Math.floor(regularPriceCents * (percentage / 100));
+    } else {
+      // Fixed amount
+      const rawAmount = typeof discount.value === "number" ? discount.value : 0;
+      // Clamp to [0, regularPriceCents]
+      discountAmount = Math.min(
+        Math.max(Math.round(rawAmount), 0),
+        regularPriceCents
+      );
+    }
+
+    const discountedPrice = regularPriceCents - discountAmount;
+
+    // Final safety check
+    if (!Number.isFinite(discountedPrice)) {
+      return regularPriceCents;
+    }
+
+    // Never return negative
+    return Math.max(0, discountedPrice);
+  } catch (error) {
+    logger.warn("Error calculating discounted price, returning regular price", {
+      err: error, regularPriceCents, discount,
+    });
+    return regularPriceCents;
+  }
+}
+
+/**
+ * Calculate the actual savings amount for a discount.
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {Object} discount - The discount object
+ * @returns {number} The savings amount in cents (always >= 0)
+ */
+export function calculateActualSavings(regularPriceCents, discount) {
+  try {
+    // Guard: no discount or invalid price
+    if (!discount || !Number.isFinite(regularPriceCents)) {
+      return 0;
+    }
+
+    if (discount.type === "percentage") {
+      // Clamp percentage to 0-100
+      const percentage = Math.min(Math.max(discount.value ?? 0, 0), 100);
+      return Math.floor(regularPriceCents * (percentage / 100));
+    } else {
+      // Fixed amount
+      const rawAmount = typeof discount.value === "number" ? discount.value : 0;
+      // Clamp to [0, regularPriceCents]
+      return Math.min(Math.max(Math.round(rawAmount), 0), regularPriceCents);
+    }
+  } catch (error) {
+    logger.warn("Error calculating savings, returning 0", {
+      err: error, regularPriceCents, discount,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Check if a discount is eligible for a specific variant.
+ * @param {Object} discount - The discount object with variantScope
+ * @param {string|number|null} currentVariantId - The variant ID to check
+ * @returns {boolean} True if the discount applies to this variant
+ */
+export function isDiscountEligibleForVariant(discount, currentVariantId) {
+  try {
+    const scope = discount?.variantScope;
+
+    // No scope means applies to all
+    if (!scope || !scope.type) {
+      return true;
+    }
+
+    // ALL scope
+    if (scope.type === "ALL") {
+      return true;
+    }
+
+    // PARTIAL scope
+    if (scope.type === "PARTIAL" && Array.isArray(scope.ids)) {
+      // Can't verify eligibility without a variant ID
+      if (currentVariantId == null) {
+        return false;
+      }
+
+      // Check if variant ID is in the scope list (normalize to strings)
+      return scope.ids.map(String).includes(String(currentVariantId));
+    }
+
+    // Unknown scope type or invalid structure
+    return false;
+  } catch (error) {
+    logger.warn("Error checking variant eligibility, returning false", {
+      err: error, discount, currentVariantId,
+    });
+    return false;
+  }
+}
+
+/**
+ * Find the single best discount from an array of discounts.
+ * @param {Array} discounts - Array of discount objects
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {string|number|null} currentVariantId - The variant ID to check eligibility
+ * @returns {Object|null} Object with { discount, finalPrice, savings } or null
+ */
+export function findBestDiscount(discounts, regularPriceCents, currentVariantId) {
+  try {
+    // Filter to eligible discounts (BXGY rewards never lower the unit price)
+    const eligible = discounts.filter((d) =>
+      d.kind !== "bxgy" && isDiscountEligibleForVariant(d, currentVariantId)
+    );
+
+    if (eligible.length === 0) {
+      return null;
+    }
+
+    if (eligible.length === 1) {
+      const discount = eligible[0];
+      return {
+        discount,
+        finalPrice: calculateDiscountedPrice(regularPriceCents, discount),
+        savings: calculateActualSavings(regularPriceCents, discount),
+      };
+    }
+
+    // Multiple eligible discounts: find the one with highest savings
+    let best = null;
+    let bestSavings = -1;
+    let bestValue = -1;
+
+    for (const discount of eligible) {
+      const savings = calculateActualSavings(regularPriceCents, discount);
+
+      // Check if this is better (higher savings, or same savings but higher value)
+      if (
+        savings > bestSavings ||
+        (savings === bestSavings && (discount.value ?? 0) > bestValue)
+      ) {
+        best = discount;
+        bestSavings = savings;
+        bestValue = discount.value ?? 0;
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      discount: best,
+      finalPrice: calculateDiscountedPrice(regularPriceCents, best),
+      savings: bestSavings,
+    };
+  } catch (error) {
+    logger.warn("Error finding best discount, returning null", {
+      err: error, regularPriceCents, currentVariantId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Find the best automatic discount and best coupon discount separately.
+ * @param {Array} discounts - Array of discount objects
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {string|number|null} currentVariantId - The variant ID to check eligibility
+ * @returns {Object} Object with automatic and coupon best discounts
+ */
+export function findBestDiscounts(discounts, regularPriceCents, currentVariantId) {
+  try {
+    // Split into automatic and coupon discounts
+    const automaticDiscounts = discounts.filter((d) => d.isAutomatic === true);
+    const couponDiscounts = discounts.filter((d) => !d.isAutomatic);
+
+    // Find best of each category
+    const automatic = findBestDiscount(
+      automaticDiscounts,
+      regularPriceCents,
+      currentVariantId
+    );
+    const coupon = findBestDiscount(
+      couponDiscounts,
+      regularPriceCents,
+      currentVariantId
+    );
+
+    return {
+      automaticDiscount: automatic?.discount || null,
+      automaticFinalPrice: automatic?.finalPrice ?? null,
+      automaticSavings: automatic?.savings ?? null,
+      couponDiscount: coupon?.discount || null,
+      couponFinalPrice: coupon?.finalPrice ?? null,
+      couponSavings: coupon?.savings ?? null,
+    };
+  } catch (error) {
+    logger.warn("Error finding best discounts, returning all null", {
+      err: error, regularPriceCents, currentVariantId,
+    });
+    return {
+      automaticDiscount: null,
+      automaticFinalPrice: null,
+      automaticSavings: null,
+      couponDiscount: null,
+      couponFinalPrice: null,
+      couponSavings: null,
+    };
+  }
+}
+
+/**
+ * Check whether two discounts can both apply to the same product at checkout.
+ * Shopify requires each side to allow combining with product discounts.
+ * @param {Object} a - Discount object with combinesWith
+ * @param {Object} b - Discount object with combinesWith
+ * @returns {boolean} True if the discounts stack
+ */
+export function canDiscountsCombine(a, b) {
+  return (
+    a?.combinesWith?.productDiscounts === true &&
+    b?.combinesWith?.productDiscounts === true
+  );
+}
+
+/**
+ * Calculate the final price when several product discounts stack.
+ * Like Shopify checkout, each discount is calculated on the regular price and
+ * the savings are added together (not compounded), capped at the price.
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {Array} discounts - Discount objects that combine with each other
+ * @returns {number} The stacked final price in cents
+ */
+export function calculateStackedPrice(regularPriceCents, discounts) {
+  try {
+    if (!Number.isFinite(regularPriceCents)) {
+      return regularPriceCents ?? null;
+    }
+
+    const totalSavings = (discounts || []).reduce(
+      (sum, discount) => sum + calculateActualSavings(regularPriceCents, discount),
+      0
+    );
+    return Math.max(0, regularPriceCents - Math.min(totalSavings, regularPriceCents));
+  } catch (error) {
+    logger.warn("Error calculating stacked price, returning regular price", {
+      err: error, regularPriceCents,
+    });
+    return regularPriceCents;
+  }
+}
+
+/**
+ * Find the automatic + coupon pair with the lowest stacked price.
+ * @param {Array} discounts - Array of discount objects
+ * @param {number} regularPriceCents - The regular price in cents
+ * @param {string|number|null} currentVariantId - The variant ID to check eligibility
+ * @returns {Object|null} { automatic, coupon, automaticFinalPrice, finalPrice } or null if nothing combines
+ */
+export function findBestStackedPair(discounts, regularPriceCents, currentVariantId) {
+  try {
+    const eligible = discounts.filter((d) =>
+      d.kind !== "bxgy" &&
+      d.combinesWith?.productDiscounts === true &&
+      isDiscountEligibleForVariant(d, currentVariantId)
+    );
+    const automatics = eligible.filter((d) => d.isAutomatic === true);
+    const coupons = eligible.filter((d) => !d.isAutomatic);
+
+    let best = null;
+    for (const automatic of automatics) {
+      for (const coupon of coupons) {
+        if (!canDiscountsCombine(automatic, coupon)) continue;
+
+        const finalPrice = calculateStackedPrice(regularPriceCents, [automatic, coupon]);
+        if (!best || finalPrice < best.finalPrice) {
+          best = {
+            automatic,
+            coupon,
+            automaticFinalPrice: calculateDiscountedPrice(regularPriceCents, automatic),
+            finalPrice,
+          };
+        }
+      }
+    }
+
+    return best;
+  } catch (error) {
+    logger.warn("Error finding stacked discounts, returning null", {
+      err: error, regularPriceCents, currentVariantId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Normalize a stored Shopify minimumRequirement into the storefront API shape.
+ * @param {Object|null} rawRequirement - Raw minimumRequirement JSON from the Discount table
+ * @returns {Object|null} { type: "subtotal", amountCents, currencyCode } or { type: "quantity", quantity }, null if none
+ */
+export function normalizeMinimumRequirement(rawRequirement) {
+  try {
+    if (!rawRequirement || typeof rawRequirement !== "object") {
+      return null;
+    }
+
+    const subtotal = rawRequirement.greaterThanOrEqualToSubtotal;
+    if (subtotal && subtotal.amount != null) {
+      const amount = parseFloat(subtotal.amount);
+      if (!Number.isFinite(amount) || amount <= 0) return null;
+      return {
+        type: "subtotal",
+        amountCents: Math.round(amount * 100),
+        currencyCode: subtotal.currencyCode || null,
+      };
+    }
+
+    const quantity = parseInt(rawRequirement.greaterThanOrEqualToQuantity, 10);
+    if (Number.isFinite(quantity) && quantity > 0) {
+      return { type: "quantity", quantity };
+    }
+
+    return null;
+  } catch (error) {
+    logger.warn("Error normalizing minimum requirement, returning null", {
+      err: error, rawRequirement,
+    });
+    return null;
+  }
+}
+
+/**
+ * Evaluate a normalized minimum requirement against a cart snapshot.
+ * @param {Object|null} requirement - Normalized requirement (see normalizeMinimumRequirement)
+ * @param {Object|null} cart - Cart snapshot { subtotalCents, itemCount, currencyCode }
+ * @returns {Object} { met, remaining, progress } - remaining is cents or units, null when not comparable
+ */
+export function evaluateMinimumRequirement(requirement, cart) {
+  try {
+    // No requirement: always met
+    if (!requirement) {
+      return { met: true, remaining: 0, progress: 1 };
+    }
+
+    const threshold =
+      requirement.type === "subtotal" ? requirement.amountCents : requirement.quantity;
+
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return { met: true, remaining: 0, progress: 1 };
+    }
+
+    // Unknown cart: nothing has been added yet
+    if (!cart) {
+      return { met: false, remaining: threshold, progress: 0 };
+    }
+
+    // Subtotal thresholds are only comparable in the same currency
+    if (
+      requirement.type === "subtotal" &&
+      requirement.currencyCode &&
+      cart.currencyCode &&
+      requirement.currencyCode !== cart.currencyCode
+    ) {
+      return { met: false, remaining: null, progress: 0 };
+    }
+
+    const current =
+      requirement.type === "subtotal" ? cart.subtotalCents : cart.itemCount;
+    const currentValue = Number.isFinite(current) ? Math.max(current, 0) : 0;
+
+    const remaining = Math.max(threshold - currentValue, 0);
+    return {
+      met: remaining === 0,
+      remaining,
+      progress: Math.min(currentValue / threshold, 1),
+    };
+  } catch (error) {
+    logger.warn("Error evaluating minimum requirement, treating as unmet", {
+      err: error, requirement, cart,
+    });
+    return { met: false, remaining: null, progress: 0 };
+  }
+}
+
+/**
+ * Resolve the best automatic and coupon discounts, with suppression logic.
+ * When an automatic and a coupon combine (combinesWith.productDiscounts) and
+ * stacking beats either alone, both are returned and the coupon entry carries
+ * the stacked final price.
+ * Discounts whose minimum requirement is not met by the cart are kept out of
+ * the price calculation; the best of them is returned as conditionalDiscount.
+ * @param {Object} params - Parameters object
+ * @param {Array} params.discounts - Array of discount objects
+ * @param {number} params.regularPriceCents - The regular price in cents
+ * @param {string|number|null} params.currentVariantId - The variant ID to check eligibility
+ * @param {Object|null} [params.cart] - Cart snapshot { subtotalCents, itemCount, currencyCode }
+ * @returns {Object} Resolved best discounts with entry objects
+ */
+export function resolveBestDiscounts({
+  discounts,
+  regularPriceCents,
+  currentVariantId,
+  cart = null,
+}) {
+  try {
+    // Guard: invalid input
+    if (
+      !Array.isArray(discounts) ||
+      typeof regularPriceCents !== "number"
+    ) {
+      return {
+        automaticDiscount: null,
+        couponDiscount: null,
+        automaticEntry: null,
+        couponEntry: null,
+        basePriceCents: null,
+      };
+    }
+
+    // Split unlocked discounts from cart-conditional ones still below threshold
+    const unlocked = [];
+    const locked = [];
+    for (const discount of discounts) {
+      const evaluation = evaluateMinimumRequirement(
+        discount?.minimumRequirement || null,
+        cart
+      );
+      if (evaluation.met) {
+        unlocked.push(discount);
+      } else {
+        locked.push({ discount, evaluation });
+      }
+    }
+
+    // Find best discounts
+    let {
+      automaticDiscount,
+      automaticFinalPrice,
+      automaticSavings,
+      couponDiscount,
+      couponFinalPrice,
+      couponSavings,
+    } = findBestDiscounts(unlocked, regularPriceCents, currentVariantId);
+
+    // Stacking: an automatic + coupon pair that combines at checkout
+    let stacked = false;
+    const stack = findBestStackedPair(unlocked, regularPriceCents, currentVariantId);
+    const bestSinglePrice = Math.min(
+      automaticFinalPrice ?? regularPriceCents,
+      couponFinalPrice ?? regularPriceCents
+    );
+    if (stack && stack.finalPrice < bestSinglePrice) {
+      stacked = true;
+      automaticDiscount = stack.automatic;
+      automaticFinalPrice = stack.automaticFinalPrice;
+      couponDiscount = stack.coupon;
+      couponFinalPrice = stack.finalPrice;
+    }
+
+    // Suppression logic: if automatic is better or equal, suppress coupon
+    if (!stacked && automaticDiscount && couponDiscount) {
+      // Compare final prices first (lower is better)
+      const automaticIsBetter =
+        automaticFinalPrice != null && couponFinalPrice != null
+          ? automaticFinalPrice <= couponFinalPrice
+          : automaticSavings >= couponSavings;
+
+      if (automaticIsBetter) {
+        couponDiscount = null;
+        couponFinalPrice = null;
+        couponSavings = null;
+      }
+    }
+
+    // Build entry objects
+    const automaticEntry = automaticDiscount
+      ? {
+          finalPriceCents: automaticFinalPrice,
+          regularPriceCents,
+        }
+      : null;
+
+    const couponEntry = couponDiscount
+      ? {
+          finalPriceCents: couponFinalPrice,
+          regularPriceCents,
+          ...(stacked ? { stacksWithAutomatic: true } : {}),
+        }
+      : null;
+
+    // Conditional offer: only worth showing if it beats the current best price
+    let conditionalDiscount = null;
+    let conditionalProgress = null;
+    const bestLocked = findBestDiscount(
+      locked.map((l) => l.discount),
+      regularPriceCents,
+      currentVariantId
+    );
+    if (bestLocked) {
+      const currentBestPrice = Math.min(
+        automaticFinalPrice ?? regularPriceCents,
+        couponFinalPrice ?? regularPriceCents
+      );
+      if (bestLocked.finalPrice < currentBestPrice) {
+        conditionalDiscount = bestLocked.discount;
+        const { evaluation } = locked.find((l) => l.discount === bestLocked.discount);
+        conditionalProgress = {
+          ...evaluation,
+          finalPriceCents: bestLocked.finalPrice,
+        };
+      }
+    }
+
+    return {
+      automaticDiscount,
+      couponDiscount,
+      automaticEntry,
+      couponEntry,
+      basePriceCents: regularPriceCents,
+      stacked,
+      conditionalDiscount,
+      conditionalProgress,
+    };
+  } catch (error) {
+    logger.warn("Error resolving best discounts, returning all null", {
+      err: error, regularPriceCents, currentVariantId,
+    });
+    return {
+      automaticDiscount: null,
+      couponDiscount: null,
+      automaticEntry: null,
+      couponEntry: null,
+      basePriceCents: regularPriceCents,
+    };
+  }
+}
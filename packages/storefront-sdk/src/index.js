@@ -0,0 +1,25 @@
+export { createDiscountsClient, DiscountsApiError } from "./api-client.js";
+export { getBestPrice } from "./best-price.js";
+export { formatMoney, moneyToCents, parsePrice } from "./currency.js";
+export {
+  PURCHASE_CONTEXT,
+  resolvePurchaseContext,
+  isDiscountEligibleForSellingPlan,
+  filterDiscountsByPurchaseContext,
+  isSubscriptionOnly,
+  isOneTimeOnly,
+} from "./subscription.js";
+export {
+  calculateDiscountedPrice,
+  calculateActualSavings,
+  calculateStackedPrice,
+  canDiscountsCombine,
+  evaluateMinimumRequirement,
+  findBestDiscount,
+  findBestDiscounts,
+  findBestStackedPair,
+  isDiscountEligibleForVariant,
+  normalizeMinimumRequirement,
+  resolveBestDiscounts,
+} from "./discount-math.js";
+export { setLogger } from "./logger.js";
@@ -0,0 +1,28 @@
+/**
+ * SDK logger. Silent until the host installs one with setLogger.
+ * Calls use the app server's argument order: logger.warn(message, context).
+ */
+
+const SILENT = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+let current = SILENT;
+
+export const logger = {
+  debug: (message, context) => current.debug(message, context),
+  info: (message, context) => current.info(message, context),
+  warn: (message, context) => current.warn(message, context),
+  error: (message, context) => current.error(message, context),
+};
+
+/**
+ * Route SDK logs to the host's logger. Missing levels stay silent.
+ * @param {{ debug?: Function, info?: Function, warn?: Function, error?: Function }|null} next
+ */
+export function setLogger(next) {
+  current = next ? { ...SILENT, ...next } : SILENT;
+}
@@ -0,0 +1,84 @@
+import { createContext, createElement, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { getBestPrice } from "./best-price.js";
+
+/**
+ * React bindings. Written without JSX so the package ships untranspiled.
+ */
+
+const DiscountsClientContext = createContext(null);
+
+/**
+ * Makes a discounts client available to the hooks below
+ * @param {{ client: Object, children?: any }} props - client from createDiscountsClient
+ */
+export function DiscountsProvider({ client, children }) {
+  return createElement(DiscountsClientContext.Provider, { value: client }, children);
+}
+
+/**
+ * The client passed to DiscountsProvider
+ * @returns {Object}
+ */
+export function useDiscountsClient() {
+  const client = useContext(DiscountsClientContext);
+  if (!client) {
+    throw new Error("useDiscountsClient must be used inside <DiscountsProvider>");
+  }
+  return client;
+}
+
+/**
+ * Load discount data for products. Refetches when the IDs or request options change.
+ * @param {Array<string|number>} productIds - Product IDs or GIDs
+ * @param {Object} [options] - getDiscountsForProducts options (without signal)
+ * @returns {{ data: Object|null, error: Error|null, loading: boolean, refresh: () => void }}
+ */
+export function useProductDiscounts(productIds, options = {}) {
+  const client = useDiscountsClient();
+  const [state, setState] = useState({ data: null, error: null, loading: true });
+  const [attempt, setAttempt] = useState(0);
+
+  // Arrays and option objects are usually recreated on each render
+  const key = JSON.stringify([productIds, options]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const [ids, requestOptions] = JSON.parse(key);
+    setState((previous) => ({ ...previous, loading: true }));
+
+    client.getDiscountsForProducts(ids, { ...requestOptions, signal: controller.signal })
+      .then((data) => setState({ data, error: null, loading: false }))
+      .catch((error) => {
+        if (error?.name === "AbortError") return;
+        setState({ data: null, error, loading: false });
+      });
+
+    return () => controller.abort();
+  }, [client, key, attempt]);
+
+  const refresh = useCallback(() => setAttempt((n) => n + 1), []);
+  return { ...state, refresh };
+}
+
+/**
+ * Best price of one variant, recomputed locally when the variant, selling plan
+ * or cart changes (only the product ID triggers a request)
+ * @param {string|number} productId - Product ID or GID
+ * @param {Object} [options] - getBestPrice options plus request options
+ * @returns {{ price: Object|null, data: Object|null, error: Error|null, loading: boolean, refresh: () => void }}
+ */
+export function useBestPrice(productId, options = {}) {
+  const {
+    variantId, regularPriceCents, sellingPlanId, cart, ...requestOptions
+  } = options;
+  const numericId = productId == null ? null : String(productId).split("/").pop();
+  const result = useProductDiscounts(numericId ? [numericId] : [], requestOptions);
+
+  const product = result.data?.products?.[numericId];
+  const price = useMemo(
+    () => getBestPrice(product, { variantId, regularPriceCents, sellingPlanId, cart }),
+    [product, variantId, regularPriceCents, sellingPlanId, cart],
+  );
+
+  return { ...result, price };
+}
@@ -0,0 +1,67 @@
+/**
+ * Selling plan eligibility, matching the theme extension's subscription handling:
+ * a selling plan means a subscription purchase, no plan a one-time purchase.
+ */
+
+export const PURCHASE_CONTEXT = {
+  DEFAULT: "any",
+  ONE_TIME: "one_time",
+  SUBSCRIPTION: "subscription",
+};
+
+/**
+ * Resolve the purchase context from a selling plan ID
+ * @param {string|number|null} sellingPlanId - Selling plan ID (null/empty for one-time)
+ * @returns {string} PURCHASE_CONTEXT.SUBSCRIPTION or PURCHASE_CONTEXT.ONE_TIME
+ */
+export function resolvePurchaseContext(sellingPlanId) {
+  if (sellingPlanId && sellingPlanId !== "" && String(sellingPlanId) !== "0") {
+    return PURCHASE_CONTEXT.SUBSCRIPTION;
+  }
+  return PURCHASE_CONTEXT.ONE_TIME;
+}
+
+/**
+ * Whether a discount applies to the given selling plan
+ * @param {Object} discount - Discount from /api/discounts
+ * @param {string|number|null} sellingPlanId - Selling plan ID
+ * @returns {boolean}
+ */
+export function isDiscountEligibleForSellingPlan(discount, sellingPlanId) {
+  if (!discount) return false;
+
+  if (resolvePurchaseContext(sellingPlanId) === PURCHASE_CONTEXT.SUBSCRIPTION) {
+    return discount.appliesOnSubscription === true;
+  }
+  // One-time purchases are eligible unless explicitly excluded
+  return discount.appliesOnOneTimePurchase !== false;
+}
+
+/**
+ * Keep the discounts that apply to the given selling plan
+ * @param {Array<Object>} discounts - Discounts from /api/discounts
+ * @param {string|number|null} sellingPlanId - Selling plan ID
+ * @returns {Array<Object>}
+ */
+export function filterDiscountsByPurchaseContext(discounts, sellingPlanId) {
+  if (!Array.isArray(discounts)) return [];
+  return discounts.filter((discount) => isDiscountEligibleForSellingPlan(discount, sellingPlanId));
+}
+
+/**
+ * Whether a discount only applies to subscriptions
+ * @param {Object} discount - Discount from /api/discounts
+ * @returns {boolean}
+ */
+export function isSubscriptionOnly(discount) {
+  return !!discount && discount.appliesOnSubscription === true && discount.appliesOnOneTimePurchase === false;
+}
+
+/**
+ * Whether a discount only applies to one-time purchases
+ * @param {Object} discount - Discount from /api/discounts
+ * @returns {boolean}
+ */
+export function isOneTimeOnly(discount) {
+  return !!discount && discount.appliesOnOneTimePurchase !== false && discount.appliesOnSubscription === false;
+}
@@ -0,0 +1,196 @@
+export type DiscountType = "percentage" | "fixed";
+
+export interface MinimumRequirement {
+  type: "subtotal" | "quantity";
+  amountCents?: number;
+  currencyCode?: string | null;
+  quantity?: number;
+}
+
+export interface StorefrontDiscount {
+  id: string;
+  kind: "basic" | "bxgy";
+  isAutomatic: boolean;
+  type: DiscountType;
+  /** Percentage (0-100) or fixed amount in cents of the presentment currency */
+  value: number;
+  endsAt: string | null;
+  appliesOnOneTimePurchase: boolean;
+  appliesOnSubscription: boolean;
+  combinesWith?: { productDiscounts?: boolean; orderDiscounts?: boolean; shippingDiscounts?: boolean } | null;
+  variantScope?: { type: "ALL" | "PARTIAL"; ids?: string[] } | null;
+  code?: string;
+  minimumRequirement?: MinimumRequirement | null;
+  bxgy?: Record<string, unknown> | null;
+  currencyCode?: string;
+}
+
+export interface VariantPricing {
+  regularPriceCents: number;
+  compareAtPriceCents: number | null;
+  currencyCode: string | null;
+  finalPriceCents: number | null;
+  couponPriceCents: number | null;
+}
+
+export interface StorefrontProduct {
+  handle: string | null;
+  singlePrice: boolean;
+  /** Keyed by numeric variant ID */
+  variants: Record<string, VariantPricing>;
+  discounts: StorefrontDiscount[];
+}
+
+export interface DiscountsResponse {
+  /** Keyed by numeric product ID */
+  products: Record<string, StorefrontProduct>;
+  /** Present when collectionIds or collectionHandles were requested */
+  collections?: Record<string, { handle: string | null; productIds: string[] }>;
+  autoApplyEnabled: boolean;
+  currency: {
+    code: string;
+    country: string | null;
+    shopCurrency: string;
+    rate: number;
+    rateSource: string;
+  };
+  revision: string | null;
+}
+
+export interface CustomerIdentity {
+  id: string | number;
+  tags?: string;
+  ts: string | number;
+  sig: string;
+}
+
+export interface PresentmentOptions {
+  currency?: string;
+  country?: string;
+  rate?: number;
+  customer?: CustomerIdentity;
+}
+
+export interface DiscountsRequestOptions extends PresentmentOptions {
+  variantIds?: Array<string | number>;
+  handles?: string[];
+  collectionIds?: Array<string | number>;
+  collectionHandles?: string[];
+  signal?: AbortSignal;
+}
+
+export interface CartSnapshot {
+  subtotalCents: number;
+  itemCount: number;
+  currencyCode?: string | null;
+}
+
+export interface BestPriceOptions {
+  variantId?: string | number;
+  regularPriceCents?: number;
+  sellingPlanId?: string | number | null;
+  cart?: CartSnapshot | null;
+  now?: number;
+}
+
+export interface ConditionalProgress {
+  met: boolean;
+  remaining: number | null;
+  progress: number;
+  finalPriceCents: number;
+}
+
+export interface BestPrice {
+  variantId: string | null;
+  regularPriceCents: number;
+  compareAtPriceCents: number | null;
+  currencyCode: string | null;
+  automaticPriceCents: number;
+  bestPriceCents: number;
+  automaticDiscount: StorefrontDiscount | null;
+  couponDiscount: StorefrontDiscount | null;
+  stacked: boolean;
+  conditionalDiscount: StorefrontDiscount | null;
+  conditionalProgress: ConditionalProgress | null;
+}
+
+export interface DiscountsClientConfig extends PresentmentOptions {
+  apiBaseUrl: string;
+  shop: string;
+  token?: string;
+  getToken?: (options: { refresh: boolean }) => string | Promise<string>;
+  fetch?: typeof fetch;
+  /** Keep responses and revalidate them with their ETag (default true). */
+  revalidate?: boolean;
+}
+
+export interface DiscountsClient {
+  getDiscountsForProducts(
+    productIds: Array<string | number> | string | number,
+    options?: DiscountsRequestOptions,
+  ): Promise<DiscountsResponse>;
+  getBestPrice(
+    productId: string | number,
+    options?: BestPriceOptions & DiscountsRequestOptions,
+  ): Promise<BestPrice | null>;
+  clear(): void;
+}
+
+export class DiscountsApiError extends Error {
+  status: number | null;
+  body: unknown;
+}
+
+export function createDiscountsClient(config: DiscountsClientConfig): DiscountsClient;
+export function getBestPrice(product: StorefrontProduct | null | undefined, options?: BestPriceOptions): BestPrice | null;
+
+export function formatMoney(cents: number, options?: { currencyCode?: string; locale?: string; format?: string }): string;
+export function moneyToCents(money: { amount: string | number } | string | number | null | undefined): number | null;
+export function parsePrice(text: string): number | null;
+
+export const PURCHASE_CONTEXT: { DEFAULT: "any"; ONE_TIME: "one_time"; SUBSCRIPTION: "subscription" };
+export function resolvePurchaseContext(sellingPlanId: string | number | null | undefined): "one_time" | "subscription";
+export function isDiscountEligibleForSellingPlan(discount: StorefrontDiscount, sellingPlanId: string | number | null | undefined): boolean;
+export function filterDiscountsByPurchaseContext(discounts: StorefrontDiscount[], sellingPlanId: string | number | null | undefined): StorefrontDiscount[];
+export function isSubscriptionOnly(discount: StorefrontDiscount): boolean;
+export function isOneTimeOnly(discount: StorefrontDiscount): boolean;
+
+export function calculateDiscountedPrice(regularPriceCents: number, discount: StorefrontDiscount | null): number | null;
+export function calculateActualSavings(regularPriceCents: number, discount: StorefrontDiscount | null): number;
+export function calculateStackedPrice(regularPriceCents: number, discounts: StorefrontDiscount[]): number;
+export function canDiscountsCombine(a: StorefrontDiscount, b: StorefrontDiscount): boolean;
+export function isDiscountEligibleForVariant(discount: StorefrontDiscount, currentVariantId: string | number | null): boolean;
+export function findBestDiscount(
+  discounts: StorefrontDiscount[],
+  regularPriceCents: number,
+  currentVariantId: string | number | null,
+): { discount: StorefrontDiscount; finalPrice: number; savings: number } | null;
+export function findBestDiscounts(
+  discounts: StorefrontDiscount[],
+  regularPriceCents: number,
+  currentVariantId: string | number | null,
+): Record<string, unknown>;
+export function findBestStackedPair(
+  discounts: StorefrontDiscount[],
+  regularPriceCents: number,
+  currentVariantId: string | number | null,
+): { automatic: StorefrontDiscount; coupon: StorefrontDiscount; automaticFinalPrice: number; finalPrice: number } | null;
+export function normalizeMinimumRequirement(rawRequirement: unknown): MinimumRequirement | null;
+export function evaluateMinimumRequirement(
+  requirement: MinimumRequirement | null,
+  cart: CartSnapshot | null,
+): { met: boolean; remaining: number | null; progress: number };
+export function resolveBestDiscounts(params: {
+  discounts: StorefrontDiscount[];
+  regularPriceCents: number;
+  currentVariantId: string | number | null;
+  cart?: CartSnapshot | null;
+}): Record<string, unknown>;
+
+export interface SdkLogger {
+  debug?(message: string, context?: Record<string, unknown>): void;
+  info?(message: string, context?: Record<string, unknown>): void;
+  warn?(message: string, context?: Record<string, unknown>): void;
+  error?(message: string, context?: Record<string, unknown>): void;
+}
+export function setLogger(logger: SdkLogger | null): void;
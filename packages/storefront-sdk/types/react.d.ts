@@ -0,0 +1,28 @@
+import type { ReactNode, ReactElement } from "react";
+import type {
+  BestPrice,
+  BestPriceOptions,
+  DiscountsClient,
+  DiscountsRequestOptions,
+  DiscountsResponse,
+} from "./index";
+
+export function DiscountsProvider(props: { client: DiscountsClient; children?: ReactNode }): ReactElement;
+export function useDiscountsClient(): DiscountsClient;
+
+export interface ProductDiscountsState {
+  data: DiscountsResponse | null;
+  error: Error | null;
+  loading: boolean;
+  refresh(): void;
+}
+
+export function useProductDiscounts(
+  productIds: Array<string | number>,
+  options?: Omit<DiscountsRequestOptions, "signal">,
+): ProductDiscountsState;
+
+export function useBestPrice(
+  productId: string | number | null | undefined,
+  options?: Omit<BestPriceOptions, "now"> & Omit<DiscountsRequestOptions, "signal" | "variantIds">,
+): ProductDiscountsState & { price: BestPrice | null };
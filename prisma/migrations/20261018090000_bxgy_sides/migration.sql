@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Discount" ADD COLUMN "buysQuantity" INTEGER;
+ALTER TABLE "Discount" ADD COLUMN "buysAmount" REAL;
+ALTER TABLE "Discount" ADD COLUMN "getsQuantity" INTEGER;
+
+-- CreateTable
+CREATE TABLE "DiscountBxgyTarget" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "discountId" TEXT NOT NULL,
+    "side" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetGid" TEXT NOT NULL,
+    CONSTRAINT "DiscountBxgyTarget_discountId_fkey" FOREIGN KEY ("discountId") REFERENCES "Discount" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "DiscountBxgyProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "discountId" TEXT NOT NULL,
+    "side" TEXT NOT NULL,
+    "productGid" TEXT NOT NULL,
+    CONSTRAINT "DiscountBxgyProduct_discountId_fkey" FOREIGN KEY ("discountId") REFERENCES "Discount" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DiscountBxgyTarget_discountId_idx" ON "DiscountBxgyTarget"("discountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountBxgyTarget_discountId_side_targetType_targetGid_key" ON "DiscountBxgyTarget"("discountId", "side", "targetType", "targetGid");
+
+-- CreateIndex
+CREATE INDEX "DiscountBxgyProduct_discountId_idx" ON "DiscountBxgyProduct"("discountId");
+
+-- CreateIndex
+CREATE INDEX "DiscountBxgyProduct_productGid_idx" ON "DiscountBxgyProduct"("productGid");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountBxgyProduct_discountId_side_productGid_key" ON "DiscountBxgyProduct"("discountId", "side", "productGid");
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "customerSigningSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "CustomerSegmentMembership" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "customerGid" TEXT NOT NULL,
+    "segmentGid" TEXT NOT NULL,
+    "isMember" BOOLEAN NOT NULL,
+    "tagsHash" TEXT,
+    "checkedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "CustomerSegmentMembership_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerSegmentMembership_shop_customerGid_idx" ON "CustomerSegmentMembership"("shop", "customerGid");
+
+-- CreateIndex
+CREATE INDEX "CustomerSegmentMembership_shopId_idx" ON "CustomerSegmentMembership"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerSegmentMembership_shop_customerGid_segmentGid_key" ON "CustomerSegmentMembership"("shop", "customerGid", "segmentGid");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Discount" ADD COLUMN "combinesWithProduct" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Discount" ADD COLUMN "combinesWithOrder" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Discount" ADD COLUMN "combinesWithShipping" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "jobKey" TEXT NOT NULL,
+    "runAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "result" TEXT,
+    "lockedAt" DATETIME,
+    "completedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ScheduledJob_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_status_runAt_idx" ON "ScheduledJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_shop_idx" ON "ScheduledJob"("shop");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_shopId_idx" ON "ScheduledJob"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledJob_type_jobKey_key" ON "ScheduledJob"("type", "jobKey");
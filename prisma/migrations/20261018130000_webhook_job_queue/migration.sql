@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "ScheduledJob" ADD COLUMN "payload" TEXT;
+
+-- CreateTable
+CREATE TABLE "DeadLetterJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "jobKey" TEXT NOT NULL,
+    "payload" TEXT,
+    "attempts" INTEGER NOT NULL,
+    "lastError" TEXT,
+    "failedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DeadLetterJob_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DeadLetterJob_shop_failedAt_idx" ON "DeadLetterJob"("shop", "failedAt");
+
+-- CreateIndex
+CREATE INDEX "DeadLetterJob_shopId_idx" ON "DeadLetterJob"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeadLetterJob_type_jobKey_key" ON "DeadLetterJob"("type", "jobKey");
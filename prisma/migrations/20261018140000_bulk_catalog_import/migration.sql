@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "BulkImport" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "operationId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "productCount" INTEGER,
+    "collectionCount" INTEGER,
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME,
+    CONSTRAINT "BulkImport_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BulkImport_operationId_key" ON "BulkImport"("operationId");
+
+-- CreateIndex
+CREATE INDEX "BulkImport_shop_status_idx" ON "BulkImport"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "BulkImport_shopId_idx" ON "BulkImport"("shopId");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ProductVariant" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "gid" TEXT NOT NULL,
+    "productGid" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "compareAtPriceCents" INTEGER,
+    "currencyCode" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ProductVariant_productGid_fkey" FOREIGN KEY ("productGid") REFERENCES "Product" ("gid") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ProductVariant_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductVariant_gid_key" ON "ProductVariant"("gid");
+
+-- CreateIndex
+CREATE INDEX "ProductVariant_productGid_idx" ON "ProductVariant"("productGid");
+
+-- CreateIndex
+CREATE INDEX "ProductVariant_shop_idx" ON "ProductVariant"("shop");
+
+-- CreateIndex
+CREATE INDEX "ProductVariant_shopId_idx" ON "ProductVariant"("shopId");
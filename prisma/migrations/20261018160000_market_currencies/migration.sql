@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "MarketCurrency" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "isShopCurrency" BOOLEAN NOT NULL DEFAULT false,
+    "manualRate" REAL,
+    "countryCodes" TEXT NOT NULL DEFAULT '[]',
+    "syncedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MarketCurrency_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketCurrency_shop_currencyCode_key" ON "MarketCurrency"("shop", "currencyCode");
+
+-- CreateIndex
+CREATE INDEX "MarketCurrency_shopId_idx" ON "MarketCurrency"("shopId");
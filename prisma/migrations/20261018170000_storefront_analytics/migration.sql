@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "DiscountEventCount" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "day" DATETIME NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "DiscountEventCount_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "OrderAttribution" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "discountId" TEXT NOT NULL,
+    "code" TEXT,
+    "revenueCents" INTEGER NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "orderedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "OrderAttribution_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountEventCount_shop_discountId_day_eventType_key" ON "DiscountEventCount"("shop", "discountId", "day", "eventType");
+
+-- CreateIndex
+CREATE INDEX "DiscountEventCount_shop_day_idx" ON "DiscountEventCount"("shop", "day");
+
+-- CreateIndex
+CREATE INDEX "DiscountEventCount_shopId_idx" ON "DiscountEventCount"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderAttribution_shop_orderId_discountId_key" ON "OrderAttribution"("shop", "orderId", "discountId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shop_orderedAt_idx" ON "OrderAttribution"("shop", "orderedAt");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shopId_idx" ON "OrderAttribution"("shopId");
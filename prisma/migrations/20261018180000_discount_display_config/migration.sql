@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "DiscountDisplayConfig" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "liveDiscountId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "badgeText" TEXT,
+    "badgeBgColor" TEXT,
+    "badgeTextColor" TEXT,
+    "icon" TEXT,
+    "termsText" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "DiscountDisplayConfig_liveDiscountId_fkey" FOREIGN KEY ("liveDiscountId") REFERENCES "LiveDiscount" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountDisplayConfig_liveDiscountId_key" ON "DiscountDisplayConfig"("liveDiscountId");
+
+-- CreateIndex
+CREATE INDEX "DiscountDisplayConfig_shop_idx" ON "DiscountDisplayConfig"("shop");
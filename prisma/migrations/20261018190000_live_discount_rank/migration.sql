@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "LiveDiscount" ADD COLUMN "rank" INTEGER;
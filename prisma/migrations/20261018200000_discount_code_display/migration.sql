@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Discount" ADD COLUMN "usageLimit" INTEGER;
+ALTER TABLE "Discount" ADD COLUMN "appliesOncePerCustomer" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Discount" ADD COLUMN "asyncUsageCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "DiscountDisplayConfig" ADD COLUMN "codeVisibility" TEXT;
+ALTER TABLE "DiscountDisplayConfig" ADD COLUMN "displayCode" TEXT;
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "KvEntry" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" TEXT NOT NULL,
+    "expiresAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "KvEntry_expiresAt_idx" ON "KvEntry"("expiresAt");
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "previousStorefrontToken" TEXT;
+ALTER TABLE "Shop" ADD COLUMN "previousStorefrontTokenExpiresAt" DATETIME;
+ALTER TABLE "Shop" ADD COLUMN "storefrontTokenRotatedAt" DATETIME;
+ALTER TABLE "Shop" ADD COLUMN "storefrontTokenRotationDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "StorefrontTokenRotation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "actor" TEXT,
+    "graceEndsAt" DATETIME,
+    "metafieldSynced" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StorefrontTokenRotation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "StorefrontTokenRotation_shop_createdAt_idx" ON "StorefrontTokenRotation"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StorefrontTokenRotation_shopId_idx" ON "StorefrontTokenRotation"("shopId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Collection" ADD COLUMN "handle" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Collection_shop_handle_idx" ON "Collection"("shop", "handle");
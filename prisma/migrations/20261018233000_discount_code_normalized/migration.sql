@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "DiscountCode" ADD COLUMN "normalizedCode" TEXT NOT NULL DEFAULT '';
+
+-- Backfill existing codes
+UPDATE "DiscountCode" SET "normalizedCode" = lower("code");
+
+-- CreateIndex
+CREATE INDEX "DiscountCode_normalizedCode_idx" ON "DiscountCode"("normalizedCode");